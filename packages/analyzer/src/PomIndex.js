@@ -0,0 +1,110 @@
+// packages/analyzer/src/PomIndex.js
+
+/**
+ * Lookup over POMDiscovery output for PomReferenceRule: POMs by file name
+ * ('bookingPage.screen') or class name, and the members of each class.
+ */
+export class PomIndex {
+  /**
+   * @param {Array} poms - POMDiscovery.discover() result
+   */
+  constructor(poms = []) {
+    this.poms = poms;
+    this.byName = new Map();
+    this.classes = new Map();
+
+    for (const pom of poms) {
+      this.byName.set(pom.name, pom);
+      for (const cls of pom.classes) {
+        if (!cls.name) continue;
+        this.classes.set(cls.name, cls);
+        if (!this.byName.has(cls.name)) this.byName.set(cls.name, pom);
+      }
+    }
+  }
+
+  /**
+   * Run POMDiscovery for a project. Imported lazily so the analyzer only
+   * needs core's parser when the POM rule is enabled.
+   */
+  static async discover(projectPath) {
+    const { default: POMDiscovery } = await import('../../core/src/discovery/POMDiscovery.js');
+    const discovery = new POMDiscovery(projectPath);
+    return new PomIndex(await discovery.discover());
+  }
+
+  get size() {
+    return this.poms.length;
+  }
+
+  /**
+   * POM file names and class names, for "did you mean"
+   */
+  names() {
+    return [...this.byName.keys()];
+  }
+
+  /**
+   * { pom, cls } for a screen reference ('bookingPage.screen',
+   * 'bookingPage', 'BookingPage'), or null
+   */
+  find(reference) {
+    if (!reference || typeof reference !== 'string') return null;
+
+    const name = reference.replace(/\.js$/, '').split('/').pop();
+    const candidates = [name, `${name}.screen`, `${name}.wrapper`, `${name}.page`, `${name}.modal`];
+
+    let pom = candidates.map(candidate => this.byName.get(candidate)).find(Boolean);
+    if (!pom) {
+      const lower = name.toLowerCase();
+      pom = this.poms.find(p => p.name.toLowerCase() === lower ||
+        p.classes.some(cls => cls.name?.toLowerCase() === lower));
+    }
+    if (!pom) return null;
+
+    const cls = pom.classes.find(c => c.name === name) || this.mainClass(pom);
+    return { pom, cls };
+  }
+
+  mainClass(pom) {
+    return pom.classes.find(c => c.name === pom.exports) || pom.classes[0];
+  }
+
+  /**
+   * Instance name the generator uses for a class (BookingPage → bookingPage)
+   */
+  defaultInstanceName(cls) {
+    return cls.name.charAt(0).toLowerCase() + cls.name.slice(1);
+  }
+
+  /**
+   * Class of an instance property (this.roundTrip = new RoundTrip(...)).
+   * undefined if the class has no such instance, null if the instance's
+   * class wasn't discovered.
+   */
+  instanceClass(cls, instanceName) {
+    const property = cls.properties.find(p => p.name === instanceName && p.type === 'instance');
+    if (!property) return undefined;
+    return this.classes.get(property.className) || null;
+  }
+
+  instanceNames(cls) {
+    return cls.properties.filter(p => p.type === 'instance').map(p => p.name);
+  }
+
+  /**
+   * Names usable as fields in visible/hidden/checks: getters, properties
+   * and methods (locator methods like card(nth))
+   */
+  fieldNames(cls) {
+    return [
+      ...cls.getters.map(g => g.name),
+      ...cls.properties.map(p => p.name),
+      ...cls.functions.map(f => f.name)
+    ];
+  }
+
+  getFunction(cls, name) {
+    return cls.functions.find(f => f.name === name) || null;
+  }
+}
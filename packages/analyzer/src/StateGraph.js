@@ -0,0 +1,217 @@
+// packages/analyzer/src/StateGraph.js
+
+const TERMINAL_NAME_HINTS = ['completed', 'cancelled', 'deleted', 'archived', 'final'];
+
+/**
+ * True if the state says it is final: meta.terminal (what the
+ * mark-terminal fix writes) or XState's type: 'final'
+ */
+export function isMarkedFinal(implication) {
+  const metadata = implication.metadata || {};
+  return metadata.terminal === true || metadata.xstateConfig?.type === 'final';
+}
+
+/**
+ * Naming heuristic for states that are probably meant to be final
+ * (CompletedBooking, CancelledOrder, ...)
+ */
+export function looksTerminal(className = '') {
+  const lower = className.toLowerCase();
+  return TERMINAL_NAME_HINTS.some(hint => lower.includes(hint));
+}
+
+/**
+ * Whole-project view of the stateful implications and their transitions,
+ * built once per analysis run and shared by the graph-level rules
+ * (context.stateGraph). Nodes are keyed by class name; transition ends are
+ * resolved through the state registry, then meta.status, then class name.
+ */
+export class StateGraph {
+  constructor({ implications = [], transitions = [], stateRegistry = null } = {}) {
+    this.registry = stateRegistry;
+    this.nodes = new Map();
+    this.unresolved = [];
+
+    implications
+      .filter(impl => impl.metadata?.hasXStateConfig && impl.metadata.className)
+      .forEach(impl => {
+        this.nodes.set(impl.metadata.className, { implication: impl, outgoing: [], incoming: [] });
+      });
+
+    for (const transition of transitions) {
+      const from = this.resolve(transition.from);
+      const to = this.resolve(transition.to);
+
+      if (!from || !to) {
+        this.unresolved.push(transition); // Reported by BrokenTransitionRule
+        continue;
+      }
+
+      const edge = { from, to, event: transition.event, transition };
+      this.nodes.get(from).outgoing.push(edge);
+      this.nodes.get(to).incoming.push(edge);
+    }
+
+    this._sccs = null;
+  }
+
+  /**
+   * Class name for a transition end ('accepted', 'Accepted', 'AcceptedBookingImplications')
+   */
+  resolve(name) {
+    if (!name) return null;
+
+    const fromRegistry = this.registry?.resolve(name);
+    if (fromRegistry && this.nodes.has(fromRegistry)) return fromRegistry;
+    if (this.nodes.has(name)) return name;
+
+    const lower = String(name).toLowerCase();
+    for (const [className, node] of this.nodes) {
+      const { status, xstateConfig } = node.implication.metadata;
+      if (status?.toLowerCase() === lower || xstateConfig?.id?.toLowerCase() === lower) {
+        return className;
+      }
+    }
+
+    return null;
+  }
+
+  has(className) {
+    return this.nodes.has(className);
+  }
+
+  outgoing(className) {
+    return this.nodes.get(className)?.outgoing || [];
+  }
+
+  incoming(className) {
+    return this.nodes.get(className)?.incoming || [];
+  }
+
+  isFinal(className) {
+    const node = this.nodes.get(className);
+    return !!node && isMarkedFinal(node.implication);
+  }
+
+  /**
+   * States a test run can start from:
+   *   1. names listed in `configured` (rule option initialStates), else
+   *   2. states marked meta.initial, or with a setup entry that has no
+   *      previousStatus (created from scratch), else
+   *   3. states with outgoing but no incoming transitions
+   */
+  initialStates(configured = null) {
+    if (Array.isArray(configured) && configured.length > 0) {
+      return configured.map(name => this.resolve(name)).filter(Boolean);
+    }
+
+    const marked = [...this.nodes.entries()]
+      .filter(([, node]) => {
+        const metadata = node.implication.metadata;
+        const setup = Array.isArray(metadata.setup) ? metadata.setup : (metadata.setup ? [metadata.setup] : []);
+        return metadata.initial === true ||
+          setup.some(entry => entry && !entry.previousStatus && !entry.requires?.previousStatus);
+      })
+      .map(([className]) => className);
+
+    if (marked.length > 0) return marked;
+
+    return [...this.nodes.entries()]
+      .filter(([, node]) => node.incoming.length === 0 && node.outgoing.length > 0)
+      .map(([className]) => className);
+  }
+
+  /**
+   * Every state reachable from `starts` (including the starts themselves)
+   */
+  reachableFrom(starts) {
+    return this._walk(starts, className => this.outgoing(className).map(edge => edge.to));
+  }
+
+  /**
+   * Every state that can reach `className` (including itself)
+   */
+  predecessorsOf(className) {
+    return this._walk([className], name => this.incoming(name).map(edge => edge.from));
+  }
+
+  _walk(starts, next) {
+    const seen = new Set();
+    const stack = starts.filter(name => this.nodes.has(name));
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (seen.has(current)) continue;
+      seen.add(current);
+      stack.push(...next(current).filter(name => !seen.has(name)));
+    }
+
+    return seen;
+  }
+
+  /**
+   * Strongly connected components (Tarjan), each as a sorted array of class names
+   */
+  stronglyConnectedComponents() {
+    if (this._sccs) return this._sccs;
+
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = (className) => {
+      index.set(className, counter);
+      lowLink.set(className, counter);
+      counter++;
+      stack.push(className);
+      onStack.add(className);
+
+      for (const { to } of this.outgoing(className)) {
+        if (!index.has(to)) {
+          visit(to);
+          lowLink.set(className, Math.min(lowLink.get(className), lowLink.get(to)));
+        } else if (onStack.has(to)) {
+          lowLink.set(className, Math.min(lowLink.get(className), index.get(to)));
+        }
+      }
+
+      if (lowLink.get(className) === index.get(className)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== className);
+        components.push(component.sort());
+      }
+    };
+
+    for (const className of this.nodes.keys()) {
+      if (!index.has(className)) visit(className);
+    }
+
+    this._sccs = components;
+    return components;
+  }
+
+  /**
+   * Cycles that can be entered but never left: components with a real
+   * cycle (more than one state, or a self-transition), no transition out
+   * of the component and no state marked final
+   */
+  trappedCycles() {
+    return this.stronglyConnectedComponents().filter(component => {
+      const members = new Set(component);
+      const edges = component.flatMap(name => this.outgoing(name));
+
+      const isCycle = component.length > 1 || edges.some(edge => edge.to === edge.from);
+      const hasExit = edges.some(edge => !members.has(edge.to));
+
+      return isCycle && !hasExit && !component.some(name => this.isFinal(name));
+    });
+  }
+}
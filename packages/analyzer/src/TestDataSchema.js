@@ -0,0 +1,140 @@
+// packages/analyzer/src/TestDataSchema.js
+
+import fs from 'fs';
+import path from 'path';
+import { rootOf } from './dataFlow.js';
+
+const MAX_DEPTH = 4;
+
+/**
+ * Type name of a test data value: string, number, boolean, array, object
+ * (null / undefined → null = unknown)
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * 'ctx.data.booking.price' / '{{booking.price}}' / 'testData.booking.price' → 'booking.price'
+ */
+export function normalizeFieldPath(field) {
+  return String(field || '')
+    .trim()
+    .replace(/^\{\{\s*|\s*\}\}$/g, '')
+    .replace(/^(ctx\.data|testData)\./, '');
+}
+
+/**
+ * Test data fields of a project with their types, from config.testDataSchema
+ * (or the legacy config.testData.schema), else walked from the
+ * config.testDataPath file - the same sources as GET /api/config/test-data-schema.
+ *
+ * Paths are dotted ('booking.price'). A field's type is null when it is
+ * unknown (schema entries given as a plain description, null values).
+ */
+export class TestDataSchema {
+  constructor(fields = []) {
+    this.fields = new Map(); // path → { path, type, values }
+
+    for (const field of fields) {
+      this.fields.set(field.path, field);
+
+      // Ancestors of a nested schema key are objects
+      const parts = field.path.split('.');
+      for (let i = parts.length - 1; i > 0; i--) {
+        const parent = parts.slice(0, i).join('.');
+        if (!this.fields.has(parent)) this.fields.set(parent, { path: parent, type: 'object', values: null });
+      }
+    }
+  }
+
+  /**
+   * Schema from ai-testing.config.js, or null when the project doesn't
+   * describe its test data
+   */
+  static read(projectPath, config = {}) {
+    const schema = config?.testDataSchema || config?.testData?.schema;
+    if (schema && Object.keys(schema).length > 0) {
+      return new TestDataSchema(Object.entries(schema).map(([key, value]) => ({
+        path: normalizeFieldPath(key),
+        type: value && typeof value === 'object' ? (value.type || null) : null,
+        values: Array.isArray(value?.values) ? value.values : null
+      })));
+    }
+
+    if (!config?.testDataPath) return null;
+
+    try {
+      const testData = JSON.parse(fs.readFileSync(path.resolve(projectPath, config.testDataPath), 'utf-8'));
+      return TestDataSchema.fromData(testData);
+    } catch (error) {
+      console.warn(`⚠️  Could not read test data (${config.testDataPath}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Schema walked from a test data object (arrays are not descended into)
+   */
+  static fromData(testData) {
+    const fields = [];
+
+    const walk = (value, prefix, depth) => {
+      for (const [key, child] of Object.entries(value)) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        fields.push({ path: fieldPath, type: typeOf(child), values: null });
+
+        if (child && typeof child === 'object' && !Array.isArray(child) && depth > 1) {
+          walk(child, fieldPath, depth - 1);
+        }
+      }
+    };
+
+    if (testData && typeof testData === 'object') walk(testData, '', MAX_DEPTH);
+    return new TestDataSchema(fields);
+  }
+
+  /**
+   * Top-level field names
+   */
+  roots() {
+    return [...new Set([...this.fields.keys()].map(rootOf))];
+  }
+
+  /**
+   * Look up a field path:
+   *   { status: 'known', field }
+   *   { status: 'unknown', parent, candidates } - the parent's fields are
+   *     known and this isn't one of them (parent null = not a top-level field)
+   *   { status: 'unchecked' } - below an array or an object without known fields
+   */
+  lookup(field) {
+    const fieldPath = normalizeFieldPath(field).replace(/\[\d+\]/g, '.0');
+    if (this.fields.has(fieldPath)) {
+      return { status: 'known', field: this.fields.get(fieldPath) };
+    }
+
+    const parts = fieldPath.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const parent = this.fields.get(parts.slice(0, i).join('.'));
+      if (!parent) continue;
+
+      const children = this.childrenOf(parent.path);
+      // Only a miss if we know what the parent contains
+      if (parent.type !== 'object' || children.length === 0) {
+        return { status: 'unchecked' };
+      }
+      return { status: 'unknown', parent: parent.path, candidates: children };
+    }
+
+    return { status: 'unknown', parent: null, candidates: this.roots() };
+  }
+
+  childrenOf(parentPath) {
+    const prefix = `${parentPath}.`;
+    return [...this.fields.keys()]
+      .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('.'))
+      .map(key => key.slice(prefix.length));
+  }
+}
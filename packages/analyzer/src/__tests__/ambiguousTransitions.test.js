@@ -0,0 +1,106 @@
+// packages/analyzer/src/__tests__/ambiguousTransitions.test.js
+
+import { StateGraph } from '../StateGraph.js';
+import { AmbiguousTransitionRule } from '../rules/AmbiguousTransitionRule.js';
+
+const state = (status, metadata = {}) => ({
+  path: `tests/implications/${status}BookingImplications.js`,
+  metadata: {
+    className: `${status}BookingImplications`,
+    status,
+    hasXStateConfig: true,
+    xstateConfig: { on: {} },
+    ...metadata
+  }
+});
+
+const accept = (to, extra = {}) => ({ from: 'PendingBookingImplications', to, event: 'ACCEPT', ...extra });
+
+function analyze({ transitions = [], setup } = {}) {
+  const pending = state('Pending');
+  const accepted = state('Accepted', setup ? { setup } : {});
+  const context = {
+    implications: [pending, accepted, state('Rejected')],
+    transitions,
+    stateRegistry: null
+  };
+  context.stateGraph = new StateGraph(context);
+
+  const rule = new AmbiguousTransitionRule();
+  return [...rule.analyze(pending, context), ...rule.analyze(accepted, context)];
+}
+
+describe('AmbiguousTransitionRule', () => {
+  describe('transitions', () => {
+    it('reports variants leading to different states for the same platform', () => {
+      const [issue] = analyze({
+        transitions: [accept('accepted', { platforms: ['web'] }), accept('rejected', { platforms: ['web', 'dancer'] })]
+      });
+
+      expect(issue).toMatchObject({
+        type: 'conflicting-transition',
+        details: { event: 'ACCEPT', plannerChoice: 'AcceptedBookingImplications' }
+      });
+    });
+
+    it('does not report variants on separate platforms, exclusive requires or with a default', () => {
+      expect(analyze({ transitions: [accept('accepted', { platforms: ['web'] }), accept('rejected', { platforms: ['dancer'] })] })).toEqual([]);
+      expect(analyze({
+        transitions: [accept('accepted', { requires: { paid: true } }), accept('rejected', { requires: { paid: false } })]
+      })).toEqual([]);
+      expect(analyze({ transitions: [accept('accepted', { isDefault: true }), accept('rejected')] })).toEqual([]);
+    });
+
+    it('treats one variant with requires and one without as requires-else-default', () => {
+      expect(analyze({ transitions: [accept('accepted', { requires: { paid: true } }), accept('rejected')] })).toEqual([]);
+    });
+
+    it('reports the same variant listed twice', () => {
+      const [issue] = analyze({ transitions: [accept('accepted', { platforms: ['web'] }), accept('accepted')] });
+
+      expect(issue).toMatchObject({ type: 'duplicate-transition', severity: 'info', title: 'Duplicate Transition: ACCEPT → AcceptedBookingImplications' });
+    });
+  });
+
+  describe('setup entries', () => {
+    const entry = (testFile, extra = {}) => ({ testFile, previousStatus: 'pending', ...extra });
+
+    it('reports entries without requires from the same previous state', () => {
+      const [issue] = analyze({ setup: [entry('Accept-Web.spec.js'), entry('Accept-Dancer.spec.js')] });
+
+      expect(issue).toMatchObject({
+        type: 'ambiguous-setup',
+        details: { plannerChoice: 0, entries: [{ index: 0, requires: null }, { index: 1, requires: null }] }
+      });
+      expect(issue.message).toContain('no requires');
+    });
+
+    it('reports entries whose requires can match the same test data', () => {
+      const [issue] = analyze({
+        setup: [
+          entry('a.spec.js', { requires: { paymentMethod: { oneOf: ['card', 'cash'] } } }),
+          entry('b.spec.js', { requires: { paymentMethod: 'cash' } }),
+          entry('c.spec.js', { requires: { paymentMethod: 'voucher' } })
+        ]
+      });
+
+      expect(issue.details.entries.map(e => e.index)).toEqual([0, 1]);
+    });
+
+    it('does not report entries from different previous states', () => {
+      expect(analyze({
+        setup: [entry('a.spec.js'), entry('b.spec.js', { previousStatus: 'draft' }), entry('c.spec.js', { previousStatus: undefined })]
+      })).toEqual([]);
+    });
+
+    it('treats one entry with requires and one without as requires-else-default', () => {
+      expect(analyze({ setup: [entry('a.spec.js', { requires: { vip: true } }), entry('b.spec.js')] })).toEqual([]);
+    });
+
+    it('does not report exclusive requires, separate platforms or a marked default', () => {
+      expect(analyze({ setup: [entry('a.spec.js', { requires: { vip: true } }), entry('b.spec.js', { requires: { vip: false } })] })).toEqual([]);
+      expect(analyze({ setup: [entry('a.spec.js', { platform: 'web' }), entry('b.spec.js', { platforms: ['dancer'] })] })).toEqual([]);
+      expect(analyze({ setup: [entry('a.spec.js'), entry('b.spec.js', { isDefault: true })] })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+// packages/analyzer/src/__tests__/analyzer.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { ProjectAnalyzer } from '../index.js';
+import { BaseRule } from '../rules/BaseRule.js';
+import { loadRulesFromDirectory } from '../ruleLoader.js';
+import { parseSuppressions, isSuppressed } from '../suppressions.js';
+
+/**
+ * Reports one warning per implication, for checking what the analyzer
+ * does with the issues of a rule
+ */
+class FlagEveryStateRule extends BaseRule {
+  constructor(id = 'flag-every-state') {
+    super(id, 'Flag every state');
+  }
+
+  analyze(implication) {
+    return [this.createIssue({
+      severity: 'warning',
+      type: 'flagged-state',
+      stateName: implication.metadata.className,
+      title: 'Flagged',
+      message: 'flagged'
+    })];
+  }
+}
+
+const implication = (className, relativePath = null) => ({
+  path: relativePath,
+  metadata: { className, hasXStateConfig: true, status: className.replace(/Implications$/, '') }
+});
+
+const discovery = (projectPath, implications) => ({
+  projectPath,
+  files: { implications },
+  transitions: []
+});
+
+const issuesOf = (result, ruleId) => result.issues.filter(issue => issue.ruleId === ruleId);
+
+describe('ProjectAnalyzer', () => {
+  let dir;
+  let log;
+  let warn;
+
+  beforeEach(() => {
+    log = console.log;
+    warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log = log;
+    console.warn = warn;
+  });
+
+  describe('rule settings', () => {
+    it('disables rules set to "off" or false', () => {
+      const analyzer = new ProjectAnalyzer({ rules: { 'isolated-states': 'off', 'missing-ui-coverage': false } });
+      const enabled = Object.fromEntries(analyzer.describeRules().map(rule => [rule.id, rule.enabled]));
+
+      expect(enabled['isolated-states']).toBe(false);
+      expect(enabled['missing-ui-coverage']).toBe(false);
+      expect(enabled['broken-transitions']).toBe(true);
+    });
+
+    it('overrides the severity of every issue of a rule', () => {
+      const analyzer = new ProjectAnalyzer({ rules: { 'flag-every-state': 'error' } });
+      analyzer.register(new FlagEveryStateRule());
+
+      const result = analyzer.analyze(discovery(dir, [implication('PendingImplications')]));
+
+      expect(issuesOf(result, 'flag-every-state')).toEqual([expect.objectContaining({ severity: 'error' })]);
+    });
+
+    it('passes rule options from an object setting', () => {
+      const analyzer = new ProjectAnalyzer({ rules: { 'flag-every-state': { severity: 'info', options: { limit: 2 } } } });
+      const rule = new FlagEveryStateRule();
+      analyzer.register(rule);
+
+      expect(rule.severity).toBe('info');
+      expect(rule.options).toEqual({ limit: 2 });
+    });
+
+    it('applies settings keyed by issue type', () => {
+      const analyzer = new ProjectAnalyzer({ rules: { 'flagged-state': 'info' } });
+      analyzer.register(new FlagEveryStateRule());
+
+      const [issue] = issuesOf(analyzer.analyze(discovery(dir, [implication('PendingImplications')])), 'flag-every-state');
+      expect(issue.severity).toBe('info');
+
+      const off = new ProjectAnalyzer({ rules: { 'flagged-state': 'off' } });
+      off.register(new FlagEveryStateRule());
+      expect(issuesOf(off.analyze(discovery(dir, [implication('PendingImplications')])), 'flag-every-state')).toEqual([]);
+    });
+
+    it('reports invalid settings as rule errors instead of throwing', () => {
+      const analyzer = new ProjectAnalyzer({ rules: { 'isolated-states': 'fatal', 'missing-ui-coverage': 42 } });
+
+      expect(analyzer.ruleErrors).toEqual([
+        { rule: 'isolated-states', error: expect.stringContaining('unknown severity "fatal"') },
+        { rule: 'missing-ui-coverage', error: expect.stringContaining('expected "off"') }
+      ]);
+    });
+
+    it('rejects duplicate rule ids', () => {
+      const analyzer = new ProjectAnalyzer();
+      expect(() => analyzer.register(new FlagEveryStateRule('isolated-states'))).toThrow('Duplicate analyzer rule id');
+    });
+  });
+
+  describe('custom rules', () => {
+    const writeRule = (name, source) => fs.writeFileSync(path.join(dir, name), source);
+
+    it('loads definitions, classes and arrays from a directory', async () => {
+      writeRule('no-drafts.mjs', `export default {
+        analyze: (implication) => implication.metadata.className.startsWith('Draft') ? [{ title: 'Draft state' }] : []
+      };`);
+      writeRule('pair.mjs', `export default [
+        { id: 'first', analyze: () => [] },
+        { analyze: () => [] }
+      ];`);
+      writeRule('notes.txt', 'not a rule');
+
+      const { rules, errors } = await loadRulesFromDirectory(dir);
+
+      expect(errors).toEqual([]);
+      expect(rules.map(rule => rule.id)).toEqual(['no-drafts', 'first', 'pair-2']);
+      expect(rules[0].source).toBe(path.join(dir, 'no-drafts.mjs'));
+    });
+
+    it('fills in issue fields from the rule definition', async () => {
+      writeRule('no-drafts.mjs', `export default {
+        severity: 'error',
+        analyze: (implication) => implication.metadata.className.startsWith('Draft') ? [{ title: 'Draft state' }] : []
+      };`);
+      const analyzer = new ProjectAnalyzer();
+      await analyzer.loadCustomRules(dir);
+
+      const result = analyzer.analyze(discovery(dir, [
+        implication('DraftImplications', 'tests/DraftImplications.js'),
+        implication('PendingImplications')
+      ]));
+
+      expect(issuesOf(result, 'no-drafts')).toEqual([expect.objectContaining({
+        type: 'no-drafts',
+        severity: 'error',
+        stateName: 'DraftImplications',
+        location: 'tests/DraftImplications.js',
+        title: 'Draft state'
+      })]);
+    });
+
+    it('reports modules that fail to load or clash with a built-in id', async () => {
+      writeRule('broken.mjs', 'throw new Error("missing dependency");');
+      writeRule('not-a-rule.mjs', 'export default { id: "nothing" };');
+      writeRule('isolated.mjs', 'export default { id: "isolated-states", analyze: () => [] };');
+
+      const analyzer = new ProjectAnalyzer();
+      await analyzer.loadCustomRules(dir);
+
+      expect(analyzer.ruleErrors).toEqual([
+        { file: path.join(dir, 'broken.mjs'), error: 'missing dependency' },
+        { file: path.join(dir, 'not-a-rule.mjs'), error: expect.stringContaining('Expected a rule definition') },
+        { file: path.join(dir, 'isolated.mjs'), rule: 'isolated-states', error: expect.stringContaining('Duplicate') }
+      ]);
+    });
+
+    it('returns nothing for a missing directory', async () => {
+      expect(await loadRulesFromDirectory(path.join(dir, 'missing'))).toEqual({ rules: [], errors: [] });
+    });
+
+    it('keeps analyzing when a rule throws', () => {
+      const analyzer = new ProjectAnalyzer();
+      const rule = new FlagEveryStateRule('explodes');
+      rule.analyze = () => { throw new Error('boom'); };
+      analyzer.register(rule).register(new FlagEveryStateRule());
+
+      const result = analyzer.analyze(discovery(dir, [implication('PendingImplications')]));
+
+      expect(result.ruleErrors).toContainEqual({ rule: 'explodes', stateName: 'PendingImplications', error: 'boom' });
+      expect(issuesOf(result, 'flag-every-state')).toHaveLength(1);
+    });
+  });
+
+  describe('suppressions', () => {
+    it('moves suppressed issues out of the results and counts them', () => {
+      fs.writeFileSync(path.join(dir, 'Quiet.js'), '// implications-disable flag-every-state -- known\nclass Quiet {}');
+      fs.writeFileSync(path.join(dir, 'Loud.js'), 'class Loud {}');
+      const analyzer = new ProjectAnalyzer();
+      analyzer.register(new FlagEveryStateRule());
+
+      const result = analyzer.analyze(discovery(dir, [
+        implication('QuietImplications', 'Quiet.js'),
+        implication('LoudImplications', 'Loud.js')
+      ]));
+
+      expect(issuesOf(result, 'flag-every-state').map(issue => issue.stateName)).toEqual(['LoudImplications']);
+      expect(result.suppressed.map(issue => issue.stateName)).toEqual(['QuietImplications']);
+      expect(result.summary.suppressedCount).toBe(1);
+    });
+
+    it('ignores implications whose file cannot be read', () => {
+      const analyzer = new ProjectAnalyzer();
+      analyzer.register(new FlagEveryStateRule());
+
+      const result = analyzer.analyze(discovery(dir, [implication('GoneImplications', 'Gone.js')]));
+      expect(issuesOf(result, 'flag-every-state')).toHaveLength(1);
+    });
+  });
+});
+
+describe('parseSuppressions', () => {
+  it('reads names from line and block comments, ignoring reasons', () => {
+    const suppressions = parseSuppressions([
+      '// implications-disable isolated-states, missing-ui-coverage',
+      '/* implications-disable empty-inheritance -- base screens are enough */',
+      'const x = 1;'
+    ].join('\n'));
+
+    expect(suppressions.all).toBe(false);
+    expect([...suppressions.names].sort()).toEqual(['empty-inheritance', 'isolated-states', 'missing-ui-coverage']);
+  });
+
+  it('silences every rule without names', () => {
+    expect(parseSuppressions('// implications-disable -- legacy file').all).toBe(true);
+    expect(parseSuppressions('/* implications-disable */').all).toBe(true);
+  });
+
+  it('matches issues by rule id or issue type', () => {
+    const suppressions = parseSuppressions('// implications-disable isolated-state');
+
+    expect(isSuppressed(suppressions, { ruleId: 'isolated-states', type: 'isolated-state' })).toBe(true);
+    expect(isSuppressed(suppressions, { ruleId: 'missing-ui-coverage', type: 'missing-ui-coverage' })).toBe(false);
+    expect(isSuppressed(null, { ruleId: 'isolated-states' })).toBe(false);
+  });
+});
@@ -0,0 +1,271 @@
+// packages/analyzer/src/__tests__/conditionBlocks.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateGraph } from '../StateGraph.js';
+import { TestDataSchema, normalizeFieldPath } from '../TestDataSchema.js';
+import { ConditionBlockRule } from '../rules/ConditionBlockRule.js';
+
+const state = (status, metadata = {}) => ({
+  path: `tests/implications/${status}BookingImplications.js`,
+  metadata: {
+    className: `${status}BookingImplications`,
+    status,
+    hasXStateConfig: true,
+    xstateConfig: { on: {} },
+    ...metadata
+  }
+});
+
+const checks = (...list) => ({ blocks: [{ type: 'condition-check', data: { checks: list } }] });
+const check = (field, operator, value) => ({ field, operator, value });
+
+const schema = new TestDataSchema([
+  { path: 'booking.price', type: 'number', values: null },
+  { path: 'booking.status', type: 'string', values: ['pending', 'accepted'] },
+  { path: 'booking.tags', type: 'array', values: null },
+  { path: 'dancer.name', type: 'string', values: null }
+]);
+
+/**
+ * Pending with one setup entry using `conditions`, analyzed alone
+ */
+function analyzeSetup(conditions, { testDataSchema = schema, options } = {}) {
+  const pending = state('Pending', { setup: [{ testFile: 'Pending.spec.js', conditions }] });
+  const context = { implications: [pending], transitions: [], stateRegistry: null, testDataSchema };
+  context.stateGraph = new StateGraph(context);
+
+  const rule = new ConditionBlockRule();
+  if (options) rule.options = options;
+  return rule.analyze(pending, context);
+}
+
+function analyzeTransitions(transitions) {
+  const implications = [state('Pending'), state('Accepted'), state('Rejected')];
+  const context = { implications, transitions, stateRegistry: null };
+  context.stateGraph = new StateGraph(context);
+  return new ConditionBlockRule().analyze(implications[0], context);
+}
+
+const accept = (to, extra = {}) => ({ from: 'PendingBookingImplications', to, event: 'ACCEPT', ...extra });
+
+describe('TestDataSchema', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-data-schema-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('normalizes template, ctx.data and testData paths', () => {
+    expect(normalizeFieldPath('{{ booking.price }}')).toBe('booking.price');
+    expect(normalizeFieldPath('ctx.data.booking.price')).toBe('booking.price');
+    expect(normalizeFieldPath('testData.booking.price')).toBe('booking.price');
+    expect(normalizeFieldPath(undefined)).toBe('');
+  });
+
+  it('reads config.testDataSchema, with parent paths as objects', () => {
+    const read = TestDataSchema.read(tmpDir, {
+      testDataSchema: { 'booking.status': { type: 'string', values: ['pending'] }, notes: 'free text' }
+    });
+
+    expect(read.lookup('booking.status')).toEqual({
+      status: 'known',
+      field: { path: 'booking.status', type: 'string', values: ['pending'] }
+    });
+    expect(read.lookup('booking').field.type).toBe('object');
+    expect(read.lookup('notes').field.type).toBeNull();
+  });
+
+  it('walks the config.testDataPath file when there is no schema', () => {
+    fs.writeFileSync(path.join(tmpDir, 'data.json'), JSON.stringify({ booking: { price: 10, items: [{ id: 1 }] } }));
+
+    const read = TestDataSchema.read(tmpDir, { testDataPath: 'data.json' });
+
+    expect(read.lookup('booking.price').field.type).toBe('number');
+    expect(read.lookup('booking.items').field.type).toBe('array');
+    expect(read.roots()).toEqual(['booking']);
+  });
+
+  it('returns null without a schema, and warns when the test data file is unreadable', () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+      expect(TestDataSchema.read(tmpDir, {})).toBeNull();
+      expect(TestDataSchema.read(tmpDir, { testDataPath: 'missing.json' })).toBeNull();
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('missing.json');
+  });
+
+  it('looks up known, unknown and unchecked fields', () => {
+    const data = TestDataSchema.fromData({ booking: { price: 10, items: [{ id: 1 }], meta: {} }, dancer: null });
+
+    expect(data.lookup('{{booking.price}}').status).toBe('known');
+    expect(data.lookup('booking.items[0]').status).toBe('unchecked');
+    expect(data.lookup('booking.items[0].id').status).toBe('unchecked');
+    expect(data.lookup('booking.meta.anything').status).toBe('unchecked');
+    expect(data.lookup('dancer.name').status).toBe('unchecked');
+    expect(data.lookup('booking.prise')).toEqual({
+      status: 'unknown',
+      parent: 'booking',
+      candidates: ['price', 'items', 'meta']
+    });
+    expect(data.lookup('bookng.price')).toEqual({ status: 'unknown', parent: null, candidates: ['booking', 'dancer'] });
+  });
+});
+
+describe('ConditionBlockRule', () => {
+  describe('fields', () => {
+    it('reports fields the schema does not have, with similar names', () => {
+      const [issue] = analyzeSetup(checks(check('booking.prise', 'greaterThan', 10)));
+
+      expect(issue).toMatchObject({
+        type: 'unknown-condition-field',
+        title: 'Unknown Condition Field: booking.prise',
+        details: { field: 'booking.prise', usedIn: ['setup #1'], similar: ['booking.price'] }
+      });
+    });
+
+    it('does not report fields that are stored, always available or configured as known', () => {
+      expect(analyzeSetup(checks(check('bookingRef', 'exists')), { options: { knownVariables: ['bookingRef'] } })).toEqual([]);
+      expect(analyzeSetup(checks(check('booking.price', 'greaterThan', 10)))).toEqual([]);
+    });
+
+    it('skips field and type checks without a schema', () => {
+      expect(analyzeSetup(checks(check('anything.at.all', 'equals', 1)), { testDataSchema: null })).toEqual([]);
+    });
+  });
+
+  describe('operators and values', () => {
+    it('reports unknown operators with the closest one', () => {
+      const [issue] = analyzeSetup(checks(check('booking.price', 'greaterThen', 10)));
+
+      expect(issue).toMatchObject({
+        type: 'condition-type-mismatch',
+        severity: 'error',
+        title: 'Unknown Operator: greaterThen'
+      });
+      expect(issue.message).toContain('Did you mean "greaterThan"?');
+      expect(issue.suggestions[0].data.operator).toBe('greaterThan');
+    });
+
+    it('reports values that make the check always false', () => {
+      const titles = analyzeSetup(checks(
+        check('booking.price', 'lessThan', 'cheap'),
+        check('booking.status', 'in', 'pending'),
+        check('dancer.name', 'matches', '([a-z]')
+      )).map(issue => issue.title);
+
+      expect(titles).toEqual([
+        'Non-numeric Value: booking.price lessThan',
+        'List Expected: booking.status in',
+        'Invalid Pattern: dancer.name matches'
+      ]);
+    });
+
+    it('does not check values of variable checks', () => {
+      expect(analyzeSetup(checks({ field: 'booking.price', operator: 'lessThan', value: 'maxPrice', valueType: 'variable' }))).toEqual([]);
+    });
+
+    it('reports operators and values of the wrong type for the field', () => {
+      const issues = analyzeSetup(checks(
+        check('dancer.name', 'greaterThan', 5),
+        check('booking.price', 'equals', '10'),
+        check('booking.tags', 'equals', 'vip')
+      ));
+
+      expect(issues.map(issue => issue.title)).toEqual([
+        'Type Mismatch: dancer.name greaterThan',
+        'Type Mismatch: booking.price equals',
+        'Type Mismatch: booking.tags equals'
+      ]);
+      expect(issues.every(issue => issue.severity === 'warning')).toBe(true);
+    });
+
+    it('reports values outside the schema values', () => {
+      const [issue] = analyzeSetup(checks(check('booking.status', 'in', ['pending', 'cancelled'])));
+
+      expect(issue.title).toBe('Value Not Allowed: booking.status');
+      expect(issue.message).toContain('"cancelled"');
+    });
+  });
+
+  describe('custom code', () => {
+    it('reports blocks that do not parse', () => {
+      const [issue] = analyzeSetup({
+        blocks: [
+          { type: 'custom-code', label: 'Paid', code: 'return testData.booking.paid ===' },
+          { type: 'custom-code', code: 'return true;' },
+          { type: 'custom-code', code: 'return (', enabled: false }
+        ]
+      });
+
+      expect(issue).toMatchObject({ type: 'invalid-custom-code', severity: 'error', title: 'Invalid Custom Code: Paid' });
+    });
+  });
+
+  describe('contradictions', () => {
+    it('reports checks on one field that can never all hold', () => {
+      const [issue] = analyzeSetup(checks(
+        check('booking.price', 'greaterThan', 100),
+        check('booking.price', 'lessThan', 50)
+      ));
+
+      expect(issue).toMatchObject({
+        type: 'contradictory-conditions',
+        details: { kind: 'unsatisfiable', where: 'setup #1', field: 'booking.price' }
+      });
+    });
+
+    it('does not decide "any" conditions or satisfiable checks', () => {
+      expect(analyzeSetup({
+        mode: 'any',
+        blocks: [
+          { type: 'condition-check', data: { checks: [check('booking.status', 'equals', 'pending')] } },
+          { type: 'condition-check', data: { checks: [check('booking.status', 'equals', 'accepted')] } }
+        ]
+      })).toEqual([]);
+      expect(analyzeSetup(checks(
+        check('booking.status', 'in', ['pending', 'accepted']),
+        check('booking.status', 'notEquals', 'pending')
+      ))).toEqual([]);
+    });
+
+    it('reports sibling variants whose conditions can match the same test data', () => {
+      const [issue] = analyzeTransitions([
+        accept('accepted', { conditions: checks(check('booking.price', 'greaterThan', 10)) }),
+        accept('rejected', { requires: { 'booking.price': 50 } })
+      ]);
+
+      expect(issue).toMatchObject({
+        type: 'contradictory-conditions',
+        title: 'Overlapping Conditions: ACCEPT',
+        details: { kind: 'overlapping', event: 'ACCEPT' }
+      });
+      expect(issue.details.variants.map(variant => variant.target)).toEqual(['accepted', 'rejected']);
+    });
+
+    it('does not report exclusive variants, defaults or separate platforms', () => {
+      const priced = (operator, extra = {}) => accept('accepted', {
+        conditions: checks(check('booking.price', operator, 10)),
+        ...extra
+      });
+      const cheap = (extra = {}) => accept('rejected', { conditions: checks(check('booking.price', 'lessThanOrEqual', 10)), ...extra });
+
+      expect(analyzeTransitions([priced('greaterThan'), cheap()])).toEqual([]);
+      expect(analyzeTransitions([priced('greaterThanOrEqual', { isDefault: true }), cheap()])).toEqual([]);
+      expect(analyzeTransitions([
+        priced('greaterThanOrEqual', { platforms: ['web'] }),
+        cheap({ platforms: ['dancer'] })
+      ])).toEqual([]);
+    });
+  });
+});
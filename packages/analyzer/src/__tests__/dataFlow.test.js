@@ -0,0 +1,200 @@
+// packages/analyzer/src/__tests__/dataFlow.test.js
+
+import { StateGraph } from '../StateGraph.js';
+import { TestDataSchema } from '../TestDataSchema.js';
+import { UnresolvedVariableRule } from '../rules/UnresolvedVariableRule.js';
+import {
+  computeDataFlow,
+  rootOf,
+  storedVariables,
+  templateVariables,
+  transitionDefinition
+} from '../dataFlow.js';
+
+const state = (status, metadata = {}) => ({
+  path: `tests/implications/${status}BookingImplications.js`,
+  metadata: {
+    className: `${status}BookingImplications`,
+    status,
+    hasXStateConfig: true,
+    xstateConfig: { on: {} },
+    ...metadata
+  }
+});
+
+const transition = (from, event, to, extra = {}) => ({
+  from: `${from}BookingImplications`,
+  to,
+  event,
+  ...extra
+});
+
+function buildContext(implications, transitions, extra = {}) {
+  const context = { implications, transitions, stateRegistry: null, ...extra };
+  context.stateGraph = new StateGraph(context);
+  return context;
+}
+
+/**
+ *   Pending --ACCEPT (web: stores bookingRef)--> Accepted
+ *           --ACCEPT (dancer: stores nothing)--> Accepted
+ */
+const platformVariants = () => state('Pending', {
+  initial: true,
+  xstateConfig: {
+    on: {
+      ACCEPT: [
+        { target: '#accepted', platforms: ['web'], actionDetails: { steps: [{ storeAs: 'bookingRef' }] } },
+        { target: 'accepted', platforms: ['dancer'], actionDetails: { steps: [{ description: 'tap {{booking.price}}' }] } }
+      ]
+    }
+  }
+});
+
+describe('template helpers', () => {
+  it('finds {{variables}} and ctx.data references anywhere in a value', () => {
+    const variables = templateVariables({
+      steps: [{ args: ['{{ booking.price }}', 'ctx.data.passengers[0].name'] }],
+      text: 'Hello {{user}}'
+    });
+
+    expect([...variables].sort()).toEqual(['booking.price', 'passengers[0].name', 'user']);
+  });
+
+  it('collects storeAs names, optionally only persisted ones', () => {
+    const value = { steps: [{ storeAs: 'bookingRef' }, { storeAs: 'draft', persistStoreAs: false }] };
+
+    expect([...storedVariables(value)]).toEqual(['bookingRef', 'draft']);
+    expect([...storedVariables(value, { persistedOnly: true })]).toEqual(['bookingRef']);
+  });
+
+  it('takes the root of dotted and indexed paths', () => {
+    expect(rootOf('booking.price')).toBe('booking');
+    expect(rootOf('passengers[0].name')).toBe('passengers');
+  });
+});
+
+describe('transitionDefinition', () => {
+  it('returns the platform variant behind each edge', () => {
+    const context = buildContext([platformVariants(), state('Accepted')], [
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['web'] }),
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['dancer'] })
+    ]);
+    const [web, dancer] = context.stateGraph.outgoing('PendingBookingImplications');
+
+    expect(transitionDefinition(context.stateGraph, web).platforms).toEqual(['web']);
+    expect(transitionDefinition(context.stateGraph, dancer).platforms).toEqual(['dancer']);
+  });
+
+  it('returns the single definition of a plain event, or {} for a string target', () => {
+    const context = buildContext([
+      state('Pending', { xstateConfig: { on: { ACCEPT: { target: 'accepted', actionDetails: { steps: [] } }, CANCEL: 'cancelled' } } }),
+      state('Accepted'),
+      state('Cancelled')
+    ], [
+      transition('Pending', 'ACCEPT', 'accepted'),
+      transition('Pending', 'CANCEL', 'cancelled')
+    ]);
+    const [accept, cancel] = context.stateGraph.outgoing('PendingBookingImplications');
+
+    expect(transitionDefinition(context.stateGraph, accept).actionDetails).toEqual({ steps: [] });
+    expect(transitionDefinition(context.stateGraph, cancel)).toEqual({});
+  });
+});
+
+describe('computeDataFlow', () => {
+  it('keeps only variables stored on every path into a state', () => {
+    const context = buildContext([platformVariants(), state('Accepted', { entryAssignments: { acceptedAt: '<function>' } }), state('Paid')], [
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['web'] }),
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['dancer'] }),
+      transition('Accepted', 'PAY', 'paid')
+    ]);
+
+    const flow = computeDataFlow(context.stateGraph);
+
+    expect([...flow.availableIn.get('AcceptedBookingImplications')]).toEqual([]);
+    expect([...flow.availableIn.get('PaidBookingImplications')]).toEqual(['acceptedAt']);
+    expect(flow.producedOn('bookingRef')).toEqual(['PendingBookingImplications --ACCEPT-->']);
+  });
+
+  it('stores variables of a single-platform variant for its edge', () => {
+    const context = buildContext([platformVariants(), state('Accepted')], [
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['web'] })
+    ]);
+
+    expect([...computeDataFlow(context.stateGraph).availableIn.get('AcceptedBookingImplications')]).toEqual(['bookingRef']);
+  });
+});
+
+describe('UnresolvedVariableRule', () => {
+  const schema = TestDataSchema.fromData({
+    booking: { price: 100, status: 'pending' },
+    passengers: [{ name: 'Ana' }],
+    user: { name: 'Ana' }
+  });
+
+  const analyze = (accepted, { extraTransitions = [], options = {}, testDataSchema = schema } = {}) => {
+    const context = buildContext([platformVariants(), accepted, state('Paid')], [
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['web'] }),
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['dancer'] }),
+      ...extraTransitions
+    ], {
+      testDataSchema,
+      testDataFields: testDataSchema ? new Set(testDataSchema.roots()) : null
+    });
+    const rule = new UnresolvedVariableRule();
+    rule.options = options;
+    return rule.analyze(accepted, context);
+  };
+
+  const withUI = (text) => state('Accepted', {
+    uiCoverage: { platforms: { web: { screens: { bookingDetails: [{ visible: [text] }] } } } }
+  });
+
+  it('reports nested paths the schema does not know', () => {
+    const [issue] = analyze(withUI('{{booking.stauts}}'));
+
+    expect(issue).toMatchObject({
+      title: 'Unresolved Variable: {{booking.stauts}}',
+      details: { variable: 'booking.stauts', parent: 'booking', candidates: ['price', 'status'] }
+    });
+    expect(issue.message).toContain('booking has no such field');
+    expect(issue.suggestions[0].data).toEqual({ field: 'booking.stauts' });
+  });
+
+  it('accepts known nested paths and paths below arrays', () => {
+    expect(analyze(withUI('{{booking.status}} {{passengers[0].name}} {{passengers[0].age}}'))).toEqual([]);
+  });
+
+  it('reports unknown top-level fields', () => {
+    const [issue] = analyze(withUI('{{invoice.number}}'));
+
+    expect(issue.details.variable).toBe('invoice.number');
+    expect(issue.message).toContain('not in the test data and no upstream state');
+  });
+
+  it('reports variables stored on only some paths', () => {
+    const [issue] = analyze(withUI('{{bookingRef}}'));
+
+    expect(issue.details.producedOn).toEqual(['PendingBookingImplications --ACCEPT-->']);
+    expect(issue.message).toContain('not on every path');
+  });
+
+  it('checks actionDetails of each platform variant', () => {
+    const context = buildContext([platformVariants(), state('Accepted')], [
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['web'] }),
+      transition('Pending', 'ACCEPT', 'accepted', { platforms: ['dancer'] })
+    ], { testDataSchema: TestDataSchema.fromData({ user: {} }), testDataFields: new Set(['user']) });
+
+    const [issue] = new UnresolvedVariableRule().analyze(context.implications[0], context);
+    expect(issue.details).toMatchObject({ variable: 'booking.price', usedIn: ['ACCEPT actionDetails'] });
+  });
+
+  it('only checks top-level fields given as an option', () => {
+    expect(analyze(withUI('{{booking.stauts}}'), { options: { testDataFields: ['booking'] } })).toEqual([]);
+  });
+
+  it('reports nothing without test data information', () => {
+    expect(analyze(withUI('{{anything}}'), { testDataSchema: null })).toEqual([]);
+  });
+});
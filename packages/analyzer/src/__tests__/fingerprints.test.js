@@ -0,0 +1,83 @@
+// packages/analyzer/src/__tests__/fingerprints.test.js
+
+import { ProjectAnalyzer } from '../index.js';
+import { Issue } from '../types/issues.js';
+
+const issue = (overrides = {}) => Object.assign(new Issue({
+  severity: 'warning',
+  type: 'unsatisfiable-requires',
+  stateName: 'AcceptedBookingImplications',
+  title: 'Unsatisfiable Requires: PAY',
+  message: 'PAY can never fire',
+  location: 'tests/implications/AcceptedBookingImplications.js',
+  details: { event: 'PAY', target: 'PaidBookingImplications' },
+  affectedFields: ['xstateConfig.on.PAY.requires'],
+  ...overrides
+}), { ruleId: overrides.ruleId || 'unsatisfiable-requires' });
+
+const fingerprints = (issues, projectPath) => {
+  new ProjectAnalyzer().assignIds(issues, projectPath);
+  return issues.map(i => i.fingerprint);
+};
+
+describe('issue fingerprints', () => {
+  it('ignore title, message and severity', () => {
+    const [before] = fingerprints([issue()]);
+    const [after] = fingerprints([issue({ title: 'Requires can never be met: PAY', message: 'reworded', severity: 'error' })]);
+
+    expect(after).toBe(before);
+  });
+
+  it('do not depend on the order or number of other issues', () => {
+    const [alone] = fingerprints([issue()]);
+    const [, withOthers] = fingerprints([
+      issue({ details: { event: 'REFUND', target: 'RefundedBookingImplications' }, title: 'Unsatisfiable Requires: REFUND' }),
+      issue()
+    ]);
+
+    expect(withOthers).toBe(alone);
+  });
+
+  it('differ by rule, file, state and event or field', () => {
+    const [base, ...others] = fingerprints([
+      issue(),
+      issue({ ruleId: 'custom-requires' }),
+      issue({ location: 'tests/implications/OtherImplications.js' }),
+      issue({ stateName: 'PaidBookingImplications' }),
+      issue({ details: { event: 'REFUND' } })
+    ]);
+
+    expect(new Set([base, ...others]).size).toBe(5);
+  });
+
+  it('use affectedFields when details have no location', () => {
+    const noDetails = (field) => issue({ type: 'ambiguous-setup', details: {}, affectedFields: [field], title: 'Ambiguous Setup Entries' });
+    const [first, second] = fingerprints([noDetails('meta.setup[0].requires'), noDetails('meta.setup[2].requires')]);
+
+    expect(first).not.toBe(second);
+  });
+
+  it('match for absolute and project-relative locations', () => {
+    const [relative] = fingerprints([issue()], '/work/project');
+    const [absolute] = fingerprints([issue({ location: '/work/project/tests/implications/AcceptedBookingImplications.js' })], '/work/project');
+
+    expect(absolute).toBe(relative);
+  });
+
+  it('tell apart issues at the same place by title', () => {
+    const custom = (title) => issue({ ruleId: 'booking-rules', type: 'booking-rules', details: {}, affectedFields: [], title });
+    const [a, b, c] = fingerprints([custom('Price not validated'), custom('Currency missing'), custom('Price not validated')]);
+
+    expect(new Set([a, b, c]).size).toBe(3);
+  });
+
+  it('keep ids readable and unique', () => {
+    const issues = [issue(), issue()];
+    fingerprints(issues);
+
+    expect(issues.map(i => i.id)).toEqual([
+      'unsatisfiable-requires:AcceptedBookingImplications:Unsatisfiable Requires: PAY',
+      'unsatisfiable-requires:AcceptedBookingImplications:Unsatisfiable Requires: PAY#2'
+    ]);
+  });
+});
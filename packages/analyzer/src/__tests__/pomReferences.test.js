@@ -0,0 +1,116 @@
+// packages/analyzer/src/__tests__/pomReferences.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { createProjectAnalyzer, PomIndex } from '../index.js';
+
+const BOOKING_PAGE = `class BookingPage {
+  constructor(page) {
+    this.page = page;
+  }
+
+  get confirmButton() {
+    return this.page.locator('#confirm');
+  }
+
+  async confirm(reason) {
+    await this.confirmButton.click();
+  }
+}
+
+module.exports = BookingPage;
+`;
+
+const pending = (screen) => ({
+  path: 'tests/implications/PendingBookingImplications.js',
+  metadata: {
+    className: 'PendingBookingImplications',
+    status: 'Pending',
+    hasXStateConfig: true,
+    hasMirrorsOn: true,
+    xstateConfig: { on: {} },
+    uiCoverage: { platforms: { web: { screens: { bookingDetails: [screen] } } } }
+  }
+});
+
+const analyzeWith = (analyzer, projectPath, screen) => analyzer.analyze({
+  projectPath,
+  files: { implications: [pending(screen)] },
+  transitions: []
+});
+
+describe('pom-references', () => {
+  let projectPath;
+  let log;
+  let warn;
+  let error;
+
+  beforeEach(() => {
+    [log, warn, error] = [console.log, console.warn, console.error];
+    console.log = console.warn = console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pom-references-'));
+    fs.mkdirSync(path.join(projectPath, 'tests/screens'), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, 'tests/screens/bookingPage.screen.js'), BOOKING_PAGE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    [console.log, console.warn, console.error] = [log, warn, error];
+  });
+
+  it('discovers the project POMs and reports unknown elements', async () => {
+    const analyzer = await createProjectAnalyzer(projectPath, {});
+
+    expect(analyzer.pomIndex.names()).toEqual(expect.arrayContaining(['bookingPage.screen', 'BookingPage']));
+
+    const result = analyzeWith(analyzer, projectPath, { screen: 'bookingPage.screen', visible: ['confirmButton', 'cancelButton'] });
+    const issues = result.issues.filter(issue => issue.ruleId === 'pom-references');
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toContain('cancelButton');
+    expect(result.ruleErrors).toEqual([]);
+  });
+
+  describe('when POM discovery fails', () => {
+    const discover = PomIndex.discover;
+
+    beforeEach(() => {
+      PomIndex.discover = async () => { throw new Error("Cannot find package 'glob'"); };
+    });
+
+    afterEach(() => {
+      PomIndex.discover = discover;
+    });
+
+    it('reports the rule as failed instead of skipping it', async () => {
+      const analyzer = await createProjectAnalyzer(projectPath, {});
+      const result = analyzeWith(analyzer, projectPath, { screen: 'bookingPage.screen', visible: ['cancelButton'] });
+
+      const failures = result.issues.filter(issue => issue.type === 'rule-failed');
+      expect(failures).toEqual([expect.objectContaining({
+        ruleId: 'pom-references',
+        severity: 'error',
+        title: 'Rule Could Not Run: pom-references',
+        details: { rule: 'pom-references', error: "POM discovery failed: Cannot find package 'glob'" }
+      })]);
+      expect(result.summary.errorCount).toBeGreaterThanOrEqual(1);
+      expect(result.ruleErrors).toContainEqual({ rule: 'pom-references', error: "POM discovery failed: Cannot find package 'glob'" });
+    });
+
+    it('uses the configured severity for the failure', async () => {
+      const analyzer = await createProjectAnalyzer(projectPath, { analysis: { rules: { 'pom-references': 'info' } } });
+      const [failure] = analyzeWith(analyzer, projectPath, {}).issues.filter(issue => issue.type === 'rule-failed');
+
+      expect(failure.severity).toBe('info');
+    });
+
+    it('does not run discovery when the rule is off', async () => {
+      const analyzer = await createProjectAnalyzer(projectPath, { analysis: { rules: { 'pom-references': 'off' } } });
+      const result = analyzeWith(analyzer, projectPath, {});
+
+      expect(result.issues.filter(issue => issue.type === 'rule-failed')).toEqual([]);
+      expect(result.ruleErrors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// packages/analyzer/src/__tests__/reporters.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { SarifReporter } from '../reporters/SarifReporter.js';
+import { JUnitReporter } from '../reporters/JUnitReporter.js';
+
+const ISSUES = [
+  {
+    type: 'broken-transition',
+    severity: 'error',
+    title: 'Broken transition',
+    message: 'ACCEPT points to "acepted" which does not exist',
+    stateName: 'PendingBookingImplications',
+    location: 'tests/implications/PendingBookingImplications.js',
+    details: { event: 'ACCEPT' }
+  },
+  {
+    type: 'isolated-state',
+    severity: 'warning',
+    title: 'Isolated state <archived>',
+    message: 'No transitions in or out & no setup',
+    stateName: 'ArchivedBookingImplications'
+  },
+  {
+    type: 'missing-ui',
+    severity: 'info',
+    title: 'No UI coverage',
+    message: 'mirrorsOn is empty',
+    stateName: 'PendingBookingImplications'
+  }
+];
+
+const PENDING_SOURCE = `class PendingBookingImplications {
+  static xstateConfig = {
+    on: {
+      ACCEPT: 'acepted'
+    }
+  };
+}
+`;
+
+describe('SarifReporter', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-'));
+    fs.mkdirSync(path.join(projectPath, 'tests/implications'), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, 'tests/implications/PendingBookingImplications.js'), PENDING_SOURCE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('builds one rule per issue type and maps severities to levels', () => {
+    const report = new SarifReporter({ projectPath }).build({ issues: ISSUES });
+    const [run] = report.runs;
+
+    expect(report.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['broken-transition', 'isolated-state', 'missing-ui']);
+    expect(run.results.map(result => result.level)).toEqual(['error', 'warning', 'note']);
+    expect(run.results[1].ruleIndex).toBe(1);
+  });
+
+  it('points results at the line of the transition event', () => {
+    const report = new SarifReporter({ projectPath }).build({ issues: ISSUES });
+    const [location] = report.runs[0].results[0].locations;
+
+    expect(location.physicalLocation.artifactLocation.uri).toBe('tests/implications/PendingBookingImplications.js');
+    expect(location.physicalLocation.region.startLine).toBe(4);
+  });
+
+  it('falls back to line 1 when the source file cannot be read', () => {
+    const report = new SarifReporter({ projectPath }).build({
+      issues: [{ ...ISSUES[0], location: 'tests/implications/Missing.js' }]
+    });
+
+    expect(report.runs[0].results[0].locations[0].physicalLocation.region.startLine).toBe(1);
+  });
+
+  it('omits locations for issues without a source file', () => {
+    const report = new SarifReporter({ projectPath }).build({ issues: ISSUES });
+    expect(report.runs[0].results[1].locations).toBeUndefined();
+  });
+
+  it('writes the report, creating the output directory', () => {
+    const outputPath = path.join(projectPath, 'reports/nested/analysis.sarif');
+    new SarifReporter({ projectPath }).write({ issues: ISSUES }, outputPath);
+
+    expect(JSON.parse(fs.readFileSync(outputPath, 'utf-8')).runs[0].results).toHaveLength(3);
+  });
+});
+
+describe('JUnitReporter', () => {
+  const implications = [
+    { path: 'tests/implications/PendingBookingImplications.js', metadata: { className: 'PendingBookingImplications' } },
+    { path: 'tests/implications/AcceptedBookingImplications.js', metadata: { className: 'AcceptedBookingImplications' } }
+  ];
+
+  it('creates a passing testcase for implications without issues', () => {
+    const xml = new JUnitReporter().build({ issues: ISSUES, timestamp: '2026-01-01T00:00:00Z' }, implications);
+
+    expect(xml).toContain('<testcase name="AcceptedBookingImplications" classname="tests/implications/AcceptedBookingImplications.js"/>');
+    expect(xml).toContain('tests="3" failures="1"');
+  });
+
+  it('reports errors as failures and lower severities as system-out by default', () => {
+    const xml = new JUnitReporter().build({ issues: ISSUES }, implications);
+
+    expect(xml).toContain('<failure type="broken-transition" message="Broken transition">');
+    expect(xml).not.toContain('<failure type="isolated-state"');
+    expect(xml).toContain('<system-out>[info] No UI coverage');
+  });
+
+  it('fails on warnings with failOn: warning', () => {
+    const xml = new JUnitReporter({ failOn: 'warning' }).build({ issues: ISSUES }, implications);
+
+    expect(xml).toContain('<failure type="isolated-state"');
+    expect(xml).toContain('failures="2"');
+  });
+
+  it('escapes XML special characters', () => {
+    const xml = new JUnitReporter({ failOn: 'warning' }).build({ issues: ISSUES }, []);
+
+    expect(xml).toContain('message="Isolated state &lt;archived&gt;"');
+    expect(xml).toContain('No transitions in or out &amp; no setup');
+  });
+});
@@ -0,0 +1,137 @@
+// packages/analyzer/src/__tests__/scenarioRules.test.js
+
+import { ProjectAnalyzer } from '../index.js';
+import { patternOf } from '../rules/BaseRule.js';
+import { ScenarioCoverageRule } from '../rules/ScenarioCoverageRule.js';
+import { ScenarioFieldsRule } from '../rules/ScenarioFieldsRule.js';
+
+const screens = (...texts) => ({ screens: { heroBlock: [{ visible: texts }] } });
+
+const heroModule = ({ scenarios = {}, platforms = {} } = {}) => ({
+  path: 'tests/implications/HeroModuleImplications.js',
+  metadata: {
+    className: 'HeroModuleImplications',
+    isStateless: true,
+    hasScenarios: Object.keys(scenarios).length > 0,
+    hasMirrorsOn: Object.keys(platforms).length > 0,
+    scenarios,
+    uiCoverage: { platforms }
+  }
+});
+
+describe('patternOf', () => {
+  it('tells CMS modules from state machines', () => {
+    expect(patternOf(heroModule())).toBe('stateless');
+    expect(patternOf({ metadata: { hasScenarios: true, hasXStateConfig: false } })).toBe('stateless');
+    expect(patternOf({ metadata: { hasScenarios: true, hasXStateConfig: true } })).toBe('stateful');
+  });
+});
+
+describe('ScenarioCoverageRule', () => {
+  const rule = new ScenarioCoverageRule();
+
+  it('reports a module without scenarios', () => {
+    const issues = rule.analyze(heroModule({ platforms: { web: screens('{{title}}') } }));
+
+    expect(issues.map(issue => issue.type)).toEqual(['missing-scenarios']);
+    expect(issues[0].details).toEqual({ platforms: ['web'] });
+  });
+
+  it('reports scenarios nothing verifies', () => {
+    const [issue] = rule.analyze(heroModule({ scenarios: { MINIMAL: { title: 'Hi' } } }));
+
+    expect(issue).toMatchObject({
+      type: 'incomplete-scenario-coverage',
+      severity: 'warning',
+      title: 'Scenarios Never Verified',
+      details: { scenarios: ['MINIMAL'] }
+    });
+  });
+
+  it('reports scenarios only checked in the CMS', () => {
+    const [issue] = rule.analyze(heroModule({
+      scenarios: { MINIMAL: { title: 'Hi' } },
+      platforms: { cms: screens('{{title}}'), backoffice: screens('{{title}}') }
+    }));
+
+    expect(issue).toMatchObject({ severity: 'info', title: 'Only Verified in the CMS' });
+  });
+
+  it('accepts scenarios verified on the site', () => {
+    expect(rule.analyze(heroModule({
+      scenarios: { MINIMAL: { title: 'Hi' } },
+      platforms: { cms: screens('{{title}}'), web: screens('{{title}}') }
+    }))).toEqual([]);
+  });
+});
+
+describe('ScenarioFieldsRule', () => {
+  const rule = new ScenarioFieldsRule();
+
+  const scenarios = {
+    MINIMAL: { title: 'Hi' },
+    FULL: { title: 'Hello', subtitle: 'World', cta: { label: 'Go' } }
+  };
+
+  it('only applies to modules with scenarios', () => {
+    expect(rule.appliesTo(heroModule())).toBe(false);
+    expect(rule.appliesTo(heroModule({ scenarios }))).toBe(true);
+  });
+
+  it('reports fields no scenario defines', () => {
+    const [issue] = rule.analyze(heroModule({ scenarios, platforms: { web: screens('{{heading}}') } }));
+
+    expect(issue).toMatchObject({
+      type: 'undefined-scenario-field',
+      severity: 'warning',
+      details: { field: 'heading', usedIn: ['web'], missingFrom: ['MINIMAL', 'FULL'] }
+    });
+  });
+
+  it('reports fields only some scenarios define, once per root field', () => {
+    const [issue, ...rest] = rule.analyze(heroModule({
+      scenarios,
+      platforms: {
+        web: screens('{{subtitle}}', '{{cta.label}}'),
+        cms: screens('{{subtitle}}')
+      }
+    }));
+
+    expect(rest.map(i => i.details.field)).toEqual(['cta']);
+    expect(issue).toMatchObject({
+      type: 'partial-scenario-field',
+      severity: 'info',
+      details: { field: 'subtitle', usedIn: ['web', 'cms'], missingFrom: ['MINIMAL'] },
+      affectedFields: ['SCENARIOS.MINIMAL']
+    });
+  });
+
+  it('ignores always-available and configured known variables', () => {
+    const configured = new ScenarioFieldsRule();
+    configured.options = { knownVariables: ['tenant'] };
+
+    expect(configured.analyze(heroModule({
+      scenarios,
+      platforms: { web: screens('{{title}} {{lang}} {{tenant.name}}') }
+    }))).toEqual([]);
+  });
+});
+
+describe('stateless rule set', () => {
+  it('only runs stateless rules on CMS modules', () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const analyzer = new ProjectAnalyzer();
+      const result = analyzer.analyze({
+        files: { implications: [heroModule({ scenarios: { MINIMAL: {} }, platforms: { web: screens('{{title}}') } })] },
+        transitions: []
+      });
+
+      expect(result.ruleErrors).toEqual([]);
+      expect([...new Set(result.issues.map(issue => issue.ruleId))]).toEqual(['scenario-fields']);
+    } finally {
+      console.log = log;
+    }
+  });
+});
@@ -0,0 +1,247 @@
+// packages/analyzer/src/__tests__/stateGraph.test.js
+
+import { StateGraph } from '../StateGraph.js';
+import { UnreachableStateRule } from '../rules/UnreachableStateRule.js';
+import { UnmarkedFinalStateRule } from '../rules/UnmarkedFinalStateRule.js';
+import { TrappedCycleRule } from '../rules/TrappedCycleRule.js';
+import { UnsatisfiableRequiresRule } from '../rules/UnsatisfiableRequiresRule.js';
+
+/**
+ * Booking flow used by most tests:
+ *
+ *   Pending --ACCEPT--> Accepted --COMPLETE--> Completed (final)
+ *   Archived --RESTORE--> Pending           (never reached)
+ */
+const state = (status, metadata = {}) => ({
+  path: `tests/implications/${status}BookingImplications.js`,
+  metadata: {
+    className: `${status}BookingImplications`,
+    status,
+    hasXStateConfig: true,
+    xstateConfig: { on: {} },
+    ...metadata
+  }
+});
+
+const transition = (from, event, to, extra = {}) => ({
+  from: `${from}BookingImplications`,
+  to: to.toLowerCase(),
+  event,
+  ...extra
+});
+
+function buildContext({ implications, transitions }) {
+  const context = { implications, transitions, stateRegistry: null };
+  context.stateGraph = new StateGraph(context);
+  return context;
+}
+
+function bookingFlow({ extraStates = [], extraTransitions = [] } = {}) {
+  return buildContext({
+    implications: [
+      state('Pending', { setup: [{ testFile: 'createBooking.spec.js' }], xstateConfig: { on: { ACCEPT: 'accepted' } } }),
+      state('Accepted', { xstateConfig: { on: { COMPLETE: 'completed' } } }),
+      state('Completed', { terminal: true }),
+      state('Archived', { xstateConfig: { on: { RESTORE: 'pending' } } }),
+      ...extraStates
+    ],
+    transitions: [
+      transition('Pending', 'ACCEPT', 'accepted'),
+      transition('Accepted', 'COMPLETE', 'completed'),
+      transition('Archived', 'RESTORE', 'pending'),
+      ...extraTransitions
+    ]
+  });
+}
+
+const run = (rule, context, status) => {
+  const implication = context.implications.find(impl => impl.metadata.status === status);
+  return rule.appliesTo(implication) ? rule.analyze(implication, context) : [];
+};
+
+describe('StateGraph', () => {
+  it('resolves transition ends by class name or status', () => {
+    const graph = bookingFlow().stateGraph;
+
+    expect(graph.resolve('accepted')).toBe('AcceptedBookingImplications');
+    expect(graph.resolve('AcceptedBookingImplications')).toBe('AcceptedBookingImplications');
+    expect(graph.resolve('missing')).toBeNull();
+    expect(graph.outgoing('PendingBookingImplications').map(edge => edge.to)).toEqual(['AcceptedBookingImplications']);
+  });
+
+  it('keeps transitions to unknown states aside', () => {
+    const graph = bookingFlow({ extraTransitions: [transition('Pending', 'LOSE', 'nowhere')] }).stateGraph;
+    expect(graph.unresolved.map(t => t.event)).toEqual(['LOSE']);
+  });
+
+  it('starts from configured, then marked, then source states', () => {
+    const graph = bookingFlow().stateGraph;
+
+    expect(graph.initialStates(['accepted'])).toEqual(['AcceptedBookingImplications']);
+    expect(graph.initialStates()).toEqual(['PendingBookingImplications']);
+
+    const unmarked = buildContext({
+      implications: [state('Pending'), state('Accepted')],
+      transitions: [transition('Pending', 'ACCEPT', 'accepted')]
+    }).stateGraph;
+    expect(unmarked.initialStates()).toEqual(['PendingBookingImplications']);
+  });
+
+  it('walks successors and predecessors', () => {
+    const graph = bookingFlow().stateGraph;
+
+    expect([...graph.reachableFrom(['PendingBookingImplications'])].sort()).toEqual([
+      'AcceptedBookingImplications', 'CompletedBookingImplications', 'PendingBookingImplications'
+    ]);
+    expect([...graph.predecessorsOf('AcceptedBookingImplications')].sort()).toEqual([
+      'AcceptedBookingImplications', 'ArchivedBookingImplications', 'PendingBookingImplications'
+    ]);
+  });
+});
+
+describe('UnreachableStateRule', () => {
+  const rule = new UnreachableStateRule();
+
+  it('reports states no initial state leads to', () => {
+    const [issue] = run(rule, bookingFlow(), 'Archived');
+
+    expect(issue).toMatchObject({
+      type: 'unreachable-state',
+      stateName: 'ArchivedBookingImplications',
+      details: { initialStates: ['PendingBookingImplications'] }
+    });
+  });
+
+  it('does not report reachable or completely isolated states', () => {
+    const context = bookingFlow({ extraStates: [state('Orphan')] });
+
+    expect(run(rule, context, 'Completed')).toEqual([]);
+    expect(run(rule, context, 'Orphan')).toEqual([]);
+  });
+
+  it('honours the initialStates option', () => {
+    const configured = new UnreachableStateRule();
+    configured.options = { initialStates: ['archived'] };
+
+    expect(run(configured, bookingFlow(), 'Archived')).toEqual([]);
+  });
+});
+
+describe('UnmarkedFinalStateRule', () => {
+  const rule = new UnmarkedFinalStateRule();
+
+  it('reports dead ends that look final but are not marked', () => {
+    const context = bookingFlow({
+      extraStates: [state('Cancelled')],
+      extraTransitions: [transition('Pending', 'CANCEL', 'cancelled')]
+    });
+
+    const [issue] = run(rule, context, 'Cancelled');
+    expect(issue).toMatchObject({
+      type: 'unmarked-final-state',
+      details: { incomingFrom: ['PendingBookingImplications (CANCEL)'] }
+    });
+    expect(issue.suggestions[0].data).toEqual({ addToMeta: { terminal: true } });
+  });
+
+  it('ignores marked states, states with events and ordinary names', () => {
+    const context = bookingFlow({
+      extraStates: [
+        state('Cancelled', { xstateConfig: { type: 'final', on: {} } }),
+        state('Deleted', { xstateConfig: { on: { RESTORE: 'pending' } } }),
+        state('Waiting')
+      ]
+    });
+
+    expect(run(rule, context, 'Completed')).toEqual([]);
+    expect(run(rule, context, 'Cancelled')).toEqual([]);
+    expect(run(rule, context, 'Deleted')).toEqual([]);
+    expect(run(rule, context, 'Waiting')).toEqual([]);
+  });
+});
+
+describe('TrappedCycleRule', () => {
+  const rule = new TrappedCycleRule();
+
+  const withLoop = (extraTransitions = [], extraStates = []) => bookingFlow({
+    extraStates: [state('Disputed'), state('Reviewed'), ...extraStates],
+    extraTransitions: [
+      transition('Accepted', 'DISPUTE', 'disputed'),
+      transition('Disputed', 'REVIEW', 'reviewed'),
+      transition('Reviewed', 'REOPEN', 'disputed'),
+      ...extraTransitions
+    ]
+  });
+
+  it('reports a cycle without exit once, on its first state', () => {
+    const context = withLoop();
+
+    const [issue] = run(rule, context, 'Disputed');
+    expect(issue.details.states).toEqual(['DisputedBookingImplications', 'ReviewedBookingImplications']);
+    expect(issue.details.transitions).toEqual([
+      'DisputedBookingImplications --REVIEW--> ReviewedBookingImplications',
+      'ReviewedBookingImplications --REOPEN--> DisputedBookingImplications'
+    ]);
+    expect(run(rule, context, 'Reviewed')).toEqual([]);
+  });
+
+  it('reports a state that only transitions to itself', () => {
+    const context = bookingFlow({
+      extraStates: [state('Stuck')],
+      extraTransitions: [transition('Pending', 'STALL', 'stuck'), transition('Stuck', 'RETRY', 'stuck')]
+    });
+
+    expect(run(rule, context, 'Stuck')).toHaveLength(1);
+  });
+
+  it('does not report cycles with an exit or a final member', () => {
+    expect(run(rule, withLoop([transition('Reviewed', 'RESOLVE', 'completed')]), 'Disputed')).toEqual([]);
+
+    const final = withLoop();
+    final.implications.find(impl => impl.metadata.status === 'Reviewed').metadata.terminal = true;
+    expect(run(rule, buildContext(final), 'Disputed')).toEqual([]);
+  });
+});
+
+describe('UnsatisfiableRequiresRule', () => {
+  const rule = new UnsatisfiableRequiresRule();
+
+  const withRequires = (requires, entryAssignments) => buildContext({
+    implications: [
+      state('Pending', { entryAssignments }),
+      state('Accepted'),
+      state('Paid')
+    ],
+    transitions: [
+      transition('Pending', 'ACCEPT', 'accepted'),
+      transition('Accepted', 'PAY', 'paid', { requires })
+    ]
+  });
+
+  it('reports requires no predecessor assignment can meet', () => {
+    const [issue] = run(rule, withRequires({ paymentMethod: 'card' }, { paymentMethod: 'cash' }), 'Accepted');
+
+    expect(issue).toMatchObject({
+      type: 'unsatisfiable-requires',
+      title: 'Unsatisfiable Requires: PAY',
+      details: {
+        event: 'PAY',
+        conflicts: [{ field: 'paymentMethod', required: 'card', assignedBy: ['PendingBookingImplications: "cash"'] }]
+      }
+    });
+  });
+
+  it('checks operators against literal assignments', () => {
+    expect(run(rule, withRequires({ amount: { greaterThan: 100 } }, { amount: 50 }), 'Accepted')).toHaveLength(1);
+    expect(run(rule, withRequires({ amount: { greaterThan: 10 } }, { amount: 50 }), 'Accepted')).toEqual([]);
+    expect(run(rule, withRequires({ method: { oneOf: ['card', 'cash'] } }, { method: 'cash' }), 'Accepted')).toEqual([]);
+    expect(run(rule, withRequires({ method: { oneOf: ['card'] } }, { method: 'cash' }), 'Accepted')).toHaveLength(1);
+  });
+
+  it('does not report fields nobody assigns or assigns dynamically', () => {
+    expect(run(rule, withRequires({ paymentMethod: 'card' }, {}), 'Accepted')).toEqual([]);
+    expect(run(rule, withRequires({ paymentMethod: 'card' }, { paymentMethod: '<function>' }), 'Accepted')).toEqual([]);
+    expect(run(rule, withRequires({ paymentMethod: 'card' }, { paymentMethod: '{{method}}' }), 'Accepted')).toEqual([]);
+    expect(run(rule, withRequires({ previousStatus: 'pending' }, { previousStatus: 'other' }), 'Accepted')).toEqual([]);
+  });
+});
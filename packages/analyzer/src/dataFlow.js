@@ -0,0 +1,176 @@
+// packages/analyzer/src/dataFlow.js
+
+const TEMPLATE_PATTERN = /\{\{([^}]+)\}\}/g;
+const CTX_DATA_PATTERN = /ctx\.data\.([a-zA-Z0-9_$]+(?:\.[a-zA-Z0-9_$]+|\[\d+\])*)/g;
+
+/**
+ * Fields every test run has (config / runtime), plus {{timestamp}}.
+ * Same list as the web app's computePathDataFlow.
+ */
+export const ALWAYS_AVAILABLE = new Set([
+  'lang', 'device', 'baseUrl', 'config', 'status', 'environment',
+  'platform', 'timeout', 'retries', 'timestamp'
+]);
+
+/**
+ * 'booking.price' / 'passengers[0].name' → 'booking' / 'passengers'
+ */
+export function rootOf(variable) {
+  return variable.split(/[.[]/)[0];
+}
+
+/**
+ * Call visit() for every object and string nested in `value`
+ */
+function deepScan(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach(item => deepScan(item, visit));
+  } else if (value && typeof value === 'object') {
+    visit(value);
+    Object.values(value).forEach(item => deepScan(item, visit));
+  } else if (typeof value === 'string') {
+    visit(value);
+  }
+}
+
+/**
+ * Variables read by {{var}} templates (and ctx.data.X references) anywhere in `value`
+ */
+export function templateVariables(value) {
+  const variables = new Set();
+
+  deepScan(value, (text) => {
+    if (typeof text !== 'string') return;
+    for (const match of text.matchAll(TEMPLATE_PATTERN)) {
+      variables.add(match[1].trim());
+    }
+    for (const match of text.matchAll(CTX_DATA_PATTERN)) {
+      variables.add(match[1]);
+    }
+  });
+
+  return variables;
+}
+
+/**
+ * storeAs names anywhere in `value`. With persistedOnly, entries marked
+ * persistStoreAs: false (kept for the current test only) are left out.
+ */
+export function storedVariables(value, { persistedOnly = false } = {}) {
+  const variables = new Set();
+
+  deepScan(value, (node) => {
+    if (typeof node === 'object' && typeof node.storeAs === 'string') {
+      if (!persistedOnly || node.persistStoreAs !== false) {
+        variables.add(node.storeAs);
+      }
+    }
+  });
+
+  return variables;
+}
+
+const samePlatforms = (a, b) =>
+  JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+
+/**
+ * The xstateConfig.on definition behind a graph edge (has actionDetails,
+ * which discovery's transition list doesn't carry). Discovery makes one
+ * edge per platform variant of an event; the variant is matched by target,
+ * then platforms.
+ */
+export function transitionDefinition(graph, edge) {
+  const on = graph.nodes.get(edge.from)?.implication.metadata.xstateConfig?.on || {};
+  const definition = on[edge.event];
+
+  if (Array.isArray(definition)) {
+    const sameTarget = definition.filter(variant =>
+      variant && typeof variant === 'object' &&
+      graph.resolve(String(variant.target || '').replace(/^#/, '')) === edge.to
+    );
+    return sameTarget.find(variant => samePlatforms(variant.platforms, edge.transition?.platforms)) ||
+      (sameTarget.length === 1 ? sameTarget[0] : {});
+  }
+
+  return definition && typeof definition === 'object' ? definition : {};
+}
+
+/**
+ * Variables a state adds for everything downstream of it: entry
+ * assignments, xstate context and persisted storeAs in its mirrorsOn
+ */
+function producedByState(implication) {
+  const metadata = implication.metadata;
+  return new Set([
+    ...Object.keys(metadata.entryAssignments || {}),
+    ...Object.keys(metadata.xstateContext || {}),
+    ...storedVariables(metadata.uiCoverage?.platforms, { persistedOnly: true })
+  ]);
+}
+
+/**
+ * Must-available analysis over the state graph: for every state reachable
+ * from an initial state, the variables produced upstream on EVERY path into
+ * it (test data and ALWAYS_AVAILABLE are not included - check those
+ * separately). Unreachable states are absent from the maps.
+ *
+ * @returns {{ availableIn: Map<string, Set>, availableOut: Map<string, Set>, producedOn: Function }}
+ */
+export function computeDataFlow(graph, { initialStates } = {}) {
+  const initial = new Set(graph.initialStates(initialStates));
+  const reachable = [...graph.reachableFrom([...initial])];
+
+  const gen = new Map(reachable.map(name => [name, producedByState(graph.nodes.get(name).implication)]));
+  const edgeGen = (edge) => storedVariables(transitionDefinition(graph, edge).actionDetails);
+
+  // null = not computed yet (top of the lattice); sets only shrink
+  const availableIn = new Map(reachable.map(name => [name, initial.has(name) ? new Set() : null]));
+  const availableOut = new Map();
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    for (const name of reachable) {
+      let incoming = availableIn.get(name);
+
+      if (!initial.has(name)) {
+        for (const edge of graph.incoming(name)) {
+          const upstream = availableOut.get(edge.from);
+          if (!upstream) continue;
+
+          const viaEdge = new Set([...upstream, ...edgeGen(edge)]);
+          incoming = incoming ? new Set([...incoming].filter(v => viaEdge.has(v))) : viaEdge;
+        }
+      }
+
+      if (!incoming) continue;
+
+      const outgoing = new Set([...incoming, ...gen.get(name)]);
+      const previous = availableOut.get(name);
+      availableIn.set(name, incoming);
+      availableOut.set(name, outgoing);
+
+      // Sets only ever shrink, so a size change is a change
+      if (!previous || previous.size !== outgoing.size) {
+        changed = true;
+      }
+    }
+  }
+
+  // Where a variable is produced at all (for messages)
+  const producedOn = (variable) => {
+    const root = rootOf(variable);
+    const sources = [];
+    for (const name of graph.nodes.keys()) {
+      const node = graph.nodes.get(name);
+      if (producedByState(node.implication).has(root)) sources.push(name);
+      for (const edge of node.outgoing) {
+        if (edgeGen(edge).has(root)) sources.push(`${edge.from} --${edge.event}-->`);
+      }
+    }
+    return sources;
+  };
+
+  return { availableIn, availableOut, producedOn };
+}
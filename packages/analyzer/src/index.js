@@ -1,21 +1,167 @@
 // packages/analyzer/src/index.js (UPDATE)
 
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import { BrokenTransitionRule } from './rules/BrokenTransitionRule.js';
 import { IsolatedStateRule } from './rules/IsolatedStateRule.js';
 import { MissingTransitionsRule } from './rules/MissingTransitionsRule.js';
 import { MissingUICoverageRule } from './rules/MissingUICoverageRule.js';
 import { EmptyInheritanceRule } from './rules/EmptyInheritanceRule.js';
-import { AnalysisResult, AnalysisSummary } from './types/issues.js';
+import { UnreachableStateRule } from './rules/UnreachableStateRule.js';
+import { UnmarkedFinalStateRule } from './rules/UnmarkedFinalStateRule.js';
+import { TrappedCycleRule } from './rules/TrappedCycleRule.js';
+import { UnsatisfiableRequiresRule } from './rules/UnsatisfiableRequiresRule.js';
+import { UnresolvedVariableRule } from './rules/UnresolvedVariableRule.js';
+import { PomReferenceRule } from './rules/PomReferenceRule.js';
+import { AmbiguousTransitionRule } from './rules/AmbiguousTransitionRule.js';
+import { ScenarioCoverageRule } from './rules/ScenarioCoverageRule.js';
+import { ScenarioFieldsRule } from './rules/ScenarioFieldsRule.js';
+import { ConditionBlockRule } from './rules/ConditionBlockRule.js';
+import { patternOf } from './rules/BaseRule.js';
+import { StateGraph } from './StateGraph.js';
+import { PomIndex } from './PomIndex.js';
+import { TestDataSchema } from './TestDataSchema.js';
+import { AnalysisResult, AnalysisSummary, Issue, IssueSeverity, IssueType } from './types/issues.js';
+import { loadRulesFromDirectory, DEFAULT_RULES_DIR } from './ruleLoader.js';
+import { parseSuppressions, isSuppressed } from './suppressions.js';
+
+export { SarifReporter } from './reporters/SarifReporter.js';
+export { JUnitReporter } from './reporters/JUnitReporter.js';
+export { BaseRule, patternOf } from './rules/BaseRule.js';
+export { CustomRule } from './rules/CustomRule.js';
+export { DEFAULT_RULES_DIR } from './ruleLoader.js';
+export { StateGraph } from './StateGraph.js';
+export { PomIndex } from './PomIndex.js';
+export { TestDataSchema } from './TestDataSchema.js';
+
+const SEVERITIES = Object.values(IssueSeverity);
+
+// Issue details that say where in a state an issue is (event, field, ...)
+const LOCATION_DETAILS = ['event', 'targetName', 'target', 'variable', 'field', 'kind', 'reference', 'where', 'rule'];
+
+/**
+ * Normalize one analysis.rules entry:
+ *   'off' | false               → disabled
+ *   'on' | true                 → enabled, rule's own severities
+ *   'error' | 'warning' | 'info' → enabled, every issue gets this severity
+ *   { enabled, severity, options }
+ */
+function normalizeRuleSetting(name, setting) {
+  if (setting === false || setting === 'off') return { enabled: false };
+  if (setting === true || setting === 'on') return { enabled: true };
+  if (typeof setting === 'string') setting = { severity: setting };
+
+  if (!setting || typeof setting !== 'object') {
+    throw new Error(`analysis.rules["${name}"]: expected "off", a severity or an object`);
+  }
+  if (setting.severity && !SEVERITIES.includes(setting.severity)) {
+    throw new Error(`analysis.rules["${name}"]: unknown severity "${setting.severity}" (use ${SEVERITIES.join(', ')})`);
+  }
+
+  return { enabled: setting.enabled !== false, severity: setting.severity || null, options: setting.options };
+}
 
 export class ProjectAnalyzer {
-  constructor() {
-    this.rules = [
+  /**
+   * @param {Object} options
+   * @param {Object} options.rules - analysis.rules from ai-testing.config.js,
+   *   keyed by rule id or issue type
+   * @param {TestDataSchema} options.testDataSchema - Test data fields and
+   *   types (null if unknown), for UnresolvedVariableRule and ConditionBlockRule
+   * @param {string[]} options.testDataFields - Top-level test data fields,
+   *   when there is no schema
+   * @param {PomIndex} options.pomIndex - Discovered POMs, for PomReferenceRule
+   */
+  constructor(options = {}) {
+    this.rules = [];
+    this.ruleErrors = [];
+    this.settings = new Map();
+    this.testDataSchema = options.testDataSchema || null;
+    this.testDataFields = options.testDataFields
+      ? new Set(options.testDataFields)
+      : (this.testDataSchema ? new Set(this.testDataSchema.roots()) : null);
+    this.pomIndex = options.pomIndex || null;
+    
+    for (const [name, setting] of Object.entries(options.rules || {})) {
+      try {
+        this.settings.set(name, normalizeRuleSetting(name, setting));
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+        this.ruleErrors.push({ rule: name, error: error.message });
+      }
+    }
+    
+    [
       new BrokenTransitionRule(),
       new IsolatedStateRule(),
       new MissingTransitionsRule(),
       new MissingUICoverageRule(),
-      new EmptyInheritanceRule()
-    ];
+      new EmptyInheritanceRule(),
+      new UnreachableStateRule(),
+      new UnmarkedFinalStateRule(),
+      new TrappedCycleRule(),
+      new UnsatisfiableRequiresRule(),
+      new UnresolvedVariableRule(),
+      new PomReferenceRule(),
+      new AmbiguousTransitionRule(),
+      new ConditionBlockRule(),
+      // Stateless (CMS) rule set
+      new ScenarioCoverageRule(),
+      new ScenarioFieldsRule()
+    ].forEach(rule => this.register(rule));
+  }
+  
+  /**
+   * Add a rule (BaseRule instance) and apply its configuration
+   */
+  register(rule) {
+    if (this.rules.some(r => r.id === rule.id)) {
+      throw new Error(`Duplicate analyzer rule id: ${rule.id}`);
+    }
+    
+    const setting = this.settings.get(rule.id);
+    if (setting) {
+      rule.enabled = setting.enabled;
+      rule.severity = setting.severity || null;
+      if (setting.options) rule.options = setting.options;
+    }
+    
+    this.rules.push(rule);
+    return this;
+  }
+  
+  /**
+   * Register every rule module in a directory (see ruleLoader.js)
+   */
+  async loadCustomRules(dir) {
+    const { rules, errors } = await loadRulesFromDirectory(dir);
+    this.ruleErrors.push(...errors);
+    
+    for (const rule of rules) {
+      try {
+        this.register(rule);
+        console.log(`  📏 Loaded custom rule: ${rule.id}`);
+      } catch (error) {
+        this.ruleErrors.push({ file: rule.source, rule: rule.id, error: error.message });
+      }
+    }
+    
+    return rules;
+  }
+  
+  /**
+   * [{ id, title, enabled, severity, pattern, source }] for listings
+   */
+  describeRules() {
+    return this.rules.map(rule => ({
+      id: rule.id,
+      title: rule.title,
+      enabled: rule.enabled,
+      severity: rule.severity,
+      pattern: rule.pattern || 'all',
+      source: rule.source || 'built-in'
+    }));
   }
   
   /**
@@ -35,31 +181,172 @@ export class ProjectAnalyzer {
       transitions,
       stateRegistry: options.stateRegistry, // ✅ Include registry
       projectPath: discoveryResult.projectPath,
-      projectType: discoveryResult.projectType
+      projectType: discoveryResult.projectType,
+      testDataFields: this.testDataFields,
+      testDataSchema: this.testDataSchema,
+      pomIndex: this.pomIndex
     };
     
+    // Whole-graph view for reachability / cycle / requires rules
+    context.stateGraph = new StateGraph(context);
+    
     const result = new AnalysisResult();
+    result.ruleErrors = [...this.ruleErrors];
+    
+    const suppressionsByFile = new Map();
+    const suppressionsFor = (implication) => {
+      if (!suppressionsByFile.has(implication.path)) {
+        suppressionsByFile.set(implication.path, this.readSuppressions(implication, context.projectPath));
+      }
+      return suppressionsByFile.get(implication.path);
+    };
     
     // Run each rule
     for (const rule of this.rules) {
+      if (!rule.enabled) {
+        console.log(`  Skipping (disabled): ${rule.id}`);
+        continue;
+      }
+      
+      // A rule that couldn't be set up is reported, not silently skipped
+      if (rule.loadError) {
+        console.warn(`⚠️  Rule ${rule.id} could not run: ${rule.loadError}`);
+        result.issues.push(this.ruleFailure(rule));
+        continue;
+      }
+      
       console.log(`  Running: ${rule.name}`);
       
       for (const implication of implications) {
-        if (rule.appliesTo(implication)) {
-          const issues = rule.analyze(implication, context);
-          result.issues.push(...issues);
+        if (rule.pattern && rule.pattern !== patternOf(implication)) continue;
+        
+        let issues;
+        try {
+          if (!rule.appliesTo(implication)) continue;
+          issues = rule.analyze(implication, context) || [];
+        } catch (error) {
+          // One broken (custom) rule shouldn't take the whole analysis down
+          console.warn(`⚠️  Rule ${rule.id} failed on ${implication.metadata?.className}: ${error.message}`);
+          result.ruleErrors.push({ rule: rule.id, stateName: implication.metadata?.className, error: error.message });
+          continue;
+        }
+        
+        for (const issue of issues) {
+          issue.ruleId = rule.id;
+          
+          const typeSetting = this.settings.get(issue.type);
+          if (typeSetting && !typeSetting.enabled) continue;
+          issue.severity = typeSetting?.severity || rule.severity || issue.severity;
+          
+          if (isSuppressed(suppressionsFor(implication), issue)) {
+            result.suppressed.push(issue);
+          } else {
+            result.issues.push(issue);
+          }
         }
       }
     }
     
+    this.assignIds([...result.issues, ...result.suppressed], context.projectPath);
+    
     // Build summary
     result.summary = this.buildSummary(result.issues);
+    result.summary.suppressedCount = result.suppressed.length;
     
     console.log(`✅ Analysis complete: ${result.summary.totalIssues} issues found`);
     
     return result;
   }
   
+  /**
+   * Project-level issue for an enabled rule whose setup failed
+   */
+  ruleFailure(rule) {
+    const issue = new Issue({
+      severity: rule.severity || IssueSeverity.ERROR,
+      type: IssueType.RULE_FAILED,
+      stateName: null,
+      title: `Rule Could Not Run: ${rule.id}`,
+      message: `${rule.loadError}. ${rule.title} checks were skipped - fix the error, or set analysis.rules["${rule.id}"] to "off".`,
+      details: { rule: rule.id, error: rule.loadError }
+    });
+    issue.ruleId = rule.id;
+    return issue;
+  }
+  
+  /**
+   * Suppression comments of an implication file (null if unreadable)
+   */
+  readSuppressions(implication, projectPath) {
+    if (!implication.path) return null;
+    
+    try {
+      const filePath = path.resolve(projectPath || '', implication.path);
+      return parseSuppressions(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Give every issue an id derived from its type, state and title, so
+   * clients can refer to it in a later request (e.g. POST /api/analysis/fix),
+   * and a fingerprint that identifies the same issue in another run.
+   * The fingerprint only uses the rule and where the issue is (file, state,
+   * event / field path), so rewording a title, changing a severity or
+   * reordering issues doesn't change it. The title only tells apart issues
+   * at the same place.
+   */
+  assignIds(issues, projectPath = null) {
+    const seen = new Map();
+    
+    for (const issue of issues) {
+      const base = `${issue.type}:${issue.stateName || 'unknown'}:${issue.title}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      issue.id = count === 1 ? base : `${base}#${count}`;
+    }
+    
+    const byPlace = new Map();
+    for (const issue of issues) {
+      const place = this.fingerprintPlace(issue, projectPath);
+      if (!byPlace.has(place)) byPlace.set(place, []);
+      byPlace.get(place).push(issue);
+    }
+    
+    for (const [place, group] of byPlace) {
+      const titles = new Map();
+      for (const issue of group) {
+        // Identical issues can't be told apart, so their order doesn't matter
+        const count = (titles.get(issue.title) || 0) + 1;
+        titles.set(issue.title, count);
+        
+        let key = group.length === 1 ? place : `${place}\0${issue.title}`;
+        if (count > 1) key += `#${count}`;
+        issue.fingerprint = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+      }
+    }
+  }
+  
+  /**
+   * Rule, file, state and the issue's event / field path (from details,
+   * else affectedFields)
+   */
+  fingerprintPlace(issue, projectPath) {
+    const details = issue.details || {};
+    let file = issue.location || details.sourceFile || '';
+    if (projectPath && path.isAbsolute(file)) {
+      file = path.relative(projectPath, file);
+    }
+    
+    const subject = LOCATION_DETAILS
+      .filter(key => ['string', 'number'].includes(typeof details[key]))
+      .map(key => `${key}=${details[key]}`);
+    const fieldPath = subject.length > 0 ? subject.join('&') : [...(issue.affectedFields || [])].sort().join(',');
+    
+    return [issue.ruleId || '', issue.type, file.split(path.sep).join('/'), issue.stateName || '', fieldPath].join('\0');
+  }
+  
   buildSummary(issues) {
     const summary = new AnalysisSummary();
     
@@ -83,4 +370,33 @@ export class ProjectAnalyzer {
     
     return summary;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Analyzer configured from ai-testing.config.js (analysis.rules), with the
+ * project's custom rules loaded from analysis.rulesDir
+ * (default .implications-framework/rules)
+ */
+export async function createProjectAnalyzer(projectPath, config = {}) {
+  const analysisConfig = config?.analysis || {};
+  const analyzer = new ProjectAnalyzer({
+    rules: analysisConfig.rules,
+    testDataSchema: TestDataSchema.read(projectPath, config)
+  });
+  
+  await analyzer.loadCustomRules(path.resolve(projectPath, analysisConfig.rulesDir || DEFAULT_RULES_DIR));
+  
+  // POM discovery parses every screen object - only when the rule will run
+  const pomRule = analyzer.rules.find(rule => rule.id === 'pom-references' && rule.enabled);
+  if (pomRule) {
+    try {
+      analyzer.pomIndex = await PomIndex.discover(projectPath);
+    } catch (error) {
+      console.warn(`⚠️  POM discovery failed: ${error.message}`);
+      pomRule.loadError = `POM discovery failed: ${error.message}`;
+      analyzer.ruleErrors.push({ rule: 'pom-references', error: pomRule.loadError });
+    }
+  }
+  
+  return analyzer;
+}
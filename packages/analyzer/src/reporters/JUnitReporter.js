@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds JUnit XML reports from an AnalysisResult.
+ *
+ * One testcase per implication; issues at or above `failOn` severity
+ * become <failure> elements, lower severities go to <system-out>.
+ */
+export class JUnitReporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.failOn - Lowest severity reported as failure ('error' | 'warning' | 'info')
+   * @param {string} options.suiteName - Testsuite name
+   */
+  constructor(options = {}) {
+    this.failOn = options.failOn || 'error';
+    this.suiteName = options.suiteName || 'implications-analysis';
+  }
+
+  /**
+   * Build the XML document
+   * @param {AnalysisResult} analysisResult
+   * @param {Array} implications - Discovered implications (so clean states show as passing)
+   * @returns {string}
+   */
+  build(analysisResult, implications = []) {
+    const cases = this.buildCases(analysisResult.issues || [], implications);
+    const failures = cases.filter(c => c.failures.length > 0).length;
+
+    const testcases = cases.map(c => {
+      const attrs = `name="${escapeXml(c.name)}" classname="${escapeXml(c.classname)}"`;
+      const body = [
+        ...c.failures.map(issue =>
+          `      <failure type="${escapeXml(issue.type)}" message="${escapeXml(issue.title)}">` +
+          `${escapeXml(this.formatIssue(issue))}</failure>`
+        ),
+        c.notes.length > 0
+          ? `      <system-out>${escapeXml(c.notes.map(issue => this.formatIssue(issue)).join('\n\n'))}</system-out>`
+          : null
+      ].filter(Boolean);
+
+      return body.length === 0
+        ? `    <testcase ${attrs}/>`
+        : `    <testcase ${attrs}>\n${body.join('\n')}\n    </testcase>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(this.suiteName)}" tests="${cases.length}" failures="${failures}">`,
+      `  <testsuite name="${escapeXml(this.suiteName)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0" timestamp="${escapeXml(analysisResult.timestamp)}">`,
+      ...testcases,
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Serialize and write the report
+   */
+  write(analysisResult, implications, outputPath) {
+    const xml = this.build(analysisResult, implications);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, xml);
+    return xml;
+  }
+
+  buildCases(issues, implications) {
+    const cases = new Map();
+
+    const getCase = (name, classname) => {
+      if (!cases.has(name)) {
+        cases.set(name, { name, classname, failures: [], notes: [] });
+      }
+      return cases.get(name);
+    };
+
+    implications.forEach(impl => {
+      getCase(impl.metadata?.className || impl.className || impl.path, impl.path);
+    });
+
+    issues.forEach(issue => {
+      const name = issue.stateName || 'unknown';
+      const testcase = getCase(name, issue.location || issue.details?.sourceFile || name);
+
+      if (this.isFailure(issue.severity)) {
+        testcase.failures.push(issue);
+      } else {
+        testcase.notes.push(issue);
+      }
+    });
+
+    return [...cases.values()];
+  }
+
+  isFailure(severity) {
+    const rank = { info: 0, warning: 1, error: 2 };
+    return (rank[severity] ?? 0) >= (rank[this.failOn] ?? 2);
+  }
+
+  formatIssue(issue) {
+    const lines = [`[${issue.severity}] ${issue.title}`, issue.message];
+    const sourceFile = issue.location || issue.details?.sourceFile;
+    if (sourceFile) lines.push(`File: ${sourceFile}`);
+    return lines.join('\n');
+  }
+}
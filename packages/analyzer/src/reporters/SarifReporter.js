@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF result levels for issue severities
+ */
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * Builds SARIF 2.1.0 reports from an AnalysisResult, for code-scanning
+ * annotations in CI (GitHub, GitLab, Azure DevOps).
+ */
+export class SarifReporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectPath - Project root, used to resolve source lines
+   * @param {string} options.toolVersion - Reported tool version
+   */
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || null;
+    this.toolVersion = options.toolVersion || '1.0.0';
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Build the SARIF log object
+   * @param {AnalysisResult} analysisResult
+   * @returns {Object}
+   */
+  build(analysisResult) {
+    const issues = analysisResult.issues || [];
+    const ruleIds = [...new Set(issues.map(issue => issue.type))];
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'implications-analyzer',
+              version: this.toolVersion,
+              rules: ruleIds.map(id => ({
+                id,
+                name: id,
+                shortDescription: { text: this.describeRule(id, issues) }
+              }))
+            }
+          },
+          results: issues.map(issue => this.buildResult(issue, ruleIds))
+        }
+      ]
+    };
+  }
+
+  /**
+   * Serialize and write the report
+   */
+  write(analysisResult, outputPath) {
+    const report = this.build(analysisResult);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  buildResult(issue, ruleIds) {
+    const result = {
+      ruleId: issue.type,
+      ruleIndex: ruleIds.indexOf(issue.type),
+      level: LEVELS[issue.severity] || 'warning',
+      message: { text: `${issue.title}: ${issue.message}` },
+      properties: {
+        stateName: issue.stateName
+      }
+    };
+
+    const sourceFile = issue.location || issue.details?.sourceFile;
+    if (sourceFile) {
+      const uri = sourceFile.split(path.sep).join('/');
+      const startLine = this.findLine(sourceFile, issue);
+
+      result.locations = [
+        {
+          physicalLocation: {
+            artifactLocation: { uri },
+            region: { startLine }
+          }
+        }
+      ];
+    }
+
+    return result;
+  }
+
+  /**
+   * Best-effort line lookup: the transition event if the issue has one,
+   * otherwise the class declaration. Falls back to line 1.
+   */
+  findLine(sourceFile, issue) {
+    const lines = this.readLines(sourceFile);
+    if (!lines) return 1;
+
+    const needles = [];
+    if (issue.details?.event) needles.push(issue.details.event);
+    if (issue.stateName) needles.push(`class ${issue.stateName}`);
+
+    for (const needle of needles) {
+      const index = lines.findIndex(line => line.includes(needle));
+      if (index !== -1) return index + 1;
+    }
+
+    return 1;
+  }
+
+  readLines(sourceFile) {
+    if (!this.projectPath) return null;
+
+    if (!this.fileCache.has(sourceFile)) {
+      const fullPath = path.resolve(this.projectPath, sourceFile);
+      try {
+        this.fileCache.set(sourceFile, fs.readFileSync(fullPath, 'utf-8').split('\n'));
+      } catch {
+        this.fileCache.set(sourceFile, null);
+      }
+    }
+
+    return this.fileCache.get(sourceFile);
+  }
+
+  describeRule(ruleId, issues) {
+    const sample = issues.find(issue => issue.type === ruleId);
+    return sample?.title || ruleId;
+  }
+}
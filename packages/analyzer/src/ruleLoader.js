@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { CustomRule } from './rules/CustomRule.js';
+
+export const DEFAULT_RULES_DIR = '.implications-framework/rules';
+
+const RULE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Turn one module export into rule instances. A file may export a rule
+ * definition object, a BaseRule subclass, or an array of either.
+ */
+function toRules(exported, file) {
+  const fallbackId = path.basename(file, path.extname(file));
+
+  return (Array.isArray(exported) ? exported : [exported]).map((entry, index) => {
+    if (typeof entry === 'function' && typeof entry.prototype?.analyze === 'function') {
+      const rule = new entry();
+      rule.source = file;
+      return rule;
+    }
+
+    if (entry && typeof entry.analyze === 'function') {
+      const id = entry.id || (index === 0 ? fallbackId : `${fallbackId}-${index + 1}`);
+      return new CustomRule({ ...entry, id }, file);
+    }
+
+    throw new Error('Expected a rule definition ({ id, analyze }) or a rule class');
+  });
+}
+
+/**
+ * Load every rule module in a directory (not recursive).
+ * Files are re-imported when they change, so a running server picks up edits.
+ *
+ * @returns {Promise<{ rules: BaseRule[], errors: Array<{ file, error }> }>}
+ */
+export async function loadRulesFromDirectory(dir) {
+  const rules = [];
+  const errors = [];
+
+  if (!fs.existsSync(dir)) {
+    return { rules, errors };
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(name => RULE_EXTENSIONS.includes(path.extname(name)))
+    .sort()
+    .map(name => path.join(dir, name));
+
+  for (const file of files) {
+    try {
+      const url = `${pathToFileURL(file).href}?v=${fs.statSync(file).mtimeMs}`;
+      const module = await import(url);
+      rules.push(...toRules(module.default ?? module, file));
+    } catch (error) {
+      console.warn(`⚠️  Could not load analyzer rule ${file}: ${error.message}`);
+      errors.push({ file, error: error.message });
+    }
+  }
+
+  return { rules, errors };
+}
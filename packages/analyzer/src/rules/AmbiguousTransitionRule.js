@@ -0,0 +1,282 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+/**
+ * Detects transition variants and setup entries the test planner can't
+ * tell apart:
+ *   - the same event on overlapping platforms leading to different targets
+ *   - the same event, target, platforms and requires listed twice
+ *   - setup entries from the same previous state whose requires can all
+ *     match the same test data (no requires matches anything)
+ *
+ * An entry marked isDefault: true is the author's pick, so groups that
+ * contain one are not reported. Variants using `conditions` blocks are
+ * left to ConditionBlockRule.
+ */
+export class AmbiguousTransitionRule extends BaseRule {
+  constructor() {
+    super('ambiguous-transitions', 'Ambiguous Transitions');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    return [
+      ...this.checkTransitions(implication, context),
+      ...this.checkSetup(implication)
+    ];
+  }
+
+  checkTransitions(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+    if (!graph?.has(className)) {
+      return [];
+    }
+
+    // event → variants, in source order. Discovery's transition list rather
+    // than graph edges, so variants with an unresolved target still count.
+    const byEvent = new Map();
+    for (const transition of context.transitions || []) {
+      if (graph.resolve(transition.from) !== className) continue;
+
+      const edge = { event: transition.event, to: graph.resolve(transition.to) || transition.to, transition };
+      if (!byEvent.has(edge.event)) byEvent.set(edge.event, []);
+      byEvent.get(edge.event).push(edge);
+    }
+
+    const issues = [];
+
+    for (const [event, edges] of byEvent) {
+      const variants = edges.filter(edge => !edge.transition.isObserver && !edge.transition.conditions?.blocks?.length);
+      const conflicting = new Set();
+      const duplicates = [];
+
+      variants.forEach((a, i) => variants.slice(i + 1).forEach(b => {
+        if (!platformsOverlap(a.transition.platforms, b.transition.platforms)) return;
+
+        const requiresA = a.transition.requires || null;
+        const requiresB = b.transition.requires || null;
+
+        if (a.to === b.to) {
+          if (JSON.stringify(requiresA) === JSON.stringify(requiresB)) duplicates.push([a, b]);
+        } else if (!requiresA === !requiresB && requiresOverlap(requiresA, requiresB)) {
+          // One with requires and one without is the planner's normal
+          // "matching requires, else default" pattern - not ambiguous
+          conflicting.add(a).add(b);
+        }
+      }));
+
+      const group = [...conflicting];
+      if (group.length > 0 && !group.some(edge => edge.transition.isDefault)) {
+        issues.push(this.conflictIssue(implication, event, group));
+      }
+
+      for (const [first, second] of duplicates) {
+        issues.push(this.duplicateIssue(implication, event, first, second));
+      }
+    }
+
+    return issues;
+  }
+
+  checkSetup(implication) {
+    const setup = implication.metadata.setup;
+    const entries = (Array.isArray(setup) ? setup : [])
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => entry && typeof entry === 'object');
+
+    const overlapping = new Set();
+    entries.forEach((a, i) => entries.slice(i + 1).forEach(b => {
+      // Entries for different previous states set up different paths
+      if ((a.entry.previousStatus || null) !== (b.entry.previousStatus || null)) return;
+      if (!platformsOverlap(entryPlatforms(a.entry), entryPlatforms(b.entry))) return;
+
+      // One with requires and one without is the planner's normal
+      // "matching requires, else default" pattern - not ambiguous
+      const requiresA = a.entry.requires || null;
+      const requiresB = b.entry.requires || null;
+      if (!requiresA === !requiresB && requiresOverlap(requiresA, requiresB)) {
+        overlapping.add(a).add(b);
+      }
+    }));
+
+    const group = [...overlapping].sort((a, b) => a.index - b.index);
+    if (group.length === 0 || group.some(({ entry }) => entry.isDefault)) {
+      return [];
+    }
+
+    const className = implication.metadata.className;
+    const describe = ({ entry, index }) =>
+      `#${index + 1} (${entry.previousStatus ? `from ${entry.previousStatus}` : 'no previousStatus'}, ${entry.requires ? `requires ${JSON.stringify(entry.requires)}` : 'no requires'})`;
+    const chosen = group[0];
+
+    return [this.createIssue({
+      severity: IssueSeverity.WARNING,
+      type: IssueType.AMBIGUOUS_SETUP,
+      stateName: className,
+      title: 'Ambiguous Setup Entries',
+      message: `Setup entries ${group.map(describe).join(', ')} overlap: the same test data can match more than one of them. Unless the current test file or event names one of them, TestPlanner falls back to the first: #${chosen.index + 1}${chosen.entry.testFile ? ` (${chosen.entry.testFile})` : ''}.`,
+      details: {
+        entries: group.map(({ entry, index }) => ({
+          index,
+          testFile: entry.testFile,
+          previousStatus: entry.previousStatus,
+          requires: entry.requires || null
+        })),
+        plannerChoice: chosen.index
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'set-default-setup',
+          title: '⭐ Mark One as Default',
+          description: 'Add isDefault: true to the setup entry the planner should fall back to',
+          autoFixable: false,
+          data: { index: chosen.index }
+        }),
+        new Suggestion({
+          action: 'narrow-setup-requires',
+          title: '🔒 Make Requires Exclusive',
+          description: 'Give each entry a requires value the others can\'t match',
+          autoFixable: false,
+          data: { indexes: group.map(({ index }) => index) }
+        })
+      ],
+      affectedFields: group.map(({ index }) => `meta.setup[${index}].requires`),
+      location: implication.path
+    })];
+  }
+
+  conflictIssue(implication, event, group) {
+    const describe = (edge) => `→ ${edge.to} (${platformText(edge.transition.platforms)}${edge.transition.requires ? `, requires ${JSON.stringify(edge.transition.requires)}` : ''})`;
+    const chosen = group[0];
+
+    return this.createIssue({
+      severity: IssueSeverity.WARNING,
+      type: IssueType.CONFLICTING_TRANSITION,
+      stateName: implication.metadata.className,
+      title: `Conflicting Transition: ${event}`,
+      message: `"${event}" can lead to different states for the same platform and test data: ${group.map(describe).join(', ')}. When more than one applies, the first listed variant wins (→ ${chosen.to}).`,
+      details: {
+        event,
+        variants: group.map(edge => ({
+          target: edge.to,
+          platforms: edge.transition.platforms || null,
+          requires: edge.transition.requires || null
+        })),
+        plannerChoice: chosen.to
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'split-platforms',
+          title: '📱 Separate Platforms',
+          description: `Give each ${event} variant its own platforms or exclusive requires`,
+          autoFixable: false,
+          data: { event }
+        }),
+        new Suggestion({
+          action: 'set-default-transition',
+          title: '⭐ Mark One as Default',
+          description: `Add isDefault: true to the ${event} variant that should win`,
+          autoFixable: false,
+          data: { event, target: chosen.to }
+        })
+      ],
+      affectedFields: [`xstateConfig.on.${event}`],
+      location: implication.path
+    });
+  }
+
+  duplicateIssue(implication, event, first, second) {
+    return this.createIssue({
+      severity: IssueSeverity.INFO,
+      type: IssueType.DUPLICATE_TRANSITION,
+      stateName: implication.metadata.className,
+      title: `Duplicate Transition: ${event} → ${first.to}`,
+      message: `"${event}" → ${first.to} is listed twice for ${platformText(overlap(first.transition.platforms, second.transition.platforms))} with the same requires. The second one is never used.`,
+      details: {
+        event,
+        target: first.to,
+        platforms: [first.transition.platforms || null, second.transition.platforms || null]
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'remove-duplicate-transition',
+          title: '🗑️ Remove Duplicate',
+          description: `Delete the repeated ${event} variant`,
+          autoFixable: false,
+          data: { event, target: first.to }
+        })
+      ],
+      affectedFields: [`xstateConfig.on.${event}`],
+      location: implication.path
+    });
+  }
+}
+
+/**
+ * Platforms of a setup entry (platform or platforms), null = any
+ */
+function entryPlatforms(entry) {
+  if (Array.isArray(entry.platforms)) return entry.platforms;
+  return entry.platform ? [entry.platform] : null;
+}
+
+/**
+ * Shared platforms (null = any platform)
+ */
+function overlap(a, b) {
+  if (!a?.length) return b?.length ? b : null;
+  if (!b?.length) return a;
+  return a.filter(platform => b.includes(platform));
+}
+
+export function platformsOverlap(a, b) {
+  const shared = overlap(a, b);
+  return shared === null || shared.length > 0;
+}
+
+function platformText(platforms) {
+  return platforms?.length ? platforms.join(', ') : 'all platforms';
+}
+
+/**
+ * What a requires value accepts: { values } for literals / oneOf,
+ * { present } / { absent } for exists, null for anything we can't compare
+ */
+function accepted(expected) {
+  if (expected === null || typeof expected !== 'object') return { values: [expected] };
+  if (expected.exists === true) return { present: true };
+  if (expected.exists === false) return { absent: true };
+  if (Array.isArray(expected.oneOf)) return { values: expected.oneOf };
+  return null;
+}
+
+function exclusive(a, b) {
+  const x = accepted(a);
+  const y = accepted(b);
+  if (!x || !y) return false;
+
+  if (x.absent || y.absent) {
+    const other = x.absent ? y : x;
+    if (other.absent) return false;
+    return other.present || other.values.every(value => value !== null && value !== undefined);
+  }
+  if (x.present || y.present) return false;
+
+  const keys = new Set(x.values.map(value => JSON.stringify(value)));
+  return !y.values.some(value => keys.has(JSON.stringify(value)));
+}
+
+/**
+ * True unless some field both requires objects check can't match the same
+ * value (null requires = no requirements)
+ */
+function requiresOverlap(a, b) {
+  if (!a || !b) return true;
+  return !Object.keys(a).some(field =>
+    Object.prototype.hasOwnProperty.call(b, field) && exclusive(a[field], b[field])
+  );
+}
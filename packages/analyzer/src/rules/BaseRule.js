@@ -1,12 +1,35 @@
 import { Issue } from '../types/issues.js';
 
+/**
+ * 'stateless' for CMS-style implications (SCENARIOS / mirrorsOn, no
+ * xstateConfig), 'stateful' for everything else
+ */
+export function patternOf(implication) {
+  const metadata = implication.metadata || {};
+  return metadata.isStateless || (!metadata.hasXStateConfig && metadata.hasScenarios) ? 'stateless' : 'stateful';
+}
+
 /**
  * Base class for all analysis rules
  */
 export class BaseRule {
-  constructor() {
+  /**
+   * @param {string} id - Used in analysis.rules config and suppression comments
+   *                      (default: kebab-case class name without "Rule")
+   * @param {string} title - Human-readable name
+   */
+  constructor(id, title) {
     this.name = this.constructor.name;
+    this.id = id || this.name
+      .replace(/Rule$/, '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase();
+    this.title = title || this.name;
     this.enabled = true;
+    this.severity = null; // Overrides the severity of every issue (from config)
+    this.options = {};    // Rule-specific options (from config)
+    this.pattern = null;  // 'stateful' | 'stateless' - only run on that kind (null = all)
+    this.loadError = null; // Set when the rule's setup failed; reported as a rule-failed issue
   }
   
   /**
@@ -34,4 +57,60 @@ export class BaseRule {
   createIssue(options) {
     return new Issue(options);
   }
-}
\ No newline at end of file
+  
+  /**
+   * Simple similarity score (Levenshtein-ish)
+   */
+  calculateSimilarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+    
+    if (longer.length === 0) return 1.0;
+    
+    const editDistance = this.levenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
+    return (longer.length - editDistance) / longer.length;
+  }
+  
+  /**
+   * Levenshtein distance
+   */
+  levenshteinDistance(str1, str2) {
+    const matrix = [];
+    
+    for (let i = 0; i <= str2.length; i++) {
+      matrix[i] = [i];
+    }
+    
+    for (let j = 0; j <= str1.length; j++) {
+      matrix[0][j] = j;
+    }
+    
+    for (let i = 1; i <= str2.length; i++) {
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1
+          );
+        }
+      }
+    }
+    
+    return matrix[str2.length][str1.length];
+  }
+  
+  /**
+   * Up to `limit` candidates closest to `name` ("did you mean"), best first
+   */
+  suggestSimilar(name, candidates, limit = 3, minScore = 0.4) {
+    return [...new Set(candidates)]
+      .map(candidate => ({ candidate, score: this.calculateSimilarity(name, candidate) }))
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+  }
+}
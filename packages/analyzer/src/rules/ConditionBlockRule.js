@@ -0,0 +1,644 @@
+import { BaseRule } from './BaseRule.js';
+import { platformsOverlap } from './AmbiguousTransitionRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+import { ALWAYS_AVAILABLE, rootOf, storedVariables } from '../dataFlow.js';
+import { normalizeFieldPath } from '../TestDataSchema.js';
+
+/**
+ * Value each operator of TestPlanner._evaluateOperator compares against
+ * (null = no value)
+ */
+const OPERATORS = {
+  equals: 'any',
+  notEquals: 'any',
+  greaterThan: 'number',
+  greaterThanOrEqual: 'number',
+  lessThan: 'number',
+  lessThanOrEqual: 'number',
+  contains: 'string',
+  notContains: 'string',
+  startsWith: 'string',
+  endsWith: 'string',
+  matches: 'string',
+  in: 'array',
+  notIn: 'array',
+  exists: null,
+  notExists: null,
+  truthy: null,
+  falsy: null
+};
+
+const PRIMITIVES = ['string', 'number', 'boolean'];
+
+/**
+ * Static checks of `conditions` blocks - the ones TestPlanner evaluates at
+ * runtime on transitions, setup entries and actionDetails steps, plus the
+ * block conditions in mirrorsOn:
+ *   - condition-check fields that aren't in the test data schema
+ *   - operators used on the wrong type of field, or with a value that
+ *     makes them always false (unknown operator, `in` without a list, ...)
+ *   - checks that can never all hold, and sibling transition variants
+ *     whose conditions can match the same test data
+ *   - custom-code blocks that don't parse
+ *
+ * Field and type checks need the test data schema (config.testDataSchema or
+ * config.testDataPath); without it only the other checks run.
+ *
+ * Options:
+ *   knownVariables - extra names to treat as always available
+ */
+export class ConditionBlockRule extends BaseRule {
+  constructor() {
+    super('condition-blocks', 'Condition Blocks');
+    this.produced = new WeakMap(); // implications → variables stored anywhere
+  }
+
+  analyze(implication, context) {
+    const sources = conditionSources(implication, context);
+    const issues = [];
+
+    const unknownFields = new Map(); // field → { lookup, places }
+    const seen = new Set();
+    const add = (issue) => {
+      const key = `${issue.title}\0${issue.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        issues.push(issue);
+      }
+    };
+
+    for (const source of sources) {
+      for (const block of enabledBlocks(source.conditions)) {
+        if (block.type === 'custom-code') {
+          const issue = this.checkCustomCode(implication, source, block);
+          if (issue) add(issue);
+          continue;
+        }
+        if (block.type !== 'condition-check') continue;
+
+        for (const check of block.data?.checks || []) {
+          this.checkField(check, source, context, unknownFields);
+          this.checkOperator(implication, source, check, context).forEach(add);
+        }
+      }
+
+      const contradiction = this.checkSatisfiable(implication, source);
+      if (contradiction) add(contradiction);
+    }
+
+    for (const [field, { lookup, places }] of unknownFields) {
+      issues.push(this.unknownFieldIssue(implication, field, lookup, places));
+    }
+
+    issues.push(...this.checkSiblings(implication, context));
+    return issues;
+  }
+
+  /**
+   * Record a check whose field the schema doesn't have and nothing stores
+   */
+  checkField(check, source, context, unknownFields) {
+    const schema = context.testDataSchema;
+    if (!schema || !check.field) return;
+
+    const field = normalizeFieldPath(check.field);
+    const root = rootOf(field);
+    const knownVariables = new Set(this.options.knownVariables || []);
+
+    if (ALWAYS_AVAILABLE.has(root) || knownVariables.has(root) || this.producedVariables(context).has(root)) {
+      return;
+    }
+
+    const lookup = schema.lookup(field);
+    if (lookup.status !== 'unknown') return;
+
+    if (!unknownFields.has(field)) unknownFields.set(field, { lookup, places: [] });
+    const { places } = unknownFields.get(field);
+    if (!places.includes(source.where)) places.push(source.where);
+  }
+
+  /**
+   * Operator / value / field type problems of one check
+   */
+  checkOperator(implication, source, check, context) {
+    const { operator, value, valueType } = check;
+    const field = normalizeFieldPath(check.field);
+    const problems = [];
+
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+      const suggestions = this.suggestSimilar(String(operator || ''), Object.keys(OPERATORS), 1);
+      return [this.typeIssue(implication, source, check, {
+        severity: IssueSeverity.ERROR,
+        title: `Unknown Operator: ${operator}`,
+        message: `${source.where}: "${field} ${operator}" uses an operator TestPlanner doesn't know, so the check is always false.${suggestions.length ? ` Did you mean "${suggestions[0]}"?` : ''}`,
+        replacement: suggestions[0] || null
+      })];
+    }
+
+    const expects = OPERATORS[operator];
+    const literal = valueType !== 'variable';
+    const known = context.testDataSchema?.lookup(field);
+    const fieldInfo = known?.status === 'known' ? known.field : null;
+    const fieldType = fieldInfo?.type || null;
+
+    // Values that make the operator always false, whatever the test data
+    if (literal) {
+      if (expects === 'number' && (value === undefined || Number.isNaN(Number(value)))) {
+        problems.push({
+          severity: IssueSeverity.ERROR,
+          title: `Non-numeric Value: ${field} ${operator}`,
+          message: `${source.where}: "${field} ${operator} ${JSON.stringify(value)}" compares with a value that isn't a number, so the check is always false.`
+        });
+      } else if (expects === 'array' && !Array.isArray(value)) {
+        problems.push({
+          severity: IssueSeverity.ERROR,
+          title: `List Expected: ${field} ${operator}`,
+          message: `${source.where}: "${field} ${operator}" needs a list value but got ${JSON.stringify(value)}, so the check is always false.`
+        });
+      } else if (operator === 'matches' && !isValidRegExp(value)) {
+        problems.push({
+          severity: IssueSeverity.ERROR,
+          title: `Invalid Pattern: ${field} matches`,
+          message: `${source.where}: ${JSON.stringify(value)} is not a valid regular expression, so the check is always false.`
+        });
+      }
+    }
+
+    // Operator used on the wrong kind of field
+    if (fieldType && expects && expects !== 'any' && expects !== 'array' && fieldType !== expects) {
+      problems.push({
+        severity: IssueSeverity.WARNING,
+        title: `Type Mismatch: ${field} ${operator}`,
+        message: `${source.where}: "${operator}" compares ${expects}s, but test data field ${field} is ${article(fieldType)}.`
+      });
+    }
+
+    // equals / in use ===, so a value of another type never matches
+    if (literal && fieldType && PRIMITIVES.includes(fieldType)) {
+      const values = expects === 'any' ? [value] : (expects === 'array' && Array.isArray(value) ? value : []);
+      const mismatched = values.filter(v => v !== null && v !== undefined && typeof v !== fieldType);
+
+      if (mismatched.length > 0) {
+        problems.push({
+          severity: IssueSeverity.WARNING,
+          title: `Type Mismatch: ${field} ${operator}`,
+          message: `${source.where}: ${field} is ${article(fieldType)} but is compared (===) with ${mismatched.map(v => JSON.stringify(v)).join(', ')}, which never matches.`
+        });
+      } else if (Array.isArray(fieldInfo.values) && ['equals', 'in'].includes(operator)) {
+        const outside = values.filter(v => !fieldInfo.values.includes(v));
+        if (outside.length > 0) {
+          problems.push({
+            severity: IssueSeverity.WARNING,
+            title: `Value Not Allowed: ${field}`,
+            message: `${source.where}: ${outside.map(v => JSON.stringify(v)).join(', ')} is not one of the schema's values for ${field} (${fieldInfo.values.map(v => JSON.stringify(v)).join(', ')}).`
+          });
+        }
+      }
+    } else if (fieldType && ['array', 'object'].includes(fieldType) && ['equals', 'in'].includes(operator) && literal) {
+      problems.push({
+        severity: IssueSeverity.WARNING,
+        title: `Type Mismatch: ${field} ${operator}`,
+        message: `${source.where}: ${field} is ${article(fieldType)}; "${operator}" compares with === and never matches ${article(fieldType)}.`
+      });
+    }
+
+    return problems.map(problem => this.typeIssue(implication, source, check, problem));
+  }
+
+  checkCustomCode(implication, source, block) {
+    if (typeof block.code !== 'string') return null;
+
+    try {
+      // Compiled the same way TestPlanner does, never called
+      new Function('testData', 'storedVariables', block.code);
+      return null;
+    } catch (error) {
+      return this.createIssue({
+        severity: IssueSeverity.ERROR,
+        type: IssueType.INVALID_CUSTOM_CODE,
+        stateName: implication.metadata.className,
+        title: `Invalid Custom Code: ${block.label || source.where}`,
+        message: `${source.where}: the custom-code block${block.label ? ` "${block.label}"` : ''} doesn't parse (${error.message}). TestPlanner treats it as not met.`,
+        details: { where: source.where, blockId: block.id || null, error: error.message },
+        suggestions: [
+          new Suggestion({
+            action: 'fix-custom-code',
+            title: '💻 Fix the Code',
+            description: 'The block body must be valid JavaScript that returns true or false',
+            autoFixable: false,
+            data: { blockId: block.id || null }
+          })
+        ],
+        affectedFields: [source.field],
+        location: implication.path
+      });
+    }
+  }
+
+  /**
+   * Checks of one source that can never all hold
+   */
+  checkSatisfiable(implication, source) {
+    const checks = conjunctiveChecks(source.conditions);
+    if (!checks) return null;
+
+    for (const [field, fieldChecks] of groupByField(checks)) {
+      if (fieldChecks.length < 2 || fieldSatisfiable(fieldChecks)) continue;
+
+      const described = fieldChecks.map(describeCheck).join(' and ');
+      return this.createIssue({
+        severity: IssueSeverity.ERROR,
+        type: IssueType.CONTRADICTORY_CONDITIONS,
+        stateName: implication.metadata.className,
+        title: `Contradictory Conditions: ${source.where}`,
+        message: `${source.where} requires ${described}. No test data satisfies that, so ${source.kind === 'transition' ? 'the transition is never taken' : 'the conditions are never met'}.`,
+        details: { kind: 'unsatisfiable', where: source.where, field, checks: fieldChecks },
+        suggestions: [
+          new Suggestion({
+            action: 'edit-conditions',
+            title: '✏️ Fix the Conditions',
+            description: `Remove or change one of the checks on ${field}`,
+            autoFixable: false,
+            data: { field }
+          })
+        ],
+        affectedFields: [source.field],
+        location: implication.path
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Variants of one event leading to different targets whose conditions
+   * (or requires) can match the same test data. Pairs without any
+   * conditions blocks are AmbiguousTransitionRule's.
+   */
+  checkSiblings(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+    if (!graph?.has(className)) return [];
+
+    const byEvent = new Map();
+    for (const transition of context.transitions || []) {
+      if (transition.isObserver || graph.resolve(transition.from) !== className) continue;
+      if (!byEvent.has(transition.event)) byEvent.set(transition.event, []);
+      byEvent.get(transition.event).push(transition);
+    }
+
+    const issues = [];
+
+    for (const [event, variants] of byEvent) {
+      const overlapping = new Set();
+
+      variants.forEach((a, i) => variants.slice(i + 1).forEach(b => {
+        if (!a.conditions?.blocks?.length && !b.conditions?.blocks?.length) return;
+        if ((graph.resolve(a.to) || a.to) === (graph.resolve(b.to) || b.to)) return;
+        if (!platformsOverlap(a.platforms, b.platforms)) return;
+
+        const checksA = variantChecks(a);
+        const checksB = variantChecks(b);
+        // Unconstrained variant = the planner's default, undecidable = not reported
+        if (!checksA?.length || !checksB?.length) return;
+
+        const combined = groupByField([...checksA, ...checksB]);
+        if ([...combined.values()].every(fieldSatisfiable)) {
+          overlapping.add(a).add(b);
+        }
+      }));
+
+      const group = variants.filter(variant => overlapping.has(variant));
+      if (group.length === 0 || group.some(variant => variant.isDefault)) continue;
+
+      const describe = (variant) => `→ ${variant.to} (${variantChecks(variant).map(describeCheck).join(', ')})`;
+      issues.push(this.createIssue({
+        severity: IssueSeverity.WARNING,
+        type: IssueType.CONTRADICTORY_CONDITIONS,
+        stateName: className,
+        title: `Overlapping Conditions: ${event}`,
+        message: `The conditions of "${event}" variants ${group.map(describe).join(', ')} can all hold for the same test data, so the planner can't tell which target the test data leads to. The first listed variant wins (→ ${group[0].to}).`,
+        details: {
+          kind: 'overlapping',
+          event,
+          variants: group.map(variant => ({
+            target: variant.to,
+            platforms: variant.platforms || null,
+            checks: variantChecks(variant)
+          }))
+        },
+        suggestions: [
+          new Suggestion({
+            action: 'edit-conditions',
+            title: '🔒 Make Conditions Exclusive',
+            description: `Add a check that tells the ${event} variants apart`,
+            autoFixable: false,
+            data: { event }
+          }),
+          new Suggestion({
+            action: 'set-default-transition',
+            title: '⭐ Mark One as Default',
+            description: `Add isDefault: true to the ${event} variant that should win`,
+            autoFixable: false,
+            data: { event, target: group[0].to }
+          })
+        ],
+        affectedFields: [`xstateConfig.on.${event}`],
+        location: implication.path
+      }));
+    }
+
+    return issues;
+  }
+
+  unknownFieldIssue(implication, field, lookup, places) {
+    const parentPrefix = lookup.parent ? `${lookup.parent}.` : '';
+    const [name, ...rest] = field.slice(parentPrefix.length).split('.');
+    const similar = this.suggestSimilar(name, lookup.candidates)
+      .map(candidate => [`${parentPrefix}${candidate}`, ...rest].join('.'));
+
+    const suggestions = similar.map(candidate => new Suggestion({
+      action: 'rename-condition-field',
+      title: `✏️ Use ${candidate}`,
+      description: `Change the condition field "${field}" to "${candidate}"`,
+      autoFixable: false,
+      data: { field, replacement: candidate }
+    }));
+    suggestions.push(new Suggestion({
+      action: 'add-test-data-field',
+      title: '📋 Add to Test Data',
+      description: `Add "${field}" to testDataSchema or the test data file`,
+      autoFixable: false,
+      data: { field }
+    }));
+
+    return this.createIssue({
+      severity: IssueSeverity.WARNING,
+      type: IssueType.UNKNOWN_CONDITION_FIELD,
+      stateName: implication.metadata.className,
+      title: `Unknown Condition Field: ${field}`,
+      message: `${places.join(', ')} check${places.length === 1 ? 's' : ''} "${field}", which is not ${lookup.parent ? `a field of ${lookup.parent}` : 'a test data field'} and is never stored, so it is always undefined.${similar.length ? ` Did you mean ${similar.map(s => `"${s}"`).join(' or ')}?` : ''}`,
+      details: { field, usedIn: places, similar },
+      suggestions,
+      affectedFields: places,
+      location: implication.path
+    });
+  }
+
+  typeIssue(implication, source, check, { severity, title, message, replacement = null }) {
+    return this.createIssue({
+      severity,
+      type: IssueType.CONDITION_TYPE_MISMATCH,
+      stateName: implication.metadata.className,
+      title,
+      message,
+      details: {
+        where: source.where,
+        field: normalizeFieldPath(check.field),
+        operator: check.operator,
+        value: check.value
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'edit-condition-check',
+          title: replacement ? `✏️ Use ${replacement}` : '✏️ Fix the Check',
+          description: replacement
+            ? `Change the operator to "${replacement}"`
+            : 'Change the operator or the value so the check can match',
+          autoFixable: false,
+          data: { where: source.where, field: check.field, operator: replacement || check.operator }
+        })
+      ],
+      affectedFields: [source.field],
+      location: implication.path
+    });
+  }
+
+  /**
+   * Root names anything in the project stores (storeAs, entry, context) -
+   * condition fields can read those at runtime
+   */
+  producedVariables(context) {
+    const implications = context.implications || [];
+    if (!this.produced.has(implications)) {
+      const variables = new Set();
+      for (const { metadata = {} } of implications) {
+        Object.keys(metadata.entryAssignments || {}).forEach(name => variables.add(name));
+        Object.keys(metadata.xstateContext || {}).forEach(name => variables.add(name));
+        storedVariables(metadata.uiCoverage?.platforms).forEach(name => variables.add(name));
+        storedVariables(metadata.xstateConfig?.on).forEach(name => variables.add(name));
+      }
+      this.produced.set(implications, variables);
+    }
+    return this.produced.get(implications);
+  }
+}
+
+/**
+ * Every `conditions` object of an implication:
+ * { kind, where, field, conditions }
+ */
+function conditionSources(implication, context) {
+  const metadata = implication.metadata || {};
+  const className = metadata.className;
+  const sources = [];
+  const push = (kind, where, field, conditions) => {
+    if (conditions?.blocks?.length) sources.push({ kind, where, field, conditions });
+  };
+
+  const graph = context.stateGraph;
+  if (graph?.has(className)) {
+    for (const transition of context.transitions || []) {
+      if (graph.resolve(transition.from) !== className) continue;
+      push('transition', `${transition.event} → ${transition.to}`, `xstateConfig.on.${transition.event}`, transition.conditions);
+    }
+  }
+
+  for (const [event, definition] of Object.entries(metadata.xstateConfig?.on || {})) {
+    const variants = Array.isArray(definition) ? definition : [definition];
+    variants.forEach(variant => {
+      (variant?.actionDetails?.steps || []).forEach((step, index) => {
+        push('step', `${event} step ${index + 1}${step?.description ? ` "${step.description}"` : ''}`,
+          `xstateConfig.on.${event}.actionDetails.steps[${index}]`, step?.conditions);
+      });
+    });
+  }
+
+  const setup = metadata.setup || metadata.xstateConfig?.meta?.setup;
+  (Array.isArray(setup) ? setup : (setup ? [setup] : [])).forEach((entry, index) => {
+    push('setup', `setup #${index + 1}`, `meta.setup[${index}].conditions`, entry?.conditions);
+  });
+
+  for (const [platform, platformData] of Object.entries(metadata.uiCoverage?.platforms || {})) {
+    for (const [screen, definitions] of Object.entries(platformData?.screens || {})) {
+      for (const definition of Array.isArray(definitions) ? definitions : [definitions]) {
+        (definition?.blocks || []).forEach(block => {
+          push('mirrorsOn', `mirrorsOn ${platform}.${screen} "${block.label || block.type}"`,
+            `mirrorsOn.${platform}.${screen}`, block.conditions);
+        });
+      }
+    }
+  }
+
+  return sources;
+}
+
+function enabledBlocks(conditions) {
+  return (conditions?.blocks || []).filter(block => block && block.enabled !== false);
+}
+
+/**
+ * Literal checks of conditions that must all hold (mode 'all' throughout),
+ * or null when that can't be decided statically (mode 'any', custom code)
+ */
+function conjunctiveChecks(conditions) {
+  const blocks = enabledBlocks(conditions);
+  if (conditions?.mode === 'any' && blocks.length > 1) return null;
+
+  const checks = [];
+  for (const block of blocks) {
+    if (block.type !== 'condition-check') return null;
+
+    const blockChecks = block.data?.checks || [];
+    if (block.mode === 'any' && blockChecks.length > 1) return null;
+
+    for (const check of blockChecks) {
+      if (check.valueType === 'variable' || !check.field) continue;
+      checks.push({ field: normalizeFieldPath(check.field), operator: check.operator, value: check.value });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * What a transition variant needs from the test data, as checks: its
+ * conditions if it has any (they take precedence in TestPlanner), else its
+ * requires. Null when undecidable.
+ */
+function variantChecks(transition) {
+  if (transition.conditions?.blocks?.length) {
+    return conjunctiveChecks(transition.conditions);
+  }
+
+  const checks = [];
+  for (const [field, expected] of Object.entries(transition.requires || {})) {
+    if (field === 'previousStatus') continue;
+
+    if (expected === null || typeof expected !== 'object') {
+      checks.push({ field, operator: 'equals', value: expected });
+    } else if (expected.exists === true || expected.exists === false) {
+      checks.push({ field, operator: expected.exists ? 'exists' : 'notExists' });
+    } else if (Array.isArray(expected.oneOf)) {
+      checks.push({ field, operator: 'in', value: expected.oneOf });
+    } else {
+      return null;
+    }
+  }
+  return checks;
+}
+
+function groupByField(checks) {
+  const byField = new Map();
+  for (const check of checks) {
+    if (!byField.has(check.field)) byField.set(check.field, []);
+    byField.get(check.field).push(check);
+  }
+  return byField;
+}
+
+/**
+ * Whether some value of one field passes every check (following
+ * _evaluateOperator: === for equals/in, Number() for comparisons).
+ * String operators are not modelled and never make checks contradict.
+ */
+function fieldSatisfiable(checks) {
+  let candidates = null; // values allowed by equals / in
+  const excluded = new Set();
+  let present = false;
+  let absent = false;
+  let truthy = false;
+  let falsy = false;
+  let numeric = false;
+  let low = -Infinity;
+  let lowStrict = false;
+  let high = Infinity;
+  let highStrict = false;
+
+  const key = (value) => JSON.stringify(value);
+  const restrict = (values) => {
+    const keys = new Set(values.map(key));
+    candidates = candidates === null ? values : candidates.filter(value => keys.has(key(value)));
+  };
+
+  for (const { operator, value } of checks) {
+    const number = Number(value);
+    switch (operator) {
+      case 'equals': restrict([value]); break;
+      case 'in': if (Array.isArray(value)) restrict(value); else return false; break;
+      case 'notEquals': excluded.add(key(value)); break;
+      case 'notIn': if (Array.isArray(value)) value.forEach(v => excluded.add(key(v))); else return false; break;
+      case 'exists': present = true; break;
+      case 'notExists': absent = true; break;
+      case 'truthy': truthy = true; break;
+      case 'falsy': falsy = true; break;
+      case 'greaterThan':
+      case 'greaterThanOrEqual':
+        if (Number.isNaN(number)) return false;
+        numeric = true;
+        if (number > low || (number === low && operator === 'greaterThan')) {
+          low = number;
+          lowStrict = operator === 'greaterThan';
+        }
+        break;
+      case 'lessThan':
+      case 'lessThanOrEqual':
+        if (Number.isNaN(number)) return false;
+        numeric = true;
+        if (number < high || (number === high && operator === 'lessThan')) {
+          high = number;
+          highStrict = operator === 'lessThan';
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  const inRange = (n) => !Number.isNaN(n) &&
+    (lowStrict ? n > low : n >= low) && (highStrict ? n < high : n <= high);
+
+  if (truthy && falsy) return false;
+  if (absent && (present || truthy)) return false;
+  if (numeric && (low > high || (low === high && (lowStrict || highStrict)))) return false;
+  // null / false / '' / 0 are the only values that are absent- or falsy-and-numeric
+  if (numeric && (absent || falsy) && !inRange(0)) return false;
+
+  if (candidates === null) return true;
+
+  return candidates.some(value =>
+    !excluded.has(key(value)) &&
+    (!absent || value === null || value === undefined) &&
+    (!present || (value !== null && value !== undefined)) &&
+    (!truthy || !!value) &&
+    (!falsy || !value) &&
+    (!numeric || inRange(Number(value)))
+  );
+}
+
+function describeCheck({ field, operator, value }) {
+  return OPERATORS[operator] === null ? `${field} ${operator}` : `${field} ${operator} ${JSON.stringify(value)}`;
+}
+
+function isValidRegExp(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
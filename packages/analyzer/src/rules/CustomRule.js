@@ -0,0 +1,46 @@
+import { BaseRule } from './BaseRule.js';
+import { Issue, Suggestion, IssueSeverity } from '../types/issues.js';
+
+/**
+ * Adapts a plain rule definition from a project's rules directory:
+ *
+ *   module.exports = {
+ *     id: 'booking-price-validated',
+ *     title: 'Booking states validate the price',
+ *     severity: 'warning',
+ *     pattern: 'stateful',   // optional: 'stateful' | 'stateless' (CMS)
+ *     appliesTo: (implication) => implication.metadata.className.includes('Booking'),
+ *     analyze(implication, context, rule) {
+ *       return [{ title: 'Price not validated', message: '...' }];
+ *     }
+ *   };
+ *
+ * analyze() must be synchronous. Returned objects become Issues, with
+ * type, stateName, severity and location filled in when missing.
+ */
+export class CustomRule extends BaseRule {
+  constructor(definition, source = null) {
+    super(definition.id, definition.title || definition.id);
+    this.definition = definition;
+    this.source = source;
+    this.defaultSeverity = definition.severity || IssueSeverity.WARNING;
+    this.pattern = definition.pattern || null;
+  }
+
+  appliesTo(implication) {
+    return this.definition.appliesTo ? !!this.definition.appliesTo(implication) : true;
+  }
+
+  analyze(implication, context) {
+    const reported = this.definition.analyze(implication, context, this) || [];
+
+    return reported.map(issue => issue instanceof Issue ? issue : this.createIssue({
+      type: this.id,
+      stateName: implication.metadata?.className,
+      location: implication.path,
+      ...issue,
+      severity: issue.severity || this.defaultSeverity,
+      suggestions: (issue.suggestions || []).map(s => (s instanceof Suggestion ? s : new Suggestion(s)))
+    }));
+  }
+}
@@ -5,6 +5,10 @@ import { Issue, Suggestion, IssueSeverity, IssueType } from '../types/issues.js'
  * Detects implications that extend base classes but don't override anything meaningful
  */
 export class EmptyInheritanceRule extends BaseRule {
+  constructor() {
+    super('empty-inheritance', 'Empty Inheritance');
+  }
+  
   appliesTo(implication) {
     return true; // Applies to all
   }
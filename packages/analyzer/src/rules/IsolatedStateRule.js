@@ -6,10 +6,11 @@ import { IssueSeverity, IssueType, Issue, Suggestion } from '../types/issues.js'
 export class IsolatedStateRule extends BaseRule {
   constructor() {
     super('isolated-states', 'Isolated States');
+    this.pattern = 'stateful'; // Stateless CMS modules have no transitions by design
   }
   
   appliesTo(implication) {
-    return true; // Check all implications
+    return true; // Check all stateful implications
   }
   
   analyze(implication, context) {
@@ -1,10 +1,15 @@
 import { BaseRule } from './BaseRule.js';
 import { Issue, Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+import { isMarkedFinal, looksTerminal } from '../StateGraph.js';
 
 /**
  * Detects implications with xstateConfig but no transitions
  */
 export class MissingTransitionsRule extends BaseRule {
+  constructor() {
+    super('missing-transitions', 'Missing Transitions');
+  }
+  
   appliesTo(implication) {
     // Only applies to stateful implications
     return implication.metadata?.hasXStateConfig === true;
@@ -22,12 +27,12 @@ export class MissingTransitionsRule extends BaseRule {
     
     // If no transitions, this is a terminal state (might be intentional)
     // But if it's not obviously terminal (like "Completed", "Cancelled"), flag it
-    const terminalStates = ['completed', 'cancelled', 'deleted', 'archived', 'final'];
-    const isTerminal = terminalStates.some(term => 
-      className.toLowerCase().includes(term)
-    );
+    // (names that look final are reported by UnmarkedFinalStateRule)
+    const isTerminal = isMarkedFinal(implication) || looksTerminal(className);
     
     if (outgoingTransitions.length === 0 && !isTerminal) {
+      const suggestedTargets = this.suggestTargets(className, context);
+      
       issues.push(this.createIssue({
         severity: IssueSeverity.WARNING,
         type: IssueType.MISSING_TRANSITIONS,
@@ -39,10 +44,10 @@ export class MissingTransitionsRule extends BaseRule {
             action: 'add-transition',
             title: 'Add Transition',
             description: 'Define at least one transition to another state',
-            autoFixable: false,
+            autoFixable: suggestedTargets.length > 0,
             data: {
               suggestedEvents: ['COMPLETE', 'CANCEL', 'UPDATE', 'NEXT'],
-              suggestedTargets: this.suggestTargets(className, context)
+              suggestedTargets
             }
           }),
           new Suggestion({
@@ -5,6 +5,10 @@ import { Issue, Suggestion, IssueSeverity, IssueType } from '../types/issues.js'
  * Detects stateful implications without UI coverage
  */
 export class MissingUICoverageRule extends BaseRule {
+  constructor() {
+    super('missing-ui-coverage', 'Missing UI Coverage');
+  }
+  
   appliesTo(implication) {
     return implication.metadata?.hasXStateConfig === true;
   }
@@ -16,6 +20,8 @@ export class MissingUICoverageRule extends BaseRule {
     
     // Check if has mirrorsOn
     if (!metadata.hasMirrorsOn) {
+      const similarStates = this.findSimilarStates(className, context);
+      
       issues.push(this.createIssue({
         severity: IssueSeverity.WARNING,
         type: IssueType.MISSING_UI_COVERAGE,
@@ -37,9 +43,9 @@ export class MissingUICoverageRule extends BaseRule {
             action: 'copy-from-similar',
             title: 'Copy from Similar State',
             description: 'Start with UI coverage from a similar state',
-            autoFixable: false,
+            autoFixable: similarStates.length > 0,
             data: {
-              similarStates: this.findSimilarStates(className, context)
+              similarStates
             }
           })
         ],
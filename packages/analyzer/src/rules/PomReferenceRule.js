@@ -0,0 +1,282 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+/**
+ * Detects stale Page Object references in mirrorsOn screens and transition
+ * actionDetails: unknown POMs, instances, elements (visible / hidden /
+ * checks), methods and argument counts. Needs context.pomIndex (POMs found
+ * by POMDiscovery); reports nothing when the project has no POMs.
+ */
+export class PomReferenceRule extends BaseRule {
+  constructor() {
+    super('pom-references', 'POM References');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasMirrorsOn === true || implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const index = context.pomIndex;
+    if (!index || index.size === 0) {
+      return [];
+    }
+
+    // kind + reference → problem, so one stale name used in several places
+    // is one issue
+    const problems = new Map();
+    const report = (problem, place) => {
+      const key = `${problem.kind}:${problem.reference}:${problem.given ?? ''}`;
+      if (!problems.has(key)) problems.set(key, { ...problem, usedIn: [] });
+      const usedIn = problems.get(key).usedIn;
+      if (!usedIn.includes(place)) usedIn.push(place);
+    };
+
+    const platforms = implication.metadata.uiCoverage?.platforms || {};
+    for (const [platform, platformData] of Object.entries(platforms)) {
+      for (const [screenKey, definitions] of Object.entries(platformData?.screens || {})) {
+        for (const definition of [].concat(definitions)) {
+          if (definition && typeof definition === 'object') {
+            this.checkScreen(index, definition, `mirrorsOn ${platform}.${screenKey}`, report);
+          }
+        }
+      }
+    }
+
+    const transitions = implication.metadata.xstateConfig?.on || {};
+    for (const [event, transition] of Object.entries(transitions)) {
+      if (transition?.actionDetails) {
+        this.checkActionDetails(index, transition.actionDetails, `${event} actionDetails`, report);
+      }
+    }
+
+    return [...problems.values()].map(problem => this.toIssue(problem, implication));
+  }
+
+  checkScreen(index, definition, place, report) {
+    const reference = definition.screen || definition._pomSource?.name;
+    if (!reference) return; // Screen key only - nothing to check against
+
+    const found = index.find(reference) || index.find(definition._pomSource?.className);
+    if (!found) {
+      report({ kind: 'pom', reference, didYouMean: this.suggestSimilar(reference, index.names()) }, place);
+      return;
+    }
+
+    let cls = found.cls;
+    const instance = definition.instance;
+    if (instance && instance !== 'this' && instance !== index.defaultInstanceName(cls)) {
+      const instanceCls = index.instanceClass(cls, instance);
+      if (instanceCls === undefined) {
+        report({
+          kind: 'instance',
+          reference: `${cls.name}.${instance}`,
+          didYouMean: this.suggestSimilar(instance, index.instanceNames(cls))
+        }, place);
+        return;
+      }
+      if (!instanceCls) return; // Instance of a class POMDiscovery didn't find
+      cls = instanceCls;
+    }
+
+    for (const field of this.fieldReferences(definition)) {
+      this.checkField(index, cls, field, place, report);
+    }
+
+    for (const name of Object.keys(definition.functions || {})) {
+      this.checkCall(index, cls, name, null, place, report);
+    }
+
+    for (const block of definition.blocks || []) {
+      if (block.enabled === false) continue;
+
+      if (block.type === 'ui-assertion') {
+        for (const field of this.fieldReferences(block.data || {})) {
+          this.checkField(index, cls, field, place, report);
+        }
+      } else if (block.type === 'function-call' && block.data?.method) {
+        const target = this.callTarget(index, cls, block.data.instance, place, report);
+        if (target) this.checkCall(index, target, block.data.method, block.data.args, place, report);
+      }
+    }
+
+    const navigation = definition.navigation;
+    if (navigation?.pomName && navigation.method) {
+      const navigationPom = index.find(navigation.pomName);
+      if (!navigationPom) {
+        report({ kind: 'pom', reference: navigation.pomName, didYouMean: this.suggestSimilar(navigation.pomName, index.names()) }, place);
+      } else {
+        this.checkCall(index, navigationPom.cls, navigation.method, navigation.args, place, report);
+      }
+    }
+  }
+
+  checkActionDetails(index, actionDetails, place, report) {
+    // varName → class of each imported POM
+    const imported = new Map();
+
+    for (const imp of actionDetails.imports || []) {
+      if (!imp?.varName || !imp.className) continue;
+
+      const cls = index.classes.get(imp.className) || index.find(imp.path?.split('/').pop())?.cls;
+      if (!cls) {
+        report({ kind: 'pom', reference: imp.className, didYouMean: this.suggestSimilar(imp.className, index.names()) }, place);
+        continue;
+      }
+      imported.set(imp.varName, cls);
+    }
+
+    for (const step of actionDetails.steps || []) {
+      const cls = imported.get(step?.instance);
+      if (cls && step.method) {
+        this.checkCall(index, cls, step.method, step.args, place, report);
+      }
+    }
+  }
+
+  /**
+   * Class a function-call block runs on: the screen itself, one of its
+   * instances, or another POM by name ('searchBar.wrapper')
+   */
+  callTarget(index, cls, instance, place, report) {
+    if (!instance || instance === 'this' || instance === index.defaultInstanceName(cls)) {
+      return cls;
+    }
+
+    const instanceCls = index.instanceClass(cls, instance);
+    if (instanceCls !== undefined) return instanceCls;
+
+    const external = index.find(instance);
+    if (external) return external.cls;
+
+    report({
+      kind: 'instance',
+      reference: `${cls.name}.${instance}`,
+      didYouMean: this.suggestSimilar(instance, [...index.instanceNames(cls), ...index.names()])
+    }, place);
+    return null;
+  }
+
+  /**
+   * Element names used by a screen definition or ui-assertion block data
+   */
+  fieldReferences(definition) {
+    const checks = definition.checks || {};
+    return [
+      ...(definition.visible || []),
+      ...(definition.hidden || []),
+      ...(definition.truthy || []),
+      ...(definition.falsy || []),
+      ...(checks.visible || []),
+      ...(checks.hidden || []),
+      ...Object.keys(checks.text || {}),
+      ...Object.keys(checks.contains || {})
+    ].filter(field => typeof field === 'string');
+  }
+
+  /**
+   * 'title', 'card[0]', 'card[all]', 'roundTrip.btnSearch'
+   */
+  checkField(index, cls, field, place, report) {
+    const name = field.replace(/\[[^\]]*\]$/, '');
+    if (!name || name.includes('{{')) return;
+
+    const parts = name.split('.');
+    let current = cls;
+
+    for (const part of parts.slice(0, -1)) {
+      const next = index.instanceClass(current, part);
+      if (next === undefined) break; // Not an instance - check the whole name below
+      if (next === null) return;
+      current = next;
+    }
+
+    const last = current === cls ? name : parts[parts.length - 1];
+    const candidates = index.fieldNames(current);
+    if (candidates.includes(last) || (current === cls && candidates.includes(parts[0]))) return;
+
+    report({
+      kind: 'element',
+      reference: `${current.name}.${last}`,
+      didYouMean: this.suggestSimilar(last, candidates)
+    }, place);
+  }
+
+  checkCall(index, cls, method, args, place, report) {
+    const fn = index.getFunction(cls, method);
+    if (!fn) {
+      report({
+        kind: 'method',
+        reference: `${cls.name}.${method}()`,
+        didYouMean: this.suggestSimilar(method, cls.functions.map(f => f.name)).map(name => `${name}()`)
+      }, place);
+      return;
+    }
+
+    if (!Array.isArray(args)) return;
+
+    const params = fn.parameters || [];
+    const hasRest = params.some(p => p.name?.startsWith('...'));
+    const required = params.filter(p => !p.hasDefault && !p.name?.startsWith('...')).length;
+    const max = hasRest ? Infinity : params.length;
+
+    if (args.length < required || args.length > max) {
+      report({
+        kind: 'arguments',
+        reference: `${cls.name}.${method}()`,
+        signature: fn.signature,
+        given: args.length
+      }, place);
+    }
+  }
+
+  toIssue(problem, implication) {
+    const { kind, reference, usedIn, didYouMean = [] } = problem;
+    const where = usedIn.join(', ');
+    const hint = didYouMean.length > 0 ? ` Did you mean "${didYouMean[0]}"?` : '';
+
+    const titles = {
+      pom: `Unknown POM: ${reference}`,
+      instance: `Unknown POM Instance: ${reference}`,
+      element: `Unknown POM Element: ${reference}`,
+      method: `Unknown POM Method: ${reference}`,
+      arguments: `Wrong Argument Count: ${reference}`
+    };
+
+    const messages = {
+      pom: `No Page Object named "${reference}" was found (${where}).${hint}`,
+      instance: `${reference} is not an instance on that Page Object (${where}).${hint}`,
+      element: `${reference} is not a getter, property or method of the Page Object (${where}).${hint}`,
+      method: `${reference} does not exist on the Page Object (${where}).${hint}`,
+      arguments: `${reference} is called with ${problem.given} argument(s) but its signature is ${problem.signature} (${where}).`
+    };
+
+    const suggestions = didYouMean.length > 0
+      ? [new Suggestion({
+          action: 'update-pom-reference',
+          title: `✏️ Use "${didYouMean[0]}"`,
+          description: `Replace the stale reference with ${didYouMean[0]}`,
+          autoFixable: false,
+          data: { kind, from: reference, to: didYouMean[0], candidates: didYouMean, usedIn }
+        })]
+      : [new Suggestion({
+          action: 'open-pom',
+          title: '🔍 Check the Page Object',
+          description: 'The reference may point to a POM that was removed or renamed',
+          autoFixable: false,
+          data: { kind, reference, usedIn }
+        })];
+
+    return this.createIssue({
+      severity: IssueSeverity.ERROR,
+      type: IssueType.INVALID_POM_REFERENCE,
+      stateName: implication.metadata.className,
+      title: titles[kind],
+      message: messages[kind],
+      details: { kind, reference, usedIn, didYouMean, signature: problem.signature },
+      suggestions,
+      affectedFields: usedIn,
+      location: implication.path
+    });
+  }
+}
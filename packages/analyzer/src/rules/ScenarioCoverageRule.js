@@ -0,0 +1,86 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+const CMS_PLATFORM = /cms|admin|backoffice/i;
+
+/**
+ * Stateless (CMS) modules: SCENARIOS exist, and what the CMS side enters is
+ * also checked somewhere else (the site) via mirrorsOn.
+ */
+export class ScenarioCoverageRule extends BaseRule {
+  constructor() {
+    super('scenario-coverage', 'Scenario Coverage');
+    this.pattern = 'stateless';
+  }
+
+  analyze(implication) {
+    const metadata = implication.metadata;
+    const className = metadata.className;
+    const scenarioNames = Object.keys(metadata.scenarios || {});
+    const platforms = Object.keys(metadata.uiCoverage?.platforms || {});
+    const issues = [];
+
+    if (scenarioNames.length === 0) {
+      issues.push(this.createIssue({
+        severity: IssueSeverity.WARNING,
+        type: IssueType.MISSING_SCENARIOS,
+        stateName: className,
+        title: 'No Scenarios',
+        message: `"${className}" has mirrorsOn but no SCENARIOS, so there is no content to fill in and verify.`,
+        details: { platforms },
+        suggestions: [
+          new Suggestion({
+            action: 'add-scenarios',
+            title: '📝 Add SCENARIOS',
+            description: 'Add static SCENARIOS = { MINIMAL: { ... } } with the module\'s content',
+            autoFixable: false
+          })
+        ],
+        affectedFields: ['SCENARIOS'],
+        location: implication.path
+      }));
+    }
+
+    if (platforms.length === 0) {
+      issues.push(this.createIssue({
+        severity: IssueSeverity.WARNING,
+        type: IssueType.INCOMPLETE_SCENARIO_COVERAGE,
+        stateName: className,
+        title: 'Scenarios Never Verified',
+        message: `"${className}" defines ${scenarioNames.length} scenario(s) but no mirrorsOn platform checks them.`,
+        details: { scenarios: scenarioNames },
+        suggestions: [
+          new Suggestion({
+            action: 'add-mirrors-on',
+            title: '🖥️ Add mirrorsOn',
+            description: 'Check the scenario content on the CMS form and on the site',
+            autoFixable: false
+          })
+        ],
+        affectedFields: ['mirrorsOn'],
+        location: implication.path
+      }));
+    } else if (platforms.every(platform => CMS_PLATFORM.test(platform))) {
+      issues.push(this.createIssue({
+        severity: IssueSeverity.INFO,
+        type: IssueType.INCOMPLETE_SCENARIO_COVERAGE,
+        stateName: className,
+        title: 'Only Verified in the CMS',
+        message: `"${className}" only checks ${platforms.join(', ')}. Nothing verifies the scenario content where visitors see it.`,
+        details: { scenarios: scenarioNames, platforms },
+        suggestions: [
+          new Suggestion({
+            action: 'add-platform',
+            title: '🌐 Add a Site Platform',
+            description: 'Add a mirrorsOn entry (e.g. Web) for the page that renders this module',
+            autoFixable: false
+          })
+        ],
+        affectedFields: ['mirrorsOn'],
+        location: implication.path
+      }));
+    }
+
+    return issues;
+  }
+}
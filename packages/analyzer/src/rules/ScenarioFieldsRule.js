@@ -0,0 +1,76 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+import { ALWAYS_AVAILABLE, rootOf, templateVariables } from '../dataFlow.js';
+
+/**
+ * Stateless (CMS) modules: every {{field}} mirrorsOn checks must come from
+ * the scenario being run. Flags fields no scenario defines (error at test
+ * time) and fields only some scenarios define.
+ *
+ * Options:
+ *   knownVariables - extra names to treat as always available
+ */
+export class ScenarioFieldsRule extends BaseRule {
+  constructor() {
+    super('scenario-fields', 'Scenario Fields');
+    this.pattern = 'stateless';
+  }
+
+  appliesTo(implication) {
+    return Object.keys(implication.metadata?.scenarios || {}).length > 0;
+  }
+
+  analyze(implication) {
+    const metadata = implication.metadata;
+    const className = metadata.className;
+    const scenarios = Object.entries(metadata.scenarios);
+    const knownVariables = new Set(this.options.knownVariables || []);
+
+    // root field → places it is used
+    const used = new Map();
+    for (const [platform, platformData] of Object.entries(metadata.uiCoverage?.platforms || {})) {
+      for (const variable of templateVariables(platformData?.screens)) {
+        const root = rootOf(variable);
+        if (ALWAYS_AVAILABLE.has(root) || knownVariables.has(root)) continue;
+        if (!used.has(root)) used.set(root, []);
+        if (!used.get(root).includes(platform)) used.get(root).push(platform);
+      }
+    }
+
+    const issues = [];
+
+    for (const [field, usedIn] of used) {
+      const missingFrom = scenarios
+        .filter(([, data]) => !data || typeof data !== 'object' || !(field in data))
+        .map(([name]) => name);
+
+      if (missingFrom.length === 0) continue;
+
+      const undefinedEverywhere = missingFrom.length === scenarios.length;
+
+      issues.push(this.createIssue({
+        severity: undefinedEverywhere ? IssueSeverity.WARNING : IssueSeverity.INFO,
+        type: undefinedEverywhere ? IssueType.UNDEFINED_SCENARIO_FIELD : IssueType.PARTIAL_SCENARIO_FIELD,
+        stateName: className,
+        title: undefinedEverywhere ? `Undefined Scenario Field: ${field}` : `Scenario Field Missing: ${field}`,
+        message: undefinedEverywhere
+          ? `{{${field}}} is checked on ${usedIn.join(', ')} but no scenario defines it.`
+          : `{{${field}}} is checked on ${usedIn.join(', ')} but scenario(s) ${missingFrom.join(', ')} don't define it, so the check can't resolve when they run.`,
+        details: { field, usedIn, missingFrom },
+        suggestions: [
+          new Suggestion({
+            action: 'add-scenario-field',
+            title: '📝 Add to Scenarios',
+            description: `Add "${field}" to ${undefinedEverywhere ? 'the scenarios' : missingFrom.join(', ')}`,
+            autoFixable: false,
+            data: { field, scenarios: missingFrom }
+          })
+        ],
+        affectedFields: missingFrom.map(name => `SCENARIOS.${name}`),
+        location: implication.path
+      }));
+    }
+
+    return issues;
+  }
+}
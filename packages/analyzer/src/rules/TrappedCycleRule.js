@@ -0,0 +1,65 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+/**
+ * Detects cycles that can be entered but never left (no transition out of
+ * the cycle and no member marked final). Reported once per cycle, on its
+ * alphabetically first state.
+ */
+export class TrappedCycleRule extends BaseRule {
+  constructor() {
+    super('trapped-cycles', 'Cycles Without Exit');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+
+    const cycle = graph?.trappedCycles().find(component => component[0] === className);
+    if (!cycle) {
+      return [];
+    }
+
+    const members = new Set(cycle);
+    const edges = cycle
+      .flatMap(name => graph.outgoing(name))
+      .filter(edge => members.has(edge.to))
+      .map(edge => `${edge.from} --${edge.event}--> ${edge.to}`);
+
+    return [this.createIssue({
+      severity: IssueSeverity.WARNING,
+      type: IssueType.TRAPPED_CYCLE,
+      stateName: className,
+      title: 'Cycle With No Exit',
+      message: `${cycle.join(', ')} only transition between each other. Once a test enters this cycle it can never reach any other state.`,
+      details: {
+        states: cycle,
+        transitions: edges
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'add-outgoing',
+          title: '➕ Add Exit Transition',
+          description: 'Add a transition from one of these states to a state outside the cycle',
+          autoFixable: false,
+          data: { states: cycle }
+        }),
+        new Suggestion({
+          action: 'mark-terminal',
+          title: 'Mark as Terminal State',
+          description: `If the cycle is an intended end of the flow, mark ${className} as terminal`,
+          autoFixable: true,
+          data: {
+            addToMeta: { terminal: true }
+          }
+        })
+      ],
+      affectedFields: ['xstateConfig.on'],
+      location: implication.path
+    })];
+  }
+}
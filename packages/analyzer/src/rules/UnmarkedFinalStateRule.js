@@ -0,0 +1,52 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+import { isMarkedFinal, looksTerminal } from '../StateGraph.js';
+
+/**
+ * Detects dead-end states that look final (CancelledBooking, ...) but aren't
+ * marked as such. Dead ends that don't look final are reported by
+ * MissingTransitionsRule instead.
+ */
+export class UnmarkedFinalStateRule extends BaseRule {
+  constructor() {
+    super('unmarked-final-states', 'Unmarked Final States');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const metadata = implication.metadata;
+    const className = metadata.className;
+    const events = Object.keys(metadata.xstateConfig?.on || {});
+
+    if (events.length > 0 || isMarkedFinal(implication) || !looksTerminal(className)) {
+      return [];
+    }
+
+    return [this.createIssue({
+      severity: IssueSeverity.INFO,
+      type: IssueType.UNMARKED_FINAL_STATE,
+      stateName: className,
+      title: 'Final State Not Marked',
+      message: `${className} has no outgoing transitions and looks like a final state, but is not marked as one. Mark it so the dead end is documented as intentional.`,
+      details: {
+        incomingFrom: (context.stateGraph?.incoming(className) || []).map(edge => `${edge.from} (${edge.event})`)
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'mark-terminal',
+          title: 'Mark as Terminal State',
+          description: 'Add terminal: true to xstateConfig.meta',
+          autoFixable: true,
+          data: {
+            addToMeta: { terminal: true }
+          }
+        })
+      ],
+      affectedFields: ['xstateConfig.meta'],
+      location: implication.path
+    })];
+  }
+}
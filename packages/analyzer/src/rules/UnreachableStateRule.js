@@ -0,0 +1,77 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+/**
+ * Detects states that no path from an initial state leads to.
+ *
+ * Option: initialStates - state names to start from (default: states marked
+ * meta.initial or created without a previousStatus, see StateGraph.initialStates)
+ */
+export class UnreachableStateRule extends BaseRule {
+  constructor() {
+    super('unreachable-states', 'Unreachable States');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+
+    if (!graph?.has(className)) {
+      return [];
+    }
+
+    // Completely isolated states are reported by IsolatedStateRule
+    if (graph.incoming(className).length === 0 && graph.outgoing(className).length === 0) {
+      return [];
+    }
+
+    const initialStates = graph.initialStates(this.options.initialStates);
+    if (initialStates.length === 0) {
+      return [];
+    }
+
+    const reachable = graph.reachableFrom(initialStates);
+    if (reachable.has(className)) {
+      return [];
+    }
+
+    return [this.createIssue({
+      severity: IssueSeverity.WARNING,
+      type: IssueType.UNREACHABLE_STATE,
+      stateName: className,
+      title: 'Unreachable State',
+      message: `${className} cannot be reached from any initial state (${initialStates.join(', ')}). Its tests can never be set up by walking the state machine.`,
+      details: {
+        initialStates,
+        incomingFrom: graph.incoming(className).map(edge => `${edge.from} (${edge.event})`)
+      },
+      suggestions: [
+        new Suggestion({
+          action: 'add-transition',
+          title: '➕ Add Incoming Transition',
+          description: 'Add a transition from a reachable state to this one',
+          autoFixable: false,
+          data: {
+            targetState: className,
+            possibleSources: [...reachable].slice(0, 5)
+          }
+        }),
+        new Suggestion({
+          action: 'mark-initial',
+          title: '🚩 Mark as Initial State',
+          description: 'If tests create this state directly, mark it as a starting point',
+          autoFixable: true,
+          data: {
+            addToMeta: { initial: true }
+          }
+        })
+      ],
+      affectedFields: ['xstateConfig.meta'],
+      location: implication.path
+    })];
+  }
+}
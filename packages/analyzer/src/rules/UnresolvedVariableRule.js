@@ -0,0 +1,155 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+import {
+  ALWAYS_AVAILABLE,
+  computeDataFlow,
+  rootOf,
+  storedVariables,
+  templateVariables,
+  transitionDefinition
+} from '../dataFlow.js';
+
+/**
+ * Detects {{variables}} in mirrorsOn and transition actionDetails that are
+ * not guaranteed to exist when ExpectImplication.resolveTemplate() runs:
+ * not in the test data, not always-available config, and not stored
+ * (storeAs / entry / context) upstream on EVERY path into the state.
+ * With a test data schema the full path is checked ({{booking.stauts}}),
+ * otherwise only the top-level field.
+ *
+ * Options:
+ *   testDataFields - test data field names (default: config.testDataSchema
+ *                    or the keys of config.testDataPath)
+ *   knownVariables - extra names to treat as always available
+ *   initialStates  - see UnreachableStateRule
+ *
+ * Without any test data information the rule reports nothing.
+ */
+export class UnresolvedVariableRule extends BaseRule {
+  constructor() {
+    super('unresolved-variables', 'Unresolved Template Variables');
+    this.flows = new WeakMap(); // stateGraph → computeDataFlow() result
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+
+    const testDataFields = this.options.testDataFields
+      ? new Set(this.options.testDataFields.map(rootOf))
+      : context.testDataFields;
+
+    if (!graph?.has(className) || !testDataFields) {
+      return [];
+    }
+
+    const flow = this.flowFor(graph);
+    const upstream = flow.availableOut.get(className);
+    if (!upstream) {
+      return []; // Unreachable - reported by UnreachableStateRule
+    }
+
+    // With a schema, nested paths are checked too ({{booking.stauts}})
+    const schema = this.options.testDataFields ? null : context.testDataSchema;
+    const knownVariables = new Set(this.options.knownVariables || []);
+    const lookups = new Map(); // variable → schema lookup that missed
+    const isAvailable = (variable, storedHere) => {
+      const root = rootOf(variable);
+      if (ALWAYS_AVAILABLE.has(root) || knownVariables.has(root) || upstream.has(root) || storedHere.has(root)) {
+        return true;
+      }
+      if (!schema) {
+        return testDataFields.has(root);
+      }
+
+      const lookup = schema.lookup(variable);
+      if (lookup.status !== 'unknown') return true;
+      lookups.set(variable, lookup);
+      return false;
+    };
+
+    // variable → places it is used
+    const unresolved = new Map();
+    const check = (value, place, storedHere) => {
+      for (const variable of templateVariables(value)) {
+        if (isAvailable(variable, storedHere)) continue;
+        if (!unresolved.has(variable)) unresolved.set(variable, []);
+        unresolved.get(variable).push(place);
+      }
+    };
+
+    // mirrorsOn: anything the state itself stores counts (blocks run in order)
+    const platforms = implication.metadata.uiCoverage?.platforms || {};
+    const storedInState = storedVariables(platforms);
+    for (const [platform, platformData] of Object.entries(platforms)) {
+      for (const [screen, definitions] of Object.entries(platformData?.screens || {})) {
+        check(definitions, `mirrorsOn ${platform}.${screen}`, storedInState);
+      }
+    }
+
+    // actionDetails of outgoing transitions
+    for (const edge of graph.outgoing(className)) {
+      const actionDetails = transitionDefinition(graph, edge).actionDetails;
+      if (actionDetails) {
+        check(actionDetails, `${edge.event} actionDetails`, storedVariables(actionDetails));
+      }
+    }
+
+    return [...unresolved.entries()].map(([variable, usedIn]) => {
+      const root = rootOf(variable);
+      const producedOn = flow.producedOn(variable);
+      const parent = lookups.get(variable)?.parent || null;
+      const candidates = parent ? lookups.get(variable).candidates : [];
+
+      const message = producedOn.length > 0
+        ? `{{${variable}}} (${usedIn.join(', ')}) is stored by ${producedOn.join(', ')}, but not on every path into ${className}. On the other paths it is still unresolved when the test runs.`
+        : parent
+          ? `{{${variable}}} (${usedIn.join(', ')}) is not in the test data: ${parent} has no such field (it has ${candidates.join(', ')}).`
+          : `{{${variable}}} (${usedIn.join(', ')}) is not in the test data and no upstream state or transition stores it.`;
+
+      return this.createIssue({
+        severity: IssueSeverity.WARNING,
+        type: IssueType.UNRESOLVED_VARIABLE,
+        stateName: className,
+        title: `Unresolved Variable: {{${variable}}}`,
+        message,
+        details: {
+          variable,
+          usedIn,
+          producedOn,
+          ...(parent && { parent, candidates }),
+          availableOnEveryPath: [...upstream].sort()
+        },
+        suggestions: [
+          new Suggestion({
+            action: 'add-test-data-field',
+            title: '📋 Add to Test Data',
+            description: `Add "${parent ? variable : root}" to testDataSchema or the test data file`,
+            autoFixable: false,
+            data: { field: parent ? variable : root }
+          }),
+          new Suggestion({
+            action: 'add-store-as',
+            title: '💾 Store It Upstream',
+            description: `Add storeAs: '${root}' to a step on every path into this state`,
+            autoFixable: false,
+            data: { variable: root }
+          })
+        ],
+        affectedFields: usedIn,
+        location: implication.path
+      });
+    });
+  }
+
+  flowFor(graph) {
+    if (!this.flows.has(graph)) {
+      this.flows.set(graph, computeDataFlow(graph, { initialStates: this.options.initialStates }));
+    }
+    return this.flows.get(graph);
+  }
+}
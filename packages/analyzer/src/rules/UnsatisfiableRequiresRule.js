@@ -0,0 +1,124 @@
+import { BaseRule } from './BaseRule.js';
+import { Suggestion, IssueSeverity, IssueType } from '../types/issues.js';
+
+/**
+ * Detects transitions whose `requires` can't be met by any value the
+ * states leading to them assign in `entry`.
+ *
+ * Conservative: a field no predecessor assigns (it may come from the test
+ * data) or that is assigned a non-literal value is never reported.
+ */
+export class UnsatisfiableRequiresRule extends BaseRule {
+  constructor() {
+    super('unsatisfiable-requires', 'Unsatisfiable Requires');
+  }
+
+  appliesTo(implication) {
+    return implication.metadata?.hasXStateConfig === true;
+  }
+
+  analyze(implication, context) {
+    const graph = context.stateGraph;
+    const className = implication.metadata.className;
+
+    if (!graph?.has(className)) {
+      return [];
+    }
+
+    const conditional = graph.outgoing(className).filter(edge => edge.transition.requires);
+    if (conditional.length === 0) {
+      return [];
+    }
+
+    const predecessors = [...graph.predecessorsOf(className)];
+    const issues = [];
+
+    for (const edge of conditional) {
+      const conflicts = Object.entries(edge.transition.requires)
+        .filter(([field]) => field !== 'previousStatus')
+        .map(([field, expected]) => ({ field, expected, assigned: this.assignedValues(graph, predecessors, field) }))
+        .filter(({ expected, assigned }) => assigned.length > 0 && !this.canSatisfy(expected, assigned));
+
+      if (conflicts.length === 0) continue;
+
+      const described = conflicts.map(({ field, expected, assigned }) =>
+        `${field} must be ${JSON.stringify(expected)} but is only ever set to ${assigned.map(a => JSON.stringify(a.value)).join(', ')}`
+      );
+
+      issues.push(this.createIssue({
+        severity: IssueSeverity.WARNING,
+        type: IssueType.UNSATISFIABLE_REQUIRES,
+        stateName: className,
+        title: `Unsatisfiable Requires: ${edge.event}`,
+        message: `Transition "${edge.event}" (${className} → ${edge.to}) can never fire from a walked path: ${described.join('; ')}.`,
+        details: {
+          event: edge.event,
+          target: edge.to,
+          conflicts: conflicts.map(({ field, expected, assigned }) => ({
+            field,
+            required: expected,
+            assignedBy: assigned.map(a => `${a.state}: ${JSON.stringify(a.value)}`)
+          }))
+        },
+        suggestions: [
+          new Suggestion({
+            action: 'remove-transition',
+            title: '🗑️ Remove Transition',
+            description: `Delete the ${edge.event} transition if it can't happen`,
+            autoFixable: false,
+            data: { event: edge.event }
+          })
+        ],
+        affectedFields: [`xstateConfig.on.${edge.event}.requires`],
+        location: implication.path
+      }));
+    }
+
+    return issues;
+  }
+
+  /**
+   * [{ state, value }] for every predecessor whose entry assigns `field`
+   */
+  assignedValues(graph, predecessors, field) {
+    return predecessors
+      .map(state => ({ state, assignments: graph.nodes.get(state).implication.metadata.entryAssignments }))
+      .filter(({ assignments }) => assignments && Object.prototype.hasOwnProperty.call(assignments, field))
+      .map(({ state, assignments }) => ({ state, value: assignments[field] }));
+  }
+
+  canSatisfy(expected, assigned) {
+    if (this.isDynamic(expected) || assigned.some(({ value }) => this.isDynamic(value))) {
+      return true;
+    }
+    return assigned.some(({ value }) => this.matches(expected, value));
+  }
+
+  /**
+   * Values we can't evaluate statically ('<function>', '{{timestamp}}', ctx.data refs, null)
+   */
+  isDynamic(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value !== 'string') return false;
+    return /^<\w+>$/.test(value) || value.includes('{{') || value.startsWith('ctx.');
+  }
+
+  /**
+   * Mirrors TestPlanner._checkTransitionRequires for literal values;
+   * operators that depend on runtime data count as satisfiable
+   */
+  matches(expected, value) {
+    if (typeof expected !== 'object') {
+      return value === expected;
+    }
+    if (expected.exists === true) return true;
+    if (Array.isArray(expected.oneOf)) return expected.oneOf.includes(value);
+    if (expected.greaterThan !== undefined) return typeof value === 'number' && value > expected.greaterThan;
+    if (expected.lessThan !== undefined) return typeof value === 'number' && value < expected.lessThan;
+    if (expected.matches !== undefined) return typeof value === 'string' && new RegExp(expected.matches).test(value);
+    if (expected.exists === false || expected.contains !== undefined || expected.notContains !== undefined) {
+      return true;
+    }
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+}
@@ -0,0 +1,36 @@
+const DIRECTIVE = /\/(?:\/|\*)\s*implications-disable\b([^\n]*)/g;
+
+/**
+ * Read suppression comments from an implication file:
+ *
+ *   // implications-disable                         (every rule)
+ *   // implications-disable isolated-states, missing-ui-coverage
+ *   /* implications-disable empty-inheritance -- base screens are enough *\/
+ *
+ * Names can be rule ids or issue types; anything after "--" is a reason.
+ *
+ * @returns {{ all: boolean, names: Set<string> }}
+ */
+export function parseSuppressions(content) {
+  const suppressions = { all: false, names: new Set() };
+
+  for (const match of content.matchAll(DIRECTIVE)) {
+    const list = match[1]
+      .replace(/\*\/.*$/, '')
+      .split('--')[0]
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    if (list.length === 0) {
+      suppressions.all = true;
+    }
+    list.forEach(name => suppressions.names.add(name));
+  }
+
+  return suppressions;
+}
+
+export function isSuppressed(suppressions, issue) {
+  if (!suppressions) return false;
+  return suppressions.all || suppressions.names.has(issue.ruleId) || suppressions.names.has(issue.type);
+}
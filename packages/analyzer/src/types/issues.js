@@ -20,7 +20,25 @@ export const IssueType = {
   EMPTY_INHERITANCE: 'empty-inheritance',
   INVALID_STATE_NAME: 'invalid-state-name',
   MISSING_METADATA: 'missing-metadata',
-  BROKEN_TRANSITION: 'broken-transition'
+  BROKEN_TRANSITION: 'broken-transition',
+  UNREACHABLE_STATE: 'unreachable-state',
+  UNMARKED_FINAL_STATE: 'unmarked-final-state',
+  TRAPPED_CYCLE: 'trapped-cycle',
+  UNSATISFIABLE_REQUIRES: 'unsatisfiable-requires',
+  UNRESOLVED_VARIABLE: 'unresolved-variable',
+  INVALID_POM_REFERENCE: 'invalid-pom-reference',
+  CONFLICTING_TRANSITION: 'conflicting-transition',
+  DUPLICATE_TRANSITION: 'duplicate-transition',
+  AMBIGUOUS_SETUP: 'ambiguous-setup',
+  MISSING_SCENARIOS: 'missing-scenarios',
+  INCOMPLETE_SCENARIO_COVERAGE: 'incomplete-scenario-coverage',
+  UNDEFINED_SCENARIO_FIELD: 'undefined-scenario-field',
+  PARTIAL_SCENARIO_FIELD: 'partial-scenario-field',
+  UNKNOWN_CONDITION_FIELD: 'unknown-condition-field',
+  CONDITION_TYPE_MISMATCH: 'condition-type-mismatch',
+  CONTRADICTORY_CONDITIONS: 'contradictory-conditions',
+  INVALID_CUSTOM_CODE: 'invalid-custom-code',
+  RULE_FAILED: 'rule-failed'
 };
 
 /**
@@ -38,6 +56,8 @@ export class Issue {
     location = null,
     details = {}
   }) {
+    this.id = null; // Assigned by ProjectAnalyzer (stable across runs)
+    this.fingerprint = null; // Short hash of rule + location, for comparing runs
     this.severity = severity;
     this.type = type;
     this.stateName = stateName;
@@ -79,6 +99,7 @@ export class AnalysisSummary {
     this.errorCount = 0;
     this.warningCount = 0;
     this.infoCount = 0;
+    this.suppressedCount = 0; // Silenced by implications-disable comments
     this.byType = {}; // Count by issue type
     this.byState = {}; // Count by state name
   }
@@ -92,6 +113,8 @@ export class AnalysisResult {
     this.projectPath = null;
     this.totalImplications = 0;
     this.issues = [];
+    this.suppressed = []; // Issues silenced by implications-disable comments
+    this.ruleErrors = []; // Rules that failed to load or run
     this.summary = new AnalysisSummary();
     this.timestamp = new Date().toISOString();
   }
@@ -23,6 +23,8 @@ import locksRouter from './routes/locks.js';
 import notesRouter from './routes/notes.js';
 import intelligenceRoutes from './routes/intelligenceRoutes.js';
 import llmRoutes from './routes/llmRoutes.js';
+import analysisRouter from './routes/analysis.js';
+import testContextStoreRouter from './routes/testContextStore.js';
 
 
 
@@ -34,7 +36,7 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // delta files sent to /api/test-context can be large
 app.use(morgan('dev'));
 
 // Routes
@@ -60,6 +62,8 @@ app.use('/api/notes', notesRouter);
 
 app.use('/api/intelligence', intelligenceRoutes);
 app.use('/api/llm', llmRoutes);
+app.use('/api/analysis', analysisRouter);
+app.use('/api/test-context', testContextStoreRouter);
 
 // Error handling
 app.use(errorHandler);
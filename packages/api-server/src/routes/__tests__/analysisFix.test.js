@@ -0,0 +1,131 @@
+// packages/api-server/src/routes/__tests__/analysisFix.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import router from '../analysis.js';
+import { ChangeHistory } from '../../services/changeHistory.js';
+import { AnalysisHistory } from '../../services/analysisHistory.js';
+import { startRouter } from './routeServer.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending', entity: 'booking', initial: true },
+    on: {
+      ACCEPT: { target: 'accepted' }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'accepted',
+      entity: 'booking',
+      setup: [{ testFile: 'AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', actionName: 'accept', platform: 'web', previousStatus: 'pending' }]
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+const DEAD_END = 'missing-transitions:AcceptedBookingImplications:No Transitions Defined';
+const UNCOVERED = 'missing-ui-coverage:AcceptedBookingImplications:No UI Coverage Defined';
+
+describe('POST /api/analysis/fix', () => {
+  let api;
+  let projectPath;
+  let acceptedFile;
+  let consoleLog;
+  let consoleWarn;
+
+  beforeAll(async () => {
+    api = await startRouter(router, '/api/analysis');
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-fix-'));
+    acceptedFile = path.join(projectPath, 'tests/implications/AcceptedBookingImplications.js');
+    await fs.outputFile(path.join(projectPath, 'tests/implications/PendingBookingImplications.js'), PENDING);
+    await fs.outputFile(acceptedFile, ACCEPTED);
+
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    await fs.remove(projectPath);
+  });
+
+  const fix = body => api.post('/fix', { projectPath, ...body });
+
+  it('requires a projectPath', async () => {
+    expect(await api.post('/fix', {})).toEqual({ status: 400, body: { error: 'projectPath is required' } });
+  });
+
+  it('previews a fix without writing or recording it', async () => {
+    const { status, body } = await fix({ issueId: DEAD_END, action: 'mark-terminal', preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true });
+    expect(body.results).toEqual([expect.objectContaining({ issueId: DEAD_END, status: 'fixed', action: 'mark-terminal' })]);
+    expect(body.diffs).toEqual([expect.objectContaining({ path: 'tests/implications/AcceptedBookingImplications.js', change: 'modified' })]);
+    expect(body.diffs[0].diff).toMatch(/^\+.*terminal: true/m);
+    expect(await fs.readFile(acceptedFile, 'utf-8')).toBe(ACCEPTED);
+    expect((await new ChangeHistory(projectPath).list()).undo).toEqual([]);
+  });
+
+  it('applies one fix and records it in the undo history', async () => {
+    const { status, body } = await fix({ issueId: DEAD_END, action: 'mark-terminal' });
+
+    expect(status).toBe(200);
+    expect(body.changeId).toEqual(expect.any(String));
+    expect(await fs.readFile(acceptedFile, 'utf-8')).toContain('terminal: true');
+
+    const [entry] = (await new ChangeHistory(projectPath).list()).undo;
+    expect(entry).toMatchObject({ id: body.changeId, summary: 'Mark AcceptedBookingImplications as terminal' });
+  });
+
+  it('does not record its re-analysis as an analysis history run', async () => {
+    await fix({ issueId: DEAD_END, action: 'mark-terminal' });
+    await fix({ preview: true });
+
+    expect(await new AnalysisHistory(projectPath).list()).toEqual([]);
+  });
+
+  it('answers 404 for unknown issues and 422 for issues it cannot fix', async () => {
+    expect((await fix({ issueId: 'missing-transitions:Nope:No Transitions Defined' })).status).toBe(404);
+
+    const { status, body } = await fix({ issueId: UNCOVERED });
+    expect(status).toBe(422);
+    expect(body).toMatchObject({ success: false, error: 'No auto-fixable suggestion' });
+    expect(await fs.readFile(acceptedFile, 'utf-8')).toBe(ACCEPTED);
+  });
+
+  it('reports requested issues that no longer exist as skipped', async () => {
+    const { body } = await fix({ issueIds: [DEAD_END, 'gone'], preview: true });
+
+    expect(body.results.map(r => [r.issueId, r.status])).toEqual([[DEAD_END, 'fixed'], ['gone', 'skipped']]);
+  });
+
+  it('fixes every auto-fixable issue, leaving missing UI coverage reported', async () => {
+    const { body } = await fix({ preview: true });
+
+    expect(body.results.length).toBeGreaterThan(0);
+    expect(body.results.every(r => r.status === 'fixed')).toBe(true);
+    expect(body.results.map(r => r.issueId)).not.toContain(UNCOVERED);
+    expect(body.diffs.some(d => d.diff.includes('mirrorsOn'))).toBe(false);
+  });
+});
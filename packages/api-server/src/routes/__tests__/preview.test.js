@@ -0,0 +1,206 @@
+// packages/api-server/src/routes/__tests__/preview.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import router from '../implications.js';
+import { ChangeHistory } from '../../services/changeHistory.js';
+import { startRouter } from './routeServer.js';
+
+const BASE = `class BaseBookingImplications {
+  static web = {
+    bookingScreen: { visible: ['title'] }
+  };
+}
+
+module.exports = BaseBookingImplications;
+`;
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    context: { price: 0 },
+    meta: { status: 'pending', tags: ['booking'] },
+    on: {
+      ACCEPT: { target: 'accepted' }
+    }
+  };
+
+  static mirrorsOn = {
+    UI: {
+      web: {
+        bookingScreen: [{ visible: ['title'] }]
+      }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'accepted',
+      setup: [{ testFile: 'AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', actionName: 'accept', platform: 'web', previousStatus: 'pending' }]
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+const REVIEWING = `class ReviewingBookingImplications {
+  static xstateConfig = {
+    id: 'reviewing',
+    meta: { status: 'reviewing' },
+    on: {}
+  };
+}
+
+module.exports = ReviewingBookingImplications;
+`;
+
+const FILES = {
+  base: ['BaseBookingImplications.js', BASE],
+  pending: ['PendingBookingImplications.js', PENDING],
+  accepted: ['AcceptedBookingImplications.js', ACCEPTED],
+  reviewing: ['ReviewingBookingImplications.js', REVIEWING]
+};
+
+describe('preview mode', () => {
+  let api;
+  let projectPath;
+  let consoleLog;
+  let consoleWarn;
+
+  const file = name => path.join(projectPath, 'tests/implications', FILES[name][0]);
+  const relative = name => `tests/implications/${FILES[name][0]}`;
+  const unchanged = async () => {
+    for (const [name, [, source]] of Object.entries(FILES)) {
+      expect(await fs.readFile(file(name), 'utf-8')).toBe(source);
+    }
+    expect((await new ChangeHistory(projectPath).list()).undo).toEqual([]);
+  };
+
+  beforeAll(async () => {
+    api = await startRouter(router, '/api/implications');
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    for (const name of Object.keys(FILES)) {
+      await fs.outputFile(file(name), FILES[name][1]);
+    }
+
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    await fs.remove(projectPath);
+  });
+
+  const requests = {
+    'update-tags': () => ({ projectPath, filePath: file('pending'), tags: { screen: ['booking', 'review'] } }),
+    'update-ui': () => ({ projectPath, filePath: file('pending'), uiData: { web: { screens: { bookingScreen: [{ visible: ['title', 'price'] }] } } } }),
+    'update-context': () => ({ projectPath, filePath: file('pending'), contextUpdates: { price: 120 } }),
+    'add-transition': () => ({ projectPath, sourceFile: file('accepted'), targetFile: file('reviewing'), event: 'REVIEW', platform: 'web' }),
+    'graph/insert-node': () => ({
+      projectPath, sourceState: 'pending', targetState: 'accepted', insertState: 'reviewing',
+      originalEvent: 'ACCEPT', keepEventOn: 'first', newEventName: 'APPROVE'
+    }),
+    'update-composition': () => ({ projectPath, filePath: file('pending'), config: { baseClass: 'BaseBookingImplications', behaviors: [] } })
+  };
+  const post = (route, extra) => api.post(`/${route}`, { ...requests[route](), ...extra });
+
+  it('/update-tags returns the diff of the file', async () => {
+    const { status, body } = await post('update-tags', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true, filePath: file('pending') });
+    expect(body.diffs).toEqual([expect.objectContaining({ path: relative('pending'), change: 'modified' })]);
+    expect(body.diffs[0].diff).toMatch(/^\+.*review/m);
+    await unchanged();
+  });
+
+  it('/update-ui returns the diff of the file', async () => {
+    const { status, body } = await post('update-ui', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true, filePath: file('pending') });
+    expect(body.diffs).toEqual([expect.objectContaining({ path: relative('pending'), change: 'modified' })]);
+    expect(body.diffs[0].diff).toMatch(/^\+.*price/m);
+    await unchanged();
+  });
+
+  it('/update-context returns the diff of the file', async () => {
+    const { status, body } = await post('update-context', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true, filePath: file('pending') });
+    expect(body.diffs[0].diff).toMatch(/^-.*price: 0/m);
+    expect(body.diffs[0].diff).toMatch(/^\+.*price: 120/m);
+    await unchanged();
+  });
+
+  it('/add-transition returns the transition and the diffs of both files', async () => {
+    const { status, body } = await post('add-transition', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      preview: true,
+      transition: { event: 'REVIEW', from: FILES.accepted[0], to: '#reviewing' }
+    });
+    expect(body.diffs.map(d => d.path)).toEqual([relative('accepted'), relative('reviewing')]);
+    await unchanged();
+    expect(await fs.readdir(path.join(projectPath, 'tests/implications'))).toHaveLength(4);
+  });
+
+  it('/graph/insert-node returns both segments and the diffs of all three files', async () => {
+    const { status, body } = await post('graph/insert-node', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      preview: true,
+      result: {
+        firstSegment: { from: 'pending', event: 'ACCEPT', to: 'reviewing' },
+        secondSegment: { from: 'reviewing', event: 'APPROVE', to: 'accepted' }
+      }
+    });
+    expect(body.diffs.map(d => d.path).sort()).toEqual([relative('accepted'), relative('pending'), relative('reviewing')]);
+    await unchanged();
+  });
+
+  it('/update-composition returns the rewriter preview with the diff of the file', async () => {
+    const { status, body } = await post('update-composition', { preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: { original: PENDING, modified: expect.stringContaining('BaseBookingImplications') } });
+    expect(body.diffs).toEqual([expect.objectContaining({ path: relative('pending'), change: 'modified' })]);
+    expect(body.diffs[0].diff).toMatch(/^\+.*import BaseBookingImplications/m);
+    await unchanged();
+  });
+
+  it('only previews for preview: true; any other value applies the change', async () => {
+    const { status, body } = await post('update-composition', { preview: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.preview).toBeUndefined();
+    expect(body.changeId).toEqual(expect.any(String));
+    expect(await fs.readFile(file('pending'), 'utf-8')).toContain('BaseBookingImplications');
+
+    const { body: tags } = await post('update-tags', { preview: 1 });
+    expect(tags.changeId).toEqual(expect.any(String));
+    expect((await new ChangeHistory(projectPath).list()).undo).toHaveLength(2);
+  });
+});
@@ -0,0 +1,191 @@
+// packages/api-server/src/routes/__tests__/renameEvent.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import router from '../implications.js';
+import { ChangeHistory } from '../../services/changeHistory.js';
+import { startRouter } from './routeServer.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending' },
+    on: {
+      ACCEPT: { target: 'accepted' },
+      CANCEL: { target: 'cancelled' }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const REVIEWING = `class ReviewingBookingImplications {
+  static xstateConfig = {
+    id: 'reviewing',
+    meta: { status: 'reviewing' },
+    on: {
+      ACCEPT: { target: 'accepted' }
+    }
+  };
+}
+
+module.exports = ReviewingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'accepted',
+      setup: [
+        { testFile: 'tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', actionName: 'acceptedViaPending', platform: 'web', previousStatus: 'pending' },
+        { testFile: 'tests/unit/AcceptedViaReviewing-ACCEPT-Web-UNIT.spec.js', actionName: 'acceptedViaReviewing', platform: 'web', previousStatus: 'reviewing' }
+      ]
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+const SPEC = `const { test } = require('@playwright/test');
+
+test('AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', async () => {
+  await ctx.executeEvent('ACCEPT');
+});
+`;
+
+const NOTES = {
+  states: {},
+  transitions: {
+    'pending:ACCEPT:accepted': [{ text: 'needs payment' }],
+    'reviewing:ACCEPT:accepted': [{ text: 'manual review' }]
+  }
+};
+
+describe('POST /api/implications/rename-event', () => {
+  let api;
+  let projectPath;
+  let consoleLog;
+  let consoleWarn;
+
+  const file = relativePath => path.join(projectPath, relativePath);
+  const read = relativePath => fs.readFile(file(relativePath), 'utf-8');
+
+  beforeAll(async () => {
+    api = await startRouter(router, '/api/implications');
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'rename-event-'));
+    await fs.outputFile(file('tests/implications/PendingBookingImplications.js'), PENDING);
+    await fs.outputFile(file('tests/implications/ReviewingBookingImplications.js'), REVIEWING);
+    await fs.outputFile(file('tests/implications/AcceptedBookingImplications.js'), ACCEPTED);
+    await fs.outputFile(file('tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js'), SPEC);
+    await fs.outputJson(file('notes.json'), NOTES);
+
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    await fs.remove(projectPath);
+  });
+
+  const rename = body => api.post('/rename-event', {
+    projectPath,
+    filePath: file('tests/implications/PendingBookingImplications.js'),
+    event: 'ACCEPT',
+    newEvent: 'CONFIRM',
+    ...body
+  });
+
+  it('validates the request', async () => {
+    expect((await rename({ newEvent: 'not valid' })).status).toBe(400);
+    expect((await rename({ newEvent: 'ACCEPT' })).body.error).toBe('New event name is the same as the current one');
+
+    const { status, body } = await rename({ event: 'MISSING' });
+    expect(status).toBe(404);
+    expect(body.error).toBe('No transition "MISSING" found in PendingBookingImplications.js');
+  });
+
+  it('refuses to rename onto an event the source already has', async () => {
+    const { status, body } = await rename({ newEvent: 'CANCEL' });
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('tests/implications/PendingBookingImplications.js already has a "CANCEL" transition');
+    expect(await read('tests/implications/PendingBookingImplications.js')).toBe(PENDING);
+  });
+
+  it('renames the transition, the target setup entry, its spec file and notes as one change', async () => {
+    const { status, body } = await rename();
+
+    expect(status).toBe(200);
+    expect(body.sources).toEqual(['tests/implications/PendingBookingImplications.js']);
+    expect(await read('tests/implications/PendingBookingImplications.js')).toMatch(/CONFIRM: \{ target: 'accepted' \}/);
+
+    const accepted = await read('tests/implications/AcceptedBookingImplications.js');
+    expect(accepted).toContain("testFile: 'tests/unit/AcceptedViaPending-CONFIRM-Web-UNIT.spec.js'");
+
+    expect(body.renamedFiles).toEqual([{
+      from: 'tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js',
+      to: 'tests/unit/AcceptedViaPending-CONFIRM-Web-UNIT.spec.js'
+    }]);
+    expect(await fs.pathExists(file('tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js'))).toBe(false);
+    const spec = await read('tests/unit/AcceptedViaPending-CONFIRM-Web-UNIT.spec.js');
+    expect(spec).toContain("test('AcceptedViaPending-CONFIRM-Web-UNIT.spec.js'");
+    expect(spec).toContain("executeEvent('CONFIRM')");
+
+    expect(body.notes).toBe(1);
+    expect(Object.keys((await fs.readJson(file('notes.json'))).transitions).sort())
+      .toEqual(['pending:CONFIRM:accepted', 'reviewing:ACCEPT:accepted']);
+
+    const { undo } = await new ChangeHistory(projectPath).list();
+    expect(undo).toEqual([expect.objectContaining({ id: body.changeId, summary: 'Rename event ACCEPT → CONFIRM' })]);
+  });
+
+  it('leaves other states declaring the event alone when filePath is given', async () => {
+    await rename();
+
+    expect(await read('tests/implications/ReviewingBookingImplications.js')).toBe(REVIEWING);
+    expect(await read('tests/implications/AcceptedBookingImplications.js'))
+      .toContain("testFile: 'tests/unit/AcceptedViaReviewing-ACCEPT-Web-UNIT.spec.js'");
+  });
+
+  it('renames the event of every source state without filePath', async () => {
+    const { body } = await rename({ filePath: undefined });
+
+    expect(body.sources.sort()).toEqual([
+      'tests/implications/PendingBookingImplications.js',
+      'tests/implications/ReviewingBookingImplications.js'
+    ]);
+    expect(await read('tests/implications/ReviewingBookingImplications.js')).toContain('CONFIRM');
+    expect(await read('tests/implications/AcceptedBookingImplications.js'))
+      .toContain("testFile: 'tests/unit/AcceptedViaReviewing-CONFIRM-Web-UNIT.spec.js'");
+    expect(body.notes).toBe(2);
+  });
+
+  it('previews the rename without writing', async () => {
+    const { status, body } = await rename({ preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true, oldEvent: 'ACCEPT', newEvent: 'CONFIRM' });
+    expect(body.diffs.map(d => [d.path, d.change]).sort()).toEqual([
+      ['notes.json', 'modified'],
+      ['tests/implications/AcceptedBookingImplications.js', 'modified'],
+      ['tests/implications/PendingBookingImplications.js', 'modified'],
+      ['tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', 'deleted'],
+      ['tests/unit/AcceptedViaPending-CONFIRM-Web-UNIT.spec.js', 'created']
+    ]);
+    expect(await read('tests/implications/PendingBookingImplications.js')).toBe(PENDING);
+    expect(await read('tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js')).toBe(SPEC);
+  });
+});
@@ -0,0 +1,170 @@
+// packages/api-server/src/routes/__tests__/renameState.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import router from '../implications.js';
+import { ChangeHistory } from '../../services/changeHistory.js';
+import { startRouter } from './routeServer.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending', entity: 'booking', initial: true },
+    on: {
+      ACCEPT: { target: 'accepted' }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'accepted',
+      entity: 'booking',
+      setup: [{
+        testFile: 'AcceptedViaPending-ACCEPT-Web-UNIT.spec.js',
+        actionName: 'acceptedViaPending',
+        platform: 'web',
+        previousStatus: 'pending',
+        requires: { status: 'pending', 'booking.status': 'pending', 'dancer.status': 'pending', reason: 'pending' }
+      }]
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+const VERIFIED = `class VerifiedDancerImplications {
+  static xstateConfig = {
+    id: 'verified',
+    meta: {
+      status: 'verified',
+      entity: 'dancer',
+      setup: [{ testFile: 'Verified-VERIFY-Web-UNIT.spec.js', platform: 'web', previousStatus: 'registered', requires: { status: 'pending' } }]
+    }
+  };
+}
+
+module.exports = VerifiedDancerImplications;
+`;
+
+const SPEC = `const PendingBookingImplications = require('../implications/PendingBookingImplications');
+
+test('accept', () => {});
+`;
+
+describe('POST /api/implications/rename-state', () => {
+  let api;
+  let projectPath;
+  let consoleLog;
+  let consoleWarn;
+
+  const file = relativePath => path.join(projectPath, relativePath);
+  const read = relativePath => fs.readFile(file(relativePath), 'utf-8');
+
+  beforeAll(async () => {
+    api = await startRouter(router, '/api/implications');
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'rename-state-'));
+    await fs.outputFile(file('tests/implications/PendingBookingImplications.js'), PENDING);
+    await fs.outputFile(file('tests/implications/AcceptedBookingImplications.js'), ACCEPTED);
+    await fs.outputFile(file('tests/implications/VerifiedDancerImplications.js'), VERIFIED);
+    await fs.outputFile(file('tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js'), SPEC);
+
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    await fs.remove(projectPath);
+  });
+
+  const rename = body => api.post('/rename-state', {
+    projectPath,
+    filePath: file('tests/implications/PendingBookingImplications.js'),
+    newName: 'awaiting_review',
+    newStatus: 'awaiting_review',
+    ...body
+  });
+
+  it('rejects names that are not snake_case', async () => {
+    const { status, body } = await rename({ newName: 'AwaitingReview' });
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/snake_case/);
+  });
+
+  it('refuses to merge into an existing state', async () => {
+    const { status, body } = await rename({ newName: 'accepted' });
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('State "accepted" already exists in tests/implications/AcceptedBookingImplications.js');
+  });
+
+  it('previews the rename without writing', async () => {
+    const { status, body } = await rename({ preview: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, preview: true, oldClassName: 'PendingBookingImplications', newClassName: 'AwaitingReviewBookingImplications' });
+    expect(body.diffs.map(d => d.path)).toEqual(expect.arrayContaining([
+      'tests/implications/AwaitingReviewBookingImplications.js',
+      'tests/implications/AcceptedBookingImplications.js'
+    ]));
+    expect(await read('tests/implications/PendingBookingImplications.js')).toBe(PENDING);
+    expect(await fs.pathExists(file('tests/implications/AwaitingReviewBookingImplications.js'))).toBe(false);
+  });
+
+  it('renames the state file, its references and generated tests as one change', async () => {
+    const { status, body } = await rename();
+
+    expect(status).toBe(200);
+    expect(body.renamedFiles).toEqual([
+      { from: 'tests/implications/PendingBookingImplications.js', to: 'tests/implications/AwaitingReviewBookingImplications.js' },
+      { from: 'tests/unit/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', to: 'tests/unit/AcceptedViaAwaitingReview-ACCEPT-Web-UNIT.spec.js' }
+    ]);
+
+    const renamed = await read('tests/implications/AwaitingReviewBookingImplications.js');
+    expect(renamed).toContain("id: 'awaiting_review'");
+    expect(renamed).toContain("status: 'awaiting_review'");
+    expect(renamed).toContain('class AwaitingReviewBookingImplications');
+    expect(await fs.pathExists(file('tests/implications/PendingBookingImplications.js'))).toBe(false);
+    expect(await read('tests/unit/AcceptedViaAwaitingReview-ACCEPT-Web-UNIT.spec.js'))
+      .toContain("require('../implications/AwaitingReviewBookingImplications')");
+
+    const { undo } = await new ChangeHistory(projectPath).list();
+    expect(undo).toEqual([expect.objectContaining({ id: body.changeId, summary: 'Rename state pending → awaiting_review' })]);
+  });
+
+  it('only rewrites requires status keys of the renamed state entity', async () => {
+    await rename();
+
+    const accepted = await read('tests/implications/AcceptedBookingImplications.js');
+    expect(accepted).toContain("previousStatus: 'awaiting_review'");
+    expect(accepted).toContain("testFile: 'AcceptedViaAwaitingReview-ACCEPT-Web-UNIT.spec.js'");
+    expect(accepted).toContain("requires: { status: 'awaiting_review', 'booking.status': 'awaiting_review', 'dancer.status': 'pending', reason: 'pending' }");
+  });
+
+  it('leaves the status of other entities alone and reports it for review', async () => {
+    const { body } = await rename();
+
+    expect(await read('tests/implications/VerifiedDancerImplications.js')).toBe(VERIFIED);
+    expect(body.updatedFiles.map(f => f.path)).not.toContain('tests/implications/VerifiedDancerImplications.js');
+    expect(body.unresolved).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'tests/implications/AcceptedBookingImplications.js', text: expect.stringContaining("'dancer.status': 'pending'") })
+    ]));
+  });
+});
@@ -0,0 +1,37 @@
+// packages/api-server/src/routes/__tests__/routeServer.js
+
+import express from 'express';
+
+/**
+ * Serve a router on a free local port, mounted like src/index.js does.
+ * get()/post() resolve with { status, body } (body parsed as JSON).
+ */
+export async function startRouter(router, mountPath) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(mountPath, router);
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+
+  const request = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return {
+    get: route => request('GET', route),
+    post: (route, body) => request('POST', route, body),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
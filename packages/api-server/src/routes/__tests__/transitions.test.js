@@ -0,0 +1,128 @@
+// packages/api-server/src/routes/__tests__/transitions.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import router from '../implications.js';
+import { startRouter } from './routeServer.js';
+
+const ACCEPTED = `class BookingAcceptedImplications {
+  static xstateConfig = {
+    meta: {
+      status: 'booking_accepted',
+      setup: [
+        { testFile: 'BookingAccepted-REFRESH-Web-UNIT.spec.js', actionName: 'refresh', platform: 'web', previousStatus: 'booking_accepted' }
+      ]
+    },
+    on: {
+      REFRESH: { target: 'booking_accepted' },
+      CANCEL: { target: 'booking_cancelled' }
+    }
+  };
+}
+
+module.exports = BookingAcceptedImplications;
+`;
+
+const CANCELLED = `class BookingCancelledImplications {
+  static xstateConfig = {
+    meta: {
+      status: 'booking_cancelled',
+      setup: [
+        { testFile: 'BookingCancelled-CANCEL-Web-UNIT.spec.js', actionName: 'cancel', platform: 'web', previousStatus: 'booking_accepted' }
+      ]
+    }
+  };
+}
+
+module.exports = BookingCancelledImplications;
+`;
+
+describe('transition routes', () => {
+  let api;
+  let projectPath;
+  let acceptedFile;
+  let cancelledFile;
+  let consoleLog;
+  let consoleWarn;
+
+  beforeAll(async () => {
+    api = await startRouter(router, '/api/implications');
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'transition-routes-'));
+    acceptedFile = path.join(projectPath, 'BookingAcceptedImplications.js');
+    cancelledFile = path.join(projectPath, 'BookingCancelledImplications.js');
+    await fs.writeFile(acceptedFile, ACCEPTED);
+    await fs.writeFile(cancelledFile, CANCELLED);
+
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    await fs.remove(projectPath);
+  });
+
+  const read = file => fs.readFile(file, 'utf-8');
+
+  describe('/delete-transition', () => {
+    it('removes the transition and the setup entry in the target file', async () => {
+      const { status, body } = await api.post('/delete-transition', {
+        projectPath, sourceFile: acceptedFile, targetFile: cancelledFile, event: 'CANCEL'
+      });
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, deletedTarget: 'booking_cancelled', targetUpdated: true });
+      expect(await read(acceptedFile)).not.toContain('CANCEL');
+      expect(await read(cancelledFile)).not.toContain('previousStatus');
+    });
+
+    it('removes both the transition and the setup entry of a self-loop', async () => {
+      const { status, body } = await api.post('/delete-transition', {
+        projectPath, sourceFile: acceptedFile, targetFile: acceptedFile, event: 'REFRESH'
+      });
+
+      expect(status).toBe(200);
+      expect(body.targetUpdated).toBe(true);
+      const code = await read(acceptedFile);
+      expect(code).not.toContain('REFRESH');
+      expect(code).not.toContain("previousStatus: 'booking_accepted'");
+      expect(code).toContain('CANCEL');
+    });
+  });
+
+  describe('/update-transition', () => {
+    const update = (targetFile, changes) => api.post('/update-transition', {
+      projectPath, sourceFile: acceptedFile, targetFile, ...changes
+    });
+
+    it('renames the event in the target file setup entry', async () => {
+      const { status } = await update(cancelledFile, { oldEvent: 'CANCEL', newEvent: 'DECLINE', newTarget: 'booking_cancelled' });
+
+      expect(status).toBe(200);
+      expect(await read(acceptedFile)).toContain('DECLINE');
+      expect(await read(cancelledFile)).toContain('BookingCancelled-DECLINE-Web-UNIT.spec.js');
+    });
+
+    it('keeps both the transition and the setup entry change of a self-loop', async () => {
+      const { status } = await update(acceptedFile, {
+        oldEvent: 'REFRESH', newEvent: 'RELOAD', newTarget: 'booking_accepted', requires: { paid: true }
+      });
+
+      expect(status).toBe(200);
+      const code = await read(acceptedFile);
+      expect(code).toMatch(/RELOAD: \{ target: "booking_accepted"/);
+      expect(code).not.toContain('REFRESH');
+      expect(code).toContain('BookingAccepted-RELOAD-Web-UNIT.spec.js');
+      expect(code).toMatch(/previousStatus: 'booking_accepted', requires: \{ "paid": true \}/);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// packages/api-server/src/routes/analysis.js
+
+import express from 'express';
+import { scanProject } from '../services/scanService.js';
+import { FixEngine } from '../services/fixService.js';
+import { Changeset } from '../services/changeHistory.js';
+import { TransactionError } from '../services/fileTransaction.js';
+import { AnalysisHistory, AnalysisHistoryError } from '../services/analysisHistory.js';
+import { discoverProject } from '../services/discoveryService.js';
+import { loadConfig } from '../services/configService.js';
+import { buildCoverageMatrix, renderCoverageHtml } from '../services/coverageReport.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/analysis/fix
+ * Apply auto-fixable analyzer suggestions as source edits
+ *
+ * Body:
+ * - projectPath: Project root
+ * - issueId: Fix one issue; `action` picks the suggestion, `params` overrides its data
+ * - issueIds: Fix several issues (first auto-fixable suggestion of each)
+ * - (neither): Fix every auto-fixable issue
+ * - preview: Only return the diffs
+ *
+ * Issues are re-analyzed on the server, so ids come from the latest
+ * analysis (issue.id). The response always includes the unified diffs.
+ */
+router.post('/fix', async (req, res) => {
+  try {
+    const { projectPath, issueId, issueIds, action, params = {} } = req.body;
+
+    if (!projectPath) {
+      return res.status(400).json({ error: 'projectPath is required' });
+    }
+
+    const { discoveryResult, stateRegistry, analysisResult } = await scanProject(projectPath, { recordHistory: false });
+    const engine = new FixEngine({ projectPath, discoveryResult, stateRegistry });
+    const issues = analysisResult.issues;
+    let results;
+
+    if (issueId) {
+      const issue = issues.find(i => i.id === issueId);
+      if (!issue) {
+        return res.status(404).json({ error: `Issue not found (it may already be fixed): ${issueId}` });
+      }
+
+      results = [await engine.fixIssue(issue, { action, params })];
+      if (results[0].status === 'skipped') {
+        return res.status(422).json({ success: false, error: results[0].reason, results });
+      }
+    } else if (Array.isArray(issueIds)) {
+      const found = issues.filter(i => issueIds.includes(i.id));
+      results = [
+        ...await engine.fixIssues(found),
+        ...issueIds
+          .filter(id => !found.some(i => i.id === id))
+          .map(id => ({ issueId: id, status: 'skipped', reason: 'Issue not found', files: [] }))
+      ];
+    } else {
+      results = await engine.fixIssues(issues.filter(i => engine.fixableSuggestion(i)));
+    }
+
+    const changeset = new Changeset(req, 'analysis-fix', { atomic: true });
+    await engine.writeTo(changeset);
+
+    const fixed = results.filter(r => r.status === 'fixed');
+    console.log(`🔧 Auto-fix: ${fixed.length} fixed, ${results.length - fixed.length} skipped`);
+
+    if (changeset.preview) {
+      return res.json(changeset.previewResponse({ results }));
+    }
+
+    const diffs = changeset.diffs();
+    const changeId = await changeset.commit(
+      fixed.length === 1 ? fixed[0].summary : `Auto-fix ${fixed.length} issue(s)`
+    );
+
+    res.json({ success: true, changeId, results, diffs });
+
+  } catch (error) {
+    console.error('❌ Auto-fix failed:', error);
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({
+      success: false,
+      error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      })
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/history
+ * Recorded analysis runs (summary + UI coverage), oldest first
+ *
+ * Query params:
+ *   - projectPath: (required)
+ *   - limit: Number of most recent runs (default 30)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { projectPath, limit } = req.query;
+
+    if (!projectPath) {
+      return res.status(400).json({ error: 'projectPath is required' });
+    }
+
+    const runs = await new AnalysisHistory(projectPath).list({ limit: Number(limit) || 30 });
+    res.json({ success: true, runs });
+
+  } catch (error) {
+    console.error('❌ Failed to read analysis history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/analysis/compare
+ * New, resolved and persisting issues of the latest run
+ *
+ * Query params:
+ *   - projectPath: (required)
+ *   - since: Run id or git ref to compare with (default: the previous run)
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const { projectPath, since } = req.query;
+
+    if (!projectPath) {
+      return res.status(400).json({ error: 'projectPath is required' });
+    }
+
+    const comparison = await new AnalysisHistory(projectPath).compare(since);
+    res.json({ success: true, ...comparison });
+
+  } catch (error) {
+    if (error instanceof AnalysisHistoryError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Failed to compare analysis runs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/analysis/coverage
+ * States and transitions × platforms: UI checks, generated specs, locks
+ * and last test results
+ *
+ * Query params:
+ *   - projectPath: (required)
+ *   - format: 'json' (default) or 'html' for a standalone report page
+ */
+router.get('/coverage', async (req, res) => {
+  try {
+    const { projectPath, format = 'json' } = req.query;
+
+    if (!projectPath) {
+      return res.status(400).json({ error: 'projectPath is required' });
+    }
+
+    const config = await loadConfig(projectPath);
+    const discoveryResult = await discoverProject(projectPath);
+    const matrix = await buildCoverageMatrix(projectPath, discoveryResult, config);
+
+    if (format === 'html') {
+      return res.type('html').send(renderCoverageHtml(matrix));
+    }
+
+    res.json({ success: true, ...matrix });
+
+  } catch (error) {
+    console.error('❌ Failed to build coverage matrix:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -4,10 +4,11 @@ import fs from 'fs-extra';
 import { glob } from 'glob';
 import minimatch from 'minimatch';
 
-import { discoverProject, parseImplicationFile } from '../services/discoveryService.js';
-import { ProjectAnalyzer } from '../../../analyzer/src/index.js';
-import { StateRegistry } from '../../../core/src/index.js';
+import { parseImplicationFile } from '../services/discoveryService.js';
+import { scanProject } from '../services/scanService.js';
 import { loadConfig } from '../services/configService.js';
+import { acquireWatcher, releaseWatcher } from '../services/watchService.js';
+import { ParseCache } from '../services/parseCache.js';
 
 const router = express.Router();
 
@@ -200,34 +201,19 @@ function detectPlatformFromPath(filePath) {
 
 router.post('/scan', async (req, res) => {
   try {
-    const { projectPath } = req.body;
+    const { projectPath, fresh = false } = req.body;
     
     if (!projectPath) {
       return res.status(400).json({ error: 'projectPath is required' });
     }
     
-    console.log(`\n🔍 Starting discovery for: ${projectPath}`);
+    console.log(`\n🔍 Starting discovery for: ${projectPath}${fresh ? ' (fresh)' : ''}`);
     const startTime = Date.now();
     
     // Store project path immediately
     req.app.set('lastScannedProject', projectPath);
     
-    // Load project config
-    const config = await loadConfig(projectPath);
-    
-    // Run discovery
-    const discoveryResult = await discoverProject(projectPath);
-    
-    // Build state registry
-    console.log('\n🗺️  Building State Registry...');
-    const stateRegistry = new StateRegistry(config);
-    await stateRegistry.build(discoveryResult);
-    
-    // Run analysis with registry
-    const analyzer = new ProjectAnalyzer();
-    const analysisResult = analyzer.analyze(discoveryResult, {
-      stateRegistry
-    });
+    const { discoveryResult, stateRegistry, analysisResult, response } = await scanProject(projectPath, { fresh });
     
     // Calculate duration
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -242,32 +228,6 @@ router.post('/scan', async (req, res) => {
     // Cache the discovery result
     req.app.set('lastDiscoveryResult', discoveryResult);
     
-    // ✅ Extract graphColors from config (safely)
-    let graphColors = null;
-    if (config?.graphColors) {
-      // Only pass serializable parts (no functions)
-      graphColors = {
-        colorNodesBy: config.graphColors.colorNodesBy || 'platform',
-        platforms: config.graphColors.platforms || null,
-        statuses: config.graphColors.statuses || null,
-        patterns: config.graphColors.patterns || null,
-        edgeColors: config.graphColors.edgeColors || null,
-      };
-      console.log(`   - Graph Colors: configured (colorNodesBy: ${graphColors.colorNodesBy})`);
-    }
-    
-    // Build complete response
-    const response = {
-      ...discoveryResult,
-      analysis: analysisResult,
-      stateRegistry: stateRegistry.toJSON(),
-      // ✅ Pass config to frontend for graphBuilder
-      config: {
-        graphColors: graphColors,
-        projectName: config?.projectName || null,
-      }
-    };
-    
     res.json(response);
     
   } catch (error) {
@@ -279,6 +239,89 @@ router.post('/scan', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/discovery/watch?projectPath=...
+ * Server-Sent Events stream: re-scans on file changes and pushes
+ * 'discovery-updated' events with the same payload as POST /scan
+ */
+router.get('/watch', async (req, res) => {
+  const { projectPath } = req.query;
+
+  if (!projectPath) {
+    return res.status(400).json({ error: 'projectPath is required' });
+  }
+
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: `Project path not found: ${projectPath}` });
+  }
+
+  let watcher;
+  try {
+    watcher = await acquireWatcher(projectPath);
+  } catch (error) {
+    console.error('❌ Failed to start watcher:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onUpdate = ({ changedFiles, hashes, response }) => {
+    req.app.set('lastScannedProject', projectPath);
+    req.app.set('lastDiscoveryResult', response);
+    send('discovery-updated', { changedFiles, hashes, result: response });
+  };
+
+  const onError = ({ changedFiles, error }) => {
+    send('discovery-error', { changedFiles, error });
+  };
+
+  watcher.on('update', onUpdate);
+  watcher.on('scan-error', onError);
+
+  send('ready', { projectPath, directories: watcher.directories });
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    watcher.off('update', onUpdate);
+    watcher.off('scan-error', onError);
+    releaseWatcher(projectPath).catch(error => {
+      console.error('❌ Failed to stop watcher:', error.message);
+    });
+  });
+});
+
+/**
+ * GET /api/discovery/file-hash?filePath=...
+ * Content hash of a file, as sent in 'discovery-updated' hashes
+ * (null if the file doesn't exist). Lets the Visualizer recognize the
+ * watcher updates caused by its own saves.
+ */
+router.get('/file-hash', async (req, res) => {
+  const { filePath } = req.query;
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'filePath is required' });
+  }
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    res.json({ filePath, hash: ParseCache.hashContent(content) });
+  } catch (error) {
+    res.json({ filePath, hash: null });
+  }
+});
+
 // Add this route to discovery.js (after the imports, before export)
 
 /**
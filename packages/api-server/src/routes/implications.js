@@ -15,6 +15,37 @@ import { dirname } from 'path';
 import CompositionAnalyzer from '../services/CompositionAnalyzer.js';
 import CompositionRewriter from '../services/CompositionRewriter.js';
 import { extractUIImplications } from '../services/astParser.js';
+import { Changeset, ChangeHistory, HistoryConflictError } from '../services/changeHistory.js';
+import { TransactionError } from '../services/fileTransaction.js';
+import { LockService } from '../services/lockService.js';
+import { loadConfig } from '../services/configService.js';
+import {
+  ImplicationEditor,
+  findProperty,
+  escapeRegExp,
+  toPascalCase,
+  toCamelCase,
+  detectFieldType,
+  createValueNode,
+  extractValueFromAST,
+  extractTransitionValue,
+  extractStateName,
+  extractTransitionData,
+  modifyTransitionTarget,
+  addTransitionToFile,
+  addSetupEntry,
+  updateSetupPreviousStatus,
+  addTransitionToAST,
+  buildActionDetailsAST,
+  addSetupEntryToAST,
+  removeSetupEntryFromAST,
+  updateSetupEntryRequiresInAST,
+  updateSetupEntryEventInAST,
+  renameViaSegments,
+  renameSpecPath,
+  findUnresolvedStateReferences,
+  renameEventInSpecPath
+} from '../../../core/src/editor/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -456,48 +487,54 @@ export async function insertNodeHandler(req, res) {
     );
 
     // ═══════════════════════════════════════════════════════════════════════
-    // CREATE BACKUPS AND WRITE FILES
+    // STAGE, BACKUP AND COMMIT ALL FILES IN ONE TRANSACTION
     // ═══════════════════════════════════════════════════════════════════════
 
-    console.log('\n4️⃣ Creating backups and writing files...');
+    const changeset = new Changeset(req, 'graph/insert-node', { atomic: true });
+    await changeset.write(sourceFile, generate(sourceAst, { retainLines: true, comments: true }).code);
+    await changeset.write(insertFile, generate(insertAst, { retainLines: true, comments: true }).code);
+    await changeset.write(targetFile, generate(targetAst, { retainLines: true, comments: true }).code);
+
+    // Preview mode - return the diffs of all three files
+    if (changeset.preview) {
+      return res.json(changeset.previewResponse({
+        result: {
+          firstSegment: { from: sourceState, event: firstEvent, to: insertState },
+          secondSegment: { from: insertState, event: secondEvent, to: targetState }
+        }
+      }));
+    }
+
+    console.log('\n4️⃣ Creating backups and committing files...');
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const changes = {};
-
-    // Source file
-    const sourceBackup = `${sourceFile}.backup-${timestamp}`;
-    await fs.copy(sourceFile, sourceBackup);
-    const sourceCode = generate(sourceAst, { retainLines: true, comments: true }).code;
-    await fs.writeFile(sourceFile, sourceCode, 'utf-8');
-    changes.sourceFile = {
-      path: sourceFile,
-      backup: sourceBackup,
-      modification: `Changed ${originalEvent} target: ${targetState} → ${insertState}`
+    const changes = {
+      sourceFile: {
+        path: sourceFile,
+        backup: `${sourceFile}.backup-${timestamp}`,
+        modification: `Changed ${originalEvent} target: ${targetState} → ${insertState}`
+      },
+      insertFile: {
+        path: insertFile,
+        backup: `${insertFile}.backup-${timestamp}`,
+        modification: `Added transition ${secondEvent} → ${targetState}, setup from ${sourceState}`
+      },
+      targetFile: {
+        path: targetFile,
+        backup: `${targetFile}.backup-${timestamp}`,
+        modification: `Updated setup previousStatus: ${sourceState} → ${insertState}`
+      }
     };
-    console.log(`   ✅ Source: ${path.basename(sourceFile)}`);
 
-    // Insert file
-    const insertBackup = `${insertFile}.backup-${timestamp}`;
-    await fs.copy(insertFile, insertBackup);
-    const insertCode = generate(insertAst, { retainLines: true, comments: true }).code;
-    await fs.writeFile(insertFile, insertCode, 'utf-8');
-    changes.insertFile = {
-      path: insertFile,
-      backup: insertBackup,
-      modification: `Added transition ${secondEvent} → ${targetState}, setup from ${sourceState}`
-    };
-    console.log(`   ✅ Insert: ${path.basename(insertFile)}`);
+    for (const change of Object.values(changes)) {
+      await fs.copy(change.path, change.backup);
+    }
 
-    // Target file
-    const targetBackup = `${targetFile}.backup-${timestamp}`;
-    await fs.copy(targetFile, targetBackup);
-    const targetCode = generate(targetAst, { retainLines: true, comments: true }).code;
-    await fs.writeFile(targetFile, targetCode, 'utf-8');
-    changes.targetFile = {
-      path: targetFile,
-      backup: targetBackup,
-      modification: `Updated setup previousStatus: ${sourceState} → ${insertState}`
-    };
+    // Validates every file parses, then writes all three or none
+    const changeId = await changeset.commit(`Insert ${insertState} between ${sourceState} and ${targetState}`);
+
+    console.log(`   ✅ Source: ${path.basename(sourceFile)}`);
+    console.log(`   ✅ Insert: ${path.basename(insertFile)}`);
     console.log(`   ✅ Target: ${path.basename(targetFile)}`);
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -514,6 +551,7 @@ export async function insertNodeHandler(req, res) {
     res.json({
       success: true,
       changes,
+      changeId,
       result: {
         firstSegment: {
           from: sourceState,
@@ -530,9 +568,12 @@ export async function insertNodeHandler(req, res) {
 
   } catch (error) {
     console.error('❌ Insert node failed:', error);
-    res.status(500).json({
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({
       success: false,
       error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      }),
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
@@ -571,353 +612,6 @@ async function findImplicationFile(projectPath, stateName) {
   return null;
 }
 
-/**
- * Extract transition data from AST
- */
-function extractTransitionData(ast, eventName) {
-  let transitionData = null;
-
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-
-        // Find 'on' property
-        const onProp = findProperty(configValue, 'on');
-        if (!onProp?.value?.properties) return;
-
-        // Find the specific transition
-        const transitionProp = onProp.value.properties.find(
-          p => p.key?.name === eventName || p.key?.value === eventName
-        );
-
-        if (!transitionProp) return;
-
-        // Extract data
-        transitionData = extractTransitionValue(transitionProp.value);
-      }
-    }
-  });
-
-  return transitionData;
-}
-
-/**
- * Find property in ObjectExpression
- */
-function findProperty(objExpr, name) {
-  return objExpr.properties.find(
-    p => t.isObjectProperty(p) && (p.key.name === name || p.key.value === name)
-  );
-}
-
-/**
- * Modify transition target in AST
- */
-function modifyTransitionTarget(ast, eventName, newTarget, newEventName = null) {
-  let modified = false;
-
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-
-        const onProp = findProperty(configValue, 'on');
-        if (!onProp?.value?.properties) return;
-
-        // Find the transition
-        const transitionIndex = onProp.value.properties.findIndex(
-          p => p.key?.name === eventName || p.key?.value === eventName
-        );
-
-        if (transitionIndex === -1) return;
-
-        const transitionProp = onProp.value.properties[transitionIndex];
-
-        // Update target
-        if (t.isStringLiteral(transitionProp.value)) {
-          // Simple string target
-          transitionProp.value = t.stringLiteral(newTarget);
-          modified = true;
-        } else if (t.isObjectExpression(transitionProp.value)) {
-          // Object with target property
-          const targetProp = transitionProp.value.properties.find(
-            p => p.key?.name === 'target'
-          );
-          if (targetProp) {
-            targetProp.value = t.stringLiteral(newTarget);
-            modified = true;
-          }
-        } else if (t.isArrayExpression(transitionProp.value)) {
-          // Array of transitions - update all
-          transitionProp.value.elements.forEach(el => {
-            if (t.isObjectExpression(el)) {
-              const targetProp = el.properties.find(p => p.key?.name === 'target');
-              if (targetProp) {
-                targetProp.value = t.stringLiteral(newTarget);
-                modified = true;
-              }
-            }
-          });
-        }
-
-        // Rename event if needed
-        if (newEventName && modified) {
-          transitionProp.key = t.identifier(newEventName);
-          console.log(`   📝 Renamed event: ${eventName} → ${newEventName}`);
-        }
-      }
-    }
-  });
-
-  if (modified) {
-    console.log(`   ✅ Updated transition target: ${eventName} → ${newTarget}`);
-  }
-
-  return modified;
-}
-
-/**
- * Add transition to file
- */
-function addTransitionToFile(ast, eventName, target, platforms, actionDetails) {
-  let added = false;
-
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-
-        // Find or create 'on' property
-        let onProp = findProperty(configValue, 'on');
-        
-        if (!onProp) {
-          onProp = t.objectProperty(
-            t.identifier('on'),
-            t.objectExpression([])
-          );
-          configValue.properties.push(onProp);
-        }
-
-        // Check if transition already exists
-        const existing = onProp.value.properties.find(
-          p => p.key?.name === eventName || p.key?.value === eventName
-        );
-
-        if (existing) {
-          console.log(`   ⚠️ Transition ${eventName} already exists, skipping`);
-          return;
-        }
-
-        // Build transition object
-        const transitionProps = [
-          t.objectProperty(t.identifier('target'), t.stringLiteral(target))
-        ];
-
-        if (platforms && platforms.length > 0) {
-          transitionProps.push(
-            t.objectProperty(
-              t.identifier('platforms'),
-              t.arrayExpression(platforms.map(p => t.stringLiteral(p)))
-            )
-          );
-        }
-
-        if (actionDetails) {
-          transitionProps.push(
-            t.objectProperty(
-              t.identifier('actionDetails'),
-              createValueNode(actionDetails)
-            )
-          );
-        }
-
-        // Add transition
-        onProp.value.properties.push(
-          t.objectProperty(
-            t.identifier(eventName),
-            t.objectExpression(transitionProps)
-          )
-        );
-
-        added = true;
-        console.log(`   ✅ Added transition: ${eventName} → ${target}`);
-      }
-    }
-  });
-
-  return added;
-}
-
-/**
- * Add setup entry to file
- */
-function addSetupEntry(ast, previousStatus, currentStatus, event, platform) {
-  let added = false;
-
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-
-        // Find or create meta
-        let metaProp = findProperty(configValue, 'meta');
-        
-        if (!metaProp) {
-          metaProp = t.objectProperty(
-            t.identifier('meta'),
-            t.objectExpression([])
-          );
-          configValue.properties.unshift(metaProp);
-        }
-
-        // Find or create setup array
-        let setupProp = findProperty(metaProp.value, 'setup');
-        
-        if (!setupProp) {
-          setupProp = t.objectProperty(
-            t.identifier('setup'),
-            t.arrayExpression([])
-          );
-          metaProp.value.properties.push(setupProp);
-        }
-
-        // Check if entry already exists
-        const existing = setupProp.value.elements.find(el => {
-          if (!t.isObjectExpression(el)) return false;
-          const prevProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          return prevProp?.value?.value === previousStatus;
-        });
-
-        if (existing) {
-          console.log(`   ⚠️ Setup entry for ${previousStatus} already exists, skipping`);
-          return;
-        }
-
-        // Build test file path
-        const toPascal = (str) => str
-          .split('_')
-          .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-          .join('');
-        
-        const currentPascal = toPascal(currentStatus);
-        const prevPascal = toPascal(previousStatus);
-        const platformCap = platform.charAt(0).toUpperCase() + platform.slice(1);
-        
-        const testFile = `tests/implications/bookings/status/${currentPascal}Via${prevPascal}-${event}-${platformCap}-UNIT.spec.js`;
-        const actionName = `${currentStatus.replace(/_([a-z])/g, (_, c) => c.toUpperCase())}Via${prevPascal}`;
-
-        // Create setup entry
-        const setupEntry = t.objectExpression([
-          t.objectProperty(t.identifier('testFile'), t.stringLiteral(testFile)),
-          t.objectProperty(t.identifier('actionName'), t.stringLiteral(actionName)),
-          t.objectProperty(t.identifier('platform'), t.stringLiteral(platform)),
-          t.objectProperty(t.identifier('previousStatus'), t.stringLiteral(previousStatus))
-        ]);
-
-        setupProp.value.elements.push(setupEntry);
-        added = true;
-        console.log(`   ✅ Added setup entry: previousStatus=${previousStatus}`);
-      }
-    }
-  });
-
-  return added;
-}
-
-/**
- * Update setup entry's previousStatus
- */
-function updateSetupPreviousStatus(ast, oldPreviousStatus, newPreviousStatus, newEvent) {
-  let updated = false;
-
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-
-        const metaProp = findProperty(configValue, 'meta');
-        if (!metaProp?.value?.properties) return;
-
-        const setupProp = findProperty(metaProp.value, 'setup');
-        if (!setupProp?.value?.elements) return;
-
-        // Find entry with old previousStatus
-        setupProp.value.elements.forEach(el => {
-          if (!t.isObjectExpression(el)) return;
-
-          const prevProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          if (prevProp?.value?.value !== oldPreviousStatus) return;
-
-          // Update previousStatus
-          prevProp.value = t.stringLiteral(newPreviousStatus);
-          
-          // Update testFile path if needed
-          const testFileProp = el.properties.find(p => p.key?.name === 'testFile');
-          if (testFileProp?.value?.value) {
-            // Replace old status with new in path
-            const oldPath = testFileProp.value.value;
-            const toPascal = (str) => str
-              .split('_')
-              .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-              .join('');
-            
-            const oldPascal = toPascal(oldPreviousStatus);
-            const newPascal = toPascal(newPreviousStatus);
-            
-            let newPath = oldPath.replace(`Via${oldPascal}`, `Via${newPascal}`);
-            
-            // Also update event name in path if provided
-            if (newEvent && oldPath.includes('-')) {
-              const parts = newPath.split('-');
-              if (parts.length >= 2) {
-                // Find the event part (usually second segment)
-                const eventIndex = parts.findIndex(p => p === p.toUpperCase() && !p.includes('.'));
-                if (eventIndex > 0) {
-                  parts[eventIndex] = newEvent;
-                  newPath = parts.join('-');
-                }
-              }
-            }
-            
-            testFileProp.value = t.stringLiteral(newPath);
-          }
-
-          // Update actionName
-          const actionProp = el.properties.find(p => p.key?.name === 'actionName');
-          if (actionProp?.value?.value) {
-            const toPascal = (str) => str
-              .split('_')
-              .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-              .join('');
-            
-            const oldPascal = toPascal(oldPreviousStatus);
-            const newPascal = toPascal(newPreviousStatus);
-            
-            actionProp.value = t.stringLiteral(
-              actionProp.value.value.replace(`Via${oldPascal}`, `Via${newPascal}`)
-            );
-          }
-
-          updated = true;
-          console.log(`   ✅ Updated setup entry: previousStatus ${oldPreviousStatus} → ${newPreviousStatus}`);
-        });
-      }
-    }
-  });
-
-  return updated;
-}
 
 /**
  * Extract platforms from UI AST node
@@ -1144,12 +838,15 @@ const templateData = {
     await fs.ensureDir(path.dirname(outputPath));
     
     // Write file
-    await fs.writeFile(outputPath, code, 'utf-8');
+    const changeset = new Changeset(req, 'create-state');
+    await changeset.write(outputPath, code);
+    const changeId = await changeset.commit(`Create state ${className}`);
     
     console.log('✅ State created:', outputPath);
     
     res.json({
       success: true,
+      changeId,
       filePath: outputPath,
       fileName: `${className}.js`,
       className
@@ -1162,17 +859,6 @@ const templateData = {
 });
 
 // Helper functions
-function toPascalCase(str) {
-  return str
-    .split(/[\s_-]+/)
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join('');
-}
-
-function toCamelCase(str) {
-  const pascal = toPascalCase(str);
-  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
-}
 
 /**
  * GET /api/implications/get-transition
@@ -1278,74 +964,6 @@ router.get('/get-transition', async (req, res) => {
   }
 });
 
-/**
- * Extract value from transition AST node
- */
-function extractTransitionValue(node) {
-  if (t.isStringLiteral(node)) {
-    return { target: node.value };
-  }
-
-  if (t.isObjectExpression(node)) {
-    const result = {};
-    
-    node.properties.forEach(prop => {
-      if (!t.isObjectProperty(prop)) return;
-      
-      const key = prop.key.name || prop.key.value;
-      
-      if (key === 'target' && t.isStringLiteral(prop.value)) {
-        result.target = prop.value.value;
-      } else if (key === 'platforms' && t.isArrayExpression(prop.value)) {
-        result.platforms = prop.value.elements
-          .filter(el => t.isStringLiteral(el))
-          .map(el => el.value);
-      } else if (key === 'actionDetails') {
-        result.actionDetails = extractObjectFromAST(prop.value);
-      } else if (key === 'requires') {
-        result.requires = extractObjectFromAST(prop.value);
-      }
-    });
-    
-    return result;
-  }
-
-  // Handle array (multiple platform variants)
-  if (t.isArrayExpression(node) && node.elements.length > 0) {
-    return extractTransitionValue(node.elements[0]);
-  }
-
-  return null;
-}
-
-/**
- * Extract JavaScript object from AST node
- */
-function extractObjectFromAST(node) {
-  if (!node) return null;
-
-  if (t.isStringLiteral(node)) return node.value;
-  if (t.isNumericLiteral(node)) return node.value;
-  if (t.isBooleanLiteral(node)) return node.value;
-  if (t.isNullLiteral(node)) return null;
-
-  if (t.isArrayExpression(node)) {
-    return node.elements.map(el => extractObjectFromAST(el));
-  }
-
-  if (t.isObjectExpression(node)) {
-    const obj = {};
-    node.properties.forEach(prop => {
-      if (t.isObjectProperty(prop)) {
-        const key = prop.key.name || prop.key.value;
-        obj[key] = extractObjectFromAST(prop.value);
-      }
-    });
-    return obj;
-  }
-
-  return null;
-}
 
 /**
  * POST /api/implications/use-base-directly
@@ -1513,12 +1131,15 @@ router.post('/use-base-directly', async (req, res) => {
     await fs.copy(filePath, backupPath);
     console.log('📦 Backup created:', backupPath);
     
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'use-base-directly');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Use ${baseClassName} directly for ${platform}.${screen}`);
     
     console.log('✅ File modified successfully');
     
     res.json({
       success: true,
+      changeId,
       filePath,
       backup: backupPath,
       baseClassName,
@@ -1573,12 +1194,15 @@ ${originalContent}
 */
 `;
     
-    await fs.writeFile(filePath, commentedContent, 'utf-8');
+    const changeset = new Changeset(req, 'remove-state');
+    await changeset.write(filePath, commentedContent);
+    const changeId = await changeset.commit(`Remove state ${path.basename(filePath, '.js')}`);
     
     console.log('✅ File commented out successfully');
     
     res.json({
       success: true,
+      changeId,
       filePath,
       backup: backupPath
     });
@@ -1750,12 +1374,15 @@ router.post('/update-metadata', async (req, res) => {
     console.log('📦 Backup created:', path.basename(backupPath));
     
     // Write updated file
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'update-metadata');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Update metadata in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ Metadata updated successfully');
     
     res.json({
       success: true,
+      changeId,
       filePath,
       backup: backupPath,
       modified: { 
@@ -1866,11 +1493,13 @@ router.post('/update-entity', async (req, res) => {
     const backupPath = `${filePath}.backup.${Date.now()}`;
     await fs.copy(filePath, backupPath);
     
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'update-entity');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Update entity in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ Entity updated successfully');
     
-    res.json({ success: true, entity });
+    res.json({ success: true, changeId, entity });
     
   } catch (error) {
     console.error('❌ Entity update failed:', error);
@@ -2017,18 +1646,28 @@ router.post('/update-tags', async (req, res) => {
       comments: true
     }, originalContent);
     
+    const changeset = new Changeset(req, 'update-tags');
+    
+    // Preview mode - return the diff without writing
+    if (changeset.preview) {
+      await changeset.write(filePath, output.code);
+      return res.json(changeset.previewResponse({ filePath }));
+    }
+    
     // Create backup
     const backupPath = `${filePath}.backup.${Date.now()}`;
     await fs.copy(filePath, backupPath);
     console.log('📦 Backup created:', path.basename(backupPath));
     
     // Write updated file
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Update tags in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ Tags updated successfully');
     
     res.json({
       success: true,
+      changeId,
       filePath,
       backup: backupPath,
       tags
@@ -2071,7 +1710,7 @@ router.post('/update-composition', async (req, res) => {
   console.log('📝 POST /update-composition', req.body);
   
   try {
-    const { filePath, config, preview = false } = req.body;
+    const { filePath, config } = req.body;
     
     // Validation
     if (!filePath) {
@@ -2124,15 +1763,26 @@ router.post('/update-composition', async (req, res) => {
     }
     
     // Perform rewrite
-    const result = await rewriter.rewrite(filePath, config, preview);
+    const changeset = new Changeset(req, 'update-composition');
+    if (!changeset.preview) {
+      await changeset.track(filePath);
+    }
+
+    const result = await rewriter.rewrite(filePath, config, changeset.preview);
     
     if (!result.success) {
       return res.status(500).json(result);
     }
     
+    if (changeset.preview) {
+      await changeset.write(filePath, result.preview.modified);
+      return res.json({ ...result, diffs: changeset.diffs() });
+    }
+    
     // Success!
     console.log('✅ Composition updated successfully');
-    return res.json(result);
+    const changeId = await changeset.commit(`Update composition of ${path.basename(filePath, '.js')}`);
+    return res.json({ ...result, changeId });
     
   } catch (error) {
     console.error('❌ Error updating composition:', error);
@@ -2362,99 +2012,40 @@ router.post('/update-ui', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    const originalContent = await fs.readFile(filePath, 'utf-8');
-    
-    const ast = parser.parse(originalContent, {
-      sourceType: 'module',
-      plugins: ['jsx', 'classProperties']
-    });
-    
-    let modified = false;
-    let originalUINode = null;
-    
-    // First pass: Extract original UI structure
-    traverse(ast, {
-  ClassDeclaration(classPath) {
-        classPath.node.body.body.forEach((member) => {
-          if (t.isClassProperty(member) && 
-              member.static && 
-              member.key.name === 'mirrorsOn') {
-            
-            if (t.isObjectExpression(member.value)) {
-              const uiProp = member.value.properties.find(
-                p => t.isObjectProperty(p) && p.key.name === 'UI'
-              );
-              
-              if (uiProp && t.isObjectExpression(uiProp.value)) {
-                originalUINode = uiProp.value;
-              }
-            }
-          }
-        });
-      }
-    });
-    
-    if (!originalUINode) {
+    const editor = await ImplicationEditor.open(filePath);
+
+    // Rebuild mirrorsOn.UI, preserving untouched platforms and screens
+    if (!editor.setUI(uiData)) {
       return res.status(400).json({ 
         error: 'Could not find mirrorsOn.UI in file'
       });
     }
     
-    // Build new UI AST with smart preservation
-    const className = path.basename(filePath, '.js');
-
-const newUINode = buildSmartUIAst(uiData, originalUINode, originalContent, className);
+    // Generate code
+    const code = editor.toSource({ retainLines: false, compact: false, concise: false });
     
-    // Second pass: Replace UI node
-    traverse(ast, {
-  ClassDeclaration(classPath) {
-        classPath.node.body.body.forEach((member) => {
-          if (t.isClassProperty(member) && 
-              member.static && 
-              member.key.name === 'mirrorsOn') {
-            
-            if (t.isObjectExpression(member.value)) {
-              const uiProp = member.value.properties.find(
-                p => t.isObjectProperty(p) && p.key.name === 'UI'
-              );
-              
-              if (uiProp) {
-                uiProp.value = newUINode;
-                modified = true;
-                console.log('✅ Updated mirrorsOn.UI with smart preservation');
-              }
-            }
-          }
-        });
-      }
-    });
+    const changeset = new Changeset(req, 'update-ui');
     
-    if (!modified) {
-      return res.status(400).json({ 
-        error: 'Could not update UI'
-      });
+    // Preview mode - return the diff without writing
+    if (changeset.preview) {
+      await changeset.write(filePath, code);
+      return res.json(changeset.previewResponse({ filePath }));
     }
     
-    // Generate code
-    const output = babelGenerate.default(ast, {
-      retainLines: false,
-      compact: false,
-      comments: true,
-      concise: false
-    }, originalContent);
-    
     // Create backup
     const backupPath = `${filePath}.backup.${Date.now()}`;
     await fs.copy(filePath, backupPath);
     console.log('📦 Backup created:', path.basename(backupPath));
     
     // Write updated file
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    await changeset.write(filePath, code);
+    const changeId = await changeset.commit(`Update UI in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ UI updated successfully');
     
     res.json({
       success: true,
+      changeId,
       filePath,
       backup: backupPath,
       platforms: Object.keys(uiData)
@@ -2468,1994 +2059,7 @@ const newUINode = buildSmartUIAst(uiData, originalUINode, originalContent, class
     });
   }
 });
-
-/**
- * Build conditions AST node from conditions data
- * @param {Object} conditions - { mode: 'all'|'any', blocks: [...] }
- * @returns {t.ObjectExpression|null}
- */
-function buildConditionsAST(conditions) {
-  if (!conditions?.blocks?.length) return null;
-  
-  const conditionProps = [];
-  
-  // mode: 'all' or 'any'
-  conditionProps.push(
-    t.objectProperty(t.identifier('mode'), t.stringLiteral(conditions.mode || 'all'))
-  );
-  
-  // blocks array
-  const blockElements = conditions.blocks.map(block => {
-    const blockProps = [];
-    
-    if (block.id) blockProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(block.id)));
-    if (block.type) blockProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(block.type)));
-    if (block.enabled !== undefined) blockProps.push(t.objectProperty(t.identifier('enabled'), t.booleanLiteral(block.enabled)));
-    if (block.mode) blockProps.push(t.objectProperty(t.identifier('mode'), t.stringLiteral(block.mode)));
-    
-    // data.checks array
-    if (block.data?.checks?.length > 0) {
-      const checkElements = block.data.checks.map(check => {
-        const checkProps = [];
-        
-        if (check.id) checkProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(check.id)));
-        if (check.field) checkProps.push(t.objectProperty(t.identifier('field'), t.stringLiteral(check.field)));
-        if (check.operator) checkProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(check.operator)));
-        
-        // value - handle different types
-        if (check.value !== undefined && check.value !== null) {
-          const valueNode = typeof check.value === 'number' ? t.numericLiteral(check.value)
-                         : typeof check.value === 'boolean' ? t.booleanLiteral(check.value)
-                         : Array.isArray(check.value) ? t.arrayExpression(check.value.map(v => t.stringLiteral(String(v))))
-                         : t.stringLiteral(String(check.value));
-          checkProps.push(t.objectProperty(t.identifier('value'), valueNode));
-        }
-        
-        if (check.valueType) checkProps.push(t.objectProperty(t.identifier('valueType'), t.stringLiteral(check.valueType)));
-        
-        return t.objectExpression(checkProps);
-      });
-      
-      blockProps.push(
-        t.objectProperty(
-          t.identifier('data'),
-          t.objectExpression([
-            t.objectProperty(t.identifier('checks'), t.arrayExpression(checkElements))
-          ])
-        )
-      );
-    }
-    
-    return t.objectExpression(blockProps);
-  });
-  
-  conditionProps.push(
-    t.objectProperty(t.identifier('blocks'), t.arrayExpression(blockElements))
-  );
-  
-  return t.objectExpression(conditionProps);
-}
-
-
-
-/**
- * ✅ SMART: Build UI AST while preserving untouched platforms and screens
- */
-function buildSmartUIAst(newData, originalUINode, originalContent, className) {
-  const platformProps = [];
-  
-  // ✅ Step 1: Get all original platform names
-  const originalPlatformNames = originalUINode.properties.map(p => p.key?.name).filter(Boolean);
-  console.log('  📋 Original platforms:', originalPlatformNames);
-  console.log('  📋 Updated platforms:', Object.keys(newData));
-  
-  // ✅ Step 2: Process all original platforms
-  for (const platformName of originalPlatformNames) {
-    const originalPlatformProp = originalUINode.properties.find(
-      p => p.key?.name === platformName
-    );
-    
-    if (!originalPlatformProp) continue;
-    
-    // Check if this platform is being updated
-    if (newData[platformName]) {
-      // ✅ Platform is in update - use new data
-      console.log(`  🔧 Updating platform: ${platformName}`);
-      
-      const screensArray = Object.entries(newData[platformName].screens || {}).map(([screenName, screenData]) => ({
-        ...screenData,
-        screenName: screenName
-      }));
-      
-      const platformScreenProps = buildSmartScreenProps(
-        screensArray,
-        originalPlatformProp.value,
-        originalContent,
-        platformName,
-        className
-      );
-      
-      platformProps.push(
-        t.objectProperty(
-          t.identifier(platformName),
-          t.objectExpression(platformScreenProps)
-        )
-      );
-    } else {
-      // ✅ Platform NOT in update - preserve original completely!
-      console.log(`  ♻️  Preserving untouched platform: ${platformName}`);
-      
-      platformProps.push(
-        t.objectProperty(
-          t.identifier(platformName),
-          originalPlatformProp.value  // Use original AST node!
-        )
-      );
-    }
-  }
-  
-  // ✅ Step 3: Add any NEW platforms that weren't in original
-  for (const [platformName, platformData] of Object.entries(newData)) {
-    if (!originalPlatformNames.includes(platformName)) {
-      console.log(`  ➕ Adding new platform: ${platformName}`);
-      
-      const screensArray = Object.entries(platformData.screens || {}).map(([screenName, screenData]) => ({
-        ...screenData,
-        screenName: screenName
-      }));
-      
-      const platformScreenProps = buildScreenPropsFromData(screensArray);
-      
-      platformProps.push(
-        t.objectProperty(
-          t.identifier(platformName),
-          t.objectExpression(platformScreenProps)
-        )
-      );
-    }
-  }
-  
-  return t.objectExpression(platformProps);
-}
-
-/**
- * Build screen properties while preserving original AST where unchanged
- */
-function buildSmartScreenProps(newScreens, originalPlatformNode, originalContent, platformName, className) {
-  // ✅ First, get ALL original screen names
-  const originalScreenNames = originalPlatformNode.properties.map(p => p.key?.name).filter(Boolean);
-  
-  // ✅ Build a map of new screens by name
-  const newScreensMap = {};
-  newScreens.forEach(screen => {
-    const key = screen.screenName || screen.originalName || screen.name;
-    if (!newScreensMap[key]) {
-      newScreensMap[key] = [];
-    }
-    newScreensMap[key].push(screen);
-  });
-  
-  console.log(`    📊 Original screens: ${originalScreenNames.length}, New screens: ${Object.keys(newScreensMap).length}`);
-  
-  const screenProps = [];
-  
-  // ✅ Process ALL original screens (preserve those not in update)
-  for (const screenName of originalScreenNames) {
-    const originalScreenProp = originalPlatformNode.properties.find(
-      p => p.key?.name === screenName
-    );
-    
-    if (!originalScreenProp) continue;
-    
-    let screenNode;
-    
-    // Check if this screen is in the update
-    if (newScreensMap[screenName]) {
-      // ✅ Screen is being updated
-      const screens = newScreensMap[screenName];
-      const screen = screens[0]; // Usually just one screen per key
-      
-      // ═══════════════════════════════════════════════════════════
-      // DETECT ORIGINAL FORMAT
-      // ═══════════════════════════════════════════════════════════
-      const originalFormat = detectScreenFormat(originalScreenProp.value);
-      console.log(`    📋 ${screenName}: original format = ${originalFormat}`);
-      
-      if (originalFormat === 'direct-object') {
-        // ─────────────────────────────────────────────────────────
-        // DIRECT OBJECT FORMAT: { visible: [...], hidden: [...] }
-        // ─────────────────────────────────────────────────────────
-        const comparisonResult = screenHasChangesDirectObject(screen, originalScreenProp.value);
-        
-        if (!comparisonResult.hasChanges) {
-          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
-          screenNode = originalScreenProp.value;
-        } else {
-          console.log(`    🔧 Regenerating ${screenName} as direct object`);
-          // Preserve original function nodes
-          if (comparisonResult.originalFunctions.prerequisites) {
-            screen._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
-          }
-          if (comparisonResult.originalFunctions.expect) {
-            screen._originalExpect = comparisonResult.originalFunctions.expect;
-          }
-          // ✅ Use buildScreenObjectAstWithBlocks (direct object, no mergeWithBase)
-          screenNode = buildScreenObjectAstWithBlocks(screen);
-        }
-        
-      } else if (originalFormat === 'array-direct') {
-        // ─────────────────────────────────────────────────────────
-        // ARRAY OF DIRECT OBJECTS: [{ visible: [...] }]
-        // ─────────────────────────────────────────────────────────
-        const comparisonResult = screensHaveChanges(screens, originalScreenProp.value);
-        
-        if (!comparisonResult.hasChanges) {
-          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
-          screenNode = originalScreenProp.value;
-        } else {
-          console.log(`    🔧 Regenerating ${screenName} as array of direct objects`);
-          screenNode = t.arrayExpression(
-            screens.map(s => {
-              if (comparisonResult.originalFunctions.prerequisites) {
-                s._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
-              }
-              if (comparisonResult.originalFunctions.expect) {
-                s._originalExpect = comparisonResult.originalFunctions.expect;
-              }
-              return buildScreenObjectAstWithBlocks(s);
-            })
-          );
-        }
-        
-      } else if (originalFormat === 'array-mergeWithBase') {
-        // ─────────────────────────────────────────────────────────
-        // ARRAY WITH mergeWithBase: [ImplicationHelper.mergeWithBase(...)]
-        // ─────────────────────────────────────────────────────────
-        const comparisonResult = screensHaveChanges(screens, originalScreenProp.value);
-        
-        if (!comparisonResult.hasChanges) {
-          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
-          screenNode = originalScreenProp.value;
-        } else {
-          console.log(`    🔧 Regenerating ${screenName} with mergeWithBase`);
-          screenNode = t.arrayExpression(
-            screens.map(s => {
-              if (comparisonResult.originalFunctions.prerequisites) {
-                s._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
-              }
-              if (comparisonResult.originalFunctions.expect) {
-                s._originalExpect = comparisonResult.originalFunctions.expect;
-              }
-              return buildScreenAst(s, screenName, platformName, className);
-            })
-          );
-        }
-        
-      } else {
-        // ─────────────────────────────────────────────────────────
-        // UNKNOWN FORMAT - preserve original
-        // ─────────────────────────────────────────────────────────
-        console.log(`    ⚠️  Unknown format for ${screenName}, preserving original`);
-        screenNode = originalScreenProp.value;
-      }
-      
-      // Remove from map so we know it's processed
-      delete newScreensMap[screenName];
-      
-    } else {
-      // ✅ Screen NOT in update - preserve original completely!
-      console.log(`    ♻️  Preserving untouched screen: ${screenName}`);
-      screenNode = originalScreenProp.value;
-    }
-    
-    screenProps.push(
-      t.objectProperty(
-        t.identifier(screenName),
-        screenNode
-      )
-    );
-  }
-  
-  // ✅ Add any NEW screens that weren't in original
-  // For new screens, use direct object format (simpler)
-  for (const [screenName, screens] of Object.entries(newScreensMap)) {
-    console.log(`    ➕ Adding new screen: ${screenName}`);
-    const screen = screens[0];
-    screenProps.push(
-      t.objectProperty(
-        t.identifier(screenName),
-        buildScreenObjectAstWithBlocks(screen)
-      )
-    );
-  }
-  
-  return screenProps;
-}
-
-/**
- * Detect the format of the original screen AST node
- * Returns: 'direct-object' | 'array-direct' | 'array-mergeWithBase' | 'unknown'
- */
-function detectScreenFormat(node) {
-  if (t.isObjectExpression(node)) {
-    return 'direct-object';
-  }
-  
-  if (t.isArrayExpression(node)) {
-    if (node.elements.length === 0) {
-      return 'array-direct'; // Empty array, treat as direct
-    }
-    
-    const firstElement = node.elements[0];
-    
-    // Check if first element is a CallExpression (mergeWithBase)
-    if (t.isCallExpression(firstElement)) {
-      const callee = firstElement.callee;
-      if (t.isMemberExpression(callee) &&
-          callee.object?.name === 'ImplicationHelper' &&
-          callee.property?.name === 'mergeWithBase') {
-        return 'array-mergeWithBase';
-      }
-    }
-    
-    // Check if first element is direct object
-    if (t.isObjectExpression(firstElement)) {
-      return 'array-direct';
-    }
-  }
-  
-  // Also handle single CallExpression (mergeWithBase not in array)
-  if (t.isCallExpression(node)) {
-    const callee = node.callee;
-    if (t.isMemberExpression(callee) &&
-        callee.object?.name === 'ImplicationHelper' &&
-        callee.property?.name === 'mergeWithBase') {
-      return 'single-mergeWithBase';
-    }
-  }
-  
-  return 'unknown';
-}
-
-/**
- * Check if a single screen (direct object) has changes
- */
-function screenHasChangesDirectObject(newScreen, originalNode) {
-  let originalFunctions = {};
-  
-  // Extract function nodes from original
-  if (t.isObjectExpression(originalNode)) {
-    originalNode.properties.forEach(prop => {
-      if (prop.key?.name === 'prerequisites') {
-        originalFunctions.prerequisites = prop.value;
-      } else if (prop.key?.name === 'expect') {
-        originalFunctions.expect = prop.value;
-      }
-    });
-  }
-  
-  // Extract data for comparison
-  const originalData = extractScreenDataFromAst(originalNode);
-  
-  // Compare
-  if (!screensMatch(newScreen, originalData)) {
-    return { hasChanges: true, originalFunctions };
-  }
-  
-  return { hasChanges: false, originalFunctions };
-}
-
-
-/**
- * ✅ FIXED: Build screen object AST with blocks support
- * Now includes: navigation, order
- */
-function buildScreenObjectAstWithBlocks(screen) {
-  const props = [];
-  
-  // name
-  if (screen.name) {
-    props.push(t.objectProperty(
-      t.identifier('name'),
-      t.stringLiteral(screen.name)
-    ));
-  }
-  
-  // description
-  if (screen.description) {
-    props.push(t.objectProperty(
-      t.identifier('description'),
-      t.stringLiteral(screen.description)
-    ));
-  }
-  
-  // screen (POM reference)
-  if (screen.screen) {
-    props.push(t.objectProperty(
-      t.identifier('screen'),
-      t.stringLiteral(screen.screen)
-    ));
-  }
-  
-  // instance
-  if (screen.instance) {
-    props.push(t.objectProperty(
-      t.identifier('instance'),
-      t.stringLiteral(screen.instance)
-    ));
-  }
-  
-  // ═══════════════════════════════════════════════════════════
-  // ✅ NEW: order (for screen execution order)
-  // ═══════════════════════════════════════════════════════════
-  if (screen.order !== undefined) {
-    props.push(t.objectProperty(
-      t.identifier('order'),
-      t.numericLiteral(screen.order)
-    ));
-  }
-  
-  // ═══════════════════════════════════════════════════════════
-  // ✅ NEW: navigation (for screen navigation before validation)
-  // ═══════════════════════════════════════════════════════════
-  if (screen.navigation && (screen.navigation.pomName || screen.navigation.method)) {
-    const navProps = [];
-    
-    if (screen.navigation.pomName) {
-      navProps.push(t.objectProperty(
-        t.identifier('pomName'), 
-        t.stringLiteral(screen.navigation.pomName)
-      ));
-    }
-    if (screen.navigation.instanceName) {
-      navProps.push(t.objectProperty(
-        t.identifier('instanceName'), 
-        t.stringLiteral(screen.navigation.instanceName)
-      ));
-    }
-    if (screen.navigation.method) {
-      navProps.push(t.objectProperty(
-        t.identifier('method'), 
-        t.stringLiteral(screen.navigation.method)
-      ));
-    }
-    if (screen.navigation.args && screen.navigation.args.length > 0) {
-      navProps.push(t.objectProperty(
-        t.identifier('args'),
-        t.arrayExpression(screen.navigation.args.map(arg => t.stringLiteral(String(arg))))
-      ));
-    }
-    
-    if (navProps.length > 0) {
-      console.log(`    🧭 Including navigation for screen`);
-      props.push(t.objectProperty(
-        t.identifier('navigation'),
-        t.objectExpression(navProps)
-      ));
-    }
-  }
-  
-  // visible
-  if (screen.visible && screen.visible.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('visible'),
-      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
-    ));
-  }
-  
-  // hidden
-  if (screen.hidden && screen.hidden.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('hidden'),
-      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
-    ));
-  }
-  
-  // truthy
-  if (screen.truthy && screen.truthy.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('truthy'),
-      t.arrayExpression(screen.truthy.map(tr => t.stringLiteral(tr)))
-    ));
-  }
-  
-  // falsy
-  if (screen.falsy && screen.falsy.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('falsy'),
-      t.arrayExpression(screen.falsy.map(f => t.stringLiteral(f)))
-    ));
-  }
-  
-  // assertions
- if (screen.assertions && screen.assertions.length > 0) {
-  const assertionElements = screen.assertions.map(assertion => {
-    const assertProps = [];
-    if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
-    // ✅ ADD TYPE FIELD
-    if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
-    if (assertion.storeAs) assertProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(assertion.storeAs)));
-    if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
-    if (assertion.value !== undefined) {
-      assertProps.push(t.objectProperty(
-        t.identifier('value'),
-        typeof assertion.value === 'number' 
-          ? t.numericLiteral(assertion.value)
-          : typeof assertion.value === 'boolean'
-            ? t.booleanLiteral(assertion.value)
-            : t.stringLiteral(String(assertion.value))
-      ));
-    }
-    return t.objectExpression(assertProps);
-  });
-  props.push(t.objectProperty(
-    t.identifier('assertions'),
-    t.arrayExpression(assertionElements)
-  ));
-}
-  
-  // checks
-  if (screen.checks) {
-    const checkProps = [];
-    
-    if (screen.checks.visible && screen.checks.visible.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('visible'),
-        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
-      ));
-    }
-    
-    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('hidden'),
-        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
-      ));
-    }
-    
-if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
-  const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
-    t.objectProperty(
-      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-      t.stringLiteral(value)
-    )
-  );
-      checkProps.push(t.objectProperty(
-        t.identifier('text'),
-        t.objectExpression(textProps)
-      ));
-    }
-    
-if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
-  const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
-    t.objectProperty(
-      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-      t.stringLiteral(value)
-    )
-  );
-      checkProps.push(t.objectProperty(
-        t.identifier('contains'),
-        t.objectExpression(containsProps)
-      ));
-    }
-    
-    if (checkProps.length > 0) {
-      props.push(t.objectProperty(
-        t.identifier('checks'),
-        t.objectExpression(checkProps)
-      ));
-    }
-  }
-  
-  // functions
-  if (screen.functions && Object.keys(screen.functions).length > 0) {
-    const functionProps = [];
-    
-    for (const [funcName, funcData] of Object.entries(screen.functions)) {
-      const funcObjectProps = [];
-      
-      if (funcData.signature) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('signature'),
-          t.stringLiteral(funcData.signature)
-        ));
-      }
-      
-      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
-        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
-          t.objectProperty(t.identifier(key), t.stringLiteral(String(value)))
-        );
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('parameters'),
-          t.objectExpression(paramProps)
-        ));
-      }
-      
-      if (funcData.storeAs) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('storeAs'),
-          t.stringLiteral(funcData.storeAs)
-        ));
-      }
-      
-      functionProps.push(t.objectProperty(
-        t.identifier(funcName),
-        t.objectExpression(funcObjectProps)
-      ));
-    }
-    
-    props.push(t.objectProperty(
-      t.identifier('functions'),
-      t.objectExpression(functionProps)
-    ));
-  }
-  
-  // ═══════════════════════════════════════════════════════════
-  // ✅ BLOCKS ARRAY
-  // ═══════════════════════════════════════════════════════════
-  if (screen.blocks && Array.isArray(screen.blocks) && screen.blocks.length > 0) {
-    console.log(`    🧱 Including ${screen.blocks.length} blocks`);
-    
-    const blockElements = screen.blocks.map(block => {
-  const blockProps = [];
-  
-  // Basic block properties
-  if (block.id) blockProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(block.id)));
-  if (block.type) blockProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(block.type)));
-  if (block.label) blockProps.push(t.objectProperty(t.identifier('label'), t.stringLiteral(block.label)));
-  if (block.order !== undefined) blockProps.push(t.objectProperty(t.identifier('order'), t.numericLiteral(block.order)));
-  if (block.expanded !== undefined) blockProps.push(t.objectProperty(t.identifier('expanded'), t.booleanLiteral(block.expanded)));
-  if (block.enabled !== undefined) blockProps.push(t.objectProperty(t.identifier('enabled'), t.booleanLiteral(block.enabled)));
-  
-  // ✅ NEW: Block conditions
-  if (block.conditions?.blocks?.length > 0) {
-    const conditionsNode = buildConditionsAST(block.conditions);
-    if (conditionsNode) {
-      blockProps.push(t.objectProperty(t.identifier('conditions'), conditionsNode));
-    }
-  }
-  
-  // UI-ASSERTION block data
-  if (block.type === 'ui-assertion' && block.data) {
-        const dataProps = [];
-        
-        if (block.data.visible?.length > 0) {
-          dataProps.push(t.objectProperty(t.identifier('visible'), t.arrayExpression(block.data.visible.map(v => t.stringLiteral(v)))));
-        }
-        if (block.data.hidden?.length > 0) {
-          dataProps.push(t.objectProperty(t.identifier('hidden'), t.arrayExpression(block.data.hidden.map(h => t.stringLiteral(h)))));
-        }
-        if (block.data.truthy?.length > 0) {
-          dataProps.push(t.objectProperty(t.identifier('truthy'), t.arrayExpression(block.data.truthy.map(tr => t.stringLiteral(tr)))));
-        }
-        if (block.data.falsy?.length > 0) {
-          dataProps.push(t.objectProperty(t.identifier('falsy'), t.arrayExpression(block.data.falsy.map(f => t.stringLiteral(f)))));
-        }
-        
-        // checks
-        if (block.data.checks) {
-          const checksProps = [];
-           if (block.data.checks.text && Object.keys(block.data.checks.text).length > 0) {
-            const textProps = Object.entries(block.data.checks.text).map(([key, value]) =>
-              t.objectProperty(
-                /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-                t.stringLiteral(String(value))
-              )
-            );
-            checksProps.push(t.objectProperty(
-              t.identifier('text'),
-              t.objectExpression(textProps)
-            ));
-          }
-          
-          if (block.data.checks.contains && Object.keys(block.data.checks.contains).length > 0) {
-            const containsProps = Object.entries(block.data.checks.contains).map(([key, value]) =>
-              t.objectProperty(
-                /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-                t.stringLiteral(String(value))
-              )
-            );
-            checksProps.push(t.objectProperty(
-              t.identifier('contains'),
-              t.objectExpression(containsProps)
-            ));
-          }
-          if (checksProps.length > 0) {
-            dataProps.push(t.objectProperty(t.identifier('checks'), t.objectExpression(checksProps)));
-          }
-        }
-        
-       // assertions in block.data
-if (block.data.assertions?.length > 0) {
-  const assertElements = block.data.assertions.map(a => {
-    const aProps = [];
-    if (a.fn) aProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(a.fn)));
-    // ✅ ADD TYPE FIELD
-    if (a.type) aProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(a.type)));
-    if (a.storeAs) aProps.push(
-  t.objectProperty(t.identifier('storeAs'), t.stringLiteral(a.storeAs))
-);
-    if (a.expect) aProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(a.expect)));
-    if (a.value !== undefined) {
-      aProps.push(t.objectProperty(t.identifier('value'),
-        typeof a.value === 'number' ? t.numericLiteral(a.value) :
-        typeof a.value === 'boolean' ? t.booleanLiteral(a.value) :
-        t.stringLiteral(String(a.value))
-      ));
-    }
-    return t.objectExpression(aProps);
-  });
-  dataProps.push(t.objectProperty(t.identifier('assertions'), t.arrayExpression(assertElements)));
-}
-        
-        if (block.data.timeout) {
-          dataProps.push(t.objectProperty(t.identifier('timeout'), t.numericLiteral(block.data.timeout)));
-        }
-        
-        if (dataProps.length > 0) {
-          blockProps.push(t.objectProperty(t.identifier('data'), t.objectExpression(dataProps)));
-        }
-      }
-      
-      // CUSTOM-CODE block
-      if (block.type === 'custom-code') {
-        if (block.code) blockProps.push(t.objectProperty(t.identifier('code'), t.stringLiteral(block.code)));
-        if (block.wrapInTestStep !== undefined) blockProps.push(t.objectProperty(t.identifier('wrapInTestStep'), t.booleanLiteral(block.wrapInTestStep)));
-        if (block.testStepName) blockProps.push(t.objectProperty(t.identifier('testStepName'), t.stringLiteral(block.testStepName)));
-      }
-      
-      // FUNCTION-CALL block
-if (block.type === 'function-call' && block.data) {
-  const dataProps = [];
-  
-  if (block.data.instance) {
-    dataProps.push(t.objectProperty(t.identifier('instance'), t.stringLiteral(block.data.instance)));
-  }
-  
-  if (block.data.method) {
-    dataProps.push(t.objectProperty(t.identifier('method'), t.stringLiteral(block.data.method)));
-  }
-  
-  if (block.data.args?.length > 0) {
-    dataProps.push(t.objectProperty(
-      t.identifier('args'),
-      t.arrayExpression(block.data.args.map(arg =>
-        typeof arg === 'number' ? t.numericLiteral(arg) : t.stringLiteral(String(arg))
-      ))
-    ));
-  }
-  
-  if (block.data.await !== undefined) {
-    dataProps.push(t.objectProperty(t.identifier('await'), t.booleanLiteral(block.data.await)));
-  }
-  
-  if (block.data.storeAs) {
-    dataProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(block.data.storeAs)));
-  }
-  
-  // ✅ NEW: Save assertion field for function-call blocks
-  if (block.data.assertion) {
-    const assertionProps = [];
-    
-    if (block.data.assertion.type) {
-      assertionProps.push(t.objectProperty(
-        t.identifier('type'), 
-        t.stringLiteral(block.data.assertion.type)
-      ));
-    }
-    
-    if (block.data.assertion.not !== undefined) {
-      assertionProps.push(t.objectProperty(
-        t.identifier('not'), 
-        t.booleanLiteral(block.data.assertion.not)
-      ));
-    }
-    
-    if (block.data.assertion.value !== undefined) {
-      const val = block.data.assertion.value;
-      let valNode;
-      
-      if (typeof val === 'boolean') {
-        valNode = t.booleanLiteral(val);
-      } else if (typeof val === 'number') {
-        valNode = t.numericLiteral(val);
-      } else if (val === null) {
-        valNode = t.nullLiteral();
-      } else {
-        valNode = t.stringLiteral(String(val));
-      }
-      
-      assertionProps.push(t.objectProperty(t.identifier('value'), valNode));
-    }
-    
-    if (assertionProps.length > 0) {
-      dataProps.push(t.objectProperty(
-        t.identifier('assertion'), 
-        t.objectExpression(assertionProps)
-      ));
-    }
-  }
-  
-  if (dataProps.length > 0) {
-    blockProps.push(t.objectProperty(t.identifier('data'), t.objectExpression(dataProps)));
-  }
-      }
-
-      // ─────────────────────────────────────────────────────────
-// Handle DATA-ASSERTION block
-// ─────────────────────────────────────────────────────────
-if (block.type === 'data-assertion' && block.assertions) {
-  const assertionElements = block.assertions.map(assertion => {
-    const assertProps = [];
-    
-    if (assertion.left) {
-      assertProps.push(t.objectProperty(t.identifier('left'), t.stringLiteral(assertion.left)));
-    }
-    if (assertion.operator) {
-      assertProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(assertion.operator)));
-    }
-    if (assertion.right !== undefined) {
-      assertProps.push(t.objectProperty(
-        t.identifier('right'),
-        typeof assertion.right === 'number' ? t.numericLiteral(assertion.right) :
-        typeof assertion.right === 'boolean' ? t.booleanLiteral(assertion.right) :
-        t.stringLiteral(String(assertion.right))
-      ));
-    }
-    if (assertion.message) {
-      assertProps.push(t.objectProperty(t.identifier('message'), t.stringLiteral(assertion.message)));
-    }
-    
-    return t.objectExpression(assertProps);
-  });
-  
-  blockProps.push(t.objectProperty(
-    t.identifier('assertions'),
-    t.arrayExpression(assertionElements)
-  ));
-}
-      
-      return t.objectExpression(blockProps);
-    });
-    
-    props.push(t.objectProperty(
-      t.identifier('blocks'),
-      t.arrayExpression(blockElements)
-    ));
-  }
-  
-  // _pomSource (preserve if exists)
-  if (screen._pomSource) {
-    const pomProps = [];
-    if (screen._pomSource.path) pomProps.push(t.objectProperty(t.identifier('path'), t.stringLiteral(screen._pomSource.path)));
-    if (screen._pomSource.name) pomProps.push(t.objectProperty(t.identifier('name'), t.stringLiteral(screen._pomSource.name)));
-    if (screen._pomSource.className) pomProps.push(t.objectProperty(t.identifier('className'), t.stringLiteral(screen._pomSource.className)));
-    
-    if (pomProps.length > 0) {
-      props.push(t.objectProperty(
-        t.identifier('_pomSource'),
-        t.objectExpression(pomProps)
-      ));
-    }
-  }
-  
-  // Preserved prerequisites
-  if (screen._originalPrerequisites) {
-    props.push(t.objectProperty(
-      t.identifier('prerequisites'),
-      screen._originalPrerequisites
-    ));
-  }
-  
-  // Preserved expect
-  if (screen._originalExpect) {
-    props.push(t.objectProperty(
-      t.identifier('expect'),
-      screen._originalExpect
-    ));
-  }
-  
-  return t.objectExpression(props);
-}
-
-
-/**
- * Check if screens have changes compared to original AST
- */
-function screensHaveChanges(newScreens, originalArrayNode) {
-  // Simple check: compare lengths
-  if (newScreens.length !== originalArrayNode.elements.length) {
-    console.log('    📊 Length changed:', newScreens.length, 'vs', originalArrayNode.elements.length);
-    return { hasChanges: true, originalFunctions: {} };
-  }
-  
-  // Track original function nodes
-  let originalFunctions = {};
-  
-  // Deep check: compare each screen's data
-  for (let i = 0; i < newScreens.length; i++) {
-    const newScreen = newScreens[i];
-    const originalElement = originalArrayNode.elements[i];
-    
-    if (!originalElement) {
-      return { hasChanges: true, originalFunctions: {} };
-    }
-    
-    // Check if original is mergeWithBase call
-    if (originalElement.type === 'CallExpression' &&
-        originalElement.callee?.type === 'MemberExpression' &&
-        originalElement.callee.object?.name === 'ImplicationHelper' &&
-        originalElement.callee.property?.name === 'mergeWithBase') {
-      
-      console.log('    🔍 Original is mergeWithBase, extracting child overrides...');
-      
-      // Extract child overrides from mergeWithBase (2nd argument)
-      const overridesArg = originalElement.arguments[1];
-      if (!overridesArg || overridesArg.type !== 'ObjectExpression') {
-        console.log('    ⚠️ Could not extract overrides, assuming changed');
-        return { hasChanges: true, originalFunctions: {} };
-      }
-      
-      // ✨ NEW: Extract prerequisites and expect nodes
-      const originalOverrides = extractScreenDataFromAst(overridesArg);
-      
-      // Extract function nodes
-      overridesArg.properties.forEach(prop => {
-        if (prop.key?.name === 'prerequisites') {
-          originalFunctions.prerequisites = prop.value;
-          console.log('    📦 Preserved prerequisites function');
-        } else if (prop.key?.name === 'expect') {
-          originalFunctions.expect = prop.value;
-          console.log('    📦 Preserved expect function');
-        }
-      });
-      
-      // Compare new data with original overrides (not merged result!)
-      if (!screensMatch(newScreen, originalOverrides)) {
-        console.log('    🔧 Child overrides changed!');
-        console.log('       Original:', JSON.stringify(originalOverrides, null, 2));
-        console.log('       New:', JSON.stringify(newScreen, null, 2));
-        return { hasChanges: true, originalFunctions };
-      }
-      
-      console.log('    ✨ Child overrides match! Preserving mergeWithBase');
-    } else if (originalElement.type === 'ObjectExpression') {
-      // Direct object - compare as before
-      const originalData = extractScreenDataFromAst(originalElement);
-      
-      // ✨ NEW: Extract function nodes from direct object too
-      originalElement.properties.forEach(prop => {
-        if (prop.key?.name === 'prerequisites') {
-          originalFunctions.prerequisites = prop.value;
-        } else if (prop.key?.name === 'expect') {
-          originalFunctions.expect = prop.value;
-        }
-      });
-      
-      if (!screensMatch(newScreen, originalData)) {
-        console.log('    🔧 Screen data changed');
-        return { hasChanges: true, originalFunctions };
-      }
-    } else {
-      // Unknown type - assume changed
-      console.log('    ⚠️ Unknown original type:', originalElement.type);
-      return { hasChanges: true, originalFunctions: {} };
-    }
-  }
-  
-  console.log('    ✅ No changes detected');
-  return { hasChanges: false, originalFunctions };  // No changes detected
-}
-
-/**
- * Extract screen data from AST node for comparison
- */
-/**
- * Extract screen data from AST node for comparison
- * ✅ ENHANCED: Now properly extracts nested objects (like block.data.assertion)
- */
-function extractScreenDataFromAst(objectNode) {
-  const data = {};
-  
-  objectNode.properties.forEach(prop => {
-    if (!t.isObjectProperty(prop) || !prop.key) return;
-    
-    const key = prop.key.name || prop.key.value;
-    
-    if (t.isStringLiteral(prop.value)) {
-      data[key] = prop.value.value;
-    } else if (t.isBooleanLiteral(prop.value)) {
-      data[key] = prop.value.value;
-    } else if (t.isNumericLiteral(prop.value)) {
-      data[key] = prop.value.value;
-    } else if (t.isNullLiteral(prop.value)) {
-      data[key] = null;
-    } else if (t.isArrayExpression(prop.value)) {
-      // Handle arrays
-      if (key === 'blocks') {
-        // Blocks array - recursively extract each block
-        data[key] = prop.value.elements.map(blockNode => {
-          if (t.isObjectExpression(blockNode)) {
-            return extractScreenDataFromAst(blockNode);
-          }
-          return null;
-        }).filter(Boolean);
-      } else {
-        // Other arrays - could be strings or objects
-        data[key] = prop.value.elements.map(el => {
-          if (t.isStringLiteral(el)) return el.value;
-          if (t.isNumericLiteral(el)) return el.value;
-          if (t.isBooleanLiteral(el)) return el.value;
-          if (t.isObjectExpression(el)) return extractScreenDataFromAst(el);
-          return null;
-        }).filter(el => el !== null);
-      }
-    } else if (t.isObjectExpression(prop.value)) {
-      // ✅ FIXED: Recursively extract nested objects (like data, assertion, checks, etc.)
-      data[key] = extractScreenDataFromAst(prop.value);
-    }
-  });
-  
-  return data;
-}
-
-/**
- * Compare two screen objects
- */
-function screensMatch(screen1, screen2) {
-  const clean1 = stripMetadata(screen1);
-  const clean2 = stripMetadata(screen2);
-  
-  // Deep comparison instead of JSON.stringify
-  return deepEqual(clean1, clean2);
-}
-
-function deepEqual(obj1, obj2) {
-  // Handle null/undefined
-  if (obj1 === obj2) return true;
-  if (!obj1 || !obj2) return false;
-  if (typeof obj1 !== 'object' || typeof obj2 !== 'object') return obj1 === obj2;
-  
-  // Handle arrays
-  if (Array.isArray(obj1) && Array.isArray(obj2)) {
-    if (obj1.length !== obj2.length) return false;
-    return obj1.every((item, i) => deepEqual(item, obj2[i]));
-  }
-  
-  // Handle arrays vs objects mismatch
-  if (Array.isArray(obj1) !== Array.isArray(obj2)) return false;
-  
-  // Handle objects
-  const keys1 = Object.keys(obj1);
-  const keys2 = Object.keys(obj2);
-  
-  if (keys1.length !== keys2.length) return false;
-  
-  return keys1.every(key => {
-    if (!keys2.includes(key)) return false;
-    return deepEqual(obj1[key], obj2[key]);
-  });
-}
-
-function stripMetadata(screen) {
-  // Note: blocks is intentionally NOT stripped - we want to compare it
-  const { screenName, sourceInfo, alwaysVisible, sometimesVisible, ...cleanScreen } = screen;
-  
-  // Also strip empty arrays from checks
-  if (cleanScreen.checks) {
-    const cleanChecks = { ...cleanScreen.checks };
-    if (cleanChecks.visible?.length === 0) delete cleanChecks.visible;
-    if (cleanChecks.hidden?.length === 0) delete cleanChecks.hidden;
-    if (Object.keys(cleanChecks.text || {}).length === 0) delete cleanChecks.text;
-    if (Object.keys(cleanChecks.contains || {}).length === 0) delete cleanChecks.contains;
-    if (Object.keys(cleanChecks).length === 0) {
-      delete cleanScreen.checks;
-    } else {
-      cleanScreen.checks = cleanChecks;
-    }
-  }
-  
-  // Strip empty arrays
-  if (cleanScreen.visible?.length === 0) delete cleanScreen.visible;
-  if (cleanScreen.hidden?.length === 0) delete cleanScreen.hidden;
-  if (cleanScreen.truthy?.length === 0) delete cleanScreen.truthy;
-  if (cleanScreen.falsy?.length === 0) delete cleanScreen.falsy;
-  if (cleanScreen.assertions?.length === 0) delete cleanScreen.assertions;
-  
-  // ✅ Keep blocks but clean empty ones
-  if (cleanScreen.blocks?.length === 0) delete cleanScreen.blocks;
-  
-  return cleanScreen;
-}
-
-/**
- * Compare two arrays
- */
-function arraysMatch(a, b) {
-  if (!a && !b) return true;
-  if (!a || !b) return false;
-  if (a.length !== b.length) return false;
-  
-  return a.every((item, i) => item === b[i]);
-}
-
-/**
- * Compare two objects
- */
-function objectsMatch(a, b) {
-  if (!a && !b) return true;
-  if (!a || !b) return false;
-  
-  const keysA = Object.keys(a || {});
-  const keysB = Object.keys(b || {});
-  
-  if (keysA.length !== keysB.length) return false;
-  
-  return keysA.every(key => a[key] === b[key]);
-}
-
-/**
- * Build screen props from data (when no original to preserve)
- */
-function buildScreenPropsFromData(screens) {
-  const screenGroups = {};
-  
-  screens.forEach(screen => {
-    // ✅ FIXED: Check screenName first!
-    const key = screen.screenName || screen.originalName || screen.name;
-    if (!screenGroups[key]) {
-      screenGroups[key] = [];
-    }
-    screenGroups[key].push(screen);
-  });
-  
-  return Object.entries(screenGroups).map(([screenKey, screenArray]) =>
-    t.objectProperty(
-      t.identifier(screenKey),
-      t.arrayExpression(screenArray.map(s => buildScreenObjectAst(s)))
-    )
-  );
-}
-
-/**
- * ✅ FIXED: Build AST for UI data with proper structure
- * Structure: { dancer: { screens: [...] }, web: { screens: [...] } }
- * Target:    { dancer: { screenKey: [...], screenKey: [...] }, web: { screenKey: [...] } }
- */
-function buildUIAstFromPlatforms(uiData) {
-  const platformProps = [];
-  
-  // For each platform (dancer, web, clubApp)
-  for (const [platformName, platformData] of Object.entries(uiData)) {
-    const screens = platformData.screens || [];
-    
-    // Group screens by their screen name (e.g., notificationsScreen, requestBookingScreen)
-    const screenGroups = {};
-    
-    screens.forEach(screen => {
-      const screenKey = screen.originalName || screen.name;
-      if (!screenGroups[screenKey]) {
-        screenGroups[screenKey] = [];
-      }
-      screenGroups[screenKey].push(screen);
-    });
-    
-    // Build platform object: { notificationsScreen: [...], requestBookingScreen: [...] }
-    const screenKeyProps = Object.entries(screenGroups).map(([screenKey, screenArray]) => {
-      return t.objectProperty(
-        t.identifier(screenKey),
-        t.arrayExpression(screenArray.map(screen => buildScreenObjectAst(screen)))
-      );
-    });
-    
-    // Add this platform
-    platformProps.push(
-      t.objectProperty(
-        t.identifier(platformName),
-        t.objectExpression(screenKeyProps)
-      )
-    );
-  }
-  
-  return t.objectExpression(platformProps);
-}
-
-/**
- * ✅ FIXED: Build AST for a single screen object
- */
-function buildScreenObjectAst(screen) {
-  const props = [];
-  
-  // Only add properties that exist and have values
-  
-  if (screen.name) {
-    props.push(t.objectProperty(
-      t.identifier('name'),
-      t.stringLiteral(screen.name)
-    ));
-  }
-  
-  if (screen.description) {
-    props.push(t.objectProperty(
-      t.identifier('description'),
-      t.stringLiteral(screen.description)
-    ));
-  }
-  
-  // Top-level visible array
-  if (screen.visible && screen.visible.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('visible'),
-      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
-    ));
-  }
-  
-  // Top-level hidden array
-  if (screen.hidden && screen.hidden.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('hidden'),
-      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
-    ));
-  }
-  
-  // Checks object
-  if (screen.checks && Object.keys(screen.checks).length > 0) {
-    const checkProps = [];
-    
-    // checks.visible
-    if (screen.checks.visible && screen.checks.visible.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('visible'),
-        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
-      ));
-    }
-    
-    // checks.hidden
-    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('hidden'),
-        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
-      ));
-    }
-    
-   // checks.text
-   if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
-      const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
-        t.objectProperty(
-          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-          t.stringLiteral(value)
-        )
-      );
-      checkProps.push(t.objectProperty(
-        t.identifier('text'),
-        t.objectExpression(textProps)
-      ));
-    }
-    
-    if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
-      const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
-        t.objectProperty(
-          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-          t.stringLiteral(value)
-        )
-      );
-      checkProps.push(t.objectProperty(
-        t.identifier('contains'),
-        t.objectExpression(containsProps)
-      ));
-    }
-    
-    if (checkProps.length > 0) {
-      props.push(t.objectProperty(
-        t.identifier('checks'),
-        t.objectExpression(checkProps)
-      ));
-    }
-  }
-  
-  // ✨ NEW: POM screen property
-  if (screen.screen) {
-    props.push(t.objectProperty(
-      t.identifier('screen'),
-      t.stringLiteral(screen.screen)
-    ));
-  }
-  
-  // ✨ NEW: POM instance property (optional)
-  if (screen.instance) {
-    props.push(t.objectProperty(
-      t.identifier('instance'),
-      t.stringLiteral(screen.instance)
-    ));
-  }
-  
-  // ✨ NEW: Functions object
-  if (screen.functions && Object.keys(screen.functions).length > 0) {
-    const functionProps = [];
-    
-    for (const [funcName, funcData] of Object.entries(screen.functions)) {
-      const funcObjectProps = [];
-      
-      // type
-      if (funcData.type) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('type'),
-          t.stringLiteral(funcData.type)
-        ));
-      }
-      
-      // name
-      if (funcData.name) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('name'),
-          t.stringLiteral(funcData.name)
-        ));
-      }
-      
-      // signature
-      if (funcData.signature) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('signature'),
-          t.stringLiteral(funcData.signature)
-        ));
-      }
-      
-      // parameters object
-      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
-        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
-          t.objectProperty(
-            t.identifier(key),
-            t.stringLiteral(String(value))
-          )
-        );
-        
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('parameters'),
-          t.objectExpression(paramProps)
-        ));
-      }
-      
-      functionProps.push(t.objectProperty(
-        t.identifier(funcName),
-        t.objectExpression(funcObjectProps)
-      ));
-    }
-    
-    props.push(t.objectProperty(
-      t.identifier('functions'),
-      t.objectExpression(functionProps)
-    ));
-  }
-
-  // ✅ NEW: truthy (array of function names that must return truthy)
-  if (screen.truthy && screen.truthy.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('truthy'),
-      t.arrayExpression(screen.truthy.map(fn => t.stringLiteral(fn)))
-    ));
-  }
-
-  // ✅ NEW: falsy (array of function names that must return falsy)
-  if (screen.falsy && screen.falsy.length > 0) {
-    props.push(t.objectProperty(
-      t.identifier('falsy'),
-      t.arrayExpression(screen.falsy.map(fn => t.stringLiteral(fn)))
-    ));
-  }
-
-// ✅ NEW: assertions (array of { fn, type, expect, value } objects)
-  if (screen.assertions && screen.assertions.length > 0) {
-    const assertionElements = screen.assertions.map(assertion => {
-      const assertionProps = [];
-      
-      // fn (required)
-      assertionProps.push(t.objectProperty(
-        t.identifier('fn'),
-        t.stringLiteral(assertion.fn)
-      ));
-      
-      // ✅ type (locator or method)
-      if (assertion.type) {
-        assertionProps.push(t.objectProperty(
-          t.identifier('type'),
-          t.stringLiteral(assertion.type)
-        ));
-      }
-
-      // storeAs (for storing assertion result)
-if (assertion.storeAs) {
-  assertionProps.push(t.objectProperty(
-    t.identifier('storeAs'),
-    t.stringLiteral(assertion.storeAs)
-  ));
-}
-      
-      // expect (required)
-      assertionProps.push(t.objectProperty(
-        t.identifier('expect'),
-        t.stringLiteral(assertion.expect)
-      ));
-      
-      // value (optional, can be string, number, boolean, null)
-      if (assertion.value !== undefined) {
-        let valueNode;
-        if (typeof assertion.value === 'number') {
-          valueNode = t.numericLiteral(assertion.value);
-        } else if (typeof assertion.value === 'boolean') {
-          valueNode = t.booleanLiteral(assertion.value);
-        } else if (assertion.value === null) {
-          valueNode = t.nullLiteral();
-        } else {
-          valueNode = t.stringLiteral(String(assertion.value));
-        }
-        assertionProps.push(t.objectProperty(
-          t.identifier('value'),
-          valueNode
-        ));
-      }
-      
-      return t.objectExpression(assertionProps);
-    });
-    
-    props.push(t.objectProperty(
-      t.identifier('assertions'),
-      t.arrayExpression(assertionElements)
-    ));
-  }
-  
-  return t.objectExpression(props);
-}
-/**
- * Helper: Build AST for UI data
- */
-function buildUIAst(uiData, className) {
-  const platformProps = Object.entries(uiData).map(([platformName, platformData]) => {
-    const screenEntries = Object.entries(platformData.screens);
-    
-    const screenProps = screenEntries.map(([screenName, screenArray]) => {
-      // Each screen is wrapped in an array
-      const wrappedScreens = t.arrayExpression(
-        screenArray.map(screen => buildScreenAst(screen, screenName, platformName, className, originalContent))
-      );
-      
-      return t.objectProperty(
-        t.identifier(screenName),
-        wrappedScreens
-      );
-    });
-    
-    return t.objectProperty(
-      t.identifier(platformName),
-      t.objectExpression(screenProps)
-    );
-  });
-  
-  return t.objectExpression([
-    t.objectProperty(
-      t.identifier('UI'),
-      t.objectExpression(platformProps)
-    )
-  ]);
-}
-function buildScreenAst(screen, screenName, platformName, className) {
-  const overrideProps = [];
-  
-  // description (always include if present)
-  if (screen.description) {
-    overrideProps.push(t.objectProperty(
-      t.identifier('description'), 
-      t.stringLiteral(screen.description)
-    ));
-  }
-  
-  // visible (only if has child elements)
-  if (screen.visible && screen.visible.length > 0) {
-    overrideProps.push(t.objectProperty(
-      t.identifier('visible'),
-      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
-    ));
-  }
-  
-  // hidden (only if has child elements)
-  if (screen.hidden && screen.hidden.length > 0) {
-    overrideProps.push(t.objectProperty(
-      t.identifier('hidden'),
-      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
-    ));
-  }
-  
-  // truthy (only if has elements)
-  if (screen.truthy && screen.truthy.length > 0) {
-    overrideProps.push(t.objectProperty(
-      t.identifier('truthy'),
-      t.arrayExpression(screen.truthy.map(tr => t.stringLiteral(tr)))
-    ));
-  }
-  
-  // falsy (only if has elements)
-  if (screen.falsy && screen.falsy.length > 0) {
-    overrideProps.push(t.objectProperty(
-      t.identifier('falsy'),
-      t.arrayExpression(screen.falsy.map(f => t.stringLiteral(f)))
-    ));
-  }
-  
-  // assertions (only if has elements)
-  if (screen.assertions && screen.assertions.length > 0) {
-    const assertionElements = screen.assertions.map(assertion => {
-      const assertProps = [];
-      if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
-      // ✅ type (locator or method)
-      if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
-      if (assertion.storeAs) assertProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(assertion.storeAs)));
-      if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
-      if (assertion.value !== undefined) {
-        assertProps.push(t.objectProperty(
-          t.identifier('value'),
-          typeof assertion.value === 'number' 
-            ? t.numericLiteral(assertion.value)
-            : typeof assertion.value === 'boolean'
-              ? t.booleanLiteral(assertion.value)
-              : t.stringLiteral(String(assertion.value))
-        ));
-      }
-      return t.objectExpression(assertProps);
-    });
-    overrideProps.push(t.objectProperty(
-      t.identifier('assertions'),
-      t.arrayExpression(assertionElements)
-    ));
-  }
-  
-  // checks
-  if (screen.checks) {
-    const checkProps = [];
-    
-    if (screen.checks.visible && screen.checks.visible.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('visible'),
-        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
-      ));
-    }
-    
-    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
-      checkProps.push(t.objectProperty(
-        t.identifier('hidden'),
-        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
-      ));
-    }
-    
-  if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
-      const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
-        t.objectProperty(
-          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-          t.stringLiteral(String(value))
-        )
-      );
-      checkProps.push(t.objectProperty(
-        t.identifier('text'),
-        t.objectExpression(textProps)
-      ));
-    }
-    
-    if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
-      const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
-        t.objectProperty(
-          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-          t.stringLiteral(String(value))
-        )
-      );
-      checkProps.push(t.objectProperty(
-        t.identifier('contains'),
-        t.objectExpression(containsProps)
-      ));
-    }
-    
-    if (checkProps.length > 0) {
-      overrideProps.push(t.objectProperty(
-        t.identifier('checks'),
-        t.objectExpression(checkProps)
-      ));
-    }
-  }
-  
-  // ✅ Functions
-  if (screen.functions && Object.keys(screen.functions).length > 0) {
-    const functionProps = [];
-    
-    for (const [funcName, funcData] of Object.entries(screen.functions)) {
-      const funcObjectProps = [];
-      
-      // signature
-      if (funcData.signature) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('signature'),
-          t.stringLiteral(funcData.signature)
-        ));
-      }
-      
-      // parameters object
-      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
-        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
-          t.objectProperty(
-            t.identifier(key),
-            t.stringLiteral(String(value))
-          )
-        );
-        
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('parameters'),
-          t.objectExpression(paramProps)
-        ));
-      }
-      
-      // storeAs
-      if (funcData.storeAs) {
-        funcObjectProps.push(t.objectProperty(
-          t.identifier('storeAs'),
-          t.stringLiteral(funcData.storeAs)
-        ));
-      }
-      
-      functionProps.push(t.objectProperty(
-        t.identifier(funcName),
-        t.objectExpression(funcObjectProps)
-      ));
-    }
-    
-    overrideProps.push(t.objectProperty(
-      t.identifier('functions'),
-      t.objectExpression(functionProps)
-    ));
-    
-    console.log(`    ✨ Including functions for ${screenName}:`, Object.keys(screen.functions));
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // ✅ NEW: BLOCKS ARRAY (for block-based validation)
-  // ═══════════════════════════════════════════════════════════
-  if (screen.blocks && Array.isArray(screen.blocks) && screen.blocks.length > 0) {
-    console.log(`    🧱 Including ${screen.blocks.length} blocks for ${screenName}`);
-    console.log('    🔍 DEBUG blocks data:', JSON.stringify(screen.blocks, null, 2));
-    
-    const blockElements = screen.blocks.map(block => {
-      const blockProps = [];
-      
-      // id
-      if (block.id) {
-        blockProps.push(t.objectProperty(
-          t.identifier('id'),
-          t.stringLiteral(block.id)
-        ));
-      }
-      
-      // type
-      if (block.type) {
-        blockProps.push(t.objectProperty(
-          t.identifier('type'),
-          t.stringLiteral(block.type)
-        ));
-      }
-      
-      // label
-      if (block.label) {
-        blockProps.push(t.objectProperty(
-          t.identifier('label'),
-          t.stringLiteral(block.label)
-        ));
-      }
-      
-      // order
-      if (block.order !== undefined) {
-        blockProps.push(t.objectProperty(
-          t.identifier('order'),
-          t.numericLiteral(block.order)
-        ));
-      }
-      
-      // expanded
-      if (block.expanded !== undefined) {
-        blockProps.push(t.objectProperty(
-          t.identifier('expanded'),
-          t.booleanLiteral(block.expanded)
-        ));
-      }
-      
-      // enabled
-      if (block.enabled !== undefined) {
-        blockProps.push(t.objectProperty(
-          t.identifier('enabled'),
-          t.booleanLiteral(block.enabled)
-        ));
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Handle UI-ASSERTION block data
-      // ─────────────────────────────────────────────────────────
-      if (block.type === 'ui-assertion' && block.data) {
-        const dataProps = [];
-        
-        // visible array
-        if (block.data.visible && block.data.visible.length > 0) {
-          dataProps.push(t.objectProperty(
-            t.identifier('visible'),
-            t.arrayExpression(block.data.visible.map(v => t.stringLiteral(v)))
-          ));
-        }
-        
-        // hidden array
-        if (block.data.hidden && block.data.hidden.length > 0) {
-          dataProps.push(t.objectProperty(
-            t.identifier('hidden'),
-            t.arrayExpression(block.data.hidden.map(h => t.stringLiteral(h)))
-          ));
-        }
-        
-        // truthy array
-        if (block.data.truthy && block.data.truthy.length > 0) {
-          dataProps.push(t.objectProperty(
-            t.identifier('truthy'),
-            t.arrayExpression(block.data.truthy.map(tr => t.stringLiteral(tr)))
-          ));
-        }
-        
-        // falsy array
-        if (block.data.falsy && block.data.falsy.length > 0) {
-          dataProps.push(t.objectProperty(
-            t.identifier('falsy'),
-            t.arrayExpression(block.data.falsy.map(f => t.stringLiteral(f)))
-          ));
-        }
-        
-        // checks object
-        if (block.data.checks) {
-          const checksProps = [];
-          
-if (block.data.checks.text && Object.keys(block.data.checks.text).length > 0) {
-  const textProps = Object.entries(block.data.checks.text).map(([key, value]) =>
-    t.objectProperty(
-      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-      t.stringLiteral(String(value))
-    )
-  );
-            checksProps.push(t.objectProperty(
-              t.identifier('text'),
-              t.objectExpression(textProps)
-            ));
-          }
-          
-if (block.data.checks.contains && Object.keys(block.data.checks.contains).length > 0) {
-  const containsProps = Object.entries(block.data.checks.contains).map(([key, value]) =>
-    t.objectProperty(
-      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
-      t.stringLiteral(String(value))
-    )
-  );
-            checksProps.push(t.objectProperty(
-              t.identifier('contains'),
-              t.objectExpression(containsProps)
-            ));
-          }
-          
-          if (checksProps.length > 0) {
-            dataProps.push(t.objectProperty(
-              t.identifier('checks'),
-              t.objectExpression(checksProps)
-            ));
-          }
-        }
-        
-    // assertions array
-        if (block.data.assertions && block.data.assertions.length > 0) {
-          const assertionElements = block.data.assertions.map(assertion => {
-            const assertProps = [];
-            if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
-            // ✅ type (locator or method)
-            if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
-            if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
-            if (assertion.value !== undefined) {
-              assertProps.push(t.objectProperty(
-                t.identifier('value'),
-                typeof assertion.value === 'number' 
-                  ? t.numericLiteral(assertion.value)
-                  : typeof assertion.value === 'boolean'
-                    ? t.booleanLiteral(assertion.value)
-                    : t.stringLiteral(String(assertion.value))
-              ));
-            }
-            return t.objectExpression(assertProps);
-          });
-          dataProps.push(t.objectProperty(
-            t.identifier('assertions'),
-            t.arrayExpression(assertionElements)
-          ));
-        }
-        
-        // timeout
-        if (block.data.timeout) {
-          dataProps.push(t.objectProperty(
-            t.identifier('timeout'),
-            t.numericLiteral(block.data.timeout)
-          ));
-        }
-        
-        if (dataProps.length > 0) {
-          blockProps.push(t.objectProperty(
-            t.identifier('data'),
-            t.objectExpression(dataProps)
-          ));
-        }
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Handle CUSTOM-CODE block
-      // ─────────────────────────────────────────────────────────
-      if (block.type === 'custom-code') {
-        if (block.code) {
-          blockProps.push(t.objectProperty(
-            t.identifier('code'),
-            t.stringLiteral(block.code)
-          ));
-        }
-        
-        if (block.wrapInTestStep !== undefined) {
-          blockProps.push(t.objectProperty(
-            t.identifier('wrapInTestStep'),
-            t.booleanLiteral(block.wrapInTestStep)
-          ));
-        }
-        
-        if (block.testStepName) {
-          blockProps.push(t.objectProperty(
-            t.identifier('testStepName'),
-            t.stringLiteral(block.testStepName)
-          ));
-        }
-      }
-
-      
-      
-      // ─────────────────────────────────────────────────────────
-      // Handle FUNCTION-CALL block
-      // ─────────────────────────────────────────────────────────
-      if (block.type === 'function-call' && block.data) {
-        const dataProps = [];
-        
-        if (block.data.instance) {
-          dataProps.push(t.objectProperty(
-            t.identifier('instance'),
-            t.stringLiteral(block.data.instance)
-          ));
-        }
-        
-        if (block.data.method) {
-          dataProps.push(t.objectProperty(
-            t.identifier('method'),
-            t.stringLiteral(block.data.method)
-          ));
-        }
-        
-        if (block.data.args && block.data.args.length > 0) {
-          dataProps.push(t.objectProperty(
-            t.identifier('args'),
-            t.arrayExpression(block.data.args.map(arg => 
-              typeof arg === 'number' ? t.numericLiteral(arg) : t.stringLiteral(String(arg))
-            ))
-          ));
-        }
-        
-        if (block.data.await !== undefined) {
-          dataProps.push(t.objectProperty(
-            t.identifier('await'),
-            t.booleanLiteral(block.data.await)
-          ));
-        }
-        
-        if (block.data.storeAs) {
-          dataProps.push(t.objectProperty(
-            t.identifier('storeAs'),
-            t.stringLiteral(block.data.storeAs)
-          ));
-        }
-        
-        if (dataProps.length > 0) {
-          blockProps.push(t.objectProperty(
-            t.identifier('data'),
-            t.objectExpression(dataProps)
-          ));
-        }
-      }
-      
-      return t.objectExpression(blockProps);
-    });
-    
-    overrideProps.push(t.objectProperty(
-      t.identifier('blocks'),
-      t.arrayExpression(blockElements)
-    ));
-  }
-
-  // ─────────────────────────────────────────────────────────
-// Handle DATA-ASSERTION block
-// ─────────────────────────────────────────────────────────
-if (block.type === 'data-assertion' && block.assertions) {
-  const assertionElements = block.assertions.map(assertion => {
-    const assertProps = [];
-    
-    if (assertion.left) {
-      assertProps.push(t.objectProperty(t.identifier('left'), t.stringLiteral(assertion.left)));
-    }
-    if (assertion.operator) {
-      assertProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(assertion.operator)));
-    }
-    if (assertion.right !== undefined) {
-      assertProps.push(t.objectProperty(
-        t.identifier('right'),
-        typeof assertion.right === 'number' ? t.numericLiteral(assertion.right) :
-        typeof assertion.right === 'boolean' ? t.booleanLiteral(assertion.right) :
-        t.stringLiteral(String(assertion.right))
-      ));
-    }
-    if (assertion.message) {
-      assertProps.push(t.objectProperty(t.identifier('message'), t.stringLiteral(assertion.message)));
-    }
-    
-    return t.objectExpression(assertProps);
-  });
-  
-  blockProps.push(t.objectProperty(
-    t.identifier('assertions'),
-    t.arrayExpression(assertionElements)
-  ));
-}
-  // ═══════════════════════════════════════════════════════════
-  // END BLOCKS SUPPORT
-  // ═══════════════════════════════════════════════════════════
-
-  // ✨ prerequisites (preserved from original AST)
-  if (screen._originalPrerequisites) {
-    console.log('    📦 Including preserved prerequisites');
-    overrideProps.push(t.objectProperty(
-      t.identifier('prerequisites'),
-      screen._originalPrerequisites // AST node from original file
-    ));
-  }
-  
-  // ✨ expect (preserved from original AST)
-  if (screen._originalExpect) {
-    console.log('    📦 Including preserved expect function');
-    overrideProps.push(t.objectProperty(
-      t.identifier('expect'),
-      screen._originalExpect // AST node from original file
-    ));
-  }
-  
-  // ✅ Build: ImplicationHelper.mergeWithBase(base, overrides, options)
-  return t.callExpression(
-    t.memberExpression(
-      t.identifier('ImplicationHelper'),
-      t.identifier('mergeWithBase')
-    ),
-    [
-      // First arg: BaseBookingImplications.platform.screenName
-      t.memberExpression(
-        t.memberExpression(
-          t.identifier('BaseBookingImplications'),
-          t.identifier(platformName)
-        ),
-        t.identifier(screenName)
-      ),
-      // Second arg: override object
-      t.objectExpression(overrideProps),
-      // Third arg: { parentClass: AcceptedBookingImplications }
-      t.objectExpression([
-        t.objectProperty(
-          t.identifier('parentClass'),
-          t.identifier(className)
-        )
-      ])
-    ]
-  );
-}
+
 
 /**
  * Extract complete XState structure
@@ -4635,12 +2239,15 @@ const transitionAdded = addTransitionToAST(sourceAst, event, targetStateName, pl
       comments: true
     });
     
-    // Create backup and write source file
+    // Create backup and stage source file (both files are committed together)
+    const changeset = new Changeset(req, 'add-transition', { atomic: true });
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const sourceBackupPath = `${sourceFile}.backup-${timestamp}`;
-    await fs.copy(sourceFile, sourceBackupPath);
-    await fs.writeFile(sourceFile, newSourceCode, 'utf-8');
-    console.log('✅ Source file updated');
+    if (!changeset.preview) {
+      await fs.copy(sourceFile, sourceBackupPath);
+    }
+    await changeset.write(sourceFile, newSourceCode);
+    console.log('📝 Source file staged');
     
     // Update target file with prerequisite
     const sourceStateName = nodePath.basename(sourceFile, '.js')
@@ -4665,632 +2272,59 @@ const transitionRequires = requires || {};
     // Write updated target file if modified
     if (targetUpdated) {
       const { code: newTargetCode } = (babelGenerate.default || babelGenerate)(targetAst, {
-        retainLines: true,
-        comments: true
-      });
-      
-      const targetBackupPath = `${targetFile}.backup-${timestamp}`;
-      await fs.copy(targetFile, targetBackupPath);
-      await fs.writeFile(targetFile, newTargetCode, 'utf-8');
-      
-      console.log('✅ Target file updated with prerequisite');
-      console.log('📦 Target backup:', targetBackupPath);
-    }
-    
-    console.log('📦 Source backup:', sourceBackupPath);
-    
-    res.json({
-      success: true,
-      transition: {
-        event,
-        from: nodePath.basename(sourceFile),
-        to: `#${targetStateName}`,
-        platforms: platformsArray || []  // ✅ CHANGED: use platformsArray
-      },
-      backup: sourceBackupPath
-    });
-    
-  } catch (error) {
-    console.error('❌ Add transition failed:', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// ═══════════════════════════════════════════════════════════
-// HELPER FUNCTIONS
-// ═══════════════════════════════════════════════════════════
-
-function extractStateName(ast) {
-  let stateName = null;
-  
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const config = path.node.value;
-        if (config?.type === 'ObjectExpression') {
-          const idProp = config.properties.find(p => p.key?.name === 'id');
-          if (idProp?.value?.value) {
-            stateName = idProp.value.value;
-          }
-        }
-      }
-    }
-  });
-  
-  return stateName;
-}
-
-function addTransitionToAST(ast, event, targetStateName, platforms, actionDetails, requires, conditions, isObserver, mode) {
-  let transitionAdded = false;
-  
-  // ✅ BUILD transitionObj OUTSIDE traverse!
-  const transitionObj = t.objectExpression([
-    t.objectProperty(
-      t.identifier('target'),
-      t.stringLiteral(targetStateName)
-    )
-  ]);
-  
-  // Add platforms if specified
-  if (platforms && Array.isArray(platforms) && platforms.length > 0) {
-    console.log('✅ Adding platforms to transition:', platforms);
-    
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('platforms'),
-        t.arrayExpression(platforms.map(p => t.stringLiteral(p)))
-      )
-    );
-  }
-  
-  // Add requires if provided (for conditional path selection)
-  if (requires && typeof requires === 'object' && Object.keys(requires).length > 0) {
-    console.log('✅ Adding requires to transition:', requires);
-    
-    const requiresProperties = Object.entries(requires).map(([key, value]) => {
-      let valueNode;
-      if (typeof value === 'boolean') {
-        valueNode = t.booleanLiteral(value);
-      } else if (typeof value === 'number') {
-        valueNode = t.numericLiteral(value);
-      } else {
-        valueNode = t.stringLiteral(String(value));
-      }
-      return t.objectProperty(t.stringLiteral(key), valueNode);
-    });
-    
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('requires'),
-        t.objectExpression(requiresProperties)
-      )
-    );
-  }
-
-  // Add conditions if provided (block-based)
-  if (conditions && conditions.blocks && conditions.blocks.length > 0) {
-    console.log('✅ Adding conditions to transition:', conditions.blocks.length, 'blocks');
-    
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('conditions'),
-        createValueNode(conditions)
-      )
-    );
-  }
-  
-  // ✅ NEW: Add isObserver if true
-  if (isObserver) {
-    console.log('✅ Adding isObserver to transition');
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('isObserver'),
-        t.booleanLiteral(true)
-      )
-    );
-  }
-  
-  // ✅ NEW: Add mode if provided
-  if (mode) {
-    console.log('✅ Adding mode to transition:', mode);
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('mode'),
-        t.stringLiteral(mode)
-      )
-    );
-  }
-  
-  // Add actionDetails if provided
-  if (actionDetails) {
-    console.log('✅ Adding actionDetails to transition');
-    
-    const actionDetailsObj = buildActionDetailsAST(actionDetails);
-    
-    transitionObj.properties.push(
-      t.objectProperty(
-        t.identifier('actionDetails'),
-        actionDetailsObj
-      )
-    );
-  }
-  // NOW traverse and add the transition
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type === 'ObjectExpression') {
-          // Find or create 'on' property
-          let onProperty = findOrCreateOnProperty(configValue);
-          
-          // Check if transition already exists
-          const existingTransition = onProperty.value.properties?.find(
-            p => p.key?.name === event || p.key?.value === event
-          );
-          
-           if (existingTransition) {
-            console.log('Converting transition to array for multiple platforms...');
-            
-            // Convert single transition to array with multiple platform versions
-            if (existingTransition.value.type === 'ObjectExpression') {
-              // Current value is a single object - wrap it in an array
-              console.log('   Wrapping existing transition in array');
-              existingTransition.value = t.arrayExpression([
-                existingTransition.value,  // Keep existing
-                transitionObj              // Add new platform version
-              ]);
-              transitionAdded = true;
-              console.log(`Converted ${event} to array with 2 platform versions`);
-            } else if (existingTransition.value.type === 'ArrayExpression') {
-              // Already an array - just push
-              console.log('   Adding to existing array');
-              existingTransition.value.elements.push(transitionObj);
-              transitionAdded = true;
-              console.log(`Added platform version to ${event} array`);
-            } else {
-              console.log('   Unknown transition type:', existingTransition.value.type);
-            }
-            return;
-          }
-          
-          // Add transition to 'on' property
-          console.log(`✅ Adding transition: ${event} → ${targetStateName}`);
-          
-          onProperty.value.properties.push(
-            t.objectProperty(
-              t.identifier(event),
-              transitionObj  // ✅ Use the pre-built object!
-            )
-          );
-          
-          transitionAdded = true;
-        }
-      }
-    }
-  });
-  
-  return transitionAdded;
-}
-
-function buildActionDetailsAST(actionDetails) {
-  const properties = [];
-  
-  // Description
-  if (actionDetails.description) {
-    properties.push(
-      t.objectProperty(
-        t.identifier('description'),
-        t.stringLiteral(actionDetails.description)
-      )
-    );
-  }
-  
-  // Platform
-  if (actionDetails.platform) {
-    properties.push(
-      t.objectProperty(
-        t.identifier('platform'),
-        t.stringLiteral(actionDetails.platform)
-      )
-    );
-  }
-  
-  // Navigation method
-  if (actionDetails.navigationMethod) {
-    properties.push(
-      t.objectProperty(
-        t.identifier('navigationMethod'),
-        t.stringLiteral(actionDetails.navigationMethod)
-      )
-    );
-  }
-  
-  // Navigation file
-  if (actionDetails.navigationFile) {
-    properties.push(
-      t.objectProperty(
-        t.identifier('navigationFile'),
-        t.stringLiteral(actionDetails.navigationFile)
-      )
-    );
-  }
-  
-  // Imports
-  if (actionDetails.imports && actionDetails.imports.length > 0) {
-    const importsArray = t.arrayExpression(
-      actionDetails.imports.map(imp => 
-        t.objectExpression([
-          t.objectProperty(t.identifier('className'), t.stringLiteral(imp.className || '')),
-          t.objectProperty(t.identifier('varName'), t.stringLiteral(imp.varName || '')),
-          t.objectProperty(t.identifier('path'), t.stringLiteral(imp.path || '')),
-          t.objectProperty(t.identifier('constructor'), t.stringLiteral(imp.constructor || ''))
-        ])
-      )
-    );
-    
-    properties.push(
-      t.objectProperty(
-        t.identifier('imports'),
-        importsArray
-      )
-    );
-  }
-  
-  // Steps ✅ ENHANCED with ALL fields for round-trip editing
-  if (actionDetails.steps && actionDetails.steps.length > 0) {
-    const stepsArray = t.arrayExpression(
-      actionDetails.steps.map(step => {
-        const argsString = Array.isArray(step.args) 
-          ? step.args.join(', ')
-          : (step.args || '');
-        
-        const argsArrayValue = Array.isArray(step.args) 
-          ? step.args 
-          : (step.args ? step.args.split(',').map(s => s.trim()) : []);
-        
-        // Build step properties dynamically
-        const stepProperties = [];
-        
-        // ✅ TYPE - Critical for edit mode to know which UI to show!
-        if (step.type) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('type'), t.stringLiteral(step.type))
-          );
-        }
-        
-        // Basic fields (always present)
-        stepProperties.push(
-          t.objectProperty(t.identifier('description'), t.stringLiteral(step.description || ''))
-        );
-        stepProperties.push(
-          t.objectProperty(t.identifier('instance'), t.stringLiteral(step.instance || ''))
-        );
-        stepProperties.push(
-          t.objectProperty(t.identifier('method'), t.stringLiteral(step.method || ''))
-        );
-        stepProperties.push(
-          t.objectProperty(t.identifier('args'), t.stringLiteral(argsString))
-        );
-        stepProperties.push(
-          t.objectProperty(t.identifier('argsArray'), t.arrayExpression(argsArrayValue.map(arg => t.stringLiteral(arg))))
-        );
-        
-        // ✅ INLINE ACTION FIELDS - for round-trip editing
-        if (step.screen) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('screen'), t.stringLiteral(step.screen))
-          );
-        }
-        if (step.locator) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('locator'), t.stringLiteral(step.locator))
-          );
-        }
-        if (step.elementIndex) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('elementIndex'), t.stringLiteral(step.elementIndex))
-          );
-        }
-        if (step.customIndex !== undefined && step.customIndex !== null) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('customIndex'), t.numericLiteral(Number(step.customIndex)))
-          );
-        }
-        if (step.indexVariable) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('indexVariable'), t.stringLiteral(step.indexVariable))
-          );
-        }
-        if (step.value !== undefined && step.value !== '') {
-          stepProperties.push(
-            t.objectProperty(t.identifier('value'), t.stringLiteral(step.value))
-          );
-        }
-        if (step.waitState) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('waitState'), t.stringLiteral(step.waitState))
-          );
-        }
-        if (step.code) {
-          stepProperties.push(
-            t.objectProperty(t.identifier('code'), t.stringLiteral(step.code))
-          );
-        }
-        
-        // ✅ storeAs (existing - keep as-is)
-        if (step.storeAs) {
-          console.log(`   💾 Adding storeAs to step: ${step.storeAs}`);
-          stepProperties.push(
-            t.objectProperty(t.identifier('storeAs'), t.stringLiteral(step.storeAs))
-          );
-          
-          // persistStoreAs (defaults to true if not specified)
-          const persistValue = step.persistStoreAs !== false;
-          stepProperties.push(
-            t.objectProperty(t.identifier('persistStoreAs'), t.booleanLiteral(persistValue))
-          );
-          console.log(`   💾 persistStoreAs: ${persistValue}`);
-        }
-        
-        // ✅ conditions (existing - keep as-is)
-        if (step.conditions && step.conditions.blocks && step.conditions.blocks.length > 0) {
-          console.log(`   🔒 Adding conditions to step: ${step.conditions.blocks.length} blocks`);
-          stepProperties.push(
-            t.objectProperty(t.identifier('conditions'), createValueNode(step.conditions))
-          );
-        }
-        
-        return t.objectExpression(stepProperties);
-      })
-    );
-    
-    properties.push(
-      t.objectProperty(
-        t.identifier('steps'),
-        stepsArray
-      )
-    );
-  }
-  
-  return t.objectExpression(properties);
-}
-
-function findOrCreateOnProperty(configValue) {
-  // Try to find 'on' at root level
-  let onProperty = configValue.properties.find(p => p.key?.name === 'on');
-  
-  if (onProperty) {
-    console.log('✅ Found simple structure: xstateConfig.on');
-    return onProperty;
-  }
-  
-  // Try to find 'on' inside states
-  console.log('🔍 Looking for complex structure: xstateConfig.states.*.on');
-  
-  const statesProperty = configValue.properties.find(p => p.key?.name === 'states');
-  
-  if (statesProperty && statesProperty.value?.type === 'ObjectExpression') {
-    // Find first state
-    let targetState = statesProperty.value.properties[0];
-    
-    if (targetState && targetState.value?.type === 'ObjectExpression') {
-      onProperty = targetState.value.properties.find(p => p.key?.name === 'on');
+        retainLines: true,
+        comments: true
+      });
       
-      if (!onProperty) {
-        // Create 'on' property inside state
-        console.log('📝 Creating new "on" property inside state');
-        onProperty = {
-          type: 'ObjectProperty',
-          key: { type: 'Identifier', name: 'on' },
-          value: { type: 'ObjectExpression', properties: [] }
-        };
-        targetState.value.properties.push(onProperty);
+      const targetBackupPath = `${targetFile}.backup-${timestamp}`;
+      if (!changeset.preview) {
+        await fs.copy(targetFile, targetBackupPath);
       }
+      await changeset.write(targetFile, newTargetCode);
       
-      return onProperty;
+      console.log('📝 Target file staged with prerequisite');
+      console.log('📦 Target backup:', targetBackupPath);
+    }
+    
+    if (changeset.preview) {
+      return res.json(changeset.previewResponse({
+        transition: { event, from: nodePath.basename(sourceFile), to: `#${targetStateName}` }
+      }));
     }
+    
+    console.log('📦 Source backup:', sourceBackupPath);
+    
+    const changeId = await changeset.commit(`Add transition ${event}`);
+    console.log('✅ Transition added');
+    
+    res.json({
+      success: true,
+      changeId,
+      transition: {
+        event,
+        from: nodePath.basename(sourceFile),
+        to: `#${targetStateName}`,
+        platforms: platformsArray || []  // ✅ CHANGED: use platformsArray
+      },
+      backup: sourceBackupPath
+    });
+    
+  } catch (error) {
+    console.error('❌ Add transition failed:', error);
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({ 
+      error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      }),
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
   }
-  
-  // Create at root level as fallback
-  console.log('📝 Creating new "on" property at root level');
-  onProperty = {
-    type: 'ObjectProperty',
-    key: { type: 'Identifier', name: 'on' },
-    value: { type: 'ObjectExpression', properties: [] }
-  };
-  configValue.properties.push(onProperty);
-  
-  return onProperty;
-}
+});
 
-/**
- * Add a setup entry to the target implication's meta.setup array
- * Called when a transition is added TO this state
- * 
- * @param {AST} ast - Babel AST of target file
- * @param {string} sourceStateName - The state this transition comes FROM
- * @param {string} targetStateName - The state this transition goes TO
- * @param {string} event - The transition event name
- * @param {string} platform - Platform for this transition
- * @param {object} requires - Conditions from transition (optional)
- * @returns {boolean} Whether the file was modified
- */
-// In implications.js - Replace the addSetupEntryToAST function entirely
+// ═══════════════════════════════════════════════════════════
+// HELPER FUNCTIONS
+// ═══════════════════════════════════════════════════════════
 
-/**
- * Add a setup entry to the target implication's meta.setup array
- * Called when a transition is added TO this state
- * 
- * ✅ FIXED: 
- * 1. Unique by (previousStatus + requires) combination, not just previousStatus
- * 2. Never overwrites existing entries - only adds new ones
- * 3. Uses correct event name in testFile path
- */
-function addSetupEntryToAST(ast, sourceStateName, targetStateName, event, platform, requires, mode) {
-  let targetUpdated = false;
-  
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-        
-        // Find or create meta property
-        let metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
-        
-        if (!metaProperty) {
-          metaProperty = t.objectProperty(
-            t.identifier('meta'),
-            t.objectExpression([])
-          );
-          configValue.properties.unshift(metaProperty);
-        }
-        
-        // Find or create setup array
-        let setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
-        
-        if (!setupProperty) {
-          setupProperty = t.objectProperty(
-            t.identifier('setup'),
-            t.arrayExpression([])
-          );
-          metaProperty.value.properties.push(setupProperty);
-        }
-        
-        // ════════════════════════════════════════════════════════════════
-        // ✅ CRITICAL FIX: Check for duplicate by (previousStatus + requires + event)
-        // Multiple transitions can come from same source with different requires!
-        // ════════════════════════════════════════════════════════════════
-        const existingEntryIndex = setupProperty.value.elements.findIndex(el => {
-          if (el.type !== 'ObjectExpression') return false;
-          
-          // Check previousStatus
-          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          if (prevStatusProp?.value?.value !== sourceStateName) return false;
-          
-          // Check requires - must match exactly
-          const requiresProp = el.properties.find(p => p.key?.name === 'requires');
-          const existingRequires = requiresProp ? extractValueFromAST(requiresProp.value) : null;
-          const newRequires = (requires && Object.keys(requires).length > 0) ? requires : null;
-          
-          // Both null = match, both objects = compare JSON
-          if (existingRequires === null && newRequires === null) return true;
-          if (existingRequires === null || newRequires === null) return false;
-          
-          return JSON.stringify(existingRequires) === JSON.stringify(newRequires);
-        });
-        
-        if (existingEntryIndex !== -1) {
-          console.log(`ℹ️  Setup entry from '${sourceStateName}' with requires=${JSON.stringify(requires || {})} already exists`);
-          console.log(`   (This is expected - setup entry was already created)`);
-          return; // Don't modify existing!
-        }
-        
-        // ════════════════════════════════════════════════════════════════
-        // Build the new setup entry with CORRECT naming
-        // ════════════════════════════════════════════════════════════════
-        const toPascalCase = (str) => str
-          .split('_')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-          .join('');
-        
-        const toCamelCase = (str) => {
-          const pascal = toPascalCase(str);
-          return pascal.charAt(0).toLowerCase() + pascal.slice(1);
-        };
-        
-        const targetPascal = toPascalCase(targetStateName);
-        const sourcePascal = toPascalCase(sourceStateName);
-        const platformCapitalized = platform.charAt(0).toUpperCase() + platform.slice(1);
-        
-        // ✅ Test file uses EVENT name: LandingPageViaCookies-ACCEPT-Web-UNIT.spec.js
-        const testFileName = `${targetPascal}Via${sourcePascal}-${event}-${platformCapitalized}-UNIT.spec.js`;
-        
-        // ✅ Action name is camelCase: landingPageViaCookies
-        const actionName = `${toCamelCase(targetStateName)}Via${sourcePascal}`;
-        
-        console.log(`📝 Creating NEW setup entry:`);
-        console.log(`   testFile: tests/implications/bookings/status/${testFileName}`);
-        console.log(`   actionName: ${actionName}`);
-        console.log(`   previousStatus: ${sourceStateName}`);
-        console.log(`   platform: ${platform}`);
-        if (requires && Object.keys(requires).length > 0) {
-          console.log(`   requires:`, JSON.stringify(requires));
-        }
-        if (mode) {
-          console.log(`   mode: ${mode}`);
-        }
-        
-        // Build setup entry properties
-        const setupEntryProps = [
-          t.objectProperty(
-            t.identifier('testFile'),
-            t.stringLiteral(`tests/implications/bookings/status/${testFileName}`)
-          ),
-          t.objectProperty(
-            t.identifier('actionName'),
-            t.stringLiteral(actionName)
-          ),
-          t.objectProperty(
-            t.identifier('platform'),
-            t.stringLiteral(platform)
-          ),
-          t.objectProperty(
-            t.identifier('previousStatus'),
-            t.stringLiteral(sourceStateName)
-          )
-        ];
-        
-        // Add requires if provided
-        if (requires && Object.keys(requires).length > 0) {
-          const requiresProps = Object.entries(requires).map(([key, value]) => {
-            let valueNode;
-            if (typeof value === 'boolean') {
-              valueNode = t.booleanLiteral(value);
-            } else if (typeof value === 'number') {
-              valueNode = t.numericLiteral(value);
-            } else {
-              valueNode = t.stringLiteral(String(value));
-            }
-            return t.objectProperty(t.identifier(key), valueNode);
-          });
-          
-          setupEntryProps.push(
-            t.objectProperty(
-              t.identifier('requires'),
-              t.objectExpression(requiresProps)
-            )
-          );
-        }
-        
-        // Add mode if provided (for observer transitions)
-        if (mode) {
-          setupEntryProps.push(
-            t.objectProperty(
-              t.identifier('mode'),
-              t.stringLiteral(mode)
-            )
-          );
-        }
-        
-        // Add the new setup entry
-        setupProperty.value.elements.push(
-          t.objectExpression(setupEntryProps)
-        );
-        
-        console.log(`✅ Added setup entry: ${sourceStateName} → ${targetStateName} via ${event}`);
-        targetUpdated = true;
-      }
-    }
-  });
-  
-  return targetUpdated;
-}
 
 /**
  * GET /api/implications/analyze-composition
@@ -5648,12 +2682,15 @@ router.post('/add-context-field', async (req, res) => {
     await fs.writeFile(backupPath, content);
     
     // 6. Write updated file
-    await fs.writeFile(filePath, output.code);
+    const changeset = new Changeset(req, 'add-context-field');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Add context field ${fieldName}`);
     
     console.log('✅ Context field added successfully');
     
     res.json({
       success: true,
+      changeId,
       fieldName,
       initialValue,
       backup: backupPath
@@ -5750,12 +2787,15 @@ router.post('/delete-context-field', async (req, res) => {
     await fs.writeFile(backupPath, content);
     
     // 6. Write updated file
-    await fs.writeFile(filePath, output.code);
+    const changeset = new Changeset(req, 'delete-context-field');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Delete context field ${fieldName}`);
     
     console.log('✅ Context field deleted successfully');
     
     res.json({
       success: true,
+      changeId,
       fieldName,
       backup: backupPath
     });
@@ -5939,19 +2979,29 @@ router.post('/update-context', async (req, res) => {
       comments: true
     });
     
+    const changeset = new Changeset(req, 'update-context');
+    
+    // Preview mode - return the diff without writing
+    if (changeset.preview) {
+      await changeset.write(filePath, newCode);
+      return res.json(changeset.previewResponse({ filePath }));
+    }
+    
     // Create backup
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupPath = `${filePath}.backup-${timestamp}`;
     await fs.copy(filePath, backupPath);
     
     // Write updated file
-    await fs.writeFile(filePath, newCode, 'utf-8');
+    await changeset.write(filePath, newCode);
+    const changeId = await changeset.commit(`Update context in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ Context updated successfully');
     console.log('📦 Backup created:', backupPath);
     
     res.json({
       success: true,
+      changeId,
       updated: Object.keys(contextUpdates),
       backup: backupPath
     });
@@ -5963,274 +3013,6 @@ router.post('/update-context', async (req, res) => {
 });
 
 
-/**
- * Detect the type of a value for proper input rendering
- */
-function detectFieldType(value) {
-  if (value === null || value === undefined) return 'null';
-  if (typeof value === 'boolean') return 'boolean';
-  if (typeof value === 'number') return 'number';
-  if (typeof value === 'string') return 'string';
-  if (Array.isArray(value)) return 'array';
-  if (typeof value === 'object') return 'object';
-  return 'unknown';
-}
-
-/**
- * Create a Babel AST node from a JavaScript value
- */
-function createValueNode(value) {
-  if (value === null) return t.nullLiteral();
-  if (value === undefined) return t.identifier('undefined');
-  if (typeof value === 'boolean') return t.booleanLiteral(value);
-  if (typeof value === 'number') return t.numericLiteral(value);
-  if (typeof value === 'string') return t.stringLiteral(value);
-  
-  if (Array.isArray(value)) {
-    return t.arrayExpression(value.map(v => createValueNode(v)));
-  }
-  
-  if (typeof value === 'object') {
-    return t.objectExpression(
-      Object.entries(value).map(([k, v]) =>
-        t.objectProperty(t.identifier(k), createValueNode(v))
-      )
-    );
-  }
-  
-  return t.stringLiteral(String(value));
-}
-
-/**
- * Remove a setup entry from meta.setup array by previousStatus
- */
-function removeSetupEntryFromAST(ast, sourceStateName) {
-  let removed = false;
-  
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-        
-        // Find meta property
-        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
-        if (!metaProperty?.value?.properties) return;
-        
-        // Find setup array
-        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
-        if (!setupProperty?.value?.elements) return;
-        
-        // Find and remove entry with matching previousStatus
-        const setupArray = setupProperty.value.elements;
-        const entryIndex = setupArray.findIndex(el => {
-          if (el.type !== 'ObjectExpression') return false;
-          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          return prevStatusProp?.value?.value === sourceStateName;
-        });
-        
-        if (entryIndex !== -1) {
-          setupArray.splice(entryIndex, 1);
-          console.log(`✅ Removed setup entry for previousStatus="${sourceStateName}"`);
-          removed = true;
-        }
-      }
-    }
-  });
-  
-  return removed;
-}
-
-/**
- * Update requires in a setup entry
- */
-function updateSetupEntryRequiresInAST(ast, sourceStateName, requires, mode) {
-  let updated = false;
-  
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-        
-        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
-        if (!metaProperty?.value?.properties) return;
-        
-        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
-        if (!setupProperty?.value?.elements) return;
-        
-        // Find entry with matching previousStatus
-        const entry = setupProperty.value.elements.find(el => {
-          if (el.type !== 'ObjectExpression') return false;
-          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          return prevStatusProp?.value?.value === sourceStateName;
-        });
-        
-        if (entry) {
-          // ═══════════════════════════════════════════════════════════
-          // Handle requires
-          // ═══════════════════════════════════════════════════════════
-          const requiresIndex = entry.properties.findIndex(p => p.key?.name === 'requires');
-          
-          if (requires && Object.keys(requires).length > 0) {
-            const requiresProps = Object.entries(requires).map(([key, value]) => {
-              let valueNode;
-              if (typeof value === 'boolean') {
-                valueNode = t.booleanLiteral(value);
-              } else if (typeof value === 'number') {
-                valueNode = t.numericLiteral(value);
-              } else {
-                valueNode = t.stringLiteral(String(value));
-              }
-              return t.objectProperty(t.stringLiteral(key), valueNode);
-            });
-            
-            const requiresNode = t.objectProperty(
-              t.identifier('requires'),
-              t.objectExpression(requiresProps)
-            );
-            
-            if (requiresIndex !== -1) {
-              entry.properties[requiresIndex] = requiresNode;
-              console.log(`✅ Updated requires in setup entry`);
-            } else {
-              entry.properties.push(requiresNode);
-              console.log(`✅ Added requires to setup entry`);
-            }
-            updated = true;
-          } else if (requiresIndex !== -1) {
-            entry.properties.splice(requiresIndex, 1);
-            console.log(`✅ Removed requires from setup entry`);
-            updated = true;
-          }
-          
-          // ═══════════════════════════════════════════════════════════
-          // ✅ NEW: Handle mode
-          // ═══════════════════════════════════════════════════════════
-          const modeIndex = entry.properties.findIndex(p => p.key?.name === 'mode');
-          
-          if (mode) {
-            const modeNode = t.objectProperty(
-              t.identifier('mode'),
-              t.stringLiteral(mode)
-            );
-            
-            if (modeIndex !== -1) {
-              entry.properties[modeIndex] = modeNode;
-              console.log(`✅ Updated mode in setup entry: ${mode}`);
-            } else {
-              entry.properties.push(modeNode);
-              console.log(`✅ Added mode to setup entry: ${mode}`);
-            }
-            updated = true;
-          } else if (modeIndex !== -1) {
-            // Remove mode if not provided (transition is no longer observer)
-            entry.properties.splice(modeIndex, 1);
-            console.log(`✅ Removed mode from setup entry`);
-            updated = true;
-          }
-        }
-      }
-    }
-  });
-  
-  return updated;
-}
-
-/**
- * Update event name in a setup entry's testFile path
- */
-function updateSetupEntryEventInAST(ast, sourceStateName, oldEvent, newEvent) {
-  let updated = false;
-  
-  traverse(ast, {
-    ClassProperty(path) {
-      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-        const configValue = path.node.value;
-        
-        if (configValue?.type !== 'ObjectExpression') return;
-        
-        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
-        if (!metaProperty?.value?.properties) return;
-        
-        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
-        if (!setupProperty?.value?.elements) return;
-        
-        // Find entry with matching previousStatus
-        const entry = setupProperty.value.elements.find(el => {
-          if (el.type !== 'ObjectExpression') return false;
-          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
-          return prevStatusProp?.value?.value === sourceStateName;
-        });
-        
-        if (entry) {
-          // Update testFile path
-          const testFileProp = entry.properties.find(p => p.key?.name === 'testFile');
-          if (testFileProp?.value?.value) {
-            const newPath = testFileProp.value.value.replace(oldEvent, newEvent);
-            testFileProp.value.value = newPath;
-            console.log(`✅ Updated testFile: ${oldEvent} → ${newEvent}`);
-            updated = true;
-          }
-        }
-      }
-    }
-  });
-  
-  return updated;
-}
-
-/**
- * Extract JavaScript value from AST node
- */
-function extractValueFromAST(node) {
-  if (!node) return null;
-  
-  switch (node.type) {
-    case 'StringLiteral':
-    case 'NumericLiteral':
-    case 'BooleanLiteral':
-      return node.value;
-      
-    case 'NullLiteral':
-      return null;
-      
-    case 'Identifier':
-      if (node.name === 'undefined') return undefined;
-      if (node.name === 'null') return null;
-      return node.name;
-      
-    case 'ArrayExpression':
-      return node.elements
-        .filter(el => el !== null)
-        .map(el => extractValueFromAST(el));
-      
-    case 'ObjectExpression':
-      const obj = {};
-      node.properties.forEach(prop => {
-        if (prop.key) {
-          const key = prop.key.name || prop.key.value;
-          const value = extractValueFromAST(prop.value);
-          if (value !== undefined) {
-            obj[key] = value;
-          }
-        }
-      });
-      return obj;
-      
-    case 'TemplateLiteral':
-      if (node.quasis && node.quasis.length === 1 && node.expressions.length === 0) {
-        return node.quasis[0].value.cooked;
-      }
-      return null;
-      
-    default:
-      return null;
-  }
-}
-
 
 /**
  * GET /api/graph/layout
@@ -6607,6 +3389,7 @@ if (mode) {
 
       // ✅ MOVE THIS UP - before using it
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const changeset = new Changeset(req, 'update-transition', { atomic: true });
 
     // ✅ NEW: Update setup entry in target file if event name changed
 // ✅ NEW: Update setup entry in target file if event name changed
@@ -6617,8 +3400,9 @@ const hasEventChange = oldEvent !== newEvent;
 
 if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
   try {
-    const targetContent = await fs.readFile(req.body.targetFile, 'utf-8');
-    const targetAst = parse(targetContent, {
+    // Self-loop: edit the source AST so the single write keeps both changes
+    const isSelfLoop = nodePath.resolve(req.body.targetFile) === nodePath.resolve(sourceFile);
+    const targetAst = isSelfLoop ? ast : parse(await fs.readFile(req.body.targetFile, 'utf-8'), {
       sourceType: 'module',
       plugins: ['classProperties', 'objectRestSpread']
     });
@@ -6649,7 +3433,7 @@ if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
     
     console.log('   targetUpdated:', targetUpdated);
         
-    if (targetUpdated) {
+    if (targetUpdated && !isSelfLoop) {
       const { code: newTargetCode } = (babelGenerate.default || babelGenerate)(targetAst, {
         retainLines: true,
         comments: true
@@ -6657,7 +3441,7 @@ if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
       
       const targetBackupPath = `${req.body.targetFile}.backup-${timestamp}`;
       await fs.copy(req.body.targetFile, targetBackupPath);
-      await fs.writeFile(req.body.targetFile, newTargetCode, 'utf-8');
+      await changeset.write(req.body.targetFile, newTargetCode);
       
       console.log('✅ Target file updated - setup entry synced');
     }
@@ -6677,13 +3461,15 @@ if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
     await fs.copy(sourceFile, backupPath);
     
     // Write updated file
-    await fs.writeFile(sourceFile, newCode, 'utf-8');
+    await changeset.write(sourceFile, newCode);
+    const changeId = await changeset.commit(`Update transition ${oldEvent}`);
     
     console.log('✅ Transition updated successfully');
     console.log('📦 Backup created:', backupPath);
     
     res.json({
       success: true,
+      changeId,
       transition: {
         oldEvent,
         newEvent,
@@ -6695,8 +3481,11 @@ if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
     
   } catch (error) {
     console.error('❌ Update transition failed:', error);
-    res.status(500).json({ 
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({ 
       error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      }),
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
@@ -6707,95 +3496,39 @@ if (req.body.targetFile && (hasEventChange || hasRequiresChange)) {
  * Remove a transition from xstateConfig
  */
 router.post('/delete-transition', async (req, res) => {
-  try {
-    const { sourceFile, targetFile, event } = req.body;  // ✅ Added targetFile
-    
-    console.log('🗑️ Deleting transition:', { sourceFile, targetFile, event });
-    
-    if (!sourceFile || !event) {
-      return res.status(400).json({ 
-        error: 'sourceFile and event are required' 
-      });
-    }
-    
-    const content = await fs.readFile(sourceFile, 'utf-8');
-    const ast = parse(content, {
-      sourceType: 'module',
-      plugins: ['classProperties', 'objectRestSpread']
-    });
-    
-    let transitionDeleted = false;
-    let deletedTargetState = null;  // ✅ Track what we're deleting
-    
-    traverse(ast, {
-      ClassProperty(path) {
-        if (path.node.key?.name === 'xstateConfig' && path.node.static) {
-          const configValue = path.node.value;
-          
-          if (configValue?.type === 'ObjectExpression') {
-            let onProperty = null;
-            
-            // Try root level 'on'
-            onProperty = configValue.properties.find(p => p.key?.name === 'on');
-            
-            // Try states.idle.on (complex structure)
-            if (!onProperty) {
-              const statesProperty = configValue.properties.find(p => p.key?.name === 'states');
-              
-              if (statesProperty?.value?.type === 'ObjectExpression') {
-                const idleState = statesProperty.value.properties.find(p => p.key?.name === 'idle');
-                
-                if (idleState?.value?.type === 'ObjectExpression') {
-                  onProperty = idleState.value.properties.find(p => p.key?.name === 'on');
-                }
-              }
-            }
-            
-            if (!onProperty || !onProperty.value?.properties) {
-              return;
-            }
-            
-            // Find the transition (to get target info before deleting)
-            const transitionIndex = onProperty.value.properties.findIndex(
-              p => (p.key?.name === event || p.key?.value === event)
-            );
-            
-            if (transitionIndex === -1) {
-              return;
-            }
-            
-            // ✅ Extract target state name before deleting
-            const transition = onProperty.value.properties[transitionIndex];
-            if (transition.value?.type === 'ObjectExpression') {
-              const targetProp = transition.value.properties.find(p => p.key?.name === 'target');
-              if (targetProp?.value?.value) {
-                deletedTargetState = targetProp.value.value;
-              }
-            } else if (transition.value?.type === 'StringLiteral') {
-              deletedTargetState = transition.value.value;
-            }
-            
-            // Remove the transition
-            onProperty.value.properties.splice(transitionIndex, 1);
-            transitionDeleted = true;
-            
-            console.log(`✅ Deleted transition: ${event} → ${deletedTargetState}`);
-          }
-        }
-      }
-    });
+  try {
+    const { sourceFile, targetFile, event } = req.body;  // ✅ Added targetFile
+    
+    console.log('🗑️ Deleting transition:', { sourceFile, targetFile, event });
+    
+    if (!sourceFile || !event) {
+      return res.status(400).json({ 
+        error: 'sourceFile and event are required' 
+      });
+    }
     
-    if (!transitionDeleted) {
+    const editor = await ImplicationEditor.open(sourceFile);
+    const removed = editor.removeTransition(event);
+    
+    if (!removed) {
       return res.status(400).json({ 
         error: 'Could not delete transition' 
       });
     }
+    const deletedTargetState = removed.target;
+    
+    const sourceStateName = nodePath.basename(sourceFile, '.js')
+      .replace(/Implications$/, '')
+      .replace(/([A-Z])/g, '_$1')
+      .toLowerCase()
+      .replace(/^_/, '');
+    
+    // Self-loop: the setup entry lives in the source file, remove it in the same edit
+    const isSelfLoop = !!targetFile && nodePath.resolve(targetFile) === nodePath.resolve(sourceFile);
+    let targetUpdated = isSelfLoop && editor.removeSetupEntry(sourceStateName);
     
     // Generate updated code
-    const { code: newCode } = (babelGenerate.default || babelGenerate)(ast, {
-      retainLines: true,
-      comments: true
-    });
+    const newCode = editor.toSource();
     
     // Create backup
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -6803,37 +3536,23 @@ router.post('/delete-transition', async (req, res) => {
     await fs.copy(sourceFile, backupPath);
     
     // Write updated file
-    await fs.writeFile(sourceFile, newCode, 'utf-8');
+    const changeset = new Changeset(req, 'delete-transition', { atomic: true });
+    await changeset.write(sourceFile, newCode);
     
     console.log('✅ Source file updated');
     
     // ✅ NEW: Remove setup entry from target file
-    let targetUpdated = false;
-    if (targetFile) {
-      const sourceStateName = nodePath.basename(sourceFile, '.js')
-        .replace(/Implications$/, '')
-        .replace(/([A-Z])/g, '_$1')
-        .toLowerCase()
-        .replace(/^_/, '');
-      
+    if (targetFile && !isSelfLoop) {
       try {
-        const targetContent = await fs.readFile(targetFile, 'utf-8');
-        const targetAst = parse(targetContent, {
-          sourceType: 'module',
-          plugins: ['classProperties', 'objectRestSpread']
-        });
-        
-        targetUpdated = removeSetupEntryFromAST(targetAst, sourceStateName);
+        const targetEditor = await ImplicationEditor.open(targetFile);
+        targetUpdated = targetEditor.removeSetupEntry(sourceStateName);
         
         if (targetUpdated) {
-          const { code: newTargetCode } = (babelGenerate.default || babelGenerate)(targetAst, {
-            retainLines: true,
-            comments: true
-          });
+          const newTargetCode = targetEditor.toSource();
           
           const targetBackupPath = `${targetFile}.backup-${timestamp}`;
           await fs.copy(targetFile, targetBackupPath);
-          await fs.writeFile(targetFile, newTargetCode, 'utf-8');
+          await changeset.write(targetFile, newTargetCode);
           
           console.log('✅ Target file updated - setup entry removed');
           console.log('📦 Target backup:', targetBackupPath);
@@ -6845,8 +3564,11 @@ router.post('/delete-transition', async (req, res) => {
     
     console.log('✅ Transition deleted successfully');
     
+    const changeId = await changeset.commit(`Delete transition ${event}`);
+    
     res.json({
       success: true,
+      changeId,
       deletedEvent: event,
       deletedTarget: deletedTargetState,
       targetUpdated,
@@ -6855,8 +3577,11 @@ router.post('/delete-transition', async (req, res) => {
     
  } catch (error) {
     console.error('❌ Delete transition failed:', error);
-    res.status(500).json({ 
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({ 
       error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      }),
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
@@ -7113,12 +3838,15 @@ router.post('/update-setup-entry', async (req, res) => {
     const backupPath = `${filePath}.backup-${timestamp}`;
     await fs.copy(filePath, backupPath);
     
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'update-setup-entry');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Update setup entry in ${path.basename(filePath, '.js')}`);
     
     console.log('✅ Setup entry updated successfully');
     
     res.json({
       success: true,
+      changeId,
       updatedIndex: matchedEntry,
       backup: backupPath
     });
@@ -7215,10 +3943,13 @@ router.post('/delete-setup-entry', async (req, res) => {
     const backupPath = `${filePath}.backup-${timestamp}`;
     await fs.copy(filePath, backupPath);
     
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'delete-setup-entry');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Delete setup entry in ${path.basename(filePath, '.js')}`);
     
     res.json({
       success: true,
+      changeId,
       backup: backupPath
     });
     
@@ -7325,10 +4056,13 @@ router.post('/add-setup-entry', async (req, res) => {
     const backupPath = `${filePath}.backup-${timestamp}`;
     await fs.copy(filePath, backupPath);
     
-    await fs.writeFile(filePath, output.code, 'utf-8');
+    const changeset = new Changeset(req, 'add-setup-entry');
+    await changeset.write(filePath, output.code);
+    const changeId = await changeset.commit(`Add setup entry to ${path.basename(filePath, '.js')}`);
     
     res.json({
       success: true,
+      changeId,
       backup: backupPath
     });
     
@@ -7394,6 +4128,588 @@ POST /api/implications/add-setup-entry
 }
 */
 
+// ════════════════════════════════════════════════════════════════════════════
+// RENAME STATE (refactoring)
+// ════════════════════════════════════════════════════════════════════════════
+
+
+async function listImplicationFiles(projectPath) {
+  return glob('**/*Implications.js', {
+    cwd: projectPath,
+    absolute: true,
+    ignore: ['**/node_modules/**', '**/.backup*', '**/.implications-framework/**']
+  });
+}
+
+async function listSpecFiles(projectPath) {
+  return glob('**/*-UNIT.spec.js', {
+    cwd: projectPath,
+    absolute: true,
+    ignore: ['**/node_modules/**', '**/.backup*']
+  });
+}
+
+/**
+ * Move .test-locks.json entries of renamed spec files (relative paths).
+ * Returns the number of locks moved.
+ */
+async function stageTestLockRenames(changeset, projectPath, renamedSpecs) {
+  if (renamedSpecs.size === 0) return 0;
+
+  const lockService = new LockService(projectPath, await loadConfig(projectPath));
+  const lockData = await lockService.loadLocks();
+  let moved = 0;
+
+  for (const [from, to] of renamedSpecs) {
+    if (!lockData.locks?.[from]) continue;
+    lockData.locks[to] = lockData.locks[from];
+    delete lockData.locks[from];
+    moved++;
+  }
+
+  if (moved > 0) {
+    await changeset.write(lockService.locksPath, JSON.stringify(lockData, null, 2));
+  }
+  return moved;
+}
+
+
+/**
+ * POST /api/implications/rename-state
+ * Rename a state everywhere it is referenced.
+ *
+ * Body:
+ * - projectPath: Guest project root
+ * - filePath: Implication file of the state (or stateName to look it up)
+ * - newName: New xstateConfig id (snake_case)
+ * - newStatus: New meta.status (optional, defaults to PascalCase of newName)
+ * - preview: Return diffs without writing
+ *
+ * Updates, as one undoable changeset: the id/status/class/file of the state,
+ * every target, previousStatus and requires status value pointing at it, generated
+ * -UNIT.spec.js files (renamed and rewritten), notes keyed by the state,
+ * .test-locks.json entries and the saved graph layout.
+ */
+router.post('/rename-state', async (req, res) => {
+  try {
+    const { projectPath, filePath, stateName, newName, newStatus: requestedStatus } = req.body;
+
+    if (!projectPath || !newName || (!filePath && !stateName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectPath, newName and filePath (or stateName) are required'
+      });
+    }
+
+    const newId = newName.trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(newId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'newName must be snake_case (e.g. awaiting_review)'
+      });
+    }
+
+    const sourceFile = filePath || await findImplicationFile(projectPath, stateName);
+    if (!sourceFile || !(await fs.pathExists(sourceFile))) {
+      return res.status(404).json({ success: false, error: 'Implication file not found' });
+    }
+
+    // Read the current identity of the state
+    const sourceEditor = await ImplicationEditor.open(sourceFile);
+    const oldId = sourceEditor.stateName;
+    const oldStatus = sourceEditor.status;
+    const oldClassName = sourceEditor.className;
+
+    if (!oldId || !oldClassName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not find the class and xstateConfig.id in the implication file'
+      });
+    }
+
+    const newPascal = toPascalCase(newId);
+    const newStatus = requestedStatus?.trim() || (oldStatus ? newPascal : null);
+
+    if (newId === oldId && newStatus === oldStatus) {
+      return res.status(400).json({ success: false, error: 'New name is the same as the current one' });
+    }
+
+    const oldPascals = [...new Set([toPascalCase(oldId), oldStatus && toPascalCase(oldStatus)].filter(Boolean))];
+    const oldPrefix = oldPascals.find(prefix => oldClassName.startsWith(prefix));
+    const newClassName = oldPrefix
+      ? newPascal + oldClassName.slice(oldPrefix.length)
+      : `${newPascal}Implications`;
+
+    const rename = {
+      oldId, newId, oldStatus, newStatus, oldClassName, newClassName, oldPascals, newPascal,
+      entity: sourceEditor.entity
+    };
+
+    const newFile = nodePath.basename(sourceFile, '.js') === oldClassName
+      ? nodePath.join(nodePath.dirname(sourceFile), `${newClassName}.js`)
+      : sourceFile;
+
+    console.log(`✏️  Renaming state: ${oldId} → ${newId} (${oldClassName} → ${newClassName})`);
+
+    const implicationFiles = await listImplicationFiles(projectPath);
+
+    // Refuse to merge two states into one
+    for (const file of implicationFiles) {
+      if (nodePath.resolve(file) === nodePath.resolve(sourceFile)) continue;
+      const content = await fs.readFile(file, 'utf-8');
+      if (new RegExp(`\\bid:\\s*['"]${newId}['"]`).test(content)) {
+        return res.status(409).json({
+          success: false,
+          error: `State "${newId}" already exists in ${nodePath.relative(projectPath, file)}`
+        });
+      }
+    }
+    if (newFile !== sourceFile && await fs.pathExists(newFile)) {
+      return res.status(409).json({
+        success: false,
+        error: `${nodePath.relative(projectPath, newFile)} already exists`
+      });
+    }
+
+    const changeset = new Changeset(req, 'rename-state', { atomic: true });
+    const report = {
+      oldId, newId, oldStatus, newStatus, oldClassName, newClassName,
+      renamedFiles: [],
+      updatedFiles: [],
+      nodeIds: {
+        from: (oldStatus || oldId).toLowerCase(),
+        to: (newStatus || newId).toLowerCase()
+      },
+      notes: 0,
+      locks: 0,
+      layout: false,
+      unresolved: []
+    };
+    const relative = (file) => nodePath.relative(projectPath, file).split(nodePath.sep).join('/');
+    const reportUnresolved = (file, code) => {
+      findUnresolvedStateReferences(code, rename).forEach(({ line, text }) => {
+        report.unresolved.push({ path: relative(file), line, text });
+      });
+    };
+
+    // 1. Implication files
+    for (const file of implicationFiles) {
+      const isRenamedFile = nodePath.resolve(file) === nodePath.resolve(sourceFile);
+      const content = await fs.readFile(file, 'utf-8');
+
+      let editor;
+      try {
+        editor = ImplicationEditor.fromSource(content, file);
+      } catch (error) {
+        if (content.includes(oldClassName) || content.includes(`'${oldId}'`)) {
+          report.unresolved.push({ path: relative(file), line: null, text: `Could not parse: ${error.message}` });
+        }
+        continue;
+      }
+
+      const changes = editor.renameStateReferences(rename, isRenamedFile);
+      if (changes.length === 0) continue;
+
+      const code = editor.toSource();
+      reportUnresolved(isRenamedFile ? newFile : file, code);
+
+      if (isRenamedFile && newFile !== sourceFile) {
+        await changeset.remove(sourceFile);
+        await changeset.write(newFile, code);
+        report.renamedFiles.push({ from: relative(sourceFile), to: relative(newFile) });
+      } else {
+        await changeset.write(file, code);
+      }
+      report.updatedFiles.push({ path: relative(isRenamedFile ? newFile : file), changes });
+    }
+
+    // 2. Generated UNIT tests
+    const specFiles = await listSpecFiles(projectPath);
+    const renamedSpecs = new Map();
+
+    for (const file of specFiles) {
+      const newSpecFile = nodePath.join(nodePath.dirname(file), renameSpecPath(nodePath.basename(file), rename));
+      const content = await fs.readFile(file, 'utf-8');
+
+      let code = content
+        .replace(new RegExp(`\\b${escapeRegExp(oldClassName)}\\b`, 'g'), newClassName)
+        .replace(/\b[a-zA-Z][A-Za-z0-9]*Via[A-Z][A-Za-z0-9]*\b/g, name => renameViaSegments(name, oldPascals, newPascal));
+      for (const [from, to] of [[oldId, newId], [oldStatus, newStatus]]) {
+        if (from && to) code = code.replace(new RegExp(`(['"\`])${escapeRegExp(from)}\\1`, 'g'), `$1${to}$1`);
+      }
+
+      if (newSpecFile !== file) {
+        if (await fs.pathExists(newSpecFile)) {
+          report.unresolved.push({ path: relative(file), line: null, text: `Not renamed: ${relative(newSpecFile)} already exists` });
+          continue;
+        }
+        await changeset.remove(file);
+        await changeset.write(newSpecFile, code);
+        renamedSpecs.set(relative(file), relative(newSpecFile));
+        report.renamedFiles.push({ from: relative(file), to: relative(newSpecFile) });
+      } else if (code !== content) {
+        await changeset.write(file, code);
+        report.updatedFiles.push({ path: relative(file), changes: ['test references'] });
+      }
+    }
+
+    // 3. Test locks follow their renamed spec files
+    report.locks = await stageTestLockRenames(changeset, projectPath, renamedSpecs);
+
+    // 4. Notes keyed by state name / "source:event:target"
+    const notesPath = nodePath.join(projectPath, 'notes.json');
+    if (await fs.pathExists(notesPath)) {
+      const notes = await fs.readJson(notesPath);
+      const oldKeys = [oldId, oldStatus, oldStatus?.toLowerCase()].filter(Boolean);
+      const newKeyFor = (key) => key === oldId ? newId
+        : key === oldStatus ? newStatus
+          : (newStatus || newId).toLowerCase();
+
+      for (const key of Object.keys(notes.states || {})) {
+        if (!oldKeys.includes(key)) continue;
+        const newKey = newKeyFor(key);
+        notes.states[newKey] = [...(notes.states[newKey] || []), ...notes.states[key]];
+        delete notes.states[key];
+        report.notes++;
+      }
+
+      for (const key of Object.keys(notes.transitions || {})) {
+        const [source, event, target] = key.split(':');
+        if (!oldKeys.includes(source) && !oldKeys.includes(target)) continue;
+        const newKey = [
+          oldKeys.includes(source) ? newKeyFor(source) : source,
+          event,
+          oldKeys.includes(target) ? newKeyFor(target) : target
+        ].join(':');
+        notes.transitions[newKey] = [...(notes.transitions[newKey] || []), ...notes.transitions[key]];
+        delete notes.transitions[key];
+        report.notes++;
+      }
+
+      if (report.notes > 0) {
+        await changeset.write(notesPath, JSON.stringify(notes, null, 2));
+      }
+    }
+
+    // 5. Saved graph layout
+    const layoutPath = nodePath.join(projectPath, '.implications-framework', 'graph-layout.json');
+    if (await fs.pathExists(layoutPath)) {
+      const layout = await fs.readJson(layoutPath);
+      const { from, to } = report.nodeIds;
+
+      if (layout.positions?.[from] && from !== to) {
+        layout.positions[to] = layout.positions[from];
+        delete layout.positions[from];
+        await changeset.write(layoutPath, JSON.stringify(layout, null, 2) + '\n');
+        report.layout = true;
+      }
+    }
+
+    if (changeset.preview) {
+      return res.json(changeset.previewResponse(report));
+    }
+
+    const changeId = await changeset.commit(`Rename state ${oldId} → ${newId}`);
+
+    console.log(`✅ Renamed ${oldId} → ${newId}: ${report.updatedFiles.length} file(s) updated, ${report.renamedFiles.length} renamed`);
+    if (report.unresolved.length > 0) {
+      console.log(`⚠️  ${report.unresolved.length} reference(s) left for manual review`);
+    }
+
+    res.json({ success: true, changeId, ...report });
+
+  } catch (error) {
+    console.error('❌ Error renaming state:', error);
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({
+      success: false,
+      error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      })
+    });
+  }
+});
+
+
+/**
+ * POST /api/implications/rename-event
+ * Rename a transition event everywhere it is referenced.
+ *
+ * Body:
+ * - projectPath: Guest project root
+ * - event / newEvent: Old and new event name
+ * - filePath: Only rename the event of this source state (optional -
+ *   without it, every state declaring the event is renamed)
+ * - preview: Return diffs without writing
+ *
+ * Updates, as one undoable changeset: the `on:` keys, setup entries of the
+ * target states (testFile, event/viaEvent), generated -UNIT.spec.js files
+ * (renamed and rewritten), their .test-locks.json entries and notes keyed
+ * by "source:EVENT:target". References it can't rewrite are returned
+ * under `unresolved`.
+ */
+router.post('/rename-event', async (req, res) => {
+  try {
+    const { projectPath, filePath, event: oldEvent, newEvent: requestedEvent } = req.body;
+
+    if (!projectPath || !oldEvent || !requestedEvent) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectPath, event and newEvent are required'
+      });
+    }
+
+    const newEvent = requestedEvent.trim();
+    if (!t.isValidIdentifier(newEvent)) {
+      return res.status(400).json({
+        success: false,
+        error: 'newEvent must be a valid identifier (e.g. REQUEST_BOOKING)'
+      });
+    }
+    if (newEvent === oldEvent) {
+      return res.status(400).json({ success: false, error: 'New event name is the same as the current one' });
+    }
+
+    const relative = (file) => nodePath.relative(projectPath, file).split(nodePath.sep).join('/');
+    const implicationFiles = await listImplicationFiles(projectPath);
+
+    // 1. Find the source states that declare the event
+    const parsed = [];
+    const sources = [];
+    const unresolved = [];
+
+    for (const file of implicationFiles) {
+      const content = await fs.readFile(file, 'utf-8');
+      let editor;
+      try {
+        editor = ImplicationEditor.fromSource(content, file);
+      } catch (error) {
+        if (content.includes(oldEvent)) {
+          unresolved.push({ path: relative(file), line: null, text: `Could not parse: ${error.message}` });
+        }
+        continue;
+      }
+
+      const declaresEvent = editor.getTransition(oldEvent) !== null;
+      const isSource = declaresEvent &&
+        (!filePath || nodePath.resolve(file) === nodePath.resolve(filePath));
+
+      parsed.push({ file, editor, isSource });
+      if (isSource) sources.push({ file, names: editor.stateNames });
+    }
+
+    if (sources.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No transition "${oldEvent}" found${filePath ? ` in ${nodePath.basename(filePath)}` : ''}`
+      });
+    }
+
+    const sourceNames = sources.flatMap(source => source.names);
+    console.log(`✏️  Renaming event: ${oldEvent} → ${newEvent} (${sources.length} source state(s))`);
+
+    const changeset = new Changeset(req, 'rename-event', { atomic: true });
+    const report = {
+      oldEvent,
+      newEvent,
+      sources: sources.map(source => relative(source.file)),
+      renamedFiles: [],
+      updatedFiles: [],
+      notes: 0,
+      locks: 0,
+      unresolved
+    };
+    const renamedTestFiles = new Map();
+    const leftover = new RegExp(`(['"\`])${escapeRegExp(oldEvent)}\\1|\\.${escapeRegExp(oldEvent)}\\b`);
+
+    // 2. Implication files
+    for (const { file, editor, isSource } of parsed) {
+      const result = editor.renameEventReferences({ oldEvent, newEvent, sourceNames, isSource });
+
+      if (result.duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: `${relative(file)} already has a "${newEvent}" transition`
+        });
+      }
+      if (result.changes.length === 0) continue;
+
+      const code = editor.toSource();
+      code.split('\n').forEach((text, index) => {
+        if (leftover.test(text)) unresolved.push({ path: relative(file), line: index + 1, text: text.trim() });
+      });
+
+      await changeset.write(file, code);
+      result.renamedTestFiles.forEach((to, from) => renamedTestFiles.set(from, to));
+      report.updatedFiles.push({ path: relative(file), changes: result.changes });
+    }
+
+    // 3. Generated UNIT tests referenced by the renamed setup entries
+    const specFiles = await listSpecFiles(projectPath);
+    const renamedSpecs = new Map();
+
+    for (const [oldTestFile, newTestFile] of renamedTestFiles) {
+      let specFile = nodePath.resolve(projectPath, oldTestFile);
+      if (!(await fs.pathExists(specFile))) {
+        // Setup paths are not always accurate - fall back to a unique basename match
+        const matches = specFiles.filter(file => nodePath.basename(file) === nodePath.basename(oldTestFile));
+        if (matches.length !== 1) continue;
+        specFile = matches[0];
+      }
+
+      const newSpecFile = nodePath.join(nodePath.dirname(specFile), nodePath.basename(newTestFile));
+      if (await fs.pathExists(newSpecFile)) {
+        unresolved.push({ path: relative(specFile), line: null, text: `Not renamed: ${relative(newSpecFile)} already exists` });
+        continue;
+      }
+
+      const content = await fs.readFile(specFile, 'utf-8');
+      const code = content
+        .split(nodePath.basename(oldTestFile)).join(nodePath.basename(newTestFile))
+        .replace(new RegExp(`(['"\`])${escapeRegExp(oldEvent)}\\1`, 'g'), `$1${newEvent}$1`);
+
+      await changeset.remove(specFile);
+      await changeset.write(newSpecFile, code);
+      renamedSpecs.set(relative(specFile), relative(newSpecFile));
+      report.renamedFiles.push({ from: relative(specFile), to: relative(newSpecFile) });
+    }
+
+    // Spec files of the source states that no setup entry points at
+    const sourcePascals = sourceNames.map(toPascalCase);
+    for (const file of specFiles) {
+      if (renamedSpecs.has(relative(file))) continue;
+      const baseName = nodePath.basename(file);
+      const source = baseName.split('-')[0].match(/Via([A-Z][A-Za-z0-9]*)$/)?.[1];
+      if (sourcePascals.includes(source) && renameEventInSpecPath(baseName, oldEvent, newEvent) !== baseName) {
+        unresolved.push({ path: relative(file), line: null, text: 'Spec file name contains the event but no setup entry references it' });
+      }
+    }
+
+    // 4. Test locks follow their renamed spec files
+    report.locks = await stageTestLockRenames(changeset, projectPath, renamedSpecs);
+
+    // 5. Notes keyed by "source:EVENT:target"
+    const notesPath = nodePath.join(projectPath, 'notes.json');
+    if (await fs.pathExists(notesPath)) {
+      const notes = await fs.readJson(notesPath);
+      const lowerSourceNames = sourceNames.map(name => name.toLowerCase());
+
+      for (const key of Object.keys(notes.transitions || {})) {
+        const [source, event, target] = key.split(':');
+        if (event !== oldEvent || !lowerSourceNames.includes(source?.toLowerCase())) continue;
+
+        const newKey = [source, newEvent, target].join(':');
+        notes.transitions[newKey] = [...(notes.transitions[newKey] || []), ...notes.transitions[key]];
+        delete notes.transitions[key];
+        report.notes++;
+      }
+
+      if (report.notes > 0) {
+        await changeset.write(notesPath, JSON.stringify(notes, null, 2));
+      }
+    }
+
+    if (changeset.preview) {
+      return res.json(changeset.previewResponse(report));
+    }
+
+    const changeId = await changeset.commit(`Rename event ${oldEvent} → ${newEvent}`);
+
+    console.log(`✅ Renamed ${oldEvent} → ${newEvent}: ${report.updatedFiles.length} file(s) updated, ${report.renamedFiles.length} renamed`);
+    if (unresolved.length > 0) {
+      console.log(`⚠️  ${unresolved.length} reference(s) left for manual review`);
+    }
+
+    res.json({ success: true, changeId, ...report });
+
+  } catch (error) {
+    console.error('❌ Error renaming event:', error);
+    res.status(error instanceof TransactionError && error.phase === 'validate' ? 422 : 500).json({
+      success: false,
+      error: error.message,
+      ...(error instanceof TransactionError && {
+        transaction: { phase: error.phase, errors: error.errors, rolledBack: error.rolledBack }
+      })
+    });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// CHANGE HISTORY (undo / redo)
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/implications/history?projectPath=...
+ * Undo and redo stacks (newest first), without file contents
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { projectPath } = req.query;
+
+    if (!projectPath) {
+      return res.status(400).json({ success: false, error: 'projectPath is required' });
+    }
+
+    const history = await new ChangeHistory(projectPath).list();
+    res.json({ success: true, ...history });
+
+  } catch (error) {
+    console.error('❌ Error loading history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/implications/undo  { projectPath, force? }
+ * POST /api/implications/redo  { projectPath, force? }
+ *
+ * Restores every file of the latest changeset. Responds 409 with the
+ * conflicting files if they were edited since, unless force is set.
+ */
+function historyMoveHandler(direction) {
+  return async (req, res) => {
+    try {
+      const { projectPath, force = false } = req.body;
+
+      if (!projectPath) {
+        return res.status(400).json({ success: false, error: 'projectPath is required' });
+      }
+
+      const history = new ChangeHistory(projectPath);
+      const changeset = await history[direction]({ force });
+
+      if (!changeset) {
+        return res.status(400).json({ success: false, error: `Nothing to ${direction}` });
+      }
+
+      res.json({
+        success: true,
+        [direction === 'undo' ? 'undone' : 'redone']: {
+          id: changeset.id,
+          endpoint: changeset.endpoint,
+          summary: changeset.summary,
+          files: changeset.files.map(f => f.path)
+        },
+        ...(await history.list())
+      });
+
+    } catch (error) {
+      if (error instanceof HistoryConflictError) {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          conflicts: error.conflicts
+        });
+      }
+      console.error(`❌ Error during ${direction}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+router.post('/undo', historyMoveHandler('undo'));
+router.post('/redo', historyMoveHandler('redo'));
+
 // Register the insert-node route directly on the router
 router.post('/graph/insert-node', insertNodeHandler);
 console.log('✅ Registered: POST /api/implications/graph/insert-node');
@@ -26,6 +26,8 @@ router.post('/check', async (req, res) => {
     
     const checks = {
       testContext: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestContext.js')),
+      testContextStorage: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestContextStorage.js')),
+      testDataValidator: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestDataValidator.js')),
       expectImplication: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/ExpectImplication.js')),
       testPlanner: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestPlanner.js')),
       implicationsHelper: await fileExists(path.join(projectPath, 'tests/implications/ImplicationsHelper.js')),
@@ -131,6 +133,8 @@ function loadTemplate(templateName, inlineFallback) {
 async function checkIfInitialized(projectPath) {
   const checks = {
     testContext: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestContext.js')),
+    testContextStorage: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestContextStorage.js')),
+    testDataValidator: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestDataValidator.js')),
     expectImplication: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/ExpectImplication.js')),
     testPlanner: await fileExists(path.join(projectPath, 'tests/ai-testing/utils/TestPlanner.js')),
     implicationsHelper: await fileExists(path.join(projectPath, 'tests/implications/ImplicationsHelper.js')),
@@ -168,6 +172,22 @@ async function initializeProject(projectPath, force, updatePackageJson) {
   createdFiles.push('tests/ai-testing/utils/TestContext.js');
   console.log(`      ✅ TestContext.js`);
   
+  // TestContextStorage.js (delta file backends)
+  await fs.writeFile(
+    path.join(projectPath, 'tests/ai-testing/utils/TestContextStorage.js'),
+    getTestContextStorageTemplate()
+  );
+  createdFiles.push('tests/ai-testing/utils/TestContextStorage.js');
+  console.log(`      ✅ TestContextStorage.js`);
+  
+  // TestDataValidator.js (JSON Schema checks for test data and deltas)
+  await fs.writeFile(
+    path.join(projectPath, 'tests/ai-testing/utils/TestDataValidator.js'),
+    getTestDataValidatorTemplate()
+  );
+  createdFiles.push('tests/ai-testing/utils/TestDataValidator.js');
+  console.log(`      ✅ TestDataValidator.js`);
+  
   // TestPlanner.js (v4.2 with requires mismatch)
   await fs.writeFile(
     path.join(projectPath, 'tests/ai-testing/utils/TestPlanner.js'),
@@ -615,6 +635,72 @@ function getTestContextTemplate() {
   return loadTemplate('TestContext.template.js', getTestContextInlineTemplate);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TEMPLATE: TestContextStorage.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getTestContextStorageTemplate() {
+  return loadTemplate('TestContextStorage.template.js', getTestContextStorageInlineTemplate);
+}
+
+function getTestContextStorageInlineTemplate() {
+  // Default file backend only
+  return `// Auto-generated by Implications Framework
+// Location: tests/ai-testing/utils/TestContextStorage.js
+
+const fs = require('fs');
+
+class FileStorage {
+  constructor() { this.type = 'file'; }
+  read(key) { return fs.existsSync(key) ? JSON.parse(fs.readFileSync(key, 'utf8')) : null; }
+  exists(key) { return fs.existsSync(key); }
+  update(key, fn) {
+    const value = fn(this.read(key));
+    fs.writeFileSync(key, JSON.stringify(value, null, 2));
+    return value;
+  }
+  remove(key) { if (fs.existsSync(key)) fs.unlinkSync(key); }
+}
+
+function createStorage() {
+  return new FileStorage();
+}
+
+module.exports = { FileStorage, createStorage };
+`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEMPLATE: TestDataValidator.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getTestDataValidatorTemplate() {
+  return loadTemplate('TestDataValidator.template.js', getTestDataValidatorInlineTemplate);
+}
+
+function getTestDataValidatorInlineTemplate() {
+  // Accepts everything - copy TestDataValidator.template.js for real checks
+  return `// Auto-generated by Implications Framework
+// Location: tests/ai-testing/utils/TestDataValidator.js
+
+class TestDataSchemaError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TestDataSchemaError';
+    this.problems = problems;
+  }
+}
+
+module.exports = {
+  TestDataSchemaError,
+  loadSchema: () => ({ schema: {}, source: 'none' }),
+  validateData: () => [],
+  validateDelta: () => [],
+  formatProblems: problems => problems.map(p => \`   - \${p.path}: \${p.message}\`).join('\\n')
+};
+`;
+}
+
 function getTestContextInlineTemplate() {
   // Read from the actual file content (document index 8)
   return `// Auto-generated by Implications Framework
@@ -1903,6 +1989,18 @@ module.exports = {
   // Session-only fields (not persisted to shared.json)
   sessionOnlyFields: ["logged_in", "app_opened", "session_ready"],
   
+  // Where TestContext keeps delta files (-current.json)
+  // testContext: {
+  //   isolation: 'worker',   // 'none' | 'worker' | 'test'
+  //   storage: 'file'        // or { type: 'sqlite', path: '.implications-framework/test-context.db' }
+  //                          // or { type: 'http', url: 'http://localhost:3000/api/test-context', namespace: 'default' }
+  //   validation: 'error',   // 'error' | 'warn' | 'off' - check test data and deltas against a JSON Schema
+  //   schema: 'tests/data/shared.schema.json'  // default: <name>.schema.json next to the data, else inferred
+  // },
+  
+  // Test data factories (default: tests/data/**/*.factory.json) - see \`implications seed\`
+  // testDataFactories: ['tests/data/**/*.factory.json'],
+  
   // Platform prerequisites
   platformPrerequisites: {
     // web: {
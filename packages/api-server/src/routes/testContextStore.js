@@ -0,0 +1,109 @@
+// packages/api-server/src/routes/testContextStore.js
+
+import express from 'express';
+import { TestContextStore, TestContextStoreError } from '../services/testContextStore.js';
+
+const router = express.Router();
+const store = new TestContextStore();
+
+/**
+ * Optional shared secret: when TEST_CONTEXT_STORE_TOKEN is set, runners
+ * must send it as a bearer token (TEST_CONTEXT_STORAGE_TOKEN on their side)
+ */
+router.use((req, res, next) => {
+  const token = process.env.TEST_CONTEXT_STORE_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing token' });
+  }
+  next();
+});
+
+function sendError(res, error) {
+  if (!(error instanceof TestContextStoreError)) console.error('❌ Test context store error:', error);
+  res.status(error instanceof TestContextStoreError ? error.status : 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * GET /api/test-context/:namespace
+ * List the stored keys (without values)
+ */
+router.get('/:namespace', async (req, res) => {
+  try {
+    const entries = await store.list(req.params.namespace);
+    res.json({ success: true, namespace: req.params.namespace, entries });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/test-context/:namespace
+ * Remove every entry (e.g. at the start of a CI run)
+ */
+router.delete('/:namespace', async (req, res) => {
+  try {
+    const removed = await store.clear(req.params.namespace);
+    console.log(`🧹 Cleared test context namespace ${req.params.namespace} (${removed} entries)`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/test-context/:namespace/entries?key=tests/data/shared-current.json
+ * → { key, value, version, updatedAt } or 404
+ */
+router.get('/:namespace/entries', async (req, res) => {
+  const { key } = req.query;
+  if (!key) return res.status(400).json({ success: false, error: 'key is required' });
+
+  try {
+    const entry = await store.get(req.params.namespace, key);
+    if (!entry) return res.status(404).json({ success: false, error: `No entry for ${key}` });
+    res.json(entry);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/test-context/:namespace/entries?key=...
+ * Body: { value, expectedVersion? } - 409 if the entry is not at expectedVersion
+ * (0 = must not exist yet)
+ */
+router.put('/:namespace/entries', async (req, res) => {
+  const { key } = req.query;
+  const { value, expectedVersion } = req.body || {};
+
+  if (!key || value === undefined) {
+    return res.status(400).json({ success: false, error: 'key and value are required' });
+  }
+
+  try {
+    const result = await store.put(req.params.namespace, key, value, expectedVersion);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/test-context/:namespace/entries?key=...
+ */
+router.delete('/:namespace/entries', async (req, res) => {
+  const { key } = req.query;
+  if (!key) return res.status(400).json({ success: false, error: 'key is required' });
+
+  try {
+    const removed = await store.remove(req.params.namespace, key);
+    res.json({ success: true, removed });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -4,6 +4,15 @@
 import express from 'express';
 import path from 'path';
 import TestDataAnalyzer from '../services/TestDataAnalyzer.js';
+import {
+  CheckpointError,
+  listCheckpoints,
+  materializeCheckpoint,
+  forkCheckpoint,
+  rewindCheckpoint
+} from '../services/testDataCheckpoints.js';
+import { FactoryError, findFactories, seedScenarios } from '../services/testDataFactory.js';
+import { loadConfig } from '../services/configService.js';
 
 const router = express.Router();
 
@@ -279,7 +288,7 @@ router.get('/files', async (req, res) => {
         const matches = await glob(fullPattern, {
           nodir: true,
           absolute: true,
-          ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
+          ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/*.factory.json', '**/*.schema.json']
         });
         
         for (const filePath of matches) {
@@ -397,6 +406,170 @@ router.get('/load', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// CHECKPOINTS - time travel through a delta file's _changeLog
+// ═══════════════════════════════════════════════════════════
+
+function resolveDataFile(projectPath, filePath) {
+  return path.isAbsolute(filePath) ? filePath : path.join(projectPath, filePath);
+}
+
+function sendCheckpointError(res, error) {
+  if (!(error instanceof CheckpointError)) console.error('❌ Checkpoint error:', error);
+  res.status(error instanceof CheckpointError ? error.status : 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * GET /api/test-data/checkpoints?projectPath=...&filePath=...
+ * List the checkpoints of a delta file (0 = original data)
+ */
+router.get('/checkpoints', async (req, res) => {
+  const { projectPath, filePath } = req.query;
+
+  if (!projectPath || !filePath) {
+    return res.status(400).json({ success: false, error: 'projectPath and filePath are required' });
+  }
+
+  try {
+    const checkpoints = await listCheckpoints(resolveDataFile(projectPath, filePath));
+    res.json({ success: true, filePath, checkpoints });
+  } catch (error) {
+    sendCheckpointError(res, error);
+  }
+});
+
+/**
+ * GET /api/test-data/checkpoints/data?projectPath=...&filePath=...&checkpoint=<index|label>
+ * The test data as it was at a checkpoint
+ */
+router.get('/checkpoints/data', async (req, res) => {
+  const { projectPath, filePath, checkpoint } = req.query;
+
+  if (!projectPath || !filePath) {
+    return res.status(400).json({ success: false, error: 'projectPath and filePath are required' });
+  }
+
+  try {
+    const result = await materializeCheckpoint(resolveDataFile(projectPath, filePath), checkpoint);
+    res.json({
+      success: true,
+      ...result,
+      keys: extractAllKeys(result.data),
+      rootKeys: Object.keys(result.data).filter(k => !k.startsWith('_'))
+    });
+  } catch (error) {
+    sendCheckpointError(res, error);
+  }
+});
+
+/**
+ * POST /api/test-data/checkpoints/fork
+ * Body: { projectPath, filePath, checkpoint, scope?, overwrite? }
+ * Write a new delta (<name>-current.<scope>.json) with the history up to the checkpoint
+ */
+router.post('/checkpoints/fork', async (req, res) => {
+  console.log('\n🍴 POST /api/test-data/checkpoints/fork');
+
+  const { projectPath, filePath, checkpoint, scope, overwrite } = req.body;
+
+  if (!projectPath || !filePath || checkpoint === undefined) {
+    return res.status(400).json({ success: false, error: 'projectPath, filePath and checkpoint are required' });
+  }
+
+  try {
+    const result = await forkCheckpoint(resolveDataFile(projectPath, filePath), checkpoint, { scope, overwrite });
+    res.json({ success: true, ...result, relativePath: path.relative(projectPath, result.path) });
+  } catch (error) {
+    sendCheckpointError(res, error);
+  }
+});
+
+/**
+ * POST /api/test-data/checkpoints/rewind
+ * Body: { projectPath, filePath, checkpoint }
+ * Drop the changes after the checkpoint from a delta file
+ */
+router.post('/checkpoints/rewind', async (req, res) => {
+  console.log('\n⏪ POST /api/test-data/checkpoints/rewind');
+
+  const { projectPath, filePath, checkpoint } = req.body;
+
+  if (!projectPath || !filePath || checkpoint === undefined) {
+    return res.status(400).json({ success: false, error: 'projectPath, filePath and checkpoint are required' });
+  }
+
+  try {
+    const result = await rewindCheckpoint(resolveDataFile(projectPath, filePath), checkpoint);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendCheckpointError(res, error);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// FACTORIES - seeded master files per scenario (*.factory.json)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/test-data/factories?projectPath=...
+ * List the project's factories and their scenarios
+ */
+router.get('/factories', async (req, res) => {
+  const { projectPath } = req.query;
+
+  if (!projectPath) {
+    return res.status(400).json({ success: false, error: 'projectPath is required' });
+  }
+
+  try {
+    const config = await loadConfig(projectPath);
+    const factories = await findFactories(projectPath, config);
+    res.json({ success: true, factories });
+  } catch (error) {
+    console.error('❌ Factory scan error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/test-data/factories/seed
+ * Body: { projectPath, factoryPath, scenarios?, seed?, referenceDate?, dryRun?, force? }
+ * Write <name>-<scenario>-master.json per scenario (dryRun: return the data only)
+ */
+router.post('/factories/seed', async (req, res) => {
+  console.log('\n🌱 POST /api/test-data/factories/seed');
+
+  const { projectPath, factoryPath, scenarios, seed, referenceDate, dryRun, force } = req.body;
+
+  if (!projectPath || !factoryPath) {
+    return res.status(400).json({ success: false, error: 'projectPath and factoryPath are required' });
+  }
+
+  try {
+    const result = await seedScenarios(projectPath, factoryPath, {
+      scenarios: scenarios ? [].concat(scenarios) : undefined,
+      seed: seed === undefined || seed === '' ? undefined : (/^\d+$/.test(String(seed)) ? Number(seed) : seed),
+      referenceDate,
+      dryRun,
+      force
+    });
+
+    if (!dryRun) {
+      result.results.forEach(entry => console.log(`   ✅ ${entry.path} (seed ${entry.seed})`));
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (!(error instanceof FactoryError)) console.error('❌ Factory seed error:', error);
+    res.status(error instanceof FactoryError ? error.status : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Extract all keys from nested object (dot notation)
  */
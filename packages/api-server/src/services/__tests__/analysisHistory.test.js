@@ -0,0 +1,158 @@
+// packages/api-server/src/services/__tests__/analysisHistory.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { AnalysisHistory, AnalysisHistoryError, diffRuns, uiCoverageStats } from '../analysisHistory.js';
+
+const issue = (fingerprint, severity = 'warning') => ({
+  fingerprint,
+  id: `type:State:${fingerprint}`,
+  type: 'type',
+  severity,
+  ruleId: 'rule',
+  stateName: 'State',
+  title: fingerprint
+});
+
+const analysis = (issues) => ({
+  issues,
+  summary: {
+    totalIssues: issues.length,
+    errorCount: issues.filter(i => i.severity === 'error').length,
+    warningCount: issues.filter(i => i.severity === 'warning').length,
+    infoCount: 0
+  }
+});
+
+const discovery = (withUI = 1) => ({
+  files: {
+    implications: [
+      { metadata: { hasXStateConfig: true, uiCoverage: { total: withUI } } },
+      { metadata: { hasXStateConfig: true, uiCoverage: { total: 0 } } }
+    ]
+  }
+});
+
+describe('AnalysisHistory', () => {
+  let projectPath;
+  let history;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-history-'));
+    history = new AnalysisHistory(projectPath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('records runs with their issues and returns the previous run as baseline', async () => {
+    const first = await history.record(analysis([issue('a')]), discovery());
+    const second = await history.record(analysis([issue('b')]), discovery());
+
+    expect(first).toMatchObject({ recorded: true, baseline: null });
+    expect(second.recorded).toBe(true);
+    expect(second.baseline.id).toBe(first.run.id);
+
+    const runs = await history.list();
+    expect(runs.map(run => run.id)).toEqual([first.run.id, second.run.id]);
+    expect(runs[0]).not.toHaveProperty('issues');
+    expect((await history.load(second.run.id)).issues.map(i => i.fingerprint)).toEqual(['b']);
+  });
+
+  it('does not store a scan that changes nothing', async () => {
+    await history.record(analysis([issue('a')]), discovery());
+    const again = await history.record(analysis([issue('a')]), discovery());
+
+    expect(again.recorded).toBe(false);
+    expect(await history.list()).toHaveLength(1);
+  });
+
+  it('stores a scan when a severity or the coverage changes', async () => {
+    await history.record(analysis([issue('a')]), discovery());
+
+    expect((await history.record(analysis([issue('a', 'error')]), discovery())).recorded).toBe(true);
+    expect((await history.record(analysis([issue('a', 'error')]), discovery(0))).recorded).toBe(true);
+  });
+
+  it('keeps the last 100 runs and deletes older run files', async () => {
+    const first = await history.record(analysis([issue('run-0')]), discovery());
+    for (let i = 1; i <= 100; i++) {
+      await history.record(analysis([issue(`run-${i}`)]), discovery());
+    }
+
+    const runs = await history.list({ limit: 1000 });
+    expect(runs).toHaveLength(100);
+    expect(runs.some(run => run.id === first.run.id)).toBe(false);
+    expect(await history.load(first.run.id)).toBeNull();
+  });
+
+  it('serializes concurrent records', async () => {
+    await Promise.all([1, 2, 3, 4].map(n => history.record(analysis([issue(`n${n}`)]), discovery())));
+    expect(await history.list()).toHaveLength(4);
+  });
+
+  it('compares the latest run with the previous one or a given run', async () => {
+    const first = await history.record(analysis([issue('a'), issue('b')]), discovery());
+    await history.record(analysis([issue('b'), issue('c')]), discovery());
+    await history.record(analysis([issue('c'), issue('d')]), discovery());
+
+    const sincePrevious = await history.compare();
+    expect(sincePrevious.counts).toEqual({ new: 1, resolved: 1, persisting: 1 });
+    expect(sincePrevious.current).not.toHaveProperty('issues');
+
+    const sinceFirst = await history.compare(first.run.id);
+    expect(sinceFirst.new.map(i => i.fingerprint)).toEqual(['c', 'd']);
+    expect(sinceFirst.resolved.map(i => i.fingerprint)).toEqual(['a', 'b']);
+  });
+
+  it('reports unknown baselines and an empty history as 404', async () => {
+    const empty = await history.compare().catch(e => e);
+    expect(empty).toBeInstanceOf(AnalysisHistoryError);
+    expect(empty.status).toBe(404);
+
+    await history.record(analysis([]), discovery());
+    const unknown = await history.compare('no-such-ref').catch(e => e);
+    expect(unknown).toMatchObject({ status: 404, message: expect.stringContaining('no-such-ref') });
+  });
+
+  it('compares with nothing when there is a single run', async () => {
+    await history.record(analysis([issue('a')]), discovery());
+    const result = await history.compare();
+
+    expect(result.baseline).toBeNull();
+    expect(result.counts).toEqual({ new: 1, resolved: 0, persisting: 0 });
+  });
+
+  it('refuses run ids that are not plain names', async () => {
+    expect(await history.load('../../etc/passwd')).toBeNull();
+  });
+
+  it('starts over when the index is unreadable', async () => {
+    await fs.outputFile(path.join(projectPath, '.implications-framework/analysis/index.json'), '{ broken');
+    expect(await history.list()).toEqual([]);
+  });
+});
+
+describe('diffRuns', () => {
+  it('matches issues by fingerprint', () => {
+    const diff = diffRuns({ issues: [issue('a'), issue('b')] }, { issues: [issue('b'), issue('c')] });
+
+    expect(diff.new.map(i => i.fingerprint)).toEqual(['a']);
+    expect(diff.resolved.map(i => i.fingerprint)).toEqual(['c']);
+    expect(diff.persisting.map(i => i.fingerprint)).toEqual(['b']);
+  });
+});
+
+describe('uiCoverageStats', () => {
+  it('counts stateful states with at least one mirrorsOn screen', () => {
+    expect(uiCoverageStats(discovery(3).files.implications)).toEqual({
+      statefulStates: 2,
+      statesWithUI: 1,
+      totalScreens: 3,
+      percent: 50
+    });
+    expect(uiCoverageStats([]).percent).toBe(0);
+  });
+});
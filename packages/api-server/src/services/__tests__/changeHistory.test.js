@@ -0,0 +1,154 @@
+// packages/api-server/src/services/__tests__/changeHistory.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ChangeHistory, Changeset, HistoryConflictError } from '../changeHistory.js';
+
+describe('ChangeHistory', () => {
+  let projectPath;
+  let filePath;
+
+  const read = () => fs.readFile(filePath, 'utf-8');
+
+  // Edit a file through a Changeset, like the implication endpoints do
+  const edit = async (content, summary) => {
+    const changeset = new Changeset({ body: { projectPath, author: 'tester' } }, 'update-ui');
+    await changeset.write(filePath, content);
+    return changeset.commit(summary);
+  };
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'change-history-'));
+    filePath = path.join(projectPath, 'tests/implications/PendingBookingImplications.js');
+    await fs.outputFile(filePath, 'v1');
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('records a changeset per edit and lists it without contents', async () => {
+    const id = await edit('v2', 'Update UI');
+    const { undo, redo } = await new ChangeHistory(projectPath).list();
+
+    expect(id).toEqual(expect.any(String));
+    expect(undo).toEqual([expect.objectContaining({
+      id,
+      summary: 'Update UI',
+      author: 'tester',
+      files: [{ path: 'tests/implications/PendingBookingImplications.js', change: 'modified' }]
+    })]);
+    expect(redo).toEqual([]);
+  });
+
+  it('does not record edits that leave the file unchanged', async () => {
+    expect(await edit('v1')).toBeNull();
+    expect((await new ChangeHistory(projectPath).list()).undo).toEqual([]);
+  });
+
+  it('undoes and redoes the latest changeset', async () => {
+    await edit('v2', 'first');
+    await edit('v3', 'second');
+    const history = new ChangeHistory(projectPath);
+
+    expect((await history.undo()).summary).toBe('second');
+    expect(await read()).toBe('v2');
+
+    expect((await history.redo()).summary).toBe('second');
+    expect(await read()).toBe('v3');
+  });
+
+  it('returns null when there is nothing to undo', async () => {
+    expect(await new ChangeHistory(projectPath).undo()).toBeNull();
+  });
+
+  it('refuses to undo over edits made after the change', async () => {
+    await edit('v2', 'first');
+    await fs.writeFile(filePath, 'edited by hand');
+    const history = new ChangeHistory(projectPath);
+
+    const error = await history.undo().catch(e => e);
+    expect(error).toBeInstanceOf(HistoryConflictError);
+    expect(error.conflicts).toEqual(['tests/implications/PendingBookingImplications.js']);
+    expect(await read()).toBe('edited by hand');
+    expect((await history.list()).undo).toHaveLength(1);
+  });
+
+  it('refuses to redo over edits made after the undo', async () => {
+    await edit('v2', 'first');
+    const history = new ChangeHistory(projectPath);
+    await history.undo();
+    await fs.writeFile(filePath, 'edited by hand');
+
+    await expect(history.redo()).rejects.toBeInstanceOf(HistoryConflictError);
+  });
+
+  it('overwrites conflicting edits with force', async () => {
+    await edit('v2', 'first');
+    await fs.writeFile(filePath, 'edited by hand');
+
+    await new ChangeHistory(projectPath).undo({ force: true });
+    expect(await read()).toBe('v1');
+  });
+
+  it('clears the redo stack on a new edit', async () => {
+    await edit('v2', 'first');
+    const history = new ChangeHistory(projectPath);
+    await history.undo();
+    await edit('v3', 'second');
+
+    expect((await history.list()).redo).toEqual([]);
+    expect(await history.redo()).toBeNull();
+  });
+
+  it('undoing a created file deletes it, redoing recreates it', async () => {
+    const newFile = path.join(projectPath, 'tests/implications/NewImplications.js');
+    const changeset = new Changeset({ body: { projectPath } }, 'create');
+    await changeset.write(newFile, 'created');
+    await changeset.commit('create');
+    const history = new ChangeHistory(projectPath);
+
+    await history.undo();
+    expect(await fs.pathExists(newFile)).toBe(false);
+
+    await history.redo();
+    expect(await fs.readFile(newFile, 'utf-8')).toBe('created');
+  });
+
+  it('keeps at most 50 changesets', async () => {
+    for (let i = 0; i < 52; i++) {
+      await edit(`v${i + 2}`, `edit ${i}`);
+    }
+    const { undo } = await new ChangeHistory(projectPath).list();
+
+    expect(undo).toHaveLength(50);
+    expect(undo[0].summary).toBe('edit 51');
+  });
+});
+
+describe('Changeset preview', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'changeset-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('stages writes in memory and returns diffs', async () => {
+    const filePath = path.join(projectPath, 'a.js');
+    await fs.writeFile(filePath, 'const a = 1;\n');
+
+    const changeset = new Changeset({ body: { projectPath, preview: true } }, 'update-ui');
+    await changeset.write(filePath, 'const a = 2;\n');
+
+    const [diff] = changeset.diffs();
+    expect(diff).toMatchObject({ path: 'a.js', change: 'modified', unchanged: false });
+    expect(diff.diff).toContain('+const a = 2;');
+    expect(await fs.readFile(filePath, 'utf-8')).toBe('const a = 1;\n');
+    expect(await changeset.commit('preview')).toBeNull();
+  });
+});
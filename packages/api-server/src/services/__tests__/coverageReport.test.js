@@ -0,0 +1,165 @@
+// packages/api-server/src/services/__tests__/coverageReport.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { buildCoverageMatrix, loadTestResults, renderCoverageHtml } from '../coverageReport.js';
+import { LockService } from '../lockService.js';
+
+const PENDING_SPEC = 'tests/implications/bookings/Pending-Web-UNIT.spec.js';
+const ACCEPT_WEB_SPEC = 'tests/implications/bookings/Accept-Web-UNIT.spec.js';
+const ACCEPT_DANCER_SPEC = 'tests/implications/bookings/Accept-Dancer-UNIT.spec.js';
+
+/**
+ * Pending (web UI + spec) --ACCEPT--> Accepted (web + dancer UI, one spec each)
+ */
+const discovery = () => ({
+  files: {
+    implications: [
+      {
+        path: 'tests/implications/bookings/PendingBookingImplications.js',
+        metadata: {
+          className: 'PendingBookingImplications',
+          status: 'Pending',
+          hasXStateConfig: true,
+          setup: { testFile: PENDING_SPEC, platform: 'web' },
+          uiCoverage: { platforms: { web: { screens: { list: [{ visible: ['a', 'b'], checks: { text: { title: 'x' } } }] } } } }
+        }
+      },
+      {
+        path: 'tests/implications/bookings/AcceptedBookingImplications.js',
+        metadata: {
+          className: 'AcceptedBookingImplications',
+          status: 'Accepted',
+          hasXStateConfig: true,
+          setup: [
+            { testFile: ACCEPT_WEB_SPEC, platform: 'web', previousStatus: 'pending' },
+            { testFile: ACCEPT_DANCER_SPEC, platform: 'dancer', previousStatus: 'pending' }
+          ],
+          uiCoverage: {
+            platforms: {
+              web: { screens: { details: [{ visible: ['c'] }] } },
+              dancer: { screens: { card: [{ hidden: ['d'] }] } }
+            }
+          }
+        }
+      },
+      { path: 'tests/cms/HeroModule.js', metadata: { className: 'HeroModule', isStateless: true } }
+    ]
+  },
+  transitions: [
+    { from: 'pending', to: 'accepted', event: 'ACCEPT', platforms: ['web', 'dancer'] },
+    { from: 'pending', to: 'archived', event: 'ARCHIVE', platforms: ['web'] }
+  ]
+});
+
+const playwrightResults = (specs) => ({
+  suites: [{
+    file: 'bookings',
+    suites: specs.map(([file, ok, startTime]) => ({
+      specs: [{ file, ok, tests: [{ status: ok ? 'expected' : 'unexpected', results: [{ startTime }] }] }]
+    }))
+  }]
+});
+
+describe('coverage matrix', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'coverage-'));
+    await fs.outputFile(path.join(projectPath, PENDING_SPEC), '');
+    await fs.outputFile(path.join(projectPath, ACCEPT_WEB_SPEC), '');
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('builds state and transition rows per platform', async () => {
+    const matrix = await buildCoverageMatrix(projectPath, discovery());
+
+    expect(matrix.platforms).toEqual([{ key: 'web', name: 'web' }, { key: 'dancer', name: 'dancer' }]);
+    expect(matrix.states.map(row => row.className)).toEqual(['PendingBookingImplications', 'AcceptedBookingImplications']);
+
+    const [pending, accepted] = matrix.states;
+    expect(pending.cells.web).toMatchObject({ ui: { screens: 1, validations: 3 }, status: 'covered' });
+    expect(pending.cells.dancer).toBeNull();
+    expect(accepted.cells.dancer).toMatchObject({
+      ui: { validations: 1 },
+      specs: [{ testFile: ACCEPT_DANCER_SPEC, exists: false }],
+      status: 'partial'
+    });
+
+    const [accept, archive] = matrix.transitions;
+    expect(accept).toMatchObject({ event: 'ACCEPT', targetFound: true });
+    expect(accept.cells.web.specs.map(spec => spec.testFile)).toEqual([ACCEPT_WEB_SPEC]);
+    expect(archive).toMatchObject({ targetFound: false, cells: { web: { status: 'missing' }, dancer: null } });
+  });
+
+  it('summarizes cells per platform and in total', async () => {
+    const { summary } = await buildCoverageMatrix(projectPath, discovery());
+
+    expect(summary.total).toMatchObject({ cells: 6, covered: 3, partial: 2, missing: 1, failing: 0, percent: 50 });
+    expect(summary.byPlatform.dancer).toMatchObject({ cells: 2, partial: 2, withSpec: 0 });
+  });
+
+  it('marks locked specs and failing results', async () => {
+    await new LockService(projectPath).lock(ACCEPT_WEB_SPEC, 'stable');
+    await fs.outputJson(path.join(projectPath, 'test-results/results.json'), playwrightResults([
+      ['Accept-Web-UNIT.spec.js', false, '2026-10-01T10:00:00.000Z'],
+      ['Pending-Web-UNIT.spec.js', true, '2026-10-01T10:00:00.000Z']
+    ]));
+
+    const matrix = await buildCoverageMatrix(projectPath, discovery());
+    const acceptedWeb = matrix.states[1].cells.web;
+
+    expect(acceptedWeb.status).toBe('failing');
+    expect(acceptedWeb.specs[0]).toMatchObject({ locked: true, result: { status: 'failed', source: 'test-results/results.json' } });
+    expect(matrix.states[0].cells.web.specs[0].result.status).toBe('passed');
+    expect(matrix.summary.total).toMatchObject({ failing: 2, locked: 2 });
+  });
+
+  it('renders a standalone HTML page with escaped names', async () => {
+    const data = discovery();
+    data.files.implications[0].metadata.className = 'Pending<script>';
+    const html = renderCoverageHtml(await buildCoverageMatrix(projectPath, data));
+
+    expect(html).toMatch(/^<!DOCTYPE html>/i);
+    expect(html).toContain('Pending&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+});
+
+describe('loadTestResults', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'coverage-results-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('keeps the newest result per file, a failure within the same run', async () => {
+    await fs.outputJson(path.join(projectPath, 'pw.json'), playwrightResults([
+      ['a.spec.js', true, '2026-10-01T10:00:00.000Z'],
+      ['a.spec.js', false, '2026-10-02T10:00:00.000Z'],
+      ['b.spec.js', true, '2026-10-02T10:00:00.000Z'],
+      ['b.spec.js', false, '2026-10-02T10:00:00.000Z']
+    ]));
+    await fs.outputJson(path.join(projectPath, 'jest.json'), {
+      testResults: [{ name: '/ci/tests/c.spec.js', status: 'passed', startTime: Date.parse('2026-10-03T00:00:00Z') }]
+    });
+
+    const results = await loadTestResults(projectPath, { coverage: { testResults: ['pw.json', 'jest.json', 'missing.json'] } });
+
+    expect(results.get('a.spec.js')).toMatchObject({ status: 'failed', at: '2026-10-02T10:00:00.000Z' });
+    expect(results.get('b.spec.js').status).toBe('failed');
+    expect(results.get('c.spec.js')).toEqual({ status: 'passed', at: '2026-10-03T00:00:00.000Z', source: 'jest.json' });
+  });
+
+  it('returns nothing when no result file exists', async () => {
+    expect((await loadTestResults(projectPath)).size).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+// packages/api-server/src/services/__tests__/discoveryService.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { discoverProject } from '../discoveryService.js';
+
+const base = visible => `class BaseBookingImplications {
+  static dancer = {
+    bookingScreen: { visible: ${JSON.stringify(visible)} }
+  };
+}
+
+module.exports = BaseBookingImplications;
+`;
+
+const PENDING = `const ImplicationHelper = require('./ImplicationHelper');
+const BaseBookingImplications = require('./BaseBookingImplications');
+
+class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending', entity: 'booking' },
+    on: {}
+  };
+
+  static mirrorsOn = {
+    UI: {
+      dancer: {
+        bookingScreen: ImplicationHelper.mergeWithBase(BaseBookingImplications.dancer.bookingScreen, { visible: ['price'] })
+      }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+describe('discoverProject (incremental)', () => {
+  let projectPath;
+  let basePath;
+  let consoleLog;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'discovery-'));
+    basePath = path.join(projectPath, 'tests/implications/BaseBookingImplications.js');
+    await fs.outputFile(basePath, base(['title']));
+    await fs.outputFile(path.join(projectPath, 'tests/implications/PendingBookingImplications.js'), PENDING);
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    await fs.remove(projectPath);
+  });
+
+  const discover = async () => {
+    const result = await discoverProject(projectPath);
+    const pending = result.files.implications.find(file => file.className === 'PendingBookingImplications');
+    const [screen] = pending.metadata.uiCoverage.platforms.dancer.screens.bookingScreen;
+    return { stats: result.cacheStats, visible: screen.visible };
+  };
+
+  it('reuses every parse result when nothing changed', async () => {
+    await discover();
+
+    const { stats, visible } = await discover();
+
+    expect(stats).toEqual({ hits: 2, misses: 0, invalidatedByDependency: 0 });
+    expect(visible).toEqual(['title', 'price']);
+  });
+
+  it('re-parses a file when a base class it merges from changes', async () => {
+    await discover();
+    await fs.writeFile(basePath, base(['title', 'status']));
+
+    const { stats, visible } = await discover();
+
+    expect(stats).toEqual({ hits: 0, misses: 2, invalidatedByDependency: 1 });
+    expect(visible).toEqual(['title', 'status', 'price']);
+  });
+
+  it('re-parses everything with fresh', async () => {
+    await discover();
+
+    expect((await discoverProject(projectPath, { fresh: true })).cacheStats).toMatchObject({ hits: 0, misses: 2 });
+  });
+});
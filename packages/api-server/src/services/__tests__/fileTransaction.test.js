@@ -0,0 +1,135 @@
+// packages/api-server/src/services/__tests__/fileTransaction.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FileTransaction, TransactionError } from '../fileTransaction.js';
+import { ChangeHistory, Changeset } from '../changeHistory.js';
+
+describe('FileTransaction', () => {
+  let dir;
+  let sourceFile;
+  let targetFile;
+  let log;
+  const rename = fs.rename;
+
+  // Make the rename of `filePath` fail, as a full disk or a lock would
+  const failRenameOf = (filePath) => {
+    fs.rename = async (from, to) => {
+      if (to === filePath) throw new Error(`EBUSY: resource busy, rename '${to}'`);
+      return rename(from, to);
+    };
+  };
+
+  const leftovers = async () => (await fs.readdir(dir)).filter(name => name.includes('.tx-'));
+
+  beforeEach(async () => {
+    log = console.log;
+    console.log = () => {};
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-transaction-'));
+    sourceFile = path.join(dir, 'Source.js');
+    targetFile = path.join(dir, 'Target.js');
+    await fs.writeFile(sourceFile, 'const source = 1;');
+    await fs.writeFile(targetFile, 'const target = 1;');
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+    console.log = log;
+    fs.rename = rename;
+  });
+
+  it('writes every staged file and deletes files staged as null', async () => {
+    const created = path.join(dir, 'nested/New.js');
+    const committed = await new FileTransaction()
+      .stage(sourceFile, 'const source = 2;')
+      .stage(targetFile, null)
+      .stage(created, 'const created = true;')
+      .commit();
+
+    expect(committed).toHaveLength(3);
+    expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 2;');
+    expect(await fs.pathExists(targetFile)).toBe(false);
+    expect(await fs.readFile(created, 'utf-8')).toBe('const created = true;');
+    expect(await leftovers()).toEqual([]);
+  });
+
+  it('aborts before writing when a staged file does not parse', async () => {
+    const tx = new FileTransaction([
+      [sourceFile, 'const source = 2;'],
+      [targetFile, 'const target = {']
+    ]);
+
+    const error = await tx.commit().catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.phase).toBe('validate');
+    expect(error.errors).toEqual([{ file: targetFile, error: expect.any(String) }]);
+    expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 1;');
+    expect(await leftovers()).toEqual([]);
+  });
+
+  it('only parses .js files', () => {
+    const tx = new FileTransaction([[path.join(dir, 'notes.md'), 'const {']]);
+    expect(tx.validate()).toEqual([]);
+  });
+
+  it('rolls back committed files when a later rename fails', async () => {
+    const created = path.join(dir, 'Created.js');
+    failRenameOf(targetFile);
+    const tx = new FileTransaction([
+      [sourceFile, 'const source = 2;'],
+      [created, 'const created = true;'],
+      [targetFile, 'const target = 2;']
+    ]);
+
+    const error = await tx.commit().catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.phase).toBe('commit');
+    expect(error.rolledBack).toBe(true);
+    expect(error.message).toContain('all changes rolled back');
+    expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 1;');
+    expect(await fs.pathExists(created)).toBe(false);
+    expect(await fs.readFile(targetFile, 'utf-8')).toBe('const target = 1;');
+    expect(await leftovers()).toEqual([]);
+  });
+
+  it('reports the prepare phase when nothing was committed yet', async () => {
+    const unwritable = path.join(dir, 'Source.js', 'Child.js');
+    const error = await new FileTransaction([[unwritable, 'const child = 1;']]).commit().catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.phase).toBe('prepare');
+    expect(error.rolledBack).toBe(true);
+    expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 1;');
+  });
+
+  describe('atomic Changeset', () => {
+    it('leaves files and history untouched when the transaction fails', async () => {
+      failRenameOf(targetFile);
+      const changeset = new Changeset({ body: { projectPath: dir } }, 'update-transition', { atomic: true });
+
+      await changeset.write(sourceFile, 'const source = 2;');
+      await changeset.write(targetFile, 'const target = 2;');
+      expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 1;');
+
+      await expect(changeset.commit('Update transition')).rejects.toMatchObject({ phase: 'commit', rolledBack: true });
+      expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 1;');
+      expect((await new ChangeHistory(dir).list()).undo).toEqual([]);
+    });
+
+    it('writes all staged files and records one changeset on success', async () => {
+      const changeset = new Changeset({ body: { projectPath: dir } }, 'delete-transition', { atomic: true });
+
+      await changeset.write(sourceFile, 'const source = 2;');
+      await changeset.write(targetFile, 'const target = 2;');
+      await changeset.commit('Delete transition');
+
+      expect(await fs.readFile(sourceFile, 'utf-8')).toBe('const source = 2;');
+      expect(await fs.readFile(targetFile, 'utf-8')).toBe('const target = 2;');
+      const [entry] = (await new ChangeHistory(dir).list()).undo;
+      expect(entry.files.map(file => file.path).sort()).toEqual(['Source.js', 'Target.js']);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+// packages/api-server/src/services/__tests__/fixService.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FixEngine, FixSkippedError, FIXERS } from '../fixService.js';
+import { Changeset } from '../changeHistory.js';
+import { MissingUICoverageRule } from '../../../../analyzer/src/rules/MissingUICoverageRule.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending' },
+    on: {}
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `const { BaseBookingImplications } = require('../base/BaseBookingImplications');
+const ImplicationHelper = require('../../utils/ImplicationHelper');
+const { unused } = require('../../utils/unused');
+
+class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: { status: 'accepted' },
+    on: { COMPLETE: { target: 'completed' } }
+  };
+
+  static mirrorsOn = {
+    UI: {
+      web: {
+        bookingScreen: ImplicationHelper.mergeWithBase(
+          BaseBookingImplications.web.bookingScreen,
+          { visible: ['acceptedBadge'] },
+          { parentClass: AcceptedBookingImplications }
+        )
+      }
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+const CANCELLED = `const ImplicationHelper = require('../utils/ImplicationHelper');
+
+class CancelledBookingImplications {
+  static xstateConfig = {
+    id: 'cancelled',
+    meta: { status: 'cancelled' },
+    on: {}
+  };
+}
+
+module.exports = CancelledBookingImplications;
+`;
+
+const FILES = {
+  PendingBookingImplications: ['tests/implications/bookings/PendingBookingImplications.js', PENDING, 'pending'],
+  AcceptedBookingImplications: ['tests/implications/bookings/AcceptedBookingImplications.js', ACCEPTED, 'accepted'],
+  CancelledBookingImplications: ['tests/implications/CancelledBookingImplications.js', CANCELLED, 'cancelled']
+};
+
+describe('FixEngine', () => {
+  let projectPath;
+  let engine;
+  let consoleLog;
+
+  const file = className => path.join(projectPath, FILES[className][0]);
+  const read = className => fs.readFile(file(className), 'utf-8');
+  const issue = (stateName, ...suggestions) => ({
+    id: `test:${stateName}`,
+    stateName,
+    location: FILES[stateName][0],
+    suggestions: suggestions.map(s => ({ autoFixable: true, data: {}, ...s }))
+  });
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'fix-engine-'));
+    for (const [relativePath, source] of Object.values(FILES)) {
+      await fs.outputFile(path.join(projectPath, relativePath), source);
+    }
+
+    const implications = Object.entries(FILES).map(([className, [relativePath, , id]]) => ({
+      path: relativePath,
+      metadata: { className, hasXStateConfig: true, xstateConfig: { id } }
+    }));
+    engine = new FixEngine({ projectPath, discoveryResult: { files: { implications } } });
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    await fs.remove(projectPath);
+  });
+
+  describe('fixIssue', () => {
+    it('adds a transition and the matching setup entry in the target', async () => {
+      const result = await engine.fixIssue(issue('PendingBookingImplications', {
+        action: 'add-transition',
+        data: { suggestedTargets: ['AcceptedBookingImplications'], suggestedEvents: ['ACCEPT'] }
+      }));
+
+      expect(result).toEqual({
+        issueId: 'test:PendingBookingImplications',
+        stateName: 'PendingBookingImplications',
+        action: 'add-transition',
+        status: 'fixed',
+        summary: 'Add transition pending --ACCEPT--> accepted',
+        files: [FILES.PendingBookingImplications[0], FILES.AcceptedBookingImplications[0]]
+      });
+
+      const accepted = engine.editors.get(file('AcceptedBookingImplications'));
+      expect(engine.editors.get(file('PendingBookingImplications')).getTransition('ACCEPT')).toMatchObject({ target: 'accepted' });
+      expect(accepted.getSetupEntries()).toEqual([expect.objectContaining({ previousStatus: 'pending', platform: 'web' })]);
+    });
+
+    it('lets params override the suggestion data', async () => {
+      const result = await engine.fixIssue(
+        issue('PendingBookingImplications', { action: 'add-transition', data: { suggestedTargets: ['AcceptedBookingImplications'], suggestedEvents: ['ACCEPT'] } }),
+        { params: { target: 'cancelled', event: 'CANCEL', platform: 'dancer' } }
+      );
+
+      expect(result.summary).toBe('Add transition pending --CANCEL--> cancelled');
+      expect(engine.editors.get(file('CancelledBookingImplications')).getSetupEntries())
+        .toEqual([expect.objectContaining({ previousStatus: 'pending', platform: 'dancer' })]);
+    });
+
+    it('falls back to the next suggestion when one cannot be applied', async () => {
+      const result = await engine.fixIssue(issue('AcceptedBookingImplications',
+        { action: 'remove-transition', data: { event: 'MISSING' } },
+        { action: 'mark-terminal' }
+      ));
+
+      expect(result).toMatchObject({ status: 'fixed', action: 'mark-terminal', summary: 'Mark AcceptedBookingImplications as terminal' });
+    });
+
+    it('reports why every suggestion was skipped', async () => {
+      const result = await engine.fixIssue(issue('AcceptedBookingImplications',
+        { action: 'remove-transition', data: { event: 'MISSING' } },
+        { action: 'add-transition', data: { suggestedTargets: ['PendingBookingImplications'], suggestedEvents: ['COMPLETE'] } }
+      ));
+
+      expect(result).toMatchObject({
+        status: 'skipped',
+        files: [],
+        reason: 'remove-transition: No MISSING transition in AcceptedBookingImplications; ' +
+          'add-transition: AcceptedBookingImplications already has a COMPLETE transition'
+      });
+    });
+
+    it('skips issues without an auto-fixable suggestion the engine knows', async () => {
+      const unknown = issue('PendingBookingImplications', { action: 'create-state' }, { action: 'mark-terminal', autoFixable: false });
+
+      expect(await engine.fixIssue(unknown)).toMatchObject({ status: 'skipped', reason: 'No auto-fixable suggestion' });
+      expect(await engine.fixIssue(issue('PendingBookingImplications', { action: 'mark-initial' }), { action: 'mark-terminal' }))
+        .toMatchObject({ status: 'skipped', reason: '"mark-terminal" is not an auto-fixable suggestion for this issue' });
+    });
+
+    it('rethrows errors that are not FixSkippedError', async () => {
+      await fs.writeFile(file('PendingBookingImplications'), 'class {');
+
+      await expect(engine.fixIssue(issue('PendingBookingImplications', { action: 'mark-initial' }))).rejects.not.toBeInstanceOf(FixSkippedError);
+    });
+  });
+
+  describe('copy-from-similar', () => {
+    const copy = () => engine.fixIssue(issue('CancelledBookingImplications', {
+      action: 'copy-from-similar',
+      data: { similarStates: ['AcceptedBookingImplications'] }
+    }));
+
+    it('copies mirrorsOn, renaming references to the source class', async () => {
+      const result = await copy();
+
+      expect(result.summary).toBe('Copy mirrorsOn from AcceptedBookingImplications to CancelledBookingImplications (imports BaseBookingImplications)');
+      const output = engine.editors.get(file('CancelledBookingImplications')).toSource();
+      expect(output).toMatch(/parentClass: CancelledBookingImplications\s*\}/);
+      expect(output).not.toContain('AcceptedBookingImplications');
+    });
+
+    it('copies only missing imports and re-relativizes their paths', async () => {
+      await copy();
+
+      const output = engine.editors.get(file('CancelledBookingImplications')).toSource();
+      expect(output).toMatch(/const \{\s*BaseBookingImplications\s*\} = require\("\.\/base\/BaseBookingImplications"\);/);
+      expect(output.match(/ImplicationHelper = require/g)).toHaveLength(1);
+      expect(output).not.toContain('unused');
+    });
+
+    it('skips when there is no similar state or it has no mirrorsOn', async () => {
+      expect(await engine.fixIssue(issue('CancelledBookingImplications', { action: 'copy-from-similar' })))
+        .toMatchObject({ status: 'skipped', reason: 'copy-from-similar: No similar state to copy from' });
+      expect(await engine.fixIssue(issue('CancelledBookingImplications', { action: 'copy-from-similar', data: { similarStates: ['PendingBookingImplications'] } })))
+        .toMatchObject({ status: 'skipped', reason: 'copy-from-similar: PendingBookingImplications has no mirrorsOn' });
+    });
+  });
+
+  describe('writeTo', () => {
+    it('composes several fixes to one file into one staged write', async () => {
+      await engine.fixIssues([
+        issue('PendingBookingImplications', { action: 'mark-initial' }),
+        issue('PendingBookingImplications', { action: 'mark-terminal', data: { addToMeta: { terminal: true, reason: 'cancelled upstream' } } })
+      ]);
+
+      const changeset = new Changeset({ body: { projectPath, preview: true } }, 'analysis-fix');
+      await engine.writeTo(changeset);
+      const diffs = changeset.diffs();
+
+      expect(diffs.map(d => d.path)).toEqual([FILES.PendingBookingImplications[0]]);
+      expect(diffs[0].diff).toContain('initial: true');
+      expect(diffs[0].diff).toContain('reason: "cancelled upstream"');
+      expect(await read('PendingBookingImplications')).toBe(PENDING);
+    });
+
+    it('writes nothing for files no fix changed', async () => {
+      await engine.fixIssue(issue('AcceptedBookingImplications', { action: 'remove-transition', data: { event: 'MISSING' } }));
+
+      const changeset = new Changeset({ body: { projectPath, preview: true } }, 'analysis-fix');
+      await engine.writeTo(changeset);
+
+      expect(changeset.diffs()).toEqual([]);
+    });
+  });
+
+  it('does not auto-fix missing UI coverage with an empty mirrorsOn', () => {
+    const implication = { path: FILES.PendingBookingImplications[0], metadata: { className: 'PendingBookingImplications', hasXStateConfig: true } };
+    const [uncovered] = new MissingUICoverageRule().analyze(implication, { implications: [implication] });
+
+    expect(uncovered.suggestions.map(s => s.action)).toContain('add-mirrors-on');
+    expect(engine.fixableSuggestion(uncovered)).toBeNull();
+    expect(FIXERS['add-mirrors-on']).toBeUndefined();
+  });
+});
@@ -0,0 +1,117 @@
+// packages/api-server/src/services/__tests__/parseCache.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ParseCache } from '../parseCache.js';
+
+const BASE = 'class BaseBookingImplications {}\n';
+const PENDING = 'class PendingBookingImplications extends BaseBookingImplications {}\n';
+
+describe('ParseCache', () => {
+  let projectPath;
+  let basePath;
+  let pendingPath;
+
+  const write = async (filePath, content) => {
+    await fs.outputFile(filePath, content);
+    return ParseCache.hashContent(content);
+  };
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'parse-cache-'));
+    basePath = path.join(projectPath, 'tests/implications/BaseBookingImplications.js');
+    pendingPath = path.join(projectPath, 'tests/implications/PendingBookingImplications.js');
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('returns a stored entry while the file hash matches', async () => {
+    const hash = await write(pendingPath, PENDING);
+    const cache = new ParseCache(projectPath);
+    cache.set(pendingPath, hash, { bucket: 'implications' });
+
+    expect(cache.get(pendingPath, hash).bucket).toBe('implications');
+    expect(cache.get(pendingPath, ParseCache.hashContent('changed'))).toBeNull();
+    expect(cache.stats).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('invalidates an entry when a base file it depends on changes', async () => {
+    await write(basePath, BASE);
+    const hash = await write(pendingPath, PENDING);
+
+    const cache = new ParseCache(projectPath);
+    cache.set(pendingPath, hash, { bucket: 'implications' }, new Set([basePath]));
+    cache.save();
+
+    await write(basePath, 'class BaseBookingImplications { static changed = true; }\n');
+
+    const reloaded = new ParseCache(projectPath).load();
+    expect(reloaded.get(pendingPath, hash)).toBeNull();
+    expect(reloaded.stats.invalidatedByDependency).toBe(1);
+  });
+
+  it('invalidates an entry when a base file it depends on is deleted', async () => {
+    await write(basePath, BASE);
+    const hash = await write(pendingPath, PENDING);
+
+    const cache = new ParseCache(projectPath);
+    cache.set(pendingPath, hash, { bucket: 'implications' }, new Set([basePath]));
+    cache.save();
+    await fs.remove(basePath);
+
+    expect(new ParseCache(projectPath).load().get(pendingPath, hash)).toBeNull();
+  });
+
+  it('persists entries across instances', async () => {
+    const hash = await write(pendingPath, PENDING);
+    const cache = new ParseCache(projectPath);
+    cache.set(pendingPath, hash, { bucket: 'implications' });
+    cache.save();
+
+    expect(new ParseCache(projectPath).load().get(pendingPath, hash)).not.toBeNull();
+  });
+
+  it('ignores a cache file written by another CACHE_VERSION', async () => {
+    const hash = await write(pendingPath, PENDING);
+    const cache = new ParseCache(projectPath);
+    await fs.outputJson(cache.cachePath, {
+      version: 0,
+      entries: { 'tests/implications/PendingBookingImplications.js': { hash, bucket: 'implications' } }
+    });
+
+    expect(cache.load().entries).toEqual({});
+    expect(cache.get(pendingPath, hash)).toBeNull();
+  });
+
+  it('starts empty when the cache file is corrupt', async () => {
+    const cache = new ParseCache(projectPath);
+    await fs.outputFile(cache.cachePath, '{ not json');
+
+    expect(cache.load().entries).toEqual({});
+  });
+
+  it('prunes entries of deleted files and maps dependents', async () => {
+    const hash = await write(pendingPath, PENDING);
+    const cache = new ParseCache(projectPath);
+    cache.set(pendingPath, hash, { bucket: 'implications' }, new Set([basePath]));
+    cache.set(path.join(projectPath, 'tests/implications/Gone.js'), 'x', { bucket: 'implications' });
+
+    expect(cache.getDependents()).toEqual({
+      'tests/implications/BaseBookingImplications.js': ['tests/implications/PendingBookingImplications.js']
+    });
+
+    cache.prune([pendingPath]);
+    expect(Object.keys(cache.entries)).toEqual(['tests/implications/PendingBookingImplications.js']);
+  });
+
+  it('clear() removes the cache file', async () => {
+    const cache = new ParseCache(projectPath);
+    cache.save();
+    cache.clear();
+
+    expect(await fs.pathExists(cache.cachePath)).toBe(false);
+  });
+});
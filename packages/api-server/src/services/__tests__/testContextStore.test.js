@@ -0,0 +1,131 @@
+// packages/api-server/src/services/__tests__/testContextStore.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { TestContextStore, TestContextStoreError } from '../testContextStore.js';
+
+const KEY = 'tests/data/shared-current.json';
+
+describe('TestContextStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-context-store-'));
+    store = new TestContextStore(dir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const errorOf = promise => promise.then(() => null, error => error);
+
+  it('versions entries and persists them per namespace', async () => {
+    expect(await store.put('nightly', KEY, { step: 1 }, 0)).toMatchObject({ key: KEY, version: 1 });
+    expect(await store.put('nightly', KEY, { step: 2 }, 1)).toMatchObject({ version: 2 });
+
+    const reopened = new TestContextStore(dir);
+    expect(await reopened.get('nightly', KEY)).toMatchObject({ key: KEY, value: { step: 2 }, version: 2 });
+    expect(await reopened.get('other', KEY)).toBeNull();
+    expect(await fs.pathExists(path.join(dir, 'nightly.json'))).toBe(true);
+  });
+
+  it('rejects a put at a stale version with 409 and keeps the newer value', async () => {
+    await store.put('nightly', KEY, { step: 1 }, 0);
+    await store.put('nightly', KEY, { step: 2 }, 1);
+
+    const error = await errorOf(store.put('nightly', KEY, { step: 'stale' }, 1));
+
+    expect(error).toBeInstanceOf(TestContextStoreError);
+    expect(error).toMatchObject({ status: 409, message: `${KEY} is at version 2, not 1` });
+    expect((await store.get('nightly', KEY)).value).toEqual({ step: 2 });
+  });
+
+  it('requires expectedVersion 0 to create and overwrites without one', async () => {
+    await store.put('nightly', KEY, { step: 1 });
+
+    expect((await errorOf(store.put('nightly', KEY, { step: 2 }, 0))).status).toBe(409);
+    expect(await store.put('nightly', KEY, { step: 2 })).toMatchObject({ version: 2 });
+  });
+
+  it('lets only one of two concurrent puts from the same version win', async () => {
+    await store.put('nightly', KEY, { step: 1 }, 0);
+
+    const results = await Promise.allSettled([
+      store.put('nightly', KEY, { worker: 'a' }, 1),
+      store.put('nightly', KEY, { worker: 'b' }, 1)
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.status).toBe(409);
+    expect(await store.get('nightly', KEY)).toMatchObject({ value: { worker: 'a' }, version: 2 });
+  });
+
+  it('does not let a read that loads the namespace hide a concurrent write', async () => {
+    await new TestContextStore(dir).put('nightly', KEY, { step: 1 }, 0);
+
+    // The first file read (the get's) is slow to come back
+    const readJson = fs.readJson;
+    let reads = 0;
+    fs.readJson = async (...args) => {
+      const data = await readJson(...args);
+      if (reads++ === 0) await new Promise(resolve => setTimeout(resolve, 50));
+      return data;
+    };
+    try {
+      const [, written] = await Promise.all([
+        store.get('nightly', KEY),
+        store.put('nightly', KEY, { step: 2 }, 1)
+      ]);
+      expect(written.version).toBe(2);
+    } finally {
+      fs.readJson = readJson;
+    }
+
+    expect(await store.put('nightly', KEY, { step: 3 }, 2)).toMatchObject({ version: 3 });
+  });
+
+  it('keeps the stored entry when writing the file fails', async () => {
+    await store.put('nightly', KEY, { step: 1 }, 0);
+
+    const move = fs.move;
+    fs.move = async () => { throw new Error('disk full'); };
+    try {
+      await expect(store.put('nightly', KEY, { step: 2 }, 1)).rejects.toThrow('disk full');
+      await expect(store.remove('nightly', KEY)).rejects.toThrow('disk full');
+    } finally {
+      fs.move = move;
+    }
+
+    expect(await store.get('nightly', KEY)).toMatchObject({ value: { step: 1 }, version: 1 });
+    expect(await store.put('nightly', KEY, { step: 2 }, 1)).toMatchObject({ version: 2 });
+  });
+
+  it('rejects invalid namespaces with 400', async () => {
+    for (const call of [
+      store.get('../etc', KEY),
+      store.put('a/b', KEY, {}),
+      store.list(''),
+      store.clear('x'.repeat(101))
+    ]) {
+      const error = await errorOf(call);
+      expect(error).toBeInstanceOf(TestContextStoreError);
+      expect(error.status).toBe(400);
+    }
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  it('lists, removes and clears entries', async () => {
+    await store.put('nightly', 'b.json', 1);
+    await store.put('nightly', 'a.json', 2);
+
+    expect((await store.list('nightly')).map(entry => entry.key)).toEqual(['a.json', 'b.json']);
+    expect(await store.remove('nightly', 'a.json')).toBe(true);
+    expect(await store.remove('nightly', 'a.json')).toBe(false);
+    expect(await store.clear('nightly')).toBe(1);
+    expect(await store.list('nightly')).toEqual([]);
+    expect(await new TestContextStore(dir).list('nightly')).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+// packages/api-server/src/services/__tests__/testDataCheckpoints.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  CheckpointError,
+  forkCheckpoint,
+  forkPath,
+  listCheckpoints,
+  materializeCheckpoint,
+  readHistory,
+  resolveCheckpoint,
+  rewindCheckpoint
+} from '../testDataCheckpoints.js';
+
+const ORIGINAL = { booking: { status: 'pending', price: 10 }, dancer: { status: 'invited' } };
+const CHANGE_LOG = [
+  { label: 'Accepted', testFile: 'Accept.spec.js', delta: { 'booking.status': 'accepted' } },
+  { label: 'Priced', testFile: 'Price.spec.js', delta: { 'booking.price': 20 } },
+  { label: 'Completed', testFile: 'Complete.spec.js', delta: { 'booking.status': 'completed', 'dancer.status': 'paid' } }
+];
+
+describe('testDataCheckpoints', () => {
+  let dir;
+  let deltaPath;
+  let consoleLog;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoints-'));
+    deltaPath = path.join(dir, 'shared-current.json');
+    await fs.writeJson(deltaPath, { _original: ORIGINAL, _changeLog: CHANGE_LOG });
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    await fs.remove(dir);
+  });
+
+  const expectError = async (promise, status, message) => {
+    const error = await promise.catch(e => e);
+    expect(error).toBeInstanceOf(CheckpointError);
+    expect(error.status).toBe(status);
+    if (message) expect(error.message).toContain(message);
+  };
+
+  describe('readHistory', () => {
+    it('reads plain test data as an original without changes', async () => {
+      await fs.writeJson(path.join(dir, 'shared.json'), ORIGINAL);
+
+      expect(await readHistory(path.join(dir, 'shared.json'))).toEqual({ original: ORIGINAL, changeLog: [] });
+    });
+
+    it('reports missing files as 404 and invalid JSON as 422', async () => {
+      await fs.writeFile(path.join(dir, 'broken.json'), '{ nope');
+
+      await expectError(readHistory(path.join(dir, 'missing.json')), 404, 'File not found');
+      await expectError(readHistory(path.join(dir, 'broken.json')), 422, 'Invalid JSON in broken.json');
+    });
+  });
+
+  describe('resolveCheckpoint', () => {
+    it('resolves labels, counts, original and the latest state', () => {
+      expect(resolveCheckpoint(CHANGE_LOG, 'Priced')).toBe(2);
+      expect(resolveCheckpoint(CHANGE_LOG, '1')).toBe(1);
+      expect(resolveCheckpoint(CHANGE_LOG, 'original')).toBe(0);
+      expect(resolveCheckpoint(CHANGE_LOG, '')).toBe(3);
+      expect(resolveCheckpoint([...CHANGE_LOG, CHANGE_LOG[0]], 'Accepted')).toBe(4);
+    });
+
+    it('reports unknown checkpoints as 404', () => {
+      expect(() => resolveCheckpoint(CHANGE_LOG, 4)).toThrow(expect.objectContaining({ status: 404, message: 'Checkpoint 4 does not exist (3 changes)' }));
+      expect(() => resolveCheckpoint(CHANGE_LOG, 'Cancelled')).toThrow(expect.objectContaining({ status: 404 }));
+    });
+  });
+
+  it('lists checkpoints with the entity statuses after each change', async () => {
+    const checkpoints = await listCheckpoints(deltaPath);
+
+    expect(checkpoints.map(({ index, label, statuses }) => ({ index, label, statuses }))).toEqual([
+      { index: 0, label: 'original', statuses: { booking: 'pending', dancer: 'invited' } },
+      { index: 1, label: 'Accepted', statuses: { booking: 'accepted', dancer: 'invited' } },
+      { index: 2, label: 'Priced', statuses: { booking: 'accepted', dancer: 'invited' } },
+      { index: 3, label: 'Completed', statuses: { booking: 'completed', dancer: 'paid' } }
+    ]);
+    expect(checkpoints[3].fields).toEqual(['booking.status', 'dancer.status']);
+  });
+
+  it('materializes the data at a checkpoint', async () => {
+    expect(await materializeCheckpoint(deltaPath, 'Priced')).toEqual({
+      checkpoint: 2,
+      data: { booking: { status: 'accepted', price: 20 }, dancer: { status: 'invited' } }
+    });
+  });
+
+  describe('forkCheckpoint', () => {
+    it('derives fork paths from test data, master and delta files', () => {
+      expect(forkPath('data/shared.json', 'x')).toBe('data/shared-current.x.json');
+      expect(forkPath('data/shared-master.json', 'x')).toBe('data/shared-current.x.json');
+      expect(forkPath('data/shared-current.w1.json', 'x')).toBe('data/shared-current.x.json');
+    });
+
+    it('writes the history up to the checkpoint into a scoped delta', async () => {
+      const fork = await forkCheckpoint(deltaPath, 'Priced');
+
+      expect(fork).toEqual({ path: path.join(dir, 'shared-current.fork-Priced.json'), scope: 'fork-Priced', changes: 2 });
+      expect((await fs.readJson(fork.path))._changeLog).toEqual(CHANGE_LOG.slice(0, 2));
+      expect((await fs.readJson(deltaPath))._changeLog).toHaveLength(3);
+    });
+
+    it('refuses to overwrite an existing fork unless asked (409)', async () => {
+      await forkCheckpoint(deltaPath, 1, { scope: 'retry' });
+
+      await expectError(forkCheckpoint(deltaPath, 2, { scope: 'retry' }), 409, 'already exists');
+      expect((await forkCheckpoint(deltaPath, 2, { scope: 'retry', overwrite: true })).changes).toBe(2);
+    });
+
+    it('refuses to fork a delta onto itself (400)', async () => {
+      const scoped = path.join(dir, 'shared-current.w1.json');
+      await fs.copy(deltaPath, scoped);
+
+      await expectError(forkCheckpoint(scoped, 1, { scope: 'w1' }), 400, 'Fork target is the source delta');
+    });
+  });
+
+  describe('rewindCheckpoint', () => {
+    it('drops the changes after the checkpoint', async () => {
+      expect(await rewindCheckpoint(deltaPath, 'Accepted')).toEqual({ path: deltaPath, changes: 1, dropped: 2 });
+      expect((await fs.readJson(deltaPath))._changeLog).toEqual(CHANGE_LOG.slice(0, 1));
+    });
+
+    it('only rewinds delta files and leaves them alone on unknown checkpoints', async () => {
+      await fs.writeJson(path.join(dir, 'shared.json'), ORIGINAL);
+
+      await expectError(rewindCheckpoint(path.join(dir, 'shared.json'), 0), 400, 'is not a delta file');
+      await expectError(rewindCheckpoint(deltaPath, 'Cancelled'), 404);
+      expect((await fs.readJson(deltaPath))._changeLog).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// packages/api-server/src/services/__tests__/testDataFactory.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  FactoryError,
+  GENERATORS,
+  buildScenario,
+  createRandom,
+  findFactories,
+  loadFactory,
+  parseReferenceDate,
+  scenarioOutputPath,
+  seedScenarios
+} from '../testDataFactory.js';
+
+const FACTORY = {
+  seed: 42,
+  template: {
+    booking: {
+      id: '{{uuid}}',
+      status: 'pending',
+      price: '{{price 50 500}}',
+      date: '{{date +7d 14:30}}',
+      ref: 'BK-{{string 6}}'
+    },
+    dancer: { name: '{{fullName}}', email: '{{email test.dev}}' },
+    tags: ['{{word}}', '{{word}}']
+  },
+  scenarios: {
+    pending: { description: 'Fresh booking' },
+    accepted: { extends: 'pending', overrides: { 'booking.status': 'accepted', 'booking.acceptedAt': '{{date today}}' } },
+    vip: { extends: 'accepted', seed: 7, overrides: { 'booking.type': 'vip' } }
+  }
+};
+
+const REFERENCE = '2026-03-10';
+
+describe('testDataFactory', () => {
+  describe('generators', () => {
+    it('draws the same numbers from the same seed', () => {
+      const a = createRandom('seed');
+      const b = createRandom('seed');
+      const c = createRandom('other');
+
+      const first = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(first);
+      expect([c(), c(), c()]).not.toEqual(first);
+      expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+    });
+
+    it('keeps generated values in range', () => {
+      const rng = createRandom(1);
+      for (let i = 0; i < 50; i++) {
+        const int = GENERATORS.int(rng, {}, '3', '5');
+        expect(int).toBeGreaterThanOrEqual(3);
+        expect(int).toBeLessThanOrEqual(5);
+      }
+      expect(GENERATORS.uuid(rng)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(GENERATORS.email(rng, {}, 'test.dev')).toMatch(/^[a-z.]+\d+@test\.dev$/);
+    });
+
+    it('rejects non-numeric arguments and pick without options', () => {
+      expect(() => GENERATORS.int(createRandom(1), {}, 'low')).toThrow('Expected a number, got "low"');
+      expect(() => GENERATORS.pick(createRandom(1), {})).toThrow(FactoryError);
+    });
+  });
+
+  describe('dates', () => {
+    const date = (...args) => GENERATORS.date(createRandom(1), { referenceDate: parseReferenceDate(REFERENCE) }, ...args);
+
+    it('offsets from the reference date', () => {
+      expect(date()).toBe('2026-03-10T00:00:00.000Z');
+      expect(date('+7d')).toBe('2026-03-17T00:00:00.000Z');
+      expect(date('-2w')).toBe('2026-02-24T00:00:00.000Z');
+      expect(date('+1M+3d')).toBe('2026-04-13T00:00:00.000Z');
+      expect(date('+3h')).toBe('2026-03-10T03:00:00.000Z');
+      expect(date('+1y', '09:15')).toBe('2027-03-10T09:15:00.000Z');
+    });
+
+    it('picks a whole day within a range', () => {
+      const value = new Date(date('+1d', '+30d'));
+
+      expect(value.getUTCHours()).toBe(0);
+      expect(value >= new Date('2026-03-11') && value <= new Date('2026-04-09')).toBe(true);
+    });
+
+    it('rejects invalid offsets and reference dates', () => {
+      expect(() => date('next week')).toThrow('Invalid date offset "next week"');
+      expect(() => date('+7x')).toThrow(FactoryError);
+      expect(() => parseReferenceDate('soon')).toThrow('Invalid reference date "soon" (use YYYY-MM-DD)');
+    });
+  });
+
+  describe('buildScenario', () => {
+    const factory = { ...FACTORY, name: 'booking' };
+
+    it('builds the same data for the same seed and reference date', () => {
+      const first = buildScenario(factory, 'pending', { referenceDate: REFERENCE });
+
+      expect(buildScenario(factory, 'pending', { referenceDate: REFERENCE })).toEqual(first);
+      expect(first).toMatchObject({ seed: 42, referenceDate: REFERENCE });
+      expect(first.data.booking.date).toBe('2026-03-17T14:30:00.000Z');
+      expect(first.data.booking.ref).toMatch(/^BK-[a-z0-9]{6}$/);
+      expect(typeof first.data.booking.price).toBe('number');
+
+      expect(buildScenario(factory, 'pending', { seed: 43, referenceDate: REFERENCE }).data).not.toEqual(first.data);
+      expect(buildScenario(factory, 'pending', { referenceDate: '2026-03-11' }).data.booking.date).toBe('2026-03-18T14:30:00.000Z');
+    });
+
+    it('does not change other fields when a field is added to the template', () => {
+      const before = buildScenario(factory, 'pending', { referenceDate: REFERENCE }).data;
+      const grown = { ...factory, template: { ...factory.template, extra: '{{int}}' } };
+      const after = buildScenario(grown, 'pending', { referenceDate: REFERENCE }).data;
+
+      expect(after.booking).toEqual(before.booking);
+      expect(after.dancer).toEqual(before.dancer);
+    });
+
+    it('applies the overrides of a scenario and its parents', () => {
+      const pending = buildScenario(factory, 'pending', { referenceDate: REFERENCE }).data;
+      const accepted = buildScenario(factory, 'accepted', { referenceDate: REFERENCE }).data;
+      const vip = buildScenario(factory, 'vip', { referenceDate: REFERENCE });
+
+      expect(accepted.booking).toMatchObject({ status: 'accepted', acceptedAt: '2026-03-10T00:00:00.000Z' });
+      expect(vip.seed).toBe(7);
+      expect(vip.data.booking).toMatchObject({ status: 'accepted', type: 'vip' });
+      expect(pending.booking.type).toBeUndefined();
+    });
+
+    it('reports unknown scenarios (404), cycles and unknown generators', () => {
+      const error = (() => { try { buildScenario(factory, 'cancelled'); } catch (e) { return e; } })();
+      expect(error).toBeInstanceOf(FactoryError);
+      expect(error).toMatchObject({ status: 404, message: 'Unknown scenario "cancelled" (available: pending, accepted, vip)' });
+
+      const looping = { ...factory, scenarios: { a: { extends: 'b' }, b: { extends: 'a' } } };
+      expect(() => buildScenario(looping, 'a')).toThrow('Scenario "a" extends itself (a → b → a)');
+
+      const typo = { ...factory, template: { booking: { price: '{{prise 10 20}}' } } };
+      expect(() => buildScenario(typo, 'pending')).toThrow(/Unknown generator \{\{prise\}\} at booking\.price/);
+    });
+  });
+
+  describe('factory files', () => {
+    let projectPath;
+    let factoryPath;
+    let consoleLog;
+
+    beforeEach(async () => {
+      projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'test-data-factory-'));
+      factoryPath = path.join(projectPath, 'tests/data/booking.factory.json');
+      await fs.outputJson(factoryPath, FACTORY);
+      consoleLog = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(async () => {
+      console.log = consoleLog;
+      await fs.remove(projectPath);
+    });
+
+    const expectError = async (promise, status, message) => {
+      const error = await promise.catch(e => e);
+      expect(error).toBeInstanceOf(FactoryError);
+      expect(error.status).toBe(status);
+      if (message) expect(error.message).toContain(message);
+    };
+
+    it('loads factories and defaults the name and scenarios', async () => {
+      const bare = path.join(projectPath, 'tests/data/user.factory.json');
+      await fs.outputJson(bare, { template: { name: '{{firstName}}' } });
+
+      expect(await loadFactory(factoryPath)).toMatchObject({ name: 'booking', seed: 42 });
+      expect((await loadFactory(bare)).scenarios).toEqual({ default: {} });
+    });
+
+    it('reports missing (404), unreadable and template-less factories (422)', async () => {
+      await fs.outputFile(path.join(projectPath, 'broken.factory.json'), '{ nope');
+      await fs.outputJson(path.join(projectPath, 'empty.factory.json'), { scenarios: {} });
+
+      await expectError(loadFactory(path.join(projectPath, 'missing.factory.json')), 404, 'Factory not found');
+      await expectError(loadFactory(path.join(projectPath, 'broken.factory.json')), 422, 'Could not load broken.factory.json');
+      await expectError(loadFactory(path.join(projectPath, 'empty.factory.json')), 422, 'has no template object');
+    });
+
+    it('places output next to the factory or at the configured path', () => {
+      const factory = { ...FACTORY, name: 'booking' };
+
+      expect(scenarioOutputPath(factoryPath, factory, 'vip', projectPath))
+        .toBe(path.join(projectPath, 'tests/data/booking-vip-master.json'));
+      expect(scenarioOutputPath(factoryPath, { ...factory, output: 'fixtures/{name}/{scenario}.json' }, 'vip', projectPath))
+        .toBe(path.join(projectPath, 'fixtures/booking/vip.json'));
+    });
+
+    it('lists factories with their scenarios and load errors', async () => {
+      await fs.outputFile(path.join(projectPath, 'tests/data/broken.factory.json'), '{ nope');
+      await fs.outputJson(path.join(projectPath, 'tests/data/booking-pending-master.json'), {});
+
+      const factories = await findFactories(projectPath);
+
+      expect(factories.map(factory => factory.path)).toEqual(['tests/data/booking.factory.json', 'tests/data/broken.factory.json']);
+      expect(factories[0].scenarios.map(({ name, extends: parent, exists }) => ({ name, parent, exists }))).toEqual([
+        { name: 'pending', parent: null, exists: true },
+        { name: 'accepted', parent: 'pending', exists: false },
+        { name: 'vip', parent: 'accepted', exists: false }
+      ]);
+      expect(factories[1]).toMatchObject({ name: 'broken', scenarios: [] });
+      expect(factories[1].error).toContain('Could not load broken.factory.json');
+
+      expect(await findFactories(projectPath, { testDataFactories: 'tests/data/booking.factory.json' })).toHaveLength(1);
+    });
+
+    it('writes one master file per scenario, reproducibly', async () => {
+      const result = await seedScenarios(projectPath, 'tests/data/booking.factory.json', { referenceDate: REFERENCE });
+
+      expect(result.results.map(entry => entry.path)).toEqual([
+        'tests/data/booking-pending-master.json',
+        'tests/data/booking-accepted-master.json',
+        'tests/data/booking-vip-master.json'
+      ]);
+      const written = await fs.readJson(path.join(projectPath, 'tests/data/booking-vip-master.json'));
+      expect(written._factory).toEqual({ factory: 'tests/data/booking.factory.json', scenario: 'vip', seed: 7, referenceDate: REFERENCE });
+
+      // Regenerating replaces factory-written files with the same data
+      await seedScenarios(projectPath, 'tests/data/booking.factory.json', { scenarios: ['vip'], referenceDate: REFERENCE });
+      expect(await fs.readJson(path.join(projectPath, 'tests/data/booking-vip-master.json'))).toEqual(written);
+    });
+
+    it('previews without writing on a dry run', async () => {
+      const result = await seedScenarios(projectPath, 'tests/data/booking.factory.json', { scenarios: ['pending'], dryRun: true });
+
+      expect(result).toMatchObject({ factory: 'booking', dryRun: true });
+      expect(result.results[0].data.booking.status).toBe('pending');
+      expect(await fs.pathExists(path.join(projectPath, 'tests/data/booking-pending-master.json'))).toBe(false);
+    });
+
+    it('refuses to replace a hand-written master file without force (409)', async () => {
+      const masterPath = path.join(projectPath, 'tests/data/booking-pending-master.json');
+      await fs.outputJson(masterPath, { booking: { status: 'hand-written' } });
+
+      await expectError(
+        seedScenarios(projectPath, 'tests/data/booking.factory.json', { scenarios: ['pending'] }),
+        409,
+        'tests/data/booking-pending-master.json exists and was not generated by a factory'
+      );
+      expect((await fs.readJson(masterPath)).booking.status).toBe('hand-written');
+
+      await seedScenarios(projectPath, 'tests/data/booking.factory.json', { scenarios: ['pending'], force: true });
+      expect((await fs.readJson(masterPath))._factory.scenario).toBe('pending');
+    });
+
+    it('reports unknown scenarios as 404 before writing', async () => {
+      await expectError(
+        seedScenarios(projectPath, 'tests/data/booking.factory.json', { scenarios: ['cancelled'] }),
+        404,
+        'Unknown scenario "cancelled"'
+      );
+      expect(await fs.readdir(path.join(projectPath, 'tests/data'))).toEqual(['booking.factory.json']);
+    });
+  });
+});
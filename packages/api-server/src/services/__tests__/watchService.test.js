@@ -0,0 +1,111 @@
+// packages/api-server/src/services/__tests__/watchService.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ProjectWatcher, acquireWatcher, releaseWatcher } from '../watchService.js';
+import { AnalysisHistory } from '../analysisHistory.js';
+import { ParseCache } from '../parseCache.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending', entity: 'booking' },
+    on: {}
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const FILE = 'tests/implications/PendingBookingImplications.js';
+
+describe('ProjectWatcher', () => {
+  let projectPath;
+  let consoleLog;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+    await fs.outputFile(path.join(projectPath, FILE), PENDING);
+
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    await fs.remove(projectPath);
+  });
+
+  const nextUpdate = watcher => new Promise(resolve => watcher.once('update', resolve));
+
+  describe('scheduleRescan', () => {
+    it('debounces bursts of changes into one rescan of every changed file', async () => {
+      const watcher = new ProjectWatcher(projectPath);
+      const rescans = [];
+      watcher.rescan = () => rescans.push([...watcher.pendingFiles]);
+
+      for (const file of ['a.js', 'b.js', 'a.js']) {
+        watcher.pendingFiles.add(file);
+        watcher.scheduleRescan();
+      }
+      await new Promise(resolve => setTimeout(resolve, 400));
+
+      expect(rescans).toEqual([['a.js', 'b.js']]);
+    });
+  });
+
+  describe('rescan', () => {
+    it('queues changes made during a scan for one more rescan', async () => {
+      const watcher = new ProjectWatcher(projectPath);
+      const updates = [];
+      watcher.on('update', ({ changedFiles }) => updates.push(changedFiles));
+
+      watcher.pendingFiles.add(FILE);
+      const first = watcher.rescan();
+      watcher.pendingFiles.add('tests/implications/Other.js');
+      await watcher.rescan();
+
+      expect(watcher.rescanQueued).toBe(true);
+      await first;
+      await nextUpdate(watcher);
+
+      expect(updates).toEqual([[FILE], ['tests/implications/Other.js']]);
+      expect(watcher.rescanQueued).toBe(false);
+    });
+
+    it('sends the hash of each changed file and does not record analysis history', async () => {
+      const watcher = new ProjectWatcher(projectPath);
+      watcher.pendingFiles.add(FILE);
+      watcher.pendingFiles.add('tests/implications/Deleted.js');
+
+      const update = nextUpdate(watcher);
+      await watcher.rescan();
+      const { hashes, response } = await update;
+
+      expect(hashes).toEqual({ [FILE]: ParseCache.hashContent(PENDING), 'tests/implications/Deleted.js': null });
+      expect(response.files.implications.map(file => file.className)).toEqual(['PendingBookingImplications']);
+      expect(watcher.lastResponse).toBe(response);
+      expect(await new AnalysisHistory(projectPath).list()).toEqual([]);
+    });
+  });
+
+  describe('acquireWatcher / releaseWatcher', () => {
+    it('shares one watcher per project and stops it with its last client', async () => {
+      const first = await acquireWatcher(projectPath);
+      const second = await acquireWatcher(projectPath);
+      expect(second).toBe(first);
+      expect(first.directories).toEqual([path.join(projectPath, 'tests/implications')]);
+
+      await releaseWatcher(projectPath);
+      expect(first.watcher).not.toBeNull();
+
+      await releaseWatcher(projectPath);
+      expect(first.watcher).toBeNull();
+
+      const restarted = await acquireWatcher(projectPath);
+      expect(restarted).not.toBe(first);
+      await releaseWatcher(projectPath);
+    });
+  });
+});
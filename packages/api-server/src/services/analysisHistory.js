@@ -0,0 +1,250 @@
+// packages/api-server/src/services/analysisHistory.js
+
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+
+const ANALYSIS_DIR = '.implications-framework/analysis';
+const INDEX_FILE = 'index.json';
+const MAX_RUNS = 100;
+
+const execFileAsync = promisify(execFile);
+
+// Serialize index read/modify/write per project
+const locks = new Map();
+
+function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  locks.set(key, next);
+  return next.finally(() => {
+    if (locks.get(key) === next) locks.delete(key);
+  });
+}
+
+/**
+ * Output of a git command in the project, or null (not a repo, unknown ref)
+ */
+async function git(projectPath, args) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd: projectPath, timeout: 5000 });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Raised for an unknown run id / git ref; status is the HTTP status to send
+ */
+export class AnalysisHistoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnalysisHistoryError';
+    this.status = status;
+  }
+}
+
+/**
+ * UI coverage as StatsPanel computes it: stateful states with at least one
+ * mirrorsOn screen / all stateful states
+ */
+export function uiCoverageStats(implications = []) {
+  const stateful = implications.filter(imp => imp.metadata?.hasXStateConfig);
+  const withUI = stateful.filter(imp => imp.metadata?.uiCoverage?.total > 0);
+
+  return {
+    statefulStates: stateful.length,
+    statesWithUI: withUI.length,
+    totalScreens: implications.reduce((sum, imp) => sum + (imp.metadata?.uiCoverage?.total || 0), 0),
+    percent: stateful.length > 0 ? Math.round((withUI.length / stateful.length) * 100) : 0
+  };
+}
+
+/**
+ * Issues of `current` that are new, resolved or persisting relative to
+ * `baseline` (both full runs), matched by fingerprint
+ */
+export function diffRuns(current, baseline) {
+  const before = new Map((baseline?.issues || []).map(issue => [issue.fingerprint, issue]));
+  const after = new Map((current?.issues || []).map(issue => [issue.fingerprint, issue]));
+
+  return {
+    new: [...after.values()].filter(issue => !before.has(issue.fingerprint)),
+    resolved: [...before.values()].filter(issue => !after.has(issue.fingerprint)),
+    persisting: [...after.values()].filter(issue => before.has(issue.fingerprint))
+  };
+}
+
+/**
+ * Persisted analysis runs of one project:
+ *
+ *   .implications-framework/analysis/index.json   - run summaries, oldest first
+ *   .implications-framework/analysis/<runId>.json - summary + issue list
+ *
+ * A run is { id, timestamp, git: { commit, branch }, summary, coverage } and
+ * its file adds issues: [{ fingerprint, id, type, severity, ruleId, stateName, title }].
+ */
+export class AnalysisHistory {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.dir = path.join(projectPath, ANALYSIS_DIR);
+    this.indexPath = path.join(this.dir, INDEX_FILE);
+  }
+
+  async loadIndex() {
+    try {
+      const data = await fs.readJson(this.indexPath);
+      return { version: 1, runs: data.runs || [] };
+    } catch (error) {
+      return { version: 1, runs: [] };
+    }
+  }
+
+  async load(runId) {
+    if (!/^[\w-]+$/.test(runId || '')) return null;
+
+    try {
+      return await fs.readJson(path.join(this.dir, `${runId}.json`));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist an analysis run. A scan that changes nothing (same commit,
+   * issues and coverage as the latest run) isn't stored again.
+   *
+   * @returns {Promise<{ run, baseline, recorded }>} baseline = latest run before this scan
+   */
+  async record(analysisResult, discoveryResult) {
+    return withLock(this.indexPath, async () => {
+      const index = await this.loadIndex();
+      const latestSummary = index.runs[index.runs.length - 1];
+      const latest = latestSummary ? await this.load(latestSummary.id) : null;
+
+      const [commit, branch] = await Promise.all([
+        git(this.projectPath, ['rev-parse', 'HEAD']),
+        git(this.projectPath, ['rev-parse', '--abbrev-ref', 'HEAD'])
+      ]);
+
+      const { summary } = analysisResult;
+      const timestamp = new Date().toISOString();
+      const run = {
+        id: `${timestamp.replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(3).toString('hex')}`,
+        timestamp,
+        git: { commit, branch },
+        summary: {
+          totalIssues: summary.totalIssues,
+          errorCount: summary.errorCount,
+          warningCount: summary.warningCount,
+          infoCount: summary.infoCount,
+          suppressedCount: summary.suppressedCount || 0
+        },
+        coverage: uiCoverageStats(discoveryResult.files?.implications),
+        issues: analysisResult.issues.map(issue => ({
+          fingerprint: issue.fingerprint,
+          id: issue.id,
+          type: issue.type,
+          severity: issue.severity,
+          ruleId: issue.ruleId,
+          stateName: issue.stateName,
+          title: issue.title
+        }))
+      };
+
+      if (latest && this.isSameRun(latest, run)) {
+        return { run: latest, baseline: latest, recorded: false };
+      }
+
+      await fs.ensureDir(this.dir);
+      await fs.writeJson(path.join(this.dir, `${run.id}.json`), run, { spaces: 2 });
+
+      const { issues, ...runSummary } = run;
+      index.runs.push(runSummary);
+
+      for (const old of index.runs.splice(0, Math.max(0, index.runs.length - MAX_RUNS))) {
+        await fs.remove(path.join(this.dir, `${old.id}.json`));
+      }
+
+      await fs.writeJson(this.indexPath, index, { spaces: 2 });
+      return { run, baseline: latest, recorded: true };
+    });
+  }
+
+  isSameRun(a, b) {
+    const fingerprints = (run) => run.issues.map(issue => `${issue.fingerprint}:${issue.severity}`).sort().join(',');
+    return a.git?.commit === b.git?.commit &&
+      a.coverage?.percent === b.coverage?.percent &&
+      a.coverage?.totalScreens === b.coverage?.totalScreens &&
+      fingerprints(a) === fingerprints(b);
+  }
+
+  /**
+   * Run summaries for charts, oldest first
+   */
+  async list({ limit = 30 } = {}) {
+    const { runs } = await this.loadIndex();
+    return runs.slice(-limit);
+  }
+
+  /**
+   * Run to compare against:
+   *   undefined / 'previous' → the run before the latest
+   *   a run id               → that run
+   *   anything else          → a git ref; the latest run recorded at that commit
+   */
+  async resolveBaseline(since, runs) {
+    const latest = runs[runs.length - 1];
+
+    if (!since || since === 'previous') {
+      const previous = runs[runs.length - 2];
+      return previous ? this.load(previous.id) : null;
+    }
+
+    if (runs.some(run => run.id === since)) {
+      return this.load(since);
+    }
+
+    const commit = await git(this.projectPath, ['rev-parse', '--verify', `${since}^{commit}`]);
+    if (!commit) {
+      throw new AnalysisHistoryError(`Unknown analysis run or git ref: ${since}`, 404);
+    }
+
+    const atCommit = runs.filter(run => run.git?.commit === commit && run.id !== latest?.id).pop();
+    if (!atCommit) {
+      throw new AnalysisHistoryError(`No analysis was recorded at ${since} (${commit.slice(0, 8)})`, 404);
+    }
+
+    return this.load(atCommit.id);
+  }
+
+  /**
+   * New / resolved / persisting issues of the latest run since `since`
+   */
+  async compare(since) {
+    const { runs } = await this.loadIndex();
+    const latestSummary = runs[runs.length - 1];
+    if (!latestSummary) {
+      throw new AnalysisHistoryError('No analysis has been recorded for this project yet - run a scan first', 404);
+    }
+
+    const current = await this.load(latestSummary.id);
+    const baseline = await this.resolveBaseline(since, runs);
+    const diff = diffRuns(current, baseline);
+    const strip = (run) => run && (({ issues, ...rest }) => rest)(run);
+
+    return {
+      current: strip(current),
+      baseline: strip(baseline),
+      counts: {
+        new: diff.new.length,
+        resolved: diff.resolved.length,
+        persisting: diff.persisting.length
+      },
+      ...diff
+    };
+  }
+}
@@ -357,7 +357,9 @@ export function extractXStateTransitions(parsed, className) {
                       let targetState = null;
                       let platforms = null;
                       let requires = null;
+                      let conditions = null;
                       let isObserver = false;
+                      let isDefault = false;
                       let mode = null;
                       
                       // Extract target
@@ -389,6 +391,18 @@ export function extractXStateTransitions(parsed, className) {
                         console.log(`         🔒 Variant ${index + 1} requires:`, requires);
                       }
                       
+                      // Extract conditions (block-based system)
+                      const conditionsProp = element.properties.find(p => p.key?.name === 'conditions');
+                      if (conditionsProp) {
+                        conditions = extractValueFromNode(conditionsProp.value);
+                      }
+                      
+                      // Extract isDefault (planner's pick among ambiguous variants)
+                      const isDefaultProp = element.properties.find(p => p.key?.name === 'isDefault');
+                      if (isDefaultProp?.value?.type === 'BooleanLiteral') {
+                        isDefault = isDefaultProp.value.value;
+                      }
+                      
                       // ✅ NEW: Extract isObserver
                       const isObserverProp = element.properties.find(p => p.key?.name === 'isObserver');
                       if (isObserverProp?.value?.type === 'BooleanLiteral') {
@@ -416,7 +430,9 @@ export function extractXStateTransitions(parsed, className) {
                           event: eventName,
                           platforms: platforms,
                           requires: requires,
+                          conditions: conditions,
                           isObserver: isObserver,
+                          isDefault: isDefault,
                           mode: mode
                         });
                       }
@@ -432,6 +448,7 @@ export function extractXStateTransitions(parsed, className) {
                 let requires = null;
                 let conditions = null;
                 let isObserver = false;
+                let isDefault = false;
                 let mode = null;
                 
                 // Handle different formats
@@ -503,6 +520,14 @@ export function extractXStateTransitions(parsed, className) {
                     console.log(`      🔒 Found conditions for ${eventName}:`, conditions?.blocks?.length || 0, 'blocks');
                   }
                   
+                  // Extract isDefault (planner's pick among ambiguous variants)
+                  const isDefaultProp = transitionProp.value.properties.find(
+                    p => p.key?.name === 'isDefault'
+                  );
+                  if (isDefaultProp?.value?.type === 'BooleanLiteral') {
+                    isDefault = isDefaultProp.value.value;
+                  }
+                  
                   // ✅ NEW: Extract isObserver
                   const isObserverProp = transitionProp.value.properties.find(
                     p => p.key?.name === 'isObserver'
@@ -537,6 +562,7 @@ export function extractXStateTransitions(parsed, className) {
                     requires: requires,
                     conditions: conditions,
                     isObserver: isObserver,
+                    isDefault: isDefault,
                     mode: mode
                   });
                 }
@@ -576,6 +602,7 @@ export function extractXStateMetadata(content) {
     requiredFields: [],
     requires: null,
     setup: null,
+    entryAssignments: null, // { field: value } set on entering the state (see extractEntryAssignments)
     xstateConfig: null  // ✅ ADD THIS!
   };
   
@@ -608,6 +635,9 @@ export function extractXStateMetadata(content) {
                 fullConfig.id = extractValueFromNode(prop.value);
               } else if (key === 'entry') {
                 fullConfig.entry = extractValueFromNode(prop.value);
+                metadata.entryAssignments = extractEntryAssignments(prop.value);
+              } else if (key === 'type') {
+                fullConfig.type = extractValueFromNode(prop.value);
               } else if (key === 'on' && prop.value?.type === 'ObjectExpression') {
                 // ✅ Extract transitions from 'on'
                 prop.value.properties.forEach(transitionProp => {
@@ -678,7 +708,44 @@ export function extractXStateMetadata(content) {
 
 
 /**
- * Extract UI implications from mirrorsOn.UI
+ * Fields assigned when entering a state, from any of:
+ *   entry: { status: 'Accepted', acceptedAt: '{{timestamp}}' }
+ *   entry: assign({ status: 'Accepted' })
+ *   entry: assign((ctx) => ({ status: 'Accepted' }))
+ *   entry: [assign({ ... }), 'logEntry']
+ *
+ * Non-literal values come back as '<function>' / '<call>' (see
+ * extractValueFromNode). Returns null when nothing can be read statically.
+ */
+function extractEntryAssignments(node) {
+  if (!node) return null;
+
+  if (node.type === 'ArrayExpression') {
+    const merged = node.elements.reduce(
+      (acc, element) => Object.assign(acc, extractEntryAssignments(element)),
+      {}
+    );
+    return Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  if (node.type === 'ObjectExpression') {
+    return extractValueFromNode(node);
+  }
+
+  if (node.type === 'CallExpression' && node.callee?.name === 'assign') {
+    let arg = node.arguments[0];
+    if (arg?.type === 'ArrowFunctionExpression') {
+      arg = arg.body;
+    }
+    return arg?.type === 'ObjectExpression' ? extractValueFromNode(arg) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Extract UI implications from mirrorsOn.UI (or, for stateless CMS
+ * implications, platforms directly under mirrorsOn)
  * NOW with caching support
  */
 export async function extractUIImplications(content, projectPath, cache = {}) {
@@ -847,6 +914,24 @@ export async function extractUIImplications(content, projectPath, cache = {}) {
                   });
                 }
               });
+            } else if (!uiProperty) {
+              // Stateless (CMS) pattern: platforms directly under mirrorsOn,
+              // one screen each - { CMS: { screen: 'addLandingPage', checks }, Web: {...} }
+              value.properties.forEach(platformProp => {
+                const platformName = platformProp.key?.name || platformProp.key?.value;
+                if (!platformName || platformProp.value?.type !== 'ObjectExpression') return;
+                
+                const def = extractScreenDefinition(platformProp.value);
+                const screenName = def.screen || platformName;
+                console.log(`\n📱 Processing CMS platform: ${platformName} (screen: ${screenName})`);
+                
+                uiData.platforms[platformName] = {
+                  name: platformName,
+                  screens: { [screenName]: [def] },
+                  total: 1
+                };
+                uiData.total += 1;
+              });
             }
           }
         }
@@ -950,9 +1035,10 @@ function normalizeUIData(platforms) {
 /**
  * Find class file in project
  */
-async function findClassFile(className, projectPath, cache) {
+async function findClassFile(className, projectPath, cache = {}) {
   // Check cache first
   if (cache.classFiles && cache.classFiles[className]) {
+    cache.dependencies?.add(cache.classFiles[className]);
     return cache.classFiles[className];
   }
   
@@ -978,6 +1064,9 @@ async function findClassFile(className, projectPath, cache) {
       if (!cache.classFiles) cache.classFiles = {};
       cache.classFiles[className] = filePath;
       
+      // Track for incremental discovery (dependents re-parse when this file changes)
+      cache.dependencies?.add(filePath);
+      
       return filePath;
     }
   }
@@ -2285,7 +2374,7 @@ async function resolveSpreadOperator(spreadNode, projectPath, cache) {
     const propertyPath = chain.slice(2);
     
     // Load the class file
-    const classFile = await findClassFile(className, projectPath);
+    const classFile = await findClassFile(className, projectPath, cache);
     if (!classFile) {
       console.warn(`   ⚠️  Could not find ${className}`);
       return null;
@@ -2397,6 +2486,73 @@ export function extractXStateContext(content) {
   return contextFields;
 }
 
+/**
+ * Extract static SCENARIOS of a stateless (CMS) implication:
+ *   static SCENARIOS = { MINIMAL: { title: 'x' }, ROMANTIC }
+ * Shorthand entries, identifier values and `...spreads` are resolved
+ * against top-level const declarations in the same file.
+ *
+ * @returns {Object} { SCENARIO_NAME: data } (empty when there are none)
+ */
+export function extractScenarios(content) {
+  const scenarios = {};
+
+  try {
+    const ast = parse(content, {
+      sourceType: 'module',
+      plugins: ['jsx', 'classProperties', 'objectRestSpread'],
+    });
+
+    // Top-level `const NAME = ...` initializers
+    const constants = {};
+    ast.program.body
+      .filter(node => node.type === 'VariableDeclaration')
+      .flatMap(node => node.declarations)
+      .forEach(decl => {
+        if (decl.id?.type === 'Identifier' && decl.init) {
+          constants[decl.id.name] = decl.init;
+        }
+      });
+
+    const resolve = (node, seen = new Set()) => {
+      if (node?.type === 'Identifier' && constants[node.name] && !seen.has(node.name)) {
+        return resolve(constants[node.name], new Set([...seen, node.name]));
+      }
+      if (node?.type !== 'ObjectExpression') {
+        return extractValueFromNode(node);
+      }
+
+      const obj = {};
+      node.properties.forEach(prop => {
+        if (prop.type === 'SpreadElement') {
+          const spread = resolve(prop.argument, seen);
+          if (spread && typeof spread === 'object') Object.assign(obj, spread);
+        } else if (prop.key) {
+          const value = resolve(prop.value, seen);
+          if (value !== undefined) obj[prop.key.name || prop.key.value] = value;
+        }
+      });
+      return obj;
+    };
+
+    traverse.default(ast, {
+      ClassProperty(path) {
+        if (path.node.key?.name === 'SCENARIOS' && path.node.static) {
+          const value = resolve(path.node.value);
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(scenarios, value);
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error extracting SCENARIOS:', error.message);
+  }
+
+  return scenarios;
+}
+
 /**
  * âœ… ENHANCED: Extract complete XState structure
  * Returns: { context, states, meta, transitions }
@@ -0,0 +1,317 @@
+// packages/api-server/src/services/changeHistory.js
+
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { createTwoFilesPatch } from 'diff';
+import { FileTransaction } from './fileTransaction.js';
+
+const HISTORY_DIR = '.implications-framework/history';
+const HISTORY_FILE = 'changes.json';
+const MAX_ENTRIES = 50;
+
+// Serialize history read/modify/write per project
+const locks = new Map();
+
+function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  locks.set(key, next);
+  return next.finally(() => {
+    if (locks.get(key) === next) locks.delete(key);
+  });
+}
+
+async function readOrNull(filePath) {
+  return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+/**
+ * Find the project root for a source file: nearest directory with
+ * ai-testing.config.js, then .implications-framework, then package.json.
+ */
+export function findProjectRoot(filePath) {
+  const markers = ['ai-testing.config.js', '.implications-framework', 'package.json'];
+
+  for (const marker of markers) {
+    let dir = path.dirname(path.resolve(filePath));
+    while (true) {
+      if (fs.existsSync(path.join(dir, marker))) return dir;
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+
+  return path.dirname(path.resolve(filePath));
+}
+
+/**
+ * Error raised when undo/redo would overwrite edits made after the change
+ */
+export class HistoryConflictError extends Error {
+  constructor(message, conflicts) {
+    super(message);
+    this.name = 'HistoryConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Persistent undo/redo stacks of source changesets for one project.
+ *
+ * A changeset is { id, endpoint, author, timestamp, summary, files: [{ path, before, after }] }
+ * with paths relative to the project and null content meaning "file absent".
+ */
+export class ChangeHistory {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.historyPath = path.join(projectPath, HISTORY_DIR, HISTORY_FILE);
+  }
+
+  async load() {
+    try {
+      const data = await fs.readJson(this.historyPath);
+      return { version: 1, undo: data.undo || [], redo: data.redo || [] };
+    } catch (error) {
+      return { version: 1, undo: [], redo: [] };
+    }
+  }
+
+  async save(data) {
+    await fs.ensureDir(path.dirname(this.historyPath));
+    await fs.writeJson(this.historyPath, data, { spaces: 2 });
+  }
+
+  /**
+   * Push a new changeset; clears the redo stack
+   */
+  async record(changeset) {
+    return withLock(this.historyPath, async () => {
+      const data = await this.load();
+      data.undo.push(changeset);
+      if (data.undo.length > MAX_ENTRIES) {
+        data.undo = data.undo.slice(-MAX_ENTRIES);
+      }
+      data.redo = [];
+      await this.save(data);
+      return changeset;
+    });
+  }
+
+  /**
+   * Stacks without file contents (newest first)
+   */
+  async list() {
+    const data = await this.load();
+    const strip = ({ files, ...entry }) => ({
+      ...entry,
+      files: files.map(f => ({
+        path: f.path,
+        change: f.before === null ? 'created' : f.after === null ? 'deleted' : 'modified'
+      }))
+    });
+
+    return {
+      undo: data.undo.map(strip).reverse(),
+      redo: data.redo.map(strip).reverse()
+    };
+  }
+
+  async undo(options = {}) {
+    return this.move('undo', 'redo', 'before', 'after', options);
+  }
+
+  async redo(options = {}) {
+    return this.move('redo', 'undo', 'after', 'before', options);
+  }
+
+  /**
+   * Pop from one stack, restore the chosen side of every file, push to the other.
+   * Refuses (HistoryConflictError) if a file no longer matches the expected
+   * content, unless options.force is set.
+   */
+  async move(fromStack, toStack, restoreSide, expectSide, options) {
+    return withLock(this.historyPath, async () => {
+      const data = await this.load();
+      const changeset = data[fromStack][data[fromStack].length - 1];
+
+      if (!changeset) {
+        return null;
+      }
+
+      const conflicts = [];
+      for (const file of changeset.files) {
+        const current = await readOrNull(path.join(this.projectPath, file.path));
+        if (current !== file[expectSide]) {
+          conflicts.push(file.path);
+        }
+      }
+
+      if (conflicts.length > 0 && !options.force) {
+        throw new HistoryConflictError(
+          `Cannot ${fromStack} "${changeset.summary}": ${conflicts.length} file(s) changed since`,
+          conflicts
+        );
+      }
+
+      for (const file of changeset.files) {
+        const absolutePath = path.join(this.projectPath, file.path);
+        const content = file[restoreSide];
+
+        if (content === null) {
+          await fs.remove(absolutePath);
+        } else {
+          await fs.ensureDir(path.dirname(absolutePath));
+          await fs.writeFile(absolutePath, content, 'utf-8');
+        }
+      }
+
+      data[fromStack].pop();
+      data[toStack].push(changeset);
+      await this.save(data);
+
+      console.log(`↩️  ${fromStack}: ${changeset.summary} (${changeset.files.length} file(s))`);
+      return changeset;
+    });
+  }
+}
+
+/**
+ * Collects the files touched by one request so they can be recorded as
+ * a single reversible changeset.
+ *
+ *   const changeset = new Changeset(req, 'update-ui');
+ *   await changeset.write(filePath, output.code);
+ *   await changeset.commit(`Update UI in ${className}`);
+ *
+ * With `preview: true` in the request body, writes are only staged in
+ * memory and `diffs()` returns a unified diff per touched file.
+ *
+ * With `{ atomic: true }`, writes are staged until commit() and then
+ * applied as one FileTransaction (all files or none).
+ */
+export class Changeset {
+  constructor(req, endpoint, options = {}) {
+    this.endpoint = endpoint;
+    this.author = req.body?.author || req.get?.('X-User') || os.userInfo().username;
+    this.projectPath = req.body?.projectPath || null;
+    this.preview = req.body?.preview === true;
+    this.atomic = options.atomic === true;
+    this.before = new Map();
+    this.staged = new Map();
+  }
+
+  /**
+   * Snapshot a file before something else (e.g. a rewriter) modifies it
+   */
+  async track(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!this.before.has(absolutePath)) {
+      this.before.set(absolutePath, await readOrNull(absolutePath));
+    }
+  }
+
+  async write(filePath, content) {
+    await this.track(filePath);
+
+    if (this.preview || this.atomic) {
+      this.staged.set(path.resolve(filePath), content);
+      return;
+    }
+
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+
+  /**
+   * Delete a file (staged like write() in preview/atomic mode)
+   */
+  async remove(filePath) {
+    await this.track(filePath);
+
+    if (this.preview || this.atomic) {
+      this.staged.set(path.resolve(filePath), null);
+      return;
+    }
+
+    await fs.remove(filePath);
+  }
+
+  /**
+   * Unified diff per staged file (preview mode)
+   */
+  diffs() {
+    const [firstFile] = this.before.keys();
+    const projectPath = this.projectPath || (firstFile ? findProjectRoot(firstFile) : process.cwd());
+
+    return [...this.staged].map(([absolutePath, after]) => {
+      const before = this.before.get(absolutePath);
+      const relativePath = path.relative(projectPath, absolutePath);
+
+      return {
+        filePath: absolutePath,
+        path: relativePath,
+        change: before === null ? 'created' : after === null ? 'deleted' : 'modified',
+        unchanged: before === after,
+        diff: createTwoFilesPatch(
+          before === null ? '/dev/null' : `a/${relativePath}`,
+          after === null ? '/dev/null' : `b/${relativePath}`,
+          before || '',
+          after || ''
+        )
+      };
+    });
+  }
+
+  /**
+   * Standard preview response body
+   */
+  previewResponse(extra = {}) {
+    return { success: true, preview: true, ...extra, diffs: this.diffs() };
+  }
+
+  /**
+   * Apply staged writes (atomic mode) and record the changeset
+   * (files whose content actually changed). Throws TransactionError if
+   * an atomic write fails - nothing is recorded then.
+   */
+  async commit(summary) {
+    if (this.preview || this.before.size === 0) return null;
+
+    if (this.atomic && this.staged.size > 0) {
+      await new FileTransaction(this.staged).commit();
+    }
+
+    const [firstFile] = this.before.keys();
+    const projectPath = this.projectPath || findProjectRoot(firstFile);
+    const files = [];
+
+    for (const [absolutePath, before] of this.before) {
+      const after = await readOrNull(absolutePath);
+      if (after === before) continue;
+      files.push({ path: path.relative(projectPath, absolutePath), before, after });
+    }
+
+    if (files.length === 0) return null;
+
+    const changeset = {
+      id: crypto.randomUUID(),
+      endpoint: this.endpoint,
+      author: this.author,
+      timestamp: new Date().toISOString(),
+      summary: summary || this.endpoint,
+      files
+    };
+
+    try {
+      await new ChangeHistory(projectPath).record(changeset);
+    } catch (error) {
+      // The edit itself succeeded - don't fail the request over history
+      console.warn('⚠️  Could not record change history:', error.message);
+      return null;
+    }
+
+    return changeset.id;
+  }
+}
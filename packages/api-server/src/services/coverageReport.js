@@ -0,0 +1,400 @@
+// packages/api-server/src/services/coverageReport.js
+
+import path from 'path';
+import fs from 'fs-extra';
+import { LockService } from './lockService.js';
+
+// Playwright JSON reporter / jest --json output, relative to the project
+const DEFAULT_RESULT_FILES = [
+  'test-results/results.json',
+  'playwright-report/results.json',
+  'test-results.json'
+];
+
+/**
+ * Normalize setup (array or single object) to an array
+ */
+function getSetupEntries(implication) {
+  const setup = implication.metadata?.setup || implication.metadata?.xstateConfig?.meta?.setup;
+  return Array.isArray(setup) ? setup : (setup ? [setup] : []);
+}
+
+const lower = (value) => String(value || '').toLowerCase();
+
+/**
+ * Number of UI checks in one platform's mirrorsOn screens
+ * (visible/hidden/truthy/falsy/assertions lists + checks.*)
+ */
+function countValidations(screens = {}) {
+  let count = 0;
+
+  for (const entries of Object.values(screens)) {
+    for (const screen of Array.isArray(entries) ? entries : [entries]) {
+      if (!screen || typeof screen !== 'object') continue;
+
+      for (const key of ['visible', 'hidden', 'truthy', 'falsy', 'assertions']) {
+        if (Array.isArray(screen[key])) count += screen[key].length;
+      }
+
+      const checks = screen.checks || {};
+      for (const key of ['visible', 'hidden']) {
+        if (Array.isArray(checks[key])) count += checks[key].length;
+      }
+      for (const key of ['text', 'contains']) {
+        if (checks[key] && typeof checks[key] === 'object') count += Object.keys(checks[key]).length;
+      }
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Playwright JSON reporter: suites[].specs[].tests[].results[], nested suites
+ */
+function collectPlaywrightResults(suites, into) {
+  for (const suite of suites || []) {
+    for (const spec of suite.specs || []) {
+      const file = spec.file || suite.file;
+      if (!file) continue;
+
+      const results = (spec.tests || []).flatMap(test => test.results || []);
+      const skipped = (spec.tests || []).every(test => test.status === 'skipped');
+      const at = results.map(r => r.startTime).filter(Boolean).sort().pop() || null;
+
+      into.push({
+        file,
+        status: spec.ok === false ? 'failed' : (skipped ? 'skipped' : 'passed'),
+        at
+      });
+    }
+    collectPlaywrightResults(suite.suites, into);
+  }
+}
+
+/**
+ * Last result per spec file name, from the test reporter output files
+ * (config.coverage.testResults, or the default reporter locations).
+ *
+ * @returns {Promise<Map<string, { status, at, source }>>} keyed by file name
+ */
+export async function loadTestResults(projectPath, config = {}) {
+  const configured = config?.coverage?.testResults;
+  const files = configured
+    ? (Array.isArray(configured) ? configured : [configured])
+    : DEFAULT_RESULT_FILES;
+
+  const byFile = new Map();
+
+  for (const file of files) {
+    const resultsPath = path.resolve(projectPath, file);
+
+    let data;
+    let mtime;
+    try {
+      data = await fs.readJson(resultsPath);
+      mtime = (await fs.stat(resultsPath)).mtime.toISOString();
+    } catch (error) {
+      continue;
+    }
+
+    const entries = [];
+    if (Array.isArray(data.suites)) {
+      collectPlaywrightResults(data.suites, entries);
+    }
+    if (Array.isArray(data.testResults)) {
+      for (const result of data.testResults) {
+        entries.push({
+          file: result.name || result.testFilePath,
+          status: result.status === 'failed' ? 'failed' : 'passed',
+          at: result.startTime ? new Date(result.startTime).toISOString() : null
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      const key = path.basename(entry.file);
+      const result = { status: entry.status, at: entry.at || mtime, source: file };
+      const previous = byFile.get(key);
+
+      // Several results for one file: newest run wins, a failure wins within a run
+      if (!previous || result.at > previous.at ||
+          (result.at === previous.at && result.status === 'failed')) {
+        byFile.set(key, result);
+      }
+    }
+  }
+
+  return byFile;
+}
+
+/**
+ * Cell status: failing if a spec's last run failed, covered when both UI
+ * checks and a generated spec exist, partial with only one of them
+ */
+function cellStatus(ui, specs) {
+  if (specs.some(spec => spec.result?.status === 'failed')) return 'failing';
+
+  const hasUI = ui.validations > 0;
+  const hasSpec = specs.some(spec => spec.exists);
+  if (hasUI && hasSpec) return 'covered';
+  return hasUI || hasSpec ? 'partial' : 'missing';
+}
+
+/**
+ * States × platforms and transitions × platforms with, per cell, the UI
+ * validation count, the generated specs (present on disk, locked, last
+ * test result) and an overall status.
+ *
+ * Rows are stateful implications and their transitions; a cell is null when
+ * the state/transition doesn't apply to that platform. Transition cells count
+ * the target state's UI checks, since that's what the transition test verifies.
+ *
+ * @param {string} projectPath - Project root
+ * @param {Object} discoveryResult - From discoverProject()
+ * @param {Object} config - Project config (paths.implications, coverage.testResults)
+ * @returns {Promise<Object>} { generatedAt, projectPath, platforms, states, transitions, summary }
+ */
+export async function buildCoverageMatrix(projectPath, discoveryResult, config = {}) {
+  const implications = (discoveryResult.files?.implications || [])
+    .filter(imp => imp.metadata?.hasXStateConfig);
+
+  const lockService = new LockService(projectPath, config);
+  const [testResults, locks] = await Promise.all([
+    loadTestResults(projectPath, config),
+    lockService.loadLocks()
+  ]);
+
+  // Platform display names, keyed case-insensitively
+  const platformNames = new Map();
+  const addPlatform = (name) => {
+    if (name && !platformNames.has(lower(name))) platformNames.set(lower(name), name);
+  };
+
+  const findImplication = (name) => implications.find(imp =>
+    lower(imp.metadata.status) === lower(name) ||
+    lower(imp.metadata.className) === lower(name) ||
+    lower(imp.metadata.xstateConfig?.id) === lower(name)
+  );
+
+  // Per state: UI checks and setup entries by platform
+  const stateInfo = new Map();
+  for (const imp of implications) {
+    const ui = new Map();
+    for (const [platform, data] of Object.entries(imp.metadata.uiCoverage?.platforms || {})) {
+      addPlatform(platform);
+      ui.set(lower(platform), {
+        screens: Object.keys(data?.screens || {}).length,
+        validations: countValidations(data?.screens)
+      });
+    }
+
+    const setup = getSetupEntries(imp);
+    setup.forEach(entry => addPlatform(entry.platform));
+    (imp.metadata.platforms || []).forEach(addPlatform);
+
+    stateInfo.set(imp.metadata.className, { ui, setup });
+  }
+
+  const transitions = discoveryResult.transitions || [];
+  transitions.forEach(t => (t.platforms || []).forEach(addPlatform));
+
+  const platforms = [...platformNames.keys()];
+
+  const describeSpec = (entry) => {
+    const testFile = lockService._normalizePath(entry.testFile);
+    const lock = locks.locks?.[testFile];
+    return {
+      testFile,
+      actionName: entry.actionName || null,
+      previousStatus: entry.previousStatus || null,
+      exists: fs.existsSync(path.join(projectPath, testFile)),
+      locked: lock?.locked === true,
+      result: testResults.get(path.basename(testFile)) || null
+    };
+  };
+
+  const forPlatform = (entries, platform) => entries
+    .filter(entry => entry.testFile && (!entry.platform || lower(entry.platform) === platform));
+
+  const makeCell = (ui, specs) => {
+    const uiCounts = ui || { screens: 0, validations: 0 };
+    return { ui: uiCounts, specs, status: cellStatus(uiCounts, specs) };
+  };
+
+  const states = implications.map(imp => {
+    const { ui, setup } = stateInfo.get(imp.metadata.className);
+    const statePlatforms = new Set([
+      ...ui.keys(),
+      ...setup.map(entry => lower(entry.platform)).filter(Boolean),
+      ...(imp.metadata.platforms || []).map(lower)
+    ]);
+
+    const cells = {};
+    for (const platform of platforms) {
+      // No platform info at all → the state is expected everywhere
+      cells[platform] = statePlatforms.size === 0 || statePlatforms.has(platform)
+        ? makeCell(ui.get(platform), forPlatform(setup, platform).map(describeSpec))
+        : null;
+    }
+
+    return {
+      className: imp.metadata.className,
+      status: imp.metadata.status || imp.metadata.className,
+      file: imp.path,
+      cells
+    };
+  });
+
+  const transitionRows = transitions.map(transition => {
+    const target = findImplication(transition.to);
+    const targetInfo = target ? stateInfo.get(target.metadata.className) : null;
+    const setup = (targetInfo?.setup || [])
+      .filter(entry => lower(entry.previousStatus) === lower(transition.from));
+
+    const applies = transition.platforms?.length
+      ? new Set(transition.platforms.map(lower))
+      : null;
+
+    const cells = {};
+    for (const platform of platforms) {
+      cells[platform] = !applies || applies.has(platform)
+        ? makeCell(targetInfo?.ui.get(platform), forPlatform(setup, platform).map(describeSpec))
+        : null;
+    }
+
+    return {
+      from: transition.from,
+      to: transition.to,
+      event: transition.event,
+      targetFound: !!target,
+      cells
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    projectPath,
+    platforms: platforms.map(key => ({ key, name: platformNames.get(key) })),
+    states,
+    transitions: transitionRows,
+    summary: summarize(platforms, [...states, ...transitionRows])
+  };
+}
+
+/**
+ * Cell counts per platform and in total
+ */
+function summarize(platforms, rows) {
+  const empty = () => ({ cells: 0, covered: 0, partial: 0, missing: 0, failing: 0, withUI: 0, withSpec: 0, locked: 0 });
+  const total = empty();
+  const byPlatform = Object.fromEntries(platforms.map(platform => [platform, empty()]));
+
+  for (const row of rows) {
+    for (const [platform, cell] of Object.entries(row.cells)) {
+      if (!cell) continue;
+
+      for (const counts of [total, byPlatform[platform]]) {
+        counts.cells++;
+        counts[cell.status]++;
+        if (cell.ui.validations > 0) counts.withUI++;
+        if (cell.specs.some(spec => spec.exists)) counts.withSpec++;
+        if (cell.specs.some(spec => spec.locked)) counts.locked++;
+      }
+    }
+  }
+
+  total.percent = total.cells > 0 ? Math.round((total.covered / total.cells) * 100) : 0;
+  return { total, byPlatform };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const RESULT_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+function renderCell(cell) {
+  if (!cell) {
+    return '<td class="na">—</td>';
+  }
+
+  const specs = cell.specs.map(spec => {
+    const result = spec.result
+      ? `${RESULT_ICONS[spec.result.status] || ''} ${escapeHtml(spec.result.status)}${spec.result.at ? ` <span class="muted">${escapeHtml(spec.result.at.slice(0, 16).replace('T', ' '))}</span>` : ''}`
+      : '<span class="muted">not run</span>';
+
+    return `<div class="spec" title="${escapeHtml(spec.testFile)}">` +
+      `${spec.exists ? '📄' : '<span class="warn">📄 missing</span>'}${spec.locked ? ' 🔒' : ''} ${result}</div>`;
+  }).join('');
+
+  return `<td class="${cell.status}">` +
+    `<div>🖥️ ${cell.ui.validations} check(s) <span class="muted">· ${cell.ui.screens} screen(s)</span></div>` +
+    (specs || '<div class="muted">no spec</div>') +
+    '</td>';
+}
+
+/**
+ * Standalone HTML page (inline CSS, no scripts) for a coverage matrix
+ */
+export function renderCoverageHtml(matrix) {
+  const { platforms, summary } = matrix;
+  const header = platforms.map(p => `<th>${escapeHtml(p.name)}</th>`).join('');
+
+  const stateRows = matrix.states.map(row =>
+    `<tr><th class="row" title="${escapeHtml(row.file)}">${escapeHtml(row.status)}<div class="muted">${escapeHtml(row.className)}</div></th>` +
+    platforms.map(p => renderCell(row.cells[p.key])).join('') + '</tr>'
+  ).join('\n');
+
+  const transitionRows = matrix.transitions.map(row =>
+    `<tr><th class="row">${escapeHtml(row.from)} → ${escapeHtml(row.to)}<div class="muted">${escapeHtml(row.event)}${row.targetFound ? '' : ' · <span class="warn">target not found</span>'}</div></th>` +
+    platforms.map(p => renderCell(row.cells[p.key])).join('') + '</tr>'
+  ).join('\n');
+
+  const platformSummary = platforms.map(p => {
+    const counts = summary.byPlatform[p.key];
+    return `<li><strong>${escapeHtml(p.name)}</strong>: ${counts.covered}/${counts.cells} covered, ${counts.failing} failing, ${counts.missing} missing, ${counts.locked} locked</li>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Coverage Matrix - ${escapeHtml(path.basename(matrix.projectPath))}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 24px; color: #1f2937; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 10px; vertical-align: top; }
+  th.row { text-align: left; white-space: nowrap; background: #f9fafb; }
+  tr.group th { background: #eef2ff; text-align: left; }
+  td.covered { background: #dcfce7; }
+  td.partial { background: #fef9c3; }
+  td.missing { background: #fee2e2; }
+  td.failing { background: #fecaca; }
+  td.na { color: #9ca3af; text-align: center; }
+  .muted { color: #6b7280; font-size: 11px; }
+  .warn { color: #b45309; }
+  .spec { white-space: nowrap; }
+</style>
+</head>
+<body>
+<h1>📊 Coverage Matrix</h1>
+<p class="muted">${escapeHtml(matrix.projectPath)} · generated ${escapeHtml(matrix.generatedAt)}</p>
+<p><strong>${summary.total.percent}%</strong> of ${summary.total.cells} state/transition × platform cells are covered (UI checks and a generated spec). ${summary.total.failing} failing, ${summary.total.partial} partial, ${summary.total.missing} missing.</p>
+<ul>${platformSummary}</ul>
+<table>
+<thead><tr><th></th>${header}</tr></thead>
+<tbody>
+<tr class="group"><th colspan="${platforms.length + 1}">States (${matrix.states.length})</th></tr>
+${stateRows}
+<tr class="group"><th colspan="${platforms.length + 1}">Transitions (${matrix.transitions.length})</th></tr>
+${transitionRows}
+</tbody>
+</table>
+<p class="muted">🖥️ mirrorsOn checks · 📄 generated spec · 🔒 locked · last result from the test reporter output. Green: covered, yellow: UI checks or spec only, red: neither or failing.</p>
+</body>
+</html>
+`;
+}
@@ -1,20 +1,27 @@
 import { glob } from 'glob';
 import path from 'path';
 import fs from 'fs-extra';
-import { parseFile, hasPattern, extractXStateTransitions, extractXStateMetadata, extractUIImplications, extractXStateContext } from './astParser.js';
+import { parseFile, hasPattern, extractXStateTransitions, extractXStateMetadata, extractUIImplications, extractXStateContext, extractScenarios } from './astParser.js';
 import { isImplication, extractImplicationMetadata } from '../../../core/src/patterns/implications.js';
 import { isSection, extractSectionMetadata } from '../../../core/src/patterns/sections.js';
 import { isScreen, extractScreenMetadata } from '../../../core/src/patterns/screens.js';
 import { DiscoveryResult, DiscoveredFile } from '../../../core/src/types/discovery.js';
+import { ParseCache } from './parseCache.js';
+
 /**
  * Discover all patterns in a project
+ *
+ * Incremental by default: per-file parse results are persisted in
+ * .implications-framework/cache/parse-cache.json and only files whose
+ * content (or base-class dependencies) changed are re-parsed.
+ *
+ * @param {string} projectPath - Project root
+ * @param {Object} options
+ * @param {boolean} options.fresh - Ignore and rebuild the parse cache
  */
-export async function discoverProject(projectPath) {
-  const cacheDir = path.join(projectPath, '.implications-framework', 'cache');
-if (fs.existsSync(cacheDir)) {
-  console.log('🗑️ Clearing discovery cache for fresh scan...');
-  fs.rmSync(cacheDir, { recursive: true, force: true });
-}
+export async function discoverProject(projectPath, options = {}) {
+  const { fresh = false } = options;
+  
   console.log(`🔍 Discovering project at: ${projectPath}`);
   
   const result = new DiscoveryResult();
@@ -28,6 +35,14 @@ if (fs.existsSync(cacheDir)) {
     baseFiles: {}
   };
   
+  const parseCache = new ParseCache(projectPath);
+  if (fresh) {
+    console.log('🗑️ Clearing parse cache for fresh scan...');
+    parseCache.clear();
+  } else {
+    parseCache.load();
+  }
+  
   try {
     // Find all JavaScript files
     const jsFiles = await glob('**/*.js', {
@@ -38,69 +53,41 @@ if (fs.existsSync(cacheDir)) {
     
     console.log(`📁 Found ${jsFiles.length} JavaScript files`);
     
-    // Parse each file
+    // Hash everything first so dependency checks see current content
+    const contents = new Map();
     for (const filePath of jsFiles) {
       try {
-        const parsed = await parseFile(filePath);
-        
-        // Skip files with parse errors
-        if (parsed.error) {
-          result.errors.push({
-            file: filePath,
-            error: parsed.error,
-          });
-          continue;
-        }
-        
-        // Check what type of file this is - PASS CACHE
-       await classifyFile(parsed, result, projectPath, cache);
-
-// NEW: Extract transitions if it's an implication
-if (isImplication(parsed)) {
-  const fileName = path.basename(filePath);
-  console.log(`🔍 Checking transitions for: ${fileName}`);
-  
-  const metadata = await extractImplicationMetadata(
-    parsed,
-    extractXStateMetadata,
-    (content) => extractUIImplications(content, projectPath, cache),
-    extractXStateContext
-  );
-  
-  console.log(`   Class: ${metadata.className}`);
-  console.log(`   hasXStateConfig: ${metadata.hasXStateConfig}`);
-  
-  if (metadata.hasXStateConfig) {
-    console.log(`   📤 Calling extractXStateTransitions...`);
-    const transitions = extractXStateTransitions(parsed, metadata.className);
-    console.log(`   📥 Got ${transitions.length} transition(s)`);
-    
-    if (transitions.length > 0) {
-      transitions.forEach(t => {
-        console.log(`      ✅ ${t.from} → ${t.to} (${t.event})`);
-      });
+        const content = await fs.readFile(filePath, 'utf-8');
+        contents.set(filePath, content);
+        parseCache.setHash(filePath, ParseCache.hashContent(content));
+      } catch (error) {
+        result.errors.push({ file: filePath, error: error.message });
+      }
     }
     
-    result.transitions.push(...transitions);
-  } else {
-    console.log(`   ⚠️ No xstateConfig found`);
-  }
-}
-        
-        // Check for patterns
-        if (hasPattern(parsed, 'xstate')) result.patterns.hasXState = true;
-        if (hasPattern(parsed, 'enhancedBaseSection')) result.patterns.hasEnhancedBaseSection = true;
-        if (hasPattern(parsed, 'testContext')) result.patterns.hasTestContext = true;
-        if (hasPattern(parsed, 'expectImplication')) result.patterns.hasExpectImplication = true;
-        
-      } catch (error) {
-        result.errors.push({
-          file: filePath,
-          error: error.message,
-        });
+    // Parse each file (or reuse its cached outcome)
+    for (const filePath of jsFiles) {
+      if (!contents.has(filePath)) continue;
+      
+      const hash = ParseCache.hashContent(contents.get(filePath));
+      let outcome = parseCache.get(filePath, hash);
+      
+      if (!outcome) {
+        cache.dependencies = new Set();
+        outcome = await parseAndClassifyFile(filePath, projectPath, cache);
+        parseCache.set(filePath, hash, outcome, cache.dependencies);
+        cache.dependencies = null;
       }
+      
+      applyOutcome(result, filePath, outcome);
     }
     
+    parseCache.prune(jsFiles);
+    parseCache.save();
+    
+    console.log(`💾 Parse cache: ${parseCache.stats.hits} reused, ${parseCache.stats.misses} parsed (${parseCache.stats.invalidatedByDependency} via changed base files)`);
+    result.cacheStats = { ...parseCache.stats };
+    
     // Determine project type
     result.projectType = determineProjectType(result);
     
@@ -115,14 +102,6 @@ if (result.files.implications.length > 0) {
   );
 }
 
-// ✨ NEW: Build and write state registry
-if (result.files.implications.length > 0) {
-  result.stateRegistry = buildAndWriteStateRegistry(
-    result.files.implications,
-    projectPath
-  );
-}
-
 // ✨ NEW: Check which transitions need test regeneration
 if (result.transitions && result.transitions.length > 0) {
   console.log('\n🔍 Checking transitions for missing test files...');
@@ -133,8 +112,6 @@ if (result.transitions && result.transitions.length > 0) {
   );
 }
 
-// ✅ ADD THIS: Save discovery result to cache
-
 // ✅ ADD THIS: Save discovery result to cache
 console.log('\n💾 Saving discovery cache...');
 const cacheDir = path.join(projectPath, '.implications-framework', 'cache');
@@ -145,7 +122,6 @@ fs.writeJsonSync(cacheFile, result, { spaces: 2 });
 
 console.log(`   ✅ Cache saved: ${cacheFile}`);
 
-console.log(`✅ Discovery complete`);
 console.log(`✅ Discovery complete`);
 console.log(`   - Implications: ${result.files.implications.length}`);
 console.log(`   - Sections: ${result.files.sections.length}`);
@@ -161,6 +137,98 @@ console.log(`   💾 Cache: ${Object.keys(cache.baseFiles).length} base files ca
   }
 }
 
+/**
+ * Parse one file and compute everything discovery needs from it.
+ * The returned outcome is plain JSON so it can be persisted in the parse cache.
+ *
+ * @returns {Object} { bucket, file, transitions, patterns, error }
+ */
+async function parseAndClassifyFile(filePath, projectPath, cache) {
+  const outcome = {
+    bucket: null,
+    file: null,
+    transitions: [],
+    patterns: {},
+    error: null
+  };
+  
+  try {
+    const parsed = await parseFile(filePath);
+    
+    // Skip files with parse errors
+    if (parsed.error) {
+      outcome.error = parsed.error;
+      return outcome;
+    }
+    
+    // Check what type of file this is - PASS CACHE
+    const classified = await classifyFile(parsed, projectPath, cache);
+    if (classified) {
+      outcome.bucket = classified.bucket;
+      outcome.file = classified.file;
+    }
+    
+    // Extract transitions if it's an implication
+    if (classified?.bucket === 'implications') {
+      const metadata = classified.file.metadata;
+      console.log(`🔍 Checking transitions for: ${path.basename(filePath)}`);
+      console.log(`   Class: ${metadata.className}`);
+      console.log(`   hasXStateConfig: ${metadata.hasXStateConfig}`);
+      
+      if (metadata.hasXStateConfig) {
+        const transitions = extractXStateTransitions(parsed, metadata.className);
+        console.log(`   📥 Got ${transitions.length} transition(s)`);
+        
+        transitions.forEach(t => {
+          console.log(`      ✅ ${t.from} → ${t.to} (${t.event})`);
+        });
+        
+        outcome.transitions = transitions;
+      } else {
+        console.log(`   ⚠️ No xstateConfig found`);
+      }
+    }
+    
+    // Check for patterns
+    outcome.patterns = {
+      hasXState: hasPattern(parsed, 'xstate'),
+      hasEnhancedBaseSection: hasPattern(parsed, 'enhancedBaseSection'),
+      hasTestContext: hasPattern(parsed, 'testContext'),
+      hasExpectImplication: hasPattern(parsed, 'expectImplication'),
+    };
+    
+  } catch (error) {
+    outcome.error = error.message;
+  }
+  
+  return outcome;
+}
+
+/**
+ * Merge a (fresh or cached) file outcome into the discovery result
+ */
+function applyOutcome(result, filePath, outcome) {
+  if (outcome.error) {
+    result.errors.push({
+      file: filePath,
+      error: outcome.error,
+    });
+    return;
+  }
+  
+  if (outcome.bucket && outcome.file) {
+    result.files[outcome.bucket].push(new DiscoveredFile(outcome.file));
+  }
+  
+  if (outcome.transitions?.length > 0) {
+    result.transitions.push(...outcome.transitions);
+  }
+  
+  Object.entries(outcome.patterns || {}).forEach(([name, found]) => {
+    if (found) result.patterns[name] = true;
+  });
+}
+
 /**
  * ✅ Parse a single implication file (for fast refresh)
  * @param {string} filePath - Absolute path to file
@@ -189,7 +257,8 @@ export async function parseImplicationFile(filePath, projectPath) {
       parsed,
       extractXStateMetadata,
       (content) => extractUIImplications(content, projectPath, cache),
-      extractXStateContext
+      extractXStateContext,
+      extractScenarios
     );
     
     const relativePath = path.relative(projectPath, filePath);
@@ -212,9 +281,10 @@ export async function parseImplicationFile(filePath, projectPath) {
 
 /**
  * Classify a parsed file
+ * @returns {Object|null} { bucket, file } - bucket is the key in result.files
  */
-async function classifyFile(parsed, result, projectPath, cache) {
-  const relativePath = path.relative(result.projectPath, parsed.path);
+async function classifyFile(parsed, projectPath, cache) {
+  const relativePath = path.relative(projectPath, parsed.path);
   
   // Check for Implication
   if (isImplication(parsed)) {
@@ -222,58 +292,72 @@ async function classifyFile(parsed, result, projectPath, cache) {
       parsed, 
       extractXStateMetadata, 
       (content) => extractUIImplications(content, projectPath, cache),
-      extractXStateContext
+      extractXStateContext,
+      extractScenarios
     );
     
-    result.files.implications.push(new DiscoveredFile({
-      path: relativePath,
-      type: 'implication',
-      className: metadata.className,
-      metadata,
-    }));
-    return;
+    return {
+      bucket: 'implications',
+      file: new DiscoveredFile({
+        path: relativePath,
+        type: 'implication',
+        className: metadata.className,
+        metadata,
+      })
+    };
   }
 
   // Check for Section
   if (isSection(parsed)) {
     const metadata = extractSectionMetadata(parsed);
-    result.files.sections.push(new DiscoveredFile({
-      path: relativePath,
-      type: 'section',
-      className: metadata.className,
-      metadata,
-    }));
-    return;
+    return {
+      bucket: 'sections',
+      file: new DiscoveredFile({
+        path: relativePath,
+        type: 'section',
+        className: metadata.className,
+        metadata,
+      })
+    };
   }
   
   // Check for Screen
   if (isScreen(parsed)) {
     const metadata = extractScreenMetadata(parsed);
-    result.files.screens.push(new DiscoveredFile({
-      path: relativePath,
-      type: 'screen',
-      className: metadata.className,
-      metadata,
-    }));
-    return;
+    return {
+      bucket: 'screens',
+      file: new DiscoveredFile({
+        path: relativePath,
+        type: 'screen',
+        className: metadata.className,
+        metadata,
+      })
+    };
   }
   
   // Check for UNIT test
   if (parsed.path.includes('-UNIT.spec.js')) {
-    result.files.unitTests.push(new DiscoveredFile({
-      path: relativePath,
-      type: 'unit_test',
-    }));
-    return;
+    return {
+      bucket: 'unitTests',
+      file: new DiscoveredFile({
+        path: relativePath,
+        type: 'unit_test',
+      })
+    };
   }
   
   // Check for VALIDATION test
   if (parsed.path.includes('-VALIDATION.spec.js')) {
-    result.files.validationTests.push(new DiscoveredFile({
-      path: relativePath,
-      type: 'validation_test',
-    }));
+    return {
+      bucket: 'validationTests',
+      file: new DiscoveredFile({
+        path: relativePath,
+        type: 'validation_test',
+      })
+    };
   }
+  
+  return null;
 }
 
 /**
@@ -296,6 +380,11 @@ function determineProjectType(result) {
     return 'cms';
   }
   
+  // Only stateless (SCENARIOS) implications - also CMS
+  if (files.implications.length > 0 && files.implications.every(imp => imp.metadata?.isStateless)) {
+    return 'cms';
+  }
+  
   // Otherwise custom
   return 'custom';
 }
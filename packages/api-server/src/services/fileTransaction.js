@@ -0,0 +1,156 @@
+// packages/api-server/src/services/fileTransaction.js
+
+import path from 'path';
+import fs from 'fs-extra';
+import * as parser from '@babel/parser';
+
+const PARSE_OPTIONS = {
+  sourceType: 'module',
+  plugins: ['jsx', 'classProperties', 'objectRestSpread']
+};
+
+/**
+ * Raised when a transaction fails validation or could not be written.
+ * `rolledBack` tells whether files on disk were restored.
+ */
+export class TransactionError extends Error {
+  constructor(message, { phase, errors = [], rolledBack = false } = {}) {
+    super(message);
+    this.name = 'TransactionError';
+    this.phase = phase;
+    this.errors = errors;
+    this.rolledBack = rolledBack;
+  }
+}
+
+/**
+ * All-or-nothing write of several source files.
+ * Staging `null` content deletes the file.
+ *
+ *   const tx = new FileTransaction();
+ *   tx.stage(sourceFile, sourceCode);
+ *   tx.stage(targetFile, targetCode);
+ *   await tx.commit();   // validates, then writes every file or none
+ *
+ * Commit runs in three phases:
+ *   1. validate - every staged .js file must parse with @babel/parser
+ *   2. prepare  - contents are written to temp files next to the targets
+ *   3. commit   - temp files are renamed over the targets
+ * A failure in any phase leaves the project exactly as it was.
+ */
+export class FileTransaction {
+  constructor(staged = []) {
+    this.staged = new Map();
+    for (const [filePath, content] of staged) {
+      this.stage(filePath, content);
+    }
+  }
+
+  stage(filePath, content) {
+    this.staged.set(path.resolve(filePath), content);
+    return this;
+  }
+
+  get files() {
+    return [...this.staged.keys()];
+  }
+
+  /**
+   * Parse every staged JavaScript file; returns [{ file, error }]
+   */
+  validate() {
+    const errors = [];
+
+    for (const [filePath, content] of this.staged) {
+      if (content === null || !filePath.endsWith('.js')) continue;
+
+      try {
+        parser.parse(content, PARSE_OPTIONS);
+      } catch (error) {
+        errors.push({ file: filePath, error: error.message });
+      }
+    }
+
+    return errors;
+  }
+
+  async commit() {
+    const errors = this.validate();
+    if (errors.length > 0) {
+      throw new TransactionError(
+        `Transaction aborted: ${errors.length} file(s) would not parse (${errors.map(e => path.basename(e.file)).join(', ')})`,
+        { phase: 'validate', errors }
+      );
+    }
+
+    const suffix = `.tx-${process.pid}-${Date.now()}`;
+    const originals = new Map();
+    const prepared = [];
+    const committed = [];
+
+    try {
+      // Prepare: snapshot originals and write temp files
+      for (const [filePath, content] of this.staged) {
+        originals.set(filePath, await fs.pathExists(filePath)
+          ? await fs.readFile(filePath, 'utf-8')
+          : null);
+
+        if (content === null) continue;
+
+        const tempPath = filePath + suffix;
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(tempPath, content, 'utf-8');
+        prepared.push(tempPath);
+      }
+
+      // Commit: rename temp files over the targets, remove deleted files
+      for (const [filePath, content] of this.staged) {
+        if (content === null) {
+          await fs.remove(filePath);
+        } else {
+          await fs.rename(filePath + suffix, filePath);
+        }
+        committed.push(filePath);
+      }
+    } catch (error) {
+      const rollbackErrors = await this.rollback(committed, originals);
+      await Promise.all(prepared.map(tempPath => fs.remove(tempPath).catch(() => {})));
+
+      throw new TransactionError(
+        `Transaction failed, ${rollbackErrors.length === 0 ? 'all changes rolled back' : 'ROLLBACK INCOMPLETE'}: ${error.message}`,
+        {
+          phase: committed.length > 0 ? 'commit' : 'prepare',
+          errors: [{ error: error.message }, ...rollbackErrors],
+          rolledBack: rollbackErrors.length === 0
+        }
+      );
+    }
+
+    console.log(`🔒 Transaction committed: ${committed.length} file(s)`);
+    return committed;
+  }
+
+  /**
+   * Restore already-committed files to their original content
+   */
+  async rollback(committed, originals) {
+    const errors = [];
+
+    for (const filePath of committed.reverse()) {
+      try {
+        const original = originals.get(filePath);
+        if (original === null) {
+          await fs.remove(filePath);
+        } else {
+          await fs.ensureDir(path.dirname(filePath));
+          await fs.writeFile(filePath, original, 'utf-8');
+        }
+        console.log(`↩️  Rolled back ${path.basename(filePath)}`);
+      } catch (error) {
+        errors.push({ file: filePath, error: `rollback failed: ${error.message}` });
+      }
+    }
+
+    return errors;
+  }
+}
@@ -0,0 +1,345 @@
+// packages/api-server/src/services/fixService.js
+
+import path from 'path';
+import * as t from '@babel/types';
+import { ImplicationEditor } from '../../../core/src/editor/index.js';
+
+/**
+ * Raised by a fixer when a suggestion can't be applied as-is
+ * (missing data, already fixed, ...). The issue is reported as skipped.
+ */
+export class FixSkippedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FixSkippedError';
+  }
+}
+
+/**
+ * Source edits for analyzer Suggestions, keyed by suggestion.action.
+ *
+ * Each fixer gets (engine, issue, suggestion, params) and returns a short
+ * summary. `params` lets the caller override the suggestion's defaults
+ * (e.g. { event, target } for add-transition).
+ */
+export const FIXERS = {
+  async 'add-transition'(engine, issue, suggestion, params) {
+    const data = suggestion.data || {};
+    const sourceName = params.source || (data.targetState ? data.possibleSources?.[0] : issue.stateName);
+    const targetName = params.target || data.targetState ||
+      (data.suggestedTargets || []).find(name => engine.implicationFor(name)?.metadata?.hasXStateConfig);
+    const event = params.event || data.suggestedEvents?.[0];
+
+    if (!sourceName || !targetName || !event) {
+      throw new FixSkippedError('add-transition needs a source state, a target state and an event');
+    }
+
+    const source = await engine.editorForState(sourceName);
+    const target = await engine.editorForState(targetName);
+
+    if (!source.stateName || !target.stateName) {
+      throw new FixSkippedError('Both states need an xstateConfig id');
+    }
+    if (source.getTransition(event)) {
+      throw new FixSkippedError(`${source.className} already has a ${event} transition`);
+    }
+
+    source.addTransition(event, target.stateName, { platforms: params.platform ? [params.platform] : null });
+    target.addSetupEntry(source.stateName, { event, platform: params.platform || 'web' });
+
+    return `Add transition ${source.stateName} --${event}--> ${target.stateName}`;
+  },
+
+  async 'remove-transition'(engine, issue, suggestion) {
+    const { event } = suggestion.data || {};
+    const editor = await engine.editorForIssue(issue);
+
+    if (!event || !editor.removeTransition(event)) {
+      throw new FixSkippedError(`No ${event} transition in ${editor.className}`);
+    }
+
+    return `Remove transition ${event} from ${editor.className}`;
+  },
+
+  async 'mark-terminal'(engine, issue, suggestion) {
+    const fields = suggestion.data?.addToMeta || { terminal: true };
+    const editor = await engine.editorForIssue(issue);
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (!editor.setMeta(key, value)) {
+        throw new FixSkippedError(`${editor.className} has no xstateConfig`);
+      }
+    }
+
+    return `Mark ${editor.className} as terminal`;
+  },
+
+  async 'mark-initial'(engine, issue, suggestion) {
+    const editor = await engine.editorForIssue(issue);
+
+    if (!editor.setMeta('initial', true)) {
+      throw new FixSkippedError(`${editor.className} has no xstateConfig`);
+    }
+
+    return `Mark ${editor.className} as an initial state`;
+  },
+
+  async 'copy-from-similar'(engine, issue, suggestion, params) {
+    const fromName = params.from || suggestion.data?.similarStates?.[0];
+    if (!fromName) {
+      throw new FixSkippedError('No similar state to copy from');
+    }
+
+    const editor = await engine.editorForIssue(issue);
+    const from = await engine.editorForState(fromName);
+    const mirrorsOn = from.getMirrorsOn();
+
+    if (!mirrorsOn) {
+      throw new FixSkippedError(`${from.className} has no mirrorsOn`);
+    }
+
+    const copy = t.cloneNode(mirrorsOn, true, true);
+    t.traverseFast(copy, node => {
+      if (t.isIdentifier(node) && node.name === from.className) {
+        node.name = editor.className;
+      }
+    });
+
+    editor.setMirrorsOn(copy);
+    const imported = copyMissingBindings(from, editor, copy);
+
+    return `Copy mirrorsOn from ${from.className} to ${editor.className}` +
+      (imported.length > 0 ? ` (imports ${imported.join(', ')})` : '');
+  }
+};
+
+/**
+ * Applies auto-fixable suggestions to the implications of one project.
+ *
+ *   const engine = new FixEngine({ projectPath, discoveryResult, stateRegistry });
+ *   const results = await engine.fixIssues(analysisResult.issues);
+ *   await engine.writeTo(changeset);
+ *
+ * Fixes edit shared ImplicationEditor instances, so several fixes to the
+ * same file compose. Nothing touches disk until writeTo().
+ */
+export class FixEngine {
+  constructor({ projectPath, discoveryResult, stateRegistry = null }) {
+    this.projectPath = projectPath;
+    this.implications = discoveryResult.files?.implications || [];
+    this.stateRegistry = stateRegistry;
+    this.editors = new Map();
+    this.touched = null;
+  }
+
+  /**
+   * Suggestions the engine can apply for an issue, in the rule's order
+   */
+  fixableSuggestions(issue, action = null) {
+    return (issue.suggestions || []).filter(s =>
+      s.autoFixable && FIXERS[s.action] && (!action || s.action === action)
+    );
+  }
+
+  fixableSuggestion(issue, action = null) {
+    return this.fixableSuggestions(issue, action)[0] || null;
+  }
+
+  /**
+   * Apply the first auto-fixable suggestion that works (or the one named
+   * by `action`). Returns { issueId, action, status: 'fixed' | 'skipped',
+   * summary?, reason?, files }
+   */
+  async fixIssue(issue, { action = null, params = {} } = {}) {
+    const suggestions = this.fixableSuggestions(issue, action);
+    const result = { issueId: issue.id, stateName: issue.stateName, action, files: [] };
+    const reasons = [];
+
+    if (suggestions.length === 0) {
+      return {
+        ...result,
+        status: 'skipped',
+        reason: action ? `"${action}" is not an auto-fixable suggestion for this issue` : 'No auto-fixable suggestion'
+      };
+    }
+
+    for (const suggestion of suggestions) {
+      this.touched = new Set();
+      try {
+        const summary = await FIXERS[suggestion.action](this, issue, suggestion, params);
+        const files = [...this.touched]
+          .filter(filePath => this.editors.get(filePath).modified)
+          .map(filePath => path.relative(this.projectPath, filePath));
+
+        console.log(`🔧 ${summary}`);
+        return { ...result, action: suggestion.action, status: 'fixed', summary, files };
+      } catch (error) {
+        if (!(error instanceof FixSkippedError)) throw error;
+        reasons.push(`${suggestion.action}: ${error.message}`);
+      } finally {
+        this.touched = null;
+      }
+    }
+
+    return { ...result, status: 'skipped', reason: reasons.join('; ') };
+  }
+
+  async fixIssues(issues, options = {}) {
+    const results = [];
+    for (const issue of issues) {
+      results.push(await this.fixIssue(issue, options));
+    }
+    return results;
+  }
+
+  /**
+   * Stage every modified file in a Changeset (preview, atomic or direct)
+   */
+  async writeTo(changeset) {
+    for (const [filePath, editor] of this.editors) {
+      if (editor.modified) {
+        await changeset.write(filePath, editor.toSource());
+      }
+    }
+  }
+
+  implicationFor(name) {
+    const byClass = impl => impl.metadata?.className === name;
+    const resolved = this.stateRegistry?.resolve?.(name);
+
+    return this.implications.find(byClass) ||
+      (resolved && this.implications.find(impl => impl.metadata?.className === resolved)) ||
+      this.implications.find(impl => impl.metadata?.xstateConfig?.id === name) ||
+      null;
+  }
+
+  async editorForState(name) {
+    const implication = this.implicationFor(name);
+    if (!implication) {
+      throw new FixSkippedError(`Unknown state: ${name}`);
+    }
+    return this.editorFor(path.resolve(this.projectPath, implication.path));
+  }
+
+  async editorForIssue(issue) {
+    const filePath = issue.location || issue.details?.sourceFile;
+    if (filePath) {
+      return this.editorFor(path.resolve(this.projectPath, filePath.split(':')[0]));
+    }
+    return this.editorForState(issue.stateName);
+  }
+
+  async editorFor(filePath) {
+    if (!this.editors.has(filePath)) {
+      this.editors.set(filePath, await ImplicationEditor.open(filePath));
+    }
+    this.touched?.add(filePath);
+    return this.editors.get(filePath);
+  }
+}
+
+/**
+ * Identifiers a copied node reads (ignoring property keys and member names)
+ */
+function referencedNames(node, names = new Set()) {
+  if (!node || typeof node !== 'object') return names;
+
+  if (t.isIdentifier(node)) {
+    names.add(node.name);
+    return names;
+  }
+  if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+    referencedNames(node.object, names);
+    if (node.computed) referencedNames(node.property, names);
+    return names;
+  }
+  if (t.isObjectProperty(node)) {
+    if (node.computed) referencedNames(node.key, names);
+    referencedNames(node.value, names);
+    return names;
+  }
+
+  for (const key of t.VISITOR_KEYS[node.type] || []) {
+    const child = node[key];
+    if (Array.isArray(child)) child.forEach(c => referencedNames(c, names));
+    else referencedNames(child, names);
+  }
+  return names;
+}
+
+/**
+ * Top-level import/require/class declarations of a program: name → statement
+ */
+function topLevelBindings(program) {
+  const bindings = new Map();
+
+  for (const statement of program.body) {
+    const declaration = t.isExportNamedDeclaration(statement) ? statement.declaration : statement;
+
+    if (t.isImportDeclaration(declaration)) {
+      declaration.specifiers.forEach(s => bindings.set(s.local.name, declaration));
+    } else if (t.isVariableDeclaration(declaration)) {
+      for (const declarator of declaration.declarations) {
+        if (t.isIdentifier(declarator.id)) {
+          bindings.set(declarator.id.name, declaration);
+        } else if (t.isObjectPattern(declarator.id)) {
+          declarator.id.properties
+            .filter(p => t.isObjectProperty(p) && t.isIdentifier(p.value))
+            .forEach(p => bindings.set(p.value.name, declaration));
+        }
+      }
+    } else if ((t.isClassDeclaration(declaration) || t.isFunctionDeclaration(declaration)) && declaration.id) {
+      bindings.set(declaration.id.name, declaration);
+    }
+  }
+
+  return bindings;
+}
+
+function moduleSource(statement) {
+  if (t.isImportDeclaration(statement)) return statement.source;
+
+  const init = t.isVariableDeclaration(statement) ? statement.declarations[0]?.init : null;
+  if (t.isCallExpression(init) && t.isIdentifier(init.callee, { name: 'require' }) &&
+      t.isStringLiteral(init.arguments[0])) {
+    return init.arguments[0];
+  }
+  return null;
+}
+
+/**
+ * Copy the import/require statements a copied node needs from one
+ * implication file to another, re-relativizing local module paths.
+ * Returns the names that were imported.
+ */
+function copyMissingBindings(fromEditor, toEditor, node) {
+  const available = topLevelBindings(toEditor.ast.program);
+  const sourceBindings = topLevelBindings(fromEditor.ast.program);
+  const copied = new Set();
+  const imported = [];
+
+  for (const name of referencedNames(node)) {
+    if (available.has(name) || name === toEditor.className) continue;
+
+    const statement = sourceBindings.get(name);
+    const source = statement && moduleSource(statement);
+    if (!source || copied.has(statement)) continue;
+
+    const clone = t.cloneNode(statement, true, true);
+    const spec = source.value;
+
+    if (spec.startsWith('.') && fromEditor.filePath && toEditor.filePath) {
+      const absolute = path.resolve(path.dirname(fromEditor.filePath), spec);
+      let relative = path.relative(path.dirname(toEditor.filePath), absolute).split(path.sep).join('/');
+      if (!relative.startsWith('.')) relative = `./${relative}`;
+      moduleSource(clone).value = relative;
+    }
+
+    toEditor.insertStatement(clone);
+
+    copied.add(statement);
+    imported.push(name);
+  }
+
+  return imported;
+}
@@ -0,0 +1,168 @@
+// packages/api-server/src/services/parseCache.js
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const CACHE_VERSION = 4;
+const CACHE_FILENAME = 'parse-cache.json';
+
+/**
+ * Persistent per-file parse cache for incremental discovery.
+ *
+ * Each entry is keyed by project-relative path and stores the content hash
+ * at parse time, the classification outcome (bucket + DiscoveredFile,
+ * transitions, pattern flags or parse error) and the hashes of every file
+ * it depended on while resolving base implications. An entry is reused only
+ * when its own hash and all dependency hashes still match, so editing a base
+ * class re-parses every implication built on it.
+ */
+export class ParseCache {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.cacheDir = path.join(projectPath, '.implications-framework', 'cache');
+    this.cachePath = path.join(this.cacheDir, CACHE_FILENAME);
+    this.entries = {};
+    this.hashes = new Map();
+    this.stats = { hits: 0, misses: 0, invalidatedByDependency: 0 };
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  load() {
+    try {
+      const data = fs.readJsonSync(this.cachePath);
+      if (data?.version === CACHE_VERSION && data.entries) {
+        this.entries = data.entries;
+      }
+    } catch (error) {
+      this.entries = {};
+    }
+    return this;
+  }
+
+  save() {
+    fs.ensureDirSync(this.cacheDir);
+    fs.writeJsonSync(this.cachePath, {
+      version: CACHE_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: this.entries
+    });
+  }
+
+  clear() {
+    this.entries = {};
+    if (fs.existsSync(this.cachePath)) {
+      fs.removeSync(this.cachePath);
+    }
+  }
+
+  relative(filePath) {
+    return path.relative(this.projectPath, filePath);
+  }
+
+  /**
+   * Record the current hash of a file (computed while scanning)
+   */
+  setHash(filePath, hash) {
+    this.hashes.set(this.relative(filePath), hash);
+  }
+
+  /**
+   * Current hash of a file, reading it if it wasn't part of the scan.
+   * Returns null for files that no longer exist.
+   */
+  currentHash(relativePath) {
+    if (this.hashes.has(relativePath)) {
+      return this.hashes.get(relativePath);
+    }
+
+    let hash = null;
+    try {
+      const content = fs.readFileSync(path.join(this.projectPath, relativePath), 'utf-8');
+      hash = ParseCache.hashContent(content);
+    } catch (error) {
+      hash = null;
+    }
+
+    this.hashes.set(relativePath, hash);
+    return hash;
+  }
+
+  /**
+   * Get a still-valid entry for a file, or null if it must be re-parsed
+   */
+  get(filePath, hash) {
+    const entry = this.entries[this.relative(filePath)];
+
+    if (!entry || entry.hash !== hash) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const staleDependency = Object.entries(entry.dependencies || {}).some(
+      ([depPath, depHash]) => this.currentHash(depPath) !== depHash
+    );
+
+    if (staleDependency) {
+      this.stats.misses++;
+      this.stats.invalidatedByDependency++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store the parse outcome for a file
+   * @param {string} filePath - Absolute path
+   * @param {string} hash - Content hash at parse time
+   * @param {Object} outcome - { bucket, file, transitions, patterns, error }
+   * @param {Set<string>} dependencies - Absolute paths of base files read while parsing
+   */
+  set(filePath, hash, outcome, dependencies = new Set()) {
+    const relativePath = this.relative(filePath);
+    const deps = {};
+
+    dependencies.forEach(depPath => {
+      const depRelative = this.relative(depPath);
+      if (depRelative !== relativePath) {
+        deps[depRelative] = this.currentHash(depRelative);
+      }
+    });
+
+    this.entries[relativePath] = {
+      hash,
+      ...outcome,
+      dependencies: deps
+    };
+  }
+
+  /**
+   * Drop entries for files that are no longer in the project
+   */
+  prune(existingFilePaths) {
+    const keep = new Set(existingFilePaths.map(f => this.relative(f)));
+    Object.keys(this.entries).forEach(relativePath => {
+      if (!keep.has(relativePath)) {
+        delete this.entries[relativePath];
+      }
+    });
+  }
+
+  /**
+   * Reverse dependency graph: base file -> files that depend on it
+   */
+  getDependents() {
+    const dependents = {};
+    Object.entries(this.entries).forEach(([relativePath, entry]) => {
+      Object.keys(entry.dependencies || {}).forEach(depPath => {
+        (dependents[depPath] ||= []).push(relativePath);
+      });
+    });
+    return dependents;
+  }
+}
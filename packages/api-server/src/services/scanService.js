@@ -0,0 +1,84 @@
+// packages/api-server/src/services/scanService.js
+
+import { discoverProject } from './discoveryService.js';
+import { loadConfig } from './configService.js';
+import { AnalysisHistory, diffRuns } from './analysisHistory.js';
+import { createProjectAnalyzer } from '../../../analyzer/src/index.js';
+import { StateRegistry } from '../../../core/src/index.js';
+
+/**
+ * Full scan: discovery + state registry + analysis.
+ * Shared by POST /api/discovery/scan and the file watcher so both
+ * produce the exact same payload for the Visualizer.
+ *
+ * @param {string} projectPath - Project root
+ * @param {Object} options - { fresh } passed through to discoverProject,
+ *   { recordHistory: false } to skip persisting the run
+ * @returns {Promise<Object>} Discovery result with analysis, stateRegistry and config
+ */
+export async function scanProject(projectPath, options = {}) {
+  // Load project config
+  const config = await loadConfig(projectPath);
+
+  // Run discovery
+  const discoveryResult = await discoverProject(projectPath, options);
+
+  // Build state registry
+  console.log('\n🗺️  Building State Registry...');
+  const stateRegistry = new StateRegistry(config);
+  await stateRegistry.build(discoveryResult);
+
+  // Run analysis with registry (rules configured by analysis.rules + custom rules)
+  const analyzer = await createProjectAnalyzer(projectPath, config);
+  const analysisResult = analyzer.analyze(discoveryResult, {
+    stateRegistry
+  });
+
+  // Persist the run (.implications-framework/analysis) and compare with the last one
+  if (options.recordHistory !== false) {
+    try {
+      const { run, baseline } = await new AnalysisHistory(projectPath).record(analysisResult, discoveryResult);
+      const diff = diffRuns(run, baseline);
+      analysisResult.trend = {
+        runId: run.id,
+        since: baseline?.id || null,
+        new: diff.new.length,
+        resolved: diff.resolved.length,
+        persisting: diff.persisting.length
+      };
+    } catch (error) {
+      console.warn(`⚠️  Could not record analysis history: ${error.message}`);
+    }
+  }
+
+  // ✅ Extract graphColors from config (safely)
+  let graphColors = null;
+  if (config?.graphColors) {
+    // Only pass serializable parts (no functions)
+    graphColors = {
+      colorNodesBy: config.graphColors.colorNodesBy || 'platform',
+      platforms: config.graphColors.platforms || null,
+      statuses: config.graphColors.statuses || null,
+      patterns: config.graphColors.patterns || null,
+      edgeColors: config.graphColors.edgeColors || null,
+    };
+    console.log(`   - Graph Colors: configured (colorNodesBy: ${graphColors.colorNodesBy})`);
+  }
+
+  return {
+    discoveryResult,
+    stateRegistry,
+    analysisResult,
+    // Complete response for the frontend
+    response: {
+      ...discoveryResult,
+      analysis: analysisResult,
+      stateRegistry: stateRegistry.toJSON(),
+      // ✅ Pass config to frontend for graphBuilder
+      config: {
+        graphColors: graphColors,
+        projectName: config?.projectName || null,
+      }
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// packages/api-server/src/services/testContextStore.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const DEFAULT_DIR = path.join(os.homedir(), '.implications-framework', 'test-context');
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Raised for bad namespaces / version conflicts; status is the HTTP status to send
+ */
+export class TestContextStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TestContextStoreError';
+    this.status = status;
+  }
+}
+
+/**
+ * Key-value store behind the generated TestContext's HTTP storage backend,
+ * so runners on different machines (web, Appium) share delta files.
+ *
+ * One JSON file per namespace in TEST_CONTEXT_STORE_DIR (default
+ * ~/.implications-framework/test-context). Every entry has a version;
+ * a put with expectedVersion fails with 409 if the entry moved on.
+ *
+ * Everything touching a namespace runs under its lock, and the cache only
+ * changes once the file is written, so a put always checks expectedVersion
+ * against the latest stored entry.
+ */
+export class TestContextStore {
+  constructor(dir = process.env.TEST_CONTEXT_STORE_DIR || DEFAULT_DIR) {
+    this.dir = dir;
+    this.namespaces = new Map(); // namespace → Map(key → { value, version, updatedAt })
+    this.locks = new Map();
+  }
+
+  // Serialize reads and read/modify/write per namespace
+  _withLock(namespace, task) {
+    const previous = this.locks.get(namespace) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.locks.set(namespace, next);
+    return next.finally(() => {
+      if (this.locks.get(namespace) === next) this.locks.delete(namespace);
+    });
+  }
+
+  _filePath(namespace) {
+    if (!NAMESPACE_PATTERN.test(namespace)) {
+      throw new TestContextStoreError(`Invalid namespace: ${namespace} (letters, digits, - and _ only)`);
+    }
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  /**
+   * Cached entries of a namespace - only call under its lock, and don't
+   * mutate the map (copy it, persist, then _commit)
+   */
+  async _entries(namespace) {
+    if (this.namespaces.has(namespace)) return this.namespaces.get(namespace);
+
+    const filePath = this._filePath(namespace);
+    const stored = await fs.pathExists(filePath) ? await fs.readJson(filePath) : {};
+    const entries = new Map(Object.entries(stored.entries || {}));
+    this.namespaces.set(namespace, entries);
+    return entries;
+  }
+
+  async _commit(namespace, entries) {
+    const filePath = this._filePath(namespace);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.outputJson(tempPath, { entries: Object.fromEntries(entries) }, { spaces: 2 });
+    await fs.move(tempPath, filePath, { overwrite: true });
+    this.namespaces.set(namespace, entries);
+  }
+
+  /**
+   * { key, value, version, updatedAt } or null
+   */
+  async get(namespace, key) {
+    return this._withLock(namespace, async () => {
+      const entry = (await this._entries(namespace)).get(key);
+      return entry ? { key, ...entry } : null;
+    });
+  }
+
+  async put(namespace, key, value, expectedVersion) {
+    return this._withLock(namespace, async () => {
+      const entries = new Map(await this._entries(namespace));
+      const current = entries.get(key);
+      const currentVersion = current?.version || 0;
+
+      if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+        throw new TestContextStoreError(
+          `${key} is at version ${currentVersion}, not ${expectedVersion}`,
+          409
+        );
+      }
+
+      const entry = { value, version: currentVersion + 1, updatedAt: new Date().toISOString() };
+      entries.set(key, entry);
+      await this._commit(namespace, entries);
+      return { key, version: entry.version, updatedAt: entry.updatedAt };
+    });
+  }
+
+  async remove(namespace, key) {
+    return this._withLock(namespace, async () => {
+      const entries = new Map(await this._entries(namespace));
+      const existed = entries.delete(key);
+      if (existed) await this._commit(namespace, entries);
+      return existed;
+    });
+  }
+
+  /**
+   * Keys of a namespace without their values
+   */
+  async list(namespace) {
+    return this._withLock(namespace, async () => {
+      const entries = await this._entries(namespace);
+      return [...entries.entries()]
+        .map(([key, entry]) => ({ key, version: entry.version, updatedAt: entry.updatedAt }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    });
+  }
+
+  async clear(namespace) {
+    return this._withLock(namespace, async () => {
+      const count = (await this._entries(namespace)).size;
+      await fs.remove(this._filePath(namespace));
+      this.namespaces.set(namespace, new Map());
+      return count;
+    });
+  }
+}
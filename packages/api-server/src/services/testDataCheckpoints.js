@@ -0,0 +1,191 @@
+// packages/api-server/src/services/testDataCheckpoints.js
+
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Raised for unreadable files / unknown checkpoints; status is the HTTP status to send
+ */
+export class CheckpointError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckpointError';
+    this.status = status;
+  }
+}
+
+/**
+ * A test data or delta file as { original, changeLog } - the same format
+ * the generated TestContext writes (a plain test data file has no changes)
+ */
+export async function readHistory(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    throw new CheckpointError(`File not found: ${filePath}`, 404);
+  }
+
+  let raw;
+  try {
+    raw = await fs.readJson(filePath);
+  } catch (error) {
+    throw new CheckpointError(`Invalid JSON in ${path.basename(filePath)}: ${error.message}`, 422);
+  }
+
+  if (raw._changeLog !== undefined) {
+    return { original: raw._original || {}, changeLog: raw._changeLog || [] };
+  }
+  return { original: raw, changeLog: [] };
+}
+
+/**
+ * Number of changes applied at a checkpoint: 'original' / 0, n (after the
+ * n-th change) or a change label (its latest occurrence).
+ * Mirrors TestContext._resolveCheckpoint.
+ */
+export function resolveCheckpoint(changeLog, checkpoint) {
+  if (checkpoint === undefined || checkpoint === null || checkpoint === '') return changeLog.length;
+  if (checkpoint === 'original') return 0;
+
+  if (typeof checkpoint === 'number' || /^\d+$/.test(String(checkpoint))) {
+    const count = Number(checkpoint);
+    if (count > changeLog.length) {
+      throw new CheckpointError(`Checkpoint ${count} does not exist (${changeLog.length} changes)`, 404);
+    }
+    return count;
+  }
+
+  for (let i = changeLog.length - 1; i >= 0; i--) {
+    if (changeLog[i].label === checkpoint) return i + 1;
+  }
+  throw new CheckpointError(`Checkpoint "${checkpoint}" not found`, 404);
+}
+
+function setNestedValue(obj, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!current[parts[i]] || typeof current[parts[i]] !== 'object') current[parts[i]] = {};
+    current = current[parts[i]];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Data after applying the first `count` changes to the original
+ */
+function applyChanges(original, changeLog, count) {
+  const data = JSON.parse(JSON.stringify(original));
+  for (const change of changeLog.slice(0, count)) {
+    for (const [key, value] of Object.entries(change.delta || {})) {
+      setNestedValue(data, key, value);
+    }
+  }
+  return data;
+}
+
+/**
+ * Checkpoints of a delta file, oldest first. Checkpoint 0 is the original
+ * data; each later one records the change that led to it and the entity
+ * statuses after it, so the UI can show where the chain was.
+ */
+export async function listCheckpoints(filePath) {
+  const { original, changeLog } = await readHistory(filePath);
+
+  const statusesOf = data => Object.fromEntries(
+    Object.entries(data)
+      .filter(([key, value]) => !key.startsWith('_') && value && typeof value === 'object' && typeof value.status === 'string')
+      .map(([key, value]) => [key, value.status])
+  );
+
+  const checkpoints = [{
+    index: 0,
+    label: 'original',
+    testFile: null,
+    timestamp: null,
+    fields: [],
+    status: original.status || null,
+    statuses: statusesOf(original)
+  }];
+
+  let data = JSON.parse(JSON.stringify(original));
+  changeLog.forEach((change, i) => {
+    data = applyChanges(data, [change], 1);
+    checkpoints.push({
+      index: i + 1,
+      label: change.label,
+      testFile: change.testFile || null,
+      timestamp: change.timestamp || null,
+      fields: Object.keys(change.delta || {}),
+      status: data.status || null,
+      statuses: statusesOf(data)
+    });
+  });
+
+  return checkpoints;
+}
+
+/**
+ * Test data as it was at a checkpoint
+ */
+export async function materializeCheckpoint(filePath, checkpoint) {
+  const { original, changeLog } = await readHistory(filePath);
+  const count = resolveCheckpoint(changeLog, checkpoint);
+
+  return { checkpoint: count, data: applyChanges(original, changeLog, count) };
+}
+
+/**
+ * Delta path of a fork: shared.json / shared-current.w1.json → shared-current.<scope>.json
+ * Mirrors TestContext.forkPath.
+ */
+export function forkPath(filePath, scope) {
+  if (filePath.includes('-current.')) {
+    return filePath.replace(/-current(\.[^./\\]+)?\.json$/, `-current.${scope}.json`);
+  }
+  if (filePath.includes('-master.')) {
+    return filePath.replace('-master.', `-current.${scope}.`);
+  }
+  return filePath.replace(/\.json$/, `-current.${scope}.json`);
+}
+
+/**
+ * Write a new delta with the history up to a checkpoint. Tests run with
+ * TEST_CONTEXT_SCOPE=<scope> start from it.
+ */
+export async function forkCheckpoint(filePath, checkpoint, { scope, overwrite = false } = {}) {
+  const { original, changeLog } = await readHistory(filePath);
+  const count = resolveCheckpoint(changeLog, checkpoint);
+
+  const forkScope = String(scope || `fork-${count === 0 ? 'original' : changeLog[count - 1].label}`)
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const targetPath = forkPath(filePath, forkScope);
+
+  if (path.resolve(targetPath) === path.resolve(filePath)) {
+    throw new CheckpointError('Fork target is the source delta - choose another scope');
+  }
+  if (!overwrite && await fs.pathExists(targetPath)) {
+    throw new CheckpointError(`${path.basename(targetPath)} already exists`, 409);
+  }
+
+  await fs.writeJson(targetPath, { _original: original, _changeLog: changeLog.slice(0, count) }, { spaces: 2 });
+  console.log(`🍴 Forked ${count} changes into ${path.basename(targetPath)}`);
+
+  return { path: targetPath, scope: forkScope, changes: count };
+}
+
+/**
+ * Drop the changes after a checkpoint from a delta file (what ctx.rewindTo does)
+ */
+export async function rewindCheckpoint(filePath, checkpoint) {
+  const { original, changeLog } = await readHistory(filePath);
+  if (!filePath.includes('-current.')) {
+    throw new CheckpointError(`${path.basename(filePath)} is not a delta file`);
+  }
+
+  const count = resolveCheckpoint(changeLog, checkpoint);
+  await fs.writeJson(filePath, { _original: original, _changeLog: changeLog.slice(0, count) }, { spaces: 2 });
+  console.log(`⏪ Rewound ${path.basename(filePath)} to checkpoint ${count}`);
+
+  return { path: filePath, changes: count, dropped: changeLog.length - count };
+}
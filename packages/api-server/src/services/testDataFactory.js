@@ -0,0 +1,434 @@
+// packages/api-server/src/services/testDataFactory.js
+
+import path from 'path';
+import fs from 'fs-extra';
+import { glob } from 'glob';
+
+const DEFAULT_PATTERNS = ['tests/data/**/*.factory.{json,js,cjs,mjs}'];
+const FACTORY_SUFFIX = /\.factory\.(json|js|cjs|mjs)$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z]+)((?:\s+[^\s}]+)*)\s*\}\}/g;
+
+/**
+ * Raised for invalid factories / unknown scenarios; status is the HTTP status to send
+ */
+export class FactoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FactoryError';
+    this.status = status;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// RANDOM - seeded, so a scenario always materializes the same data
+// ═══════════════════════════════════════════════════════════
+
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * mulberry32: uniform floats in [0, 1) from a 32-bit seed
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Mia', 'Noah', 'Emma', 'Lucas', 'Sofia', 'Ethan', 'Chloe', 'Mateo', 'Zoe', 'Leo', 'Isla', 'Owen', 'Nora', 'Elias', 'Maya', 'Hugo', 'Lena', 'Felix'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Müller', 'Rossi', 'Kowalski', 'Novak', 'Silva', 'Dubois', 'Jensen', 'Tanaka', 'Brown', 'Nguyen', 'Schmidt', 'Cohen', 'Murphy', 'Petrov', 'Larsen', 'Moreau', 'Walker'];
+const WORDS = ['alpha', 'bright', 'cedar', 'delta', 'ember', 'fable', 'garnet', 'harbor', 'ivory', 'jasper', 'kestrel', 'lumen', 'maple', 'nimbus', 'orchid', 'pioneer', 'quartz', 'river', 'summit', 'tango', 'umber', 'velvet', 'willow', 'zephyr'];
+const CITIES = ['Berlin', 'Lisbon', 'Austin', 'Toronto', 'Osaka', 'Dublin', 'Prague', 'Denver', 'Melbourne', 'Oslo', 'Seville', 'Portland'];
+const STREETS = ['Main St', 'Oak Ave', 'Harbor Rd', 'Station Sq', 'Maple Dr', 'Park Ln', 'River Walk', 'Market St', 'Hill Rd', 'Elm Ct'];
+const COMPANY_SUFFIXES = ['Labs', 'Studio', 'Group', 'Works', 'Collective', 'Partners'];
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Offset unit → UTC date part it moves (w = 7 days)
+const DATE_UNITS = { m: 'Minutes', h: 'Hours', d: 'Date', w: 'Date', M: 'Month', y: 'FullYear' };
+
+/**
+ * Reference date + offset ('+7d', '-2w', '+1M+3d', 'today') as a Date
+ */
+function applyOffset(reference, offset) {
+  const date = new Date(reference.getTime());
+  if (!offset || offset === 'today' || offset === 'now' || offset === '0') return date;
+
+  const segments = String(offset).match(/[+-]\d+[mhdwMy]/g);
+  if (!segments || segments.join('') !== String(offset)) {
+    throw new FactoryError(`Invalid date offset "${offset}" (e.g. +7d, -2w, +1M+3d, +3h)`);
+  }
+
+  for (const segment of segments) {
+    const amount = Number(segment.slice(0, -1));
+    const unit = segment.slice(-1);
+    const part = DATE_UNITS[unit];
+    date[`setUTC${part}`](date[`getUTC${part}`]() + amount * (unit === 'w' ? 7 : 1));
+  }
+  return date;
+}
+
+function pickFrom(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function toNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new FactoryError(`Expected a number, got "${value}"`);
+  return number;
+}
+
+/**
+ * Built-in generators: (rng, context, ...args) → value. In templates they
+ * are written {{name arg1 arg2}}; args arrive as strings.
+ */
+export const GENERATORS = {
+  int: (rng, ctx, min, max) => {
+    const low = toNumber(min, 0);
+    const high = toNumber(max, low + 100);
+    return low + Math.floor(rng() * (high - low + 1));
+  },
+  float: (rng, ctx, min, max, decimals) => {
+    const low = toNumber(min, 0);
+    const high = toNumber(max, low + 1);
+    return Number((low + rng() * (high - low)).toFixed(toNumber(decimals, 2)));
+  },
+  price: (rng, ctx, min, max) => GENERATORS.float(rng, ctx, min ?? 10, max ?? 500, 2),
+  boolean: (rng, ctx, probability) => rng() < toNumber(probability, 0.5),
+  pick: (rng, ctx, ...options) => {
+    if (options.length === 0) throw new FactoryError('pick needs at least one option');
+    return pickFrom(rng, options);
+  },
+  uuid: (rng) => {
+    const hex = Array.from({ length: 32 }, () => Math.floor(rng() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = (8 + Math.floor(rng() * 4)).toString(16);
+    const s = hex.join('');
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+  },
+  string: (rng, ctx, length) => Array.from({ length: toNumber(length, 8) }, () => pickFrom(rng, ALPHANUMERIC)).join(''),
+  firstName: (rng) => pickFrom(rng, FIRST_NAMES),
+  lastName: (rng) => pickFrom(rng, LAST_NAMES),
+  fullName: (rng) => `${pickFrom(rng, FIRST_NAMES)} ${pickFrom(rng, LAST_NAMES)}`,
+  email: (rng, ctx, domain = 'example.com') => {
+    const local = `${pickFrom(rng, FIRST_NAMES)}.${pickFrom(rng, LAST_NAMES)}`
+      .normalize('NFD').replace(/[^A-Za-z.]/g, '').toLowerCase();
+    return `${local}${GENERATORS.int(rng, ctx, 1, 999)}@${domain}`;
+  },
+  phone: (rng) => `+1555${Array.from({ length: 7 }, () => Math.floor(rng() * 10)).join('')}`,
+  word: (rng) => pickFrom(rng, WORDS),
+  words: (rng, ctx, count) => Array.from({ length: toNumber(count, 3) }, () => pickFrom(rng, WORDS)).join(' '),
+  city: (rng) => pickFrom(rng, CITIES),
+  street: (rng, ctx) => `${GENERATORS.int(rng, ctx, 1, 250)} ${pickFrom(rng, STREETS)}`,
+  zip: (rng) => String(Math.floor(rng() * 90000) + 10000),
+  company: (rng) => {
+    const word = pickFrom(rng, WORDS);
+    return `${word[0].toUpperCase()}${word.slice(1)} ${pickFrom(rng, COMPANY_SUFFIXES)}`;
+  },
+
+  /**
+   * {{date +7d}}, {{date +1d +30d}} (random day in range), {{date +2d 14:30}}.
+   * ISO strings relative to the reference date - TestContext turns them
+   * into moment objects on load (_transformDates).
+   */
+  date: (rng, ctx, ...args) => {
+    const time = args.find(arg => /^\d{1,2}:\d{2}$/.test(arg));
+    const [from = 'today', to] = args.filter(arg => arg !== time);
+
+    let date = applyOffset(ctx.referenceDate, from);
+    if (to !== undefined) {
+      const end = applyOffset(ctx.referenceDate, to);
+      const byDay = !/[mh]/.test(`${from}${to}`);
+      const span = end.getTime() - date.getTime();
+      const step = byDay ? DAY_MS : MINUTE_MS;
+      date = new Date(date.getTime() + Math.floor(rng() * (Math.floor(span / step) + 1)) * step);
+    }
+    if (time) {
+      const [hours, minutes] = time.split(':').map(Number);
+      date.setUTCHours(hours, minutes, 0, 0);
+    }
+    return date.toISOString();
+  }
+};
+
+/**
+ * Generators bound to one field's random stream, passed to function values
+ * in .factory.js files: booking: { price: (f) => f.int(50, 500) }
+ */
+function bindGenerators(rng, ctx) {
+  const bound = { rng, seed: ctx.seed, scenario: ctx.scenario, referenceDate: ctx.referenceDate };
+  for (const [name, generator] of Object.entries(GENERATORS)) {
+    bound[name] = (...args) => generator(rng, ctx, ...args.map(arg => (arg === undefined ? arg : String(arg))));
+  }
+  return bound;
+}
+
+function runGenerator(name, argString, rng, ctx) {
+  const generator = GENERATORS[name];
+  if (!generator) {
+    throw new FactoryError(`Unknown generator {{${name}}} at ${ctx.fieldPath} (available: ${Object.keys(GENERATORS).join(', ')})`);
+  }
+  const args = argString.trim() ? argString.trim().split(/\s+/) : [];
+  return generator(rng, ctx, ...args);
+}
+
+/**
+ * Resolve placeholders and functions in a template value. Every field gets
+ * its own random stream (seed + scenario + path), so adding a field to the
+ * template doesn't change the values generated for the others.
+ */
+function resolveValue(value, ctx, fieldPath) {
+  if (typeof value === 'function' || typeof value === 'string') {
+    const rng = createRandom(`${ctx.seed}:${ctx.scenario}:${fieldPath}`);
+    const fieldCtx = { ...ctx, fieldPath };
+
+    if (typeof value === 'function') return value(bindGenerators(rng, fieldCtx));
+
+    const whole = value.match(new RegExp(`^${PLACEHOLDER.source}$`));
+    if (whole) return runGenerator(whole[1], whole[2] || '', rng, fieldCtx);
+    return value.replace(PLACEHOLDER, (match, name, args) => String(runGenerator(name, args || '', rng, fieldCtx)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => resolveValue(item, ctx, `${fieldPath}[${i}]`));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = resolveValue(child, ctx, fieldPath ? `${fieldPath}.${key}` : key);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function setNestedValue(obj, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!current[parts[i]] || typeof current[parts[i]] !== 'object') current[parts[i]] = {};
+    current = current[parts[i]];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+// ═══════════════════════════════════════════════════════════
+// FACTORIES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * UTC midnight of 'YYYY-MM-DD' (or of today)
+ */
+export function parseReferenceDate(value) {
+  if (!value) {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new FactoryError(`Invalid reference date "${value}" (use YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+function factoryName(factoryPath) {
+  return path.basename(factoryPath).replace(FACTORY_SUFFIX, '');
+}
+
+/**
+ * Factory definition from a .factory.json or .factory.js file:
+ * { seed, template, scenarios: { name: { extends, seed, overrides } }, output }
+ */
+export async function loadFactory(factoryPath) {
+  if (!(await fs.pathExists(factoryPath))) {
+    throw new FactoryError(`Factory not found: ${factoryPath}`, 404);
+  }
+
+  let factory;
+  try {
+    if (factoryPath.endsWith('.json')) {
+      factory = await fs.readJson(factoryPath);
+    } else {
+      const module = await import(`file://${factoryPath}?t=${Date.now()}`);
+      factory = module.default || module;
+    }
+  } catch (error) {
+    throw new FactoryError(`Could not load ${path.basename(factoryPath)}: ${error.message}`, 422);
+  }
+
+  if (!factory || typeof factory.template !== 'object' || factory.template === null) {
+    throw new FactoryError(`${path.basename(factoryPath)} has no template object`, 422);
+  }
+
+  return {
+    ...factory,
+    name: factory.name || factoryName(factoryPath),
+    scenarios: factory.scenarios && Object.keys(factory.scenarios).length > 0
+      ? factory.scenarios
+      : { default: {} }
+  };
+}
+
+/**
+ * Output path of a scenario: factory.output ('{name}' / '{scenario}') or
+ * <name>-<scenario>-master.json next to the factory
+ */
+export function scenarioOutputPath(factoryPath, factory, scenario, projectPath) {
+  if (factory.output) {
+    const output = factory.output.replace(/\{name\}/g, factory.name).replace(/\{scenario\}/g, scenario);
+    return path.resolve(projectPath || path.dirname(factoryPath), output);
+  }
+  return path.join(path.dirname(factoryPath), `${factory.name}-${scenario}-master.json`);
+}
+
+/**
+ * Template with the overrides of a scenario and its parents applied (not yet resolved)
+ */
+function scenarioTemplate(factory, scenario, seen = []) {
+  const definition = factory.scenarios[scenario];
+  if (!definition) {
+    throw new FactoryError(`Unknown scenario "${scenario}" (available: ${Object.keys(factory.scenarios).join(', ')})`, 404);
+  }
+  if (seen.includes(scenario)) {
+    throw new FactoryError(`Scenario "${scenario}" extends itself (${[...seen, scenario].join(' → ')})`, 422);
+  }
+
+  const overrides = definition.overrides || {};
+  const base = definition.extends
+    ? scenarioTemplate(factory, definition.extends, [...seen, scenario])
+    : { template: factory.template, overrides: {} };
+
+  return { template: base.template, overrides: { ...base.overrides, ...overrides } };
+}
+
+/**
+ * Data of one scenario. Same factory + scenario + seed + reference date →
+ * same data. options: { seed, referenceDate }
+ */
+export function buildScenario(factory, scenario, options = {}) {
+  const definition = factory.scenarios[scenario] || {};
+  const seed = options.seed ?? definition.seed ?? factory.seed ?? 1;
+  const referenceDate = parseReferenceDate(options.referenceDate);
+  const ctx = { seed, scenario, referenceDate };
+
+  const { template, overrides } = scenarioTemplate(factory, scenario);
+  const data = resolveValue(template, ctx, '');
+
+  // Overrides use delta-style dotted keys: { 'booking.type': 'vip' }
+  for (const [key, value] of Object.entries(overrides)) {
+    setNestedValue(data, key, resolveValue(value, ctx, key));
+  }
+
+  return {
+    data,
+    seed,
+    referenceDate: referenceDate.toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Factory files of a project: config.testDataFactories (paths or globs),
+ * default tests/data/**\/*.factory.{json,js,cjs,mjs}
+ */
+export async function findFactories(projectPath, config = {}) {
+  const configured = config.testDataFactories;
+  const patterns = configured ? [].concat(configured) : DEFAULT_PATTERNS;
+
+  const matches = new Set();
+  for (const pattern of patterns) {
+    const found = await glob(pattern, {
+      cwd: projectPath,
+      absolute: true,
+      nodir: true,
+      ignore: ['**/node_modules/**']
+    });
+    found.forEach(file => matches.add(file));
+  }
+
+  const factories = [];
+  for (const factoryPath of [...matches].sort()) {
+    const entry = { path: path.relative(projectPath, factoryPath), name: factoryName(factoryPath) };
+    try {
+      const factory = await loadFactory(factoryPath);
+      entry.name = factory.name;
+      entry.seed = factory.seed ?? 1;
+      entry.scenarios = await Promise.all(Object.entries(factory.scenarios).map(async ([name, definition]) => {
+        const outputPath = scenarioOutputPath(factoryPath, factory, name, projectPath);
+        return {
+          name,
+          description: definition.description || null,
+          extends: definition.extends || null,
+          seed: definition.seed ?? null,
+          output: path.relative(projectPath, outputPath),
+          exists: await fs.pathExists(outputPath)
+        };
+      }));
+    } catch (error) {
+      entry.error = error.message;
+      entry.scenarios = [];
+    }
+    factories.push(entry);
+  }
+  return factories;
+}
+
+/**
+ * Materialize scenarios of a factory as master files.
+ *
+ * options: { scenarios (default all), seed, referenceDate, dryRun, force }.
+ * Existing files not written by a factory (no _factory block) are only
+ * replaced with force, so a hand-maintained master isn't lost.
+ */
+export async function seedScenarios(projectPath, factoryPath, options = {}) {
+  const absolutePath = path.resolve(projectPath, factoryPath);
+  const factory = await loadFactory(absolutePath);
+  const scenarios = options.scenarios?.length > 0 ? options.scenarios : Object.keys(factory.scenarios);
+
+  const results = [];
+  for (const scenario of scenarios) {
+    const { data, seed, referenceDate } = buildScenario(factory, scenario, options);
+    const outputPath = scenarioOutputPath(absolutePath, factory, scenario, projectPath);
+    const relativePath = path.relative(projectPath, outputPath);
+
+    if (!options.force && await fs.pathExists(outputPath)) {
+      const existing = await fs.readJson(outputPath).catch(() => null);
+      if (!existing?._factory) {
+        throw new FactoryError(`${relativePath} exists and was not generated by a factory - pass force to replace it`, 409);
+      }
+    }
+
+    const content = {
+      _factory: {
+        factory: path.relative(projectPath, absolutePath),
+        scenario,
+        seed,
+        referenceDate
+      },
+      ...data
+    };
+
+    if (!options.dryRun) {
+      await fs.outputJson(outputPath, content, { spaces: 2 });
+    }
+    results.push({ scenario, seed, referenceDate, path: relativePath, data: content });
+  }
+
+  return { factory: factory.name, dryRun: !!options.dryRun, results };
+}
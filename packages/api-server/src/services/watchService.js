@@ -0,0 +1,181 @@
+// packages/api-server/src/services/watchService.js
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs-extra';
+import chokidar from 'chokidar';
+import { loadConfig } from './configService.js';
+import { scanProject } from './scanService.js';
+import { ParseCache } from './parseCache.js';
+
+const DEBOUNCE_MS = 300;
+
+/**
+ * Watches a project's implications/screens directories and re-runs the
+ * (incremental) scan whenever a .js file changes.
+ *
+ * Events:
+ *   - 'update' { changedFiles, hashes, response } after a successful rescan;
+ *     hashes maps each changed file to the hash of its content (null if deleted)
+ *   - 'scan-error' { changedFiles, error } when the rescan fails
+ */
+export class ProjectWatcher extends EventEmitter {
+  constructor(projectPath) {
+    super();
+    this.projectPath = projectPath;
+    this.watcher = null;
+    this.directories = [];
+    this.pendingFiles = new Set();
+    this.debounceTimer = null;
+    this.scanning = false;
+    this.rescanQueued = false;
+    this.lastResponse = null;
+  }
+
+  async start() {
+    const config = await loadConfig(this.projectPath);
+    this.directories = resolveWatchDirectories(this.projectPath, config);
+
+    console.log(`👀 Watching ${this.directories.length} director(ies) for ${this.projectPath}`);
+    this.directories.forEach(dir => console.log(`   - ${dir}`));
+
+    this.watcher = chokidar.watch(this.directories, {
+      ignoreInitial: true,
+      ignored: ['**/node_modules/**', '**/.implications-framework/**'],
+      awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 }
+    });
+
+    this.watcher.on('all', (event, filePath) => {
+      if (!filePath.endsWith('.js')) return;
+      this.pendingFiles.add(path.relative(this.projectPath, filePath));
+      this.scheduleRescan();
+    });
+
+    this.watcher.on('error', error => {
+      console.error('❌ Watcher error:', error.message);
+    });
+
+    return this;
+  }
+
+  scheduleRescan() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.rescan(), DEBOUNCE_MS);
+  }
+
+  async rescan() {
+    if (this.scanning) {
+      this.rescanQueued = true;
+      return;
+    }
+
+    const changedFiles = [...this.pendingFiles];
+    this.pendingFiles.clear();
+    this.scanning = true;
+
+    console.log(`\n🔄 Files changed, rescanning: ${changedFiles.join(', ')}`);
+
+    try {
+      const hashes = await hashFiles(this.projectPath, changedFiles);
+      const { response } = await scanProject(this.projectPath, { recordHistory: false });
+      this.lastResponse = response;
+      this.emit('update', { changedFiles, hashes, response });
+    } catch (error) {
+      console.error('❌ Watch rescan failed:', error.message);
+      this.emit('scan-error', { changedFiles, error: error.message });
+    } finally {
+      this.scanning = false;
+      if (this.rescanQueued) {
+        this.rescanQueued = false;
+        this.scheduleRescan();
+      }
+    }
+  }
+
+  async stop() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+    console.log(`🛑 Stopped watching ${this.projectPath}`);
+  }
+}
+
+/**
+ * { relativePath: content hash | null } - lets clients recognize their own writes
+ */
+export async function hashFiles(projectPath, files) {
+  const hashes = {};
+  for (const file of files) {
+    try {
+      hashes[file] = ParseCache.hashContent(await fs.readFile(path.join(projectPath, file), 'utf-8'));
+    } catch (error) {
+      hashes[file] = null;
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Directories to watch: config.paths.implications / screens / sections
+ * (falling back to the tests directory), limited to those that exist.
+ */
+export function resolveWatchDirectories(projectPath, config = {}) {
+  const configured = [
+    config?.paths?.implications || 'tests/implications',
+    config?.paths?.screens,
+    config?.paths?.sections
+  ].filter(Boolean);
+
+  const dirs = [...new Set(configured.map(dir => path.resolve(projectPath, dir)))]
+    .filter(dir => fs.existsSync(dir));
+
+  if (dirs.length === 0) {
+    const testsDir = path.join(projectPath, config?.testDir || 'tests');
+    return fs.existsSync(testsDir) ? [testsDir] : [projectPath];
+  }
+
+  return dirs;
+}
+
+// One watcher per project, shared by all connected clients
+const watchers = new Map();
+
+/**
+ * Get (or start) the watcher for a project and register a client
+ */
+export async function acquireWatcher(projectPath) {
+  let entry = watchers.get(projectPath);
+
+  if (!entry) {
+    const watcher = new ProjectWatcher(projectPath);
+    entry = { watcher, clients: 0, ready: watcher.start() };
+    watchers.set(projectPath, entry);
+  }
+
+  entry.clients++;
+
+  try {
+    await entry.ready;
+  } catch (error) {
+    await releaseWatcher(projectPath);
+    throw error;
+  }
+
+  return entry.watcher;
+}
+
+/**
+ * Unregister a client; stops the watcher when the last one leaves
+ */
+export async function releaseWatcher(projectPath) {
+  const entry = watchers.get(projectPath);
+  if (!entry) return;
+
+  entry.clients--;
+  if (entry.clients <= 0) {
+    watchers.delete(projectPath);
+    await entry.watcher.stop();
+  }
+}
@@ -97,29 +97,303 @@ class TestContext {
     };
   }
   
-  static getDeltaPath(inputPath) {
-    if (inputPath.includes('-master.')) {
-      return inputPath.replace('-master.', '-current.');
-    }
+  /**
+   * Delta file for a test data file. With a scope (see getScope) every
+   * worker / test gets its own delta:
+   *   shared.json        → shared-current.json      (no isolation)
+   *   shared.json        → shared-current.w1.json   (scope 'w1')
+   *   shared-master.json → shared-current.w1.json
+   */
+  static getDeltaPath(inputPath, scope = TestContext.getScope()) {
     if (inputPath.includes('-current.')) {
       return inputPath;
     }
-    return inputPath.replace('.json', '-current.json');
+    const suffix = scope ? `-current.${scope}.` : '-current.';
+    if (inputPath.includes('-master.')) {
+      return inputPath.replace('-master.', suffix);
+    }
+    return inputPath.replace('.json', `${suffix}json`);
   }
-  
+
+  static _projectConfig = null;
+
+  /**
+   * ai-testing.config.js ({} if missing or invalid)
+   */
+  static getProjectConfig() {
+    if (this._projectConfig) return this._projectConfig;
+
+    const fs = require('fs');
+    const path = require('path');
+
+    this._projectConfig = {};
+    try {
+      const configPath = path.join(process.cwd(), 'ai-testing.config.js');
+      if (fs.existsSync(configPath)) {
+        this._projectConfig = require(configPath) || {};
+      }
+    } catch (e) {
+      // Config not found or invalid, use defaults
+    }
+    return this._projectConfig;
+  }
+
+  /**
+   * testContext section of ai-testing.config.js:
+   *   testContext: { isolation, storage, schema, validation }
+   */
+  static getTestContextConfig() {
+    return this.getProjectConfig().testContext || {};
+  }
+
+  /**
+   * 'none' (one delta shared by all workers), 'worker' (one per worker)
+   * or 'test' (one per spec, opted into with TestContext.isolate())
+   */
+  static getIsolationMode() {
+    return process.env.TEST_CONTEXT_ISOLATION || this.getTestContextConfig().isolation || 'none';
+  }
+
+  static _sanitizeScope(scope) {
+    return String(scope).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Worker scope from the runner: Playwright's TEST_PARALLEL_INDEX or
+   * WebdriverIO's WDIO_WORKER_ID, prefixed with TEST_RUN_ID when set
+   */
+  static _workerScope() {
+    const worker = process.env.TEST_PARALLEL_INDEX ?? process.env.WDIO_WORKER_ID;
+    const parts = [
+      process.env.TEST_RUN_ID,
+      worker !== undefined ? `w${worker}` : null
+    ].filter(Boolean);
+
+    return parts.length > 0 ? this._sanitizeScope(parts.join('-')) : null;
+  }
+
+  /**
+   * Scope of the delta files for this process (null = shared delta).
+   *
+   * TEST_CONTEXT_SCOPE wins; it is set by isolate() and pinned here once a
+   * worker scope is derived, so prerequisite subprocesses (which get their
+   * own worker index from a nested runner) keep writing the caller's delta.
+   */
+  static getScope() {
+    if (process.env.TEST_CONTEXT_SCOPE) {
+      return this._sanitizeScope(process.env.TEST_CONTEXT_SCOPE);
+    }
+    if (this.getIsolationMode() === 'none') return null;
+
+    const scope = this._workerScope();
+    if (scope) process.env.TEST_CONTEXT_SCOPE = scope;
+    return scope;
+  }
+
+  static _isolationStack = [];
+
+  /**
+   * Give the current spec its own delta file. Generated Playwright specs
+   * call this in beforeAll with their testInfo and releaseIsolation() in
+   * afterAll.
+   *
+   * @param {object|string} testInfo - Playwright testInfo, or an explicit scope
+   * @param {object} options
+   * @param {string} options.mode - Override the configured isolation mode
+   * @returns {string|null} The scope in use
+   */
+  static isolate(testInfo = null, { mode = this.getIsolationMode() } = {}) {
+    const path = require('path');
+
+    let scope = null;
+    if (typeof testInfo === 'string') {
+      scope = testInfo;
+    } else if (mode === 'test' && testInfo) {
+      const specName = path.basename(testInfo.file || testInfo.title || 'spec').replace(/\.(spec|test)\.[jt]s$/, '');
+      scope = [process.env.TEST_RUN_ID, specName, testInfo.project?.name, `w${testInfo.parallelIndex ?? 0}`]
+        .filter(Boolean)
+        .join('-');
+    } else if (mode !== 'none') {
+      scope = this._workerScope();
+    }
+
+    this._isolationStack.push(process.env.TEST_CONTEXT_SCOPE);
+
+    if (scope) {
+      scope = this._sanitizeScope(scope);
+      process.env.TEST_CONTEXT_SCOPE = scope;
+      console.log(`🔐 Test data isolated: scope ${scope}`);
+    }
+    return scope;
+  }
+
+  /**
+   * Undo the last isolate()
+   */
+  static releaseIsolation() {
+    if (this._isolationStack.length === 0) return;
+
+    const previous = this._isolationStack.pop();
+    if (previous === undefined) {
+      delete process.env.TEST_CONTEXT_SCOPE;
+    } else {
+      process.env.TEST_CONTEXT_SCOPE = previous;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // STORAGE - delta files go through a backend (file, sqlite, http),
+  // source test data is always read from disk. See TestContextStorage.js
+  // ═══════════════════════════════════════════════════════════
+
+  static _storage = null;
+
+  static getStorage() {
+    if (!this._storage) {
+      const { createStorage } = require('./TestContextStorage');
+      this._storage = createStorage(this.getTestContextConfig().storage);
+    }
+    return this._storage;
+  }
+
+  /**
+   * Use a storage backend directly (any object with read/exists/update/remove)
+   */
+  static setStorage(storage) {
+    this._storage = storage;
+  }
+
+  /**
+   * Storage key of a delta: its path relative to the project root, with
+   * forward slashes, so runners on different machines agree on it
+   */
+  static _storageKey(filePath) {
+    const path = require('path');
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  static deltaExists(testDataPath) {
+    return this.getStorage().exists(this._storageKey(this.getDeltaPath(testDataPath)));
+  }
+
+  /**
+   * The delta of a test data file if there is one, else the file itself
+   */
+  static resolveDataPath(testDataPath) {
+    return this.deltaExists(testDataPath) ? this.getDeltaPath(testDataPath) : testDataPath;
+  }
+
+  /**
+   * Raw JSON of a test data file (from disk) or a delta (from storage)
+   */
+  static readRaw(filePath) {
+    if (!filePath.includes('-current.')) {
+      const fs = require('fs');
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    const raw = this.getStorage().read(this._storageKey(filePath));
+    if (raw === null) {
+      throw new Error(`Delta not found in ${this.getStorage().type || 'custom'} storage: ${filePath}`);
+    }
+    return raw;
+  }
+
+  /**
+   * Raw JSON of the latest data for a test data file (its delta if any)
+   */
+  static readData(testDataPath) {
+    return this.readRaw(this.resolveDataPath(testDataPath));
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SCHEMA - the original data and every executeAndSave() delta are
+  // checked against a JSON Schema. See TestDataValidator.js
+  // ═══════════════════════════════════════════════════════════
+
+  static _schemas = new Map();
+
+  /**
+   * 'error' (default, throw), 'warn' (log) or 'off'
+   */
+  static getValidationMode() {
+    return process.env.TEST_DATA_VALIDATION || this.getTestContextConfig().validation || 'error';
+  }
+
+  /**
+   * { schema, source } for a test data file, inferred from original when
+   * the project has no schema of its own
+   */
+  static getSchema(testDataPath, original) {
+    const path = require('path');
+    const { loadSchema } = require('./TestDataValidator');
+
+    const cacheKey = path.resolve(testDataPath.replace(/-current(\.[^./\\]+)?\.json$/, '.json'));
+    if (!this._schemas.has(cacheKey)) {
+      const result = loadSchema(testDataPath, original, this.getProjectConfig());
+      this._schemas.set(cacheKey, { ...result, validated: false });
+    }
+    return this._schemas.get(cacheKey);
+  }
+
+  /**
+   * Throw (or warn) when problems were found
+   */
+  static _reportSchemaProblems(problems, subject, source) {
+    if (problems.length === 0) return;
+
+    const { TestDataSchemaError, formatProblems } = require('./TestDataValidator');
+    const message = `${subject} does not match the test data schema (${source}):\n${formatProblems(problems)}`;
+
+    if (this.getValidationMode() === 'warn') {
+      console.warn(`   ⚠️  ${message}`);
+      return;
+    }
+    throw new TestDataSchemaError(`❌ ${message}\n   (set testContext.validation to 'warn' or 'off' to continue anyway)`, problems);
+  }
+
+  /**
+   * Check the original test data once per process
+   */
+  static _validateOriginal(testDataPath, original) {
+    if (this.getValidationMode() === 'off') return null;
+
+    const { validateData } = require('./TestDataValidator');
+    const schema = this.getSchema(testDataPath, original);
+
+    if (!schema.validated) {
+      schema.validated = true;
+      const problems = validateData(original, schema.schema, { ignoreFields: this.getSessionOnlyFields() });
+      this._reportSchemaProblems(problems, testDataPath, schema.source);
+    }
+    return schema;
+  }
+
+  /**
+   * Check a delta before it is applied, naming the change and test file
+   */
+  _validateDelta(delta, label, testFile) {
+    if (TestContext.getValidationMode() === 'off') return;
+
+    const { validateDelta } = require('./TestDataValidator');
+    if (!this._schema) {
+      this._schema = TestContext.getSchema(this.inputPath, this._originalSnapshot || this.data);
+    }
+
+    const problems = validateDelta(delta, this._schema.schema, { ignoreFields: TestContext.getSessionOnlyFields() });
+    TestContext._reportSchemaProblems(problems, `Delta "${label}" from ${testFile}`, this._schema.source);
+  }
+
 static load(ImplicationClass, testDataPath) {
-  const fs = require('fs');
   const path = require('path');
   
   let actualPath = testDataPath;
   let isMasterFile = testDataPath.includes('-master.');
   
   if (!isMasterFile) {
-    const baseName = path.basename(testDataPath, '.json');
-    const dirName = path.dirname(testDataPath);
-    const currentPath = path.join(dirName, `${baseName}-current.json`);
-    
-    if (fs.existsSync(currentPath)) {
+    const currentPath = TestContext.getDeltaPath(testDataPath);
+
+    if (TestContext.deltaExists(testDataPath)) {
       actualPath = currentPath;
       console.log(`   📂 Loading from delta file: ${path.basename(currentPath)}`);
     } else {
@@ -127,11 +401,11 @@ static load(ImplicationClass, testDataPath) {
     }
   }
   
-  const fileContents = fs.readFileSync(actualPath, 'utf8');
-  const rawData = JSON.parse(fileContents);
+  const rawData = TestContext.readRaw(actualPath);
   
   let data;
   let originalSnapshot; // ✅ Capture the true original before any mutations
+  let history = []; // Changes already in the delta file, kept on the next save
   
   if (rawData._changeLog !== undefined) {
     // Delta file format: { _original: {...}, _changeLog: [...] }
@@ -139,18 +413,10 @@ static load(ImplicationClass, testDataPath) {
     originalSnapshot = JSON.parse(JSON.stringify(original)); // ✅ Deep clone of true original
     data = JSON.parse(JSON.stringify(original)); // Deep clone to work with
     
+    history = rawData._changeLog;
+    
     if (rawData._changeLog.length > 0) {
-      for (const change of rawData._changeLog) {
-        // Apply each delta key, handling dot notation for nested fields
-        for (const [key, value] of Object.entries(change.delta)) {
-          if (key.includes('.')) {
-            // Dot notation - set nested value (e.g., "booking.status" → data.booking.status)
-            TestContext.setNestedValue(data, key, value);
-          } else {
-            data[key] = value;
-          }
-        }
-      }
+      TestContext._applyChanges(data, rawData._changeLog);
       console.log(`   📊 Applied ${rawData._changeLog.length} changes from history`);
       
       // Log the actual entity status if applicable
@@ -166,6 +432,8 @@ static load(ImplicationClass, testDataPath) {
     console.log(`   ✨ Fresh state loaded`);
   }
   
+  const schema = TestContext._validateOriginal(testDataPath, originalSnapshot);
+  
   TestContext._transformDates(data);
   console.log('   ✅ Date transformation complete');
   
@@ -189,7 +457,10 @@ static load(ImplicationClass, testDataPath) {
   
   const ctx = new TestContext(ImplicationClass, data, testDataPath);
   ctx._originalSnapshot = originalSnapshot; // ✅ Store the true original for save()
+  ctx._schema = schema;
   ctx.actualFilePath = actualPath;
+  ctx.changeLog = [...history];
+  ctx._savedCount = history.length;
   
   return ctx;
 }
@@ -228,8 +499,11 @@ static load(ImplicationClass, testDataPath) {
     return obj;
   }
   
-save(testDataPath) {
-  const fs = require('fs');
+/**
+ * Write the delta file. Unsaved changes are appended to the delta's log;
+ * with replace the delta is overwritten with this context's log (rewindTo).
+ */
+save(testDataPath, { replace = false } = {}) {
   const path = require('path');
   
   let savePath;
@@ -251,7 +525,7 @@ save(testDataPath) {
   this._stripSessionFieldsFromObject(originalData);
   
   const sessionFields = TestContext.getSessionOnlyFields();
-  const cleanedChangeLog = this.changeLog.map(change => {
+  const cleanChange = change => {
     const cleanedDelta = { ...change.delta };
     
     for (const key of Object.keys(cleanedDelta)) {
@@ -266,14 +540,28 @@ save(testDataPath) {
       ...change,
       delta: cleanedDelta
     };
-  }).filter(change => Object.keys(change.delta).length > 0);
-  
-  const output = {
-    _original: originalData,
-    _changeLog: cleanedChangeLog
   };
+  const savedCount = this._savedCount || 0;
+  
+  TestContext.getStorage().update(TestContext._storageKey(savePath), existing => {
+    // Another context (parallel worker, prerequisite subprocess, a runner on
+    // another machine) may have written since we loaded - append our unsaved
+    // changes to its log instead of overwriting it, as long as both start
+    // from the same original
+    const sameOriginal = !replace && Array.isArray(existing?._changeLog) &&
+      JSON.stringify(existing._original) === JSON.stringify(originalData);
+    
+    const changeLog = sameOriginal
+      ? [...existing._changeLog, ...this.changeLog.slice(savedCount).map(cleanChange)]
+      : this.changeLog.map(cleanChange);
+    
+    return {
+      _original: originalData,
+      _changeLog: changeLog.filter(change => Object.keys(change.delta).length > 0)
+    };
+  });
   
-  fs.writeFileSync(savePath, JSON.stringify(output, null, 2));
+  this._savedCount = this.changeLog.length;
   
   const fileName = path.basename(savePath);
   const isMaster = savePath.includes('-master.');
@@ -388,9 +676,30 @@ save(testDataPath) {
     current[parts[parts.length - 1]] = value;
   }
   
+  /**
+   * Apply change log entries to data in order
+   */
+  static _applyChanges(data, changeLog) {
+    for (const change of changeLog) {
+      // Apply each delta key, handling dot notation for nested fields
+      for (const [key, value] of Object.entries(change.delta || {})) {
+        if (key.includes('.')) {
+          // Dot notation - set nested value (e.g., "booking.status" → data.booking.status)
+          TestContext.setNestedValue(data, key, value);
+        } else {
+          data[key] = value;
+        }
+      }
+    }
+    return data;
+  }
+  
 async executeAndSave(label, testFile, deltaFn) {
   const { delta } = await deltaFn();
   
+  // ✅ Fail before a typo'd key (booking.stauts) becomes a new field
+  this._validateDelta(delta, label, testFile);
+  
   for (const [key, value] of Object.entries(delta)) {
     if (key.includes('.')) {
       const parts = key.split('.');
@@ -418,6 +727,145 @@ async executeAndSave(label, testFile, deltaFn) {
   return this;
 }
 
+// ═══════════════════════════════════════════════════════════
+// CHECKPOINTS - every _changeLog entry is a point the data can go back to
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Read a test data or delta file as { original, changeLog }
+ * (a plain test data file has no changes)
+ */
+static readHistory(filePath) {
+  const raw = this.readRaw(filePath);
+  if (raw._changeLog !== undefined) {
+    return { original: raw._original || {}, changeLog: raw._changeLog || [] };
+  }
+  return { original: raw, changeLog: [] };
+}
+
+/**
+ * Number of changes applied at a checkpoint: 'original' / 0, n (after the
+ * n-th change) or a change label (its latest occurrence)
+ */
+static _resolveCheckpoint(changeLog, checkpoint) {
+  if (checkpoint === undefined || checkpoint === null) return changeLog.length;
+  if (checkpoint === 'original') return 0;
+  
+  if (typeof checkpoint === 'number' || /^\d+$/.test(String(checkpoint))) {
+    const count = Number(checkpoint);
+    if (count > changeLog.length) {
+      throw new Error(`Checkpoint ${count} does not exist (${changeLog.length} changes)`);
+    }
+    return count;
+  }
+  
+  for (let i = changeLog.length - 1; i >= 0; i--) {
+    if (changeLog[i].label === checkpoint) return i + 1;
+  }
+  throw new Error(`Checkpoint "${checkpoint}" not found. Available: ${changeLog.map(c => c.label).join(', ') || 'none'}`);
+}
+
+/**
+ * Checkpoints of a test data file's delta, oldest first. Checkpoint 0 is
+ * the original data.
+ */
+static listCheckpoints(testDataPath) {
+  const { changeLog } = this.readHistory(this.resolveDataPath(testDataPath));
+  
+  return [
+    { index: 0, label: 'original', testFile: null, timestamp: null, fields: [] },
+    ...changeLog.map((change, i) => ({
+      index: i + 1,
+      label: change.label,
+      testFile: change.testFile,
+      timestamp: change.timestamp,
+      fields: Object.keys(change.delta || {})
+    }))
+  ];
+}
+
+/**
+ * Test data as it was at a checkpoint (plain JSON, dates not transformed)
+ */
+static materialize(testDataPath, checkpoint) {
+  const { original, changeLog } = this.readHistory(this.resolveDataPath(testDataPath));
+  const count = this._resolveCheckpoint(changeLog, checkpoint);
+  
+  return this._applyChanges(JSON.parse(JSON.stringify(original)), changeLog.slice(0, count));
+}
+
+/**
+ * Delta path of a fork: shared.json / shared-current.w1.json → shared-current.<scope>.json
+ */
+static forkPath(testDataPath, scope) {
+  if (testDataPath.includes('-current.')) {
+    return testDataPath.replace(/-current(\.[^./\\]+)?\.json$/, `-current.${scope}.json`);
+  }
+  return this.getDeltaPath(testDataPath, scope);
+}
+
+/**
+ * Write a new delta with the history up to a checkpoint. Running a test
+ * with TEST_CONTEXT_SCOPE=<scope> then starts from that point instead of
+ * replaying the prerequisite chain.
+ *
+ * @returns {{ path: string, scope: string, changes: number }}
+ */
+static fork(testDataPath, checkpoint, { scope } = {}) {
+  const path = require('path');
+  
+  const sourcePath = this.resolveDataPath(testDataPath);
+  const { original, changeLog } = this.readHistory(sourcePath);
+  const count = this._resolveCheckpoint(changeLog, checkpoint);
+  
+  const forkScope = this._sanitizeScope(scope || `fork-${count === 0 ? 'original' : changeLog[count - 1].label}`);
+  const targetPath = this.forkPath(sourcePath, forkScope);
+  
+  if (path.resolve(targetPath) === path.resolve(sourcePath)) {
+    throw new Error(`Fork target is the source delta (${path.basename(sourcePath)}) - choose another scope`);
+  }
+  
+  this.getStorage().update(this._storageKey(targetPath), () => ({
+    _original: original,
+    _changeLog: changeLog.slice(0, count)
+  }));
+  
+  console.log(`🍴 Forked ${count} changes into ${path.basename(targetPath)} (TEST_CONTEXT_SCOPE=${forkScope})`);
+  return { path: targetPath, scope: forkScope, changes: count };
+}
+
+/**
+ * Go back to a checkpoint of this context: later changes are dropped, the
+ * data is rebuilt from the original and the delta file is rewritten.
+ *
+ * @param {string|number} checkpoint - Change label, change count or 'original'
+ */
+rewindTo(checkpoint) {
+  if (!this._originalSnapshot) {
+    throw new Error('rewindTo() needs a context created with TestContext.load()');
+  }
+  
+  const count = TestContext._resolveCheckpoint(this.changeLog, checkpoint);
+  const dropped = this.changeLog.length - count;
+  this.changeLog = this.changeLog.slice(0, count);
+  
+  const data = TestContext._applyChanges(JSON.parse(JSON.stringify(this._originalSnapshot)), this.changeLog);
+  TestContext._transformDates(data);
+  
+  // Keep the entity markers load() sets
+  const entity = this.data._entity;
+  if (entity && data[entity]?.status) {
+    data._entity = entity;
+    data._entityStatus = data[entity].status;
+  }
+  this.data = data;
+  
+  this.save(undefined, { replace: true });
+  
+  console.log(`   ⏪ Rewound to ${checkpoint} (dropped ${dropped} change${dropped === 1 ? '' : 's'})`);
+  return this;
+}
+
 /**
  * Cleanup delta files after test run
  * @param {string} testDataPath - Original test data path
@@ -431,19 +879,20 @@ static async cleanup(testDataPath, options = {}) {
     console.log('⏭️  Skipping cleanup (prerequisite execution - preserving state for next test)');
     return;
   }
-  const fs = require('fs');
   const path = require('path');
   
   const { passed = true, interactive = true } = options;
   const deltaPath = this.getDeltaPath(testDataPath);
+  const storage = this.getStorage();
+  const key = this._storageKey(deltaPath);
   
-  if (!fs.existsSync(deltaPath)) {
+  if (!storage.exists(key)) {
     return; // Nothing to clean
   }
   
   if (passed) {
     // Auto-delete on success
-    fs.unlinkSync(deltaPath);
+    storage.remove(key);
     console.log(`🧹 Auto-cleaned: ${path.basename(deltaPath)}`);
   } else if (interactive && process.stdout.isTTY) {
     // Prompt on failure (only in interactive terminal)
@@ -458,7 +907,7 @@ static async cleanup(testDataPath, options = {}) {
         rl.close();
         const shouldDelete = !answer || answer.toLowerCase() === 'y';
         if (shouldDelete) {
-          fs.unlinkSync(deltaPath);
+          storage.remove(key);
           console.log(`🧹 Deleted: ${path.basename(deltaPath)}`);
         } else {
           console.log(`📁 Kept: ${path.basename(deltaPath)}`);
@@ -0,0 +1,331 @@
+// Auto-generated by Implications Framework
+// Location: tests/ai-testing/utils/TestContextStorage.js
+//
+// Where TestContext keeps delta files (-current.json). Source test data
+// (shared.json, -master.json) is always read from disk.
+//
+// Every backend implements the same synchronous interface, keyed by the
+// delta path relative to the project root (e.g. 'tests/data/shared-current.json'):
+//
+//   read(key)        → stored object, or null
+//   exists(key)      → boolean
+//   update(key, fn)  → atomically store fn(current or null), returns it
+//   remove(key)
+//
+// Configure in ai-testing.config.js:
+//
+//   testContext: {
+//     storage: 'file'                                        // default
+//     storage: { type: 'sqlite', path: '.implications-framework/test-context.db' }
+//     storage: { type: 'http', url: 'http://ci-host:3000/api/test-context', namespace: 'nightly' }
+//     storage: { adapter: require('./myStorage') }          // any object with the methods above
+//   }
+//
+// TEST_CONTEXT_STORAGE / TEST_CONTEXT_STORAGE_URL override the type / url.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const METHODS = ['read', 'exists', 'update', 'remove'];
+
+// ═══════════════════════════════════════════════════════════
+// FILE - JSON next to the test data (the original format)
+// ═══════════════════════════════════════════════════════════
+
+class FileStorage {
+  constructor({ lockTimeoutMs = 10000, staleLockMs = 30000 } = {}) {
+    this.type = 'file';
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+  }
+
+  read(key) {
+    try {
+      return JSON.parse(fs.readFileSync(key, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  exists(key) {
+    return fs.existsSync(key);
+  }
+
+  update(key, fn) {
+    return this._withFileLock(key, () => {
+      let current = null;
+      try {
+        current = this.read(key);
+      } catch (e) {
+        // Unreadable - replace it
+      }
+
+      const value = fn(current);
+
+      // Write-then-rename so readers never see a half-written file
+      const tempPath = `${key}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+      fs.renameSync(tempPath, key);
+      return value;
+    });
+  }
+
+  remove(key) {
+    try {
+      fs.unlinkSync(key);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Run fn while holding an exclusive lock file next to filePath, so
+   * parallel workers sharing a delta don't interleave read-merge-write.
+   * Locks older than staleLockMs are considered abandoned (crashed worker).
+   */
+  _withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const started = Date.now();
+    const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+    let fd = null;
+    while (fd === null) {
+      try {
+        fd = fs.openSync(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > this.staleLockMs) {
+            console.log(`   ⚠️  Removing stale lock: ${lockPath}`);
+            fs.unlinkSync(lockPath);
+            continue;
+          }
+        } catch (e) {
+          continue; // Released while we looked
+        }
+
+        if (Date.now() - started > this.lockTimeoutMs) {
+          throw new Error(`Timed out waiting for ${lockPath} - delete it if no test is running`);
+        }
+        Atomics.wait(sleeper, 0, 0, 25);
+      }
+    }
+
+    try {
+      fs.writeSync(fd, String(process.pid));
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      try { fs.unlinkSync(lockPath); } catch (e) {}
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// SQLITE - one database file, e.g. on a share both runners mount
+// ═══════════════════════════════════════════════════════════
+
+function loadSqlite() {
+  try {
+    return require('node:sqlite').DatabaseSync;
+  } catch (e) {
+    // Node < 22.5
+  }
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw new Error('SQLite test context storage needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+class SqliteStorage {
+  constructor({ path: dbPath = '.implications-framework/test-context.db', busyTimeoutMs = 10000 } = {}) {
+    this.type = 'sqlite';
+
+    const Database = loadSqlite();
+    const resolved = path.resolve(process.cwd(), dbPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    this.db = new Database(resolved);
+    this.db.exec(`PRAGMA busy_timeout = ${Number(busyTimeoutMs)}`);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS test_context (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  read(key) {
+    const row = this.db.prepare('SELECT value FROM test_context WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  exists(key) {
+    return Boolean(this.db.prepare('SELECT 1 AS found FROM test_context WHERE key = ?').get(key));
+  }
+
+  update(key, fn) {
+    // IMMEDIATE takes the write lock up front, so the read below can't go stale
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const value = fn(this.read(key));
+      this.db.prepare(`
+        INSERT INTO test_context (key, value, version, updated_at) VALUES (?, ?, 1, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          value = excluded.value,
+          version = test_context.version + 1,
+          updated_at = excluded.updated_at
+      `).run(key, JSON.stringify(value), new Date().toISOString());
+      this.db.exec('COMMIT');
+      return value;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  remove(key) {
+    this.db.prepare('DELETE FROM test_context WHERE key = ?').run(key);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// HTTP - the API server's /api/test-context key-value store
+// ═══════════════════════════════════════════════════════════
+
+// TestContext is synchronous, so each request runs in a short-lived child
+// process that does the fetch and prints the response
+const HTTP_WORKER = `
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', async () => {
+  const { url, method, headers, body, timeoutMs } = JSON.parse(input);
+  try {
+    const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    process.stdout.write(JSON.stringify({ status: response.status, body: await response.text() }));
+  } catch (error) {
+    process.stdout.write(JSON.stringify({ error: error.message }));
+  }
+});
+`;
+
+class HttpStorage {
+  constructor({ url, namespace = 'default', token, timeoutMs = 10000, retries = 5 } = {}) {
+    if (!url) {
+      throw new Error('HTTP test context storage needs a url (testContext.storage.url or TEST_CONTEXT_STORAGE_URL)');
+    }
+    this.type = 'http';
+    this.url = `${url.replace(/\/+$/, '')}/${encodeURIComponent(namespace)}/entries`;
+    this.token = token || process.env.TEST_CONTEXT_STORAGE_TOKEN;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+  }
+
+  _request(method, key, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    const output = execFileSync(process.execPath, ['-e', HTTP_WORKER], {
+      input: JSON.stringify({
+        url: `${this.url}?key=${encodeURIComponent(key)}`,
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        timeoutMs: this.timeoutMs
+      }),
+      encoding: 'utf8',
+      timeout: this.timeoutMs + 5000,
+      maxBuffer: 64 * 1024 * 1024
+    });
+
+    const response = JSON.parse(output);
+    if (response.error) {
+      throw new Error(`Test context storage ${method} ${this.url} failed: ${response.error}`);
+    }
+
+    const data = response.body ? JSON.parse(response.body) : {};
+    if (response.status >= 400 && response.status !== 404 && response.status !== 409) {
+      throw new Error(`Test context storage ${method} ${key} failed (${response.status}): ${data.error || response.body}`);
+    }
+    return { status: response.status, data };
+  }
+
+  /**
+   * { value, version } or null
+   */
+  _get(key) {
+    const { status, data } = this._request('GET', key);
+    return status === 404 ? null : data;
+  }
+
+  read(key) {
+    return this._get(key)?.value ?? null;
+  }
+
+  exists(key) {
+    return this._get(key) !== null;
+  }
+
+  update(key, fn) {
+    // Optimistic: the server refuses (409) if someone wrote since our read.
+    // One attempt plus up to `retries` retries.
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      const current = this._get(key);
+      const value = fn(current ? current.value : null);
+
+      const { status } = this._request('PUT', key, { value, expectedVersion: current ? current.version : 0 });
+      if (status !== 409) return value;
+
+      if (attempt < this.retries) {
+        console.log(`   🔁 ${key} changed on the server, retrying (${attempt + 1}/${this.retries})`);
+      }
+    }
+    throw new Error(`Could not update ${key}: it kept changing on the server (${this.retries} retries)`);
+  }
+
+  remove(key) {
+    this._request('DELETE', key);
+  }
+}
+
+/**
+ * Storage backend from the testContext.storage setting
+ */
+function createStorage(options = {}) {
+  const settings = typeof options === 'string' ? { type: options } : { ...(options || {}) };
+
+  if (settings.adapter) {
+    const missing = METHODS.filter(method => typeof settings.adapter[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Custom test context storage is missing: ${missing.join(', ')}`);
+    }
+    return settings.adapter;
+  }
+
+  if (process.env.TEST_CONTEXT_STORAGE_URL) {
+    settings.url = process.env.TEST_CONTEXT_STORAGE_URL;
+    settings.type = settings.type || 'http';
+  }
+  if (process.env.TEST_CONTEXT_STORAGE) {
+    settings.type = process.env.TEST_CONTEXT_STORAGE;
+  }
+
+  switch (settings.type || 'file') {
+    case 'file':
+      return new FileStorage(settings);
+    case 'sqlite':
+      return new SqliteStorage(settings);
+    case 'http':
+      return new HttpStorage(settings);
+    default:
+      throw new Error(`Unknown test context storage: ${settings.type} (use file, sqlite or http)`);
+  }
+}
+
+module.exports = { FileStorage, SqliteStorage, HttpStorage, createStorage };
@@ -0,0 +1,352 @@
+// Auto-generated by Implications Framework
+// Location: tests/ai-testing/utils/TestDataValidator.js
+//
+// Checks test data and every executeAndSave() delta against a JSON Schema.
+//
+// The schema is, in order:
+//   1. testContext.schema in ai-testing.config.js (path to a .json file, or the schema itself)
+//   2. <name>.schema.json next to the test data (shared.json → shared.schema.json)
+//   3. inferred from the original test data, refined by config.testDataSchema
+//
+// An inferred schema accepts new fields, but not near-misses of existing
+// ones (booking.stauts next to booking.status) or values of another type.
+// Related names (acceptedAt next to accepted, dancer2 next to dancer1) are
+// new fields, not near-misses. A hand-written schema is enforced as written
+// (additionalProperties: false rejects every unknown field).
+//
+// Supported keywords: type, enum, const, properties, required,
+// additionalProperties, items, minimum, maximum, minLength, maxLength,
+// pattern and local $ref (#/definitions/..., #/$defs/...). Others are ignored.
+
+const fs = require('fs');
+const path = require('path');
+
+class TestDataSchemaError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TestDataSchemaError';
+    this.problems = problems;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCHEMA SOURCES
+// ═══════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  // Dates and moment objects are stored as ISO strings
+  if (value instanceof Date || typeof value.toISOString === 'function') return 'string';
+  return typeof value;
+}
+
+/**
+ * Schema describing the shape of a test data object. Null values don't
+ * constrain the type; every inferred type also allows null.
+ */
+function inferSchema(value) {
+  const type = typeOf(value);
+
+  if (type === 'null') return {};
+  if (type === 'array') return { type: ['array', 'null'] };
+  if (type !== 'object') return { type: [type, 'null'] };
+
+  const properties = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('_')) continue;
+    properties[key] = inferSchema(child);
+  }
+  return { type: ['object', 'null'], properties };
+}
+
+/**
+ * Apply config.testDataSchema entries ({ 'booking.status': { type, values, required } })
+ * to an inferred schema
+ */
+function applyFieldSchema(schema, fieldSchema = {}) {
+  for (const [fieldPath, field] of Object.entries(fieldSchema)) {
+    if (!field || typeof field !== 'object') continue; // Plain descriptions carry no rules
+
+    const parts = fieldPath.replace(/^(ctx\.data|testData)\./, '').split('.');
+    let node = schema;
+    for (let i = 0; i < parts.length; i++) {
+      node.properties = node.properties || {};
+      if (i === parts.length - 1) {
+        if (field.required) {
+          node.required = [...new Set([...(node.required || []), parts[i]])];
+        }
+      }
+      node = node.properties[parts[i]] = node.properties[parts[i]] || {};
+    }
+
+    if (field.type && field.type !== 'unknown') node.type = [field.type, 'null'];
+    if (Array.isArray(field.values)) node.enum = field.values;
+  }
+  return schema;
+}
+
+/**
+ * <name>.schema.json next to a test data or delta file
+ */
+function schemaPathFor(testDataPath) {
+  const base = testDataPath
+    .replace(/-current(\.[^./\\]+)?\.json$/, '.json')
+    .replace(/-master\.json$/, '.json')
+    .replace(/\.json$/, '');
+  return `${base}.schema.json`;
+}
+
+/**
+ * { schema, source } for a test data file. original is the data the
+ * schema is inferred from when the project has none.
+ */
+function loadSchema(testDataPath, original, config = {}) {
+  const configured = config.testContext?.schema;
+
+  if (configured && typeof configured === 'object') {
+    return { schema: configured, source: 'ai-testing.config.js' };
+  }
+
+  const schemaPath = typeof configured === 'string' ? configured : schemaPathFor(testDataPath);
+  const resolved = path.resolve(process.cwd(), schemaPath);
+  if (fs.existsSync(resolved)) {
+    try {
+      return { schema: JSON.parse(fs.readFileSync(resolved, 'utf8')), source: schemaPath };
+    } catch (error) {
+      throw new TestDataSchemaError(`Invalid JSON Schema in ${schemaPath}: ${error.message}`);
+    }
+  }
+  if (typeof configured === 'string') {
+    throw new TestDataSchemaError(`testContext.schema not found: ${schemaPath}`);
+  }
+
+  const schema = applyFieldSchema(inferSchema(original || {}), config.testDataSchema || config.testData?.schema);
+  return { schema, source: `inferred from ${path.basename(testDataPath)}` };
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Edit distance counting a swap of two neighbours as one edit
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Whether two keys are related names rather than a typo: one extends the
+ * other (accepted / acceptedAt) or they differ only by a number (dancer1 / dancer2)
+ */
+function relatedKeys(a, b) {
+  const stem = key => key.replace(/\d+$/, '');
+  return a.startsWith(b) || b.startsWith(a) || stem(a) === stem(b);
+}
+
+/**
+ * Known field a new key is probably a typo of, or null
+ */
+function nearMiss(key, knownKeys) {
+  if (key.length < 4) return null;
+  const limit = key.length >= 6 ? 2 : 1;
+
+  let best = null;
+  for (const known of knownKeys) {
+    if (known === key) return null;
+    if (relatedKeys(key.toLowerCase(), known.toLowerCase())) continue;
+    const distance = editDistance(key.toLowerCase(), known.toLowerCase());
+    if (distance <= limit && (!best || distance < best.distance)) best = { known, distance };
+  }
+  return best?.known || null;
+}
+
+function resolveRef(schema, root) {
+  let node = schema;
+  for (let depth = 0; node && node.$ref && depth < 10; depth++) {
+    const match = node.$ref.match(/^#\/(definitions|\$defs)\/(.+)$/);
+    if (!match) return true; // Remote refs are not followed
+    node = root[match[1]]?.[match[2]];
+  }
+  return node === undefined ? true : node;
+}
+
+function join(fieldPath, key) {
+  return fieldPath ? `${fieldPath}.${key}` : key;
+}
+
+/**
+ * Problems ({ path, message }) of a value against a schema
+ */
+function validateValue(value, schema, root = schema, fieldPath = '', options = {}) {
+  const node = resolveRef(schema, root);
+  if (node === true || !node || typeof node !== 'object') {
+    return node === false ? [{ path: fieldPath, message: 'not allowed' }] : [];
+  }
+
+  const problems = [];
+  const type = typeOf(value);
+  const label = fieldPath || '(root)';
+
+  if (node.type) {
+    const allowed = Array.isArray(node.type) ? node.type : [node.type];
+    const matches = allowed.some(t => t === type || (t === 'integer' && type === 'number' && Number.isInteger(value)));
+    if (!matches) {
+      return [{ path: label, message: `expected ${allowed.filter(t => t !== 'null').join(' | ') || 'null'}, got ${type} (${JSON.stringify(value)})` }];
+    }
+  }
+
+  if (Array.isArray(node.enum) && !node.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push({ path: label, message: `${JSON.stringify(value)} is not one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if (node.const !== undefined && JSON.stringify(node.const) !== JSON.stringify(value)) {
+    problems.push({ path: label, message: `must be ${JSON.stringify(node.const)}` });
+  }
+
+  if (type === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) problems.push({ path: label, message: `must be >= ${node.minimum}` });
+    if (node.maximum !== undefined && value > node.maximum) problems.push({ path: label, message: `must be <= ${node.maximum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) problems.push({ path: label, message: `must be at least ${node.minLength} characters` });
+    if (node.maxLength !== undefined && value.length > node.maxLength) problems.push({ path: label, message: `must be at most ${node.maxLength} characters` });
+    if (node.pattern && !new RegExp(node.pattern).test(value)) problems.push({ path: label, message: `must match /${node.pattern}/` });
+  }
+
+  if (type === 'array' && node.items && typeof node.items === 'object') {
+    value.forEach((item, i) => problems.push(...validateValue(item, node.items, root, join(fieldPath, i), options)));
+  }
+
+  if (type === 'object') {
+    const ignored = options.ignoreFields || [];
+    const properties = node.properties || {};
+
+    for (const key of node.required || []) {
+      if (value[key] === undefined) problems.push({ path: join(fieldPath, key), message: 'is required' });
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith('_') || ignored.includes(key)) continue;
+
+      const childPath = join(fieldPath, key);
+      if (properties[key] !== undefined) {
+        problems.push(...validateValue(child, properties[key], root, childPath, options));
+        continue;
+      }
+
+      const problem = unknownFieldProblem(key, childPath, node);
+      if (problem) {
+        problems.push(problem);
+      } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        problems.push(...validateValue(child, node.additionalProperties, root, childPath, options));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problem for a field the schema doesn't list, or null if it may be added
+ */
+function unknownFieldProblem(key, fieldPath, node) {
+  const known = Object.keys(node.properties || {});
+  const suggestion = nearMiss(key, known);
+
+  if (suggestion) {
+    return { path: fieldPath, message: `unknown field (did you mean "${suggestion}"?)` };
+  }
+  if (node.additionalProperties === false) {
+    return { path: fieldPath, message: `unknown field${known.length > 0 ? ` (known: ${known.join(', ')})` : ''}` };
+  }
+  return null;
+}
+
+/**
+ * 'bookings[0].status' → ['bookings', '0', 'status']
+ */
+function splitKey(key) {
+  return key.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+}
+
+/**
+ * Problems of an executeAndSave() delta: every key must lead to a known
+ * (or allowed new) field and every value must match its field's schema
+ */
+function validateDelta(delta, schema, options = {}) {
+  const problems = [];
+  const ignored = options.ignoreFields || [];
+
+  for (const [key, value] of Object.entries(delta || {})) {
+    const parts = splitKey(key);
+    if (parts.some(part => part.startsWith('_')) || ignored.includes(parts[parts.length - 1])) continue;
+
+    let node = schema;
+    let walked = '';
+    let problem = null;
+
+    for (const part of parts) {
+      node = resolveRef(node, schema);
+      if (node === true || !node || typeof node !== 'object') {
+        node = true;
+        break;
+      }
+
+      const fieldPath = join(walked, part);
+      if (/^\d+$/.test(part) && (node.items || [].concat(node.type || []).includes('array'))) {
+        node = node.items && typeof node.items === 'object' ? node.items : true;
+      } else if (node.properties?.[part] !== undefined) {
+        node = node.properties[part];
+      } else {
+        problem = unknownFieldProblem(part, fieldPath, node);
+        node = node.additionalProperties && typeof node.additionalProperties === 'object' ? node.additionalProperties : true;
+      }
+      walked = fieldPath;
+      if (problem) break;
+    }
+
+    if (problem) {
+      problems.push(problem);
+    } else if (node !== true) {
+      problems.push(...validateValue(value, node, schema, walked, options));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problems of a whole test data object
+ */
+function validateData(data, schema, options = {}) {
+  return validateValue(data, schema, schema, '', options);
+}
+
+function formatProblems(problems) {
+  return problems.map(problem => `   - ${problem.path}: ${problem.message}`).join('\n');
+}
+
+module.exports = {
+  TestDataSchemaError,
+  inferSchema,
+  applyFieldSchema,
+  schemaPathFor,
+  loadSchema,
+  validateData,
+  validateDelta,
+  formatProblems
+};
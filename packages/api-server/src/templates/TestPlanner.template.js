@@ -210,8 +210,14 @@ const entriesWithMatchingRequires = meta.setup.filter(entry => {
   }
   
   // ═══════════════════════════════════════════════════════════
-  // STEP 3: Default to first valid entry
+  // STEP 3: Default to the isDefault entry, else first valid entry
   // ═══════════════════════════════════════════════════════════
+  const defaultEntry = candidateEntries.find(s => s.isDefault === true);
+  if (defaultEntry) {
+    if (verbose) console.log(`   ✅ Using isDefault entry: previousStatus=${defaultEntry.previousStatus}`);
+    return defaultEntry;
+  }
+
   if (verbose) console.log(`   ⚠️ Falling back to first valid entry`);
   console.log(`   📋 _getPreviousStatus: Using setupEntry.previousStatus = ${candidateEntries[0]?.previousStatus}`);
   return candidateEntries[0];
@@ -3786,8 +3792,7 @@ if (actionDetails?.steps) {
             // Get current data path (might have delta from previous step)
             const TestContext = require('./TestContext');
             const originalPath = options.testDataPath || testData.__testDataPath || 'tests/data/shared.json';
-            const deltaPath = TestContext.getDeltaPath(originalPath);
-            const pathToUse = fs.existsSync(deltaPath) ? deltaPath : originalPath;
+            const pathToUse = TestContext.resolveDataPath(originalPath);
 
             // Check transition conditions before executing
             const transitionCheck = this._canTakeTransitionTo(step.status, currentStatus, testData);
@@ -3966,8 +3971,7 @@ if (actionDetails?.steps) {
                 this._clearDataCaches();
                 
                 // Reload data after cross-platform execution
-                const afterCrossPlatDelta = TestContext.getDeltaPath(originalPath);
-                const afterCrossPlatPath = fs.existsSync(afterCrossPlatDelta) ? afterCrossPlatDelta : originalPath;
+                const afterCrossPlatPath = TestContext.resolveDataPath(originalPath);
                 const afterCrossPlatCtx = TestContext.load(ImplicationClass, afterCrossPlatPath);
                 
                 console.log(`   📂 After cross-platform: status=${afterCrossPlatCtx.data.status}, booking.status=${afterCrossPlatCtx.data.booking?.status || 'N/A'}\n`);
@@ -4010,8 +4014,7 @@ if (actionDetails?.steps) {
                       await new Promise(resolve => setTimeout(resolve, 500));
                       
                       // Reload final state
-                      const finalDelta = TestContext.getDeltaPath(originalPath);
-                      const finalPath = fs.existsSync(finalDelta) ? finalDelta : originalPath;
+                      const finalPath = TestContext.resolveDataPath(originalPath);
                       const finalCtx = TestContext.load(ImplicationClass, finalPath);
                       
                       Object.assign(testData, finalCtx.data);
@@ -4155,9 +4158,7 @@ if (actionDetails?.steps) {
             this._clearDataCaches();
 
             const TestContext = require('./TestContext');
-            const deltaPath = TestContext.getDeltaPath(testDataPath || 'tests/data/shared.json');
-            const actualPath = fs.existsSync(deltaPath) ? deltaPath : (testDataPath || 'tests/data/shared.json');
-            const rawData = JSON.parse(fs.readFileSync(actualPath, 'utf8'));
+            const rawData = TestContext.readData(testDataPath || 'tests/data/shared.json');
             const mergedData = this._mergeChangeLog(rawData);
 
             Object.assign(testData, mergedData);
@@ -4225,8 +4226,7 @@ if (actionDetails?.steps) {
         || process.env.TEST_DATA_PATH
         || 'tests/data/shared.json';
 
-      const deltaPath = TestContext.getDeltaPath(originalPath);
-      const pathToUse = fs.existsSync(deltaPath) ? deltaPath : originalPath;
+      const pathToUse = TestContext.resolveDataPath(originalPath);
 
       const result = await triggerFn(pathToUse, {
         page: page,
@@ -4297,7 +4297,10 @@ static async executeWebSegmentInline(stepsToExecute, testDataPath) {
   console.log(`\n🌐 Running ${stepsToExecute.length} web prerequisites in single browser...\n`);
   
   const firstStepDir = path.dirname(path.join(process.cwd(), stepsToExecute[0].testFile));
-  const tempFile = path.join(firstStepDir, 'BatchPrereqs-BATCH-Web-UNIT.spec.js');
+  // One batch file per test data scope so parallel workers don't overwrite each other's
+  const TestContext = require('./TestContext');
+  const scope = TestContext.getScope();
+  const tempFile = path.join(firstStepDir, `BatchPrereqs-BATCH-Web-UNIT${scope ? `.${scope}` : ''}.spec.js`);
   
   console.log(`   📝 Creating batch file: ${tempFile}`);
   
@@ -4315,9 +4318,7 @@ static async executeWebSegmentInline(stepsToExecute, testDataPath) {
       if (!fn) throw new Error('Function ${fnName} not found');
       
       const TestContext = require('${path.join(process.cwd(), 'tests/ai-testing/utils/TestContext').replace(/\\/g, '/')}');
-      const fs = require('fs');
-      const deltaPath = TestContext.getDeltaPath('${testDataPath}');
-      const pathToUse = fs.existsSync(deltaPath) ? deltaPath : '${testDataPath}';
+      const pathToUse = TestContext.resolveDataPath('${testDataPath}');
       
       const result = await fn(pathToUse, { page, testDataPath: pathToUse, isPrerequisite: true });
       if (result && result.save) result.save(pathToUse);
@@ -4681,16 +4682,8 @@ if (platformPrereq && typeof platformPrereq.check === 'function') {
       await new Promise(resolve => setTimeout(resolve, 300));
       this._clearDataCaches();
       
-      const deltaPath = TestContext.getDeltaPath(testDataPath);
-const resolvedDelta = path.resolve(process.cwd(), deltaPath);
-const resolvedOriginal = path.resolve(process.cwd(), testDataPath);
-const actualPath = fs.existsSync(resolvedDelta) ? resolvedDelta : resolvedOriginal;
-
-console.log(`   🔍 DEBUG paths:`);
-console.log(`      deltaPath: ${deltaPath}`);
-console.log(`      resolvedDelta exists: ${fs.existsSync(resolvedDelta)}`);
-console.log(`      actualPath: ${actualPath}`);
-      const rawData = JSON.parse(fs.readFileSync(actualPath, 'utf8'));
+      console.log(`   📂 Reading: ${TestContext.resolveDataPath(testDataPath)}`);
+      const rawData = TestContext.readData(testDataPath);
       currentData = this._mergeChangeLog(rawData);
       
       console.log(`   ✅ Platform prerequisite complete: ${platformPrereq.name}`);
@@ -4724,16 +4717,8 @@ console.log(`      actualPath: ${actualPath}`);
         // Re-load data
         this._clearDataCaches();
         
-        const deltaPath = TestContext.getDeltaPath(testDataPath);
-const resolvedDelta = path.resolve(process.cwd(), deltaPath);
-const resolvedOriginal = path.resolve(process.cwd(), testDataPath);
-const actualPath = fs.existsSync(resolvedDelta) ? resolvedDelta : resolvedOriginal;
-
-console.log(`   🔍 DEBUG paths:`);
-console.log(`      deltaPath: ${deltaPath}`);
-console.log(`      resolvedDelta exists: ${fs.existsSync(resolvedDelta)}`);
-console.log(`      actualPath: ${actualPath}`);
-        const rawData = JSON.parse(fs.readFileSync(actualPath, 'utf8'));
+        console.log(`   📂 Reading: ${TestContext.resolveDataPath(testDataPath)}`);
+        const rawData = TestContext.readData(testDataPath);
         const mergedData = this._mergeChangeLog(rawData);
         
         console.log(`   📂 Loaded state: status=${mergedData.status}, booking.status=${mergedData.booking?.status || 'N/A'}\n`);
@@ -0,0 +1,35 @@
+// packages/api-server/src/templates/__tests__/templateModules.js
+
+import path from 'path';
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMPLATES = ['TestContext', 'TestContextStorage', 'TestDataValidator'];
+
+/**
+ * The TestContext templates are CommonJS files generated into a project's
+ * tests/ai-testing/utils. Write them into utilsDir the same way (with a
+ * minimal moment for _transformDates) and require them from there, so every
+ * call gets fresh modules and fresh static state.
+ */
+export async function loadTemplates(utilsDir) {
+  await fs.ensureDir(utilsDir);
+  await fs.writeJson(path.join(utilsDir, 'package.json'), { type: 'commonjs' });
+  await fs.outputFile(
+    path.join(utilsDir, 'node_modules/moment/index.js'),
+    'module.exports = value => ({ toISOString: () => value, toJSON: () => value });\n'
+  );
+
+  for (const name of TEMPLATES) {
+    await fs.copy(path.join(TEMPLATES_DIR, `${name}.template.js`), path.join(utilsDir, `${name}.js`));
+  }
+
+  const require = createRequire(path.join(utilsDir, 'index.js'));
+  return {
+    TestContext: require('./TestContext.js'),
+    storage: require('./TestContextStorage.js'),
+    validator: require('./TestDataValidator.js')
+  };
+}
@@ -0,0 +1,195 @@
+// packages/api-server/src/templates/__tests__/testContext.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadTemplates } from './templateModules.js';
+
+const ENV = ['TEST_CONTEXT_SCOPE', 'TEST_CONTEXT_ISOLATION', 'TEST_PARALLEL_INDEX', 'WDIO_WORKER_ID', 'TEST_RUN_ID'];
+
+class AcceptedBookingImplications {
+  static xstateConfig = { meta: { entity: 'booking' } };
+}
+
+describe('TestContext template', () => {
+  let projectPath;
+  let dataPath;
+  let TestContext;
+  let FileStorage;
+  let env;
+  let consoleLog;
+  let logs;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'test-context-'));
+    dataPath = path.join(projectPath, 'tests/data/shared.json');
+    await fs.outputJson(dataPath, { booking: { status: 'pending', price: 10 }, dancer: { name: 'Ana', logged_in: true } });
+
+    ({ TestContext, storage: { FileStorage } } = await loadTemplates(path.join(projectPath, 'tests/ai-testing/utils')));
+    TestContext._projectConfig = {};
+
+    env = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+    ENV.forEach(name => delete process.env[name]);
+
+    consoleLog = console.log;
+    logs = [];
+    console.log = (...args) => logs.push(args.join(' '));
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.remove(projectPath);
+  });
+
+  const readDelta = (scope = null) => fs.readJsonSync(TestContext.getDeltaPath(dataPath, scope));
+  const accept = (ctx, delta = { 'booking.status': 'accepted' }) =>
+    ctx.executeAndSave('Accepted', 'Accept.spec.js', async () => ({ delta }));
+
+  describe('scopes', () => {
+    it('derives delta paths per scope', () => {
+      expect(TestContext.getDeltaPath('data/shared.json', null)).toBe('data/shared-current.json');
+      expect(TestContext.getDeltaPath('data/shared.json', 'w1')).toBe('data/shared-current.w1.json');
+      expect(TestContext.getDeltaPath('data/shared-master.json', 'w1')).toBe('data/shared-current.w1.json');
+      expect(TestContext.getDeltaPath('data/shared-current.w2.json', 'w1')).toBe('data/shared-current.w2.json');
+    });
+
+    it('shares one delta without isolation, whatever the worker', () => {
+      process.env.TEST_PARALLEL_INDEX = '3';
+
+      expect(TestContext.getScope()).toBeNull();
+      expect(process.env.TEST_CONTEXT_SCOPE).toBeUndefined();
+    });
+
+    it('scopes by worker and run id, and pins the scope for subprocesses', () => {
+      TestContext._projectConfig = { testContext: { isolation: 'worker' } };
+      process.env.TEST_PARALLEL_INDEX = '2';
+      process.env.TEST_RUN_ID = 'nightly #7';
+
+      expect(TestContext.getScope()).toBe('nightly_7-w2');
+      expect(process.env.TEST_CONTEXT_SCOPE).toBe('nightly_7-w2');
+
+      // A nested runner's worker index doesn't move the delta
+      process.env.TEST_PARALLEL_INDEX = '0';
+      expect(TestContext.getScope()).toBe('nightly_7-w2');
+    });
+
+    it('reads the WebdriverIO worker id and the isolation env override', () => {
+      process.env.TEST_CONTEXT_ISOLATION = 'worker';
+      process.env.WDIO_WORKER_ID = '0-1';
+
+      expect(TestContext.getScope()).toBe('w0-1');
+    });
+
+    it('isolates a spec and restores the previous scope on release', () => {
+      process.env.TEST_CONTEXT_SCOPE = 'outer';
+      const testInfo = { file: '/project/tests/Accept.spec.js', project: { name: 'chromium' }, parallelIndex: 1 };
+
+      expect(TestContext.isolate(testInfo, { mode: 'test' })).toBe('Accept-chromium-w1');
+      expect(TestContext.getScope()).toBe('Accept-chromium-w1');
+      expect(TestContext.isolate('custom scope/1')).toBe('custom_scope_1');
+
+      TestContext.releaseIsolation();
+      expect(process.env.TEST_CONTEXT_SCOPE).toBe('Accept-chromium-w1');
+      TestContext.releaseIsolation();
+      expect(process.env.TEST_CONTEXT_SCOPE).toBe('outer');
+      TestContext.releaseIsolation();
+      expect(process.env.TEST_CONTEXT_SCOPE).toBe('outer');
+    });
+
+    it('clears the scope when releasing the first isolation', () => {
+      TestContext.isolate('w9');
+      TestContext.releaseIsolation();
+
+      expect(process.env.TEST_CONTEXT_SCOPE).toBeUndefined();
+    });
+
+    it('keeps scoped deltas apart from the shared one', async () => {
+      process.env.TEST_CONTEXT_SCOPE = 'w1';
+      await accept(TestContext.load(AcceptedBookingImplications, dataPath));
+
+      expect(readDelta('w1')._changeLog.map(change => change.label)).toEqual(['Accepted']);
+      expect(await fs.pathExists(TestContext.getDeltaPath(dataPath, null))).toBe(false);
+
+      delete process.env.TEST_CONTEXT_SCOPE;
+      expect(TestContext.load(AcceptedBookingImplications, dataPath).data.booking.status).toBe('pending');
+    });
+  });
+
+  describe('saving', () => {
+    it('writes the original and the change log, and loads them back', async () => {
+      await accept(TestContext.load(AcceptedBookingImplications, dataPath));
+
+      const delta = readDelta();
+      expect(delta._original).toEqual({ booking: { status: 'pending', price: 10 }, dancer: { name: 'Ana' } });
+      expect(delta._changeLog).toMatchObject([{ label: 'Accepted', testFile: 'Accept.spec.js', delta: { 'booking.status': 'accepted' } }]);
+
+      const ctx = TestContext.load(AcceptedBookingImplications, dataPath);
+      expect(ctx.data.booking.status).toBe('accepted');
+      expect(ctx.data._entityStatus).toBe('accepted');
+    });
+
+    it('strips session-only fields from deltas', async () => {
+      await accept(TestContext.load(AcceptedBookingImplications, dataPath), { 'booking.status': 'accepted', 'dancer.logged_in': true });
+
+      expect(readDelta()._changeLog[0].delta).toEqual({ 'booking.status': 'accepted' });
+    });
+
+    it('appends to changes another context saved since loading', async () => {
+      const first = TestContext.load(AcceptedBookingImplications, dataPath);
+      const second = TestContext.load(AcceptedBookingImplications, dataPath);
+
+      await accept(first);
+      await second.executeAndSave('Priced', 'Price.spec.js', async () => ({ delta: { 'booking.price': 20 } }));
+      await accept(first, { 'booking.price': 30 });
+
+      expect(readDelta()._changeLog.map(change => change.label)).toEqual(['Accepted', 'Priced', 'Accepted']);
+      expect(TestContext.load(AcceptedBookingImplications, dataPath).data.booking).toEqual({ status: 'accepted', price: 30 });
+    });
+
+    it('replaces a delta that starts from another original', async () => {
+      await accept(TestContext.load(AcceptedBookingImplications, dataPath));
+      const ctx = TestContext.load(AcceptedBookingImplications, dataPath);
+
+      await fs.outputJson(TestContext.getDeltaPath(dataPath), { _original: { booking: { status: 'other' } }, _changeLog: [{ label: 'Foreign', delta: { x: 1 } }] });
+      await accept(ctx, { 'booking.price': 15 });
+
+      expect(readDelta()._changeLog.map(change => change.label)).toEqual(['Accepted', 'Accepted']);
+    });
+  });
+
+  describe('file locks', () => {
+    it('removes a stale lock before writing', () => {
+      const key = path.join(projectPath, 'locked.json');
+      fs.writeFileSync(`${key}.lock`, '123');
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(`${key}.lock`, old, old);
+
+      new FileStorage().update(key, () => ({ ok: true }));
+
+      expect(fs.readJsonSync(key)).toEqual({ ok: true });
+      expect(fs.existsSync(`${key}.lock`)).toBe(false);
+      expect(logs.some(line => line.includes('Removing stale lock'))).toBe(true);
+    });
+
+    it('times out on a held lock without writing', () => {
+      const key = path.join(projectPath, 'locked.json');
+      fs.writeFileSync(`${key}.lock`, '123');
+
+      expect(() => new FileStorage({ lockTimeoutMs: 50 }).update(key, () => ({ ok: true })))
+        .toThrow(/Timed out waiting for .*locked\.json\.lock/);
+      expect(fs.existsSync(key)).toBe(false);
+      expect(fs.existsSync(`${key}.lock`)).toBe(true);
+    });
+
+    it('releases the lock when the update fails', () => {
+      const key = path.join(projectPath, 'locked.json');
+
+      expect(() => new FileStorage().update(key, () => { throw new Error('boom'); })).toThrow('boom');
+      expect(fs.existsSync(`${key}.lock`)).toBe(false);
+    });
+  });
+});
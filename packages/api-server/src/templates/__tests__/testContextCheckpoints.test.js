@@ -0,0 +1,127 @@
+// packages/api-server/src/templates/__tests__/testContextCheckpoints.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadTemplates } from './templateModules.js';
+
+class BookingImplications {
+  static xstateConfig = { meta: { entity: 'booking' } };
+}
+
+describe('TestContext checkpoints', () => {
+  let projectPath;
+  let dataPath;
+  let TestContext;
+  let scope;
+  let consoleLog;
+
+  const step = (ctx, label, delta) => ctx.executeAndSave(label, `${label}.spec.js`, async () => ({ delta }));
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'test-context-checkpoints-'));
+    dataPath = path.join(projectPath, 'tests/data/shared.json');
+    await fs.outputJson(dataPath, { booking: { status: 'pending', price: 10 } });
+
+    ({ TestContext } = await loadTemplates(path.join(projectPath, 'tests/ai-testing/utils')));
+    TestContext._projectConfig = {};
+
+    scope = process.env.TEST_CONTEXT_SCOPE;
+    delete process.env.TEST_CONTEXT_SCOPE;
+    consoleLog = console.log;
+    console.log = () => {};
+
+    const ctx = TestContext.load(BookingImplications, dataPath);
+    await step(ctx, 'Accepted', { 'booking.status': 'accepted' });
+    await step(ctx, 'Priced', { 'booking.price': 20 });
+    await step(ctx, 'Completed', { 'booking.status': 'completed' });
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    if (scope === undefined) delete process.env.TEST_CONTEXT_SCOPE;
+    else process.env.TEST_CONTEXT_SCOPE = scope;
+    await fs.remove(projectPath);
+  });
+
+  it('lists the original and one checkpoint per change', () => {
+    expect(TestContext.listCheckpoints(dataPath).map(({ index, label, fields }) => ({ index, label, fields }))).toEqual([
+      { index: 0, label: 'original', fields: [] },
+      { index: 1, label: 'Accepted', fields: ['booking.status'] },
+      { index: 2, label: 'Priced', fields: ['booking.price'] },
+      { index: 3, label: 'Completed', fields: ['booking.status'] }
+    ]);
+  });
+
+  it('materializes the data at a checkpoint by label, count or original', () => {
+    expect(TestContext.materialize(dataPath, 'Priced').booking).toEqual({ status: 'accepted', price: 20 });
+    expect(TestContext.materialize(dataPath, 1).booking).toEqual({ status: 'accepted', price: 10 });
+    expect(TestContext.materialize(dataPath, '0').booking).toEqual({ status: 'pending', price: 10 });
+    expect(TestContext.materialize(dataPath, 'original').booking).toEqual({ status: 'pending', price: 10 });
+    expect(TestContext.materialize(dataPath).booking).toEqual({ status: 'completed', price: 20 });
+  });
+
+  it('resolves a repeated label to its latest occurrence', () => {
+    const changeLog = [{ label: 'Accepted' }, { label: 'Priced' }, { label: 'Accepted' }];
+
+    expect(TestContext._resolveCheckpoint(changeLog, 'Accepted')).toBe(3);
+  });
+
+  it('rejects checkpoints that do not exist', () => {
+    expect(() => TestContext.materialize(dataPath, 4)).toThrow('Checkpoint 4 does not exist (3 changes)');
+    expect(() => TestContext.materialize(dataPath, 'Cancelled'))
+      .toThrow('Checkpoint "Cancelled" not found. Available: Accepted, Priced, Completed');
+  });
+
+  it('forks the history up to a checkpoint into a scoped delta', () => {
+    const fork = TestContext.fork(dataPath, 'Accepted');
+
+    expect(fork).toEqual({ path: path.join(projectPath, 'tests/data/shared-current.fork-Accepted.json'), scope: 'fork-Accepted', changes: 1 });
+    expect(fs.readJsonSync(fork.path)._changeLog.map(change => change.label)).toEqual(['Accepted']);
+    // The source delta is untouched
+    expect(TestContext.listCheckpoints(dataPath)).toHaveLength(4);
+
+    process.env.TEST_CONTEXT_SCOPE = fork.scope;
+    expect(TestContext.load(BookingImplications, dataPath).data.booking).toEqual({ status: 'accepted', price: 10 });
+  });
+
+  it('names forks of the original and takes an explicit scope', () => {
+    expect(TestContext.fork(dataPath, 'original').scope).toBe('fork-original');
+    expect(TestContext.fork(dataPath, 2, { scope: 'before completed' })).toMatchObject({ scope: 'before_completed', changes: 2 });
+  });
+
+  it('refuses to fork a scoped delta onto itself', async () => {
+    process.env.TEST_CONTEXT_SCOPE = 'w1';
+    await step(TestContext.load(BookingImplications, dataPath), 'Accepted', { 'booking.status': 'accepted' });
+
+    expect(() => TestContext.fork(dataPath, 'original', { scope: 'w1' })).toThrow('Fork target is the source delta');
+  });
+
+  it('rewinds a context, dropping later changes from the data and the delta', () => {
+    const ctx = TestContext.load(BookingImplications, dataPath);
+
+    ctx.rewindTo('Priced');
+
+    expect(ctx.data.booking).toEqual({ status: 'accepted', price: 20 });
+    expect(ctx.data._entityStatus).toBe('accepted');
+    expect(TestContext.listCheckpoints(dataPath).map(checkpoint => checkpoint.label)).toEqual(['original', 'Accepted', 'Priced']);
+
+    ctx.rewindTo('original');
+    expect(TestContext.load(BookingImplications, dataPath).data.booking).toEqual({ status: 'pending', price: 10 });
+  });
+
+  it('keeps saving after a rewind without bringing dropped changes back', async () => {
+    const ctx = TestContext.load(BookingImplications, dataPath);
+
+    ctx.rewindTo(1);
+    await step(ctx, 'Cancelled', { 'booking.status': 'cancelled' });
+
+    expect(TestContext.listCheckpoints(dataPath).map(checkpoint => checkpoint.label)).toEqual(['original', 'Accepted', 'Cancelled']);
+  });
+
+  it('only rewinds contexts created with load()', () => {
+    const ctx = new TestContext(BookingImplications, { booking: { status: 'pending' } }, dataPath);
+
+    expect(() => ctx.rewindTo('original')).toThrow('rewindTo() needs a context created with TestContext.load()');
+  });
+});
@@ -0,0 +1,223 @@
+// packages/api-server/src/templates/__tests__/testContextStorage.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { loadTemplates } from './templateModules.js';
+
+const API_SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+const ENV = ['TEST_CONTEXT_STORAGE', 'TEST_CONTEXT_STORAGE_URL', 'TEST_CONTEXT_STORAGE_TOKEN'];
+
+const hasSqlite = (() => {
+  try {
+    createRequire(import.meta.url)('node:sqlite');
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
+
+/**
+ * Run a node process to completion, resolving with its exit code
+ */
+function run(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { stdio: 'ignore', ...options });
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+}
+
+describe('TestContextStorage template', () => {
+  let projectPath;
+  let utilsDir;
+  let storage;
+  let env;
+  let consoleLog;
+  let logs;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'test-context-storage-'));
+    utilsDir = path.join(projectPath, 'tests/ai-testing/utils');
+    ({ storage } = await loadTemplates(utilsDir));
+
+    env = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+    ENV.forEach(name => delete process.env[name]);
+
+    consoleLog = console.log;
+    logs = [];
+    console.log = (...args) => logs.push(args.join(' '));
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.remove(projectPath);
+  });
+
+  describe('createStorage', () => {
+    it('defaults to file storage', () => {
+      expect(storage.createStorage().type).toBe('file');
+      expect(storage.createStorage('file')).toBeInstanceOf(storage.FileStorage);
+    });
+
+    it('accepts a custom adapter with every method', () => {
+      const adapter = { read() {}, exists() {}, update() {}, remove() {} };
+
+      expect(storage.createStorage({ adapter })).toBe(adapter);
+      expect(() => storage.createStorage({ adapter: { read() {}, exists() {} } }))
+        .toThrow('Custom test context storage is missing: update, remove');
+    });
+
+    it('rejects unknown types and http without a url', () => {
+      expect(() => storage.createStorage('redis')).toThrow('Unknown test context storage: redis');
+      expect(() => storage.createStorage('http')).toThrow('HTTP test context storage needs a url');
+    });
+
+    it('switches to http storage when TEST_CONTEXT_STORAGE_URL is set', () => {
+      process.env.TEST_CONTEXT_STORAGE_URL = 'http://ci-host:3000/api/test-context/';
+
+      const http = storage.createStorage({ namespace: 'nightly run' });
+      expect(http.type).toBe('http');
+      expect(http.url).toBe('http://ci-host:3000/api/test-context/nightly%20run/entries');
+
+      process.env.TEST_CONTEXT_STORAGE = 'file';
+      expect(storage.createStorage().type).toBe('file');
+    });
+
+    (hasSqlite ? it.skip : it)('explains what SQLite storage needs when it is not available', () => {
+      expect(() => storage.createStorage('sqlite')).toThrow('needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+    });
+
+    (hasSqlite ? it : it.skip)('stores versioned entries in SQLite', () => {
+      const sqlite = storage.createStorage({ type: 'sqlite', path: path.join(projectPath, 'context.db') });
+
+      sqlite.update('a.json', current => ({ count: (current?.count || 0) + 1 }));
+      sqlite.update('a.json', current => ({ count: (current?.count || 0) + 1 }));
+      expect(sqlite.read('a.json')).toEqual({ count: 2 });
+
+      expect(() => sqlite.update('a.json', () => { throw new Error('boom'); })).toThrow('boom');
+      expect(sqlite.read('a.json')).toEqual({ count: 2 });
+
+      sqlite.remove('a.json');
+      expect(sqlite.exists('a.json')).toBe(false);
+    });
+  });
+
+  describe('FileStorage', () => {
+    it('reads null for missing entries and removes them idempotently', () => {
+      const file = new storage.FileStorage();
+      const key = path.join(projectPath, 'a-current.json');
+
+      expect(file.read(key)).toBeNull();
+      expect(file.update(key, current => ({ count: (current?.count || 0) + 1 }))).toEqual({ count: 1 });
+      expect(file.exists(key)).toBe(true);
+
+      file.remove(key);
+      file.remove(key);
+      expect(file.exists(key)).toBe(false);
+    });
+
+    it('does not lose updates from parallel processes', async () => {
+      const key = path.join(projectPath, 'shared-current.json');
+      const script = `
+        const { FileStorage } = require(${JSON.stringify(path.join(utilsDir, 'TestContextStorage.js'))});
+        const storage = new FileStorage();
+        for (let i = 0; i < 25; i++) {
+          storage.update(${JSON.stringify(key)}, current => ({ count: (current ? current.count : 0) + 1 }));
+        }
+      `;
+
+      const codes = await Promise.all([1, 2, 3, 4].map(() => run(['-e', script], { cwd: projectPath })));
+
+      expect(codes).toEqual([0, 0, 0, 0]);
+      expect(fs.readJsonSync(key)).toEqual({ count: 100 });
+      expect(fs.readdirSync(projectPath).filter(name => name.includes('.lock') || name.endsWith('.tmp'))).toEqual([]);
+    }, 30000);
+  });
+
+  describe('HttpStorage against the API server store', () => {
+    let server;
+    let url;
+    let storeDir;
+
+    beforeAll(async () => {
+      storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-context-server-'));
+      const script = `
+        import express from 'express';
+        import router from ${JSON.stringify(path.join(API_SERVER_DIR, 'src/routes/testContextStore.js'))};
+        const app = express();
+        app.use(express.json({ limit: '10mb' }));
+        app.use('/api/test-context', router);
+        const server = app.listen(0, '127.0.0.1', () => console.log(server.address().port));
+      `;
+
+      server = spawn(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: API_SERVER_DIR,
+        env: { ...process.env, TEST_CONTEXT_STORE_DIR: storeDir, TEST_CONTEXT_STORE_TOKEN: 'secret' },
+        stdio: ['ignore', 'pipe', 'inherit']
+      });
+
+      const port = await new Promise((resolve, reject) => {
+        server.stdout.once('data', chunk => resolve(String(chunk).trim()));
+        server.once('exit', code => reject(new Error(`Store server exited (${code})`)));
+      });
+      url = `http://127.0.0.1:${port}/api/test-context`;
+    }, 30000);
+
+    afterAll(async () => {
+      if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+      }
+      await fs.remove(storeDir);
+    });
+
+    const http = (options = {}) => new storage.HttpStorage({ url, namespace: 'nightly', token: 'secret', ...options });
+
+    it('reads, updates and removes entries', () => {
+      const client = http();
+
+      expect(client.read('shared-current.json')).toBeNull();
+      expect(client.exists('shared-current.json')).toBe(false);
+
+      client.update('shared-current.json', () => ({ _changeLog: [{ label: 'Accepted' }] }));
+      client.update('shared-current.json', current => ({ _changeLog: [...current._changeLog, { label: 'Paid' }] }));
+      expect(client.read('shared-current.json')._changeLog.map(change => change.label)).toEqual(['Accepted', 'Paid']);
+
+      client.remove('shared-current.json');
+      expect(client.exists('shared-current.json')).toBe(false);
+    }, 30000);
+
+    it('retries on 409 and gives up after the configured retries', () => {
+      const client = http({ retries: 2 });
+      let calls = 0;
+
+      // Another runner writes between every read and write
+      expect(() => client.update('busy.json', () => {
+        calls++;
+        client._request('PUT', 'busy.json', { value: { by: 'other runner' } });
+        return { by: 'this runner' };
+      })).toThrow('Could not update busy.json: it kept changing on the server (2 retries)');
+
+      expect(calls).toBe(3);
+      expect(logs.filter(line => line.includes('retrying'))).toEqual([
+        '   🔁 busy.json changed on the server, retrying (1/2)',
+        '   🔁 busy.json changed on the server, retrying (2/2)'
+      ]);
+      expect(client.read('busy.json')).toEqual({ by: 'other runner' });
+    }, 30000);
+
+    it('fails on server errors instead of treating them as missing entries', () => {
+      expect(() => http({ namespace: 'bad namespace' }).read('a.json')).toThrow(/failed \(400\): Invalid namespace/);
+      expect(() => http({ token: 'wrong' }).read('a.json')).toThrow(/failed \(401\)/);
+    }, 30000);
+  });
+});
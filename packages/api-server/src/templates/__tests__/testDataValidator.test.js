@@ -0,0 +1,246 @@
+// packages/api-server/src/templates/__tests__/testDataValidator.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadTemplates } from './templateModules.js';
+
+const DATA = {
+  booking: { status: 'pending', accepted: false, price: 10, createdAt: '2026-01-01T10:00:00Z' },
+  dancer1: { name: 'Ana', logged_in: true },
+  bookings: [{ status: 'pending' }],
+  _config: { lang: 'fr' }
+};
+
+class BookingImplications {}
+
+describe('TestDataValidator template', () => {
+  let projectPath;
+  let dataPath;
+  let validator;
+  let TestContext;
+  let consoleLog;
+  let consoleWarn;
+  let warnings;
+  let validationEnv;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'test-data-validator-'));
+    dataPath = path.join(projectPath, 'tests/data/shared.json');
+    await fs.outputJson(dataPath, DATA);
+
+    ({ validator, TestContext } = await loadTemplates(path.join(projectPath, 'tests/ai-testing/utils')));
+    TestContext._projectConfig = {};
+
+    validationEnv = process.env.TEST_DATA_VALIDATION;
+    delete process.env.TEST_DATA_VALIDATION;
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    warnings = [];
+    console.log = () => {};
+    console.warn = (...args) => warnings.push(args.join(' '));
+  });
+
+  afterEach(async () => {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    if (validationEnv === undefined) delete process.env.TEST_DATA_VALIDATION;
+    else process.env.TEST_DATA_VALIDATION = validationEnv;
+    await fs.remove(projectPath);
+  });
+
+  const inferred = () => validator.loadSchema(dataPath, DATA, {});
+  const checkDelta = (delta, schema = inferred().schema) =>
+    validator.validateDelta(delta, schema, { ignoreFields: ['logged_in'] });
+
+  describe('schemas', () => {
+    it('infers types that also allow null, skipping internal fields', () => {
+      const schema = validator.inferSchema({ ...DATA, notes: null, when: new Date() });
+
+      expect(schema.properties.booking.properties.price).toEqual({ type: ['number', 'null'] });
+      expect(schema.properties.booking.properties.createdAt).toEqual({ type: ['string', 'null'] });
+      expect(schema.properties.bookings).toEqual({ type: ['array', 'null'] });
+      expect(schema.properties.notes).toEqual({});
+      expect(schema.properties.when).toEqual({ type: ['string', 'null'] });
+      expect(schema.properties._config).toBeUndefined();
+    });
+
+    it('refines an inferred schema with testDataSchema types, values and required fields', () => {
+      const schema = validator.applyFieldSchema(validator.inferSchema(DATA), {
+        'booking.status': { type: 'string', values: ['pending', 'accepted'], required: true },
+        'testData.booking.notes': 'free text'
+      });
+
+      expect(schema.properties.booking.required).toEqual(['status']);
+      expect(schema.properties.booking.properties.status).toEqual({ type: ['string', 'null'], enum: ['pending', 'accepted'] });
+      expect(schema.properties.booking.properties.notes).toBeUndefined();
+    });
+
+    it('looks for <name>.schema.json next to test data, master and delta files', () => {
+      expect(validator.schemaPathFor('data/shared.json')).toBe('data/shared.schema.json');
+      expect(validator.schemaPathFor('data/shared-master.json')).toBe('data/shared.schema.json');
+      expect(validator.schemaPathFor('data/shared-current.w1.json')).toBe('data/shared.schema.json');
+    });
+
+    it('prefers a configured schema, then the schema file, then inference', async () => {
+      const configured = { type: 'object' };
+      expect(validator.loadSchema(dataPath, DATA, { testContext: { schema: configured } }))
+        .toEqual({ schema: configured, source: 'ai-testing.config.js' });
+
+      await fs.outputJson(path.join(projectPath, 'tests/data/shared.schema.json'), configured);
+      expect(validator.loadSchema(dataPath, DATA, {})).toMatchObject({ schema: configured, source: path.join(projectPath, 'tests/data/shared.schema.json') });
+
+      await fs.remove(path.join(projectPath, 'tests/data/shared.schema.json'));
+      expect(inferred().source).toBe('inferred from shared.json');
+    });
+
+    it('fails on a missing configured schema or invalid schema JSON', async () => {
+      expect(() => validator.loadSchema(dataPath, DATA, { testContext: { schema: 'missing.schema.json' } }))
+        .toThrow(validator.TestDataSchemaError);
+
+      await fs.outputFile(path.join(projectPath, 'tests/data/shared.schema.json'), '{ nope');
+      expect(() => validator.loadSchema(dataPath, DATA, {})).toThrow(/Invalid JSON Schema in .*shared\.schema\.json/);
+    });
+  });
+
+  describe('deltas against an inferred schema', () => {
+    it('accepts new fields that extend a name or differ by a number', () => {
+      expect(checkDelta({
+        'booking.acceptedAt': '2026-01-02T10:00:00Z',
+        'booking.accepted': true,
+        dancer2: { name: 'Bo' },
+        'bookings[1].status': 'accepted'
+      })).toEqual([]);
+    });
+
+    it('reports near-misses of existing fields', () => {
+      expect(checkDelta({ 'booking.stauts': 'accepted' })).toEqual([
+        { path: 'booking.stauts', message: 'unknown field (did you mean "status"?)' }
+      ]);
+    });
+
+    it('reports values of another type as errors', () => {
+      expect(checkDelta({ 'booking.price': '120', 'booking.status': null })).toEqual([
+        { path: 'booking.price', message: 'expected number, got string ("120")' }
+      ]);
+    });
+
+    it('skips internal and session-only fields', () => {
+      expect(checkDelta({ '_config.lang': 1, 'dancer1.logged_in': 'yes' })).toEqual([]);
+    });
+  });
+
+  describe('hand-written schemas', () => {
+    const schema = {
+      type: 'object',
+      definitions: {
+        booking: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['status'],
+          properties: {
+            status: { enum: ['pending', 'accepted'] },
+            price: { type: 'integer', minimum: 0, maximum: 1000 },
+            code: { type: 'string', minLength: 3, maxLength: 5, pattern: '^[A-Z]+$' }
+          }
+        }
+      },
+      properties: { booking: { $ref: '#/definitions/booking' } }
+    };
+    it('reports near-misses and unknown fields as errors', () => {
+      expect(checkDelta({ 'booking.stauts': 'accepted', 'booking.notes': 'x' }, schema)).toEqual([
+        { path: 'booking.stauts', message: 'unknown field (did you mean "status"?)' },
+        { path: 'booking.notes', message: 'unknown field (known: status, price, code)' }
+      ]);
+    });
+
+    it('checks enum, numeric and string keywords through $ref', () => {
+      const problems = validator.validateData({ booking: { status: 'paid', price: 1.5, code: 'ab' } }, schema);
+
+      expect(problems.map(problem => `${problem.path}: ${problem.message}`)).toEqual([
+        'booking.status: "paid" is not one of "pending", "accepted"',
+        'booking.price: expected integer, got number (1.5)',
+        'booking.code: must be at least 3 characters',
+        'booking.code: must match /^[A-Z]+$/'
+      ]);
+      expect(validator.validateData({ booking: { price: 2000 } }, schema).map(problem => problem.message))
+        .toEqual(['is required', 'must be <= 1000']);
+    });
+  });
+
+  describe('TestContext', () => {
+    const save = (ctx, delta) => ctx.executeAndSave('Accept booking', 'Accept.spec.js', async () => ({ delta }));
+    const deltaLabels = () => {
+      const deltaPath = TestContext.getDeltaPath(dataPath, null);
+      return fs.existsSync(deltaPath) ? fs.readJsonSync(deltaPath)._changeLog.map(change => change.label) : [];
+    };
+
+    it('saves related new fields with an inferred schema', async () => {
+      const ctx = TestContext.load(BookingImplications, dataPath);
+
+      await save(ctx, { 'booking.acceptedAt': '2026-01-02T10:00:00Z', dancer2: { name: 'Bo' } });
+
+      expect(ctx.data.dancer2).toEqual({ name: 'Bo' });
+      expect(deltaLabels()).toEqual(['Accept booking']);
+      expect(warnings).toEqual([]);
+    });
+
+    it('throws on a likely typo with an inferred schema before saving', async () => {
+      const ctx = TestContext.load(BookingImplications, dataPath);
+
+      const error = await save(ctx, { 'booking.stauts': 'accepted' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(validator.TestDataSchemaError);
+      expect(error.problems).toEqual([{ path: 'booking.stauts', message: 'unknown field (did you mean "status"?)' }]);
+      expect(ctx.data.booking.stauts).toBeUndefined();
+      expect(deltaLabels()).toEqual([]);
+    });
+
+    it('throws on a type mismatch before applying or saving the delta', async () => {
+      const ctx = TestContext.load(BookingImplications, dataPath);
+
+      const error = await save(ctx, { 'booking.price': '120', 'booking.stauts': 'x' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(validator.TestDataSchemaError);
+      expect(error.message).toContain('Delta "Accept booking" from Accept.spec.js does not match the test data schema (inferred from shared.json)');
+      expect(error.problems).toEqual([
+        { path: 'booking.price', message: 'expected number, got string ("120")' },
+        { path: 'booking.stauts', message: 'unknown field (did you mean "status"?)' }
+      ]);
+      expect(ctx.data.booking.price).toBe(10);
+      expect(deltaLabels()).toEqual([]);
+    });
+
+    it('throws on a near-miss against a hand-written schema', async () => {
+      await fs.outputJson(path.join(projectPath, 'tests/data/shared.schema.json'), {
+        type: 'object',
+        properties: { booking: { type: 'object', properties: { status: { type: 'string' } } } }
+      });
+
+      const error = await save(TestContext.load(BookingImplications, dataPath), { 'booking.stauts': 'accepted' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(validator.TestDataSchemaError);
+      expect(error.problems).toEqual([{ path: 'booking.stauts', message: 'unknown field (did you mean "status"?)' }]);
+    });
+
+    it('only logs problems in warn mode and skips them when off', async () => {
+      process.env.TEST_DATA_VALIDATION = 'warn';
+      await save(TestContext.load(BookingImplications, dataPath), { 'booking.price': '120', 'booking.stauts': 'x' });
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain('booking.stauts: unknown field (did you mean "status"?)');
+
+      process.env.TEST_DATA_VALIDATION = 'off';
+      await save(TestContext.load(BookingImplications, dataPath), { 'booking.price': 'free' });
+      expect(warnings).toHaveLength(1);
+      expect(deltaLabels()).toEqual(['Accept booking', 'Accept booking']);
+    });
+
+    it('checks the original data once when loading', async () => {
+      TestContext._projectConfig = { testDataSchema: { 'booking.status': { values: ['accepted'] } } };
+
+      expect(() => TestContext.load(BookingImplications, dataPath)).toThrow('"pending" is not one of "accepted"');
+      // Reported once per process
+      expect(() => TestContext.load(BookingImplications, dataPath)).not.toThrow();
+    });
+  });
+});
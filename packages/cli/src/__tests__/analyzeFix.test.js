@@ -0,0 +1,108 @@
+// packages/cli/src/__tests__/analyzeFix.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { analyzeCommand } from '../commands/analyze.js';
+import { ChangeHistory } from '../../../api-server/src/services/changeHistory.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: { status: 'pending', entity: 'booking', initial: true },
+    on: {
+      ACCEPT: { target: 'accepted' }
+    }
+  };
+}
+
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'accepted',
+      entity: 'booking',
+      setup: [{ testFile: 'AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', actionName: 'accept', platform: 'web', previousStatus: 'pending' }]
+    }
+  };
+}
+
+module.exports = AcceptedBookingImplications;
+`;
+
+describe('implications analyze --fix', () => {
+  let projectPath;
+  let acceptedFile;
+  let write;
+  let exitCode;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'analyze-fix-'));
+    acceptedFile = path.join(projectPath, 'tests/implications/AcceptedBookingImplications.js');
+    await fs.outputFile(path.join(projectPath, 'tests/implications/PendingBookingImplications.js'), PENDING);
+    await fs.outputFile(acceptedFile, ACCEPTED);
+
+    write = process.stdout.write;
+    exitCode = process.exitCode;
+  });
+
+  afterEach(async () => {
+    process.stdout.write = write;
+    process.exitCode = exitCode;
+    await fs.remove(projectPath);
+  });
+
+  // Run the command with --json and parse what it prints
+  const analyze = async options => {
+    let output = '';
+    process.stdout.write = chunk => {
+      output += chunk;
+      return true;
+    };
+    try {
+      await analyzeCommand(projectPath, { json: true, maxWarnings: '100', ...options });
+    } finally {
+      process.stdout.write = write;
+    }
+    return JSON.parse(output);
+  };
+
+  it('only shows the diffs without --yes', async () => {
+    const { fixes } = await analyze({ fix: true });
+
+    expect(fixes.applied).toBe(false);
+    expect(fixes.changeId).toBeNull();
+    expect(fixes.diffs.length).toBeGreaterThan(0);
+    expect(await fs.readFile(acceptedFile, 'utf-8')).toBe(ACCEPTED);
+  });
+
+  it('applies the fixes with --yes as one undoable change', async () => {
+    const { fixes } = await analyze({ fix: true, yes: true });
+
+    expect(fixes.applied).toBe(true);
+    expect(fixes.results.length).toBeGreaterThan(0);
+    expect(fixes.results.every(r => r.status === 'fixed')).toBe(true);
+    expect(await fs.readFile(acceptedFile, 'utf-8')).not.toBe(ACCEPTED);
+
+    const { undo } = await new ChangeHistory(projectPath).list();
+    expect(undo).toEqual([expect.objectContaining({ id: fixes.changeId })]);
+    expect(undo[0].files.map(file => file.path).sort()).toEqual(fixes.diffs.map(d => d.path).sort());
+  });
+
+  it('leaves states without UI coverage reported', async () => {
+    const { fixes, issues } = await analyze({ fix: true, yes: true });
+
+    expect(fixes.diffs.some(d => d.diff.includes('mirrorsOn'))).toBe(false);
+    expect(issues.filter(i => i.type === 'missing-ui-coverage').map(i => i.stateName).sort())
+      .toEqual(['AcceptedBookingImplications', 'PendingBookingImplications']);
+  });
+
+  it('only fixes issues of the requested --severity', async () => {
+    const { fixes } = await analyze({ fix: true, severity: 'error' });
+
+    expect(fixes).toEqual({ applied: false, changeId: null, results: [], diffs: [] });
+  });
+});
@@ -0,0 +1,50 @@
+// packages/cli/src/__tests__/analyzeGate.test.js
+
+import { evaluateGate } from '../commands/analyze.js';
+
+const summary = (errorCount, warningCount) => ({ errorCount, warningCount });
+
+describe('evaluateGate', () => {
+  it('fails on any error and ignores warnings by default', () => {
+    expect(evaluateGate(summary(0, 50))).toEqual({ passed: true, maxErrors: 0, maxWarnings: null, violations: [] });
+    expect(evaluateGate(summary(1, 0))).toEqual({
+      passed: false,
+      maxErrors: 0,
+      maxWarnings: null,
+      violations: ['1 error(s) exceed the threshold of 0']
+    });
+  });
+
+  it('reads thresholds from config.analysis', () => {
+    const config = { analysis: { maxErrors: 2, maxWarnings: 5 } };
+
+    expect(evaluateGate(summary(2, 5), {}, config).passed).toBe(true);
+    expect(evaluateGate(summary(3, 6), {}, config).violations).toEqual([
+      '3 error(s) exceed the threshold of 2',
+      '6 warning(s) exceed the threshold of 5'
+    ]);
+  });
+
+  it('lets CLI flags override config.analysis', () => {
+    const config = { analysis: { maxErrors: 10, maxWarnings: 10 } };
+
+    expect(evaluateGate(summary(1, 3), { maxErrors: '0', maxWarnings: '2' }, config)).toMatchObject({
+      passed: false,
+      maxErrors: 0,
+      maxWarnings: 2
+    });
+    expect(evaluateGate(summary(5, 0), { maxErrors: '5' }, { analysis: { maxErrors: 0 } }).passed).toBe(true);
+  });
+
+  it('falls back to config only for flags that are not given', () => {
+    const gate = evaluateGate(summary(0, 4), { maxErrors: '1' }, { analysis: { maxErrors: 0, maxWarnings: 3 } });
+
+    expect(gate).toMatchObject({ maxErrors: 1, maxWarnings: 3, violations: ['4 warning(s) exceed the threshold of 3'] });
+  });
+
+  it('rejects thresholds that are not non-negative integers', () => {
+    expect(() => evaluateGate(summary(0, 0), { maxErrors: '-1' })).toThrow('--max-errors must be a non-negative integer, got "-1"');
+    expect(() => evaluateGate(summary(0, 0), { maxWarnings: 'many' })).toThrow('--max-warnings must be a non-negative integer, got "many"');
+    expect(() => evaluateGate(summary(0, 0), {}, { analysis: { maxErrors: 1.5 } })).toThrow('--max-errors must be a non-negative integer, got "1.5"');
+  });
+});
@@ -0,0 +1,82 @@
+// packages/cli/src/__tests__/plan.test.js
+
+import { buildPlan } from '../commands/plan.js';
+
+const implication = (className, status, setup) => ({
+  path: `tests/implications/${className}.js`,
+  metadata: { className, status, ...(setup && { setup }) }
+});
+
+const PENDING = implication('PendingBookingImplications', 'pending');
+const ACCEPTED = implication('AcceptedBookingImplications', 'accepted', [
+  { previousStatus: 'pending', actionName: 'acceptViaWeb', testFile: 'AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', platform: 'web' },
+  { previousStatus: 'pending', actionName: 'acceptViaDancer', testFile: 'AcceptedViaPending-ACCEPT-Dancer-UNIT.spec.js', platform: 'dancer', requires: { paid: true } }
+]);
+const COMPLETED = implication('CompletedBookingImplications', 'completed', {
+  previousStatus: 'accepted', actionName: 'complete', testFile: 'CompletedViaAccepted-COMPLETE-Web-UNIT.spec.js', platform: 'web'
+});
+
+const project = (...implications) => ({ files: { implications } });
+const registry = (aliases = {}) => ({ resolve: name => aliases[name] || null });
+
+describe('buildPlan', () => {
+  it('walks setup previousStatus back to the first state', () => {
+    const plan = buildPlan(project(PENDING, ACCEPTED, COMPLETED), registry(), 'completed');
+
+    expect(plan).toMatchObject({ target: 'completed', platform: null, warnings: [] });
+    expect(plan.chain).toEqual([
+      expect.objectContaining({ status: 'pending', className: 'PendingBookingImplications', previousStatus: null, testFile: null }),
+      expect.objectContaining({ status: 'accepted', previousStatus: 'pending', actionName: 'acceptViaWeb', platform: 'web' }),
+      expect.objectContaining({ status: 'completed', previousStatus: 'accepted', file: 'tests/implications/CompletedBookingImplications.js' })
+    ]);
+  });
+
+  it('uses the setup entry of the requested platform, falling back to the first one', () => {
+    const dancer = buildPlan(project(PENDING, ACCEPTED), registry(), 'accepted', { platform: 'dancer' });
+    expect(dancer.platform).toBe('dancer');
+    expect(dancer.chain[1]).toMatchObject({ actionName: 'acceptViaDancer', requires: { paid: true } });
+
+    const manager = buildPlan(project(PENDING, ACCEPTED), registry(), 'accepted', { platform: 'manager' });
+    expect(manager.chain[1]).toMatchObject({ actionName: 'acceptViaWeb', platform: 'web' });
+  });
+
+  it('resolves the target through the state registry, class name or id', () => {
+    const viaRegistry = buildPlan(project(PENDING, ACCEPTED), registry({ Accepted: 'AcceptedBookingImplications' }), 'Accepted');
+    expect(viaRegistry.chain.map(step => step.status)).toEqual(['pending', 'accepted']);
+
+    const viaClass = buildPlan(project(PENDING, ACCEPTED), registry(), 'AcceptedBookingImplications');
+    expect(viaClass.chain).toHaveLength(2);
+
+    const withId = { path: 'Idle.js', metadata: { className: 'IdleImplications', xstateConfig: { id: 'idle' } } };
+    expect(buildPlan(project(withId), registry(), 'idle').chain).toEqual([
+      expect.objectContaining({ status: 'IdleImplications', className: 'IdleImplications' })
+    ]);
+  });
+
+  it('fails for an unknown target', () => {
+    expect(() => buildPlan(project(PENDING), registry(), 'archived')).toThrow('State "archived" not found in project');
+  });
+
+  it('stops with a warning when a previous state is missing', () => {
+    const plan = buildPlan(project(ACCEPTED, COMPLETED), registry(), 'completed');
+
+    expect(plan.chain.map(step => step.status)).toEqual(['accepted', 'completed']);
+    expect(plan.warnings).toEqual(['Previous state "pending" of "accepted" not found']);
+  });
+
+  it('truncates setup-chain cycles with a warning', () => {
+    const looping = implication('PendingBookingImplications', 'pending', [{ previousStatus: 'completed' }]);
+    const plan = buildPlan(project(looping, ACCEPTED, COMPLETED), registry(), 'completed');
+
+    expect(plan.chain.map(step => step.status)).toEqual(['pending', 'accepted', 'completed']);
+    expect(plan.warnings).toEqual(['Cycle detected at "completed" - chain truncated']);
+  });
+
+  it('treats a state that is its own previous state as a cycle', () => {
+    const self = implication('RetryImplications', 'retry', [{ previousStatus: 'retry' }]);
+    const plan = buildPlan(project(self), registry(), 'retry');
+
+    expect(plan.chain).toHaveLength(1);
+    expect(plan.warnings).toEqual(['Cycle detected at "retry" - chain truncated']);
+  });
+});
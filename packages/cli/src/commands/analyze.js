@@ -0,0 +1,273 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { createProjectAnalyzer, SarifReporter, JUnitReporter } from '../../../analyzer/src/index.js';
+import { FixEngine } from '../../../api-server/src/services/fixService.js';
+import { Changeset } from '../../../api-server/src/services/changeHistory.js';
+import { logger } from '../utils/logger.js';
+import { loadProject, resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+
+const SEVERITY_ICONS = {
+  error: chalk.red('✖'),
+  warning: chalk.yellow('⚠'),
+  info: chalk.blue('ℹ')
+};
+
+/**
+ * Parse a threshold option; undefined/empty means "no limit"
+ */
+function parseThreshold(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Compare the summary against thresholds.
+ * CLI flags win over `analysis` in ai-testing.config.js; errors default to 0.
+ */
+export function evaluateGate(summary, options = {}, config = {}) {
+  const analysisConfig = config?.analysis || {};
+
+  const maxErrors = parseThreshold(options.maxErrors ?? analysisConfig.maxErrors ?? 0, '--max-errors');
+  const maxWarnings = parseThreshold(options.maxWarnings ?? analysisConfig.maxWarnings, '--max-warnings');
+
+  const violations = [];
+  if (maxErrors !== null && summary.errorCount > maxErrors) {
+    violations.push(`${summary.errorCount} error(s) exceed the threshold of ${maxErrors}`);
+  }
+  if (maxWarnings !== null && summary.warningCount > maxWarnings) {
+    violations.push(`${summary.warningCount} warning(s) exceed the threshold of ${maxWarnings}`);
+  }
+
+  return { passed: violations.length === 0, maxErrors, maxWarnings, violations };
+}
+
+/**
+ * --list-rules: built-in and custom rules with their configuration
+ */
+function printRules(rules, ruleErrors, options) {
+  if (options.json) {
+    printJson({ success: true, rules, ruleErrors });
+    return;
+  }
+
+  console.log(chalk.blue.bold('\n📏 Analyzer Rules\n'));
+  rules.forEach(rule => {
+    const status = rule.enabled ? chalk.green('on ') : chalk.gray('off');
+    const severity = rule.severity ? chalk.yellow(` → ${rule.severity}`) : '';
+    const pattern = rule.pattern === 'stateless' ? chalk.magenta(' [cms]') : '';
+    const source = rule.source === 'built-in' ? '' : chalk.gray(`  (${rule.source})`);
+    console.log(`  ${status} ${chalk.bold(rule.id)}${pattern}${severity}${source}`);
+  });
+  ruleErrors.forEach(e => logger.error(`${e.file || e.rule}: ${e.error}`));
+  console.log();
+}
+
+function printDiff(diff) {
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(line));
+    else if (line.startsWith('+')) console.log(chalk.green(line));
+    else if (line.startsWith('-')) console.log(chalk.red(line));
+    else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+    else console.log(chalk.gray(line));
+  });
+}
+
+/**
+ * --fix: apply the analyzer's auto-fixable suggestions. The diff is always
+ * shown first; files are written after confirmation, or directly with --yes
+ * (required when there is no TTY or with --json).
+ */
+async function runFixes(projectPath, { discoveryResult, stateRegistry, analysisResult }, options) {
+  const quiet = { quiet: options.json || !options.verbose, verbose: options.verbose };
+
+  const { engine, results } = await withQuietConsole(async () => {
+    const engine = new FixEngine({ projectPath, discoveryResult, stateRegistry });
+    const issues = analysisResult.issues.filter(issue =>
+      engine.fixableSuggestion(issue) && (!options.severity || issue.severity === options.severity)
+    );
+    return { engine, results: await engine.fixIssues(issues) };
+  }, quiet);
+
+  const preview = new Changeset({ body: { projectPath, preview: true } }, 'analysis-fix');
+  await engine.writeTo(preview);
+  const diffs = preview.diffs().filter(d => !d.unchanged);
+  const fixed = results.filter(r => r.status === 'fixed');
+
+  if (!options.json) {
+    console.log(chalk.blue.bold('\n🔧 Auto-fix\n'));
+    results.forEach(r => {
+      if (r.status === 'fixed') logger.success(r.summary);
+      else logger.warning(`${r.stateName}: skipped (${r.reason})`);
+    });
+    diffs.forEach(d => {
+      console.log();
+      printDiff(d.diff);
+    });
+  }
+
+  let applied = diffs.length > 0 && !!options.yes;
+
+  if (diffs.length > 0 && !options.yes) {
+    if (!options.json && process.stdin.isTTY) {
+      ({ applied } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'applied',
+        message: `Apply ${fixed.length} fix(es) to ${diffs.length} file(s)?`,
+        default: false
+      }]));
+    } else if (!options.json) {
+      logger.info('No files changed. Re-run with --yes to apply the fixes.');
+    }
+  }
+
+  let changeId = null;
+  if (applied) {
+    const changeset = new Changeset({ body: { projectPath } }, 'analysis-fix', { atomic: true });
+    await engine.writeTo(changeset);
+    changeId = await withQuietConsole(
+      () => changeset.commit(fixed.length === 1 ? fixed[0].summary : `Auto-fix ${fixed.length} issue(s)`),
+      quiet
+    );
+
+    if (!options.json) {
+      logger.success(`Fixed ${fixed.length} issue(s) in ${diffs.length} file(s)`);
+    }
+  }
+
+  return {
+    applied,
+    changeId,
+    results,
+    diffs: diffs.map(({ path: filePath, change, diff }) => ({ path: filePath, change, diff }))
+  };
+}
+
+/**
+ * implications analyze [projectPath]
+ *
+ * Run discovery plus the analyzer rules and report issues. Also acts as a
+ * CI gate: writes SARIF / JUnit reports and exits non-zero when the issue
+ * counts exceed the configured thresholds. With --fix, auto-fixable issues
+ * are fixed first and the project is analyzed again.
+ */
+export async function analyzeCommand(projectPathArg, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(projectPathArg);
+
+    const analyzeProject = (loadOptions) => withQuietConsole(async () => {
+      const { config, discoveryResult, stateRegistry } = await loadProject(projectPath, loadOptions);
+
+      const analyzer = await createProjectAnalyzer(projectPath, config);
+      const analysisResult = analyzer.analyze(discoveryResult, { stateRegistry });
+      analysisResult.projectPath = projectPath;
+      analysisResult.totalImplications = discoveryResult.files.implications.length;
+
+      return { config, discoveryResult, stateRegistry, analyzer, analysisResult };
+    }, { quiet: options.json || !options.verbose, verbose: options.verbose });
+
+    let project = await analyzeProject(options);
+
+    if (options.listRules) {
+      printRules(project.analyzer.describeRules(), project.analysisResult.ruleErrors, options);
+      return;
+    }
+    let fixes = null;
+
+    if (options.fix) {
+      fixes = await runFixes(projectPath, project, options);
+      if (fixes.applied) {
+        project = await analyzeProject({ ...options, fresh: true });
+      }
+    }
+
+    const { config, discoveryResult, analysisResult } = project;
+
+    const issues = options.severity
+      ? analysisResult.issues.filter(i => i.severity === options.severity)
+      : analysisResult.issues;
+
+    const reports = {};
+
+    if (options.sarif) {
+      reports.sarif = path.resolve(process.cwd(), options.sarif);
+      new SarifReporter({ projectPath }).write(analysisResult, reports.sarif);
+    }
+
+    if (options.junit) {
+      reports.junit = path.resolve(process.cwd(), options.junit);
+      new JUnitReporter({ failOn: options.junitFailOn }).write(
+        analysisResult,
+        discoveryResult.files.implications,
+        reports.junit
+      );
+    }
+
+    const gate = evaluateGate(analysisResult.summary, options, config);
+    if (!gate.passed) {
+      process.exitCode = 1;
+    }
+
+    if (options.json) {
+      printJson({
+        success: gate.passed,
+        ...analysisResult,
+        issues,
+        gate,
+        reports,
+        ...(fixes && { fixes })
+      });
+      return;
+    }
+
+    const { summary } = analysisResult;
+
+    console.log(chalk.blue.bold('\n🔍 Analysis Results\n'));
+    logger.info(`Implications: ${chalk.cyan(discoveryResult.files.implications.length)}`);
+    logger.info(`Transitions: ${chalk.cyan(discoveryResult.transitions.length)}`);
+    logger.info(
+      `Issues: ${chalk.cyan(summary.totalIssues)} ` +
+      `(${chalk.red(summary.errorCount + ' errors')}, ` +
+      `${chalk.yellow(summary.warningCount + ' warnings')}, ` +
+      `${chalk.blue(summary.infoCount + ' info')})`
+    );
+
+    if (issues.length > 0) {
+      console.log();
+      issues.forEach(issue => {
+        console.log(`${SEVERITY_ICONS[issue.severity] || '-'} ${chalk.bold(issue.stateName || 'unknown')}: ${issue.title}`);
+        console.log(chalk.gray(`   ${issue.message}`));
+        const sourceFile = issue.location || issue.details?.sourceFile;
+        if (sourceFile) {
+          console.log(chalk.gray(`   ${sourceFile}`));
+        }
+      });
+    }
+
+    if (summary.suppressedCount > 0) {
+      logger.info(`Suppressed by implications-disable comments: ${chalk.cyan(summary.suppressedCount)}`);
+    }
+    analysisResult.ruleErrors.forEach(e => {
+      logger.warning(`Analyzer rule ${e.rule || e.file}${e.stateName ? ` (on ${e.stateName})` : ''}: ${e.error}`);
+    });
+
+    if (reports.sarif) logger.info(`SARIF report: ${chalk.cyan(reports.sarif)}`);
+    if (reports.junit) logger.info(`JUnit report: ${chalk.cyan(reports.junit)}`);
+
+    if (gate.passed) {
+      logger.success('Analysis gate passed');
+    } else {
+      gate.violations.forEach(v => logger.error(`Analysis gate failed: ${v}`));
+    }
+
+    console.log();
+  } catch (error) {
+    failWith(error, options);
+  }
+}
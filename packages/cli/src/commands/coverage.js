@@ -0,0 +1,77 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { loadProject, resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+import { buildCoverageMatrix, renderCoverageHtml } from '../../../api-server/src/services/coverageReport.js';
+
+const STATUS_COLORS = {
+  covered: chalk.green,
+  partial: chalk.yellow,
+  missing: chalk.red,
+  failing: chalk.red.bold
+};
+
+/**
+ * One-line summary of a matrix cell
+ */
+function formatCell(cell) {
+  if (!cell) return chalk.gray('—');
+
+  const specs = cell.specs.filter(spec => spec.exists);
+  const parts = [`${cell.ui.validations} checks`, specs.length > 0 ? `${specs.length} spec` : 'no spec'];
+  if (cell.specs.some(spec => spec.locked)) parts.push('🔒');
+
+  const results = cell.specs.map(spec => spec.result?.status).filter(Boolean);
+  if (results.includes('failed')) parts.push('❌');
+  else if (results.includes('passed')) parts.push('✅');
+
+  return STATUS_COLORS[cell.status](parts.join(' '));
+}
+
+/**
+ * implications coverage [projectPath]
+ *
+ * Print the states/transitions × platforms coverage matrix, or export it.
+ */
+export async function coverageCommand(projectPathArg, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(projectPathArg);
+
+    const matrix = await withQuietConsole(async () => {
+      const { config, discoveryResult } = await loadProject(projectPath, options);
+      return buildCoverageMatrix(projectPath, discoveryResult, config);
+    }, { quiet: options.json || !options.verbose, verbose: options.verbose });
+
+    if (options.html) {
+      const htmlPath = path.resolve(process.cwd(), options.html);
+      await fs.outputFile(htmlPath, renderCoverageHtml(matrix));
+      if (!options.json) logger.success(`Coverage report written to ${htmlPath}`);
+    }
+
+    if (options.json) {
+      printJson({ success: true, ...matrix });
+      return;
+    }
+
+    const { platforms, summary } = matrix;
+    console.log(chalk.blue.bold('\n📊 Coverage Matrix\n'));
+
+    const printRow = (label, row) => {
+      console.log(chalk.bold(label));
+      for (const platform of platforms) {
+        console.log(`   ${platform.name.padEnd(12)} ${formatCell(row.cells[platform.key])}`);
+      }
+    };
+
+    matrix.states.forEach(row => printRow(`📍 ${row.status}`, row));
+    if (matrix.transitions.length > 0) console.log();
+    matrix.transitions.forEach(row => printRow(`🔗 ${row.from} → ${row.to} (${row.event})`, row));
+
+    const { total } = summary;
+    console.log(`\n${total.percent}% covered: ${total.covered}/${total.cells} cells, ${total.partial} partial, ${total.missing} missing, ${total.failing} failing, ${total.locked} locked\n`);
+  } catch (error) {
+    failWith(error, options);
+  }
+}
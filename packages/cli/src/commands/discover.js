@@ -0,0 +1,66 @@
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { loadProject, resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+
+/**
+ * implications discover [projectPath]
+ *
+ * Scan a project for Implications, Sections, Screens and transitions.
+ */
+export async function discoverCommand(projectPathArg, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(projectPathArg);
+
+    const { discoveryResult, stateRegistry } = await withQuietConsole(
+      () => loadProject(projectPath, options),
+      { quiet: options.json || !options.verbose, verbose: options.verbose }
+    );
+
+    if (options.json) {
+      printJson({
+        success: true,
+        ...discoveryResult,
+        stateRegistry: stateRegistry.toJSON()
+      });
+      return;
+    }
+
+    const { files, transitions, errors } = discoveryResult;
+
+    console.log(chalk.blue.bold('\n🔍 Discovery Results\n'));
+    logger.info(`Project: ${chalk.cyan(projectPath)}`);
+    logger.info(`Project Type: ${chalk.cyan(discoveryResult.projectType)}`);
+    logger.info(`Implications: ${chalk.cyan(files.implications.length)}`);
+    logger.info(`Sections: ${chalk.cyan(files.sections.length)}`);
+    logger.info(`Screens: ${chalk.cyan(files.screens.length)}`);
+    logger.info(`Unit Tests: ${chalk.cyan(files.unitTests.length)}`);
+    logger.info(`Transitions: ${chalk.cyan(transitions.length)}`);
+    logger.info(`State Mappings: ${chalk.cyan(stateRegistry.size)}`);
+
+    if (options.list) {
+      console.log(chalk.bold('\n📋 Implications:'));
+      files.implications.forEach(impl => {
+        const status = impl.metadata?.status ? chalk.gray(` (${impl.metadata.status})`) : '';
+        console.log(`   ${impl.className}${status} ${chalk.gray(impl.path)}`);
+      });
+
+      console.log(chalk.bold('\n🔀 Transitions:'));
+      transitions.forEach(t => {
+        const platforms = t.platforms?.length ? chalk.gray(` [${t.platforms.join(', ')}]`) : '';
+        console.log(`   ${t.from} --${t.event}--> ${t.to}${platforms}`);
+      });
+    }
+
+    if (errors.length > 0) {
+      logger.warning(`${errors.length} file(s) could not be parsed`);
+      if (options.verbose) {
+        errors.forEach(e => console.log(chalk.gray(`   ${e.file}: ${e.error}`)));
+      }
+    }
+
+    console.log();
+  } catch (error) {
+    failWith(error, options);
+  }
+}
@@ -0,0 +1,134 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import UnitTestGenerator from '../../../core/src/generators/UnitTestGenerator.js';
+import ImplicationGenerator from '../../../core/src/generators/ImplicationGenerator.js';
+import { logger } from '../utils/logger.js';
+import { resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+
+/**
+ * implications generate test <implication-file>
+ *
+ * Generate UNIT test(s) from an Implication file. Multi-state machines
+ * produce one test per state unless --state is given.
+ */
+export async function generateTestCommand(implPath, options = {}) {
+  try {
+    const implFullPath = path.resolve(process.cwd(), implPath);
+
+    if (!fs.existsSync(implFullPath)) {
+      throw new Error(`File not found: ${implFullPath}`);
+    }
+
+    const outputDir = options.output
+      ? path.resolve(process.cwd(), options.output)
+      : path.dirname(implFullPath);
+
+    const result = await withQuietConsole(() => {
+      const generator = new UnitTestGenerator({
+        outputDir,
+        utilsPath: options.utils || null
+      });
+
+      return generator.generate(implFullPath, {
+        platform: options.platform,
+        state: options.state || null,
+        preview: !!options.preview
+      });
+    }, { quiet: options.json || !options.verbose, verbose: options.verbose });
+
+    const results = Array.isArray(result) ? result : [result];
+
+    if (options.json) {
+      printJson({
+        success: true,
+        results: results.map(r => ({
+          fileName: r.fileName,
+          filePath: options.preview ? null : r.filePath,
+          state: r.state || null,
+          size: r.code.length,
+          code: options.preview ? r.code : undefined
+        }))
+      });
+      return;
+    }
+
+    console.log(chalk.blue.bold(`\n🎯 Generated ${results.length} test(s)\n`));
+
+    results.forEach(r => {
+      logger.success(r.fileName + (r.state ? chalk.gray(` (state: ${r.state})`) : ''));
+      if (!options.preview) {
+        console.log(chalk.gray(`   ${r.filePath}`));
+      }
+    });
+
+    if (options.preview) {
+      results.forEach(r => {
+        console.log(chalk.gray(`\n${'─'.repeat(60)}\n${r.fileName}\n${'─'.repeat(60)}`));
+        console.log(r.code);
+      });
+    }
+
+    console.log();
+  } catch (error) {
+    failWith(error, options);
+  }
+}
+
+/**
+ * implications generate implication <className>
+ *
+ * Generate a new Implication class from the implication template.
+ */
+export async function generateImplicationCommand(className, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(options.project);
+
+    if (!options.status) {
+      throw new Error('--status is required');
+    }
+
+    const outputDir = options.output
+      ? path.resolve(process.cwd(), options.output)
+      : path.join(projectPath, 'tests/implications');
+
+    const result = await withQuietConsole(() => {
+      const generator = new ImplicationGenerator({ projectPath, outputDir });
+
+      return generator.generate({
+        className,
+        status: options.status,
+        platform: options.platform,
+        baseClass: options.baseClass || null,
+        composedBehaviors: options.compose || [],
+        preview: !!options.preview
+      });
+    }, { quiet: options.json || !options.verbose, verbose: options.verbose });
+
+    if (options.json) {
+      printJson({
+        success: true,
+        result: {
+          fileName: result.fileName,
+          filePath: result.filePath,
+          className,
+          status: options.status,
+          platform: options.platform,
+          code: options.preview ? result.code : undefined
+        }
+      });
+      return;
+    }
+
+    if (options.preview) {
+      console.log(result.code);
+      return;
+    }
+
+    logger.success(`Implication generated: ${chalk.cyan(result.fileName)}`);
+    console.log(chalk.gray(`   ${result.filePath}\n`));
+  } catch (error) {
+    failWith(error, options);
+  }
+}
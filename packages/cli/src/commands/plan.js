@@ -0,0 +1,128 @@
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { loadProject, resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+
+/**
+ * Normalize setup (array or single object) to an array
+ */
+function getSetupEntries(implication) {
+  const setup = implication.metadata?.setup || implication.metadata?.xstateConfig?.meta?.setup;
+  return Array.isArray(setup) ? setup : (setup ? [setup] : []);
+}
+
+/**
+ * Pick the setup entry the planner would use for a platform
+ * (exact platform match first, then first entry - same fallback as TestPlanner)
+ */
+function selectSetupEntry(entries, platform) {
+  if (platform) {
+    const match = entries.find(e => e.platform === platform);
+    if (match) return match;
+  }
+  return entries[0] || null;
+}
+
+/**
+ * Build the prerequisite chain for a target state by walking
+ * setup[].previousStatus backwards until a state without a predecessor.
+ *
+ * @param {Object} discoveryResult - From discoverProject()
+ * @param {Object} stateRegistry - Built StateRegistry
+ * @param {string} target - Target status or class name
+ * @param {Object} options - { platform }
+ * @returns {Object} { target, chain, warnings }
+ */
+export function buildPlan(discoveryResult, stateRegistry, target, options = {}) {
+  const implications = discoveryResult.files?.implications || [];
+  const warnings = [];
+
+  const findImplication = (name) => {
+    const className = stateRegistry.resolve(name) || name;
+    return implications.find(impl =>
+      impl.metadata?.className === className ||
+      impl.metadata?.status === name ||
+      impl.metadata?.xstateConfig?.id === name
+    );
+  };
+
+  const chain = [];
+  const visited = new Set();
+  let current = findImplication(target);
+
+  if (!current) {
+    throw new Error(`State "${target}" not found in project`);
+  }
+
+  while (current) {
+    const className = current.metadata.className;
+    const status = current.metadata.status || className;
+
+    if (visited.has(className)) {
+      warnings.push(`Cycle detected at "${status}" - chain truncated`);
+      break;
+    }
+    visited.add(className);
+
+    const setup = selectSetupEntry(getSetupEntries(current), options.platform);
+    const previousStatus = setup?.previousStatus || null;
+
+    chain.unshift({
+      status,
+      className,
+      file: current.path,
+      previousStatus,
+      actionName: setup?.actionName || null,
+      testFile: setup?.testFile || null,
+      platform: setup?.platform || null,
+      requires: setup?.requires || null
+    });
+
+    if (!previousStatus) break;
+
+    const previous = findImplication(previousStatus);
+    if (!previous) {
+      warnings.push(`Previous state "${previousStatus}" of "${status}" not found`);
+      break;
+    }
+    current = previous;
+  }
+
+  return { target, platform: options.platform || null, chain, warnings };
+}
+
+/**
+ * implications plan <target> [projectPath]
+ *
+ * Show the ordered list of tests that must run to reach a state.
+ */
+export async function planCommand(target, projectPathArg, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(projectPathArg);
+
+    const plan = await withQuietConsole(async () => {
+      const { discoveryResult, stateRegistry } = await loadProject(projectPath, options);
+      return buildPlan(discoveryResult, stateRegistry, target, options);
+    }, { quiet: options.json || !options.verbose, verbose: options.verbose });
+
+    if (options.json) {
+      printJson({ success: true, ...plan });
+      return;
+    }
+
+    console.log(chalk.blue.bold(`\n🗺️  Path to ${target}\n`));
+
+    plan.chain.forEach((step, i) => {
+      const marker = i === plan.chain.length - 1 ? '🎯' : '📍';
+      console.log(`${marker} ${i + 1}. ${chalk.bold(step.status)} ${chalk.gray(`(${step.className})`)}`);
+      if (step.actionName) console.log(`      Action: ${step.actionName}`);
+      if (step.testFile) console.log(`      Test: ${step.testFile}`);
+      if (step.platform) console.log(`      Platform: ${step.platform}`);
+    });
+
+    plan.warnings.forEach(w => logger.warning(w));
+    console.log();
+  } catch (error) {
+    failWith(error, options);
+  }
+}
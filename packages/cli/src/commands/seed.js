@@ -0,0 +1,104 @@
+import path from 'path';
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { resolveProjectPath } from '../utils/project.js';
+import { withQuietConsole, printJson, failWith } from '../utils/output.js';
+import { loadConfig } from '../../../api-server/src/services/configService.js';
+import { findFactories, seedScenarios } from '../../../api-server/src/services/testDataFactory.js';
+
+/**
+ * implications seed [projectPath]
+ *
+ * Materialize test data factories (tests/data/*.factory.json) into one
+ * master file per scenario. Same seed + reference date → same files.
+ */
+export async function seedCommand(projectPathArg, options = {}) {
+  try {
+    const projectPath = resolveProjectPath(projectPathArg);
+    const config = await withQuietConsole(() => loadConfig(projectPath), { verbose: options.verbose });
+
+    let factories = await findFactories(projectPath, config);
+    if (options.factory) {
+      const wanted = path.relative(projectPath, path.resolve(process.cwd(), options.factory));
+      factories = factories.filter(factory => factory.path === wanted || factory.name === options.factory);
+      if (factories.length === 0) {
+        throw new Error(`Factory not found: ${options.factory}`);
+      }
+    }
+
+    if (options.list) {
+      if (options.json) {
+        printJson({ success: true, factories });
+        return;
+      }
+
+      if (factories.length === 0) {
+        logger.warning('No factories found (tests/data/**/*.factory.json or config.testDataFactories)');
+        return;
+      }
+      console.log(chalk.blue.bold('\n🏭 Test Data Factories\n'));
+      for (const factory of factories) {
+        console.log(chalk.bold(`${factory.name}`) + chalk.gray(` ${factory.path} (seed ${factory.seed ?? '-'})`));
+        if (factory.error) console.log(chalk.red(`   ❌ ${factory.error}`));
+        for (const scenario of factory.scenarios) {
+          const parent = scenario.extends ? chalk.gray(` extends ${scenario.extends}`) : '';
+          const status = scenario.exists ? chalk.green('✔') : chalk.gray('·');
+          console.log(`   ${status} ${scenario.name.padEnd(20)} → ${scenario.output}${parent}`);
+        }
+      }
+      console.log();
+      return;
+    }
+
+    const seed = options.seed === undefined ? undefined : (/^\d+$/.test(options.seed) ? Number(options.seed) : options.seed);
+    const results = [];
+
+    for (const factory of factories) {
+      if (factory.error) throw new Error(`${factory.path}: ${factory.error}`);
+
+      const scenarios = options.scenario?.filter(name => factory.scenarios.some(scenario => scenario.name === name));
+      if (options.scenario && scenarios.length === 0) continue;
+
+      results.push(await seedScenarios(projectPath, factory.path, {
+        scenarios,
+        seed,
+        referenceDate: options.date,
+        dryRun: options.dryRun,
+        force: options.force
+      }));
+    }
+
+    if (options.scenario) {
+      const seeded = results.flatMap(result => result.results.map(entry => entry.scenario));
+      const unknown = options.scenario.filter(name => !seeded.includes(name));
+      if (unknown.length > 0) throw new Error(`Unknown scenario(s): ${unknown.join(', ')}`);
+    }
+
+    if (options.json) {
+      printJson({ success: true, factories: results });
+      return;
+    }
+
+    if (results.length === 0) {
+      logger.warning('No factories found (tests/data/**/*.factory.json or config.testDataFactories)');
+      return;
+    }
+
+    for (const result of results) {
+      for (const entry of result.results) {
+        if (options.dryRun) {
+          console.log(chalk.bold(`\n# ${entry.path} (seed ${entry.seed}, ${entry.referenceDate})`));
+          console.log(JSON.stringify(entry.data, null, 2));
+        } else {
+          logger.success(`${entry.path} ${chalk.gray(`(${result.factory}/${entry.scenario}, seed ${entry.seed}, ${entry.referenceDate})`)}`);
+        }
+      }
+    }
+
+    if (!options.dryRun) {
+      console.log(chalk.gray('\nRun a scenario with TEST_DATA_PATH=<file> npx playwright test ...\n'));
+    }
+  } catch (error) {
+    failWith(error, options);
+  }
+}
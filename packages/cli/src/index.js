@@ -2,6 +2,12 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { initCommand } from './commands/init.js';
 import { versionCommand } from './commands/version.js';
+import { discoverCommand } from './commands/discover.js';
+import { analyzeCommand } from './commands/analyze.js';
+import { generateTestCommand, generateImplicationCommand } from './commands/generate.js';
+import { planCommand } from './commands/plan.js';
+import { coverageCommand } from './commands/coverage.js';
+import { seedCommand } from './commands/seed.js';
 
 const program = new Command();
 
@@ -21,11 +27,99 @@ program
   .description('Show version information')
   .action(versionCommand);
 
+program
+  .command('discover [projectPath]')
+  .description('Scan a project for implications, screens and transitions')
+  .option('--list', 'List every implication and transition')
+  .option('--fresh', 'Ignore the incremental parse cache and re-parse every file')
+  .option('--json', 'Output the full discovery result as JSON')
+  .option('--verbose', 'Show discovery logs (on stderr with --json)')
+  .action(discoverCommand);
+
+program
+  .command('analyze [projectPath]')
+  .description('Run discovery and analysis, report issues')
+  .option('--severity <level>', 'Only report issues of this severity (error, warning, info)')
+  .option('--fresh', 'Ignore the incremental parse cache and re-parse every file')
+  .option('--sarif <file>', 'Write a SARIF 2.1.0 report (code-scanning annotations)')
+  .option('--junit <file>', 'Write a JUnit XML report')
+  .option('--junit-fail-on <level>', 'Lowest severity reported as a JUnit failure', 'error')
+  .option('--max-errors <n>', 'Exit non-zero when errors exceed n (default: analysis.maxErrors or 0)')
+  .option('--max-warnings <n>', 'Exit non-zero when warnings exceed n (default: analysis.maxWarnings or no limit)')
+  .option('--list-rules', 'List analyzer rules (built-in and custom) and exit')
+  .option('--fix', 'Apply auto-fixable suggestions (shows the diff and asks first)')
+  .option('--yes', 'Apply --fix changes without asking')
+  .option('--json', 'Output the analysis result as JSON')
+  .option('--verbose', 'Show discovery logs (on stderr with --json)')
+  .action(analyzeCommand);
+
+const generate = program
+  .command('generate')
+  .description('Generate implications and UNIT tests');
+
+generate
+  .command('test <implicationFile>')
+  .description('Generate UNIT test(s) from an Implication file')
+  .option('--platform <name>', 'Platform: web, cms, dancer, manager', 'web')
+  .option('--state <name>', 'Target state (multi-state machines); default: all states')
+  .option('--output <dir>', 'Output directory (default: next to the Implication)')
+  .option('--utils <path>', 'Utils directory used for import paths')
+  .option('--preview', 'Print the generated code without writing files')
+  .option('--json', 'Output results as JSON')
+  .option('--verbose', 'Show generator logs (on stderr with --json)')
+  .action(generateTestCommand);
+
+generate
+  .command('implication <className>')
+  .description('Generate a new Implication class')
+  .requiredOption('--status <status>', 'State status (e.g. Accepted)')
+  .option('--platform <name>', 'Primary platform', 'web')
+  .option('--base-class <name>', 'Base class to extend')
+  .option('--compose <behaviors...>', 'Behaviors to compose')
+  .option('--project <path>', 'Project root', '.')
+  .option('--output <dir>', 'Output directory (default: <project>/tests/implications)')
+  .option('--preview', 'Print the generated code without writing files')
+  .option('--json', 'Output result as JSON')
+  .option('--verbose', 'Show generator logs (on stderr with --json)')
+  .action(generateImplicationCommand);
+
+program
+  .command('plan <target> [projectPath]')
+  .description('Show the prerequisite chain of tests needed to reach a state')
+  .option('--platform <name>', 'Prefer setup entries for this platform')
+  .option('--fresh', 'Ignore the incremental parse cache and re-parse every file')
+  .option('--json', 'Output the plan as JSON')
+  .option('--verbose', 'Show discovery logs (on stderr with --json)')
+  .action(planCommand);
+
+program
+  .command('coverage [projectPath]')
+  .description('Show the states/transitions × platforms coverage matrix')
+  .option('--html <file>', 'Write a standalone HTML report')
+  .option('--fresh', 'Ignore the incremental parse cache and re-parse every file')
+  .option('--json', 'Output the matrix as JSON')
+  .option('--verbose', 'Show discovery logs (on stderr with --json)')
+  .action(coverageCommand);
+
+program
+  .command('seed [projectPath]')
+  .description('Generate master test data files from factories, one per scenario')
+  .option('--factory <file>', 'Only this factory (path or name)')
+  .option('--scenario <names...>', 'Only these scenarios')
+  .option('--seed <value>', 'Seed for every scenario (default: from the factory)')
+  .option('--date <YYYY-MM-DD>', 'Reference date for relative dates (default: today)')
+  .option('--list', 'List factories and scenarios without writing files')
+  .option('--dry-run', 'Print the generated data without writing files')
+  .option('--force', 'Replace master files that were not generated by a factory')
+  .option('--json', 'Output the result as JSON')
+  .option('--verbose', 'Show config loading logs (on stderr with --json)')
+  .action(seedCommand);
+
 // Parse arguments
-program.parse(process.argv);
+await program.parseAsync(process.argv);
 
 // Show help if no command provided
 if (!process.argv.slice(2).length) {
   console.log(chalk.blue.bold('\n🎯 Implications Framework CLI\n'));
   program.outputHelp();
-}
\ No newline at end of file
+}
@@ -0,0 +1,53 @@
+/**
+ * Run a task with console.log/info/warn muted (or sent to stderr with --verbose)
+ *
+ * Discovery and the generators log heavily to stdout, which would corrupt
+ * --json output consumed by CI scripts.
+ */
+export async function withQuietConsole(task, { quiet = true, verbose = false } = {}) {
+  if (!quiet) {
+    return task();
+  }
+
+  const original = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn
+  };
+
+  const sink = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = sink;
+  console.info = sink;
+  console.warn = sink;
+
+  try {
+    return await task();
+  } finally {
+    console.log = original.log;
+    console.info = original.info;
+    console.warn = original.warn;
+  }
+}
+
+/**
+ * Print a JSON document to stdout
+ */
+export function printJson(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Print an error in the requested format and set a failing exit code
+ */
+export function failWith(error, options = {}) {
+  if (options.json) {
+    printJson({ success: false, error: error.message });
+  } else {
+    console.error(`\n❌ ${error.message}`);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+  }
+
+  process.exitCode = 1;
+}
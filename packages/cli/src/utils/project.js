@@ -0,0 +1,35 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { discoverProject } from '../../../api-server/src/services/discoveryService.js';
+import { loadConfig } from '../../../api-server/src/services/configService.js';
+import { StateRegistry } from '../../../core/src/index.js';
+
+/**
+ * Resolve and validate the project path passed on the command line
+ */
+export function resolveProjectPath(projectPath) {
+  const resolved = path.resolve(process.cwd(), projectPath || '.');
+
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Project path does not exist: ${resolved}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Run discovery and build the state registry, same as POST /api/discovery/scan
+ *
+ * @param {string} projectPath - Absolute project root
+ * @param {Object} options - { fresh } ignores the incremental parse cache
+ * @returns {Promise<{ config, discoveryResult, stateRegistry }>}
+ */
+export async function loadProject(projectPath, options = {}) {
+  const config = await loadConfig(projectPath);
+  const discoveryResult = await discoverProject(projectPath, { fresh: !!options.fresh });
+
+  const stateRegistry = new StateRegistry(config);
+  await stateRegistry.build(discoveryResult);
+
+  return { config, discoveryResult, stateRegistry };
+}
@@ -0,0 +1,191 @@
+// packages/core/src/__tests__/ImplicationEditor.test.js
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ImplicationEditor } from '../editor/ImplicationEditor.js';
+
+const PENDING = `class PendingBookingImplications {
+  static xstateConfig = {
+    id: 'pending',
+    meta: {
+      status: 'Pending',
+      setup: [{ testFile: 'tests/CreateBooking-Web-UNIT.spec.js', actionName: 'createBooking', platform: 'web' }]
+    },
+    on: {
+      ACCEPT: { target: 'accepted', platforms: ['web'] },
+      REJECT: 'rejected'
+    }
+  };
+}
+module.exports = PendingBookingImplications;
+`;
+
+const ACCEPTED = `class AcceptedBookingImplications {
+  static xstateConfig = {
+    id: 'accepted',
+    meta: {
+      status: 'Accepted',
+      setup: [{ testFile: 'tests/AcceptedViaPending-ACCEPT-Web-UNIT.spec.js', actionName: 'acceptedViaPending', platform: 'web', previousStatus: 'pending' }]
+    },
+    on: {
+      CANCEL: 'cancelled'
+    }
+  };
+}
+module.exports = AcceptedBookingImplications;
+`;
+
+describe('ImplicationEditor', () => {
+  describe('Reading', () => {
+    it('should expose the state identity', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+
+      expect(editor.className).toBe('PendingBookingImplications');
+      expect(editor.stateName).toBe('pending');
+      expect(editor.status).toBe('Pending');
+      expect(editor.stateNames).toEqual(expect.arrayContaining(['pending', 'Pending']));
+    });
+
+    it('should list transitions and setup entries', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+
+      expect(editor.getTransitions().map(tr => [tr.event, tr.target])).toEqual([
+        ['ACCEPT', 'accepted'],
+        ['REJECT', 'rejected']
+      ]);
+      expect(editor.getTransition('MISSING')).toBeNull();
+      expect(editor.getSetupEntries()[0].actionName).toBe('createBooking');
+      expect(editor.modified).toBe(false);
+    });
+  });
+
+  describe('Transitions', () => {
+    it('should add and remove transitions', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+
+      expect(editor.addTransition('EXPIRE', 'expired', { platforms: ['web'] })).toBeTruthy();
+      expect(editor.modified).toBe(true);
+      expect(editor.removeTransition('REJECT')).toEqual({ target: 'rejected' });
+      expect(editor.removeTransition('REJECT')).toBeNull();
+
+      const reparsed = ImplicationEditor.fromSource(editor.toSource());
+      expect(reparsed.getTransitions().map(tr => tr.event)).toEqual(['ACCEPT', 'EXPIRE']);
+      expect(reparsed.getTransition('EXPIRE').target).toBe('expired');
+    });
+
+    it('should retarget a transition', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+
+      editor.setTransitionTarget('REJECT', 'declined');
+
+      const reparsed = ImplicationEditor.fromSource(editor.toSource());
+      expect(reparsed.getTransitions().find(tr => tr.event === 'REJECT').target).toBe('declined');
+    });
+  });
+
+  describe('Setup entries', () => {
+    it('should add and remove setup entries', () => {
+      const editor = ImplicationEditor.fromSource(ACCEPTED);
+
+      editor.addSetupEntry('draft', { event: 'ACCEPT', platform: 'web' });
+      expect(editor.getSetupEntries().map(e => e.previousStatus)).toEqual(['pending', 'draft']);
+
+      expect(editor.removeSetupEntry('pending')).toBe(true);
+      expect(editor.getSetupEntries().map(e => e.previousStatus)).toEqual(['draft']);
+    });
+  });
+
+  describe('Meta and mirrorsOn', () => {
+    it('should set meta fields', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+
+      expect(editor.setMeta('terminal', true)).toBe(true);
+      expect(editor.toSource()).toContain('terminal: true');
+    });
+
+    it('should add mirrorsOn and imports on their own lines', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+      expect(editor.hasMirrorsOn).toBe(false);
+
+      editor.setMirrorsOn({ UI: { web: {} } });
+      editor.insertStatement(ImplicationEditor.fromSource(
+        "const Helper = require('./Helper');\nclass X {}"
+      ).ast.program.body[0]);
+
+      const output = editor.toSource();
+      expect(editor.hasMirrorsOn).toBe(true);
+      expect(output).toMatch(/^const Helper = require\('\.\/Helper'\);\nclass PendingBookingImplications/);
+      expect(output).toMatch(/\n\s+static mirrorsOn = \{/);
+    });
+  });
+
+  describe('Refactorings', () => {
+    it('should rename references to another state', () => {
+      const editor = ImplicationEditor.fromSource(ACCEPTED);
+      const changes = editor.renameStateReferences({
+        oldId: 'pending',
+        newId: 'awaiting_review',
+        oldStatus: 'Pending',
+        newStatus: 'AwaitingReview',
+        oldClassName: 'PendingBookingImplications',
+        newClassName: 'AwaitingReviewBookingImplications',
+        oldPascals: ['Pending'],
+        newPascal: 'AwaitingReview'
+      });
+
+      expect(changes.length).toBeGreaterThan(0);
+      const [entry] = editor.getSetupEntries();
+      expect(entry.previousStatus).toBe('awaiting_review');
+      expect(entry.actionName).toBe('acceptedViaAwaitingReview');
+    });
+
+    it('should rename an event declared by the source state', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+      const { changes } = editor.renameEventReferences({
+        oldEvent: 'ACCEPT',
+        newEvent: 'APPROVE',
+        sourceNames: editor.stateNames,
+        isSource: true
+      });
+
+      expect(changes).toContain('on.ACCEPT → on.APPROVE');
+      expect(editor.getTransition('APPROVE').target).toBe('accepted');
+    });
+  });
+
+  describe('Output', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'implication-editor-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    it('should print the source back', () => {
+      const editor = ImplicationEditor.fromSource(PENDING);
+      expect(editor.toSource()).toContain("id: 'pending'");
+    });
+
+    it('should open and save files', async () => {
+      const filePath = path.join(dir, 'PendingBookingImplications.js');
+      await fs.writeFile(filePath, PENDING);
+
+      const editor = await ImplicationEditor.open(filePath);
+      editor.removeTransition('REJECT');
+      await editor.save();
+
+      expect(editor.modified).toBe(false);
+      const saved = await fs.readFile(filePath, 'utf-8');
+      expect(saved).not.toContain('REJECT');
+      expect(saved).toContain('ACCEPT');
+    });
+
+    it('should refuse to save without a path', async () => {
+      await expect(ImplicationEditor.fromSource(PENDING).save()).rejects.toThrow('needs a file path');
+    });
+  });
+});
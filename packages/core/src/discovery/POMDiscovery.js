@@ -4,12 +4,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import parser from '@babel/parser';
 import traverse from '@babel/traverse';
-import { promisify } from 'util';
-import globCallback from 'glob';
+import { glob } from 'glob';
 import { parseFileWithMethodsAndReturns } from '../../../api-server/src/services/astParser.js';
 
-const glob = promisify(globCallback);
-
 // Handle default export from @babel/traverse
 const traverseAST = traverse.default || traverse;
 
@@ -0,0 +1,342 @@
+// packages/core/src/editor/ImplicationEditor.js
+
+import path from 'path';
+import fs from 'fs-extra';
+import * as t from '@babel/types';
+import {
+  traverse,
+  generate,
+  parseImplication,
+  findProperty,
+  createValueNode,
+  transitionKey,
+  extractValueFromAST,
+  extractTransitionValue
+} from './astUtils.js';
+import {
+  extractStateName,
+  extractStateNames,
+  extractStateEntity,
+  extractTransitionData,
+  modifyTransitionTarget,
+  addTransitionToAST,
+  removeTransitionFromAST,
+  addSetupEntryToAST,
+  removeSetupEntryFromAST,
+  updateSetupEntryRequiresInAST,
+  updateSetupEntryEventInAST,
+  updateSetupPreviousStatus,
+  renameStateReferencesInAST,
+  renameEventReferencesInAST
+} from './stateEdits.js';
+import { replaceUIInAST } from './uiEdits.js';
+
+/**
+ * Programmatic editing of one Implication file: open → typed operations → save.
+ *
+ *   const editor = await ImplicationEditor.open(filePath);
+ *   editor.addTransition('ACCEPT', 'accepted', { platforms: ['web'] });
+ *   editor.addSetupEntry('pending', { event: 'ACCEPT', platform: 'web' });
+ *   await editor.save();
+ *
+ * Operations edit the Babel AST in place and return what the underlying
+ * edit returns (usually a boolean); `modified` tells whether anything
+ * changed since the file was opened or last saved.
+ */
+export class ImplicationEditor {
+  constructor(source, filePath = null) {
+    this.source = source;
+    this.filePath = filePath;
+    this.ast = parseImplication(source);
+    this.modified = false;
+    this.restructured = false;
+  }
+
+  static async open(filePath) {
+    return new ImplicationEditor(await fs.readFile(filePath, 'utf-8'), filePath);
+  }
+
+  static fromSource(source, filePath = null) {
+    return new ImplicationEditor(source, filePath);
+  }
+
+  // ─── Reading ──────────────────────────────────────────────────────────
+
+  get className() {
+    const declaration = this.ast.program.body
+      .map(node => (t.isExportDeclaration(node) ? node.declaration : node))
+      .find(node => t.isClassDeclaration(node));
+    return declaration?.id?.name || (this.filePath ? path.basename(this.filePath, '.js') : null);
+  }
+
+  /** xstateConfig.id */
+  get stateName() {
+    return extractStateName(this.ast);
+  }
+
+  /** meta.status */
+  get status() {
+    const config = this._xstateConfig();
+    const metaProp = config && findProperty(config, 'meta');
+    const statusProp = metaProp?.value?.properties && findProperty(metaProp.value, 'status');
+    return t.isStringLiteral(statusProp?.value) ? statusProp.value.value : null;
+  }
+
+  /** meta.entity */
+  get entity() {
+    return extractStateEntity(this.ast);
+  }
+
+  /** Every name the state can be referenced by (id and status) */
+  get stateNames() {
+    return extractStateNames(this.ast);
+  }
+
+  getTransition(event) {
+    return extractTransitionData(this.ast, event);
+  }
+
+  /**
+   * [{ event, target, platforms?, actionDetails?, requires? }]
+   */
+  getTransitions() {
+    const config = this._xstateConfig();
+    const onProp = config && findProperty(config, 'on');
+
+    return (onProp?.value?.properties || [])
+      .filter(p => t.isObjectProperty(p))
+      .map(p => ({ event: transitionKey(p), ...extractTransitionValue(p.value) }));
+  }
+
+  getSetupEntries() {
+    const config = this._xstateConfig();
+    const metaProp = config && findProperty(config, 'meta');
+    const setupProp = metaProp?.value?.properties && findProperty(metaProp.value, 'setup');
+
+    if (t.isObjectExpression(setupProp?.value)) {
+      return [extractValueFromAST(setupProp.value)];
+    }
+    return (setupProp?.value?.elements || []).map(el => extractValueFromAST(el));
+  }
+
+  // ─── Transitions ──────────────────────────────────────────────────────
+
+  /**
+   * options: { platforms, actionDetails, requires, conditions, isObserver, mode }
+   */
+  addTransition(event, target, options = {}) {
+    const { platforms, actionDetails, requires, conditions, isObserver, mode } = options;
+    return this._track(addTransitionToAST(
+      this.ast, event, target, platforms || null, actionDetails, requires, conditions, isObserver, mode
+    ));
+  }
+
+  /**
+   * Point a transition at another state, optionally renaming its event
+   */
+  setTransitionTarget(event, target, newEvent = null) {
+    return this._track(modifyTransitionTarget(this.ast, event, target, newEvent));
+  }
+
+  /**
+   * Returns { target } of the removed transition, or null
+   */
+  removeTransition(event) {
+    return this._track(removeTransitionFromAST(this.ast, event));
+  }
+
+  // ─── Setup entries ────────────────────────────────────────────────────
+
+  /**
+   * Add the setup entry for reaching this state from `previousStatus`.
+   * options: { event, platform, requires, mode }
+   */
+  addSetupEntry(previousStatus, options = {}) {
+    const { event, platform = 'web', requires, mode } = options;
+    return this._track(addSetupEntryToAST(
+      this.ast, previousStatus, this.stateName, event, platform, requires, mode
+    ));
+  }
+
+  removeSetupEntry(previousStatus) {
+    return this._track(removeSetupEntryFromAST(this.ast, previousStatus));
+  }
+
+  updateSetupEntryRequires(previousStatus, requires, mode) {
+    return this._track(updateSetupEntryRequiresInAST(this.ast, previousStatus, requires, mode));
+  }
+
+  updateSetupEntryEvent(previousStatus, oldEvent, newEvent) {
+    return this._track(updateSetupEntryEventInAST(this.ast, previousStatus, oldEvent, newEvent));
+  }
+
+  updateSetupPreviousStatus(oldPreviousStatus, newPreviousStatus, newEvent) {
+    return this._track(updateSetupPreviousStatus(this.ast, oldPreviousStatus, newPreviousStatus, newEvent));
+  }
+
+  // ─── Meta ─────────────────────────────────────────────────────────────
+
+  /**
+   * Set a field in xstateConfig.meta (creating meta if needed)
+   */
+  setMeta(key, value) {
+    const config = this._xstateConfig();
+    if (!config) return false;
+
+    let metaProp = findProperty(config, 'meta');
+    if (!metaProp) {
+      metaProp = t.objectProperty(t.identifier('meta'), t.objectExpression([]));
+      config.properties.push(metaProp);
+    }
+    if (!t.isObjectExpression(metaProp.value)) return false;
+
+    const existing = findProperty(metaProp.value, key);
+    if (existing) {
+      existing.value = createValueNode(value);
+    } else {
+      metaProp.value.properties.push(t.objectProperty(t.identifier(key), createValueNode(value)));
+    }
+    return this._track(true);
+  }
+
+  // ─── UI ───────────────────────────────────────────────────────────────
+
+  get hasMirrorsOn() {
+    return this._staticProperty('mirrorsOn') !== null;
+  }
+
+  /** The mirrorsOn value node, or null */
+  getMirrorsOn() {
+    return this._staticProperty('mirrorsOn')?.value || null;
+  }
+
+  /**
+   * Replace (or add) the whole static mirrorsOn. Accepts an AST node or a
+   * plain object such as { UI: { web: {} } }.
+   */
+  setMirrorsOn(value) {
+    const valueNode = t.isNode(value) ? value : createValueNode(value);
+    const existing = this._staticProperty('mirrorsOn');
+
+    if (existing) {
+      existing.value = valueNode;
+      return this._track(true);
+    }
+
+    const classBody = this._classBody();
+    if (!classBody) return false;
+
+    const property = t.classProperty(t.identifier('mirrorsOn'), valueNode);
+    property.static = true;
+    classBody.body.push(property);
+    this.restructured = true;
+    return this._track(true);
+  }
+
+  // ─── Module ───────────────────────────────────────────────────────────
+
+  /**
+   * Insert an import/require (or any statement) after the existing ones
+   */
+  insertStatement(statement) {
+    const body = this.ast.program.body;
+    const lastImport = body.reduce((last, node, index) => (isModuleStatement(node) ? index : last), -1);
+
+    body.splice(lastImport + 1, 0, statement);
+    this.restructured = true;
+    return this._track(true);
+  }
+
+  /**
+   * Replace mirrorsOn.UI, preserving untouched platforms and screens
+   */
+  setUI(uiData) {
+    return this._track(replaceUIInAST(this.ast, uiData, this.source, this.className));
+  }
+
+  // ─── Refactorings ─────────────────────────────────────────────────────
+
+  /**
+   * See renameStateReferencesInAST; returns the list of changes
+   */
+  renameStateReferences(rename, isRenamedFile = false) {
+    const changes = renameStateReferencesInAST(this.ast, rename, isRenamedFile);
+    this._track(changes.length > 0);
+    return changes;
+  }
+
+  /**
+   * See renameEventReferencesInAST; returns { changes, renamedTestFiles, duplicate }
+   */
+  renameEventReferences(options) {
+    const result = renameEventReferencesInAST(this.ast, options);
+    this._track(result.changes.length > 0);
+    return result;
+  }
+
+  // ─── Output ───────────────────────────────────────────────────────────
+
+  /**
+   * Print the edited AST. retainLines keeps untouched code on its lines,
+   * unless statements or class members were added (they would be printed
+   * on the line before).
+   */
+  toSource(options = {}) {
+    return generate(this.ast, { retainLines: !this.restructured, comments: true, ...options }, this.source).code;
+  }
+
+  async save(filePath = this.filePath) {
+    if (!filePath) {
+      throw new Error('ImplicationEditor.save() needs a file path');
+    }
+
+    const code = this.toSource();
+    await fs.writeFile(filePath, code, 'utf-8');
+    this.source = code;
+    this.filePath = filePath;
+    this.modified = false;
+    return code;
+  }
+
+  _classBody() {
+    let body = null;
+    traverse(this.ast, {
+      ClassDeclaration(classPath) {
+        if (!body) body = classPath.node.body;
+      }
+    });
+    return body;
+  }
+
+  _staticProperty(name) {
+    return this._classBody()?.body.find(
+      member => t.isClassProperty(member) && member.static && member.key?.name === name
+    ) || null;
+  }
+
+  _xstateConfig() {
+    let config = null;
+    traverse(this.ast, {
+      ClassProperty(classPath) {
+        if (classPath.node.key?.name === 'xstateConfig' && classPath.node.static &&
+            t.isObjectExpression(classPath.node.value)) {
+          config = classPath.node.value;
+        }
+      }
+    });
+    return config;
+  }
+
+  _track(result) {
+    if (result) this.modified = true;
+    return result;
+  }
+}
+
+function isModuleStatement(node) {
+  if (t.isImportDeclaration(node)) return true;
+  const init = t.isVariableDeclaration(node) ? node.declarations[0]?.init : null;
+  return t.isCallExpression(init) && t.isIdentifier(init.callee, { name: 'require' });
+}
+
+export default ImplicationEditor;
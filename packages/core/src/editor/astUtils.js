@@ -0,0 +1,215 @@
+// packages/core/src/editor/astUtils.js
+
+import * as parser from '@babel/parser';
+import babelGenerate from '@babel/generator';
+import babelTraverse from '@babel/traverse';
+import * as t from '@babel/types';
+
+export const traverse = babelTraverse.default || babelTraverse;
+export const generate = babelGenerate.default || babelGenerate;
+
+export const PARSE_OPTIONS = {
+  sourceType: 'module',
+  plugins: ['jsx', 'classProperties', 'objectRestSpread']
+};
+
+/**
+ * Parse an Implication source file
+ */
+export function parseImplication(source) {
+  return parser.parse(source, PARSE_OPTIONS);
+}
+
+/**
+ * Find property in ObjectExpression
+ */
+export function findProperty(objExpr, name) {
+  return objExpr.properties.find(
+    p => t.isObjectProperty(p) && (p.key.name === name || p.key.value === name)
+  );
+}
+
+export function toPascalCase(str) {
+  return str
+    .split(/[\s_-]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+export function toCamelCase(str) {
+  const pascal = toPascalCase(str);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Extract value from transition AST node
+ */
+export function extractTransitionValue(node) {
+  if (t.isStringLiteral(node)) {
+    return { target: node.value };
+  }
+
+  if (t.isObjectExpression(node)) {
+    const result = {};
+    
+    node.properties.forEach(prop => {
+      if (!t.isObjectProperty(prop)) return;
+      
+      const key = prop.key.name || prop.key.value;
+      
+      if (key === 'target' && t.isStringLiteral(prop.value)) {
+        result.target = prop.value.value;
+      } else if (key === 'platforms' && t.isArrayExpression(prop.value)) {
+        result.platforms = prop.value.elements
+          .filter(el => t.isStringLiteral(el))
+          .map(el => el.value);
+      } else if (key === 'actionDetails') {
+        result.actionDetails = extractObjectFromAST(prop.value);
+      } else if (key === 'requires') {
+        result.requires = extractObjectFromAST(prop.value);
+      }
+    });
+    
+    return result;
+  }
+
+  // Handle array (multiple platform variants)
+  if (t.isArrayExpression(node) && node.elements.length > 0) {
+    return extractTransitionValue(node.elements[0]);
+  }
+
+  return null;
+}
+
+/**
+ * Extract JavaScript object from AST node
+ */
+export function extractObjectFromAST(node) {
+  if (!node) return null;
+
+  if (t.isStringLiteral(node)) return node.value;
+  if (t.isNumericLiteral(node)) return node.value;
+  if (t.isBooleanLiteral(node)) return node.value;
+  if (t.isNullLiteral(node)) return null;
+
+  if (t.isArrayExpression(node)) {
+    return node.elements.map(el => extractObjectFromAST(el));
+  }
+
+  if (t.isObjectExpression(node)) {
+    const obj = {};
+    node.properties.forEach(prop => {
+      if (t.isObjectProperty(prop)) {
+        const key = prop.key.name || prop.key.value;
+        obj[key] = extractObjectFromAST(prop.value);
+      }
+    });
+    return obj;
+  }
+
+  return null;
+}
+
+/**
+ * Detect the type of a value for proper input rendering
+ */
+export function detectFieldType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'string';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  return 'unknown';
+}
+
+/**
+ * Create a Babel AST node from a JavaScript value
+ */
+export function createValueNode(value) {
+  if (value === null) return t.nullLiteral();
+  if (value === undefined) return t.identifier('undefined');
+  if (typeof value === 'boolean') return t.booleanLiteral(value);
+  if (typeof value === 'number') return t.numericLiteral(value);
+  if (typeof value === 'string') return t.stringLiteral(value);
+  
+  if (Array.isArray(value)) {
+    return t.arrayExpression(value.map(v => createValueNode(v)));
+  }
+  
+  if (typeof value === 'object') {
+    return t.objectExpression(
+      Object.entries(value).map(([k, v]) =>
+        t.objectProperty(t.identifier(k), createValueNode(v))
+      )
+    );
+  }
+  
+  return t.stringLiteral(String(value));
+}
+
+/**
+ * Extract JavaScript value from AST node
+ */
+export function extractValueFromAST(node) {
+  if (!node) return null;
+  
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+      
+    case 'NullLiteral':
+      return null;
+      
+    case 'Identifier':
+      if (node.name === 'undefined') return undefined;
+      if (node.name === 'null') return null;
+      return node.name;
+      
+    case 'ArrayExpression':
+      return node.elements
+        .filter(el => el !== null)
+        .map(el => extractValueFromAST(el));
+      
+    case 'ObjectExpression':
+      const obj = {};
+      node.properties.forEach(prop => {
+        if (prop.key) {
+          const key = prop.key.name || prop.key.value;
+          const value = extractValueFromAST(prop.value);
+          if (value !== undefined) {
+            obj[key] = value;
+          }
+        }
+      });
+      return obj;
+      
+    case 'TemplateLiteral':
+      if (node.quasis && node.quasis.length === 1 && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      return null;
+      
+    default:
+      return null;
+  }
+}
+
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace a string literal's value, keeping its original quote style
+ */
+export function setStringValue(node, value) {
+  const quote = node.extra?.raw?.charAt(0) || "'";
+  node.value = value;
+  node.extra = { rawValue: value, raw: `${quote}${value}${quote}` };
+}
+
+export function transitionKey(prop) {
+  return prop.key?.name || prop.key?.value;
+}
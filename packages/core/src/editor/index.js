@@ -0,0 +1,4 @@
+export { ImplicationEditor } from './ImplicationEditor.js';
+export * from './astUtils.js';
+export * from './stateEdits.js';
+export * from './uiEdits.js';
@@ -0,0 +1,1472 @@
+// packages/core/src/editor/stateEdits.js
+//
+// AST edits of xstateConfig: transitions, setup entries and the
+// rename refactorings. Every function mutates the AST in place.
+
+import nodePath from 'path';
+import * as t from '@babel/types';
+import {
+  traverse,
+  findProperty,
+  setStringValue,
+  escapeRegExp,
+  transitionKey,
+  createValueNode,
+  extractValueFromAST,
+  extractTransitionValue
+} from './astUtils.js';
+
+/**
+ * Extract transition data from AST
+ */
+export function extractTransitionData(ast, eventName) {
+  let transitionData = null;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+
+        // Find 'on' property
+        const onProp = findProperty(configValue, 'on');
+        if (!onProp?.value?.properties) return;
+
+        // Find the specific transition
+        const transitionProp = onProp.value.properties.find(
+          p => p.key?.name === eventName || p.key?.value === eventName
+        );
+
+        if (!transitionProp) return;
+
+        // Extract data
+        transitionData = extractTransitionValue(transitionProp.value);
+      }
+    }
+  });
+
+  return transitionData;
+}
+
+/**
+ * Modify transition target in AST
+ */
+export function modifyTransitionTarget(ast, eventName, newTarget, newEventName = null) {
+  let modified = false;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+
+        const onProp = findProperty(configValue, 'on');
+        if (!onProp?.value?.properties) return;
+
+        // Find the transition
+        const transitionIndex = onProp.value.properties.findIndex(
+          p => p.key?.name === eventName || p.key?.value === eventName
+        );
+
+        if (transitionIndex === -1) return;
+
+        const transitionProp = onProp.value.properties[transitionIndex];
+
+        // Update target
+        if (t.isStringLiteral(transitionProp.value)) {
+          // Simple string target
+          transitionProp.value = t.stringLiteral(newTarget);
+          modified = true;
+        } else if (t.isObjectExpression(transitionProp.value)) {
+          // Object with target property
+          const targetProp = transitionProp.value.properties.find(
+            p => p.key?.name === 'target'
+          );
+          if (targetProp) {
+            targetProp.value = t.stringLiteral(newTarget);
+            modified = true;
+          }
+        } else if (t.isArrayExpression(transitionProp.value)) {
+          // Array of transitions - update all
+          transitionProp.value.elements.forEach(el => {
+            if (t.isObjectExpression(el)) {
+              const targetProp = el.properties.find(p => p.key?.name === 'target');
+              if (targetProp) {
+                targetProp.value = t.stringLiteral(newTarget);
+                modified = true;
+              }
+            }
+          });
+        }
+
+        // Rename event if needed
+        if (newEventName && modified) {
+          transitionProp.key = t.identifier(newEventName);
+          console.log(`   📝 Renamed event: ${eventName} → ${newEventName}`);
+        }
+      }
+    }
+  });
+
+  if (modified) {
+    console.log(`   ✅ Updated transition target: ${eventName} → ${newTarget}`);
+  }
+
+  return modified;
+}
+
+/**
+ * Add transition to file
+ */
+export function addTransitionToFile(ast, eventName, target, platforms, actionDetails) {
+  let added = false;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+
+        // Find or create 'on' property
+        let onProp = findProperty(configValue, 'on');
+        
+        if (!onProp) {
+          onProp = t.objectProperty(
+            t.identifier('on'),
+            t.objectExpression([])
+          );
+          configValue.properties.push(onProp);
+        }
+
+        // Check if transition already exists
+        const existing = onProp.value.properties.find(
+          p => p.key?.name === eventName || p.key?.value === eventName
+        );
+
+        if (existing) {
+          console.log(`   ⚠️ Transition ${eventName} already exists, skipping`);
+          return;
+        }
+
+        // Build transition object
+        const transitionProps = [
+          t.objectProperty(t.identifier('target'), t.stringLiteral(target))
+        ];
+
+        if (platforms && platforms.length > 0) {
+          transitionProps.push(
+            t.objectProperty(
+              t.identifier('platforms'),
+              t.arrayExpression(platforms.map(p => t.stringLiteral(p)))
+            )
+          );
+        }
+
+        if (actionDetails) {
+          transitionProps.push(
+            t.objectProperty(
+              t.identifier('actionDetails'),
+              createValueNode(actionDetails)
+            )
+          );
+        }
+
+        // Add transition
+        onProp.value.properties.push(
+          t.objectProperty(
+            t.identifier(eventName),
+            t.objectExpression(transitionProps)
+          )
+        );
+
+        added = true;
+        console.log(`   ✅ Added transition: ${eventName} → ${target}`);
+      }
+    }
+  });
+
+  return added;
+}
+
+/**
+ * Add setup entry to file
+ */
+export function addSetupEntry(ast, previousStatus, currentStatus, event, platform) {
+  let added = false;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+
+        // Find or create meta
+        let metaProp = findProperty(configValue, 'meta');
+        
+        if (!metaProp) {
+          metaProp = t.objectProperty(
+            t.identifier('meta'),
+            t.objectExpression([])
+          );
+          configValue.properties.unshift(metaProp);
+        }
+
+        // Find or create setup array
+        let setupProp = findProperty(metaProp.value, 'setup');
+        
+        if (!setupProp) {
+          setupProp = t.objectProperty(
+            t.identifier('setup'),
+            t.arrayExpression([])
+          );
+          metaProp.value.properties.push(setupProp);
+        }
+
+        // Check if entry already exists
+        const existing = setupProp.value.elements.find(el => {
+          if (!t.isObjectExpression(el)) return false;
+          const prevProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          return prevProp?.value?.value === previousStatus;
+        });
+
+        if (existing) {
+          console.log(`   ⚠️ Setup entry for ${previousStatus} already exists, skipping`);
+          return;
+        }
+
+        // Build test file path
+        const toPascal = (str) => str
+          .split('_')
+          .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+          .join('');
+        
+        const currentPascal = toPascal(currentStatus);
+        const prevPascal = toPascal(previousStatus);
+        const platformCap = platform.charAt(0).toUpperCase() + platform.slice(1);
+        
+        const testFile = `tests/implications/bookings/status/${currentPascal}Via${prevPascal}-${event}-${platformCap}-UNIT.spec.js`;
+        const actionName = `${currentStatus.replace(/_([a-z])/g, (_, c) => c.toUpperCase())}Via${prevPascal}`;
+
+        // Create setup entry
+        const setupEntry = t.objectExpression([
+          t.objectProperty(t.identifier('testFile'), t.stringLiteral(testFile)),
+          t.objectProperty(t.identifier('actionName'), t.stringLiteral(actionName)),
+          t.objectProperty(t.identifier('platform'), t.stringLiteral(platform)),
+          t.objectProperty(t.identifier('previousStatus'), t.stringLiteral(previousStatus))
+        ]);
+
+        setupProp.value.elements.push(setupEntry);
+        added = true;
+        console.log(`   ✅ Added setup entry: previousStatus=${previousStatus}`);
+      }
+    }
+  });
+
+  return added;
+}
+
+/**
+ * Update setup entry's previousStatus
+ */
+export function updateSetupPreviousStatus(ast, oldPreviousStatus, newPreviousStatus, newEvent) {
+  let updated = false;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+
+        const metaProp = findProperty(configValue, 'meta');
+        if (!metaProp?.value?.properties) return;
+
+        const setupProp = findProperty(metaProp.value, 'setup');
+        if (!setupProp?.value?.elements) return;
+
+        // Find entry with old previousStatus
+        setupProp.value.elements.forEach(el => {
+          if (!t.isObjectExpression(el)) return;
+
+          const prevProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          if (prevProp?.value?.value !== oldPreviousStatus) return;
+
+          // Update previousStatus
+          prevProp.value = t.stringLiteral(newPreviousStatus);
+          
+          // Update testFile path if needed
+          const testFileProp = el.properties.find(p => p.key?.name === 'testFile');
+          if (testFileProp?.value?.value) {
+            // Replace old status with new in path
+            const oldPath = testFileProp.value.value;
+            const toPascal = (str) => str
+              .split('_')
+              .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+              .join('');
+            
+            const oldPascal = toPascal(oldPreviousStatus);
+            const newPascal = toPascal(newPreviousStatus);
+            
+            let newPath = oldPath.replace(`Via${oldPascal}`, `Via${newPascal}`);
+            
+            // Also update event name in path if provided
+            if (newEvent && oldPath.includes('-')) {
+              const parts = newPath.split('-');
+              if (parts.length >= 2) {
+                // Find the event part (usually second segment)
+                const eventIndex = parts.findIndex(p => p === p.toUpperCase() && !p.includes('.'));
+                if (eventIndex > 0) {
+                  parts[eventIndex] = newEvent;
+                  newPath = parts.join('-');
+                }
+              }
+            }
+            
+            testFileProp.value = t.stringLiteral(newPath);
+          }
+
+          // Update actionName
+          const actionProp = el.properties.find(p => p.key?.name === 'actionName');
+          if (actionProp?.value?.value) {
+            const toPascal = (str) => str
+              .split('_')
+              .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+              .join('');
+            
+            const oldPascal = toPascal(oldPreviousStatus);
+            const newPascal = toPascal(newPreviousStatus);
+            
+            actionProp.value = t.stringLiteral(
+              actionProp.value.value.replace(`Via${oldPascal}`, `Via${newPascal}`)
+            );
+          }
+
+          updated = true;
+          console.log(`   ✅ Updated setup entry: previousStatus ${oldPreviousStatus} → ${newPreviousStatus}`);
+        });
+      }
+    }
+  });
+
+  return updated;
+}
+
+export function extractStateName(ast) {
+  let stateName = null;
+  
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const config = path.node.value;
+        if (config?.type === 'ObjectExpression') {
+          const idProp = config.properties.find(p => p.key?.name === 'id');
+          if (idProp?.value?.value) {
+            stateName = idProp.value.value;
+          }
+        }
+      }
+    }
+  });
+  
+  return stateName;
+}
+
+export function addTransitionToAST(ast, event, targetStateName, platforms, actionDetails, requires, conditions, isObserver, mode) {
+  let transitionAdded = false;
+  
+  // ✅ BUILD transitionObj OUTSIDE traverse!
+  const transitionObj = t.objectExpression([
+    t.objectProperty(
+      t.identifier('target'),
+      t.stringLiteral(targetStateName)
+    )
+  ]);
+  
+  // Add platforms if specified
+  if (platforms && Array.isArray(platforms) && platforms.length > 0) {
+    console.log('✅ Adding platforms to transition:', platforms);
+    
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('platforms'),
+        t.arrayExpression(platforms.map(p => t.stringLiteral(p)))
+      )
+    );
+  }
+  
+  // Add requires if provided (for conditional path selection)
+  if (requires && typeof requires === 'object' && Object.keys(requires).length > 0) {
+    console.log('✅ Adding requires to transition:', requires);
+    
+    const requiresProperties = Object.entries(requires).map(([key, value]) => {
+      let valueNode;
+      if (typeof value === 'boolean') {
+        valueNode = t.booleanLiteral(value);
+      } else if (typeof value === 'number') {
+        valueNode = t.numericLiteral(value);
+      } else {
+        valueNode = t.stringLiteral(String(value));
+      }
+      return t.objectProperty(t.stringLiteral(key), valueNode);
+    });
+    
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('requires'),
+        t.objectExpression(requiresProperties)
+      )
+    );
+  }
+
+  // Add conditions if provided (block-based)
+  if (conditions && conditions.blocks && conditions.blocks.length > 0) {
+    console.log('✅ Adding conditions to transition:', conditions.blocks.length, 'blocks');
+    
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('conditions'),
+        createValueNode(conditions)
+      )
+    );
+  }
+  
+  // ✅ NEW: Add isObserver if true
+  if (isObserver) {
+    console.log('✅ Adding isObserver to transition');
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('isObserver'),
+        t.booleanLiteral(true)
+      )
+    );
+  }
+  
+  // ✅ NEW: Add mode if provided
+  if (mode) {
+    console.log('✅ Adding mode to transition:', mode);
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('mode'),
+        t.stringLiteral(mode)
+      )
+    );
+  }
+  
+  // Add actionDetails if provided
+  if (actionDetails) {
+    console.log('✅ Adding actionDetails to transition');
+    
+    const actionDetailsObj = buildActionDetailsAST(actionDetails);
+    
+    transitionObj.properties.push(
+      t.objectProperty(
+        t.identifier('actionDetails'),
+        actionDetailsObj
+      )
+    );
+  }
+  // NOW traverse and add the transition
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type === 'ObjectExpression') {
+          // Find or create 'on' property
+          let onProperty = findOrCreateOnProperty(configValue);
+          
+          // Check if transition already exists
+          const existingTransition = onProperty.value.properties?.find(
+            p => p.key?.name === event || p.key?.value === event
+          );
+          
+           if (existingTransition) {
+            console.log('Converting transition to array for multiple platforms...');
+            
+            // Convert single transition to array with multiple platform versions
+            if (existingTransition.value.type === 'ObjectExpression') {
+              // Current value is a single object - wrap it in an array
+              console.log('   Wrapping existing transition in array');
+              existingTransition.value = t.arrayExpression([
+                existingTransition.value,  // Keep existing
+                transitionObj              // Add new platform version
+              ]);
+              transitionAdded = true;
+              console.log(`Converted ${event} to array with 2 platform versions`);
+            } else if (existingTransition.value.type === 'ArrayExpression') {
+              // Already an array - just push
+              console.log('   Adding to existing array');
+              existingTransition.value.elements.push(transitionObj);
+              transitionAdded = true;
+              console.log(`Added platform version to ${event} array`);
+            } else {
+              console.log('   Unknown transition type:', existingTransition.value.type);
+            }
+            return;
+          }
+          
+          // Add transition to 'on' property
+          console.log(`✅ Adding transition: ${event} → ${targetStateName}`);
+          
+          onProperty.value.properties.push(
+            t.objectProperty(
+              t.identifier(event),
+              transitionObj  // ✅ Use the pre-built object!
+            )
+          );
+          
+          transitionAdded = true;
+        }
+      }
+    }
+  });
+  
+  return transitionAdded;
+}
+
+export function buildActionDetailsAST(actionDetails) {
+  const properties = [];
+  
+  // Description
+  if (actionDetails.description) {
+    properties.push(
+      t.objectProperty(
+        t.identifier('description'),
+        t.stringLiteral(actionDetails.description)
+      )
+    );
+  }
+  
+  // Platform
+  if (actionDetails.platform) {
+    properties.push(
+      t.objectProperty(
+        t.identifier('platform'),
+        t.stringLiteral(actionDetails.platform)
+      )
+    );
+  }
+  
+  // Navigation method
+  if (actionDetails.navigationMethod) {
+    properties.push(
+      t.objectProperty(
+        t.identifier('navigationMethod'),
+        t.stringLiteral(actionDetails.navigationMethod)
+      )
+    );
+  }
+  
+  // Navigation file
+  if (actionDetails.navigationFile) {
+    properties.push(
+      t.objectProperty(
+        t.identifier('navigationFile'),
+        t.stringLiteral(actionDetails.navigationFile)
+      )
+    );
+  }
+  
+  // Imports
+  if (actionDetails.imports && actionDetails.imports.length > 0) {
+    const importsArray = t.arrayExpression(
+      actionDetails.imports.map(imp => 
+        t.objectExpression([
+          t.objectProperty(t.identifier('className'), t.stringLiteral(imp.className || '')),
+          t.objectProperty(t.identifier('varName'), t.stringLiteral(imp.varName || '')),
+          t.objectProperty(t.identifier('path'), t.stringLiteral(imp.path || '')),
+          t.objectProperty(t.identifier('constructor'), t.stringLiteral(imp.constructor || ''))
+        ])
+      )
+    );
+    
+    properties.push(
+      t.objectProperty(
+        t.identifier('imports'),
+        importsArray
+      )
+    );
+  }
+  
+  // Steps ✅ ENHANCED with ALL fields for round-trip editing
+  if (actionDetails.steps && actionDetails.steps.length > 0) {
+    const stepsArray = t.arrayExpression(
+      actionDetails.steps.map(step => {
+        const argsString = Array.isArray(step.args) 
+          ? step.args.join(', ')
+          : (step.args || '');
+        
+        const argsArrayValue = Array.isArray(step.args) 
+          ? step.args 
+          : (step.args ? step.args.split(',').map(s => s.trim()) : []);
+        
+        // Build step properties dynamically
+        const stepProperties = [];
+        
+        // ✅ TYPE - Critical for edit mode to know which UI to show!
+        if (step.type) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('type'), t.stringLiteral(step.type))
+          );
+        }
+        
+        // Basic fields (always present)
+        stepProperties.push(
+          t.objectProperty(t.identifier('description'), t.stringLiteral(step.description || ''))
+        );
+        stepProperties.push(
+          t.objectProperty(t.identifier('instance'), t.stringLiteral(step.instance || ''))
+        );
+        stepProperties.push(
+          t.objectProperty(t.identifier('method'), t.stringLiteral(step.method || ''))
+        );
+        stepProperties.push(
+          t.objectProperty(t.identifier('args'), t.stringLiteral(argsString))
+        );
+        stepProperties.push(
+          t.objectProperty(t.identifier('argsArray'), t.arrayExpression(argsArrayValue.map(arg => t.stringLiteral(arg))))
+        );
+        
+        // ✅ INLINE ACTION FIELDS - for round-trip editing
+        if (step.screen) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('screen'), t.stringLiteral(step.screen))
+          );
+        }
+        if (step.locator) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('locator'), t.stringLiteral(step.locator))
+          );
+        }
+        if (step.elementIndex) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('elementIndex'), t.stringLiteral(step.elementIndex))
+          );
+        }
+        if (step.customIndex !== undefined && step.customIndex !== null) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('customIndex'), t.numericLiteral(Number(step.customIndex)))
+          );
+        }
+        if (step.indexVariable) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('indexVariable'), t.stringLiteral(step.indexVariable))
+          );
+        }
+        if (step.value !== undefined && step.value !== '') {
+          stepProperties.push(
+            t.objectProperty(t.identifier('value'), t.stringLiteral(step.value))
+          );
+        }
+        if (step.waitState) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('waitState'), t.stringLiteral(step.waitState))
+          );
+        }
+        if (step.code) {
+          stepProperties.push(
+            t.objectProperty(t.identifier('code'), t.stringLiteral(step.code))
+          );
+        }
+        
+        // ✅ storeAs (existing - keep as-is)
+        if (step.storeAs) {
+          console.log(`   💾 Adding storeAs to step: ${step.storeAs}`);
+          stepProperties.push(
+            t.objectProperty(t.identifier('storeAs'), t.stringLiteral(step.storeAs))
+          );
+          
+          // persistStoreAs (defaults to true if not specified)
+          const persistValue = step.persistStoreAs !== false;
+          stepProperties.push(
+            t.objectProperty(t.identifier('persistStoreAs'), t.booleanLiteral(persistValue))
+          );
+          console.log(`   💾 persistStoreAs: ${persistValue}`);
+        }
+        
+        // ✅ conditions (existing - keep as-is)
+        if (step.conditions && step.conditions.blocks && step.conditions.blocks.length > 0) {
+          console.log(`   🔒 Adding conditions to step: ${step.conditions.blocks.length} blocks`);
+          stepProperties.push(
+            t.objectProperty(t.identifier('conditions'), createValueNode(step.conditions))
+          );
+        }
+        
+        return t.objectExpression(stepProperties);
+      })
+    );
+    
+    properties.push(
+      t.objectProperty(
+        t.identifier('steps'),
+        stepsArray
+      )
+    );
+  }
+  
+  return t.objectExpression(properties);
+}
+
+export function findOrCreateOnProperty(configValue) {
+  // Try to find 'on' at root level
+  let onProperty = configValue.properties.find(p => p.key?.name === 'on');
+  
+  if (onProperty) {
+    console.log('✅ Found simple structure: xstateConfig.on');
+    return onProperty;
+  }
+  
+  // Try to find 'on' inside states
+  console.log('🔍 Looking for complex structure: xstateConfig.states.*.on');
+  
+  const statesProperty = configValue.properties.find(p => p.key?.name === 'states');
+  
+  if (statesProperty && statesProperty.value?.type === 'ObjectExpression') {
+    // Find first state
+    let targetState = statesProperty.value.properties[0];
+    
+    if (targetState && targetState.value?.type === 'ObjectExpression') {
+      onProperty = targetState.value.properties.find(p => p.key?.name === 'on');
+      
+      if (!onProperty) {
+        // Create 'on' property inside state
+        console.log('📝 Creating new "on" property inside state');
+        onProperty = {
+          type: 'ObjectProperty',
+          key: { type: 'Identifier', name: 'on' },
+          value: { type: 'ObjectExpression', properties: [] }
+        };
+        targetState.value.properties.push(onProperty);
+      }
+      
+      return onProperty;
+    }
+  }
+  
+  // Create at root level as fallback
+  console.log('📝 Creating new "on" property at root level');
+  onProperty = {
+    type: 'ObjectProperty',
+    key: { type: 'Identifier', name: 'on' },
+    value: { type: 'ObjectExpression', properties: [] }
+  };
+  configValue.properties.push(onProperty);
+  
+  return onProperty;
+}
+
+/**
+ * Add a setup entry to the target implication's meta.setup array
+ * Called when a transition is added TO this state
+ * 
+ * @param {AST} ast - Babel AST of target file
+ * @param {string} sourceStateName - The state this transition comes FROM
+ * @param {string} targetStateName - The state this transition goes TO
+ * @param {string} event - The transition event name
+ * @param {string} platform - Platform for this transition
+ * @param {object} requires - Conditions from transition (optional)
+ * @returns {boolean} Whether the file was modified
+ */
+// In implications.js - Replace the addSetupEntryToAST function entirely
+
+/**
+ * Remove a transition from xstateConfig.on (or states.idle.on).
+ * Returns { target } of the removed transition, or null if not found.
+ */
+export function removeTransitionFromAST(ast, event) {
+  let removed = null;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'xstateConfig' || !path.node.static) return;
+      const configValue = path.node.value;
+      if (configValue?.type !== 'ObjectExpression') return;
+
+      // Root level 'on', or states.idle.on (complex structure)
+      let onProperty = findProperty(configValue, 'on');
+      const statesProperty = findProperty(configValue, 'states');
+      if (!onProperty && statesProperty?.value?.type === 'ObjectExpression') {
+        const idleState = findProperty(statesProperty.value, 'idle');
+        if (idleState?.value?.type === 'ObjectExpression') {
+          onProperty = findProperty(idleState.value, 'on');
+        }
+      }
+      if (!onProperty?.value?.properties) return;
+
+      const transitionIndex = onProperty.value.properties.findIndex(p => transitionKey(p) === event);
+      if (transitionIndex === -1) return;
+
+      const transition = onProperty.value.properties[transitionIndex];
+      let target = null;
+      if (transition.value?.type === 'ObjectExpression') {
+        target = findProperty(transition.value, 'target')?.value?.value || null;
+      } else if (transition.value?.type === 'StringLiteral') {
+        target = transition.value.value;
+      }
+
+      onProperty.value.properties.splice(transitionIndex, 1);
+      removed = { target };
+      console.log(`✅ Deleted transition: ${event} → ${target}`);
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Add a setup entry to the target implication's meta.setup array
+ * Called when a transition is added TO this state
+ * 
+ * ✅ FIXED: 
+ * 1. Unique by (previousStatus + requires) combination, not just previousStatus
+ * 2. Never overwrites existing entries - only adds new ones
+ * 3. Uses correct event name in testFile path
+ */
+export function addSetupEntryToAST(ast, sourceStateName, targetStateName, event, platform, requires, mode) {
+  let targetUpdated = false;
+  
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+        
+        // Find or create meta property
+        let metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
+        
+        if (!metaProperty) {
+          metaProperty = t.objectProperty(
+            t.identifier('meta'),
+            t.objectExpression([])
+          );
+          configValue.properties.unshift(metaProperty);
+        }
+        
+        // Find or create setup array
+        let setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
+        
+        if (!setupProperty) {
+          setupProperty = t.objectProperty(
+            t.identifier('setup'),
+            t.arrayExpression([])
+          );
+          metaProperty.value.properties.push(setupProperty);
+        }
+        
+        // ════════════════════════════════════════════════════════════════
+        // ✅ CRITICAL FIX: Check for duplicate by (previousStatus + requires + event)
+        // Multiple transitions can come from same source with different requires!
+        // ════════════════════════════════════════════════════════════════
+        const existingEntryIndex = setupProperty.value.elements.findIndex(el => {
+          if (el.type !== 'ObjectExpression') return false;
+          
+          // Check previousStatus
+          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          if (prevStatusProp?.value?.value !== sourceStateName) return false;
+          
+          // Check requires - must match exactly
+          const requiresProp = el.properties.find(p => p.key?.name === 'requires');
+          const existingRequires = requiresProp ? extractValueFromAST(requiresProp.value) : null;
+          const newRequires = (requires && Object.keys(requires).length > 0) ? requires : null;
+          
+          // Both null = match, both objects = compare JSON
+          if (existingRequires === null && newRequires === null) return true;
+          if (existingRequires === null || newRequires === null) return false;
+          
+          return JSON.stringify(existingRequires) === JSON.stringify(newRequires);
+        });
+        
+        if (existingEntryIndex !== -1) {
+          console.log(`ℹ️  Setup entry from '${sourceStateName}' with requires=${JSON.stringify(requires || {})} already exists`);
+          console.log(`   (This is expected - setup entry was already created)`);
+          return; // Don't modify existing!
+        }
+        
+        // ════════════════════════════════════════════════════════════════
+        // Build the new setup entry with CORRECT naming
+        // ════════════════════════════════════════════════════════════════
+        const toPascalCase = (str) => str
+          .split('_')
+          .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+          .join('');
+        
+        const toCamelCase = (str) => {
+          const pascal = toPascalCase(str);
+          return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+        };
+        
+        const targetPascal = toPascalCase(targetStateName);
+        const sourcePascal = toPascalCase(sourceStateName);
+        const platformCapitalized = platform.charAt(0).toUpperCase() + platform.slice(1);
+        
+        // ✅ Test file uses EVENT name: LandingPageViaCookies-ACCEPT-Web-UNIT.spec.js
+        const testFileName = `${targetPascal}Via${sourcePascal}-${event}-${platformCapitalized}-UNIT.spec.js`;
+        
+        // ✅ Action name is camelCase: landingPageViaCookies
+        const actionName = `${toCamelCase(targetStateName)}Via${sourcePascal}`;
+        
+        console.log(`📝 Creating NEW setup entry:`);
+        console.log(`   testFile: tests/implications/bookings/status/${testFileName}`);
+        console.log(`   actionName: ${actionName}`);
+        console.log(`   previousStatus: ${sourceStateName}`);
+        console.log(`   platform: ${platform}`);
+        if (requires && Object.keys(requires).length > 0) {
+          console.log(`   requires:`, JSON.stringify(requires));
+        }
+        if (mode) {
+          console.log(`   mode: ${mode}`);
+        }
+        
+        // Build setup entry properties
+        const setupEntryProps = [
+          t.objectProperty(
+            t.identifier('testFile'),
+            t.stringLiteral(`tests/implications/bookings/status/${testFileName}`)
+          ),
+          t.objectProperty(
+            t.identifier('actionName'),
+            t.stringLiteral(actionName)
+          ),
+          t.objectProperty(
+            t.identifier('platform'),
+            t.stringLiteral(platform)
+          ),
+          t.objectProperty(
+            t.identifier('previousStatus'),
+            t.stringLiteral(sourceStateName)
+          )
+        ];
+        
+        // Add requires if provided
+        if (requires && Object.keys(requires).length > 0) {
+          const requiresProps = Object.entries(requires).map(([key, value]) => {
+            let valueNode;
+            if (typeof value === 'boolean') {
+              valueNode = t.booleanLiteral(value);
+            } else if (typeof value === 'number') {
+              valueNode = t.numericLiteral(value);
+            } else {
+              valueNode = t.stringLiteral(String(value));
+            }
+            return t.objectProperty(t.identifier(key), valueNode);
+          });
+          
+          setupEntryProps.push(
+            t.objectProperty(
+              t.identifier('requires'),
+              t.objectExpression(requiresProps)
+            )
+          );
+        }
+        
+        // Add mode if provided (for observer transitions)
+        if (mode) {
+          setupEntryProps.push(
+            t.objectProperty(
+              t.identifier('mode'),
+              t.stringLiteral(mode)
+            )
+          );
+        }
+        
+        // Add the new setup entry
+        setupProperty.value.elements.push(
+          t.objectExpression(setupEntryProps)
+        );
+        
+        console.log(`✅ Added setup entry: ${sourceStateName} → ${targetStateName} via ${event}`);
+        targetUpdated = true;
+      }
+    }
+  });
+  
+  return targetUpdated;
+}
+
+/**
+ * Remove a setup entry from meta.setup array by previousStatus
+ */
+export function removeSetupEntryFromAST(ast, sourceStateName) {
+  let removed = false;
+  
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+        
+        // Find meta property
+        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
+        if (!metaProperty?.value?.properties) return;
+        
+        // Find setup array
+        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
+        if (!setupProperty?.value?.elements) return;
+        
+        // Find and remove entry with matching previousStatus
+        const setupArray = setupProperty.value.elements;
+        const entryIndex = setupArray.findIndex(el => {
+          if (el.type !== 'ObjectExpression') return false;
+          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          return prevStatusProp?.value?.value === sourceStateName;
+        });
+        
+        if (entryIndex !== -1) {
+          setupArray.splice(entryIndex, 1);
+          console.log(`✅ Removed setup entry for previousStatus="${sourceStateName}"`);
+          removed = true;
+        }
+      }
+    }
+  });
+  
+  return removed;
+}
+
+/**
+ * Update requires in a setup entry
+ */
+export function updateSetupEntryRequiresInAST(ast, sourceStateName, requires, mode) {
+  let updated = false;
+  
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+        
+        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
+        if (!metaProperty?.value?.properties) return;
+        
+        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
+        if (!setupProperty?.value?.elements) return;
+        
+        // Find entry with matching previousStatus
+        const entry = setupProperty.value.elements.find(el => {
+          if (el.type !== 'ObjectExpression') return false;
+          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          return prevStatusProp?.value?.value === sourceStateName;
+        });
+        
+        if (entry) {
+          // ═══════════════════════════════════════════════════════════
+          // Handle requires
+          // ═══════════════════════════════════════════════════════════
+          const requiresIndex = entry.properties.findIndex(p => p.key?.name === 'requires');
+          
+          if (requires && Object.keys(requires).length > 0) {
+            const requiresProps = Object.entries(requires).map(([key, value]) => {
+              let valueNode;
+              if (typeof value === 'boolean') {
+                valueNode = t.booleanLiteral(value);
+              } else if (typeof value === 'number') {
+                valueNode = t.numericLiteral(value);
+              } else {
+                valueNode = t.stringLiteral(String(value));
+              }
+              return t.objectProperty(t.stringLiteral(key), valueNode);
+            });
+            
+            const requiresNode = t.objectProperty(
+              t.identifier('requires'),
+              t.objectExpression(requiresProps)
+            );
+            
+            if (requiresIndex !== -1) {
+              entry.properties[requiresIndex] = requiresNode;
+              console.log(`✅ Updated requires in setup entry`);
+            } else {
+              entry.properties.push(requiresNode);
+              console.log(`✅ Added requires to setup entry`);
+            }
+            updated = true;
+          } else if (requiresIndex !== -1) {
+            entry.properties.splice(requiresIndex, 1);
+            console.log(`✅ Removed requires from setup entry`);
+            updated = true;
+          }
+          
+          // ═══════════════════════════════════════════════════════════
+          // ✅ NEW: Handle mode
+          // ═══════════════════════════════════════════════════════════
+          const modeIndex = entry.properties.findIndex(p => p.key?.name === 'mode');
+          
+          if (mode) {
+            const modeNode = t.objectProperty(
+              t.identifier('mode'),
+              t.stringLiteral(mode)
+            );
+            
+            if (modeIndex !== -1) {
+              entry.properties[modeIndex] = modeNode;
+              console.log(`✅ Updated mode in setup entry: ${mode}`);
+            } else {
+              entry.properties.push(modeNode);
+              console.log(`✅ Added mode to setup entry: ${mode}`);
+            }
+            updated = true;
+          } else if (modeIndex !== -1) {
+            // Remove mode if not provided (transition is no longer observer)
+            entry.properties.splice(modeIndex, 1);
+            console.log(`✅ Removed mode from setup entry`);
+            updated = true;
+          }
+        }
+      }
+    }
+  });
+  
+  return updated;
+}
+
+/**
+ * Update event name in a setup entry's testFile path
+ */
+export function updateSetupEntryEventInAST(ast, sourceStateName, oldEvent, newEvent) {
+  let updated = false;
+  
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name === 'xstateConfig' && path.node.static) {
+        const configValue = path.node.value;
+        
+        if (configValue?.type !== 'ObjectExpression') return;
+        
+        const metaProperty = configValue.properties.find(p => p.key?.name === 'meta');
+        if (!metaProperty?.value?.properties) return;
+        
+        const setupProperty = metaProperty.value.properties.find(p => p.key?.name === 'setup');
+        if (!setupProperty?.value?.elements) return;
+        
+        // Find entry with matching previousStatus
+        const entry = setupProperty.value.elements.find(el => {
+          if (el.type !== 'ObjectExpression') return false;
+          const prevStatusProp = el.properties.find(p => p.key?.name === 'previousStatus');
+          return prevStatusProp?.value?.value === sourceStateName;
+        });
+        
+        if (entry) {
+          // Update testFile path
+          const testFileProp = entry.properties.find(p => p.key?.name === 'testFile');
+          if (testFileProp?.value?.value) {
+            const newPath = testFileProp.value.value.replace(oldEvent, newEvent);
+            testFileProp.value.value = newPath;
+            console.log(`✅ Updated testFile: ${oldEvent} → ${newEvent}`);
+            updated = true;
+          }
+        }
+      }
+    }
+  });
+  
+  return updated;
+}
+
+/**
+ * Rename the source/target parts of a "<Target>Via<Source>" name, as used by
+ * generated test files (AcceptedViaPending-ACCEPT-Web-UNIT.spec.js) and
+ * setup action names (acceptedViaPending). Keeps the case of the first letter.
+ */
+export function renameViaSegments(name, oldPascals, newPascal) {
+  const match = name.match(/^(.*?)Via([A-Z][A-Za-z0-9]*)(.*)$/);
+  if (!match) return name;
+
+  const [, target, source, rest] = match;
+  const targetPascal = target.charAt(0).toUpperCase() + target.slice(1);
+
+  const newTarget = oldPascals.includes(targetPascal)
+    ? (target.charAt(0) === target.charAt(0).toLowerCase()
+        ? newPascal.charAt(0).toLowerCase() + newPascal.slice(1)
+        : newPascal)
+    : target;
+  const newSource = oldPascals.includes(source) ? newPascal : source;
+
+  return `${newTarget}Via${newSource}${rest}`;
+}
+
+export function renameSpecPath(specPath, rename) {
+  const dir = nodePath.posix.dirname(specPath);
+  const baseName = renameViaSegments(nodePath.posix.basename(specPath), rename.oldPascals, rename.newPascal);
+  return dir === '.' ? baseName : `${dir}/${baseName}`;
+}
+
+/**
+ * Rewrite every reference to a renamed state in one implication AST:
+ * transition targets, setup previousStatus/testFile/actionName, requires
+ * status values (status/previousStatus/<entity>.status of the renamed
+ * state's entity, rename.entity), the class identifier and import/require
+ * paths. In the renamed
+ * file itself the xstateConfig id and meta.status are updated too.
+ *
+ * Returns a list of human-readable changes (empty if nothing matched).
+ */
+export function renameStateReferencesInAST(ast, rename, isRenamedFile) {
+  const changes = [];
+  const renameValue = (value) => {
+    if (value === rename.oldId) return rename.newId;
+    if (value === `#${rename.oldId}`) return `#${rename.newId}`;
+    if (rename.oldStatus && value === rename.oldStatus) return rename.newStatus;
+    return null;
+  };
+  const replaceString = (node, label) => {
+    const newValue = t.isStringLiteral(node) ? renameValue(node.value) : null;
+    if (newValue === null) return false;
+    changes.push(`${label}: '${node.value}' → '${newValue}'`);
+    setStringValue(node, newValue);
+    return true;
+  };
+
+  // Only status keys of the renamed state's entity: a bare `status` in a
+  // file of another entity is that entity's status, whatever its value.
+  const fileEntity = extractStateEntity(ast);
+  const sameEntity = !rename.entity || !fileEntity || fileEntity === rename.entity;
+  const requiresStatusKeys = [
+    ...(sameEntity ? ['status', 'previousStatus'] : []),
+    ...(rename.entity ? [`${rename.entity}.status`] : [])
+  ];
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'xstateConfig' || !path.node.static) return;
+      const config = path.node.value;
+      if (config?.type !== 'ObjectExpression') return;
+
+      const metaProp = findProperty(config, 'meta');
+
+      if (isRenamedFile) {
+        const idProp = findProperty(config, 'id');
+        if (idProp && t.isStringLiteral(idProp.value)) {
+          changes.push(`id: '${idProp.value.value}' → '${rename.newId}'`);
+          setStringValue(idProp.value, rename.newId);
+        }
+
+        const statusProp = metaProp?.value?.properties && findProperty(metaProp.value, 'status');
+        if (statusProp && t.isStringLiteral(statusProp.value) && rename.newStatus) {
+          changes.push(`status: '${statusProp.value.value}' → '${rename.newStatus}'`);
+          setStringValue(statusProp.value, rename.newStatus);
+        }
+      }
+
+      // Transition targets: on: { EVENT: 'old' | { target: 'old' } | [...] }
+      const onProp = findProperty(config, 'on');
+      for (const transition of onProp?.value?.properties || []) {
+        const event = transition.key?.name || transition.key?.value;
+        const values = t.isArrayExpression(transition.value)
+          ? transition.value.elements
+          : [transition.value];
+
+        values.forEach(value => {
+          if (t.isStringLiteral(value)) {
+            replaceString(value, `on.${event}`);
+          } else if (t.isObjectExpression(value)) {
+            const targetProp = findProperty(value, 'target');
+            if (targetProp) replaceString(targetProp.value, `on.${event}.target`);
+          }
+        });
+      }
+
+      // Setup entries
+      const setupProp = metaProp?.value?.properties && findProperty(metaProp.value, 'setup');
+      for (const entry of setupProp?.value?.elements || []) {
+        if (!t.isObjectExpression(entry)) continue;
+
+        const prevProp = findProperty(entry, 'previousStatus');
+        if (prevProp) replaceString(prevProp.value, 'setup.previousStatus');
+
+        const testFileProp = findProperty(entry, 'testFile');
+        if (t.isStringLiteral(testFileProp?.value)) {
+          const newPath = renameSpecPath(testFileProp.value.value, rename);
+          if (newPath !== testFileProp.value.value) {
+            changes.push(`setup.testFile: ${nodePath.basename(testFileProp.value.value)} → ${nodePath.basename(newPath)}`);
+            setStringValue(testFileProp.value, newPath);
+          }
+        }
+
+        const actionProp = findProperty(entry, 'actionName');
+        if (t.isStringLiteral(actionProp?.value)) {
+          const newAction = renameViaSegments(actionProp.value.value, rename.oldPascals, rename.newPascal);
+          if (newAction !== actionProp.value.value) {
+            changes.push(`setup.actionName: ${actionProp.value.value} → ${newAction}`);
+            setStringValue(actionProp.value, newAction);
+          }
+        }
+      }
+    },
+
+    // requires: { status: 'old' } anywhere (transitions and setup entries)
+    ObjectProperty(path) {
+      const key = path.node.key?.name || path.node.key?.value;
+      if (key !== 'requires' || !t.isObjectExpression(path.node.value)) return;
+
+      for (const prop of path.node.value.properties) {
+        const name = prop.key?.name || prop.key?.value;
+        if (!requiresStatusKeys.includes(name)) continue;
+        const values = t.isArrayExpression(prop.value) ? prop.value.elements : [prop.value];
+        values.forEach(value => replaceString(value, `requires.${name}`));
+      }
+    },
+
+    Identifier(path) {
+      if (path.node.name !== rename.oldClassName) return;
+      path.node.name = rename.newClassName;
+      if (!changes.includes('class reference')) changes.push('class reference');
+    },
+
+    // import ... from './OldImplications' / require('./OldImplications.js')
+    StringLiteral(path) {
+      const parent = path.parent;
+      const isImport = t.isImportDeclaration(parent) && parent.source === path.node;
+      const isRequire = t.isCallExpression(parent) && parent.callee?.name === 'require';
+      if (!isImport && !isRequire) return;
+
+      const source = path.node.value;
+      const ext = nodePath.extname(source);
+      if (nodePath.basename(source, ext) !== rename.oldClassName) return;
+
+      setStringValue(path.node, `${source.slice(0, source.length - nodePath.basename(source).length)}${rename.newClassName}${ext}`);
+      changes.push(`import: ${source} → ${path.node.value}`);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * String literals that still mention the old state after the rewrite
+ * (conditions, mirrorsOn data, hand-written code...). Reported, not touched.
+ */
+export function findUnresolvedStateReferences(code, rename) {
+  const names = [rename.oldId, rename.oldStatus].filter(Boolean).map(escapeRegExp);
+  const pattern = new RegExp(`(['"\`])#?(${names.join('|')})\\1`);
+
+  return code.split('\n')
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => pattern.test(text));
+}
+
+/**
+ * Replace the event segment of a generated test file name
+ * (AcceptedViaPending-ACCEPT-Web-UNIT.spec.js). Older generators dropped
+ * the underscores (REQUESTBOOKING), so both spellings are matched.
+ */
+export function renameEventInSpecPath(specPath, oldEvent, newEvent) {
+  const compact = (event) => event.replace(/_/g, '');
+  const dir = nodePath.posix.dirname(specPath);
+  const parts = nodePath.posix.basename(specPath).split('-');
+
+  const index = parts.findIndex((part, i) => i > 0 && (part === oldEvent || part === compact(oldEvent)));
+  if (index === -1) return specPath;
+
+  parts[index] = parts[index] === oldEvent ? newEvent : compact(newEvent);
+  return dir === '.' ? parts.join('-') : `${dir}/${parts.join('-')}`;
+}
+
+/**
+ * Names a state can be referenced by (xstateConfig.id and meta.status)
+ */
+export function extractStateNames(ast) {
+  const names = [extractStateName(ast)];
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'xstateConfig' || path.node.value?.type !== 'ObjectExpression') return;
+      const metaProp = findProperty(path.node.value, 'meta');
+      const statusProp = metaProp?.value?.properties && findProperty(metaProp.value, 'status');
+      if (t.isStringLiteral(statusProp?.value)) names.push(statusProp.value.value);
+    }
+  });
+
+  return names.filter(Boolean);
+}
+
+/**
+ * meta.entity of the state ('booking', 'dancer'...), or null
+ */
+export function extractStateEntity(ast) {
+  let entity = null;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'xstateConfig' || path.node.value?.type !== 'ObjectExpression') return;
+      const metaProp = findProperty(path.node.value, 'meta');
+      const entityProp = metaProp?.value?.properties && findProperty(metaProp.value, 'entity');
+      if (t.isStringLiteral(entityProp?.value)) entity = entityProp.value.value;
+    }
+  });
+
+  return entity;
+}
+
+/**
+ * Rewrite an event name in one implication AST:
+ * - the `on:` key, when the file is one of the source states
+ * - setup entries reached from a source state: the event segment of
+ *   testFile and any `event` / `viaEvent` value
+ *
+ * Returns { changes, renamedTestFiles: Map(old → new), duplicate }
+ */
+export function renameEventReferencesInAST(ast, { oldEvent, newEvent, sourceNames, isSource }) {
+  const changes = [];
+  const renamedTestFiles = new Map();
+  let duplicate = false;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'xstateConfig' || !path.node.static) return;
+      const config = path.node.value;
+      if (config?.type !== 'ObjectExpression') return;
+
+      const onProp = findProperty(config, 'on');
+      if (isSource && onProp?.value?.properties) {
+        const transitions = onProp.value.properties;
+        const transition = transitions.find(p => transitionKey(p) === oldEvent);
+
+        if (transitions.some(p => transitionKey(p) === newEvent)) {
+          duplicate = true;
+        } else if (transition) {
+          transition.key = t.isValidIdentifier(newEvent) ? t.identifier(newEvent) : t.stringLiteral(newEvent);
+          transition.computed = false;
+          changes.push(`on.${oldEvent} → on.${newEvent}`);
+        }
+      }
+
+      const metaProp = findProperty(config, 'meta');
+      const setupProp = metaProp?.value?.properties && findProperty(metaProp.value, 'setup');
+
+      for (const entry of setupProp?.value?.elements || []) {
+        if (!t.isObjectExpression(entry)) continue;
+
+        const prevProp = findProperty(entry, 'previousStatus');
+        if (!sourceNames.includes(prevProp?.value?.value)) continue;
+
+        const testFileProp = findProperty(entry, 'testFile');
+        if (t.isStringLiteral(testFileProp?.value)) {
+          const oldPath = testFileProp.value.value;
+          const newPath = renameEventInSpecPath(oldPath, oldEvent, newEvent);
+          if (newPath !== oldPath) {
+            setStringValue(testFileProp.value, newPath);
+            renamedTestFiles.set(oldPath, newPath);
+            changes.push(`setup.testFile: ${nodePath.basename(oldPath)} → ${nodePath.basename(newPath)}`);
+          }
+        }
+
+        for (const key of ['event', 'viaEvent']) {
+          const prop = findProperty(entry, key);
+          if (t.isStringLiteral(prop?.value) && prop.value.value === oldEvent) {
+            setStringValue(prop.value, newEvent);
+            changes.push(`setup.${key}: ${oldEvent} → ${newEvent}`);
+          }
+        }
+      }
+    }
+  });
+
+  return { changes, renamedTestFiles, duplicate };
+}
@@ -0,0 +1,2019 @@
+// packages/core/src/editor/uiEdits.js
+//
+// AST builders for mirrorsOn.UI (screens, blocks, conditions) used when
+// saving UI edits while preserving untouched platforms and screens.
+
+import * as t from '@babel/types';
+import { traverse } from './astUtils.js';
+
+/**
+ * Build conditions AST node from conditions data
+ * @param {Object} conditions - { mode: 'all'|'any', blocks: [...] }
+ * @returns {t.ObjectExpression|null}
+ */
+export function buildConditionsAST(conditions) {
+  if (!conditions?.blocks?.length) return null;
+  
+  const conditionProps = [];
+  
+  // mode: 'all' or 'any'
+  conditionProps.push(
+    t.objectProperty(t.identifier('mode'), t.stringLiteral(conditions.mode || 'all'))
+  );
+  
+  // blocks array
+  const blockElements = conditions.blocks.map(block => {
+    const blockProps = [];
+    
+    if (block.id) blockProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(block.id)));
+    if (block.type) blockProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(block.type)));
+    if (block.enabled !== undefined) blockProps.push(t.objectProperty(t.identifier('enabled'), t.booleanLiteral(block.enabled)));
+    if (block.mode) blockProps.push(t.objectProperty(t.identifier('mode'), t.stringLiteral(block.mode)));
+    
+    // data.checks array
+    if (block.data?.checks?.length > 0) {
+      const checkElements = block.data.checks.map(check => {
+        const checkProps = [];
+        
+        if (check.id) checkProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(check.id)));
+        if (check.field) checkProps.push(t.objectProperty(t.identifier('field'), t.stringLiteral(check.field)));
+        if (check.operator) checkProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(check.operator)));
+        
+        // value - handle different types
+        if (check.value !== undefined && check.value !== null) {
+          const valueNode = typeof check.value === 'number' ? t.numericLiteral(check.value)
+                         : typeof check.value === 'boolean' ? t.booleanLiteral(check.value)
+                         : Array.isArray(check.value) ? t.arrayExpression(check.value.map(v => t.stringLiteral(String(v))))
+                         : t.stringLiteral(String(check.value));
+          checkProps.push(t.objectProperty(t.identifier('value'), valueNode));
+        }
+        
+        if (check.valueType) checkProps.push(t.objectProperty(t.identifier('valueType'), t.stringLiteral(check.valueType)));
+        
+        return t.objectExpression(checkProps);
+      });
+      
+      blockProps.push(
+        t.objectProperty(
+          t.identifier('data'),
+          t.objectExpression([
+            t.objectProperty(t.identifier('checks'), t.arrayExpression(checkElements))
+          ])
+        )
+      );
+    }
+    
+    return t.objectExpression(blockProps);
+  });
+  
+  conditionProps.push(
+    t.objectProperty(t.identifier('blocks'), t.arrayExpression(blockElements))
+  );
+  
+  return t.objectExpression(conditionProps);
+}
+
+/**
+ * ✅ SMART: Build UI AST while preserving untouched platforms and screens
+ */
+export function buildSmartUIAst(newData, originalUINode, originalContent, className) {
+  const platformProps = [];
+  
+  // ✅ Step 1: Get all original platform names
+  const originalPlatformNames = originalUINode.properties.map(p => p.key?.name).filter(Boolean);
+  console.log('  📋 Original platforms:', originalPlatformNames);
+  console.log('  📋 Updated platforms:', Object.keys(newData));
+  
+  // ✅ Step 2: Process all original platforms
+  for (const platformName of originalPlatformNames) {
+    const originalPlatformProp = originalUINode.properties.find(
+      p => p.key?.name === platformName
+    );
+    
+    if (!originalPlatformProp) continue;
+    
+    // Check if this platform is being updated
+    if (newData[platformName]) {
+      // ✅ Platform is in update - use new data
+      console.log(`  🔧 Updating platform: ${platformName}`);
+      
+      const screensArray = Object.entries(newData[platformName].screens || {}).map(([screenName, screenData]) => ({
+        ...screenData,
+        screenName: screenName
+      }));
+      
+      const platformScreenProps = buildSmartScreenProps(
+        screensArray,
+        originalPlatformProp.value,
+        originalContent,
+        platformName,
+        className
+      );
+      
+      platformProps.push(
+        t.objectProperty(
+          t.identifier(platformName),
+          t.objectExpression(platformScreenProps)
+        )
+      );
+    } else {
+      // ✅ Platform NOT in update - preserve original completely!
+      console.log(`  ♻️  Preserving untouched platform: ${platformName}`);
+      
+      platformProps.push(
+        t.objectProperty(
+          t.identifier(platformName),
+          originalPlatformProp.value  // Use original AST node!
+        )
+      );
+    }
+  }
+  
+  // ✅ Step 3: Add any NEW platforms that weren't in original
+  for (const [platformName, platformData] of Object.entries(newData)) {
+    if (!originalPlatformNames.includes(platformName)) {
+      console.log(`  ➕ Adding new platform: ${platformName}`);
+      
+      const screensArray = Object.entries(platformData.screens || {}).map(([screenName, screenData]) => ({
+        ...screenData,
+        screenName: screenName
+      }));
+      
+      const platformScreenProps = buildScreenPropsFromData(screensArray);
+      
+      platformProps.push(
+        t.objectProperty(
+          t.identifier(platformName),
+          t.objectExpression(platformScreenProps)
+        )
+      );
+    }
+  }
+  
+  return t.objectExpression(platformProps);
+}
+
+/**
+ * Build screen properties while preserving original AST where unchanged
+ */
+export function buildSmartScreenProps(newScreens, originalPlatformNode, originalContent, platformName, className) {
+  // ✅ First, get ALL original screen names
+  const originalScreenNames = originalPlatformNode.properties.map(p => p.key?.name).filter(Boolean);
+  
+  // ✅ Build a map of new screens by name
+  const newScreensMap = {};
+  newScreens.forEach(screen => {
+    const key = screen.screenName || screen.originalName || screen.name;
+    if (!newScreensMap[key]) {
+      newScreensMap[key] = [];
+    }
+    newScreensMap[key].push(screen);
+  });
+  
+  console.log(`    📊 Original screens: ${originalScreenNames.length}, New screens: ${Object.keys(newScreensMap).length}`);
+  
+  const screenProps = [];
+  
+  // ✅ Process ALL original screens (preserve those not in update)
+  for (const screenName of originalScreenNames) {
+    const originalScreenProp = originalPlatformNode.properties.find(
+      p => p.key?.name === screenName
+    );
+    
+    if (!originalScreenProp) continue;
+    
+    let screenNode;
+    
+    // Check if this screen is in the update
+    if (newScreensMap[screenName]) {
+      // ✅ Screen is being updated
+      const screens = newScreensMap[screenName];
+      const screen = screens[0]; // Usually just one screen per key
+      
+      // ═══════════════════════════════════════════════════════════
+      // DETECT ORIGINAL FORMAT
+      // ═══════════════════════════════════════════════════════════
+      const originalFormat = detectScreenFormat(originalScreenProp.value);
+      console.log(`    📋 ${screenName}: original format = ${originalFormat}`);
+      
+      if (originalFormat === 'direct-object') {
+        // ─────────────────────────────────────────────────────────
+        // DIRECT OBJECT FORMAT: { visible: [...], hidden: [...] }
+        // ─────────────────────────────────────────────────────────
+        const comparisonResult = screenHasChangesDirectObject(screen, originalScreenProp.value);
+        
+        if (!comparisonResult.hasChanges) {
+          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
+          screenNode = originalScreenProp.value;
+        } else {
+          console.log(`    🔧 Regenerating ${screenName} as direct object`);
+          // Preserve original function nodes
+          if (comparisonResult.originalFunctions.prerequisites) {
+            screen._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
+          }
+          if (comparisonResult.originalFunctions.expect) {
+            screen._originalExpect = comparisonResult.originalFunctions.expect;
+          }
+          // ✅ Use buildScreenObjectAstWithBlocks (direct object, no mergeWithBase)
+          screenNode = buildScreenObjectAstWithBlocks(screen);
+        }
+        
+      } else if (originalFormat === 'array-direct') {
+        // ─────────────────────────────────────────────────────────
+        // ARRAY OF DIRECT OBJECTS: [{ visible: [...] }]
+        // ─────────────────────────────────────────────────────────
+        const comparisonResult = screensHaveChanges(screens, originalScreenProp.value);
+        
+        if (!comparisonResult.hasChanges) {
+          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
+          screenNode = originalScreenProp.value;
+        } else {
+          console.log(`    🔧 Regenerating ${screenName} as array of direct objects`);
+          screenNode = t.arrayExpression(
+            screens.map(s => {
+              if (comparisonResult.originalFunctions.prerequisites) {
+                s._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
+              }
+              if (comparisonResult.originalFunctions.expect) {
+                s._originalExpect = comparisonResult.originalFunctions.expect;
+              }
+              return buildScreenObjectAstWithBlocks(s);
+            })
+          );
+        }
+        
+      } else if (originalFormat === 'array-mergeWithBase') {
+        // ─────────────────────────────────────────────────────────
+        // ARRAY WITH mergeWithBase: [ImplicationHelper.mergeWithBase(...)]
+        // ─────────────────────────────────────────────────────────
+        const comparisonResult = screensHaveChanges(screens, originalScreenProp.value);
+        
+        if (!comparisonResult.hasChanges) {
+          console.log(`    ✨ Preserving original AST for ${screenName} (no changes)`);
+          screenNode = originalScreenProp.value;
+        } else {
+          console.log(`    🔧 Regenerating ${screenName} with mergeWithBase`);
+          screenNode = t.arrayExpression(
+            screens.map(s => {
+              if (comparisonResult.originalFunctions.prerequisites) {
+                s._originalPrerequisites = comparisonResult.originalFunctions.prerequisites;
+              }
+              if (comparisonResult.originalFunctions.expect) {
+                s._originalExpect = comparisonResult.originalFunctions.expect;
+              }
+              return buildScreenAst(s, screenName, platformName, className);
+            })
+          );
+        }
+        
+      } else {
+        // ─────────────────────────────────────────────────────────
+        // UNKNOWN FORMAT - preserve original
+        // ─────────────────────────────────────────────────────────
+        console.log(`    ⚠️  Unknown format for ${screenName}, preserving original`);
+        screenNode = originalScreenProp.value;
+      }
+      
+      // Remove from map so we know it's processed
+      delete newScreensMap[screenName];
+      
+    } else {
+      // ✅ Screen NOT in update - preserve original completely!
+      console.log(`    ♻️  Preserving untouched screen: ${screenName}`);
+      screenNode = originalScreenProp.value;
+    }
+    
+    screenProps.push(
+      t.objectProperty(
+        t.identifier(screenName),
+        screenNode
+      )
+    );
+  }
+  
+  // ✅ Add any NEW screens that weren't in original
+  // For new screens, use direct object format (simpler)
+  for (const [screenName, screens] of Object.entries(newScreensMap)) {
+    console.log(`    ➕ Adding new screen: ${screenName}`);
+    const screen = screens[0];
+    screenProps.push(
+      t.objectProperty(
+        t.identifier(screenName),
+        buildScreenObjectAstWithBlocks(screen)
+      )
+    );
+  }
+  
+  return screenProps;
+}
+
+/**
+ * Detect the format of the original screen AST node
+ * Returns: 'direct-object' | 'array-direct' | 'array-mergeWithBase' | 'unknown'
+ */
+export function detectScreenFormat(node) {
+  if (t.isObjectExpression(node)) {
+    return 'direct-object';
+  }
+  
+  if (t.isArrayExpression(node)) {
+    if (node.elements.length === 0) {
+      return 'array-direct'; // Empty array, treat as direct
+    }
+    
+    const firstElement = node.elements[0];
+    
+    // Check if first element is a CallExpression (mergeWithBase)
+    if (t.isCallExpression(firstElement)) {
+      const callee = firstElement.callee;
+      if (t.isMemberExpression(callee) &&
+          callee.object?.name === 'ImplicationHelper' &&
+          callee.property?.name === 'mergeWithBase') {
+        return 'array-mergeWithBase';
+      }
+    }
+    
+    // Check if first element is direct object
+    if (t.isObjectExpression(firstElement)) {
+      return 'array-direct';
+    }
+  }
+  
+  // Also handle single CallExpression (mergeWithBase not in array)
+  if (t.isCallExpression(node)) {
+    const callee = node.callee;
+    if (t.isMemberExpression(callee) &&
+        callee.object?.name === 'ImplicationHelper' &&
+        callee.property?.name === 'mergeWithBase') {
+      return 'single-mergeWithBase';
+    }
+  }
+  
+  return 'unknown';
+}
+
+/**
+ * Check if a single screen (direct object) has changes
+ */
+export function screenHasChangesDirectObject(newScreen, originalNode) {
+  let originalFunctions = {};
+  
+  // Extract function nodes from original
+  if (t.isObjectExpression(originalNode)) {
+    originalNode.properties.forEach(prop => {
+      if (prop.key?.name === 'prerequisites') {
+        originalFunctions.prerequisites = prop.value;
+      } else if (prop.key?.name === 'expect') {
+        originalFunctions.expect = prop.value;
+      }
+    });
+  }
+  
+  // Extract data for comparison
+  const originalData = extractScreenDataFromAst(originalNode);
+  
+  // Compare
+  if (!screensMatch(newScreen, originalData)) {
+    return { hasChanges: true, originalFunctions };
+  }
+  
+  return { hasChanges: false, originalFunctions };
+}
+
+/**
+ * ✅ FIXED: Build screen object AST with blocks support
+ * Now includes: navigation, order
+ */
+export function buildScreenObjectAstWithBlocks(screen) {
+  const props = [];
+  
+  // name
+  if (screen.name) {
+    props.push(t.objectProperty(
+      t.identifier('name'),
+      t.stringLiteral(screen.name)
+    ));
+  }
+  
+  // description
+  if (screen.description) {
+    props.push(t.objectProperty(
+      t.identifier('description'),
+      t.stringLiteral(screen.description)
+    ));
+  }
+  
+  // screen (POM reference)
+  if (screen.screen) {
+    props.push(t.objectProperty(
+      t.identifier('screen'),
+      t.stringLiteral(screen.screen)
+    ));
+  }
+  
+  // instance
+  if (screen.instance) {
+    props.push(t.objectProperty(
+      t.identifier('instance'),
+      t.stringLiteral(screen.instance)
+    ));
+  }
+  
+  // ═══════════════════════════════════════════════════════════
+  // ✅ NEW: order (for screen execution order)
+  // ═══════════════════════════════════════════════════════════
+  if (screen.order !== undefined) {
+    props.push(t.objectProperty(
+      t.identifier('order'),
+      t.numericLiteral(screen.order)
+    ));
+  }
+  
+  // ═══════════════════════════════════════════════════════════
+  // ✅ NEW: navigation (for screen navigation before validation)
+  // ═══════════════════════════════════════════════════════════
+  if (screen.navigation && (screen.navigation.pomName || screen.navigation.method)) {
+    const navProps = [];
+    
+    if (screen.navigation.pomName) {
+      navProps.push(t.objectProperty(
+        t.identifier('pomName'), 
+        t.stringLiteral(screen.navigation.pomName)
+      ));
+    }
+    if (screen.navigation.instanceName) {
+      navProps.push(t.objectProperty(
+        t.identifier('instanceName'), 
+        t.stringLiteral(screen.navigation.instanceName)
+      ));
+    }
+    if (screen.navigation.method) {
+      navProps.push(t.objectProperty(
+        t.identifier('method'), 
+        t.stringLiteral(screen.navigation.method)
+      ));
+    }
+    if (screen.navigation.args && screen.navigation.args.length > 0) {
+      navProps.push(t.objectProperty(
+        t.identifier('args'),
+        t.arrayExpression(screen.navigation.args.map(arg => t.stringLiteral(String(arg))))
+      ));
+    }
+    
+    if (navProps.length > 0) {
+      console.log(`    🧭 Including navigation for screen`);
+      props.push(t.objectProperty(
+        t.identifier('navigation'),
+        t.objectExpression(navProps)
+      ));
+    }
+  }
+  
+  // visible
+  if (screen.visible && screen.visible.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('visible'),
+      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
+    ));
+  }
+  
+  // hidden
+  if (screen.hidden && screen.hidden.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('hidden'),
+      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
+    ));
+  }
+  
+  // truthy
+  if (screen.truthy && screen.truthy.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('truthy'),
+      t.arrayExpression(screen.truthy.map(tr => t.stringLiteral(tr)))
+    ));
+  }
+  
+  // falsy
+  if (screen.falsy && screen.falsy.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('falsy'),
+      t.arrayExpression(screen.falsy.map(f => t.stringLiteral(f)))
+    ));
+  }
+  
+  // assertions
+ if (screen.assertions && screen.assertions.length > 0) {
+  const assertionElements = screen.assertions.map(assertion => {
+    const assertProps = [];
+    if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
+    // ✅ ADD TYPE FIELD
+    if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
+    if (assertion.storeAs) assertProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(assertion.storeAs)));
+    if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
+    if (assertion.value !== undefined) {
+      assertProps.push(t.objectProperty(
+        t.identifier('value'),
+        typeof assertion.value === 'number' 
+          ? t.numericLiteral(assertion.value)
+          : typeof assertion.value === 'boolean'
+            ? t.booleanLiteral(assertion.value)
+            : t.stringLiteral(String(assertion.value))
+      ));
+    }
+    return t.objectExpression(assertProps);
+  });
+  props.push(t.objectProperty(
+    t.identifier('assertions'),
+    t.arrayExpression(assertionElements)
+  ));
+}
+  
+  // checks
+  if (screen.checks) {
+    const checkProps = [];
+    
+    if (screen.checks.visible && screen.checks.visible.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('visible'),
+        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
+      ));
+    }
+    
+    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('hidden'),
+        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
+      ));
+    }
+    
+if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
+  const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
+    t.objectProperty(
+      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+      t.stringLiteral(value)
+    )
+  );
+      checkProps.push(t.objectProperty(
+        t.identifier('text'),
+        t.objectExpression(textProps)
+      ));
+    }
+    
+if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
+  const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
+    t.objectProperty(
+      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+      t.stringLiteral(value)
+    )
+  );
+      checkProps.push(t.objectProperty(
+        t.identifier('contains'),
+        t.objectExpression(containsProps)
+      ));
+    }
+    
+    if (checkProps.length > 0) {
+      props.push(t.objectProperty(
+        t.identifier('checks'),
+        t.objectExpression(checkProps)
+      ));
+    }
+  }
+  
+  // functions
+  if (screen.functions && Object.keys(screen.functions).length > 0) {
+    const functionProps = [];
+    
+    for (const [funcName, funcData] of Object.entries(screen.functions)) {
+      const funcObjectProps = [];
+      
+      if (funcData.signature) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('signature'),
+          t.stringLiteral(funcData.signature)
+        ));
+      }
+      
+      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
+        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
+          t.objectProperty(t.identifier(key), t.stringLiteral(String(value)))
+        );
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('parameters'),
+          t.objectExpression(paramProps)
+        ));
+      }
+      
+      if (funcData.storeAs) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('storeAs'),
+          t.stringLiteral(funcData.storeAs)
+        ));
+      }
+      
+      functionProps.push(t.objectProperty(
+        t.identifier(funcName),
+        t.objectExpression(funcObjectProps)
+      ));
+    }
+    
+    props.push(t.objectProperty(
+      t.identifier('functions'),
+      t.objectExpression(functionProps)
+    ));
+  }
+  
+  // ═══════════════════════════════════════════════════════════
+  // ✅ BLOCKS ARRAY
+  // ═══════════════════════════════════════════════════════════
+  if (screen.blocks && Array.isArray(screen.blocks) && screen.blocks.length > 0) {
+    console.log(`    🧱 Including ${screen.blocks.length} blocks`);
+    
+    const blockElements = screen.blocks.map(block => {
+  const blockProps = [];
+  
+  // Basic block properties
+  if (block.id) blockProps.push(t.objectProperty(t.identifier('id'), t.stringLiteral(block.id)));
+  if (block.type) blockProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(block.type)));
+  if (block.label) blockProps.push(t.objectProperty(t.identifier('label'), t.stringLiteral(block.label)));
+  if (block.order !== undefined) blockProps.push(t.objectProperty(t.identifier('order'), t.numericLiteral(block.order)));
+  if (block.expanded !== undefined) blockProps.push(t.objectProperty(t.identifier('expanded'), t.booleanLiteral(block.expanded)));
+  if (block.enabled !== undefined) blockProps.push(t.objectProperty(t.identifier('enabled'), t.booleanLiteral(block.enabled)));
+  
+  // ✅ NEW: Block conditions
+  if (block.conditions?.blocks?.length > 0) {
+    const conditionsNode = buildConditionsAST(block.conditions);
+    if (conditionsNode) {
+      blockProps.push(t.objectProperty(t.identifier('conditions'), conditionsNode));
+    }
+  }
+  
+  // UI-ASSERTION block data
+  if (block.type === 'ui-assertion' && block.data) {
+        const dataProps = [];
+        
+        if (block.data.visible?.length > 0) {
+          dataProps.push(t.objectProperty(t.identifier('visible'), t.arrayExpression(block.data.visible.map(v => t.stringLiteral(v)))));
+        }
+        if (block.data.hidden?.length > 0) {
+          dataProps.push(t.objectProperty(t.identifier('hidden'), t.arrayExpression(block.data.hidden.map(h => t.stringLiteral(h)))));
+        }
+        if (block.data.truthy?.length > 0) {
+          dataProps.push(t.objectProperty(t.identifier('truthy'), t.arrayExpression(block.data.truthy.map(tr => t.stringLiteral(tr)))));
+        }
+        if (block.data.falsy?.length > 0) {
+          dataProps.push(t.objectProperty(t.identifier('falsy'), t.arrayExpression(block.data.falsy.map(f => t.stringLiteral(f)))));
+        }
+        
+        // checks
+        if (block.data.checks) {
+          const checksProps = [];
+           if (block.data.checks.text && Object.keys(block.data.checks.text).length > 0) {
+            const textProps = Object.entries(block.data.checks.text).map(([key, value]) =>
+              t.objectProperty(
+                /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+                t.stringLiteral(String(value))
+              )
+            );
+            checksProps.push(t.objectProperty(
+              t.identifier('text'),
+              t.objectExpression(textProps)
+            ));
+          }
+          
+          if (block.data.checks.contains && Object.keys(block.data.checks.contains).length > 0) {
+            const containsProps = Object.entries(block.data.checks.contains).map(([key, value]) =>
+              t.objectProperty(
+                /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+                t.stringLiteral(String(value))
+              )
+            );
+            checksProps.push(t.objectProperty(
+              t.identifier('contains'),
+              t.objectExpression(containsProps)
+            ));
+          }
+          if (checksProps.length > 0) {
+            dataProps.push(t.objectProperty(t.identifier('checks'), t.objectExpression(checksProps)));
+          }
+        }
+        
+       // assertions in block.data
+if (block.data.assertions?.length > 0) {
+  const assertElements = block.data.assertions.map(a => {
+    const aProps = [];
+    if (a.fn) aProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(a.fn)));
+    // ✅ ADD TYPE FIELD
+    if (a.type) aProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(a.type)));
+    if (a.storeAs) aProps.push(
+  t.objectProperty(t.identifier('storeAs'), t.stringLiteral(a.storeAs))
+);
+    if (a.expect) aProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(a.expect)));
+    if (a.value !== undefined) {
+      aProps.push(t.objectProperty(t.identifier('value'),
+        typeof a.value === 'number' ? t.numericLiteral(a.value) :
+        typeof a.value === 'boolean' ? t.booleanLiteral(a.value) :
+        t.stringLiteral(String(a.value))
+      ));
+    }
+    return t.objectExpression(aProps);
+  });
+  dataProps.push(t.objectProperty(t.identifier('assertions'), t.arrayExpression(assertElements)));
+}
+        
+        if (block.data.timeout) {
+          dataProps.push(t.objectProperty(t.identifier('timeout'), t.numericLiteral(block.data.timeout)));
+        }
+        
+        if (dataProps.length > 0) {
+          blockProps.push(t.objectProperty(t.identifier('data'), t.objectExpression(dataProps)));
+        }
+      }
+      
+      // CUSTOM-CODE block
+      if (block.type === 'custom-code') {
+        if (block.code) blockProps.push(t.objectProperty(t.identifier('code'), t.stringLiteral(block.code)));
+        if (block.wrapInTestStep !== undefined) blockProps.push(t.objectProperty(t.identifier('wrapInTestStep'), t.booleanLiteral(block.wrapInTestStep)));
+        if (block.testStepName) blockProps.push(t.objectProperty(t.identifier('testStepName'), t.stringLiteral(block.testStepName)));
+      }
+      
+      // FUNCTION-CALL block
+if (block.type === 'function-call' && block.data) {
+  const dataProps = [];
+  
+  if (block.data.instance) {
+    dataProps.push(t.objectProperty(t.identifier('instance'), t.stringLiteral(block.data.instance)));
+  }
+  
+  if (block.data.method) {
+    dataProps.push(t.objectProperty(t.identifier('method'), t.stringLiteral(block.data.method)));
+  }
+  
+  if (block.data.args?.length > 0) {
+    dataProps.push(t.objectProperty(
+      t.identifier('args'),
+      t.arrayExpression(block.data.args.map(arg =>
+        typeof arg === 'number' ? t.numericLiteral(arg) : t.stringLiteral(String(arg))
+      ))
+    ));
+  }
+  
+  if (block.data.await !== undefined) {
+    dataProps.push(t.objectProperty(t.identifier('await'), t.booleanLiteral(block.data.await)));
+  }
+  
+  if (block.data.storeAs) {
+    dataProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(block.data.storeAs)));
+  }
+  
+  // ✅ NEW: Save assertion field for function-call blocks
+  if (block.data.assertion) {
+    const assertionProps = [];
+    
+    if (block.data.assertion.type) {
+      assertionProps.push(t.objectProperty(
+        t.identifier('type'), 
+        t.stringLiteral(block.data.assertion.type)
+      ));
+    }
+    
+    if (block.data.assertion.not !== undefined) {
+      assertionProps.push(t.objectProperty(
+        t.identifier('not'), 
+        t.booleanLiteral(block.data.assertion.not)
+      ));
+    }
+    
+    if (block.data.assertion.value !== undefined) {
+      const val = block.data.assertion.value;
+      let valNode;
+      
+      if (typeof val === 'boolean') {
+        valNode = t.booleanLiteral(val);
+      } else if (typeof val === 'number') {
+        valNode = t.numericLiteral(val);
+      } else if (val === null) {
+        valNode = t.nullLiteral();
+      } else {
+        valNode = t.stringLiteral(String(val));
+      }
+      
+      assertionProps.push(t.objectProperty(t.identifier('value'), valNode));
+    }
+    
+    if (assertionProps.length > 0) {
+      dataProps.push(t.objectProperty(
+        t.identifier('assertion'), 
+        t.objectExpression(assertionProps)
+      ));
+    }
+  }
+  
+  if (dataProps.length > 0) {
+    blockProps.push(t.objectProperty(t.identifier('data'), t.objectExpression(dataProps)));
+  }
+      }
+
+      // ─────────────────────────────────────────────────────────
+// Handle DATA-ASSERTION block
+// ─────────────────────────────────────────────────────────
+if (block.type === 'data-assertion' && block.assertions) {
+  const assertionElements = block.assertions.map(assertion => {
+    const assertProps = [];
+    
+    if (assertion.left) {
+      assertProps.push(t.objectProperty(t.identifier('left'), t.stringLiteral(assertion.left)));
+    }
+    if (assertion.operator) {
+      assertProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(assertion.operator)));
+    }
+    if (assertion.right !== undefined) {
+      assertProps.push(t.objectProperty(
+        t.identifier('right'),
+        typeof assertion.right === 'number' ? t.numericLiteral(assertion.right) :
+        typeof assertion.right === 'boolean' ? t.booleanLiteral(assertion.right) :
+        t.stringLiteral(String(assertion.right))
+      ));
+    }
+    if (assertion.message) {
+      assertProps.push(t.objectProperty(t.identifier('message'), t.stringLiteral(assertion.message)));
+    }
+    
+    return t.objectExpression(assertProps);
+  });
+  
+  blockProps.push(t.objectProperty(
+    t.identifier('assertions'),
+    t.arrayExpression(assertionElements)
+  ));
+}
+      
+      return t.objectExpression(blockProps);
+    });
+    
+    props.push(t.objectProperty(
+      t.identifier('blocks'),
+      t.arrayExpression(blockElements)
+    ));
+  }
+  
+  // _pomSource (preserve if exists)
+  if (screen._pomSource) {
+    const pomProps = [];
+    if (screen._pomSource.path) pomProps.push(t.objectProperty(t.identifier('path'), t.stringLiteral(screen._pomSource.path)));
+    if (screen._pomSource.name) pomProps.push(t.objectProperty(t.identifier('name'), t.stringLiteral(screen._pomSource.name)));
+    if (screen._pomSource.className) pomProps.push(t.objectProperty(t.identifier('className'), t.stringLiteral(screen._pomSource.className)));
+    
+    if (pomProps.length > 0) {
+      props.push(t.objectProperty(
+        t.identifier('_pomSource'),
+        t.objectExpression(pomProps)
+      ));
+    }
+  }
+  
+  // Preserved prerequisites
+  if (screen._originalPrerequisites) {
+    props.push(t.objectProperty(
+      t.identifier('prerequisites'),
+      screen._originalPrerequisites
+    ));
+  }
+  
+  // Preserved expect
+  if (screen._originalExpect) {
+    props.push(t.objectProperty(
+      t.identifier('expect'),
+      screen._originalExpect
+    ));
+  }
+  
+  return t.objectExpression(props);
+}
+
+/**
+ * Check if screens have changes compared to original AST
+ */
+export function screensHaveChanges(newScreens, originalArrayNode) {
+  // Simple check: compare lengths
+  if (newScreens.length !== originalArrayNode.elements.length) {
+    console.log('    📊 Length changed:', newScreens.length, 'vs', originalArrayNode.elements.length);
+    return { hasChanges: true, originalFunctions: {} };
+  }
+  
+  // Track original function nodes
+  let originalFunctions = {};
+  
+  // Deep check: compare each screen's data
+  for (let i = 0; i < newScreens.length; i++) {
+    const newScreen = newScreens[i];
+    const originalElement = originalArrayNode.elements[i];
+    
+    if (!originalElement) {
+      return { hasChanges: true, originalFunctions: {} };
+    }
+    
+    // Check if original is mergeWithBase call
+    if (originalElement.type === 'CallExpression' &&
+        originalElement.callee?.type === 'MemberExpression' &&
+        originalElement.callee.object?.name === 'ImplicationHelper' &&
+        originalElement.callee.property?.name === 'mergeWithBase') {
+      
+      console.log('    🔍 Original is mergeWithBase, extracting child overrides...');
+      
+      // Extract child overrides from mergeWithBase (2nd argument)
+      const overridesArg = originalElement.arguments[1];
+      if (!overridesArg || overridesArg.type !== 'ObjectExpression') {
+        console.log('    ⚠️ Could not extract overrides, assuming changed');
+        return { hasChanges: true, originalFunctions: {} };
+      }
+      
+      // ✨ NEW: Extract prerequisites and expect nodes
+      const originalOverrides = extractScreenDataFromAst(overridesArg);
+      
+      // Extract function nodes
+      overridesArg.properties.forEach(prop => {
+        if (prop.key?.name === 'prerequisites') {
+          originalFunctions.prerequisites = prop.value;
+          console.log('    📦 Preserved prerequisites function');
+        } else if (prop.key?.name === 'expect') {
+          originalFunctions.expect = prop.value;
+          console.log('    📦 Preserved expect function');
+        }
+      });
+      
+      // Compare new data with original overrides (not merged result!)
+      if (!screensMatch(newScreen, originalOverrides)) {
+        console.log('    🔧 Child overrides changed!');
+        console.log('       Original:', JSON.stringify(originalOverrides, null, 2));
+        console.log('       New:', JSON.stringify(newScreen, null, 2));
+        return { hasChanges: true, originalFunctions };
+      }
+      
+      console.log('    ✨ Child overrides match! Preserving mergeWithBase');
+    } else if (originalElement.type === 'ObjectExpression') {
+      // Direct object - compare as before
+      const originalData = extractScreenDataFromAst(originalElement);
+      
+      // ✨ NEW: Extract function nodes from direct object too
+      originalElement.properties.forEach(prop => {
+        if (prop.key?.name === 'prerequisites') {
+          originalFunctions.prerequisites = prop.value;
+        } else if (prop.key?.name === 'expect') {
+          originalFunctions.expect = prop.value;
+        }
+      });
+      
+      if (!screensMatch(newScreen, originalData)) {
+        console.log('    🔧 Screen data changed');
+        return { hasChanges: true, originalFunctions };
+      }
+    } else {
+      // Unknown type - assume changed
+      console.log('    ⚠️ Unknown original type:', originalElement.type);
+      return { hasChanges: true, originalFunctions: {} };
+    }
+  }
+  
+  console.log('    ✅ No changes detected');
+  return { hasChanges: false, originalFunctions };  // No changes detected
+}
+
+/**
+ * Extract screen data from AST node for comparison
+ */
+/**
+ * Extract screen data from AST node for comparison
+ * ✅ ENHANCED: Now properly extracts nested objects (like block.data.assertion)
+ */
+export function extractScreenDataFromAst(objectNode) {
+  const data = {};
+  
+  objectNode.properties.forEach(prop => {
+    if (!t.isObjectProperty(prop) || !prop.key) return;
+    
+    const key = prop.key.name || prop.key.value;
+    
+    if (t.isStringLiteral(prop.value)) {
+      data[key] = prop.value.value;
+    } else if (t.isBooleanLiteral(prop.value)) {
+      data[key] = prop.value.value;
+    } else if (t.isNumericLiteral(prop.value)) {
+      data[key] = prop.value.value;
+    } else if (t.isNullLiteral(prop.value)) {
+      data[key] = null;
+    } else if (t.isArrayExpression(prop.value)) {
+      // Handle arrays
+      if (key === 'blocks') {
+        // Blocks array - recursively extract each block
+        data[key] = prop.value.elements.map(blockNode => {
+          if (t.isObjectExpression(blockNode)) {
+            return extractScreenDataFromAst(blockNode);
+          }
+          return null;
+        }).filter(Boolean);
+      } else {
+        // Other arrays - could be strings or objects
+        data[key] = prop.value.elements.map(el => {
+          if (t.isStringLiteral(el)) return el.value;
+          if (t.isNumericLiteral(el)) return el.value;
+          if (t.isBooleanLiteral(el)) return el.value;
+          if (t.isObjectExpression(el)) return extractScreenDataFromAst(el);
+          return null;
+        }).filter(el => el !== null);
+      }
+    } else if (t.isObjectExpression(prop.value)) {
+      // ✅ FIXED: Recursively extract nested objects (like data, assertion, checks, etc.)
+      data[key] = extractScreenDataFromAst(prop.value);
+    }
+  });
+  
+  return data;
+}
+
+/**
+ * Compare two screen objects
+ */
+export function screensMatch(screen1, screen2) {
+  const clean1 = stripMetadata(screen1);
+  const clean2 = stripMetadata(screen2);
+  
+  // Deep comparison instead of JSON.stringify
+  return deepEqual(clean1, clean2);
+}
+
+export function deepEqual(obj1, obj2) {
+  // Handle null/undefined
+  if (obj1 === obj2) return true;
+  if (!obj1 || !obj2) return false;
+  if (typeof obj1 !== 'object' || typeof obj2 !== 'object') return obj1 === obj2;
+  
+  // Handle arrays
+  if (Array.isArray(obj1) && Array.isArray(obj2)) {
+    if (obj1.length !== obj2.length) return false;
+    return obj1.every((item, i) => deepEqual(item, obj2[i]));
+  }
+  
+  // Handle arrays vs objects mismatch
+  if (Array.isArray(obj1) !== Array.isArray(obj2)) return false;
+  
+  // Handle objects
+  const keys1 = Object.keys(obj1);
+  const keys2 = Object.keys(obj2);
+  
+  if (keys1.length !== keys2.length) return false;
+  
+  return keys1.every(key => {
+    if (!keys2.includes(key)) return false;
+    return deepEqual(obj1[key], obj2[key]);
+  });
+}
+
+export function stripMetadata(screen) {
+  // Note: blocks is intentionally NOT stripped - we want to compare it
+  const { screenName, sourceInfo, alwaysVisible, sometimesVisible, ...cleanScreen } = screen;
+  
+  // Also strip empty arrays from checks
+  if (cleanScreen.checks) {
+    const cleanChecks = { ...cleanScreen.checks };
+    if (cleanChecks.visible?.length === 0) delete cleanChecks.visible;
+    if (cleanChecks.hidden?.length === 0) delete cleanChecks.hidden;
+    if (Object.keys(cleanChecks.text || {}).length === 0) delete cleanChecks.text;
+    if (Object.keys(cleanChecks.contains || {}).length === 0) delete cleanChecks.contains;
+    if (Object.keys(cleanChecks).length === 0) {
+      delete cleanScreen.checks;
+    } else {
+      cleanScreen.checks = cleanChecks;
+    }
+  }
+  
+  // Strip empty arrays
+  if (cleanScreen.visible?.length === 0) delete cleanScreen.visible;
+  if (cleanScreen.hidden?.length === 0) delete cleanScreen.hidden;
+  if (cleanScreen.truthy?.length === 0) delete cleanScreen.truthy;
+  if (cleanScreen.falsy?.length === 0) delete cleanScreen.falsy;
+  if (cleanScreen.assertions?.length === 0) delete cleanScreen.assertions;
+  
+  // ✅ Keep blocks but clean empty ones
+  if (cleanScreen.blocks?.length === 0) delete cleanScreen.blocks;
+  
+  return cleanScreen;
+}
+
+/**
+ * Compare two arrays
+ */
+export function arraysMatch(a, b) {
+  if (!a && !b) return true;
+  if (!a || !b) return false;
+  if (a.length !== b.length) return false;
+  
+  return a.every((item, i) => item === b[i]);
+}
+
+/**
+ * Compare two objects
+ */
+export function objectsMatch(a, b) {
+  if (!a && !b) return true;
+  if (!a || !b) return false;
+  
+  const keysA = Object.keys(a || {});
+  const keysB = Object.keys(b || {});
+  
+  if (keysA.length !== keysB.length) return false;
+  
+  return keysA.every(key => a[key] === b[key]);
+}
+
+/**
+ * Build screen props from data (when no original to preserve)
+ */
+export function buildScreenPropsFromData(screens) {
+  const screenGroups = {};
+  
+  screens.forEach(screen => {
+    // ✅ FIXED: Check screenName first!
+    const key = screen.screenName || screen.originalName || screen.name;
+    if (!screenGroups[key]) {
+      screenGroups[key] = [];
+    }
+    screenGroups[key].push(screen);
+  });
+  
+  return Object.entries(screenGroups).map(([screenKey, screenArray]) =>
+    t.objectProperty(
+      t.identifier(screenKey),
+      t.arrayExpression(screenArray.map(s => buildScreenObjectAst(s)))
+    )
+  );
+}
+
+/**
+ * ✅ FIXED: Build AST for UI data with proper structure
+ * Structure: { dancer: { screens: [...] }, web: { screens: [...] } }
+ * Target:    { dancer: { screenKey: [...], screenKey: [...] }, web: { screenKey: [...] } }
+ */
+export function buildUIAstFromPlatforms(uiData) {
+  const platformProps = [];
+  
+  // For each platform (dancer, web, clubApp)
+  for (const [platformName, platformData] of Object.entries(uiData)) {
+    const screens = platformData.screens || [];
+    
+    // Group screens by their screen name (e.g., notificationsScreen, requestBookingScreen)
+    const screenGroups = {};
+    
+    screens.forEach(screen => {
+      const screenKey = screen.originalName || screen.name;
+      if (!screenGroups[screenKey]) {
+        screenGroups[screenKey] = [];
+      }
+      screenGroups[screenKey].push(screen);
+    });
+    
+    // Build platform object: { notificationsScreen: [...], requestBookingScreen: [...] }
+    const screenKeyProps = Object.entries(screenGroups).map(([screenKey, screenArray]) => {
+      return t.objectProperty(
+        t.identifier(screenKey),
+        t.arrayExpression(screenArray.map(screen => buildScreenObjectAst(screen)))
+      );
+    });
+    
+    // Add this platform
+    platformProps.push(
+      t.objectProperty(
+        t.identifier(platformName),
+        t.objectExpression(screenKeyProps)
+      )
+    );
+  }
+  
+  return t.objectExpression(platformProps);
+}
+
+/**
+ * ✅ FIXED: Build AST for a single screen object
+ */
+export function buildScreenObjectAst(screen) {
+  const props = [];
+  
+  // Only add properties that exist and have values
+  
+  if (screen.name) {
+    props.push(t.objectProperty(
+      t.identifier('name'),
+      t.stringLiteral(screen.name)
+    ));
+  }
+  
+  if (screen.description) {
+    props.push(t.objectProperty(
+      t.identifier('description'),
+      t.stringLiteral(screen.description)
+    ));
+  }
+  
+  // Top-level visible array
+  if (screen.visible && screen.visible.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('visible'),
+      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
+    ));
+  }
+  
+  // Top-level hidden array
+  if (screen.hidden && screen.hidden.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('hidden'),
+      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
+    ));
+  }
+  
+  // Checks object
+  if (screen.checks && Object.keys(screen.checks).length > 0) {
+    const checkProps = [];
+    
+    // checks.visible
+    if (screen.checks.visible && screen.checks.visible.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('visible'),
+        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
+      ));
+    }
+    
+    // checks.hidden
+    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('hidden'),
+        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
+      ));
+    }
+    
+   // checks.text
+   if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
+      const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
+        t.objectProperty(
+          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+          t.stringLiteral(value)
+        )
+      );
+      checkProps.push(t.objectProperty(
+        t.identifier('text'),
+        t.objectExpression(textProps)
+      ));
+    }
+    
+    if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
+      const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
+        t.objectProperty(
+          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+          t.stringLiteral(value)
+        )
+      );
+      checkProps.push(t.objectProperty(
+        t.identifier('contains'),
+        t.objectExpression(containsProps)
+      ));
+    }
+    
+    if (checkProps.length > 0) {
+      props.push(t.objectProperty(
+        t.identifier('checks'),
+        t.objectExpression(checkProps)
+      ));
+    }
+  }
+  
+  // ✨ NEW: POM screen property
+  if (screen.screen) {
+    props.push(t.objectProperty(
+      t.identifier('screen'),
+      t.stringLiteral(screen.screen)
+    ));
+  }
+  
+  // ✨ NEW: POM instance property (optional)
+  if (screen.instance) {
+    props.push(t.objectProperty(
+      t.identifier('instance'),
+      t.stringLiteral(screen.instance)
+    ));
+  }
+  
+  // ✨ NEW: Functions object
+  if (screen.functions && Object.keys(screen.functions).length > 0) {
+    const functionProps = [];
+    
+    for (const [funcName, funcData] of Object.entries(screen.functions)) {
+      const funcObjectProps = [];
+      
+      // type
+      if (funcData.type) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('type'),
+          t.stringLiteral(funcData.type)
+        ));
+      }
+      
+      // name
+      if (funcData.name) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('name'),
+          t.stringLiteral(funcData.name)
+        ));
+      }
+      
+      // signature
+      if (funcData.signature) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('signature'),
+          t.stringLiteral(funcData.signature)
+        ));
+      }
+      
+      // parameters object
+      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
+        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
+          t.objectProperty(
+            t.identifier(key),
+            t.stringLiteral(String(value))
+          )
+        );
+        
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('parameters'),
+          t.objectExpression(paramProps)
+        ));
+      }
+      
+      functionProps.push(t.objectProperty(
+        t.identifier(funcName),
+        t.objectExpression(funcObjectProps)
+      ));
+    }
+    
+    props.push(t.objectProperty(
+      t.identifier('functions'),
+      t.objectExpression(functionProps)
+    ));
+  }
+
+  // ✅ NEW: truthy (array of function names that must return truthy)
+  if (screen.truthy && screen.truthy.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('truthy'),
+      t.arrayExpression(screen.truthy.map(fn => t.stringLiteral(fn)))
+    ));
+  }
+
+  // ✅ NEW: falsy (array of function names that must return falsy)
+  if (screen.falsy && screen.falsy.length > 0) {
+    props.push(t.objectProperty(
+      t.identifier('falsy'),
+      t.arrayExpression(screen.falsy.map(fn => t.stringLiteral(fn)))
+    ));
+  }
+
+// ✅ NEW: assertions (array of { fn, type, expect, value } objects)
+  if (screen.assertions && screen.assertions.length > 0) {
+    const assertionElements = screen.assertions.map(assertion => {
+      const assertionProps = [];
+      
+      // fn (required)
+      assertionProps.push(t.objectProperty(
+        t.identifier('fn'),
+        t.stringLiteral(assertion.fn)
+      ));
+      
+      // ✅ type (locator or method)
+      if (assertion.type) {
+        assertionProps.push(t.objectProperty(
+          t.identifier('type'),
+          t.stringLiteral(assertion.type)
+        ));
+      }
+
+      // storeAs (for storing assertion result)
+if (assertion.storeAs) {
+  assertionProps.push(t.objectProperty(
+    t.identifier('storeAs'),
+    t.stringLiteral(assertion.storeAs)
+  ));
+}
+      
+      // expect (required)
+      assertionProps.push(t.objectProperty(
+        t.identifier('expect'),
+        t.stringLiteral(assertion.expect)
+      ));
+      
+      // value (optional, can be string, number, boolean, null)
+      if (assertion.value !== undefined) {
+        let valueNode;
+        if (typeof assertion.value === 'number') {
+          valueNode = t.numericLiteral(assertion.value);
+        } else if (typeof assertion.value === 'boolean') {
+          valueNode = t.booleanLiteral(assertion.value);
+        } else if (assertion.value === null) {
+          valueNode = t.nullLiteral();
+        } else {
+          valueNode = t.stringLiteral(String(assertion.value));
+        }
+        assertionProps.push(t.objectProperty(
+          t.identifier('value'),
+          valueNode
+        ));
+      }
+      
+      return t.objectExpression(assertionProps);
+    });
+    
+    props.push(t.objectProperty(
+      t.identifier('assertions'),
+      t.arrayExpression(assertionElements)
+    ));
+  }
+  
+  return t.objectExpression(props);
+}
+
+/**
+ * Helper: Build AST for UI data
+ */
+export function buildUIAst(uiData, className) {
+  const platformProps = Object.entries(uiData).map(([platformName, platformData]) => {
+    const screenEntries = Object.entries(platformData.screens);
+    
+    const screenProps = screenEntries.map(([screenName, screenArray]) => {
+      // Each screen is wrapped in an array
+      const wrappedScreens = t.arrayExpression(
+        screenArray.map(screen => buildScreenAst(screen, screenName, platformName, className, originalContent))
+      );
+      
+      return t.objectProperty(
+        t.identifier(screenName),
+        wrappedScreens
+      );
+    });
+    
+    return t.objectProperty(
+      t.identifier(platformName),
+      t.objectExpression(screenProps)
+    );
+  });
+  
+  return t.objectExpression([
+    t.objectProperty(
+      t.identifier('UI'),
+      t.objectExpression(platformProps)
+    )
+  ]);
+}
+
+export function buildScreenAst(screen, screenName, platformName, className) {
+  const overrideProps = [];
+  
+  // description (always include if present)
+  if (screen.description) {
+    overrideProps.push(t.objectProperty(
+      t.identifier('description'), 
+      t.stringLiteral(screen.description)
+    ));
+  }
+  
+  // visible (only if has child elements)
+  if (screen.visible && screen.visible.length > 0) {
+    overrideProps.push(t.objectProperty(
+      t.identifier('visible'),
+      t.arrayExpression(screen.visible.map(v => t.stringLiteral(v)))
+    ));
+  }
+  
+  // hidden (only if has child elements)
+  if (screen.hidden && screen.hidden.length > 0) {
+    overrideProps.push(t.objectProperty(
+      t.identifier('hidden'),
+      t.arrayExpression(screen.hidden.map(h => t.stringLiteral(h)))
+    ));
+  }
+  
+  // truthy (only if has elements)
+  if (screen.truthy && screen.truthy.length > 0) {
+    overrideProps.push(t.objectProperty(
+      t.identifier('truthy'),
+      t.arrayExpression(screen.truthy.map(tr => t.stringLiteral(tr)))
+    ));
+  }
+  
+  // falsy (only if has elements)
+  if (screen.falsy && screen.falsy.length > 0) {
+    overrideProps.push(t.objectProperty(
+      t.identifier('falsy'),
+      t.arrayExpression(screen.falsy.map(f => t.stringLiteral(f)))
+    ));
+  }
+  
+  // assertions (only if has elements)
+  if (screen.assertions && screen.assertions.length > 0) {
+    const assertionElements = screen.assertions.map(assertion => {
+      const assertProps = [];
+      if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
+      // ✅ type (locator or method)
+      if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
+      if (assertion.storeAs) assertProps.push(t.objectProperty(t.identifier('storeAs'), t.stringLiteral(assertion.storeAs)));
+      if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
+      if (assertion.value !== undefined) {
+        assertProps.push(t.objectProperty(
+          t.identifier('value'),
+          typeof assertion.value === 'number' 
+            ? t.numericLiteral(assertion.value)
+            : typeof assertion.value === 'boolean'
+              ? t.booleanLiteral(assertion.value)
+              : t.stringLiteral(String(assertion.value))
+        ));
+      }
+      return t.objectExpression(assertProps);
+    });
+    overrideProps.push(t.objectProperty(
+      t.identifier('assertions'),
+      t.arrayExpression(assertionElements)
+    ));
+  }
+  
+  // checks
+  if (screen.checks) {
+    const checkProps = [];
+    
+    if (screen.checks.visible && screen.checks.visible.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('visible'),
+        t.arrayExpression(screen.checks.visible.map(v => t.stringLiteral(v)))
+      ));
+    }
+    
+    if (screen.checks.hidden && screen.checks.hidden.length > 0) {
+      checkProps.push(t.objectProperty(
+        t.identifier('hidden'),
+        t.arrayExpression(screen.checks.hidden.map(h => t.stringLiteral(h)))
+      ));
+    }
+    
+  if (screen.checks.text && Object.keys(screen.checks.text).length > 0) {
+      const textProps = Object.entries(screen.checks.text).map(([key, value]) =>
+        t.objectProperty(
+          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+          t.stringLiteral(String(value))
+        )
+      );
+      checkProps.push(t.objectProperty(
+        t.identifier('text'),
+        t.objectExpression(textProps)
+      ));
+    }
+    
+    if (screen.checks.contains && Object.keys(screen.checks.contains).length > 0) {
+      const containsProps = Object.entries(screen.checks.contains).map(([key, value]) =>
+        t.objectProperty(
+          /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+          t.stringLiteral(String(value))
+        )
+      );
+      checkProps.push(t.objectProperty(
+        t.identifier('contains'),
+        t.objectExpression(containsProps)
+      ));
+    }
+    
+    if (checkProps.length > 0) {
+      overrideProps.push(t.objectProperty(
+        t.identifier('checks'),
+        t.objectExpression(checkProps)
+      ));
+    }
+  }
+  
+  // ✅ Functions
+  if (screen.functions && Object.keys(screen.functions).length > 0) {
+    const functionProps = [];
+    
+    for (const [funcName, funcData] of Object.entries(screen.functions)) {
+      const funcObjectProps = [];
+      
+      // signature
+      if (funcData.signature) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('signature'),
+          t.stringLiteral(funcData.signature)
+        ));
+      }
+      
+      // parameters object
+      if (funcData.parameters && Object.keys(funcData.parameters).length > 0) {
+        const paramProps = Object.entries(funcData.parameters).map(([key, value]) =>
+          t.objectProperty(
+            t.identifier(key),
+            t.stringLiteral(String(value))
+          )
+        );
+        
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('parameters'),
+          t.objectExpression(paramProps)
+        ));
+      }
+      
+      // storeAs
+      if (funcData.storeAs) {
+        funcObjectProps.push(t.objectProperty(
+          t.identifier('storeAs'),
+          t.stringLiteral(funcData.storeAs)
+        ));
+      }
+      
+      functionProps.push(t.objectProperty(
+        t.identifier(funcName),
+        t.objectExpression(funcObjectProps)
+      ));
+    }
+    
+    overrideProps.push(t.objectProperty(
+      t.identifier('functions'),
+      t.objectExpression(functionProps)
+    ));
+    
+    console.log(`    ✨ Including functions for ${screenName}:`, Object.keys(screen.functions));
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ✅ NEW: BLOCKS ARRAY (for block-based validation)
+  // ═══════════════════════════════════════════════════════════
+  if (screen.blocks && Array.isArray(screen.blocks) && screen.blocks.length > 0) {
+    console.log(`    🧱 Including ${screen.blocks.length} blocks for ${screenName}`);
+    console.log('    🔍 DEBUG blocks data:', JSON.stringify(screen.blocks, null, 2));
+    
+    const blockElements = screen.blocks.map(block => {
+      const blockProps = [];
+      
+      // id
+      if (block.id) {
+        blockProps.push(t.objectProperty(
+          t.identifier('id'),
+          t.stringLiteral(block.id)
+        ));
+      }
+      
+      // type
+      if (block.type) {
+        blockProps.push(t.objectProperty(
+          t.identifier('type'),
+          t.stringLiteral(block.type)
+        ));
+      }
+      
+      // label
+      if (block.label) {
+        blockProps.push(t.objectProperty(
+          t.identifier('label'),
+          t.stringLiteral(block.label)
+        ));
+      }
+      
+      // order
+      if (block.order !== undefined) {
+        blockProps.push(t.objectProperty(
+          t.identifier('order'),
+          t.numericLiteral(block.order)
+        ));
+      }
+      
+      // expanded
+      if (block.expanded !== undefined) {
+        blockProps.push(t.objectProperty(
+          t.identifier('expanded'),
+          t.booleanLiteral(block.expanded)
+        ));
+      }
+      
+      // enabled
+      if (block.enabled !== undefined) {
+        blockProps.push(t.objectProperty(
+          t.identifier('enabled'),
+          t.booleanLiteral(block.enabled)
+        ));
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // Handle UI-ASSERTION block data
+      // ─────────────────────────────────────────────────────────
+      if (block.type === 'ui-assertion' && block.data) {
+        const dataProps = [];
+        
+        // visible array
+        if (block.data.visible && block.data.visible.length > 0) {
+          dataProps.push(t.objectProperty(
+            t.identifier('visible'),
+            t.arrayExpression(block.data.visible.map(v => t.stringLiteral(v)))
+          ));
+        }
+        
+        // hidden array
+        if (block.data.hidden && block.data.hidden.length > 0) {
+          dataProps.push(t.objectProperty(
+            t.identifier('hidden'),
+            t.arrayExpression(block.data.hidden.map(h => t.stringLiteral(h)))
+          ));
+        }
+        
+        // truthy array
+        if (block.data.truthy && block.data.truthy.length > 0) {
+          dataProps.push(t.objectProperty(
+            t.identifier('truthy'),
+            t.arrayExpression(block.data.truthy.map(tr => t.stringLiteral(tr)))
+          ));
+        }
+        
+        // falsy array
+        if (block.data.falsy && block.data.falsy.length > 0) {
+          dataProps.push(t.objectProperty(
+            t.identifier('falsy'),
+            t.arrayExpression(block.data.falsy.map(f => t.stringLiteral(f)))
+          ));
+        }
+        
+        // checks object
+        if (block.data.checks) {
+          const checksProps = [];
+          
+if (block.data.checks.text && Object.keys(block.data.checks.text).length > 0) {
+  const textProps = Object.entries(block.data.checks.text).map(([key, value]) =>
+    t.objectProperty(
+      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+      t.stringLiteral(String(value))
+    )
+  );
+            checksProps.push(t.objectProperty(
+              t.identifier('text'),
+              t.objectExpression(textProps)
+            ));
+          }
+          
+if (block.data.checks.contains && Object.keys(block.data.checks.contains).length > 0) {
+  const containsProps = Object.entries(block.data.checks.contains).map(([key, value]) =>
+    t.objectProperty(
+      /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? t.identifier(key) : t.stringLiteral(key),
+      t.stringLiteral(String(value))
+    )
+  );
+            checksProps.push(t.objectProperty(
+              t.identifier('contains'),
+              t.objectExpression(containsProps)
+            ));
+          }
+          
+          if (checksProps.length > 0) {
+            dataProps.push(t.objectProperty(
+              t.identifier('checks'),
+              t.objectExpression(checksProps)
+            ));
+          }
+        }
+        
+    // assertions array
+        if (block.data.assertions && block.data.assertions.length > 0) {
+          const assertionElements = block.data.assertions.map(assertion => {
+            const assertProps = [];
+            if (assertion.fn) assertProps.push(t.objectProperty(t.identifier('fn'), t.stringLiteral(assertion.fn)));
+            // ✅ type (locator or method)
+            if (assertion.type) assertProps.push(t.objectProperty(t.identifier('type'), t.stringLiteral(assertion.type)));
+            if (assertion.expect) assertProps.push(t.objectProperty(t.identifier('expect'), t.stringLiteral(assertion.expect)));
+            if (assertion.value !== undefined) {
+              assertProps.push(t.objectProperty(
+                t.identifier('value'),
+                typeof assertion.value === 'number' 
+                  ? t.numericLiteral(assertion.value)
+                  : typeof assertion.value === 'boolean'
+                    ? t.booleanLiteral(assertion.value)
+                    : t.stringLiteral(String(assertion.value))
+              ));
+            }
+            return t.objectExpression(assertProps);
+          });
+          dataProps.push(t.objectProperty(
+            t.identifier('assertions'),
+            t.arrayExpression(assertionElements)
+          ));
+        }
+        
+        // timeout
+        if (block.data.timeout) {
+          dataProps.push(t.objectProperty(
+            t.identifier('timeout'),
+            t.numericLiteral(block.data.timeout)
+          ));
+        }
+        
+        if (dataProps.length > 0) {
+          blockProps.push(t.objectProperty(
+            t.identifier('data'),
+            t.objectExpression(dataProps)
+          ));
+        }
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // Handle CUSTOM-CODE block
+      // ─────────────────────────────────────────────────────────
+      if (block.type === 'custom-code') {
+        if (block.code) {
+          blockProps.push(t.objectProperty(
+            t.identifier('code'),
+            t.stringLiteral(block.code)
+          ));
+        }
+        
+        if (block.wrapInTestStep !== undefined) {
+          blockProps.push(t.objectProperty(
+            t.identifier('wrapInTestStep'),
+            t.booleanLiteral(block.wrapInTestStep)
+          ));
+        }
+        
+        if (block.testStepName) {
+          blockProps.push(t.objectProperty(
+            t.identifier('testStepName'),
+            t.stringLiteral(block.testStepName)
+          ));
+        }
+      }
+
+      
+      
+      // ─────────────────────────────────────────────────────────
+      // Handle FUNCTION-CALL block
+      // ─────────────────────────────────────────────────────────
+      if (block.type === 'function-call' && block.data) {
+        const dataProps = [];
+        
+        if (block.data.instance) {
+          dataProps.push(t.objectProperty(
+            t.identifier('instance'),
+            t.stringLiteral(block.data.instance)
+          ));
+        }
+        
+        if (block.data.method) {
+          dataProps.push(t.objectProperty(
+            t.identifier('method'),
+            t.stringLiteral(block.data.method)
+          ));
+        }
+        
+        if (block.data.args && block.data.args.length > 0) {
+          dataProps.push(t.objectProperty(
+            t.identifier('args'),
+            t.arrayExpression(block.data.args.map(arg => 
+              typeof arg === 'number' ? t.numericLiteral(arg) : t.stringLiteral(String(arg))
+            ))
+          ));
+        }
+        
+        if (block.data.await !== undefined) {
+          dataProps.push(t.objectProperty(
+            t.identifier('await'),
+            t.booleanLiteral(block.data.await)
+          ));
+        }
+        
+        if (block.data.storeAs) {
+          dataProps.push(t.objectProperty(
+            t.identifier('storeAs'),
+            t.stringLiteral(block.data.storeAs)
+          ));
+        }
+        
+        if (dataProps.length > 0) {
+          blockProps.push(t.objectProperty(
+            t.identifier('data'),
+            t.objectExpression(dataProps)
+          ));
+        }
+      }
+      
+      return t.objectExpression(blockProps);
+    });
+    
+    overrideProps.push(t.objectProperty(
+      t.identifier('blocks'),
+      t.arrayExpression(blockElements)
+    ));
+  }
+
+  // ─────────────────────────────────────────────────────────
+// Handle DATA-ASSERTION block
+// ─────────────────────────────────────────────────────────
+if (block.type === 'data-assertion' && block.assertions) {
+  const assertionElements = block.assertions.map(assertion => {
+    const assertProps = [];
+    
+    if (assertion.left) {
+      assertProps.push(t.objectProperty(t.identifier('left'), t.stringLiteral(assertion.left)));
+    }
+    if (assertion.operator) {
+      assertProps.push(t.objectProperty(t.identifier('operator'), t.stringLiteral(assertion.operator)));
+    }
+    if (assertion.right !== undefined) {
+      assertProps.push(t.objectProperty(
+        t.identifier('right'),
+        typeof assertion.right === 'number' ? t.numericLiteral(assertion.right) :
+        typeof assertion.right === 'boolean' ? t.booleanLiteral(assertion.right) :
+        t.stringLiteral(String(assertion.right))
+      ));
+    }
+    if (assertion.message) {
+      assertProps.push(t.objectProperty(t.identifier('message'), t.stringLiteral(assertion.message)));
+    }
+    
+    return t.objectExpression(assertProps);
+  });
+  
+  blockProps.push(t.objectProperty(
+    t.identifier('assertions'),
+    t.arrayExpression(assertionElements)
+  ));
+}
+  // ═══════════════════════════════════════════════════════════
+  // END BLOCKS SUPPORT
+  // ═══════════════════════════════════════════════════════════
+
+  // ✨ prerequisites (preserved from original AST)
+  if (screen._originalPrerequisites) {
+    console.log('    📦 Including preserved prerequisites');
+    overrideProps.push(t.objectProperty(
+      t.identifier('prerequisites'),
+      screen._originalPrerequisites // AST node from original file
+    ));
+  }
+  
+  // ✨ expect (preserved from original AST)
+  if (screen._originalExpect) {
+    console.log('    📦 Including preserved expect function');
+    overrideProps.push(t.objectProperty(
+      t.identifier('expect'),
+      screen._originalExpect // AST node from original file
+    ));
+  }
+  
+  // ✅ Build: ImplicationHelper.mergeWithBase(base, overrides, options)
+  return t.callExpression(
+    t.memberExpression(
+      t.identifier('ImplicationHelper'),
+      t.identifier('mergeWithBase')
+    ),
+    [
+      // First arg: BaseBookingImplications.platform.screenName
+      t.memberExpression(
+        t.memberExpression(
+          t.identifier('BaseBookingImplications'),
+          t.identifier(platformName)
+        ),
+        t.identifier(screenName)
+      ),
+      // Second arg: override object
+      t.objectExpression(overrideProps),
+      // Third arg: { parentClass: AcceptedBookingImplications }
+      t.objectExpression([
+        t.objectProperty(
+          t.identifier('parentClass'),
+          t.identifier(className)
+        )
+      ])
+    ]
+  );
+}
+
+/**
+ * Replace mirrorsOn.UI with the edited UI data, keeping untouched
+ * platforms and screens as they were in the original source.
+ * Returns false if the file has no mirrorsOn.UI.
+ */
+export function replaceUIInAST(ast, uiData, originalContent, className) {
+  let uiProp = null;
+
+  traverse(ast, {
+    ClassProperty(path) {
+      if (path.node.key?.name !== 'mirrorsOn' || !path.node.static) return;
+      if (!t.isObjectExpression(path.node.value)) return;
+
+      uiProp = path.node.value.properties.find(
+        p => t.isObjectProperty(p) && p.key.name === 'UI' && t.isObjectExpression(p.value)
+      ) || null;
+    }
+  });
+
+  if (!uiProp) return false;
+
+  uiProp.value = buildSmartUIAst(uiData, uiProp.value, originalContent, className);
+  console.log('✅ Updated mirrorsOn.UI with smart preservation');
+  return true;
+}
@@ -2,10 +2,15 @@
 
 import path from 'path';
 import fs from 'fs';
+import { fileURLToPath } from 'url';
 import TemplateEngine from './TemplateEngine.js';
 import { pascalCaseHelper } from './templateHelpers.js';
 import Handlebars from 'handlebars';
 
+// Create __dirname equivalent for ES6 modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 Handlebars.registerHelper('pascalCase', pascalCaseHelper);
 Handlebars.registerHelper('capitalize', (str) => {
   if (!str) return '';
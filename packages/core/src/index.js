@@ -4,4 +4,5 @@ export * from './utils/index.js';
 export * from './patterns/implications.js';
 export * from './patterns/sections.js';
 export * from './patterns/screens.js';
-export { StateRegistry } from './registry/StateRegistry.js';
\ No newline at end of file
+export { StateRegistry } from './registry/StateRegistry.js';
+export { ImplicationEditor } from './editor/ImplicationEditor.js';
@@ -20,14 +20,19 @@ export function isImplication(parsed) {
  * Extract metadata from an Implication class
  * NOW ASYNC to support async UI extraction
  */
-export async function extractImplicationMetadata(parsed, extractXStateMetadata = null, extractUIImplications = null, extractXStateContext = null) {
+export async function extractImplicationMetadata(parsed, extractXStateMetadata = null, extractUIImplications = null, extractXStateContext = null, extractScenarios = null) {
   const metadata = {
     className: null,
     isStateful: false,
+    isStateless: false,
     hasXStateConfig: false,
     hasMirrorsOn: false,
+    hasScenarios: false,
     pattern: null,
     
+    // ✅ Stateless (CMS) modules: static SCENARIOS = { NAME: data }
+    scenarios: {},
+    
     // Fields from xstateConfig.meta
     status: null,
     triggerAction: null,
@@ -132,6 +137,23 @@ export async function extractImplicationMetadata(parsed, extractXStateMetadata =
     }
   }
   
+  // Check for SCENARIOS (stateless CMS pattern)
+  const hasScenarios = implClass.staticProperties.some(p => p.name === 'SCENARIOS');
+  if (hasScenarios) {
+    metadata.hasScenarios = true;
+    
+    if (parsed.content && extractScenarios) {
+      metadata.scenarios = extractScenarios(parsed.content);
+    }
+  }
+  
+  // ✅ No xstateConfig: a module that generates data, not a state machine.
+  // Analysis and the visualizer treat these separately.
+  if (!metadata.hasXStateConfig && (metadata.hasScenarios || metadata.hasMirrorsOn)) {
+    metadata.isStateless = true;
+    metadata.pattern = metadata.pattern || 'cms';
+  }
+  
   return metadata;
 }
 
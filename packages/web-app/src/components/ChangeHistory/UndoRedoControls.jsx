@@ -0,0 +1,116 @@
+// packages/web-app/src/components/ChangeHistory/UndoRedoControls.jsx
+
+import { useState, useEffect } from 'react';
+import { defaultTheme } from '../../config/visualizerTheme';
+import { useChangeHistory } from '../../hooks/useChangeHistory';
+
+/**
+ * Undo / redo buttons plus a dropdown with the recorded change history.
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z redoes (outside of text inputs).
+ */
+export default function UndoRedoControls({ projectPath, refreshKey, onChange, theme = defaultTheme }) {
+  const { undoStack, redoStack, busy, error, undo, redo } = useChangeHistory(projectPath, refreshKey);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const run = async (action) => {
+    const result = await action();
+    if (result) onChange?.(result);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+      e.preventDefault();
+      if (busy) return;
+      if (e.shiftKey) {
+        if (redoStack.length > 0) run(redo);
+      } else if (undoStack.length > 0) {
+        run(undo);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoStack, redoStack, busy]);
+
+  const nextUndo = undoStack[0];
+  const nextRedo = redoStack[0];
+
+  return (
+    <div className="relative flex gap-2">
+      <button
+        onClick={() => run(undo)}
+        disabled={!nextUndo || busy}
+        title={nextUndo ? `Undo: ${nextUndo.summary}` : 'Nothing to undo'}
+        style={{ opacity: nextUndo && !busy ? 1 : 0.5 }}
+      >
+        <span>↩️</span> Undo
+      </button>
+      <button
+        onClick={() => run(redo)}
+        disabled={!nextRedo || busy}
+        title={nextRedo ? `Redo: ${nextRedo.summary}` : 'Nothing to redo'}
+        style={{ opacity: nextRedo && !busy ? 1 : 0.5 }}
+      >
+        <span>↪️</span> Redo
+      </button>
+      <button
+        onClick={() => setShowHistory(!showHistory)}
+        title="Change history"
+      >
+        <span>🕘</span> {undoStack.length}
+      </button>
+
+      {showHistory && (
+        <div
+          className="absolute right-0 top-full mt-2 z-20 w-96 max-h-96 overflow-y-auto rounded-lg shadow-xl p-3 text-sm"
+          style={{
+            background: theme.colors.background.secondary,
+            border: `1px solid ${theme.colors.border}`,
+            color: theme.colors.text.primary
+          }}
+        >
+          {error && (
+            <div className="mb-2" style={{ color: theme.colors.accents.red }}>
+              ❌ {error}
+            </div>
+          )}
+
+          {undoStack.length === 0 && redoStack.length === 0 && (
+            <div style={{ color: theme.colors.text.tertiary }}>No recorded changes yet</div>
+          )}
+
+          {redoStack.slice().reverse().map(entry => (
+            <HistoryEntry key={entry.id} entry={entry} undone theme={theme} />
+          ))}
+          {undoStack.map(entry => (
+            <HistoryEntry key={entry.id} entry={entry} theme={theme} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HistoryEntry({ entry, undone = false, theme }) {
+  return (
+    <div
+      className="py-2 border-b"
+      style={{ borderColor: theme.colors.border, opacity: undone ? 0.5 : 1 }}
+    >
+      <div className="font-semibold">
+        {undone ? '↪️' : '✅'} {entry.summary}
+      </div>
+      <div style={{ color: theme.colors.text.tertiary }}>
+        {entry.endpoint} · {entry.author} · {new Date(entry.timestamp).toLocaleString()}
+      </div>
+      {entry.files.map(file => (
+        <div key={file.path} className="font-mono text-xs" style={{ color: theme.colors.text.secondary }}>
+          {file.change === 'created' ? '+' : file.change === 'deleted' ? '-' : '~'} {file.path}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+// packages/web-app/src/components/DiffReview/DiffReviewDialog.jsx
+
+import { useState, useCallback } from 'react';
+import { defaultTheme } from '../../config/visualizerTheme';
+
+/**
+ * Ask the API for a dry-run of a source-rewriting request, show the
+ * unified diffs and resolve to true only if the user applies them.
+ *
+ *   const { reviewChanges, dialogProps } = useDiffReview();
+ *   if (!(await reviewChanges('Save UI', url, body))) return;
+ *   await fetch(url, ...)            // the real write
+ *   ...
+ *   <DiffReviewDialog {...dialogProps} />
+ */
+export function useDiffReview() {
+  const [review, setReview] = useState(null);
+
+  const reviewChanges = useCallback(async (title, url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, preview: true })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Preview failed');
+    }
+
+    const diffs = (result.diffs || []).filter(d => !d.unchanged);
+    if (diffs.length === 0) {
+      return true;
+    }
+
+    return new Promise(resolve => {
+      setReview({ title, diffs, resolve });
+    });
+  }, []);
+
+  const close = (approved) => {
+    review?.resolve(approved);
+    setReview(null);
+  };
+
+  return {
+    reviewChanges,
+    dialogProps: {
+      isOpen: !!review,
+      title: review?.title,
+      diffs: review?.diffs || [],
+      onApply: () => close(true),
+      onCancel: () => close(false)
+    }
+  };
+}
+
+function lineColor(line, theme) {
+  if (line.startsWith('+++') || line.startsWith('---')) return theme.colors.text.secondary;
+  if (line.startsWith('+')) return theme.colors.accents.green;
+  if (line.startsWith('-')) return theme.colors.accents.red;
+  if (line.startsWith('@@')) return theme.colors.accents.blue;
+  return theme.colors.text.tertiary;
+}
+
+export default function DiffReviewDialog({ isOpen, title, diffs, onApply, onCancel, theme = defaultTheme }) {
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center p-4"
+      style={{ background: 'rgba(0,0,0,0.7)', zIndex: 100001 }}
+      onClick={onCancel}
+    >
+      <div
+        className="w-full max-w-5xl max-h-[90vh] flex flex-col rounded-xl shadow-2xl"
+        style={{
+          background: theme.colors.background.primary,
+          border: `2px solid ${theme.colors.accents.blue}`
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b" style={{ borderColor: theme.colors.border }}>
+          <h2 className="text-xl font-bold" style={{ color: theme.colors.accents.blue }}>
+            🔎 Review changes{title ? `: ${title}` : ''}
+          </h2>
+          <p className="text-sm mt-1" style={{ color: theme.colors.text.tertiary }}>
+            {diffs.length} file(s) will be modified. Nothing has been written yet.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {diffs.map(file => (
+            <div
+              key={file.filePath}
+              className="rounded-lg overflow-hidden"
+              style={{ border: `1px solid ${theme.colors.border}` }}
+            >
+              <div
+                className="px-3 py-2 font-mono text-sm font-semibold"
+                style={{ background: theme.colors.background.tertiary, color: theme.colors.text.primary }}
+              >
+                {file.change === 'created' ? '➕' : file.change === 'deleted' ? '🗑️' : '✏️'} {file.path}
+              </div>
+              <pre
+                className="p-3 text-xs overflow-x-auto"
+                style={{ background: theme.colors.background.secondary, margin: 0 }}
+              >
+                {file.diff.split('\n').filter(line => !line.startsWith('====')).map((line, i) => (
+                  <div key={i} style={{ color: lineColor(line, theme) }}>{line || ' '}</div>
+                ))}
+              </pre>
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t flex justify-end gap-3" style={{ borderColor: theme.colors.border }}>
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg font-semibold transition hover:brightness-110"
+            style={{ background: theme.colors.background.tertiary, color: theme.colors.text.primary }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onApply}
+            className="px-4 py-2 rounded-lg font-semibold transition hover:brightness-110"
+            style={{ background: theme.colors.accents.green, color: 'white' }}
+          >
+            ✅ Apply Changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
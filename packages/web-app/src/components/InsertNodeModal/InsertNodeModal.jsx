@@ -3,6 +3,7 @@
 
 import { useState, useEffect, useMemo } from 'react';
 import { defaultTheme } from '../../config/visualizerTheme';
+import DiffReviewDialog, { useDiffReview } from '../DiffReview/DiffReviewDialog';
 
 const API_URL = 'http://localhost:3000';
 
@@ -32,6 +33,7 @@ export default function InsertNodeModal({
   // UI state
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const { reviewChanges, dialogProps: diffReviewProps } = useDiffReview();
 
   // Available platforms from config
   const availablePlatforms = ['web', 'dancer', 'manager'];
@@ -120,20 +122,25 @@ export default function InsertNodeModal({
     try {
       console.log('🔗 Inserting node between edges...');
       
-      const response = await fetch(`${API_URL}/api/implications/graph/insert-node`, {
+      const url = `${API_URL}/api/implications/graph/insert-node`;
+      const body = {
+        projectPath,
+        sourceState,
+        targetState,
+        insertState: selectedNode,
+        originalEvent,
+        keepEventOn,
+        newEventName,
+        platforms: selectedPlatforms,
+        copyActionDetails
+      };
+
+      if (!(await reviewChanges(`Insert ${selectedNode}`, url, body))) return;
+
+      const response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          projectPath,
-          sourceState,
-          targetState,
-          insertState: selectedNode,
-          originalEvent,
-          keepEventOn,
-          newEventName,
-          platforms: selectedPlatforms,
-          copyActionDetails
-        })
+        body: JSON.stringify(body)
       });
 
       const result = await response.json();
@@ -175,6 +182,7 @@ export default function InsertNodeModal({
   if (!isOpen) return null;
 
   return (
+    <>
     <div 
       className="fixed inset-0 z-50 flex items-center justify-center p-4"
       style={{ background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)' }}
@@ -671,5 +679,8 @@ export default function InsertNodeModal({
         </form>
       </div>
     </div>
+
+    <DiffReviewDialog {...diffReviewProps} theme={theme} />
+    </>
   );
 }
\ No newline at end of file
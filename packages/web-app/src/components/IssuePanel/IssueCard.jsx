@@ -2,11 +2,16 @@
 
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import DiffReviewDialog, { useDiffReview } from '../DiffReview/DiffReviewDialog';
+
+// Suggestion actions handled by the fix engine (POST /api/analysis/fix)
+export const FIX_ENGINE_ACTIONS = ['add-transition', 'remove-transition', 'mark-terminal', 'mark-initial', 'copy-from-similar'];
 
 export default function IssueCard({ issue, theme, onActionComplete }) {
   const [expanded, setExpanded] = useState(false);
   const [executing, setExecuting] = useState(false);
   const navigate = useNavigate();
+  const { reviewChanges, dialogProps: diffReviewProps } = useDiffReview();
   
   // Handle suggestion click
   const handleSuggestionClick = async (suggestion) => {
@@ -15,6 +20,12 @@ export default function IssueCard({ issue, theme, onActionComplete }) {
     try {
       console.log('🔧 Executing suggestion:', suggestion.action, suggestion.data);
       
+      if (suggestion.autoFixable && issue.id && FIX_ENGINE_ACTIONS.includes(suggestion.action)) {
+        await handleAutoFix(suggestion);
+        onActionComplete?.(suggestion.action);
+        return;
+      }
+      
       switch (suggestion.action) {
         // Config mutations
         case 'add-mapping':
@@ -72,6 +83,34 @@ export default function IssueCard({ issue, theme, onActionComplete }) {
     }
   };
   
+  // Apply an auto-fixable suggestion through the fix engine (diff review first)
+  const handleAutoFix = async (suggestion) => {
+    const url = 'http://localhost:3000/api/analysis/fix';
+    const body = {
+      projectPath: localStorage.getItem('lastProjectPath'),
+      issueId: issue.id,
+      action: suggestion.action
+    };
+    
+    if (!(await reviewChanges(suggestion.title, url, body))) {
+      throw new Error('Cancelled');
+    }
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+    
+    const result = await response.json();
+    console.log('✅ API response:', result);
+  };
+  
   // Add custom mapping to config
   const handleAddMapping = async (data) => {
     const { targetName, suggestedMapping } = data;
@@ -381,6 +420,8 @@ const handleUseBaseDirectly = async (data) => {
           )}
         </div>
       )}
+      
+      <DiffReviewDialog {...diffReviewProps} theme={theme} />
     </div>
   );
 }
\ No newline at end of file
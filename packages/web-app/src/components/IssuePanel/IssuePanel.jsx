@@ -1,11 +1,14 @@
 // packages/web-app/src/components/IssuePanel/IssuePanel.jsx
 
 import { useState } from 'react';
-import IssueCard from './IssueCard';
+import IssueCard, { FIX_ENGINE_ACTIONS } from './IssueCard';
+import DiffReviewDialog, { useDiffReview } from '../DiffReview/DiffReviewDialog';
 
 export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefresh }) {
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [fixingAll, setFixingAll] = useState(false);
+  const { reviewChanges, dialogProps: diffReviewProps } = useDiffReview();
   
   if (!analysisResult || !analysisResult.issues) {
     return null;
@@ -13,6 +16,10 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
   
   const { issues, summary } = analysisResult;
   
+  const fixableCount = issues.filter(issue =>
+    issue.suggestions?.some(s => s.autoFixable && FIX_ENGINE_ACTIONS.includes(s.action))
+  ).length;
+  
   // Filter issues
   const filteredIssues = issues.filter(issue => {
     // Filter by severity
@@ -33,9 +40,44 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
     return true;
   });
 
+  // Fix every auto-fixable issue in one reviewed changeset
+  const handleFixAll = async () => {
+    const url = 'http://localhost:3000/api/analysis/fix';
+    const body = { projectPath: localStorage.getItem('lastProjectPath') };
+    
+    setFixingAll(true);
+    try {
+      if (!(await reviewChanges(`Auto-fix ${fixableCount} issue(s)`, url, body))) return;
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      
+      const skipped = result.results.filter(r => r.status === 'skipped');
+      if (skipped.length > 0) {
+        alert(`Skipped ${skipped.length} issue(s):\n\n` + skipped.map(r => `• ${r.stateName}: ${r.reason}`).join('\n'));
+      }
+      
+      handleActionComplete('fix-all');
+    } catch (error) {
+      console.error('❌ Auto-fix failed:', error);
+      alert(`Failed: ${error.message}`);
+    } finally {
+      setFixingAll(false);
+    }
+  };
+  
   // Handle action complete
   const handleActionComplete = (action) => {
     console.log('✅ Action completed:', action);
+    onRefresh?.();
     
     // Show notification
     const notification = document.createElement('div');
@@ -51,7 +93,7 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
       z-index: 9999;
       box-shadow: 0 4px 12px rgba(0,0,0,0.3);
     `;
-    notification.textContent = '✅ Fix applied! Re-scan to see changes.';
+    notification.textContent = onRefresh ? '✅ Fix applied!' : '✅ Fix applied! Re-scan to see changes.';
     document.body.appendChild(notification);
     
     setTimeout(() => {
@@ -77,6 +119,7 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
             </h2>
             <p className="text-sm" style={{ color: theme.colors.text.tertiary }}>
               Analysis found {summary.totalIssues || summary.total || 0} issue{(summary.totalIssues || summary.total) !== 1 ? 's' : ''} in your implications
+              {summary.suppressedCount > 0 && ` (${summary.suppressedCount} suppressed by implications-disable comments)`}
             </p>
           </div>
           
@@ -172,8 +215,19 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
         </div>
         
         {/* Results Count */}
-        <div className="mt-3 text-sm" style={{ color: theme.colors.text.tertiary }}>
-          Showing {filteredIssues.length} of {issues.length} issues
+        <div className="mt-3 flex items-center justify-between text-sm" style={{ color: theme.colors.text.tertiary }}>
+          <span>Showing {filteredIssues.length} of {issues.length} issues</span>
+          
+          {fixableCount > 0 && (
+            <button
+              onClick={handleFixAll}
+              disabled={fixingAll}
+              className="px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50 hover:brightness-110"
+              style={{ background: theme.colors.accents.blue, color: '#fff' }}
+            >
+              {fixingAll ? '⏳ Fixing...' : `⚡ Auto-fix ${fixableCount} issue${fixableCount !== 1 ? 's' : ''}`}
+            </button>
+          )}
         </div>
       </div>
       
@@ -205,6 +259,8 @@ export default function IssuePanel({ analysisResult, theme, onIssueClick, onRefr
           </div>
         )}
       </div>
+      
+      <DiffReviewDialog {...diffReviewProps} theme={theme} />
     </div>
   );
 }
\ No newline at end of file
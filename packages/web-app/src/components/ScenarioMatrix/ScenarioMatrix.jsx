@@ -0,0 +1,123 @@
+// packages/web-app/src/components/ScenarioMatrix/ScenarioMatrix.jsx
+
+import { useState, useMemo } from 'react';
+import { defaultTheme } from '../../config/visualizerTheme';
+
+/**
+ * Stateless (CMS) implications as a module × scenario matrix: one row per
+ * module, one column per scenario name, plus the mirrorsOn platforms each
+ * module is checked on. Click a cell to see the scenario data.
+ */
+export default function ScenarioMatrix({ implications = [], theme = defaultTheme }) {
+  const [selected, setSelected] = useState(null); // { className, scenario }
+
+  const modules = useMemo(() => implications
+    .map(imp => ({
+      className: imp.metadata.className,
+      path: imp.path,
+      scenarios: imp.metadata.scenarios || {},
+      platforms: Object.keys(imp.metadata.uiCoverage?.platforms || {})
+    }))
+    .sort((a, b) => a.className.localeCompare(b.className)), [implications]);
+
+  const scenarioNames = useMemo(() => {
+    const names = new Set();
+    modules.forEach(module => Object.keys(module.scenarios).forEach(name => names.add(name)));
+    return [...names];
+  }, [modules]);
+
+  if (modules.length === 0) {
+    return null;
+  }
+
+  const selectedData = selected
+    ? modules.find(m => m.className === selected.className)?.scenarios[selected.scenario]
+    : null;
+
+  const cellStyle = {
+    padding: '8px 12px',
+    borderBottom: `1px solid ${theme.colors.border}`,
+    textAlign: 'center'
+  };
+
+  return (
+    <div className="glass-light p-4 rounded-xl border" style={{ borderColor: theme.colors.border }}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold" style={{ color: theme.colors.text.primary }}>
+          🧩 CMS Modules × Scenarios
+        </h3>
+        <span className="text-xs" style={{ color: theme.colors.text.tertiary }}>
+          {modules.length} module(s), {scenarioNames.length} scenario(s)
+        </span>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ color: theme.colors.text.tertiary }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Module</th>
+              {scenarioNames.map(name => (
+                <th key={name} style={cellStyle}>{name}</th>
+              ))}
+              <th style={cellStyle}>Checked On</th>
+            </tr>
+          </thead>
+          <tbody>
+            {modules.map(module => (
+              <tr key={module.className} style={{ color: theme.colors.text.secondary }}>
+                <td style={{ ...cellStyle, textAlign: 'left' }} title={module.path}>
+                  <span style={{ color: theme.colors.text.primary, fontWeight: 600 }}>{module.className}</span>
+                </td>
+
+                {scenarioNames.map(name => {
+                  const data = module.scenarios[name];
+                  const isSelected = selected?.className === module.className && selected?.scenario === name;
+
+                  if (!data) {
+                    return (
+                      <td key={name} style={{ ...cellStyle, color: theme.colors.text.tertiary }}>—</td>
+                    );
+                  }
+
+                  const fields = typeof data === 'object' ? Object.keys(data) : [];
+                  return (
+                    <td
+                      key={name}
+                      onClick={() => setSelected(isSelected ? null : { className: module.className, scenario: name })}
+                      title={fields.join(', ')}
+                      style={{
+                        ...cellStyle,
+                        cursor: 'pointer',
+                        color: theme.colors.accents.green,
+                        background: isSelected ? `${theme.colors.accents.green}20` : 'transparent'
+                      }}
+                    >
+                      ✓ <span style={{ color: theme.colors.text.tertiary }}>{fields.length} fields</span>
+                    </td>
+                  );
+                })}
+
+                <td style={cellStyle}>
+                  {module.platforms.length > 0
+                    ? module.platforms.join(', ')
+                    : <span style={{ color: theme.colors.accents.yellow }}>⚠️ none</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedData && (
+        <div className="mt-3 p-3 rounded-lg" style={{ background: theme.colors.background.secondary }}>
+          <div className="text-xs mb-2" style={{ color: theme.colors.text.tertiary }}>
+            {selected.className} · {selected.scenario}
+          </div>
+          <pre className="text-xs" style={{ color: theme.colors.text.secondary, whiteSpace: 'pre-wrap' }}>
+            {JSON.stringify(selectedData, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
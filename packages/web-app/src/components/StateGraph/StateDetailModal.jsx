@@ -23,6 +23,7 @@ import PathDataFlowPanel from './PathDataFlowPanel';
 import NotesSection from '../Notes/NotesSection';
 import { useNotes } from '../../hooks/useNotes';
 import TransitionsPanel from './TransitionsPanel';
+import DiffReviewDialog, { useDiffReview } from '../DiffReview/DiffReviewDialog';
 
 import
  
@@ -75,9 +76,14 @@ export default function StateDetailModal({
   theme = defaultTheme, 
   projectPath,
   discoveryResult,
-  loadedTestData  // ← ADD THIS
+  loadedTestData,  // ← ADD THIS
+  externalChange = null,  // { at } when the implication file changed on disk while open
+  trackOwnWrite = (filePath, write) => write()  // lets live mode tell our saves from outside edits
 }) {
 
+  // Diff review before source rewrites
+  const { reviewChanges, dialogProps: diffReviewProps } = useDiffReview();
+
   // Edit mode state
   const [editedScreens, setEditedScreens] = useState(new Set());
   const [isEditMode, setIsEditMode] = useState(false);
@@ -868,6 +874,118 @@ const handleDeleteIncomingTransition = async (transition, sourceFile) => {
   }
 };
 
+const handleRenameState = async () => {
+  const currentId = state.meta?.xstateConfig?.id || state.name;
+  const newName = window.prompt(
+    'Rename state to (snake_case id). Targets, setup entries, specs, notes, locks and layout are updated too.',
+    currentId
+  );
+
+  if (!newName || newName.trim() === currentId) return;
+
+  const renameUrl = 'http://localhost:3000/api/implications/rename-state';
+  const renameBody = {
+    projectPath,
+    filePath: state.files.implication,
+    newName: newName.trim()
+  };
+
+  try {
+    if (!(await reviewChanges(`Rename ${currentId} → ${newName.trim()}`, renameUrl, renameBody))) return;
+
+    const response = await fetch(renameUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(renameBody)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to rename state');
+    }
+
+    // Keep the node where the user placed it
+    const layoutKey = `graphLayout:${projectPath || 'default'}`;
+    const savedLayout = JSON.parse(localStorage.getItem(layoutKey) || 'null');
+    const { from, to } = result.nodeIds;
+    if (savedLayout?.positions?.[from] && from !== to) {
+      savedLayout.positions[to] = savedLayout.positions[from];
+      delete savedLayout.positions[from];
+      localStorage.setItem(layoutKey, JSON.stringify(savedLayout));
+    }
+
+    if (window.refreshDiscovery) {
+      await window.refreshDiscovery();
+    }
+
+    const unresolved = result.unresolved.map(ref => `  ${ref.path}${ref.line ? `:${ref.line}` : ''}  ${ref.text}`);
+    alert(
+      `✅ Renamed ${result.oldId} → ${result.newId} ` +
+      `(${result.updatedFiles.length} file(s) updated, ${result.renamedFiles.length} renamed)` +
+      (unresolved.length > 0 ? `\n\n⚠️ Review these references manually:\n${unresolved.join('\n')}` : '')
+    );
+    onClose();
+
+  } catch (error) {
+    console.error('❌ Rename failed:', error);
+    alert(`❌ Failed to rename state: ${error.message}`);
+  }
+};
+
+const handleRenameEvent = async (transition, sourceFile) => {
+  const newEvent = window.prompt(
+    `Rename event "${transition.event}" to (setup entries, spec files, locks and notes are updated too):`,
+    transition.event
+  );
+
+  if (!newEvent || newEvent.trim() === transition.event) return;
+
+  const renameUrl = 'http://localhost:3000/api/implications/rename-event';
+  const renameBody = {
+    projectPath,
+    filePath: sourceFile,
+    event: transition.event,
+    newEvent: newEvent.trim()
+  };
+
+  try {
+    if (!(await reviewChanges(`Rename ${transition.event} → ${newEvent.trim()}`, renameUrl, renameBody))) return;
+
+    const response = await fetch(renameUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(renameBody)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to rename event');
+    }
+
+    setEditedState(prev => prev && ({
+      ...prev,
+      transitions: prev.transitions.map(t =>
+        t.event === transition.event ? { ...t, event: result.newEvent } : t
+      )
+    }));
+
+    if (window.refreshDiscovery) {
+      await window.refreshDiscovery();
+    }
+
+    const unresolved = result.unresolved.map(ref => `  ${ref.path}${ref.line ? `:${ref.line}` : ''}  ${ref.text}`);
+    alert(
+      `✅ Renamed ${result.oldEvent} → ${result.newEvent} ` +
+      `(${result.updatedFiles.length} file(s) updated, ${result.renamedFiles.length} renamed)` +
+      (unresolved.length > 0 ? `\n\n⚠️ Review these references manually:\n${unresolved.join('\n')}` : '')
+    );
+
+  } catch (error) {
+    console.error('❌ Rename failed:', error);
+    alert(`❌ Failed to rename event: ${error.message}`);
+  }
+};
+
   const handleTagChange = (field, value) => {
   setTagsData(prev => ({ ...prev, [field]: value }));
   setTagsChanges(prev => ({ ...prev, [field]: value }));
@@ -1016,6 +1134,17 @@ const handleTransitionSubmit = async (transitionData) => {
   // ========================================
 
 const handleSave = async () => {
+  if (externalChange && !window.confirm(
+    'This file was changed outside the Visualizer since you opened it.\n\n' +
+    'Saving will write your edits on top of the current file on disk. Continue?'
+  )) {
+    return;
+  }
+
+  await trackOwnWrite(state.files.implication, saveChanges);
+};
+
+const saveChanges = async () => {
   setIsSaving(true);
   
   try {
@@ -1049,13 +1178,14 @@ const handleSave = async () => {
     if (Object.keys(tagsChanges).length > 0) {
       console.log('🏷️ Saving tags changes...');
       
-      const tagsResponse = await fetch('http://localhost:3000/api/implications/update-tags', {
+      const tagsUrl = 'http://localhost:3000/api/implications/update-tags';
+      const tagsBody = { filePath: state.files.implication, tags: tagsData };
+      if (!(await reviewChanges('Update tags', tagsUrl, tagsBody))) return;
+
+      const tagsResponse = await fetch(tagsUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          filePath: state.files.implication,
-          tags: tagsData
-        })
+        body: JSON.stringify(tagsBody)
       });
       
       if (!tagsResponse.ok) {
@@ -1090,13 +1220,14 @@ if (entityChanges) {
     if (Object.keys(contextChanges).length > 0) {
       console.log('2️⃣ Saving context changes...');
       
-      const contextResponse = await fetch('http://localhost:3000/api/implications/update-context', {
+      const contextUrl = 'http://localhost:3000/api/implications/update-context';
+      const contextBody = { filePath: state.files.implication, contextUpdates: contextChanges };
+      if (!(await reviewChanges('Update context', contextUrl, contextBody))) return;
+
+      const contextResponse = await fetch(contextUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          filePath: state.files.implication,
-          contextUpdates: contextChanges
-        })
+        body: JSON.stringify(contextBody)
       });
       
       if (!contextResponse.ok) {
@@ -1171,13 +1302,14 @@ if (entityChanges) {
 
     console.log('✅ Filtered UI:', filteredUI);
       
-      const response = await fetch('http://localhost:3000/api/implications/update-ui', {
+      const uiUrl = 'http://localhost:3000/api/implications/update-ui';
+      const uiBody = { filePath: state.files.implication, uiData: filteredUI };
+      if (!(await reviewChanges('Update UI screens', uiUrl, uiBody))) return;
+
+      const response = await fetch(uiUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          filePath: state.files.implication,
-          uiData: filteredUI
-        })
+        body: JSON.stringify(uiBody)
       });
 
       if (!response.ok) {
@@ -1315,6 +1447,19 @@ if (entityChanges) {
               >
                 {isEditMode ? '❌ Cancel Edit' : '✏️ Edit State'}
               </button>
+
+              {!isEditMode && state?.files?.implication && (
+                <button
+                  onClick={handleRenameState}
+                  className="px-4 py-2 rounded-lg font-semibold transition hover:brightness-110"
+                  style={{
+                    background: theme.colors.background.tertiary,
+                    color: theme.colors.text.primary
+                  }}
+                >
+                  🏷️ Rename
+                </button>
+              )}
               
               {isEditMode && (
                 <button
@@ -1344,6 +1489,23 @@ if (entityChanges) {
                 </span>
               )}
             </div>
+
+            {externalChange && (
+              <div
+                className="mt-4 p-3 rounded-lg text-sm"
+                style={{
+                  background: `${theme.colors.accents.yellow}20`,
+                  border: `1px solid ${theme.colors.accents.yellow}`,
+                  color: theme.colors.text.primary
+                }}
+              >
+                ⚠️ {state.files?.implication?.split('/').pop()} was modified outside the Visualizer
+                at {new Date(externalChange.at).toLocaleTimeString()}.
+                {isEditMode
+                  ? ' Cancel and reopen the state to see the latest version before saving.'
+                  : ' Reopen the state to see the latest version.'}
+              </div>
+            )}
           </div>
 
           {/* CONTENT */}
@@ -1408,6 +1570,7 @@ if (entityChanges) {
       handleRemoveTransition(index);
     }
   }}
+  onRenameEvent={handleRenameEvent}
   onAddTransition={handleAddTransition}
 />
 
@@ -1933,6 +2096,7 @@ if (entityChanges) {
   />
 )}
 
+      <DiffReviewDialog {...diffReviewProps} theme={theme} />
     </>
   );
 }
@@ -233,9 +233,11 @@ export default function StateGraph({
   transitionMode = { enabled: false, source: null },  // ← ADD DEFAULT
   onEdgeClick,           // ← NEW: Handle edge clicks for insert node
   editMode = false,      // ← NEW: Enable edit mode for edge clicking
+  preserveViewport = false, // Keep positions/zoom/pan across rebuilds (live updates)
 }) {
   const containerRef = useRef(null);
   const cyRef = useRef(null);
+  const viewportRef = useRef(null);
   const tagGroupsRef = useRef({});
   const debounceRef = useRef(null);
 
@@ -674,7 +676,10 @@ if (Object.keys(tagGroups).length > 0) {
     // LAYOUT: Try saved positions first, else dagre
     // ========================================
     const savedPositions = loadLayoutFromStorage(projectPath);
-    const hasAppliedSaved = savedPositions ? applyLayoutToGraph(cy, savedPositions) : false;
+    const previousViewport = preserveViewport ? viewportRef.current : null;
+    const hasAppliedSaved = previousViewport
+      ? applyLayoutToGraph(cy, { positions: { ...savedPositions?.positions, ...previousViewport.positions } })
+      : (savedPositions ? applyLayoutToGraph(cy, savedPositions) : false);
     
     if (!hasAppliedSaved) {
       // Run dagre layout
@@ -686,8 +691,18 @@ if (Object.keys(tagGroups).length > 0) {
         padding: 50,
         animate: false,
       }).run();
+    } else if (previousViewport) {
+      // States added since the last build: stack them right of the graph
+      const known = { ...savedPositions?.positions, ...previousViewport.positions };
+      const added = cy.nodes('[type="state"]').filter(node => !known[node.id()]);
+      if (added.length > 0) {
+        const bb = cy.nodes('[type="state"]').difference(added).boundingBox();
+        added.forEach((node, i) => {
+          node.position({ x: bb.x2 + 200, y: bb.y1 + i * 120 });
+        });
+      }
     }
-    
+
     // ========================================
     // CREATE GROUP BOXES after layout, then auto-fit
     // ========================================
@@ -695,8 +710,13 @@ if (Object.keys(tagGroups).length > 0) {
       if (Object.keys(tagGroups).length > 0) {
         createOrUpdateGroupBoxes(cy, tagGroups, theme);
       }
-      // Auto-fit to show everything
-      cy.fit(null, 50);
+      if (previousViewport) {
+        // Live update: keep the user where they were
+        cy.viewport({ zoom: previousViewport.zoom, pan: previousViewport.pan });
+      } else {
+        // Auto-fit to show everything
+        cy.fit(null, 50);
+      }
     }, 100);
     
     // ========================================
@@ -798,10 +818,20 @@ cy.on('mouseout', 'node', () => {
         clearTimeout(debounceRef.current);
       }
       if (cyRef.current) {
+        // Remember positions and viewport for the next rebuild
+        const positions = {};
+        cyRef.current.nodes('[type="state"]').forEach(node => {
+          positions[node.id()] = { ...node.position() };
+        });
+        viewportRef.current = {
+          positions,
+          zoom: cyRef.current.zoom(),
+          pan: { ...cyRef.current.pan() }
+        };
         cyRef.current.destroy();
       }
     };
-  }, [graphData, onNodeClick, onEdgeClick, editMode, theme, showScreenGroups, screenGroups, transitionMode, tagConfig, activeFilters, projectPath, updateGroupBoxesDebounced, notesSummary]);
+  }, [graphData, onNodeClick, onEdgeClick, editMode, theme, showScreenGroups, screenGroups, transitionMode, tagConfig, activeFilters, projectPath, updateGroupBoxesDebounced, notesSummary, preserveViewport]);
   
   // ========================================
   // UPDATE SELECTED NODE STYLING
@@ -17,6 +17,7 @@ export default function TransitionsPanel({
   isEditMode = false,
   onEditTransition,
   onDeleteTransition,
+  onRenameEvent,
   onAddTransition,
 }) {
   const [activeTab, setActiveTab] = useState('incoming');
@@ -349,6 +350,19 @@ export default function TransitionsPanel({
               >
                 ✏️ Edit
               </button>
+              {onRenameEvent && (
+                <button
+                  onClick={() => onRenameEvent(transition, currentState.files?.implication)}
+                  className="px-2 py-1 rounded text-xs font-semibold transition hover:brightness-110"
+                  style={{
+                    backgroundColor: colors.bgTertiary,
+                    color: colors.textPrimary,
+                  }}
+                  title="Rename event everywhere it is used"
+                >
+                  🏷️
+                </button>
+              )}
               <button
                 onClick={() => handleDeleteOutgoing(transition, index)}
                 className="px-2 py-1 rounded text-xs font-semibold transition hover:brightness-110"
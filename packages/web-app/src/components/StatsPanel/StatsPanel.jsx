@@ -1,16 +1,21 @@
 // packages/web-app/src/components/StatsPanel/StatsPanel.jsx
 
+import { useState, useEffect } from 'react';
 import { defaultTheme } from '../../config/visualizerTheme';
 
-export default function StatsPanel({ discoveryResult, theme = defaultTheme }) {
+export default function StatsPanel({ discoveryResult, projectPath, theme = defaultTheme }) {
+  const runs = useAnalysisHistory(projectPath, discoveryResult);
+  
   if (!discoveryResult) {
     return null;
   }
   
   // Calculate stats
   const stats = calculateStats(discoveryResult);
+  const trend = discoveryResult.analysis?.trend;
   
   return (
+    <>
     <div 
       className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6"
     >
@@ -68,6 +73,119 @@ export default function StatsPanel({ discoveryResult, theme = defaultTheme }) {
         highlight={true}
       />
     </div>
+    
+    {projectPath && (
+      <div className="flex justify-end -mt-4 mb-6">
+        <a
+          href={`http://localhost:3000/api/analysis/coverage?${new URLSearchParams({ projectPath, format: 'html' })}`}
+          target="_blank"
+          rel="noreferrer"
+          className="text-xs"
+          style={{ color: theme.colors.accents.blue }}
+        >
+          📋 Coverage matrix (states × platforms × tests)
+        </a>
+      </div>
+    )}
+    
+    {runs.length > 1 && (
+      <TrendPanel runs={runs} trend={trend} theme={theme} />
+    )}
+    </>
+  );
+}
+
+/**
+ * Recorded analysis runs (GET /api/analysis/history), refetched after every scan
+ */
+function useAnalysisHistory(projectPath, discoveryResult) {
+  const [runs, setRuns] = useState([]);
+  
+  useEffect(() => {
+    if (!projectPath || !discoveryResult) return;
+    
+    const params = new URLSearchParams({ projectPath, limit: '30' });
+    fetch(`http://localhost:3000/api/analysis/history?${params}`)
+      .then(response => response.json())
+      .then(data => setRuns(data.success ? data.runs : []))
+      .catch(error => console.warn('⚠️ Could not load analysis history:', error.message));
+  }, [projectPath, discoveryResult]);
+  
+  return runs;
+}
+
+function TrendPanel({ runs, trend, theme }) {
+  const issueSeries = [
+    { label: 'Errors', color: theme.colors.accents.red, values: runs.map(r => r.summary.errorCount) },
+    { label: 'Warnings', color: theme.colors.accents.yellow, values: runs.map(r => r.summary.warningCount) },
+    { label: 'Info', color: theme.colors.accents.blue, values: runs.map(r => r.summary.infoCount) }
+  ];
+  const coverageSeries = [
+    { label: 'UI Coverage %', color: theme.colors.accents.green, values: runs.map(r => r.coverage?.percent || 0) }
+  ];
+  
+  return (
+    <div 
+      className="glass-light p-4 rounded-xl border mb-6"
+      style={{ borderColor: theme.colors.border }}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-xs uppercase tracking-wide" style={{ color: theme.colors.text.tertiary }}>
+          📈 Trend · last {runs.length} scans
+        </div>
+        {trend?.since && (
+          <div className="flex gap-3 text-xs">
+            <span style={{ color: theme.colors.accents.red }}>+{trend.new} new</span>
+            <span style={{ color: theme.colors.accents.green }}>−{trend.resolved} resolved</span>
+            <span style={{ color: theme.colors.text.secondary }}>{trend.persisting} persisting</span>
+          </div>
+        )}
+      </div>
+      
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Sparkline title="Issues" series={issueSeries} runs={runs} theme={theme} />
+        <Sparkline title="UI Coverage" series={coverageSeries} runs={runs} theme={theme} max={100} />
+      </div>
+    </div>
+  );
+}
+
+function Sparkline({ title, series, runs, theme, max }) {
+  const width = 300;
+  const height = 80;
+  const top = max ?? Math.max(1, ...series.flatMap(s => s.values));
+  const x = (i) => (runs.length === 1 ? width / 2 : (i / (runs.length - 1)) * width);
+  const y = (value) => height - (value / top) * (height - 4) - 2;
+  
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-1 text-xs" style={{ color: theme.colors.text.secondary }}>
+        <span className="font-semibold">{title}</span>
+        {series.map(s => (
+          <span key={s.label} style={{ color: s.color }}>
+            ● {s.label} {s.values[s.values.length - 1]}
+          </span>
+        ))}
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height: `${height}px` }}>
+        {series.map(s => (
+          <polyline
+            key={s.label}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+            points={s.values.map((value, i) => `${x(i)},${y(value)}`).join(' ')}
+          >
+            <title>{s.label}</title>
+          </polyline>
+        ))}
+        {runs.map((run, i) => (
+          <circle key={run.id} cx={x(i)} cy={height - 2} r="2" fill={theme.colors.text.tertiary}>
+            <title>{new Date(run.timestamp).toLocaleString()}{run.git?.commit ? ` · ${run.git.commit.slice(0, 7)}` : ''}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
   );
 }
 
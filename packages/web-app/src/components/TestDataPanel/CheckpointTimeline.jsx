@@ -0,0 +1,174 @@
+// packages/web-app/src/components/TestDataPanel/CheckpointTimeline.jsx
+
+import { useState, useEffect } from 'react';
+import { defaultTheme } from '../../config/visualizerTheme';
+
+const API_URL = 'http://localhost:3000';
+
+/**
+ * Checkpoints of a TestContext delta file (-current.json): one per
+ * _changeLog entry. View materializes the data at a checkpoint, Fork writes
+ * a new delta to re-run later tests from there, Rewind drops later changes.
+ */
+export default function CheckpointTimeline({ projectPath, filePath, onView, onFilesChanged, theme = defaultTheme }) {
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [viewing, setViewing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  const params = `projectPath=${encodeURIComponent(projectPath)}&filePath=${encodeURIComponent(filePath)}`;
+
+  const loadCheckpoints = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/test-data/checkpoints?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setCheckpoints(data.checkpoints);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  useEffect(() => {
+    setViewing(null);
+    setMessage(null);
+    if (projectPath && filePath) loadCheckpoints();
+  }, [projectPath, filePath]);
+
+  const view = async (checkpoint) => {
+    setBusy(true);
+    try {
+      const response = await fetch(`${API_URL}/api/test-data/checkpoints/data?${params}&checkpoint=${checkpoint.index}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setViewing(checkpoint.index);
+      onView?.({ ...data, filePath, checkpoint });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const post = async (action, body) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const response = await fetch(`${API_URL}/api/test-data/checkpoints/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectPath, filePath, ...body })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      return data;
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fork = async (checkpoint) => {
+    const scope = window.prompt('Scope of the forked delta (run tests with TEST_CONTEXT_SCOPE=<scope>):', `fork-${checkpoint.index}`);
+    if (!scope) return;
+
+    const result = await post('fork', { checkpoint: checkpoint.index, scope });
+    if (result) {
+      setMessage({ type: 'success', text: `🍴 ${result.relativePath} - run with TEST_CONTEXT_SCOPE=${result.scope}` });
+      onFilesChanged?.();
+    }
+  };
+
+  const rewind = async (checkpoint) => {
+    const dropped = checkpoints.length - 1 - checkpoint.index;
+    if (!window.confirm(`Drop the ${dropped} change(s) after "${checkpoint.label}" from this delta file?`)) return;
+
+    const result = await post('rewind', { checkpoint: checkpoint.index });
+    if (result) {
+      setMessage({ type: 'success', text: `⏪ Dropped ${result.dropped} change(s)` });
+      await loadCheckpoints();
+      onFilesChanged?.();
+    }
+  };
+
+  if (checkpoints.length === 0 && !message) return null;
+
+  const buttonStyle = {
+    background: theme.colors.background.tertiary,
+    color: theme.colors.text.secondary,
+    border: `1px solid ${theme.colors.border}`,
+    opacity: busy ? 0.6 : 1
+  };
+
+  return (
+    <div className="mt-3 pt-3" style={{ borderTop: `1px solid ${theme.colors.border}` }}>
+      <div className="text-sm font-semibold mb-2" style={{ color: theme.colors.text.primary }}>
+        🕰️ Checkpoints ({checkpoints.length - 1} changes)
+      </div>
+
+      {message && (
+        <div
+          className="text-xs mb-2 font-mono"
+          style={{ color: message.type === 'error' ? theme.colors.accents.red : theme.colors.accents.green }}
+        >
+          {message.type === 'error' ? '❌ ' : ''}{message.text}
+        </div>
+      )}
+
+      <div className="flex flex-col gap-1 max-h-64 overflow-y-auto">
+        {checkpoints.map(checkpoint => {
+          const isLast = checkpoint.index === checkpoints.length - 1;
+          const statuses = Object.entries(checkpoint.statuses || {});
+
+          return (
+            <div
+              key={checkpoint.index}
+              className="flex items-center gap-2 px-2 py-1 rounded text-xs"
+              style={{
+                background: viewing === checkpoint.index ? `${theme.colors.accents.purple}20` : 'transparent',
+                border: `1px solid ${viewing === checkpoint.index ? theme.colors.accents.purple : 'transparent'}`
+              }}
+            >
+              <span className="font-mono w-6 text-right" style={{ color: theme.colors.text.tertiary }}>
+                {checkpoint.index}
+              </span>
+              <span className="font-semibold" style={{ color: theme.colors.text.primary }}>
+                {checkpoint.label}
+              </span>
+              {statuses.map(([entity, status]) => (
+                <span
+                  key={entity}
+                  className="px-1.5 py-0.5 rounded font-mono"
+                  style={{ background: `${theme.colors.accents.purple}20`, color: theme.colors.accents.purple }}
+                >
+                  {entity}.status = {status}
+                </span>
+              ))}
+              {checkpoint.testFile && (
+                <span className="truncate" style={{ color: theme.colors.text.tertiary }} title={checkpoint.testFile}>
+                  {checkpoint.testFile.split('/').pop()}
+                </span>
+              )}
+
+              <div className="flex gap-1 ml-auto">
+                <button onClick={() => view(checkpoint)} disabled={busy} className="px-2 py-0.5 rounded" style={buttonStyle} title="Show the test data at this checkpoint">
+                  👁️ View
+                </button>
+                <button onClick={() => fork(checkpoint)} disabled={busy} className="px-2 py-0.5 rounded" style={buttonStyle} title="Write a new delta file that starts here">
+                  🍴 Fork
+                </button>
+                {!isLast && (
+                  <button onClick={() => rewind(checkpoint)} disabled={busy} className="px-2 py-0.5 rounded" style={buttonStyle} title="Drop later changes from this delta file">
+                    ⏪ Rewind
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
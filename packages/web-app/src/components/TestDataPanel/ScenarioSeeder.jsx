@@ -0,0 +1,196 @@
+// packages/web-app/src/components/TestDataPanel/ScenarioSeeder.jsx
+
+import { useState, useEffect } from 'react';
+import { defaultTheme } from '../../config/visualizerTheme';
+
+const API_URL = 'http://localhost:3000';
+
+/**
+ * Test data factories (tests/data/*.factory.json) of a project: pick a
+ * scenario, seed and reference date, preview the data or write
+ * <name>-<scenario>-master.json. Hidden when the project has no factories.
+ */
+export default function ScenarioSeeder({ projectPath, onSeeded, theme = defaultTheme }) {
+  const [factories, setFactories] = useState([]);
+  const [factoryPath, setFactoryPath] = useState('');
+  const [scenario, setScenario] = useState('');
+  const [seed, setSeed] = useState('');
+  const [referenceDate, setReferenceDate] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  const loadFactories = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/test-data/factories?projectPath=${encodeURIComponent(projectPath)}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setFactories(data.factories);
+      if (!data.factories.some(factory => factory.path === factoryPath)) {
+        setFactoryPath(data.factories[0]?.path || '');
+        setScenario('');
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  useEffect(() => {
+    setPreview(null);
+    setMessage(null);
+    if (projectPath) loadFactories();
+  }, [projectPath]);
+
+  const factory = factories.find(f => f.path === factoryPath);
+
+  const seedScenarios = async ({ dryRun = false, force = false } = {}) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const response = await fetch(`${API_URL}/api/test-data/factories/seed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          projectPath,
+          factoryPath,
+          scenarios: scenario ? [scenario] : undefined,
+          seed: seed || undefined,
+          referenceDate: referenceDate || undefined,
+          dryRun,
+          force
+        })
+      });
+      const data = await response.json();
+
+      if (response.status === 409 && !force) {
+        if (window.confirm(`${data.error}\n\nReplace it?`)) return seedScenarios({ dryRun, force: true });
+        return;
+      }
+      if (!data.success) throw new Error(data.error);
+
+      if (dryRun) {
+        setPreview(data.results);
+        return;
+      }
+
+      setPreview(null);
+      setMessage({ type: 'success', text: `🌱 ${data.results.map(result => result.path).join(', ')}` });
+      await loadFactories();
+      onSeeded?.(data.results.map(result => result.path));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (factories.length === 0) return null;
+
+  const inputStyle = {
+    background: theme.colors.background.secondary,
+    border: `1px solid ${theme.colors.border}`,
+    color: theme.colors.text.primary
+  };
+
+  const buttonStyle = {
+    background: theme.colors.background.tertiary,
+    color: theme.colors.text.secondary,
+    border: `1px solid ${theme.colors.border}`,
+    opacity: busy ? 0.6 : 1
+  };
+
+  return (
+    <div className="mt-3 pt-3" style={{ borderTop: `1px solid ${theme.colors.border}` }}>
+      <div className="text-sm font-semibold mb-2" style={{ color: theme.colors.text.primary }}>
+        🏭 Seed from factory
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        {factories.length > 1 && (
+          <select
+            value={factoryPath}
+            onChange={(e) => { setFactoryPath(e.target.value); setScenario(''); setPreview(null); }}
+            className="px-2 py-1 rounded"
+            style={inputStyle}
+          >
+            {factories.map(f => (
+              <option key={f.path} value={f.path}>{f.name}</option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={scenario}
+          onChange={(e) => { setScenario(e.target.value); setPreview(null); }}
+          className="px-2 py-1 rounded"
+          style={inputStyle}
+        >
+          <option value="">All scenarios ({factory?.scenarios.length || 0})</option>
+          {factory?.scenarios.map(s => (
+            <option key={s.name} value={s.name} title={s.description || s.output}>
+              {s.name}{s.exists ? ' ✓' : ''}
+            </option>
+          ))}
+        </select>
+
+        <input
+          value={seed}
+          onChange={(e) => setSeed(e.target.value)}
+          placeholder={`seed (${factory?.seed ?? 1})`}
+          className="px-2 py-1 rounded w-24 font-mono"
+          style={inputStyle}
+          title="Same seed and reference date always produce the same data"
+        />
+
+        <input
+          type="date"
+          value={referenceDate}
+          onChange={(e) => setReferenceDate(e.target.value)}
+          className="px-2 py-1 rounded"
+          style={inputStyle}
+          title="Relative dates ({{date +7d}}) count from this day (default: today)"
+        />
+
+        <button onClick={() => seedScenarios({ dryRun: true })} disabled={busy || !factory} className="px-2 py-1 rounded" style={buttonStyle}>
+          👁️ Preview
+        </button>
+        <button onClick={() => seedScenarios()} disabled={busy || !factory} className="px-2 py-1 rounded" style={buttonStyle}>
+          🌱 Seed
+        </button>
+      </div>
+
+      {factory?.error && (
+        <div className="text-xs mt-2 font-mono" style={{ color: theme.colors.accents.red }}>
+          ❌ {factory.error}
+        </div>
+      )}
+
+      {message && (
+        <div
+          className="text-xs mt-2 font-mono"
+          style={{ color: message.type === 'error' ? theme.colors.accents.red : theme.colors.accents.green }}
+        >
+          {message.type === 'error' ? '❌ ' : ''}{message.text}
+        </div>
+      )}
+
+      {preview && (
+        <div className="mt-2 flex flex-col gap-2 max-h-72 overflow-y-auto">
+          {preview.map(result => (
+            <div key={result.path} className="text-xs">
+              <div className="font-semibold mb-1" style={{ color: theme.colors.text.secondary }}>
+                {result.path} <span style={{ color: theme.colors.text.tertiary }}>(seed {result.seed}, {result.referenceDate})</span>
+              </div>
+              <pre
+                className="p-2 rounded font-mono overflow-x-auto"
+                style={{ background: theme.colors.background.primary, color: theme.colors.text.primary }}
+              >
+                {JSON.stringify(result.data, null, 2)}
+              </pre>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
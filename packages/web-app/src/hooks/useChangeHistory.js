@@ -0,0 +1,89 @@
+// packages/web-app/src/hooks/useChangeHistory.js
+
+import { useState, useEffect, useCallback } from 'react';
+
+const API_URL = 'http://localhost:3000';
+
+/**
+ * Undo/redo stacks of source edits made through the Visualizer.
+ *
+ * @param {string} projectPath - Project root
+ * @param {*} refreshKey - Reload the stacks whenever this changes (e.g. discoveryResult)
+ */
+export function useChangeHistory(projectPath, refreshKey) {
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    if (!projectPath) return;
+
+    try {
+      const response = await fetch(
+        `${API_URL}/api/implications/history?projectPath=${encodeURIComponent(projectPath)}`
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        setUndoStack(data.undo);
+        setRedoStack(data.redo);
+      }
+    } catch (err) {
+      console.error('❌ Error loading change history:', err);
+    }
+  }, [projectPath]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, refreshKey]);
+
+  /**
+   * Undo or redo the latest change. On conflict the user is asked
+   * whether to overwrite the files that were edited since.
+   */
+  const move = useCallback(async (direction, force = false) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/api/implications/${direction}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectPath, force })
+      });
+      const data = await response.json();
+
+      if (response.status === 409 && !force) {
+        const overwrite = window.confirm(
+          `${data.error}\n\n${data.conflicts.join('\n')}\n\nOverwrite these files anyway?`
+        );
+        return overwrite ? move(direction, true) : null;
+      }
+
+      if (!data.success) {
+        throw new Error(data.error || `${direction} failed`);
+      }
+
+      setUndoStack(data.undo);
+      setRedoStack(data.redo);
+      return data;
+    } catch (err) {
+      console.error(`❌ ${direction} failed:`, err);
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, [projectPath]);
+
+  return {
+    undoStack,
+    redoStack,
+    busy,
+    error,
+    undo: () => move('undo'),
+    redo: () => move('redo'),
+    reload: loadHistory
+  };
+}
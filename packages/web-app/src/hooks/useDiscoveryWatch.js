@@ -0,0 +1,120 @@
+// packages/web-app/src/hooks/useDiscoveryWatch.js
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const API_URL = 'http://localhost:3000';
+
+/**
+ * Comparable form of a file path: forward slashes, no duplicate or
+ * trailing slashes, lower-case drive letter.
+ */
+export function normalizePath(filePath = '') {
+  return filePath
+    .replace(/\\/g, '/')
+    .replace(/\/{2,}/g, '/')
+    .replace(/(.)\/$/, '$1')
+    .replace(/^[A-Z]:/, drive => drive.toLowerCase());
+}
+
+async function fetchFileHash(filePath) {
+  try {
+    const response = await fetch(`${API_URL}/api/discovery/file-hash?filePath=${encodeURIComponent(filePath)}`);
+    return response.ok ? (await response.json()).hash : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Subscribe to live discovery updates for a project.
+ * While enabled, the API server watches the project's implication/screen
+ * files and pushes a full scan result every time one of them changes.
+ *
+ * @param {string} projectPath - Project root
+ * @param {boolean} enabled - Open the stream only while true
+ * @param {Function} onUpdate - Called with ({ changedFiles, externalFiles, result });
+ *   externalFiles leaves out files whose new content is what this client
+ *   wrote through trackOwnWrite
+ */
+export function useDiscoveryWatch(projectPath, enabled, onUpdate) {
+  const [status, setStatus] = useState('idle'); // 'idle' | 'connecting' | 'live' | 'error'
+  const [error, setError] = useState(null);
+  const [lastChange, setLastChange] = useState(null);
+
+  // Keep latest callback without reopening the stream
+  const onUpdateRef = useRef(onUpdate);
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  // normalized path → { pending: true } while writing, then { hash } of the written content
+  const ownWritesRef = useRef(new Map());
+
+  /**
+   * Run a write to filePath and remember the resulting content, so the
+   * watcher update it causes isn't reported as an outside change.
+   */
+  const trackOwnWrite = useCallback(async (filePath, write) => {
+    const key = normalizePath(filePath);
+    ownWritesRef.current.set(key, { pending: true });
+    try {
+      return await write();
+    } finally {
+      ownWritesRef.current.set(key, { hash: await fetchFileHash(filePath) });
+    }
+  }, []);
+
+  useEffect(() => {
+    ownWritesRef.current.clear();
+
+    if (!enabled || !projectPath) {
+      setStatus('idle');
+      return;
+    }
+
+    setStatus('connecting');
+    setError(null);
+
+    const source = new EventSource(
+      `${API_URL}/api/discovery/watch?projectPath=${encodeURIComponent(projectPath)}`
+    );
+
+    source.addEventListener('ready', () => {
+      console.log('👀 Live discovery connected');
+      setStatus('live');
+    });
+
+    source.addEventListener('discovery-updated', (event) => {
+      const payload = JSON.parse(event.data);
+      console.log('🔄 Live update:', payload.changedFiles);
+      setLastChange({ changedFiles: payload.changedFiles, at: Date.now() });
+      setError(null);
+
+      const isOwnWrite = (file) => {
+        const own = ownWritesRef.current.get(normalizePath(`${projectPath}/${file}`));
+        return !!own && (own.pending || (!!own.hash && own.hash === payload.hashes?.[file]));
+      };
+      onUpdateRef.current?.({
+        ...payload,
+        externalFiles: payload.changedFiles.filter(file => !isOwnWrite(file))
+      });
+    });
+
+    source.addEventListener('discovery-error', (event) => {
+      const payload = JSON.parse(event.data);
+      console.error('❌ Live rescan failed:', payload.error);
+      setError(payload.error);
+    });
+
+    source.onerror = () => {
+      // EventSource reconnects by itself; just reflect the state
+      setStatus(source.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+    };
+
+    return () => {
+      source.close();
+    };
+  }, [projectPath, enabled]);
+
+  return { status, error, lastChange, trackOwnWrite };
+}
@@ -6,6 +6,7 @@ import StateDetailModal from '../components/StateGraph/StateDetailModal';
 import { buildGraphFromDiscovery } from '../utils/graphBuilder';
 import { defaultTheme } from '../config/visualizerTheme';
 import StatsPanel from '../components/StatsPanel/StatsPanel';
+import ScenarioMatrix from '../components/ScenarioMatrix/ScenarioMatrix';
 import IssuePanel from '../components/IssuePanel/IssuePanel';
 import StateRegistryPanel from '../components/StateRegistry/StateRegistryPanel';
 import AddStateModal from '../components/AddStateModal/AddStateModal';
@@ -14,6 +15,11 @@ import { initializeFromDiscovery } from '../utils/requiresColors.js';
 import InsertNodeModal from '../components/InsertNodeModal/InsertNodeModal';
 import IntelligenceSearch from '../components/intelligence/IntelligenceSearch.jsx';
 import TicketAnalyzer from '../components/TicketAnalyzer/TicketAnalyzer';
+import { useDiscoveryWatch, normalizePath } from '../hooks/useDiscoveryWatch';
+import UndoRedoControls from '../components/ChangeHistory/UndoRedoControls';
+import CheckpointTimeline from '../components/TestDataPanel/CheckpointTimeline';
+import ScenarioSeeder from '../components/TestDataPanel/ScenarioSeeder';
+import DiffReviewDialog, { useDiffReview } from '../components/DiffReview/DiffReviewDialog';
 
 // ADD THIS LINE after the other imports:
 import TagsPanel, { useTagConfig } from '../components/TagsPanel/TagsPanel';
@@ -87,6 +93,9 @@ const [initError, setInitError] = useState(null);
 const [createdFiles, setCreatedFiles] = useState([]);
   const [showScreenGroups, setShowScreenGroups] = useState(false);
   const [savedLayout, setSavedLayout] = useState(null);
+  const [liveMode, setLiveMode] = useState(() => localStorage.getItem('liveDiscovery') === 'true');
+  const [externalChange, setExternalChange] = useState(null);
+  const { reviewChanges, dialogProps: diffReviewProps } = useDiffReview();
 const [isSavingLayout, setIsSavingLayout] = useState(false);
 const [tagsPanelCollapsed, setTagsPanelCollapsed] = useState(false);
   const { tagConfig, setTagConfig, activeFilters, setActiveFilters } = useTagConfig(projectPath);
@@ -353,6 +362,13 @@ const handleInsertNodeSuccess = async (result) => {
   await handleScan();
 };
 
+// Stateless (CMS) implications aren't graph nodes - shown as a scenario matrix
+const statelessImplications = useMemo(
+  () => (discoveryResult?.files?.implications || []).filter(imp => imp.metadata?.isStateless),
+  [discoveryResult]
+);
+const showScenarioMatrixOnly = statelessImplications.length > 0 && !(graphData?.nodes?.length > 0);
+
 // Get orphan nodes (states not connected to main flow)
 const getAvailableNodesForInsertion = () => {
   if (!graphData?.nodes) return [];
@@ -369,7 +385,7 @@ const getAvailableNodesForInsertion = () => {
 // TESTDATA LOADING
 // ══════════════════════════════════════════════════════════════
 
-const loadTestDataFiles = async () => {
+const loadTestDataFiles = async ({ autoSelect = true } = {}) => {
   if (!projectPath) return;
   
   try {
@@ -388,6 +404,8 @@ const loadTestDataFiles = async () => {
       setTestDataFiles(data.files);
       console.log(`✅ Found ${data.files.length} testData files`);
       
+      if (!autoSelect) return;
+      
       // Auto-load first master file if available
       const masterFile = data.files.find(f => f.type === 'master');
       if (masterFile) {
@@ -744,6 +762,37 @@ const handleScan = async () => {
 
 
 
+  // Apply a pushed scan result (same bookkeeping as handleScan)
+  const handleLiveUpdate = ({ changedFiles, externalFiles, result }) => {
+    setDiscoveryResult(result);
+    setAnalysisResult(result.analysis || null);
+    setStateRegistry(result.stateRegistry || null);
+
+    if (result.files?.implications) {
+      const graph = buildGraphFromDiscovery(result);
+      setGraphData(graph);
+      localStorage.setItem('lastDiscoveryResult', JSON.stringify(result));
+      localStorage.setItem('lastAnalysisResult', JSON.stringify(result.analysis || null));
+      localStorage.setItem('lastStateRegistry', JSON.stringify(result.stateRegistry || null));
+      localStorage.setItem('lastGraphData', JSON.stringify(graph));
+    }
+
+    // Warn the open modal if its file was edited elsewhere (not by our own saves)
+    const openFile = selectedState?.files?.implication && normalizePath(selectedState.files.implication);
+    if (openFile && externalFiles.some(file => openFile === normalizePath(`${projectPath}/${file}`))) {
+      setExternalChange({ at: Date.now(), changedFiles });
+    }
+  };
+
+  const liveWatch = useDiscoveryWatch(projectPath, liveMode && !!discoveryResult, handleLiveUpdate);
+
+  const toggleLiveMode = () => {
+    setLiveMode(prev => {
+      localStorage.setItem('liveDiscovery', String(!prev));
+      return !prev;
+    });
+  };
+
   // âœ… Expose refresh function globally for StateDetailModal
 useEffect(() => {
   // Expose refresh functions globally
@@ -858,6 +907,7 @@ const handleNodeClick = (nodeData) => {
   console.log('✅ Selected state with full metadata:', state);
   console.log('🔍 transitions:', state.transitions);
   
+  setExternalChange(null);
   setSelectedState(state);
 };
 
@@ -865,6 +915,7 @@ const handleNodeClick = (nodeData) => {
   
   const closeDetail = () => {
     setSelectedState(null);
+    setExternalChange(null);
     setSelectedNodeId(null);
   };
 
@@ -965,16 +1016,21 @@ const handleTransitionModeClick = async (nodeData) => {
 
 const handleTransitionSubmit = async (formData) => {
   try {
-    const response = await fetch(`${API_URL}/api/implications/add-transition`, {
+    const url = `${API_URL}/api/implications/add-transition`;
+    const body = {
+      sourceFile: transitionModalData.source.file,
+      targetFile: transitionModalData.target.file,
+      event: formData.event,
+      platform: formData.platform,
+      actionDetails: formData.actionDetails
+    };
+
+    if (!(await reviewChanges(`Add transition ${formData.event}`, url, body))) return;
+
+    const response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        sourceFile: transitionModalData.source.file,
-        targetFile: transitionModalData.target.file,
-        event: formData.event,
-        platform: formData.platform,
-        actionDetails: formData.actionDetails
-      })
+      body: JSON.stringify(body)
     });
     
     const result = await response.json();
@@ -1153,6 +1209,22 @@ const disableTransitionMode = () => {
               >
                 {loading ? 'â³ Scanning...' : 'ðŸ” Scan Project'}
               </button>
+              <button
+                onClick={toggleLiveMode}
+                disabled={!discoveryResult}
+                title={liveWatch.error || 'Watch implication files and update the graph on change'}
+                className="px-4 py-2 rounded-lg font-semibold transition"
+                style={{
+                  background: liveMode ? defaultTheme.colors.accents.green : defaultTheme.colors.background.tertiary,
+                  color: liveMode ? 'white' : defaultTheme.colors.text.secondary,
+                  cursor: discoveryResult ? 'pointer' : 'not-allowed',
+                  opacity: discoveryResult ? 1 : 0.6
+                }}
+              >
+                {!liveMode && '⏸️ Live Off'}
+                {liveMode && liveWatch.status === 'live' && (liveWatch.error ? '⚠️ Live' : '🟢 Live')}
+                {liveMode && liveWatch.status !== 'live' && '🔌 Connecting...'}
+              </button>
             </div>
             
             {error && (
@@ -1400,6 +1472,7 @@ const disableTransitionMode = () => {
           <div className="mb-6">
             <StatsPanel 
               discoveryResult={discoveryResult}
+              projectPath={projectPath}
               theme={defaultTheme}
             />
           </div>
@@ -1593,7 +1666,7 @@ onSelectResult={(result) => {
         )}
         
         <button
-          onClick={loadTestDataFiles}
+          onClick={() => loadTestDataFiles()}
           className="px-2 py-1.5 rounded text-sm transition hover:brightness-110"
           style={{
             background: defaultTheme.colors.background.tertiary,
@@ -1771,6 +1844,27 @@ onSelectResult={(result) => {
         💡 Select a testData file to validate path requirements and highlight the current status on the graph
       </div>
     )}
+    
+    {/* Checkpoints of a TestContext delta file */}
+    {selectedTestDataFile && testDataFiles.find(f => f.path === selectedTestDataFile)?.type === 'current' && (
+      <CheckpointTimeline
+        projectPath={projectPath}
+        filePath={selectedTestDataFile}
+        onView={(result) => setLoadedTestData(result)}
+        onFilesChanged={() => loadTestDataFiles({ autoSelect: false })}
+        theme={defaultTheme}
+      />
+    )}
+    
+    {/* Master files generated from test data factories */}
+    <ScenarioSeeder
+      projectPath={projectPath}
+      onSeeded={async (paths) => {
+        await loadTestDataFiles({ autoSelect: false });
+        loadTestDataFile(paths[0]);
+      }}
+      theme={defaultTheme}
+    />
   </div>
 )}
 
@@ -1816,6 +1910,12 @@ onSelectResult={(result) => {
 
             {graphData && (
               <div className="flex gap-2">
+                <UndoRedoControls
+                  projectPath={projectPath}
+                  refreshKey={discoveryResult}
+                  onChange={() => !liveMode && handleScan()}
+                  theme={defaultTheme}
+                />
                 <button onClick={() => window.cytoscapeGraph?.fit()}>
                   <span>🎯</span> Fit
                 </button>
@@ -1855,7 +1955,9 @@ onSelectResult={(result) => {
           
           
           {/* StateGraph - just add the two new props */}
-          {graphData ? (
+          {showScenarioMatrixOnly ? (
+            <ScenarioMatrix implications={statelessImplications} theme={defaultTheme} />
+          ) : graphData ? (
 <StateGraph
   graphData={graphData}
   onNodeClick={(nodeData) => {
@@ -1880,6 +1982,7 @@ onSelectResult={(result) => {
   projectPath={projectPath}
   loadedTestData={loadedTestData}
   transitionMode={transitionMode}
+  preserveViewport={liveMode}
 />
 
           ) : (
@@ -1895,6 +1998,13 @@ onSelectResult={(result) => {
           )}
         </div>
 
+        {/* CMS modules next to the state machine */}
+        {!showScenarioMatrixOnly && statelessImplications.length > 0 && (
+          <div className="mb-8">
+            <ScenarioMatrix implications={statelessImplications} theme={defaultTheme} />
+          </div>
+        )}
+
         {/* Issue Panel */}
         {analysisResult && (
           <div className="mb-8">
@@ -1904,11 +2014,14 @@ onSelectResult={(result) => {
               onIssueClick={(issue) => {
                 console.log('Issue clicked:', issue);
               }}
+              onRefresh={handleScan}
             />
           </div>
         )}
       </main>
 
+      <DiffReviewDialog {...diffReviewProps} theme={defaultTheme} />
+
       {/* Insert Node Modal */}
 {showInsertNodeModal && selectedEdge && (
   <InsertNodeModal
@@ -1937,6 +2050,8 @@ onSelectResult={(result) => {
     projectPath={projectPath}
     discoveryResult={discoveryResult}
     loadedTestData={loadedTestData}  // ← ADD THIS LINE
+    externalChange={externalChange}
+    trackOwnWrite={liveWatch.trackOwnWrite}
   />
 )}
       